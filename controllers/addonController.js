@@ -152,6 +152,8 @@ const createAddon = async (req, res) => {
       discountedPrice,
       stock,
       SKU,
+      hsnCode,
+      gstRate,
       status,
       tags,
       badge,
@@ -179,6 +181,8 @@ const createAddon = async (req, res) => {
       discountedPrice,
       stock,
       SKU,
+      hsnCode,
+      gstRate,
       status,
       tags,
       badge,
@@ -228,7 +232,7 @@ const updateAddon = async (req, res) => {
     // Update fields
     const fieldsToUpdate = [
       'name', 'slug', 'description', 'category', 'image', 'galleryImages',
-      'price', 'discountedPrice', 'stock', 'SKU', 'status', 'tags', 'badge',
+      'price', 'discountedPrice', 'stock', 'SKU', 'hsnCode', 'gstRate', 'status', 'tags', 'badge',
       'linkedCategories', 'linkedOccasions', 'linkedProducts', 'active', 'sortOrder'
     ];
     
@@ -4,6 +4,7 @@ const User = require('../models/User');
 const Category = require('../models/Category');
 const PromoCode = require('../models/PromoCode');
 const ActivityLog = require('../models/ActivityLog');
+const { getNetBaseAmount, netBaseAmountExpression, toBaseAmountExpression } = require('../services/currencyService');
 
 // Helper to calculate percentage change
 const calculatePercentageChange = (current, previous) => {
@@ -11,15 +12,6 @@ const calculatePercentageChange = (current, previous) => {
   return ((current - previous) / previous) * 100;
 };
 
-// Helper to convert any currency to INR
-const convertToINR = (field) => ({
-  $cond: {
-    if: { $eq: ["$currency", "INR"] },
-    then: `$${field}`,
-    else: { $divide: [`$${field}`, { $ifNull: ["$currencyRate", 1] }] }
-  }
-});
-
 // Helper to calculate date ranges for filter
 const getDateRanges = (period, customStart, customEnd) => {
   const now = new Date();
@@ -133,22 +125,10 @@ const getPeriodRevenueStats = async (start, end) => {
         _id: null,
         count: { $sum: 1 },
         grossSales: {
-          $sum: {
-            $cond: {
-              if: { $eq: ["$currency", "INR"] },
-              then: "$subtotal",
-              else: { $divide: ["$subtotal", { $ifNull: ["$currencyRate", 1] }] }
-            }
-          }
+          $sum: toBaseAmountExpression("$subtotal")
         },
         netRevenue: {
-          $sum: {
-            $cond: {
-              if: { $eq: ["$currency", "INR"] },
-              then: "$totalAmount",
-              else: { $divide: ["$totalAmount", { $ifNull: ["$currencyRate", 1] }] }
-            }
-          }
+          $sum: netBaseAmountExpression
         }
       }
     }
@@ -180,13 +160,7 @@ const getRevenueAnalytics = async (req, res) => {
           $group: {
             _id: null,
             total: {
-              $sum: {
-                $cond: {
-                  if: { $eq: ["$currency", "INR"] },
-                  then: "$totalAmount",
-                  else: { $divide: ["$totalAmount", { $ifNull: ["$currencyRate", 1] }] }
-                }
-              }
+              $sum: netBaseAmountExpression
             }
           }
         }
@@ -211,13 +185,7 @@ const getRevenueAnalytics = async (req, res) => {
             day: { $dayOfMonth: "$createdAt" }
           },
           amount: {
-            $sum: {
-              $cond: {
-                if: { $eq: ["$currency", "INR"] },
-                then: "$totalAmount",
-                else: { $divide: ["$totalAmount", { $ifNull: ["$currencyRate", 1] }] }
-              }
-            }
+            $sum: netBaseAmountExpression
           },
           orders: { $sum: 1 }
         }
@@ -258,13 +226,7 @@ const getRevenueAnalytics = async (req, res) => {
             month: { $month: "$createdAt" }
           },
           amount: {
-            $sum: {
-              $cond: {
-                if: { $eq: ["$currency", "INR"] },
-                then: "$totalAmount",
-                else: { $divide: ["$totalAmount", { $ifNull: ["$currencyRate", 1] }] }
-              }
-            }
+            $sum: netBaseAmountExpression
           },
           orders: { $sum: 1 }
         }
@@ -312,13 +274,7 @@ const getRevenueAnalytics = async (req, res) => {
               $multiply: [
                 "$items.finalPrice",
                 "$items.quantity",
-                {
-                  $cond: {
-                    if: { $eq: ["$currency", "INR"] },
-                    then: 1,
-                    else: { $divide: [1, { $ifNull: ["$currencyRate", 1] }] }
-                  }
-                }
+                toBaseAmountExpression(1)
               ]
             }
           }
@@ -342,7 +298,7 @@ const getRevenueAnalytics = async (req, res) => {
     const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
     const startOfYear = new Date(now.getFullYear(), 0, 1);
 
-    const [todayRevenue, yesterdayRevenue, weekRevenue, monthRevenue, yearRevenue, pendingRevRes, cancelledRevRes, deliveredRevRes] = await Promise.all([
+    const [todayRevenue, yesterdayRevenue, weekRevenue, monthRevenue, yearRevenue, pendingRevRes, cancelledRevRes, deliveredRevRes, refundedRevRes] = await Promise.all([
       getPeriodRevenueStats(startOfToday, now),
       getPeriodRevenueStats(startOfYesterday, endOfYesterday),
       getPeriodRevenueStats(startOfWeek, now),
@@ -354,13 +310,7 @@ const getRevenueAnalytics = async (req, res) => {
           $group: {
             _id: null,
             total: {
-              $sum: {
-                $cond: {
-                  if: { $eq: ["$currency", "INR"] },
-                  then: "$totalAmount",
-                  else: { $divide: ["$totalAmount", { $ifNull: ["$currencyRate", 1] }] }
-                }
-              }
+              $sum: netBaseAmountExpression
             }
           }
         }
@@ -371,13 +321,7 @@ const getRevenueAnalytics = async (req, res) => {
           $group: {
             _id: null,
             total: {
-              $sum: {
-                $cond: {
-                  if: { $eq: ["$currency", "INR"] },
-                  then: "$totalAmount",
-                  else: { $divide: ["$totalAmount", { $ifNull: ["$currencyRate", 1] }] }
-                }
-              }
+              $sum: toBaseAmountExpression("$totalAmount")
             }
           }
         }
@@ -388,13 +332,18 @@ const getRevenueAnalytics = async (req, res) => {
           $group: {
             _id: null,
             total: {
-              $sum: {
-                $cond: {
-                  if: { $eq: ["$currency", "INR"] },
-                  then: "$totalAmount",
-                  else: { $divide: ["$totalAmount", { $ifNull: ["$currencyRate", 1] }] }
-                }
-              }
+              $sum: netBaseAmountExpression
+            }
+          }
+        }
+      ]),
+      Order.aggregate([
+        { $match: { refundedAmount: { $gt: 0 } } },
+        {
+          $group: {
+            _id: null,
+            total: {
+              $sum: toBaseAmountExpression("$refundedAmount")
             }
           }
         }
@@ -421,7 +370,7 @@ const getRevenueAnalytics = async (req, res) => {
       revenueThisMonth: Math.round(monthRevenue.netRevenue * 100) / 100,
       revenueThisYear: Math.round(yearRevenue.netRevenue * 100) / 100,
       pendingRevenue: Math.round((pendingRevRes[0]?.total || 0) * 100) / 100,
-      refundedRevenue: 0, // Fallback as refunded is not a field
+      refundedRevenue: Math.round((refundedRevRes[0]?.total || 0) * 100) / 100,
       cancelledOrderValue: Math.round((cancelledRevRes[0]?.total || 0) * 100) / 100,
       deliveredOrderRevenue: Math.round((deliveredRevRes[0]?.total || 0) * 100) / 100,
       daily: dailyData,
@@ -444,9 +393,10 @@ const getSalesAnalytics = async (req, res) => {
     const { startDate, endDate, prevStartDate, prevEndDate } = getDateRanges(period, customStart, customEnd);
 
     // Orders Count in current vs previous
-    const [currentOrders, prevOrders, ordersByStatus, timeStats, hourlyOrders, weekdaySales, paymentMethodsRaw, couponStatsRaw] = await Promise.all([
+    const [currentOrders, prevOrders, refundedOrders, ordersByStatus, timeStats, hourlyOrders, weekdaySales, paymentMethodsRaw, couponStatsRaw] = await Promise.all([
       Order.countDocuments({ createdAt: { $gte: startDate, $lte: endDate } }),
       Order.countDocuments({ createdAt: { $gte: prevStartDate, $lte: prevEndDate } }),
+      Order.countDocuments({ createdAt: { $gte: startDate, $lte: endDate }, refundStatus: { $in: ['partial', 'full'] } }),
       Order.aggregate([
         { $match: { createdAt: { $gte: startDate, $lte: endDate } } },
         { $group: { _id: "$status", count: { $sum: 1 } } }
@@ -515,13 +465,7 @@ const getSalesAnalytics = async (req, res) => {
             _id: { $hour: "$createdAt" },
             orders: { $sum: 1 },
             revenue: {
-              $sum: {
-                $cond: {
-                  if: { $eq: ["$currency", "INR"] },
-                  then: "$totalAmount",
-                  else: { $divide: ["$totalAmount", { $ifNull: ["$currencyRate", 1] }] }
-                }
-              }
+              $sum: netBaseAmountExpression
             }
           }
         },
@@ -535,13 +479,7 @@ const getSalesAnalytics = async (req, res) => {
             _id: { $dayOfWeek: "$createdAt" },
             orders: { $sum: 1 },
             revenue: {
-              $sum: {
-                $cond: {
-                  if: { $eq: ["$currency", "INR"] },
-                  then: "$totalAmount",
-                  else: { $divide: ["$totalAmount", { $ifNull: ["$currencyRate", 1] }] }
-                }
-              }
+              $sum: netBaseAmountExpression
             }
           }
         },
@@ -558,13 +496,7 @@ const getSalesAnalytics = async (req, res) => {
               status: "$status"
             },
             revenue: {
-              $sum: {
-                $cond: {
-                  if: { $eq: ["$currency", "INR"] },
-                  then: "$totalAmount",
-                  else: { $divide: ["$totalAmount", { $ifNull: ["$currencyRate", 1] }] }
-                }
-              }
+              $sum: netBaseAmountExpression
             }
           }
         }
@@ -581,7 +513,7 @@ const getSalesAnalytics = async (req, res) => {
           $group: {
             _id: { $ifNull: ["$promoCode.code", null] },
             count: { $sum: 1 },
-            discount: { $sum: "$discount" }
+            discount: { $sum: toBaseAmountExpression("$discount") }
           }
         }
       ])
@@ -702,11 +634,11 @@ const getSalesAnalytics = async (req, res) => {
       outForDelivery: ordersByStatus.find(s => s._id === 'out_for_delivery')?.count || 0,
       delivered: ordersByStatus.find(s => s._id === 'delivered')?.count || 0,
       cancelled: ordersByStatus.find(s => s._id === 'cancelled')?.count || 0,
-      refunded: 0,
+      refunded: refundedOrders,
       failedPayments: ordersByStatus.find(s => s._id === 'cancelled')?.count || 0, // proxy logic
       orderSuccessRate: Math.round(orderSuccessRate * 100) / 100,
       cancellationRate: Math.round(orderCancellationRate * 100) / 100,
-      refundRate: 0,
+      refundRate: currentOrders > 0 ? Math.round((refundedOrders / currentOrders) * 100 * 100) / 100 : 0,
       averageProcessingTime: Math.round(prepDurationHrs * 10) / 10,
       averageDeliveryTime: Math.round(deliveryDurationHrs * 10) / 10,
       ordersByStatus: statusData,
@@ -763,13 +695,7 @@ const getProductAnalytics = async (req, res) => {
                 $multiply: [
                   "$items.finalPrice",
                   "$items.quantity",
-                  {
-                    $cond: {
-                      if: { $eq: ["$currency", "INR"] },
-                      then: 1,
-                      else: { $divide: [1, { $ifNull: ["$currencyRate", 1] }] }
-                    }
-                  }
+                  toBaseAmountExpression(1)
                 ]
               }
             }
@@ -918,13 +844,7 @@ const getUserAnalytics = async (req, res) => {
             name: { $first: "$shippingDetails.fullName" },
             email: { $first: "$shippingDetails.email" },
             totalSpent: {
-              $sum: {
-                $cond: {
-                  if: { $eq: ["$currency", "INR"] },
-                  then: "$totalAmount",
-                  else: { $divide: ["$totalAmount", { $ifNull: ["$currencyRate", 1] }] }
-                }
-              }
+              $sum: netBaseAmountExpression
             },
             orderCount: { $sum: 1 }
           }
@@ -971,13 +891,7 @@ const getUserAnalytics = async (req, res) => {
             state: { $trim: { input: { $ifNull: ["$shippingDetails.state", "Unknown"] } } }
           },
           revenue: {
-            $sum: {
-              $cond: {
-                if: { $eq: ["$currency", "INR"] },
-                then: "$totalAmount",
-                else: { $divide: ["$totalAmount", { $ifNull: ["$currencyRate", 1] }] }
-              }
-            }
+            $sum: netBaseAmountExpression
           },
           orders: { $sum: 1 },
           customers: { $addToSet: { $ifNull: ["$user", "$shippingDetails.email"] } }
@@ -1076,7 +990,7 @@ const getPerformanceAnalytics = async (req, res) => {
     // Fetch details for insights dynamically
     const [ordersRaw, topProductRaw, usersCount, geoStats, activityLogsCounts] = await Promise.all([
       // Get orders in this and previous periods
-      Order.find({ status: { $ne: 'cancelled' } }).select('totalAmount subtotal currency currencyRate createdAt shippingDetails status giftDetails').lean(),
+      Order.find({ status: { $ne: 'cancelled' } }).select('totalAmount refundedAmount amountPaid subtotal currency currencyRate createdAt shippingDetails status giftDetails').lean(),
       Order.aggregate([
         { $match: { status: { $ne: 'cancelled' } } },
         { $unwind: "$items" },
@@ -1088,7 +1002,7 @@ const getPerformanceAnalytics = async (req, res) => {
       // Geographic sales
       Order.aggregate([
         { $match: { status: { $ne: 'cancelled' } } },
-        { $group: { _id: "$shippingDetails.city", count: { $sum: 1 }, total: { $sum: "$totalAmount" } } },
+        { $group: { _id: "$shippingDetails.city", count: { $sum: 1 }, total: { $sum: netBaseAmountExpression } } },
         { $sort: { total: -1 } },
         { $limit: 1 }
       ]),
@@ -1104,12 +1018,8 @@ const getPerformanceAnalytics = async (req, res) => {
     const prevStartDate = new Date(startDate.getTime() - (endDate.getTime() - startDate.getTime()));
     const prevOrders = ordersRaw.filter(o => o.createdAt >= prevStartDate && o.createdAt < startDate);
 
-    // Calculate revenue sums
-    const getSumInINR = (orders) => orders.reduce((sum, o) => {
-      const amt = o.totalAmount;
-      const converted = o.currency === 'INR' ? amt : amt / (o.currencyRate || 1);
-      return sum + converted;
-    }, 0);
+    // Calculate revenue sums (net of refunds, like every revenue figure here)
+    const getSumInINR = (orders) => orders.reduce((sum, o) => sum + getNetBaseAmount(o), 0);
 
     const currentRevenue = getSumInINR(filterOrders);
     const prevRevenue = getSumInINR(prevOrders);
@@ -1120,7 +1030,7 @@ const getPerformanceAnalytics = async (req, res) => {
     let weekdayRevenue = 0;
     filterOrders.forEach(o => {
       const day = new Date(o.createdAt).getDay(); // 0 is Sunday, 6 is Saturday
-      const amt = o.currency === 'INR' ? o.totalAmount : o.totalAmount / (o.currencyRate || 1);
+      const amt = getNetBaseAmount(o);
       if (day === 0 || day === 6) {
         weekendRevenue += amt;
       } else {
@@ -1188,7 +1098,7 @@ const getPerformanceAnalytics = async (req, res) => {
 
     if (geoStats.length > 0) {
       const geoRev = geoStats[0].total;
-      const totalAllRev = ordersRaw.reduce((sum, o) => sum + (o.currency === 'INR' ? o.totalAmount : o.totalAmount / (o.currencyRate || 1)), 0);
+      const totalAllRev = getSumInINR(ordersRaw);
       const pct = totalAllRev > 0 ? (geoRev / totalAllRev) * 100 : 0;
       insights.push({
         text: `${geoStats[0]._id || 'Unknown City'} contributed ${Math.round(pct)}% of total all-time sales.`,
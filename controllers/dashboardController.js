@@ -4,6 +4,7 @@ const User = require('../models/User');
 const Notification = require('../models/Notification');
 const ActivityLog = require('../models/ActivityLog');
 const Category = require('../models/Category');
+const { netBaseAmountExpression, toBaseAmount, toBaseAmountExpression } = require('../services/currencyService');
 
 // Helper to calculate percentage change
 const calculatePercentageChange = (current, previous) => {
@@ -124,22 +125,10 @@ const getPeriodRevenueStats = async (start, end) => {
         _id: null,
         count: { $sum: 1 },
         grossSales: {
-          $sum: {
-            $cond: {
-              if: { $eq: ["$currency", "INR"] },
-              then: "$subtotal",
-              else: { $divide: ["$subtotal", { $ifNull: ["$currencyRate", 1] }] }
-            }
-          }
+          $sum: toBaseAmountExpression("$subtotal")
         },
         netRevenue: {
-          $sum: {
-            $cond: {
-              if: { $eq: ["$currency", "INR"] },
-              then: "$totalAmount",
-              else: { $divide: ["$totalAmount", { $ifNull: ["$currencyRate", 1] }] }
-            }
-          }
+          $sum: netBaseAmountExpression
         }
       }
     }
@@ -214,13 +203,7 @@ const getDashboardStats = async (req, res) => {
               razorpayPaymentId: "$paymentDetails.razorpayPaymentId"
             },
             revenue: {
-              $sum: {
-                $cond: {
-                  if: { $eq: ["$currency", "INR"] },
-                  then: "$totalAmount",
-                  else: { $divide: ["$totalAmount", { $ifNull: ["$currencyRate", 1] }] }
-                }
-              }
+              $sum: netBaseAmountExpression
             },
             transactions: { $sum: 1 }
           }
@@ -240,13 +223,7 @@ const getDashboardStats = async (req, res) => {
           $group: {
             _id: "$shippingDetails.city",
             revenue: {
-              $sum: {
-                $cond: {
-                  if: { $eq: ["$currency", "INR"] },
-                  then: "$totalAmount",
-                  else: { $divide: ["$totalAmount", { $ifNull: ["$currencyRate", 1] }] }
-                }
-              }
+              $sum: netBaseAmountExpression
             },
             orders: { $sum: 1 }
           }
@@ -436,11 +413,8 @@ const getRecentOrders = async (req, res) => {
       .lean();
 
     const formatted = orders.map(order => {
-      let displayAmount = order.totalAmount;
-      if (order.currency === 'USD') {
-        const rate = order.currencyRate || 0.01162;
-        displayAmount = order.totalAmount / rate;
-      }
+      // Shown in rupees, at the rate the order was placed at
+      const displayAmount = toBaseAmount(order.totalAmount, order);
 
       // Determine fulfillment assignment (Vendor or In-House)
       const assignedWorker = order.items?.[0]?.product?.vendor?.storeName || 'In-House Florist';
@@ -487,13 +461,7 @@ const getTopProducts = async (req, res) => {
               $multiply: [
                 "$items.finalPrice",
                 "$items.quantity",
-                {
-                  $cond: {
-                    if: { $eq: ["$currency", "INR"] },
-                    then: 1,
-                    else: { $divide: [1, { $ifNull: ["$currencyRate", 1] }] }
-                  }
-                }
+                toBaseAmountExpression(1)
               ]
             }
           }
@@ -549,13 +517,7 @@ const getSalesData = async (req, res) => {
             day: { $dayOfMonth: "$createdAt" }
           },
           total: {
-            $sum: {
-              $cond: {
-                if: { $eq: ["$currency", "INR"] },
-                then: "$totalAmount",
-                else: { $divide: ["$totalAmount", { $ifNull: ["$currencyRate", 1] }] }
-              }
-            }
+            $sum: netBaseAmountExpression
           },
           orders: { $sum: 1 }
         }
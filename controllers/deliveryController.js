@@ -2,6 +2,7 @@ const mongoose = require('mongoose');
 const DeliveryPartner = require('../models/DeliveryPartner');
 const DeviceToken = require('../models/DeviceToken');
 const DeliveryAssignment = require('../models/DeliveryAssignment');
+const DeliveryBatch = require('../models/DeliveryBatch');
 const DeliveryLocation = require('../models/DeliveryLocation');
 const DeliveryProof = require('../models/DeliveryProof');
 const DeliveryEarning = require('../models/DeliveryEarning');
@@ -13,8 +14,61 @@ const User = require('../models/User');
 const generateToken = require('../utils/generateToken');
 const deliveryService = require('../services/deliveryService');
 const deliveryNotificationService = require('../services/deliveryNotificationService');
+const deliveryProofService = require('../services/deliveryProofService');
+const deliveryRatingService = require('../services/deliveryRatingService');
+const failedDeliveryService = require('../services/failedDeliveryService');
+const liveTrackingService = require('../services/liveTrackingService');
+const partnerPayoutService = require('../services/partnerPayoutService');
+const partnerShiftService = require('../services/partnerShiftService');
+const reviewRequestService = require('../services/reviewRequestService');
+const slotCapacityService = require('../services/slotCapacityService');
+const routeBatchingService = require('../services/routeBatchingService');
+const surgePricingService = require('../services/surgePricingService');
 const { sendDeliveryConfirmationWithInvoice } = require('../services/emailNotificationService');
 
+/**
+ * Pays a delivered order and returns the amount credited to the partner. Stops on a batched
+ * route earn nothing individually; the batch is paid as a whole (see routeBatchingService).
+ * Orders priced under a surge rule pay its partner multiplier on top as a bonus.
+ */
+const recordDeliveryEarnings = async (assignment, order, partnerId) => {
+  if (assignment.batchId) return 0;
+
+  const config = await DeliverySetting.getSettings();
+  const distancePay = parseFloat(((assignment.distance || 0) * config.earningPerKm * config.peakHourMultiplier).toFixed(2));
+  const surgeBonus = surgePricingService.calculatePartnerBonus(order?.surge, config.baseDeliveryEarning + distancePay);
+  const earningsAmount = parseFloat((config.baseDeliveryEarning + distancePay + surgeBonus).toFixed(2));
+
+  assignment.earnings = earningsAmount;
+  await assignment.save();
+
+  // Log earnings record
+  await DeliveryEarning.create({
+    partnerId,
+    assignmentId: assignment._id,
+    orderId: order._id,
+    amount: earningsAmount,
+    basePay: config.baseDeliveryEarning,
+    distancePay,
+    peakMultiplier: config.peakHourMultiplier,
+    deliveryChargeShare: order.deliveryCharge || 0,
+    bonus: surgeBonus,
+    surgeRuleId: surgeBonus > 0 ? order.surge.ruleId : undefined
+  });
+
+  return earningsAmount;
+};
+
+const handleFailedDeliveryError = (res, error, fallbackMessage) => {
+  if (failedDeliveryService.isFailedDeliveryError(error)) {
+    return res.status(error.statusCode).json({ success: false, message: error.message, code: error.code });
+  }
+  if (error.name === 'CastError') {
+    return res.status(400).json({ success: false, message: `Invalid ${error.path}` });
+  }
+  res.status(500).json({ message: fallbackMessage, error: error.message });
+};
+
 // --- PARTNER AUTHENTICATION ---
 
 exports.registerPartner = async (req, res) => {
@@ -136,6 +190,12 @@ exports.updatePartnerLocation = async (req, res) => {
       return res.status(404).json({ message: 'Partner not found' });
     }
 
+    // Only the assigned partner's position may go into an assignment's route and live tracking
+    const assignment = assignmentId ? await DeliveryAssignment.findById(assignmentId) : null;
+    if (assignment && assignment.partnerId?.toString() !== req.partner._id.toString()) {
+      return res.status(403).json({ message: 'Not assigned to you' });
+    }
+
     partner.currentLatitude = latitude;
     partner.currentLongitude = longitude;
     partner.lastActiveTime = new Date();
@@ -152,20 +212,20 @@ exports.updatePartnerLocation = async (req, res) => {
     });
 
     // If active assignment, append to its route history
-    if (assignmentId) {
-      const assignment = await DeliveryAssignment.findById(assignmentId);
-      if (assignment && ['accepted', 'reached_store', 'picked_up', 'out_for_delivery', 'reached_customer'].includes(assignment.status)) {
-        assignment.routeHistory.push({ latitude, longitude });
-        
-        // Recalculate distance dynamically if out for delivery
-        if (assignment.status === 'out_for_delivery') {
-          const storeLat = 17.3912;
-          const storeLng = 78.4326;
-          const currentDist = deliveryService.calculateHaversineDistance(latitude, longitude, storeLat, storeLng);
-          assignment.eta = Math.max(2, Math.round(currentDist * 3));
-        }
-        
-        await assignment.save();
+    if (assignment && ['accepted', 'reached_store', 'picked_up', 'out_for_delivery', 'reached_customer'].includes(assignment.status)) {
+      assignment.routeHistory.push({ latitude, longitude });
+
+      // Recalculate the ETA to the customer from the new position
+      const order = await Order.findById(assignment.orderId);
+      const eta = await deliveryService.estimateDeliveryEta(assignment, order, { latitude, longitude });
+      if (eta !== null) {
+        assignment.eta = eta;
+      }
+
+      await assignment.save();
+
+      if (order) {
+        liveTrackingService.publishLocation({ order, assignment, latitude, longitude });
       }
     }
 
@@ -182,7 +242,7 @@ exports.getPartnerOrders = async (req, res) => {
     const active = await DeliveryAssignment.findOne({
       partnerId: req.partner._id,
       status: { $nin: ['delivered', 'failed_delivery', 'cancelled'] }
-    }).populate('orderId');
+    }).sort({ stopSequence: 1 }).populate('orderId');
 
     if (active && active.status === 'assigned') {
       const hasAppOpened = active.history.some(h => h.status === 'app_opened');
@@ -204,7 +264,12 @@ exports.getPartnerOrders = async (req, res) => {
       status: { $in: ['delivered', 'failed_delivery', 'cancelled'] }
     }).populate('orderId').sort({ updatedAt: -1 }).limit(10);
 
-    res.json({ success: true, active, history });
+    // Partners on a batched route also get the stop sequence
+    const route = active?.batchId
+      ? await DeliveryBatch.findById(active.batchId).select('stops totalDistance estimatedDuration')
+      : null;
+
+    res.json({ success: true, active, route, history });
   } catch (error) {
     res.status(500).json({ message: 'Error fetching orders', error: error.message });
   }
@@ -235,6 +300,8 @@ exports.acceptOrder = async (req, res) => {
     });
     await assignment.save();
 
+    liveTrackingService.publishStatus({ order: assignment.orderId, assignment });
+
     // Trigger Notification
     await deliveryNotificationService.sendDeliveryNotification('partner_accepted', assignment, assignment.orderId, req.partner);
 
@@ -247,7 +314,7 @@ exports.acceptOrder = async (req, res) => {
 exports.updateOrderDeliveryState = async (req, res) => {
   try {
     const { assignmentId } = req.params;
-    const { status, failReason } = req.body;
+    const { status } = req.body;
     console.log(`[Delivery Controller] 🚚 updateOrderDeliveryState status update request received: AssignmentID=${assignmentId}, TargetStatus="${status}"`);
     const assignment = await DeliveryAssignment.findById(assignmentId).populate('orderId');
 
@@ -267,11 +334,14 @@ exports.updateOrderDeliveryState = async (req, res) => {
       return res.status(400).json({ message: 'Invalid delivery state request' });
     }
 
+    // Failures need a reason and evidence (photo or notes) before anything changes
+    const failureReport = status === 'failed_delivery' ? failedDeliveryService.validateFailureReport(req.body) : null;
+
     // Custom guards
     if (status === 'delivered') {
       if (!assignment.otpVerified) {
         // Allow fallback if proof image uploaded
-        const proofExists = await DeliveryProof.findOne({ assignmentId: assignment._id });
+        const proofExists = await DeliveryProof.findOne({ assignmentId: assignment._id, status: { $ne: 'rejected' } });
         if (!proofExists) {
           return res.status(400).json({ message: 'Delivered state requires customer OTP verification or delivery proof photo' });
         }
@@ -284,9 +354,6 @@ exports.updateOrderDeliveryState = async (req, res) => {
     }
 
     assignment.status = status;
-    if (status === 'failed_delivery' && failReason) {
-      assignment.failReason = failReason;
-    }
 
     assignment.history.push({
       status,
@@ -303,44 +370,41 @@ exports.updateOrderDeliveryState = async (req, res) => {
       } else if (status === 'delivered') {
         order.status = 'delivered';
       } else if (status === 'failed_delivery') {
-        // Keep as received or marked failed
-        order.status = 'received'; // returned to pool/admin for retry
+        // Back to the pool until the customer picks a new date
+        await failedDeliveryService.recordFailedAttempt(assignment, order, failureReport);
+        await assignment.save();
       }
       await order.save();
+      liveTrackingService.publishStatus({ order, assignment });
+    }
+
+    // Batched routes are paid once for the whole route when its last stop finishes
+    if (assignment.batchId && ['delivered', 'failed_delivery'].includes(status)) {
+      await routeBatchingService.settleBatch(assignment.batchId);
     }
 
     // Calculations on Delivered
     if (status === 'delivered') {
-      const config = await DeliverySetting.getSettings();
-      const earningsAmount = config.baseDeliveryEarning + (assignment.distance * config.earningPerKm) * config.peakHourMultiplier;
-      
-      assignment.earnings = parseFloat(earningsAmount.toFixed(2));
-      await assignment.save();
-
-      // Log earnings record
-      await DeliveryEarning.create({
-        partnerId: partner._id,
-        assignmentId: assignment._id,
-        orderId: order._id,
-        amount: parseFloat(earningsAmount.toFixed(2)),
-        basePay: config.baseDeliveryEarning,
-        deliveryChargeShare: order.deliveryCharge || 0
-      });
+      const earningsAmount = await recordDeliveryEarnings(assignment, order, partner._id);
 
       // Update partner metrics
       partner.activeOrders = Math.max(0, partner.activeOrders - 1);
       partner.availability = 'available';
       partner.totalDeliveries += 1;
       partner.todayDeliveries += 1;
-      partner.todayEarnings += parseFloat(earningsAmount.toFixed(2));
-      partner.totalEarnings += parseFloat(earningsAmount.toFixed(2));
+      partner.todayEarnings += earningsAmount;
+      partner.totalEarnings += earningsAmount;
       await partner.save();
 
+      if (order) {
+        await reviewRequestService.scheduleReviewRequest(order);
+      }
+
       // Trigger Delivered email notification with invoice PDF attachment (using the user's matrix)
       try {
         console.log(`[Delivery Controller] 🚚 Order updated to delivered! Retrieving delivery proof & preparing invoice email...`);
-        const proofDoc = await DeliveryProof.findOne({ assignmentId: assignment._id });
-        console.log(`[Delivery Controller]   Proof photo found: ${proofDoc ? 'Yes (' + proofDoc.imageUrl + ')' : 'No'}`);
+        const { proofImageUrl, signatureImageUrl } = await deliveryProofService.getConfirmationProofs(assignment._id);
+        console.log(`[Delivery Controller]   Proof photo found: ${proofImageUrl ? 'Yes (' + proofImageUrl + ')' : 'No'}, signature: ${signatureImageUrl ? 'Yes' : 'No'}`);
         
         console.log(`[Delivery Controller] 📤 Triggering sendDeliveryConfirmationWithInvoice for order #${order.orderNumber}`);
         const emailResult = await sendDeliveryConfirmationWithInvoice({
@@ -351,7 +415,8 @@ exports.updateOrderDeliveryState = async (req, res) => {
           },
           order,
           partner,
-          proofImageUrl: proofDoc ? proofDoc.imageUrl : null
+          proofImageUrl,
+          signatureImageUrl
         });
         console.log(`[Delivery Controller] 📧 sendDeliveryConfirmationWithInvoice output for order #${order.orderNumber}:`, emailResult);
       } catch (invoiceErr) {
@@ -374,7 +439,7 @@ exports.updateOrderDeliveryState = async (req, res) => {
 
     res.json({ success: true, assignment });
   } catch (error) {
-    res.status(500).json({ message: 'Error updating delivery state', error: error.message });
+    handleFailedDeliveryError(res, error, 'Error updating delivery state');
   }
 };
 
@@ -408,23 +473,44 @@ exports.verifyCustomerOtp = async (req, res) => {
 exports.uploadDeliveryProof = async (req, res) => {
   try {
     const { assignmentId } = req.params;
-    const { imageUrl, latitude, longitude } = req.body;
+    const { imageUrl, verificationType, latitude, longitude, capturedAt } = req.body;
 
     const assignment = await DeliveryAssignment.findById(assignmentId);
     if (!assignment) {
       return res.status(404).json({ message: 'Assignment not found' });
     }
 
-    const proof = await DeliveryProof.create({
-      assignmentId,
+    if (assignment.partnerId?.toString() !== req.partner._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized for this order' });
+    }
+
+    const proof = await deliveryProofService.recordDeliveryProof(assignment, {
       imageUrl,
-      verificationType: 'photo',
+      verificationType,
       latitude,
-      longitude
+      longitude,
+      capturedAt
     });
 
+    if (proof.status === 'flagged') {
+      try {
+        const { createAdminNotification } = require('./notificationController');
+        await createAdminNotification({
+          type: 'admin',
+          title: '📸 Delivery proof flagged',
+          message: `Proof for assignment ${assignment._id} needs review: ${proof.flags.map((flag) => flag.message).join('; ')}`,
+          metadata: { assignmentId: assignment._id, proofId: proof._id, orderId: assignment.orderId }
+        });
+      } catch (notificationError) {
+        console.error('Error creating proof review notification:', notificationError);
+      }
+    }
+
     res.json({ success: true, proof });
   } catch (error) {
+    if (deliveryProofService.isDeliveryProofError(error)) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error uploading proof', error: error.message });
   }
 };
@@ -482,6 +568,367 @@ exports.getAdminActiveDeliveries = async (req, res) => {
   }
 };
 
+// --- ROUTE BATCHING ---
+
+const handleBatchError = (res, error, fallbackMessage) => {
+  if (routeBatchingService.isRouteBatchingError(error)) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  if (error.name === 'CastError') {
+    return res.status(400).json({ success: false, message: `Invalid ${error.path}` });
+  }
+  res.status(500).json({ message: fallbackMessage, error: error.message });
+};
+
+exports.planDeliveryBatches = async (req, res) => {
+  try {
+    const { date, timeSlot, storeId } = req.body;
+    const result = await routeBatchingService.planBatches({ date, timeSlot, storeId });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    handleBatchError(res, error, 'Error planning delivery batches');
+  }
+};
+
+exports.getDeliveryBatches = async (req, res) => {
+  try {
+    const { date, timeSlot, store, status } = req.query;
+    const batches = await routeBatchingService.listBatches({ date, timeSlot, storeId: store, status });
+    res.json({ success: true, batches });
+  } catch (error) {
+    handleBatchError(res, error, 'Error fetching delivery batches');
+  }
+};
+
+exports.assignDeliveryBatch = async (req, res) => {
+  try {
+    const { batch, partner, assignments } = await routeBatchingService.assignBatch(req.params.batchId, {
+      partnerId: req.body.partnerId
+    });
+    res.json({ success: true, batch, partner: { _id: partner._id, name: partner.name }, assignments });
+  } catch (error) {
+    handleBatchError(res, error, 'Error assigning delivery batch');
+  }
+};
+
+exports.getDeliveryProofs = async (req, res) => {
+  try {
+    const { status, page, limit } = req.query;
+    const result = await deliveryProofService.listProofs({ status, page, limit });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching delivery proofs', error: error.message });
+  }
+};
+
+exports.reviewDeliveryProof = async (req, res) => {
+  try {
+    const { decision, notes } = req.body;
+    const proof = await deliveryProofService.reviewProof(req.params.proofId, { decision, notes, reviewer: req.user });
+    res.json({ success: true, proof });
+  } catch (error) {
+    if (deliveryProofService.isDeliveryProofError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    if (error.name === 'CastError') {
+      return res.status(400).json({ success: false, message: `Invalid ${error.path}` });
+    }
+    res.status(500).json({ message: 'Error reviewing delivery proof', error: error.message });
+  }
+};
+
+// --- PARTNER PAYOUTS ---
+
+const handlePayoutError = (res, error, fallbackMessage) => {
+  if (partnerPayoutService.isPartnerPayoutError(error)) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  if (error.name === 'CastError') {
+    return res.status(400).json({ success: false, message: `Invalid ${error.path}` });
+  }
+  res.status(500).json({ message: fallbackMessage, error: error.message });
+};
+
+const sendPayoutStatement = async (res, payout) => {
+  const buffer = await partnerPayoutService.generatePayoutStatementPDF(payout);
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename=Payout-Statement-${payout._id}.pdf`);
+  res.send(buffer);
+};
+
+exports.getPartnerEarningsHistory = async (req, res) => {
+  try {
+    const { from, to, status, page, limit } = req.query;
+    const result = await partnerPayoutService.getEarningsHistory(req.partner._id, { from, to, status, page, limit });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    handlePayoutError(res, error, 'Error fetching earnings history');
+  }
+};
+
+exports.getPartnerPayouts = async (req, res) => {
+  try {
+    const { status, page, limit } = req.query;
+    const result = await partnerPayoutService.listPayouts({ partnerId: req.partner._id, status, page, limit });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    handlePayoutError(res, error, 'Error fetching payouts');
+  }
+};
+
+exports.getPartnerPayoutStatement = async (req, res) => {
+  try {
+    const payout = await partnerPayoutService.getPayoutDetails(req.params.payoutId, { partnerId: req.partner._id });
+    await sendPayoutStatement(res, payout);
+  } catch (error) {
+    handlePayoutError(res, error, 'Error generating payout statement');
+  }
+};
+
+exports.createPayoutRun = async (req, res) => {
+  try {
+    const { from, to, partnerId } = req.body;
+    const { period, payouts } = await partnerPayoutService.createPayoutRun({ from, to, partnerId, createdBy: req.user });
+    res.status(201).json({
+      success: true,
+      period,
+      payouts,
+      totalAmount: parseFloat(payouts.reduce((sum, payout) => sum + payout.summary.netAmount, 0).toFixed(2))
+    });
+  } catch (error) {
+    handlePayoutError(res, error, 'Error creating payout run');
+  }
+};
+
+exports.getAdminPayouts = async (req, res) => {
+  try {
+    const { partnerId, status, page, limit } = req.query;
+    const result = await partnerPayoutService.listPayouts({ partnerId, status, page, limit });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    handlePayoutError(res, error, 'Error fetching payouts');
+  }
+};
+
+exports.getAdminPayoutDetails = async (req, res) => {
+  try {
+    const payout = await partnerPayoutService.getPayoutDetails(req.params.payoutId);
+    res.json({ success: true, payout });
+  } catch (error) {
+    handlePayoutError(res, error, 'Error fetching payout');
+  }
+};
+
+exports.getAdminPayoutStatement = async (req, res) => {
+  try {
+    const payout = await partnerPayoutService.getPayoutDetails(req.params.payoutId);
+    await sendPayoutStatement(res, payout);
+  } catch (error) {
+    handlePayoutError(res, error, 'Error generating payout statement');
+  }
+};
+
+exports.addPayoutAdjustment = async (req, res) => {
+  try {
+    const { type, amount, reason } = req.body;
+    const payout = await partnerPayoutService.addAdjustment(req.params.payoutId, { type, amount, reason, user: req.user });
+    res.json({ success: true, payout });
+  } catch (error) {
+    handlePayoutError(res, error, 'Error adjusting payout');
+  }
+};
+
+exports.markPayoutPaid = async (req, res) => {
+  try {
+    const { transactionReference, paymentMethod, paidAt, notes } = req.body;
+    const payout = await partnerPayoutService.markPayoutPaid(req.params.payoutId, {
+      transactionReference,
+      paymentMethod,
+      paidAt,
+      notes,
+      user: req.user
+    });
+    res.json({ success: true, payout });
+  } catch (error) {
+    handlePayoutError(res, error, 'Error marking payout paid');
+  }
+};
+
+// --- PARTNER SHIFTS ---
+
+const handleShiftError = (res, error, fallbackMessage) => {
+  if (partnerShiftService.isPartnerShiftError(error)) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  if (error.name === 'CastError') {
+    return res.status(400).json({ success: false, message: `Invalid ${error.path}` });
+  }
+  res.status(500).json({ message: fallbackMessage, error: error.message });
+};
+
+exports.getPartnerShifts = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const shifts = await partnerShiftService.listPartnerShifts(req.partner._id, { from, to });
+    res.json({ success: true, shifts });
+  } catch (error) {
+    handleShiftError(res, error, 'Error fetching shifts');
+  }
+};
+
+exports.signUpForShift = async (req, res) => {
+  try {
+    const { date, timeSlot } = req.body;
+    const shift = await partnerShiftService.signUpForShift(req.partner, { date, timeSlot });
+    res.status(201).json({ success: true, shift });
+  } catch (error) {
+    handleShiftError(res, error, 'Error signing up for shift');
+  }
+};
+
+exports.cancelShift = async (req, res) => {
+  try {
+    const shift = await partnerShiftService.cancelShift(req.partner._id, req.params.shiftId);
+    res.json({ success: true, shift });
+  } catch (error) {
+    handleShiftError(res, error, 'Error cancelling shift');
+  }
+};
+
+exports.getShiftCapacity = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const plan = await partnerShiftService.getCapacityPlan({ from, to });
+    res.json({ success: true, ...plan });
+  } catch (error) {
+    handleShiftError(res, error, 'Error fetching shift capacity');
+  }
+};
+
+exports.getShiftRoster = async (req, res) => {
+  try {
+    const { date, timeSlot } = req.query;
+    const shifts = await partnerShiftService.listShiftRoster({ date, timeSlot });
+    res.json({ success: true, shifts });
+  } catch (error) {
+    handleShiftError(res, error, 'Error fetching shift roster');
+  }
+};
+
+// --- SLOT CAPACITY ---
+
+const handleSlotCapacityError = (res, error, fallbackMessage) => {
+  if (slotCapacityService.isSlotCapacityError(error)) {
+    return res.status(error.statusCode).json({ success: false, message: error.message, code: error.code });
+  }
+  if (error.name === 'CastError') {
+    return res.status(400).json({ success: false, message: `Invalid ${error.path}` });
+  }
+  res.status(500).json({ message: fallbackMessage, error: error.message });
+};
+
+exports.getSlotCapacities = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const capacities = await slotCapacityService.listSlotCapacities({ from, to });
+    res.json({ success: true, capacities });
+  } catch (error) {
+    handleSlotCapacityError(res, error, 'Error fetching slot capacities');
+  }
+};
+
+exports.setSlotCapacity = async (req, res) => {
+  try {
+    const { date, timeSlot, zoneId, maxOrders } = req.body;
+    const capacity = await slotCapacityService.setSlotCapacity({ date, timeSlot, zoneId, maxOrders }, { userId: req.user._id });
+    res.json({ success: true, capacity });
+  } catch (error) {
+    handleSlotCapacityError(res, error, 'Error setting slot capacity');
+  }
+};
+
+exports.removeSlotCapacity = async (req, res) => {
+  try {
+    await slotCapacityService.removeSlotCapacity(req.params.capacityId);
+    res.json({ success: true });
+  } catch (error) {
+    handleSlotCapacityError(res, error, 'Error removing slot capacity');
+  }
+};
+
+// --- SURGE PRICING ---
+
+const handleSurgeError = (res, error, fallbackMessage) => {
+  if (surgePricingService.isSurgePricingError(error)) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  if (error.name === 'CastError') {
+    return res.status(400).json({ success: false, message: `Invalid ${error.path}` });
+  }
+  res.status(500).json({ message: fallbackMessage, error: error.message });
+};
+
+exports.getSurgeRules = async (req, res) => {
+  try {
+    const rules = await surgePricingService.listSurgeRules({ includePast: req.query.includePast === 'true' });
+    res.json({ success: true, rules });
+  } catch (error) {
+    handleSurgeError(res, error, 'Error fetching surge rules');
+  }
+};
+
+exports.createSurgeRule = async (req, res) => {
+  try {
+    const rule = await surgePricingService.createSurgeRule(req.body, { userId: req.user._id });
+    res.status(201).json({ success: true, rule });
+  } catch (error) {
+    handleSurgeError(res, error, 'Error creating surge rule');
+  }
+};
+
+exports.updateSurgeRule = async (req, res) => {
+  try {
+    const rule = await surgePricingService.updateSurgeRule(req.params.ruleId, req.body, { userId: req.user._id });
+    res.json({ success: true, rule });
+  } catch (error) {
+    handleSurgeError(res, error, 'Error updating surge rule');
+  }
+};
+
+exports.deleteSurgeRule = async (req, res) => {
+  try {
+    const { rule, deleted } = await surgePricingService.deleteSurgeRule(req.params.ruleId, { userId: req.user._id });
+    res.json({
+      success: true,
+      deleted,
+      rule,
+      message: deleted ? 'Surge rule deleted' : 'Surge rule has priced orders, so it was deactivated instead'
+    });
+  } catch (error) {
+    handleSurgeError(res, error, 'Error deleting surge rule');
+  }
+};
+
+exports.previewSurge = async (req, res) => {
+  try {
+    const { deliveryDate, timeSlot, zoneId, standardFee } = req.body;
+    const preview = await surgePricingService.previewSurge({ deliveryDate, timeSlot, zoneId, standardFee });
+    res.json({ success: true, preview });
+  } catch (error) {
+    handleSurgeError(res, error, 'Error previewing surge');
+  }
+};
+
+exports.getSurgeRuleOrders = async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const audit = await surgePricingService.getRuleAudit(req.params.ruleId, { page, limit });
+    res.json({ success: true, ...audit });
+  } catch (error) {
+    handleSurgeError(res, error, 'Error fetching surge rule orders');
+  }
+};
+
 exports.getAdminDeliveryZones = async (req, res) => {
   try {
     const zones = await DeliveryZone.find({});
@@ -493,7 +940,7 @@ exports.getAdminDeliveryZones = async (req, res) => {
 
 exports.createAdminDeliveryZone = async (req, res) => {
   try {
-    const { name, city, coordinates, baseDeliveryCharge } = req.body;
+    const { name, city, coordinates, baseDeliveryCharge, surcharge, minimumOrderAmount, allowedTimeSlots } = req.body;
     const zone = await DeliveryZone.create({
       name,
       city,
@@ -501,7 +948,10 @@ exports.createAdminDeliveryZone = async (req, res) => {
         type: 'Polygon',
         coordinates: [coordinates] // [[ [lng, lat], [lng, lat], ... ]]
       },
-      baseDeliveryCharge
+      baseDeliveryCharge,
+      surcharge,
+      minimumOrderAmount,
+      allowedTimeSlots
     });
     res.status(201).json({ success: true, zone });
   } catch (error) {
@@ -512,7 +962,7 @@ exports.createAdminDeliveryZone = async (req, res) => {
 exports.updateAdminDeliveryZone = async (req, res) => {
   try {
     const { zoneId } = req.params;
-    const { name, city, coordinates, baseDeliveryCharge, isActive } = req.body;
+    const { name, city, coordinates, baseDeliveryCharge, surcharge, minimumOrderAmount, allowedTimeSlots, isActive } = req.body;
 
     const zone = await DeliveryZone.findById(zoneId);
     if (!zone) return res.status(404).json({ message: 'Zone not found' });
@@ -520,6 +970,9 @@ exports.updateAdminDeliveryZone = async (req, res) => {
     if (name) zone.name = name;
     if (city) zone.city = city;
     if (baseDeliveryCharge) zone.baseDeliveryCharge = baseDeliveryCharge;
+    if (surcharge !== undefined) zone.surcharge = surcharge;
+    if (minimumOrderAmount !== undefined) zone.minimumOrderAmount = minimumOrderAmount;
+    if (Array.isArray(allowedTimeSlots)) zone.allowedTimeSlots = allowedTimeSlots;
     if (isActive !== undefined) zone.isActive = isActive;
     if (coordinates) {
       zone.boundary = {
@@ -586,10 +1039,24 @@ exports.manuallyAssignOrder = async (req, res) => {
 
     const customerOtp = Math.floor(1000 + Math.random() * 9000).toString();
 
+    // Distance from the partner to the fulfilling store drives the delivery earnings
+    const origin = await deliveryService.resolveFulfillmentStore(order);
+    if (origin.store && !order.store) {
+      await Order.updateOne({ _id: order._id, store: null }, { $set: { store: origin.store._id } });
+    }
+    const distance = deliveryService.calculateHaversineDistance(
+      partner.currentLatitude,
+      partner.currentLongitude,
+      origin.latitude,
+      origin.longitude
+    );
+
     const assignment = await DeliveryAssignment.create({
       orderId: order._id,
       partnerId: partner._id,
+      storeId: origin.store?._id,
       status: 'assigned',
+      distance: Number.isFinite(distance) ? parseFloat(distance.toFixed(2)) : 0,
       customerOtp,
       history: [{
         status: 'assigned',
@@ -603,6 +1070,7 @@ exports.manuallyAssignOrder = async (req, res) => {
     // Push Notification
     await deliveryNotificationService.sendDeliveryNotification('order_assigned', assignment, order, partner);
     await deliveryNotificationService.sendDeliveryNotification('partner_assigned', assignment, order, partner);
+    liveTrackingService.publishStatus({ order, assignment });
 
     res.json({ success: true, assignment });
   } catch (error) {
@@ -634,33 +1102,29 @@ exports.forceCompleteAssignment = async (req, res) => {
     if (order) {
       order.status = 'delivered';
       await order.save();
+      liveTrackingService.publishStatus({ order, assignment });
     }
 
     // Calculate payouts
-    const config = await DeliverySetting.getSettings();
-    const earningsAmount = config.baseDeliveryEarning + (assignment.distance * config.earningPerKm) * config.peakHourMultiplier;
-    assignment.earnings = parseFloat(earningsAmount.toFixed(2));
-    await assignment.save();
+    const earningsAmount = await recordDeliveryEarnings(assignment, order, assignment.partnerId);
 
     if (partner) {
       partner.activeOrders = Math.max(0, partner.activeOrders - 1);
       partner.availability = 'available';
       partner.totalDeliveries += 1;
       partner.todayDeliveries += 1;
-      partner.todayEarnings += parseFloat(earningsAmount.toFixed(2));
-      partner.totalEarnings += parseFloat(earningsAmount.toFixed(2));
+      partner.todayEarnings += earningsAmount;
+      partner.totalEarnings += earningsAmount;
       await partner.save();
     }
 
-    // Log earnings
-    await DeliveryEarning.create({
-      partnerId: assignment.partnerId,
-      assignmentId: assignment._id,
-      orderId: order._id,
-      amount: parseFloat(earningsAmount.toFixed(2)),
-      basePay: config.baseDeliveryEarning,
-      deliveryChargeShare: order.deliveryCharge || 0
-    });
+    if (assignment.batchId) {
+      await routeBatchingService.settleBatch(assignment.batchId);
+    }
+
+    if (order) {
+      await reviewRequestService.scheduleReviewRequest(order);
+    }
 
     // Notify customer
     await deliveryNotificationService.sendDeliveryNotification('delivered', assignment, order, partner);
@@ -704,6 +1168,10 @@ exports.getDeliveryAnalytics = async (req, res) => {
 
     const totalEarningSum = earningsSum.length ? earningsSum[0].total : 0;
 
+    const from = req.query.from ? new Date(req.query.from) : undefined;
+    const to = req.query.to ? new Date(req.query.to) : undefined;
+    const attempts = await failedDeliveryService.getAttemptAnalytics({ from, to });
+
     res.json({
       success: true,
       analytics: {
@@ -712,6 +1180,8 @@ exports.getDeliveryAnalytics = async (req, res) => {
         totalDeliveries: deliveredCount,
         failedDeliveries: failedCount,
         successRate: totalCount ? Math.round((deliveredCount / totalCount) * 100) : 100,
+        firstAttemptSuccessRate: attempts.firstAttemptSuccessRate,
+        attempts,
         totalEarningSum
       }
     });
@@ -760,6 +1230,163 @@ exports.getCustomerTrackingDetails = async (req, res) => {
   }
 };
 
+// Token from the tracking link (?token=) or the customer's own login
+const getOrderAccessToken = (req) => {
+  if (req.query.token || req.body?.token) {
+    return req.query.token || req.body.token;
+  }
+  const { authorization } = req.headers;
+  return authorization && authorization.startsWith('Bearer') ? authorization.split(' ')[1] : null;
+};
+
+const loadCustomerOrder = async (req, res) => {
+  const order = await Order.findOne({ orderNumber: req.params.orderNumber });
+  if (!order) {
+    res.status(404).json({ success: false, message: 'Order not found' });
+    return null;
+  }
+  if (!(await liveTrackingService.isAuthorizedForOrder(order, getOrderAccessToken(req)))) {
+    res.status(403).json({ success: false, message: 'This link is invalid or has expired' });
+    return null;
+  }
+  return order;
+};
+
+exports.getRescheduleOptions = async (req, res) => {
+  try {
+    const order = await loadCustomerOrder(req, res);
+    if (!order) return;
+
+    const options = await failedDeliveryService.getRescheduleOptions(order);
+    res.json({ success: true, ...options });
+  } catch (error) {
+    handleFailedDeliveryError(res, error, 'Error loading reschedule options');
+  }
+};
+
+exports.rescheduleFailedDelivery = async (req, res) => {
+  try {
+    const order = await loadCustomerOrder(req, res);
+    if (!order) return;
+
+    const { deliveryDate, timeSlot } = req.body;
+    const result = await failedDeliveryService.rescheduleFailedDelivery(order, { deliveryDate, timeSlot }, { by: 'customer' });
+
+    if (result.status === 'payment_required') {
+      return res.status(202).json({
+        success: true,
+        status: result.status,
+        amount: result.amount,
+        razorpayOrder: result.razorpayOrder,
+        keyId: process.env.RAZORPAY_KEY_ID
+      });
+    }
+
+    res.json({ success: true, status: result.status, order: result.order });
+  } catch (error) {
+    handleFailedDeliveryError(res, error, 'Error rescheduling delivery');
+  }
+};
+
+exports.confirmRedeliveryPayment = async (req, res) => {
+  try {
+    const order = await loadCustomerOrder(req, res);
+    if (!order) return;
+
+    const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
+    const updatedOrder = await failedDeliveryService.confirmRedeliveryPayment(order, {
+      razorpayOrderId: razorpay_order_id,
+      razorpayPaymentId: razorpay_payment_id,
+      razorpaySignature: razorpay_signature
+    });
+
+    res.json({ success: true, status: 'rescheduled', order: updatedOrder });
+  } catch (error) {
+    handleFailedDeliveryError(res, error, 'Error confirming redelivery payment');
+  }
+};
+
+exports.adminRescheduleDelivery = async (req, res) => {
+  try {
+    const order = await Order.findOne({ orderNumber: req.params.orderNumber });
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    const { deliveryDate, timeSlot, waiveFee } = req.body;
+    const result = await failedDeliveryService.rescheduleFailedDelivery(order, { deliveryDate, timeSlot }, {
+      by: 'admin',
+      waiveFee: Boolean(waiveFee)
+    });
+
+    res.json({ success: true, status: result.status, amount: result.amount, razorpayOrder: result.razorpayOrder, order: result.order });
+  } catch (error) {
+    handleFailedDeliveryError(res, error, 'Error rescheduling delivery');
+  }
+};
+
+// --- DELIVERY RATINGS ---
+
+const handleRatingError = (res, error, fallbackMessage) => {
+  if (deliveryRatingService.isDeliveryRatingError(error)) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  if (error.name === 'CastError') {
+    return res.status(400).json({ success: false, message: `Invalid ${error.path}` });
+  }
+  res.status(500).json({ message: fallbackMessage, error: error.message });
+};
+
+exports.getDeliveryRating = async (req, res) => {
+  try {
+    const order = await loadCustomerOrder(req, res);
+    if (!order) return;
+
+    const result = await deliveryRatingService.getOrderRating(order);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    handleRatingError(res, error, 'Error loading delivery rating');
+  }
+};
+
+exports.rateDelivery = async (req, res) => {
+  try {
+    const order = await loadCustomerOrder(req, res);
+    if (!order) return;
+
+    const { stars, tags, comment } = req.body;
+    const rating = await deliveryRatingService.submitRating(order, { stars, tags, comment });
+
+    if (rating.isComplaint) {
+      try {
+        const { createAdminNotification } = require('./notificationController');
+        await createAdminNotification({
+          type: 'admin',
+          title: '⚠️ Delivery complaint',
+          message: `Order #${order.orderNumber} rated ${rating.stars}★${rating.tags.length ? ` (${rating.tags.join(', ')})` : ''}${rating.comment ? `: ${rating.comment}` : ''}`,
+          metadata: { orderId: order._id, orderNumber: order.orderNumber, partnerId: rating.partnerId, ratingId: rating._id }
+        });
+      } catch (notificationError) {
+        console.error('Error creating delivery complaint notification:', notificationError);
+      }
+    }
+
+    res.status(201).json({ success: true, rating });
+  } catch (error) {
+    handleRatingError(res, error, 'Error saving delivery rating');
+  }
+};
+
+exports.getPartnerScorecard = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const scorecard = await deliveryRatingService.getPartnerScorecard(req.params.partnerId, { from, to });
+    res.json({ success: true, scorecard });
+  } catch (error) {
+    handleRatingError(res, error, 'Error fetching partner scorecard');
+  }
+};
+
 // --- DRIVER EXTENSION ACTIONS ---
 
 exports.registerFcmToken = async (req, res) => {
@@ -917,10 +1544,12 @@ exports.updateDeliveryStatusNew = async (req, res) => {
       return res.status(400).json({ message: `Invalid delivery status state request: ${normalizedStatus}` });
     }
 
+    const failureReport = normalizedStatus === 'failed_delivery' ? failedDeliveryService.validateFailureReport(req.body) : null;
+
     // Custom guards
     if (normalizedStatus === 'delivered') {
       if (!assignment.otpVerified) {
-        const proofExists = await DeliveryProof.findOne({ assignmentId: assignment._id });
+        const proofExists = await DeliveryProof.findOne({ assignmentId: assignment._id, status: { $ne: 'rejected' } });
         if (!proofExists) {
           return res.status(400).json({ message: 'Delivered state requires customer OTP verification or delivery proof photo' });
         }
@@ -957,9 +1586,8 @@ exports.updateDeliveryStatusNew = async (req, res) => {
       if (['accepted', 'reached_store', 'picked_up', 'out_for_delivery', 'reached_customer'].includes(assignment.status)) {
         assignment.routeHistory.push({ latitude, longitude });
         if (assignment.status === 'out_for_delivery') {
-          const storeLat = 17.3912;
-          const storeLng = 78.4326;
-          const currentDist = deliveryService.calculateHaversineDistance(latitude, longitude, storeLat, storeLng);
+          const store = await deliveryService.getAssignmentStoreCoordinates(assignment);
+          const currentDist = deliveryService.calculateHaversineDistance(latitude, longitude, store.latitude, store.longitude);
           assignment.eta = Math.max(2, Math.round(currentDist * 3));
         }
       }
@@ -976,41 +1604,38 @@ exports.updateDeliveryStatusNew = async (req, res) => {
       } else if (normalizedStatus === 'delivered') {
         order.status = 'delivered';
       } else if (normalizedStatus === 'failed_delivery') {
-        order.status = 'received';
+        await failedDeliveryService.recordFailedAttempt(assignment, order, failureReport);
+        await assignment.save();
       }
       await order.save();
+      liveTrackingService.publishStatus({ order, assignment });
+    }
+
+    // Batched routes are paid once for the whole route when its last stop finishes
+    if (assignment.batchId && ['delivered', 'failed_delivery'].includes(normalizedStatus)) {
+      await routeBatchingService.settleBatch(assignment.batchId);
     }
 
     // Calculations on Delivered
     if (normalizedStatus === 'delivered') {
-      const config = await DeliverySetting.getSettings();
-      const earningsAmount = config.baseDeliveryEarning + (assignment.distance * config.earningPerKm) * config.peakHourMultiplier;
-      
-      assignment.earnings = parseFloat(earningsAmount.toFixed(2));
-      await assignment.save();
-
-      // Log earnings record
-      await DeliveryEarning.create({
-        partnerId: partner._id,
-        assignmentId: assignment._id,
-        orderId: order._id,
-        amount: parseFloat(earningsAmount.toFixed(2)),
-        basePay: config.baseDeliveryEarning,
-        deliveryChargeShare: order.deliveryCharge || 0
-      });
+      const earningsAmount = await recordDeliveryEarnings(assignment, order, partner._id);
 
       // Update partner metrics
       partner.activeOrders = Math.max(0, partner.activeOrders - 1);
       partner.availability = 'available';
       partner.totalDeliveries += 1;
       partner.todayDeliveries += 1;
-      partner.todayEarnings += parseFloat(earningsAmount.toFixed(2));
-      partner.totalEarnings += parseFloat(earningsAmount.toFixed(2));
+      partner.todayEarnings += earningsAmount;
+      partner.totalEarnings += earningsAmount;
       await partner.save();
 
+      if (order) {
+        await reviewRequestService.scheduleReviewRequest(order);
+      }
+
       // Trigger Delivered email notification
       try {
-        const proofDoc = await DeliveryProof.findOne({ assignmentId: assignment._id });
+        const { proofImageUrl, signatureImageUrl } = await deliveryProofService.getConfirmationProofs(assignment._id);
         await sendDeliveryConfirmationWithInvoice({
           customer: {
             name: order.shippingDetails?.fullName,
@@ -1019,7 +1644,8 @@ exports.updateDeliveryStatusNew = async (req, res) => {
           },
           order,
           partner,
-          proofImageUrl: proofDoc ? proofDoc.imageUrl : null
+          proofImageUrl,
+          signatureImageUrl
         });
       } catch (invoiceErr) {
         console.error('[Delivery Controller] Invoice Email Error (New Route):', invoiceErr);
@@ -1038,7 +1664,7 @@ exports.updateDeliveryStatusNew = async (req, res) => {
     res.json({ success: true, assignment });
   } catch (error) {
     console.error('Error in updateDeliveryStatusNew:', error);
-    res.status(500).json({ message: 'Error updating delivery status', error: error.message });
+    handleFailedDeliveryError(res, error, 'Error updating delivery status');
   }
 };
 
@@ -1,4 +1,5 @@
 const Notification = require('../models/Notification');
+const { formatCurrency } = require('../services/currencyService');
 
 // Get all notifications for a user or admin
 exports.getNotifications = async (req, res) => {
@@ -312,13 +313,10 @@ exports.getNotificationStats = async (req, res) => {
 // Create order confirmation notification (used internally)
 exports.createOrderNotification = async (orderData) => {
   try {
-    const currency = orderData.currency || 'INR';
-    const currencySymbol = currency === 'INR' ? '₹' : '$';
-    
     const notification = new Notification({
       type: 'order',
       title: '🎉 New Order Received!',
-      message: `Order ${orderData.orderNumber} has been placed by ${orderData.customerName}. Amount: ${currencySymbol}${orderData.amount}`,
+      message: `Order ${orderData.orderNumber} has been placed by ${orderData.customerName}. Amount: ${formatCurrency(orderData.amount, orderData.currency)}`,
       userId: null, // Admin notification (no specific user)
       read: false,
       metadata: {
@@ -326,7 +324,7 @@ exports.createOrderNotification = async (orderData) => {
         orderNumber: orderData.orderNumber,
         customerName: orderData.customerName,
         amount: orderData.amount,
-        currency: currency
+        currency: orderData.currency || 'INR'
       }
     });
     
@@ -0,0 +1,135 @@
+const Order = require('../models/Order');
+const { logActivity } = require('../utils/activityLogger');
+const { amendOrder, isOrderAmendmentError } = require('../services/orderAmendmentService');
+const { isOrderPricingError } = require('../services/orderPricingService');
+const { isDeliveryZoneError } = require('../services/deliveryService');
+const { calculateOrderBalance } = require('../services/orderPaymentService');
+const { isSlotCapacityError } = require('../services/slotCapacityService');
+const { isStockUnavailableError } = require('../services/stockReservationService');
+
+const readChanges = (body = {}) => ({
+  shippingDetails: body.shippingDetails,
+  giftMessage: body.giftDetails?.message,
+  items: body.items,
+  promoCode: body.promoCode,
+});
+
+const buildAmendmentResponse = (result) => ({
+  orderId: result.order._id,
+  orderNumber: result.order.orderNumber,
+  currency: result.order.currency,
+  changes: result.changes,
+  warnings: result.warnings,
+  previousTotal: result.previousTotal,
+  pricing: result.pricing,
+  ...result.balance,
+});
+
+const handleAmendmentError = (res, error, fallbackMessage) => {
+  if (isOrderAmendmentError(error) || isOrderPricingError(error) || isDeliveryZoneError(error) || isStockUnavailableError(error) || isSlotCapacityError(error)) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      details: error.details
+    });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: `Server Error: ${fallbackMessage}`,
+    error: error.message
+  });
+};
+
+// @desc    Get an order's amendment history and current balance
+// @route   GET /api/orders/:id/amendments
+// @access  Private/Admin (orders:edit)
+const getOrderAmendments = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).populate('amendments.amendedBy', 'name email');
+
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        currency: order.currency,
+        totalAmount: order.totalAmount,
+        ...calculateOrderBalance(order),
+        amendments: order.amendments || []
+      }
+    });
+  } catch (error) {
+    handleAmendmentError(res, error, 'Failed to fetch amendments');
+  }
+};
+
+// @desc    Preview the repricing of an amendment without saving it
+// @route   POST /api/orders/:id/amendments/preview
+// @access  Private/Admin (orders:edit)
+const previewOrderAmendment = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    const result = await amendOrder(order, readChanges(req.body), { dryRun: true });
+
+    res.json({ success: true, data: buildAmendmentResponse(result) });
+  } catch (error) {
+    handleAmendmentError(res, error, 'Failed to preview amendment');
+  }
+};
+
+// @desc    Amend an order's delivery details, gift message or items and reprice it
+// @route   POST /api/orders/:id/amendments
+// @access  Private/Admin (orders:edit)
+const createOrderAmendment = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    const result = await amendOrder(order, readChanges(req.body), {
+      reason: req.body.reason,
+      amendedBy: req.user
+    });
+
+    await logActivity({
+      req,
+      actionType: 'Order Amended',
+      method: 'POST',
+      status: 'Success',
+      metadata: {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        fields: result.changes.map((change) => change.field),
+        previousTotal: result.previousTotal,
+        newTotal: order.totalAmount,
+        balanceDue: result.balance.balanceDue,
+        refundOwed: result.balance.refundOwed,
+      },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Order ${order.orderNumber} amended`,
+      data: buildAmendmentResponse(result)
+    });
+  } catch (error) {
+    handleAmendmentError(res, error, 'Failed to amend order');
+  }
+};
+
+module.exports = {
+  createOrderAmendment,
+  getOrderAmendments,
+  previewOrderAmendment,
+};
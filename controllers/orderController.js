@@ -3,14 +3,36 @@ const Product = require('../models/Product');
 const AddonProduct = require('../models/AddonProduct');
 const User = require('../models/User');
 const moment = require('moment'); // Import moment.js for date formatting
-const { createOrder: createRazorpayOrder, verifyPayment, RAZORPAY_KEY_ID } = require('../services/razorpayService');
-const Notification = require('../models/Notification');
+const {
+  createOrder: createRazorpayOrder,
+  fetchOrder: fetchRazorpayOrder,
+  verifyPayment,
+  RAZORPAY_KEY_ID
+} = require('../services/razorpayService');
 const { admin } = require('../middleware/authMiddleware');
 const { createOrderNotification } = require('./notificationController');
 const { sendEmailNotification, sendDeliveryConfirmationWithInvoice } = require('../services/emailNotificationService');
 const { sendOrderNotificationToAdmins, sendToAllAdmins } = require('../services/fcmService');
 const { logActivity } = require('../utils/activityLogger');
-const { calculateDeliveryFee } = require('../services/deliveryService');
+const { calculateDeliveryFee, isDeliveryZoneError, resolveDeliveryZone } = require('../services/deliveryService');
+const {
+  claimRazorpayHolds,
+  ensureOrderStockCommitted,
+  holdStockForRazorpayOrder,
+  isStockUnavailableError,
+  releaseOrderStock,
+  reserveStockForOrder,
+} = require('../services/stockReservationService');
+const { reserveOrderNumberFor, resolveOrderNumber } = require('../services/orderNumberService');
+const { convertOrderAmounts, formatCurrency, getOrderCurrencyFields, getRateSnapshot, isCurrencyError } = require('../services/currencyService');
+const { ensureInvoice, isInvoiceError, issueCreditNote } = require('../services/invoiceService');
+const { assertSlotAvailable, bookOrderSlot, getSlotAvailability, isSlotCapacityError, releaseOrderSlot } = require('../services/slotCapacityService');
+const { refundCheckoutPayment, settleCapturedPayment } = require('../services/orderPaymentService');
+const { isPaymentRetryError, startPaymentRetry, verifyPaymentRetryToken } = require('../services/paymentRetryService');
+const { isOrderPricingError, priceCheckout, validateDeliveryDate, validateOrderValentineRules } = require('../services/orderPricingService');
+const { placeMultiRecipientOrder, priceMultiRecipientCheckout } = require('../services/multiRecipientCheckoutService');
+const { scheduleReviewRequest } = require('../services/reviewRequestService');
+const DeliveryAssignment = require('../models/DeliveryAssignment');
 const Offer = require('../models/Offer');
 
 // Helper to increment offer conversion if order has promo code
@@ -57,110 +79,37 @@ const trackPromoCodeConversion = async (promoCodeObj) => {
   }
 };
 
-
-// Helper function to recursively flatten arrays and extract strings
-const flattenToStrings = (value) => {
-  if (typeof value === 'string') {
-    // If it looks like a JSON array, try to parse it
-    if (value.startsWith('[') && value.endsWith(']')) {
-      try {
-        const parsed = JSON.parse(value);
-        return flattenToStrings(parsed);
-      } catch (e) {
-        return [value]; // Return as string if parse fails
-      }
-    }
-    return [value];
-  }
-
-  if (Array.isArray(value)) {
-    const result = [];
-    for (const item of value) {
-      result.push(...flattenToStrings(item));
-    }
-    return result;
+// Who a checkout belongs to, for order number reservations and stock holds: the signed-in
+// customer, or the IP address of a guest
+const getCheckoutHolderKey = (req) => (req.user?._id ? `user:${req.user._id}` : `ip:${req.ip}`);
+
+// Razorpay only captures a payment for the full amount of its order, so comparing that order
+// with the priced total (in minor units of the order currency) checks what was actually paid.
+// A payment that doesn't match is refunded and its stock hold let go; returns true if so.
+const refundMismatchedPayment = async ({ razorpayOrderId, razorpayPaymentId, finalTotal, currency }) => {
+  const razorpayOrder = await fetchRazorpayOrder(razorpayOrderId);
+  const expectedAmount = Math.round(finalTotal * 100);
+  if (razorpayOrder.amount === expectedAmount && razorpayOrder.currency === currency) {
+    return false;
   }
 
-  // For any other type, convert to string
-  return [String(value)];
+  console.error(`❌ Razorpay payment ${razorpayPaymentId} was for ${razorpayOrder.amount} ${razorpayOrder.currency}, expected ${expectedAmount} ${currency}`);
+  await refundCheckoutPayment({ razorpayOrderId, razorpayPaymentId, reason: 'amount_mismatch' });
+  return true;
 };
 
-// Helper function to clean product data before saving
-const cleanProductData = (product) => {
-  try {
-    // Fix details field if it's malformed
-    if (product.details) {
-      if (Array.isArray(product.details)) {
-        const cleanedDetails = [];
-        for (let detail of product.details) {
-          try {
-            const flattened = flattenToStrings(detail);
-            cleanedDetails.push(...flattened.filter(item => item && item.trim()));
-          } catch (detailError) {
-            console.warn(`⚠️  Could not clean detail: ${detail}`, detailError);
-            // Skip this detail if it can't be cleaned
-          }
-        }
-        product.details = cleanedDetails;
-      } else if (typeof product.details === 'string') {
-        // If details is a string instead of array, try to parse it
-        try {
-          const flattened = flattenToStrings(product.details);
-          product.details = flattened.filter(item => item && item.trim());
-        } catch (stringDetailError) {
-          console.warn(`⚠️  Could not clean string details for ${product.title}`, stringDetailError);
-          product.details = []; // Reset to empty array if cleaning fails
-        }
-      } else {
-        // Reset to empty array if details is neither array nor string
-        product.details = [];
-      }
-    }
-
-    // Fix careInstructions field if it's malformed
-    if (product.careInstructions) {
-      if (Array.isArray(product.careInstructions)) {
-        const cleanedInstructions = [];
-        for (let instruction of product.careInstructions) {
-          try {
-            const flattened = flattenToStrings(instruction);
-            cleanedInstructions.push(...flattened.filter(item => item && item.trim()));
-          } catch (instructionError) {
-            console.warn(`⚠️  Could not clean care instruction: ${instruction}`, instructionError);
-            // Skip this instruction if it can't be cleaned
-          }
-        }
-        product.careInstructions = cleanedInstructions;
-      } else if (typeof product.careInstructions === 'string') {
-        // If careInstructions is a string instead of array, try to parse it
-        try {
-          const flattened = flattenToStrings(product.careInstructions);
-          product.careInstructions = flattened.filter(item => item && item.trim());
-        } catch (stringInstructionError) {
-          console.warn(`⚠️  Could not clean string care instructions for ${product.title}`, stringInstructionError);
-          product.careInstructions = []; // Reset to empty array if cleaning fails
-        }
-      } else {
-        // Reset to empty array if careInstructions is neither array nor string
-        product.careInstructions = [];
-      }
-    }
-
-    console.log(`🧹 Cleaned product data for ${product.title}:`, {
-      details: product.details?.length || 0,
-      careInstructions: product.careInstructions?.length || 0
-    });
-
-    return product;
-  } catch (overallError) {
-    console.error(`❌ Error in cleanProductData for ${product.title}:`, overallError);
-    // Reset both fields to empty arrays if overall cleaning fails
-    product.details = [];
-    product.careInstructions = [];
-    return product;
-  }
+// A captured payment whose stock ran out before the order could be placed is refunded rather
+// than kept with no order to show for it
+const refundOutOfStockPayment = async ({ razorpayOrderId, razorpayPaymentId, stockError }) => {
+  console.error(`❌ Paid order could not be fulfilled for Razorpay payment ${razorpayPaymentId}: ${stockError.message}`);
+  const refund = await refundCheckoutPayment({ razorpayOrderId, razorpayPaymentId, reason: 'out_of_stock' });
+  return refund
+    ? `${stockError.message}. Your payment has been refunded.`
+    : `${stockError.message}. Your payment was received and our team will contact you about a refund.`;
 };
 
+const AMOUNT_MISMATCH_MESSAGE = 'The amount paid does not match the order total, so the payment has been refunded. Please check out again.';
+
 const resolveGiftBuilderProductIds = async (items, requestingUserId) => {
   if (!items || !Array.isArray(items)) return items;
   
@@ -197,103 +146,6 @@ const resolveGiftBuilderProductIds = async (items, requestingUserId) => {
   return items;
 };
 
-const validateOrderValentineRules = async (items, shippingDetails) => {
-  const ValentineSettings = require('../models/ValentineSettings');
-  const Product = require('../models/Product');
-  const settings = await ValentineSettings.findOne();
-  const isValentineEnabled = settings ? settings.enabled : false;
-
-  let hasValentine = false;
-  let hasRegular = false;
-
-  const deliveryDate = shippingDetails && shippingDetails.deliveryDate ? new Date(shippingDetails.deliveryDate) : null;
-
-  for (const item of items) {
-    const productId = item.product || item.productId;
-    if (!productId) continue;
-    const prod = await Product.findById(productId);
-    if (!prod) continue;
-
-    const isVal = prod.productType === 'valentine' || prod.isValentineProduct;
-    if (isVal) {
-      hasValentine = true;
-    } else {
-      hasRegular = true;
-    }
-
-    if (isVal) {
-      // Valentine product checks
-      if (!isValentineEnabled) {
-        throw new Error("Valentine Special products are not available currently.");
-      }
-
-      if (!deliveryDate) {
-        throw new Error("Delivery date is required for Valentine Special products.");
-      }
-
-      // Check if delivery date is within Valentine Week (8 Feb - 15 Feb)
-      const dMonth = deliveryDate.getMonth(); // 1 = Feb
-      const dDate = deliveryDate.getDate();
-      const isValentineWeek = (dMonth === 1 && dDate >= 8 && dDate <= 15);
-
-      if (!isValentineWeek) {
-        throw new Error("Valentine Special products can only be delivered during Valentine's Week (8 Feb - 15 Feb).");
-      }
-
-      // Check if selected date is allowed for this product
-      const dayStr = `${dDate} Feb`;
-      const fullDayStr = `${dDate} February`;
-      
-      const isDateAllowed = prod.availableDates.some(availDate => {
-        const cleanAvail = availDate.trim().toLowerCase();
-        return cleanAvail === dayStr.toLowerCase() || 
-               cleanAvail === fullDayStr.toLowerCase() || 
-               cleanAvail.includes(String(dDate));
-      });
-
-      if (!isDateAllowed && prod.availableDates && prod.availableDates.length > 0) {
-        throw new Error(`Product "${prod.title || prod.name}" is not available for delivery on ${dayStr}.`);
-      }
-
-      // Check date-wise inventory
-      if (prod.dateWiseStock && typeof prod.dateWiseStock.get === 'function') {
-        const stockForDate = prod.dateWiseStock.get(dayStr) ?? prod.dateWiseStock.get(fullDayStr);
-        if (stockForDate !== undefined && stockForDate <= 0) {
-          throw new Error(`Sold Out For Selected Date`);
-        }
-      }
-
-      // Check date-wise pricing
-      if (prod.dateWisePricing && typeof prod.dateWisePricing.get === 'function') {
-        const priceForDate = prod.dateWisePricing.get(dayStr) ?? prod.dateWisePricing.get(fullDayStr);
-        if (priceForDate !== undefined) {
-          const expectedPrice = priceForDate;
-          const itemPrice = item.finalPrice || item.price;
-          if (Math.abs(itemPrice - expectedPrice) > 5) {
-            throw new Error(`Pricing mismatch for "${prod.title || prod.name}" on ${dayStr}. Expected ₹${expectedPrice}, got ₹${itemPrice}.`);
-          }
-        }
-      }
-    } else {
-      // Regular product checks
-      if (deliveryDate) {
-        const dMonth = deliveryDate.getMonth(); // 1 = Feb
-        const dDate = deliveryDate.getDate();
-        const isValentineWeek = (dMonth === 1 && dDate >= 8 && dDate <= 15);
-        if (isValentineWeek) {
-          throw new Error("Valentine Week delivery dates are reserved exclusively for Valentine's Special products.");
-        }
-      }
-    }
-  }
-
-  // Prevent mixed carts
-  if (hasValentine && hasRegular) {
-    throw new Error("Valentine Special products and Regular products cannot be checked out together because they follow different delivery schedules.");
-  }
-};
-
-
 // @desc    Create new order
 // @route   POST /api/orders
 // @access  Private
@@ -303,7 +155,9 @@ const createOrder = async (req, res) => {
     console.log('User from request:', req.user);
     console.log('Received order data:', JSON.stringify(req.body, null, 2));
 
-    const { shippingDetails, items, paymentDetails, totalAmount, giftDetails, currency, currencyRate, originalCurrency } = req.body;
+    // Amounts in the request are catalogue (rupee) amounts; the server converts them into the
+    // customer's currency at its own rate
+    const { shippingDetails, items, paymentDetails, totalAmount, giftDetails, currency } = req.body;
 
     // Resolve any client-side valentine-gift- IDs
     await resolveGiftBuilderProductIds(items, req.user?._id);
@@ -316,6 +170,17 @@ const createOrder = async (req, res) => {
       });
     }
 
+    let currencySnapshot;
+    try {
+      currencySnapshot = await getRateSnapshot(currency);
+    } catch (currencyError) {
+      if (!isCurrencyError(currencyError)) throw currencyError;
+      return res.status(currencyError.statusCode).json({
+        success: false,
+        message: currencyError.message
+      });
+    }
+
     // Valentine validations
     try {
       await validateOrderValentineRules(items, shippingDetails);
@@ -334,92 +199,77 @@ const createOrder = async (req, res) => {
       });
     }
 
-    // Generate order number in YYMM-XXX-DD format
-    const date = new Date();
-    const year = date.getFullYear().toString().slice(-2);
-    const month = (date.getMonth() + 1).toString().padStart(2, '0');
-    const day = date.getDate().toString().padStart(2, '0');
+    // Use the number reserved via /next-number when valid, otherwise take the next in sequence
+    const orderNumber = await resolveOrderNumber(req.body.orderNumber, getCheckoutHolderKey(req));
 
-    // Find the last order for the current year and month
-    const lastOrder = await Order.findOne({
-      orderNumber: new RegExp(`^${year}${month}`)
-    }, {}, { sort: { 'orderNumber': -1 } });
-
-    let sequence = '001';
-    if (lastOrder) {
-      // Extract the sequence number from the last order (positions 4-6 in YYMMDDDDD format)
-      const lastSequence = parseInt(lastOrder.orderNumber.substring(4, 7));
-      sequence = (lastSequence + 1).toString().padStart(3, '0');
+    // Enforce the IST same-day cutoff and shop holidays
+    try {
+      await validateDeliveryDate(shippingDetails?.deliveryDate);
+    } catch (dateError) {
+      return res.status(400).json({
+        success: false,
+        message: dateError.message
+      });
     }
 
-    const orderNumber = `${year}${month}${sequence}${day}`;
-
-    // Server-side calculation and validation
-    const subtotalCalculated = items.reduce((sum, item) => sum + (item.finalPrice || item.price) * item.quantity, 0);
-
-    // Enforce same-day delivery IST cutoff validation
-    if (shippingDetails && shippingDetails.deliveryDate) {
-      const deliveryDateMoment = moment(shippingDetails.deliveryDate).utcOffset('+05:30').startOf('day');
-      const currentIST = moment().utcOffset('+05:30');
-      const currentISTStartOfToday = moment().utcOffset('+05:30').startOf('day');
-
-      if (deliveryDateMoment.isBefore(currentISTStartOfToday, 'day')) {
-        return res.status(400).json({
-          success: false,
-          message: 'Delivery date cannot be in the past.'
-        });
-      }
-
-      if (deliveryDateMoment.isSame(currentISTStartOfToday, 'day')) {
-        if (currentIST.hour() >= 18) {
-          return res.status(400).json({
-            success: false,
-            message: 'Same-day delivery is available only for orders placed before 6:00 PM. Please select the next available delivery date.'
-          });
-        }
-      }
+    // Price the order from the catalogue and the promo code, never from the client's amounts
+    let pricing;
+    try {
+      pricing = await priceCheckout({ items, shippingDetails, giftDetails, promoCode: req.body.promoCode, userId });
+    } catch (pricingError) {
+      if (!isDeliveryZoneError(pricingError) && !isOrderPricingError(pricingError)) throw pricingError;
+      return res.status(400).json({
+        success: false,
+        message: pricingError.message,
+        code: pricingError.code,
+        details: pricingError.details
+      });
     }
 
-    const deliveryChargeResult = await calculateDeliveryFee({
-      subtotal: subtotalCalculated,
-      timeSlot: shippingDetails.timeSlot,
-      userId,
-      email: shippingDetails.email,
-      phone: shippingDetails.phone
-    });
-    const deliveryChargeCalculated = deliveryChargeResult.deliveryCharge;
-    const isFirstOrderFreeDelivery = deliveryChargeResult.isFirstOrderFreeDelivery;
-
     // Validate subtotal if sent
-    if (req.body.subtotal !== undefined && Math.abs(req.body.subtotal - subtotalCalculated) > 1) {
+    if (req.body.subtotal !== undefined && Math.abs(req.body.subtotal - pricing.subtotal) > 1) {
       return res.status(400).json({
         success: false,
-        message: `Invalid subtotal. Expected ${subtotalCalculated}, got ${req.body.subtotal}`
+        message: `Invalid subtotal. Expected ${pricing.subtotal}, got ${req.body.subtotal}`
       });
     }
 
     // Validate delivery charge if sent
-    if (req.body.deliveryCharge !== undefined && Math.abs(req.body.deliveryCharge - deliveryChargeCalculated) > 1) {
+    if (req.body.deliveryCharge !== undefined && Math.abs(req.body.deliveryCharge - pricing.deliveryCharge) > 1) {
       return res.status(400).json({
         success: false,
-        message: `Invalid delivery charge. Expected ${deliveryChargeCalculated}, got ${req.body.deliveryCharge}`
+        message: `Invalid delivery charge. Expected ${pricing.deliveryCharge}, got ${req.body.deliveryCharge}`
       });
     }
 
-    // Discount from request or derived from totalAmount formula
-    const discount = req.body.discount !== undefined
-      ? req.body.discount
-      : Math.max(0, subtotalCalculated + deliveryChargeCalculated - totalAmount);
-
-    const finalTotal = subtotalCalculated + deliveryChargeCalculated - discount;
-
-    if (Math.abs(totalAmount - finalTotal) > 1) {
+    if (Math.abs(totalAmount - pricing.finalTotal) > 1) {
       return res.status(400).json({
         success: false,
-        message: `Total amount mismatch. Calculated ${finalTotal}, got ${totalAmount}`
+        message: `Total amount mismatch. Calculated ${pricing.finalTotal}, got ${totalAmount}`
       });
     }
 
+    // A Razorpay payment only counts once its signature checks out; without one the order
+    // waits for verify-payment or the webhook to mark it paid
+    let isPaymentVerified = false;
+    if (paymentDetails.method === 'razorpay' && paymentDetails.razorpayPaymentId) {
+      try {
+        isPaymentVerified = verifyPayment(
+          paymentDetails.razorpayOrderId,
+          paymentDetails.razorpayPaymentId,
+          paymentDetails.razorpaySignature
+        );
+      } catch (verifyError) {
+        isPaymentVerified = false;
+      }
+      if (!isPaymentVerified) {
+        return res.status(400).json({
+          success: false,
+          message: 'Payment verification failed'
+        });
+      }
+    }
+
     // Create the order object with all required fields
     const orderData = {
       orderNumber,
@@ -448,7 +298,7 @@ const createOrder = async (req, res) => {
         floor: shippingDetails.floor,
         deliveryInstructions: shippingDetails.deliveryInstructions,
       },
-      items: items.map(item => ({
+      items: pricing.items.map(item => ({
         product: item.product || item.productId,
         productModel: item.productModel || 'Product',
         title: item.title || '',
@@ -465,21 +315,44 @@ const createOrder = async (req, res) => {
         method: paymentDetails.method,
         razorpayOrderId: paymentDetails.razorpayOrderId,
         razorpayPaymentId: paymentDetails.razorpayPaymentId,
-        razorpaySignature: paymentDetails.razorpaySignature
+        razorpaySignature: paymentDetails.razorpaySignature,
+        ...(paymentDetails.method === 'razorpay' && {
+          status: isPaymentVerified ? 'paid' : 'pending',
+          paidAt: isPaymentVerified ? new Date() : undefined
+        })
       },
-      totalAmount: finalTotal,
-      subtotal: subtotalCalculated,
-      deliveryCharge: deliveryChargeCalculated,
-      discount,
-      finalTotal,
-      isFirstOrderFreeDelivery,
-      currency: currency || 'INR',
-      currencyRate: currencyRate || 1,
-      originalCurrency: originalCurrency || currency || 'INR',
+      totalAmount: pricing.finalTotal,
+      subtotal: pricing.subtotal,
+      deliveryCharge: pricing.deliveryCharge,
+      discount: pricing.discount,
+      taxAmount: pricing.taxAmount,
+      finalTotal: pricing.finalTotal,
+      isFirstOrderFreeDelivery: pricing.isFirstOrderFreeDelivery,
+      deliveryZone: pricing.deliveryZone,
+      deliveryChargeBreakdown: pricing.deliveryChargeBreakdown,
+      deliveryDistanceKm: pricing.deliveryDistanceKm,
+      surge: pricing.surge,
+      ...getOrderCurrencyFields(currencySnapshot),
       status: 'order_placed',
-      promoCode: req.body.promoCode || undefined
+      promoCode: pricing.promoCode || undefined
     };
 
+    // Store the amounts in the order currency at the snapshot rate
+    const converted = convertOrderAmounts(orderData, currencySnapshot);
+    Object.assign(orderData, converted, { totalAmount: converted.finalTotal });
+
+    if (isPaymentVerified && await refundMismatchedPayment({
+      razorpayOrderId: paymentDetails.razorpayOrderId,
+      razorpayPaymentId: paymentDetails.razorpayPaymentId,
+      finalTotal: orderData.finalTotal,
+      currency: orderData.currency
+    })) {
+      return res.status(409).json({
+        success: false,
+        message: AMOUNT_MISMATCH_MESSAGE
+      });
+    }
+
     // Add gift details if present
     if (giftDetails) {
       orderData.giftDetails = {
@@ -512,7 +385,57 @@ const createOrder = async (req, res) => {
     console.log('Creating order with data:', JSON.stringify(orderData, null, 2));
 
     const order = new Order(orderData);
-    const savedOrder = await order.save();
+
+    // Book the delivery slot first: each place is an atomic increment, so the last one can't go twice.
+    // A payment that has already been captured keeps its place even if the slot has just filled.
+    try {
+      await bookOrderSlot(order, { overbook: isPaymentVerified });
+    } catch (slotError) {
+      if (isSlotCapacityError(slotError)) {
+        return res.status(409).json({
+          success: false,
+          message: slotError.message,
+          code: slotError.code,
+          details: slotError.details
+        });
+      }
+      throw slotError;
+    }
+
+    // Take the stock before the order exists so concurrent checkouts can't both get the last unit.
+    // Unpaid Razorpay orders get an expiring hold; everything else is committed straight away.
+    const isAwaitingPayment = orderData.paymentDetails.method === 'razorpay' && !isPaymentVerified;
+    try {
+      const claimed = await claimRazorpayHolds(orderData.paymentDetails.razorpayOrderId, order, { commit: !isAwaitingPayment });
+      if (!claimed) {
+        await reserveStockForOrder(order, { hold: isAwaitingPayment });
+      }
+    } catch (stockError) {
+      await releaseOrderSlot(order);
+      if (isStockUnavailableError(stockError)) {
+        return res.status(409).json({
+          success: false,
+          message: isPaymentVerified
+            ? await refundOutOfStockPayment({
+              razorpayOrderId: paymentDetails.razorpayOrderId,
+              razorpayPaymentId: paymentDetails.razorpayPaymentId,
+              stockError
+            })
+            : stockError.message,
+          details: stockError.details
+        });
+      }
+      throw stockError;
+    }
+
+    let savedOrder;
+    try {
+      savedOrder = await order.save();
+    } catch (saveError) {
+      await releaseOrderStock(order, 'order_save_failed');
+      await releaseOrderSlot(order);
+      throw saveError;
+    }
 
     // Track campaign conversion if promo code is used
     if (savedOrder.promoCode) {
@@ -585,7 +508,7 @@ const createOrder = async (req, res) => {
           id: adminNotification.id || `order-${Date.now()}`,
           type: 'order',
           title: '🎉 New Order Received!',
-          message: `Order ${savedOrder.orderNumber} placed by ${customer.name}. Amount: ${savedOrder.currency === 'INR' ? '₹' : '$'}${savedOrder.totalAmount}`,
+          message: `Order ${savedOrder.orderNumber} placed by ${customer.name}. Amount: ${formatCurrency(savedOrder.totalAmount, savedOrder.currency)}`,
           createdAt: new Date().toISOString(),
           isRead: false,
           orderId: savedOrder._id,
@@ -608,7 +531,7 @@ const createOrder = async (req, res) => {
         console.log('🔔 Sending push notification to all admin devices...');
         const fcmResult = await sendToAllAdmins({
           title: '🎉 New Order Received!',
-          body: `Order #${savedOrder.orderNumber} - ${savedOrder.currency === 'INR' ? '₹' : '$'}${savedOrder.totalAmount}`,
+          body: `Order #${savedOrder.orderNumber} - ${formatCurrency(savedOrder.totalAmount, savedOrder.currency)}`,
           orderId: savedOrder._id.toString(),
           orderNumber: savedOrder.orderNumber,
           customerName: customer.name,
@@ -663,25 +586,201 @@ const createOrder = async (req, res) => {
   }
 };
 
-// Function to get the next order number (useful for previews)
-const getNextOrderNumber = async (req, res) => {
+const readMultiRecipientCheckout = (req) => ({
+  recipients: req.body.recipients,
+  customer: req.body.customer,
+  userId: req.user?._id || null,
+  promoCode: req.body.promoCode?.code || req.body.promoCode || undefined,
+  currency: req.body.currency || 'INR',
+});
+
+// @desc    Price a cart split across several recipients
+// @route   POST /api/orders/multi-recipient/quote
+// @access  Public
+const quoteMultiRecipientOrder = async (req, res) => {
   try {
-    const date = new Date();
-    const year = date.getFullYear().toString().slice(-2);
-    const month = (date.getMonth() + 1).toString().padStart(2, '0');
-    const day = date.getDate().toString().padStart(2, '0');
+    const { recipients } = req.body;
+    if (Array.isArray(recipients)) {
+      for (const recipient of recipients) {
+        await resolveGiftBuilderProductIds(recipient.items, req.user?._id);
+      }
+    }
+
+    const totals = await priceMultiRecipientCheckout(readMultiRecipientCheckout(req));
+
+    res.json({
+      success: true,
+      data: {
+        shipments: totals.shipments.map((shipment, index) => ({
+          position: index + 1,
+          deliveryDate: shipment.shippingDetails.deliveryDate,
+          timeSlot: shipment.shippingDetails.timeSlot,
+          ...shipment.pricing
+        })),
+        subtotal: totals.subtotal,
+        deliveryCharge: totals.deliveryCharge,
+        discount: totals.discount,
+        taxAmount: totals.taxAmount,
+        totalAmount: totals.totalAmount,
+        currency: totals.currencySnapshot.currency,
+        currencyRate: totals.currencySnapshot.rate,
+        promoCode: totals.promoCode
+      }
+    });
+  } catch (error) {
+    if (isOrderPricingError(error) || isDeliveryZoneError(error) || isCurrencyError(error)) {
+      return res.status(400).json({ success: false, message: error.message, details: error.details });
+    }
+    console.error('Error pricing multi-recipient checkout:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Error pricing checkout'
+    });
+  }
+};
+
+// @desc    Place one checkout as separate orders for several recipients
+// @route   POST /api/orders/multi-recipient
+// @access  Public
+const createMultiRecipientOrder = async (req, res) => {
+  try {
+    const { recipients, paymentDetails } = req.body;
+    if (Array.isArray(recipients)) {
+      for (const recipient of recipients) {
+        await resolveGiftBuilderProductIds(recipient.items, req.user?._id);
+      }
+    }
+
+    const checkout = readMultiRecipientCheckout(req);
+    const { groupId, orders, totals, razorpayOrder } = await placeMultiRecipientOrder({
+      ...checkout,
+      paymentMethod: paymentDetails?.method
+    });
+
+    if (totals.promoCode) {
+      await trackPromoCodeConversion(totals.promoCode);
+    }
+
+    await logActivity({
+      req,
+      actionType: 'Checkout',
+      method: 'POST',
+      status: 'Success',
+      userId: checkout.userId,
+      metadata: {
+        checkoutGroup: groupId,
+        orderNumbers: orders.map((order) => order.orderNumber),
+        totalAmount: totals.totalAmount,
+        recipientCount: orders.length,
+      },
+    });
+
+    // Each recipient's order gets its own confirmation; admins are notified once per checkout
+    try {
+      const customer = checkout.userId
+        ? await User.findById(checkout.userId)
+        : { name: orders[0].shippingDetails.fullName, email: orders[0].shippingDetails.email, phone: orders[0].shippingDetails.phone };
 
-    const lastOrder = await Order.findOne({
-      orderNumber: new RegExp(`^${year}${month}`)
-    }, {}, { sort: { 'orderNumber': -1 } });
+      for (const order of orders) {
+        const populatedOrder = await Order.findById(order._id).populate({ path: 'items.product', select: 'name title price images' });
+        await sendEmailNotification({
+          order: populatedOrder,
+          customer: { name: customer.name, email: customer.email, phone: customer.phone || populatedOrder.shippingDetails.phone },
+          items: populatedOrder.items
+        });
+      }
 
-    let sequence = '001';
-    if (lastOrder) {
-      const lastSequence = parseInt(lastOrder.orderNumber.substring(4, 7));
-      sequence = (lastSequence + 1).toString().padStart(3, '0');
+      const orderList = orders.map((order) => order.orderNumber).join(', ');
+      await createOrderNotification({
+        orderId: orders[0]._id,
+        orderNumber: orderList,
+        customerName: customer.name,
+        amount: totals.totalAmount,
+        currency: orders[0].currency
+      });
+      await sendToAllAdmins({
+        title: '🎉 New Order Received!',
+        body: `${orders.length} orders (#${orderList}) - ${formatCurrency(totals.totalAmount, orders[0].currency)}`,
+        orderId: orders[0]._id.toString(),
+        orderNumber: orders[0].orderNumber,
+        customerName: customer.name,
+        amount: totals.totalAmount.toString(),
+        type: 'NEW_ORDER'
+      });
+    } catch (notificationError) {
+      console.error('❌ Error sending multi-recipient order notifications:', notificationError);
     }
 
-    const nextOrderNumber = `${year}${month}${sequence}${day}`;
+    res.status(201).json({
+      success: true,
+      checkoutGroup: groupId,
+      totalAmount: totals.totalAmount,
+      orders,
+      ...(razorpayOrder && {
+        razorpay: {
+          amount: razorpayOrder.amount,
+          currency: razorpayOrder.currency,
+          order_id: razorpayOrder.id,
+          key: RAZORPAY_KEY_ID,
+          stockHoldExpiresAt: orders[0].stockHoldExpiresAt
+        }
+      })
+    });
+  } catch (error) {
+    if (isOrderPricingError(error) || isDeliveryZoneError(error) || isStockUnavailableError(error) || isSlotCapacityError(error) || isCurrencyError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, details: error.details });
+    }
+    console.error('Error creating multi-recipient order:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Error creating order'
+    });
+  }
+};
+
+// @desc    Get every order of a multi-recipient checkout with its delivery status
+// @route   GET /api/orders/group/:groupId
+// @access  Private (owner or admin)
+const getCheckoutGroup = async (req, res) => {
+  try {
+    const orders = await Order.find({ 'checkoutGroup.id': req.params.groupId })
+      .sort({ 'checkoutGroup.position': 1 })
+      .populate({ path: 'items.product', select: 'title price images' });
+
+    const isStaff = ['platform_admin', 'admin'].includes(req.user.role) || req.user.permissions?.includes('orders:view');
+    if (orders.length === 0 || (!isStaff && orders.some((order) => String(order.user) !== String(req.user._id)))) {
+      return res.status(404).json({ success: false, message: 'Checkout not found' });
+    }
+
+    const assignments = await DeliveryAssignment.find({ orderId: { $in: orders.map((order) => order._id) } })
+      .sort({ createdAt: -1 })
+      .select('orderId status partnerId eta deliveryTime')
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        checkoutGroup: req.params.groupId,
+        totalAmount: orders.reduce((sum, order) => sum + order.totalAmount, 0),
+        orders: orders.map((order) => ({
+          ...order.toObject(),
+          // Latest assignment first, so this is the one currently tracking the delivery
+          delivery: assignments.find((assignment) => String(assignment.orderId) === String(order._id)) || null
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching checkout group:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Reserves the next order number from the sequence for this customer. Pass it back as
+// `orderNumber` when creating the order (the same day) to keep it; unused reservations
+// simply leave a gap.
+const getNextOrderNumber = async (req, res) => {
+  try {
+    const nextOrderNumber = await reserveOrderNumberFor(getCheckoutHolderKey(req));
 
     res.json({
       success: true,
@@ -777,94 +876,19 @@ const updateOrderToDelivered = async (req, res) => {
 
     console.log('🔄 Status change:', previousStatus, '→', order.status);
 
-    // Update stock when order is delivered
-    if (!['being_made', 'delivered'].includes(previousStatus) && !order.stockUpdated) {
-      console.log('📦 Updating stock for order:', order.orderNumber);
-
-      for (const item of order.items) {
-        let product;
-        if (item.productModel === 'AddonProduct') {
-          product = await AddonProduct.findById(item.product._id);
-        } else {
-          product = await Product.findById(item.product._id);
-        }
-        if (product) {
-          if (item.productModel === 'AddonProduct') {
-            if (product.stock >= item.quantity) {
-              product.stock -= item.quantity;
-              await product.save({ validateBeforeSave: false });
-              console.log(`✅ Updated stock for addon product ${product.title || product.name}: ${product.stock + item.quantity} -> ${product.stock}`);
-            } else {
-              console.log(`Warning: Insufficient stock for addon product ${product.title || product.name}. Available: ${product.stock}, Required: ${item.quantity}`);
-              return res.status(400).json({
-                message: `Insufficient stock for addon product ${product.title || product.name}. Available: ${product.stock}, Required: ${item.quantity}`
-              });
-            }
-          } else {
-            const requiredStock = (product.personalizationEnabled && (item.characterCount || item.customization?.personalization?.characterCount))
-              ? (item.characterCount || item.customization?.personalization?.characterCount) * item.quantity
-              : item.quantity;
-
-            if (product.countInStock >= requiredStock) {
-              product.countInStock -= requiredStock;
-
-              if (product.productType === 'valentine' || product.isValentineProduct) {
-                const d = new Date(order.shippingDetails.deliveryDate);
-                const dayStr = `${d.getDate()} Feb`;
-                const fullDayStr = `${d.getDate()} February`;
-                let keyToUse = null;
-                if (product.dateWiseStock && typeof product.dateWiseStock.has === 'function') {
-                  if (product.dateWiseStock.has(dayStr)) keyToUse = dayStr;
-                  else if (product.dateWiseStock.has(fullDayStr)) keyToUse = fullDayStr;
-                  if (keyToUse) {
-                    const currentStock = product.dateWiseStock.get(keyToUse);
-                    product.dateWiseStock.set(keyToUse, Math.max(0, currentStock - item.quantity));
-                  }
-                }
-              }
-
-              try {
-                // Clean product data before saving to prevent casting errors
-                cleanProductData(product);
-                await product.save();
-                console.log(`✅ Updated stock for product ${product.title}: ${product.countInStock + requiredStock} -> ${product.countInStock}`);
-              } catch (productSaveError) {
-                console.error(`❌ Error saving product ${product.title}:`, productSaveError);
-
-                // Try to save without cleaning if the cleaning failed
-                try {
-                  // Reset any changes and just update the stock
-                  const freshProduct = await Product.findById(item.product._id);
-                  const freshRequiredStock = (freshProduct && freshProduct.personalizationEnabled && (item.characterCount || item.customization?.personalization?.characterCount))
-                    ? (item.characterCount || item.customization?.personalization?.characterCount) * item.quantity
-                    : item.quantity;
-
-                  if (freshProduct && freshProduct.countInStock >= freshRequiredStock) {
-                    freshProduct.countInStock -= freshRequiredStock;
-                    // Force save without validation for malformed data
-                    await freshProduct.save({ validateBeforeSave: false });
-                    console.log(`⚠️  Force-updated stock for product ${freshProduct.title} (bypassed validation)`);
-                  } else {
-                    console.error(`❌ Could not force-update stock for product ${product.title}`);
-                  }
-                } catch (forceSaveError) {
-                  console.error(`❌ Force save also failed for product ${product.title}:`, forceSaveError);
-                }
-              }
-            } else {
-              console.log(`Warning: Insufficient stock for product ${product.title}. Available: ${product.countInStock}, Required: ${requiredStock}`);
-              return res.status(400).json({
-                message: `Insufficient stock for product ${product.title}. Available: ${product.countInStock}, Required: ${requiredStock}`
-              });
-            }
-          }
+    // Stock is reserved at checkout; make sure it is committed before the order is closed
+    if (!['being_made', 'delivered'].includes(previousStatus)) {
+      try {
+        await ensureOrderStockCommitted(order);
+      } catch (stockError) {
+        if (isStockUnavailableError(stockError)) {
+          console.log(`Warning: ${stockError.message}`);
+          return res.status(400).json({ message: stockError.message });
         }
+        throw stockError;
       }
-
-      // Mark stock as updated
-      order.stockUpdated = true;
     } else {
-      console.log('📦 Stock already updated or status already processed');
+      console.log('📦 Stock already committed or status already processed');
     }
 
     const updatedOrder = await order.save();
@@ -875,6 +899,8 @@ const updateOrderToDelivered = async (req, res) => {
       console.log('🚚 Order delivered, sending delivery confirmation email with invoice...');
       console.log('📧 Previous status:', previousStatus, 'New status:', order.status);
 
+      await scheduleReviewRequest(order);
+
       // Create delivery notification for admin
       try {
         const { createAdminNotification } = require('./notificationController');
@@ -1261,7 +1287,7 @@ const updateOrderStatus = async (req, res) => {
       try {
         const notificationResult = await sendToAllAdmins({
           title: '🎉 New Order Received!',
-          body: `Order #${order.orderNumber} - ₹${order.totalAmount}`,
+          body: `Order #${order.orderNumber} - ${formatCurrency(order.totalAmount, order.currency)}`,
           orderId: order._id.toString(),
           orderNumber: order.orderNumber,
           customerName: order.shippingDetails?.fullName || 'Customer',
@@ -1291,61 +1317,19 @@ const updateOrderStatus = async (req, res) => {
 
     console.log('🔄 Status change:', previousStatus, '→', order.status);
 
-    // Update stock when order is confirmed (being_made or delivered)
-    if ((status === 'being_made' || status === 'delivered') && !['being_made', 'delivered'].includes(previousStatus) && !order.stockUpdated) {
-      console.log('📦 Updating stock for order:', order.orderNumber);
-
-      for (const item of order.items) {
-        const product = await Product.findById(item.product._id);
-        if (product) {
-          // Check if we have enough stock
-          const requiredStock = (product.personalizationEnabled && (item.characterCount || item.customization?.personalization?.characterCount))
-            ? (item.characterCount || item.customization?.personalization?.characterCount) * item.quantity
-            : item.quantity;
-
-          if (product.countInStock >= requiredStock) {
-            product.countInStock -= requiredStock;
-
-            try {
-              // Clean product data before saving to prevent casting errors
-              cleanProductData(product);
-              await product.save();
-              console.log(`✅ Updated stock for product ${product.title}: ${product.countInStock + requiredStock} -> ${product.countInStock}`);
-            } catch (productSaveError) {
-              console.error(`❌ Error saving product ${product.title}:`, productSaveError);
-
-              // Try to save without cleaning if the cleaning failed
-              try {
-                // Reset any changes and just update the stock
-                const freshProduct = await Product.findById(item.product._id);
-                const freshRequiredStock = (freshProduct && freshProduct.personalizationEnabled && (item.characterCount || item.customization?.personalization?.characterCount))
-                  ? (item.characterCount || item.customization?.personalization?.characterCount) * item.quantity
-                  : item.quantity;
-
-                if (freshProduct && freshProduct.countInStock >= freshRequiredStock) {
-                  freshProduct.countInStock -= freshRequiredStock;
-                  // Force save without validation for malformed data
-                  await freshProduct.save({ validateBeforeSave: false });
-                  console.log(`⚠️  Force-updated stock for product ${freshProduct.title} (bypassed validation)`);
-                } else {
-                  console.error(`❌ Could not force-update stock for product ${product.title}`);
-                }
-              } catch (forceSaveError) {
-                console.error(`❌ Force save also failed for product ${product.title}:`, forceSaveError);
-              }
-            }
-          } else {
-            console.log(`Warning: Insufficient stock for product ${product.title}. Available: ${product.countInStock}, Required: ${requiredStock}`);
-            return res.status(400).json({
-              message: `Insufficient stock for product ${product.title}. Available: ${product.countInStock}, Required: ${requiredStock}`
-            });
-          }
+    // Stock is reserved at checkout; commit it (or reserve it for lapsed holds and older orders)
+    // once the order goes into production or is delivered
+    if ((status === 'being_made' || status === 'delivered') && !['being_made', 'delivered'].includes(previousStatus)) {
+      try {
+        await ensureOrderStockCommitted(order);
+      } catch (stockError) {
+        if (isStockUnavailableError(stockError)) {
+          console.log(`Warning: ${stockError.message}`);
+          return res.status(400).json({ message: stockError.message });
         }
+        throw stockError;
       }
 
-      // Mark stock as updated
-      order.stockUpdated = true;
-
       // Create status change notification for admin based on new status
       try {
         const { createAdminNotification } = require('./notificationController');
@@ -1377,26 +1361,29 @@ const updateOrderStatus = async (req, res) => {
       } catch (notificationError) {
         console.error('Error creating status change notification:', notificationError);
       }
-
-      // Create notification for stock update
-      try {
-        const notification = new Notification({
-          title: 'Stock Updated',
-          message: `Stock updated for order ${order.orderNumber}. ${order.items.length} products' stock reduced.`,
-          type: 'info',
-          read: false
-        });
-        await notification.save();
-      } catch (notificationError) {
-        console.error('Error creating stock update notification:', notificationError);
-      }
     } else {
-      console.log('📦 Stock already updated or status already processed');
+      console.log('📦 Stock already committed or status already processed');
+    }
+
+    // Return reserved stock and the delivery slot place when an order is cancelled
+    if (status === 'cancelled' && previousStatus !== 'cancelled') {
+      const released = await releaseOrderStock(order, 'order_cancelled');
+      console.log(`📦 Released ${released} stock reservation(s) for cancelled order ${order.orderNumber}`);
+      await releaseOrderSlot(order);
     }
 
     const updatedOrder = await order.save();
     console.log('💾 Order saved successfully');
 
+    // Cancelling an invoiced order credits whatever the invoice still has uncredited
+    if (status === 'cancelled' && previousStatus !== 'cancelled' && order.invoice?.number) {
+      try {
+        await issueCreditNote(order._id, { reason: 'Order cancelled', issuedBy: req.user?._id });
+      } catch (creditError) {
+        console.error(`Failed to issue credit note for cancelled order ${order.orderNumber}:`, creditError);
+      }
+    }
+
     // Send delivery confirmation email with invoice when order is delivered
     console.log('🧪 Checking delivery email condition...');
     console.log('  status === "delivered":', status === 'delivered');
@@ -1408,6 +1395,8 @@ const updateOrderStatus = async (req, res) => {
       console.log('🚚 Order delivered, sending delivery confirmation email with invoice...');
       console.log('📧 Previous status:', previousStatus, 'New status:', order.status);
 
+      await scheduleReviewRequest(order);
+
       // Create delivery notification for admin
       try {
         const { createAdminNotification } = require('./notificationController');
@@ -1500,48 +1489,6 @@ const updateOrderStatus = async (req, res) => {
       console.log('📧 Email not sent - order was already delivered or status is not delivered');
     }
 
-    // Restore stock if order is cancelled from being_made or delivered status
-    if (status === 'cancelled' && ['being_made', 'delivered'].includes(previousStatus) && order.stockUpdated) {
-      console.log('Order cancelled from completed status, restoring stock for items:', order.items);
-
-      for (const item of order.items) {
-        const product = await Product.findById(item.product._id);
-        if (product) {
-          const restoredStock = (product.personalizationEnabled && (item.characterCount || item.customization?.personalization?.characterCount))
-            ? (item.characterCount || item.customization?.personalization?.characterCount) * item.quantity
-            : item.quantity;
-
-          product.countInStock += restoredStock;
-
-          try {
-            // Clean product data before saving to prevent casting errors
-            cleanProductData(product);
-            await product.save();
-            console.log(`✅ Restored stock for product ${product.title}: ${product.countInStock - restoredStock} -> ${product.countInStock}`);
-          } catch (productSaveError) {
-            console.error(`❌ Error saving product during stock restoration ${product.title}:`, productSaveError);
-
-            // Try to save without cleaning if the cleaning failed
-            try {
-              // Reset and try force save
-              const freshProduct = await Product.findById(item.product._id);
-              if (freshProduct) {
-                const freshRestoredStock = (freshProduct.personalizationEnabled && (item.characterCount || item.customization?.personalization?.characterCount))
-                  ? (item.characterCount || item.customization?.personalization?.characterCount) * item.quantity
-                  : item.quantity;
-
-                freshProduct.countInStock += freshRestoredStock;
-                await freshProduct.save({ validateBeforeSave: false });
-                console.log(`⚠️  Force-restored stock for product ${freshProduct.title} (bypassed validation)`);
-              }
-            } catch (forceSaveError) {
-              console.error(`❌ Force save also failed for product ${product.title}:`, forceSaveError);
-            }
-          }
-        }
-      }
-    }
-
     console.log('✅ updateOrderStatus completed successfully');
     res.json(updatedOrder);
   } catch (error) {
@@ -1551,13 +1498,18 @@ const updateOrderStatus = async (req, res) => {
   }
 };
 
-// @desc    Create Razorpay order
+// @desc    Create Razorpay order for the server-priced cart and hold its stock.
+//          Body: { amount, currency, items, shippingDetails, giftDetails, promoCode }.
+//          Deprecated: a body with only { amount, currency } (no items) still creates an order
+//          for that amount, without a price check or stock hold, and the response carries a
+//          Deprecation header. The order is still checked against the priced total when it is
+//          placed. Clients must send items before this shape is removed.
 // @route   POST /api/orders/create-razorpay-order
 // @access  Private
 const createRazorpayOrderHandler = async (req, res) => {
   try {
     console.log('Received request body:', req.body);
-    const { amount, currency } = req.body;
+    const { amount, currency, items, shippingDetails = {}, giftDetails, promoCode } = req.body;
 
     if (!amount) {
       return res.status(400).json({
@@ -1566,20 +1518,126 @@ const createRazorpayOrderHandler = async (req, res) => {
       });
     }
 
-    // Amount should already be in paise from frontend
+    // The cart is needed to check the amount and hold its stock (older clients send none, see above)
+    const isLegacyRequest = items === undefined;
+    if (!isLegacyRequest && (!Array.isArray(items) || items.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order must contain items'
+      });
+    }
+
+    // Don't take payment for a slot that has already filled up
+    if (shippingDetails.deliveryDate) {
+      try {
+        const zone = await resolveDeliveryZone(shippingDetails).catch((zoneError) => {
+          if (isDeliveryZoneError(zoneError)) return null;
+          throw zoneError;
+        });
+        await assertSlotAvailable({ deliveryDate: shippingDetails.deliveryDate, timeSlot: shippingDetails.timeSlot, zoneId: zone?._id });
+      } catch (slotError) {
+        if (isSlotCapacityError(slotError)) {
+          return res.status(409).json({
+            success: false,
+            message: slotError.message,
+            code: slotError.code,
+            details: slotError.details
+          });
+        }
+        throw slotError;
+      }
+    }
+
+    // Only take payment in a currency the order can then be placed in
+    let currencySnapshot;
+    try {
+      currencySnapshot = await getRateSnapshot(currency);
+    } catch (currencyError) {
+      if (!isCurrencyError(currencyError)) throw currencyError;
+      return res.status(currencyError.statusCode).json({
+        success: false,
+        message: currencyError.message
+      });
+    }
+
+    if (isLegacyRequest) {
+      const amountInPaise = Math.round(parseFloat(amount));
+      console.warn(`⚠️ Deprecated create-razorpay-order request without items (${amountInPaise} ${currencySnapshot.currency})`);
+      const order = await createRazorpayOrder(amountInPaise, currencySnapshot.currency);
+      res.set('Deprecation', 'true');
+      return res.json({
+        success: true,
+        amount: order.amount,
+        currency: order.currency,
+        currencyRate: currencySnapshot.rate,
+        order_id: order.id,
+        key: RAZORPAY_KEY_ID,
+        stockHoldExpiresAt: null
+      });
+    }
+
+    // Price the cart the way checkout will, so a payment can't be started for less than it costs
+    const userId = req.user?._id || null;
+    await resolveGiftBuilderProductIds(items, userId);
+    let pricing;
+    try {
+      pricing = convertOrderAmounts(await priceCheckout({ items, shippingDetails, giftDetails, promoCode, userId }), currencySnapshot);
+    } catch (pricingError) {
+      if (!isDeliveryZoneError(pricingError) && !isOrderPricingError(pricingError)) throw pricingError;
+      return res.status(400).json({
+        success: false,
+        message: pricingError.message,
+        code: pricingError.code,
+        details: pricingError.details
+      });
+    }
+
+    // Amount should already be in the currency's smallest unit (paise, cents) from frontend
     const amountInPaise = Math.round(parseFloat(amount));
+    const expectedInPaise = Math.round(pricing.finalTotal * 100);
+    if (!(Math.abs(amountInPaise - expectedInPaise) <= 100)) {
+      return res.status(400).json({
+        success: false,
+        message: `Total amount mismatch. Calculated ${pricing.finalTotal}, got ${amountInPaise / 100}`
+      });
+    }
 
-    console.log('Creating Razorpay order with:', { amount: amountInPaise, currency });
-    const order = await createRazorpayOrder(amountInPaise, currency);
+    // Charge the server's total, not the client's, so the payment matches the order it pays for
+    console.log('Creating Razorpay order with:', { amount: expectedInPaise, currency: currencySnapshot.currency });
+    const order = await createRazorpayOrder(expectedInPaise, currencySnapshot.currency);
     console.log('Razorpay order created:', order);
 
+    // Hold the cart's stock while the customer pays; the hold lapses if payment never arrives.
+    // Holds are counted per customer (or, for guests, per IP) so one caller can't tie up the stock.
+    let stockHoldExpiresAt = null;
+    try {
+      const reservations = await holdStockForRazorpayOrder({
+        razorpayOrderId: order.id,
+        items,
+        deliveryDate: shippingDetails.deliveryDate,
+        holderKey: getCheckoutHolderKey(req)
+      });
+      stockHoldExpiresAt = reservations[0]?.expiresAt || null;
+    } catch (stockError) {
+      if (isStockUnavailableError(stockError)) {
+        return res.status(409).json({
+          success: false,
+          message: stockError.message,
+          details: stockError.details
+        });
+      }
+      throw stockError;
+    }
+
     // Send back the response in the format Razorpay expects
     res.json({
       success: true,
       amount: order.amount,
       currency: order.currency,
+      currencyRate: currencySnapshot.rate,
       order_id: order.id,
-      key: RAZORPAY_KEY_ID
+      key: RAZORPAY_KEY_ID,
+      stockHoldExpiresAt
     });
   } catch (error) {
     console.error('Detailed error creating Razorpay order:', error);
@@ -1611,6 +1669,55 @@ const createRazorpayOrderHandler = async (req, res) => {
   }
 };
 
+// @desc    Pay again for an order whose payment didn't go through (payment reminder links)
+// @route   POST /api/orders/retry-payment
+// @access  Public (payment link token) / Private (order owner)
+const retryOrderPaymentHandler = async (req, res) => {
+  try {
+    const { orderNumber, token } = req.body;
+    const order = orderNumber ? await Order.findOne({ orderNumber: String(orderNumber) }) : null;
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const isOwner = req.user?._id && order.user && String(order.user) === String(req.user._id);
+    if (!isOwner && !verifyPaymentRetryToken(token, order.orderNumber)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This payment link is invalid or has expired'
+      });
+    }
+
+    const retry = await startPaymentRetry(order);
+
+    // Same shape as create-razorpay-order; confirm through verify-payment without orderData
+    res.json({
+      success: true,
+      amount: retry.amount,
+      currency: retry.currency,
+      order_id: retry.razorpayOrderId,
+      key: RAZORPAY_KEY_ID,
+      orderNumber: order.orderNumber,
+      stockHoldExpiresAt: order.stockHoldExpiresAt || null
+    });
+  } catch (error) {
+    if (isPaymentRetryError(error)) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Error reopening order payment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reopening order payment'
+    });
+  }
+};
+
 // @desc    Verify Razorpay payment
 // @route   POST /api/orders/verify-payment
 // @access  Private
@@ -1657,6 +1764,17 @@ const verifyRazorpayPaymentHandler = async (req, res) => {
         });
       }
 
+      let currencySnapshot;
+      try {
+        currencySnapshot = await getRateSnapshot(orderData.currency);
+      } catch (currencyError) {
+        if (!isCurrencyError(currencyError)) throw currencyError;
+        return res.status(currencyError.statusCode).json({
+          success: false,
+          message: currencyError.message
+        });
+      }
+
       // Valentine validations
       try {
         await validateOrderValentineRules(orderData.items, orderData.shippingDetails);
@@ -1675,65 +1793,49 @@ const verifyRazorpayPaymentHandler = async (req, res) => {
         });
       }
 
-      // Generate order number in YYMM-XXX-DD format
-      const date = new Date();
-      const year = date.getFullYear().toString().slice(-2);
-      const month = (date.getMonth() + 1).toString().padStart(2, '0');
-      const day = date.getDate().toString().padStart(2, '0');
-
-      // Find the last order for the current year and month
-      const lastOrder = await Order.findOne({
-        orderNumber: new RegExp(`^${year}${month}`)
-      }, {}, { sort: { 'orderNumber': -1 } });
-
-      let sequence = '001';
-      if (lastOrder) {
-        // Extract the sequence number from the last order (positions 4-6 in YYMMDDDDD format)
-        const lastSequence = parseInt(lastOrder.orderNumber.substring(4, 7));
-        sequence = (lastSequence + 1).toString().padStart(3, '0');
-      }
-
-      const orderNumber = `${year}${month}${sequence}${day}`;
-
-      // Server-side calculation and validation
-      const subtotalCalculated = orderData.items.reduce((sum, item) => sum + (item.finalPrice || item.price) * item.quantity, 0);
+      // Use the number reserved via /next-number when valid, otherwise take the next in sequence
+      const orderNumber = await resolveOrderNumber(orderData.orderNumber, getCheckoutHolderKey(req));
 
-      const deliveryChargeResult = await calculateDeliveryFee({
-        subtotal: subtotalCalculated,
-        timeSlot: orderData.shippingDetails.timeSlot,
-        userId,
-        email: orderData.shippingDetails.email,
-        phone: orderData.shippingDetails.phone
-      });
-      const deliveryChargeCalculated = deliveryChargeResult.deliveryCharge;
-      const isFirstOrderFreeDelivery = deliveryChargeResult.isFirstOrderFreeDelivery;
+      // Price the order from the catalogue and the promo code, never from the client's amounts
+      let pricing;
+      try {
+        pricing = await priceCheckout({
+          items: orderData.items,
+          shippingDetails: orderData.shippingDetails,
+          giftDetails: orderData.giftDetails,
+          promoCode: orderData.promoCode,
+          userId
+        });
+      } catch (pricingError) {
+        if (!isDeliveryZoneError(pricingError) && !isOrderPricingError(pricingError)) throw pricingError;
+        return res.status(400).json({
+          success: false,
+          message: pricingError.message,
+          code: pricingError.code,
+          details: pricingError.details
+        });
+      }
 
       // Validate subtotal if sent
-      if (orderData.subtotal !== undefined && Math.abs(orderData.subtotal - subtotalCalculated) > 1) {
+      if (orderData.subtotal !== undefined && Math.abs(orderData.subtotal - pricing.subtotal) > 1) {
         return res.status(400).json({
           success: false,
-          message: `Invalid subtotal. Expected ${subtotalCalculated}, got ${orderData.subtotal}`
+          message: `Invalid subtotal. Expected ${pricing.subtotal}, got ${orderData.subtotal}`
         });
       }
 
       // Validate delivery charge if sent
-      if (orderData.deliveryCharge !== undefined && Math.abs(orderData.deliveryCharge - deliveryChargeCalculated) > 1) {
+      if (orderData.deliveryCharge !== undefined && Math.abs(orderData.deliveryCharge - pricing.deliveryCharge) > 1) {
         return res.status(400).json({
           success: false,
-          message: `Invalid delivery charge. Expected ${deliveryChargeCalculated}, got ${orderData.deliveryCharge}`
+          message: `Invalid delivery charge. Expected ${pricing.deliveryCharge}, got ${orderData.deliveryCharge}`
         });
       }
 
-      const discount = orderData.discount !== undefined
-        ? orderData.discount
-        : Math.max(0, subtotalCalculated + deliveryChargeCalculated - orderData.totalAmount);
-
-      const finalTotal = subtotalCalculated + deliveryChargeCalculated - discount;
-
-      if (Math.abs(orderData.totalAmount - finalTotal) > 1) {
+      if (Math.abs(orderData.totalAmount - pricing.finalTotal) > 1) {
         return res.status(400).json({
           success: false,
-          message: `Total amount mismatch. Calculated ${finalTotal}, got ${orderData.totalAmount}`
+          message: `Total amount mismatch. Calculated ${pricing.finalTotal}, got ${orderData.totalAmount}`
         });
       }
 
@@ -1765,8 +1867,9 @@ const verifyRazorpayPaymentHandler = async (req, res) => {
           floor: orderData.shippingDetails.floor || '',
           deliveryInstructions: orderData.shippingDetails.deliveryInstructions || '',
         },
-        items: orderData.items.map(item => ({
-          product: item.product,
+        items: pricing.items.map(item => ({
+          product: item.product || item.productId,
+          productModel: item.productModel || 'Product',
           title: item.title || '',
           image: item.image || item.images?.[0] || '',
           images: Array.isArray(item.images) ? item.images : [],
@@ -1774,27 +1877,49 @@ const verifyRazorpayPaymentHandler = async (req, res) => {
           quantity: item.quantity,
           price: item.price,
           finalPrice: item.finalPrice,
-          customizations: item.customizations || null
+          customizations: item.customizations || null,
+          characterCount: item.characterCount || item.customizations?.personalization?.characterCount || 0
         })),
         paymentDetails: {
           method: 'razorpay',
           razorpayOrderId: razorpay_order_id,
           razorpayPaymentId: razorpay_payment_id,
-          razorpaySignature: razorpay_signature
+          razorpaySignature: razorpay_signature,
+          status: 'paid',
+          paidAt: new Date()
         },
-        totalAmount: finalTotal,
-        subtotal: subtotalCalculated,
-        deliveryCharge: deliveryChargeCalculated,
-        discount,
-        finalTotal,
-        isFirstOrderFreeDelivery,
-        currency: orderData.currency || 'INR',
-        currencyRate: orderData.currencyRate || 1,
-        originalCurrency: orderData.originalCurrency || orderData.currency || 'INR',
+        totalAmount: pricing.finalTotal,
+        subtotal: pricing.subtotal,
+        deliveryCharge: pricing.deliveryCharge,
+        discount: pricing.discount,
+        taxAmount: pricing.taxAmount,
+        finalTotal: pricing.finalTotal,
+        isFirstOrderFreeDelivery: pricing.isFirstOrderFreeDelivery,
+        deliveryZone: pricing.deliveryZone,
+        deliveryChargeBreakdown: pricing.deliveryChargeBreakdown,
+        deliveryDistanceKm: pricing.deliveryDistanceKm,
+        surge: pricing.surge,
+        ...getOrderCurrencyFields(currencySnapshot),
         status: 'order_placed',
-        promoCode: orderData.promoCode || undefined
+        promoCode: pricing.promoCode || undefined
       };
 
+      // Store the amounts in the order currency at the snapshot rate
+      const converted = convertOrderAmounts(orderDbData, currencySnapshot);
+      Object.assign(orderDbData, converted, { totalAmount: converted.finalTotal });
+
+      if (await refundMismatchedPayment({
+        razorpayOrderId: razorpay_order_id,
+        razorpayPaymentId: razorpay_payment_id,
+        finalTotal: orderDbData.finalTotal,
+        currency: orderDbData.currency
+      })) {
+        return res.status(409).json({
+          success: false,
+          message: AMOUNT_MISMATCH_MESSAGE
+        });
+      }
+
       // Add gift details if present
       if (orderData.giftDetails) {
         orderDbData.giftDetails = orderData.giftDetails;
@@ -1803,7 +1928,41 @@ const verifyRazorpayPaymentHandler = async (req, res) => {
       console.log('Creating order with verified payment data:', JSON.stringify(orderDbData, null, 2));
 
       const order = new Order(orderDbData);
-      const savedOrder = await order.save();
+
+      // The slot was checked before the customer paid; now that the payment is captured the
+      // order takes its place even if the slot filled up in the meantime
+      await bookOrderSlot(order, { overbook: true });
+
+      // Payment is captured, so commit the stock held at Razorpay order creation (or take it now)
+      try {
+        const claimed = await claimRazorpayHolds(razorpay_order_id, order, { commit: true });
+        if (!claimed) {
+          await reserveStockForOrder(order, { hold: false });
+        }
+      } catch (stockError) {
+        await releaseOrderSlot(order);
+        if (isStockUnavailableError(stockError)) {
+          return res.status(409).json({
+            success: false,
+            message: await refundOutOfStockPayment({
+              razorpayOrderId: razorpay_order_id,
+              razorpayPaymentId: razorpay_payment_id,
+              stockError
+            }),
+            details: stockError.details
+          });
+        }
+        throw stockError;
+      }
+
+      let savedOrder;
+      try {
+        savedOrder = await order.save();
+      } catch (saveError) {
+        await releaseOrderStock(order, 'order_save_failed');
+        await releaseOrderSlot(order);
+        throw saveError;
+      }
 
       // Track campaign conversion if promo code is used
       if (savedOrder.promoCode) {
@@ -1862,7 +2021,7 @@ const verifyRazorpayPaymentHandler = async (req, res) => {
             id: adminNotification.id || `order-${Date.now()}`,
             type: 'order',
             title: '🎉 New Order Received!',
-            message: `Order ${savedOrder.orderNumber} placed by ${customer.name}. Amount: ${savedOrder.currency === 'INR' ? '₹' : '$'}${savedOrder.totalAmount}`,
+            message: `Order ${savedOrder.orderNumber} placed by ${customer.name}. Amount: ${formatCurrency(savedOrder.totalAmount, savedOrder.currency)}`,
             createdAt: new Date().toISOString(),
             isRead: false,
             orderId: savedOrder._id,
@@ -1881,7 +2040,7 @@ const verifyRazorpayPaymentHandler = async (req, res) => {
             console.log('🔔 Sending push notification to all admin devices...');
             const fcmResult = await sendToAllAdmins({
               title: '🎉 New Order Received!',
-              body: `Order #${savedOrder.orderNumber} - ${savedOrder.currency === 'INR' ? '₹' : '$'}${savedOrder.totalAmount}`,
+              body: `Order #${savedOrder.orderNumber} - ${formatCurrency(savedOrder.totalAmount, savedOrder.currency)}`,
               orderId: savedOrder._id.toString(),
               orderNumber: savedOrder.orderNumber,
               customerName: customer.name,
@@ -1917,7 +2076,27 @@ const verifyRazorpayPaymentHandler = async (req, res) => {
         order: populatedOrder
       });
     } else {
-      // If no orderData, just return verification result
+      // No orderData: the order(s) were placed earlier through createOrder or a multi-recipient
+      // checkout, so confirm their stock holds
+      const existingOrders = await Order.find({ 'paymentDetails.razorpayOrderId': razorpay_order_id });
+      const { refunded, changedOrders } = existingOrders.length > 0
+        ? await settleCapturedPayment(existingOrders, {
+          razorpayOrderId: razorpay_order_id,
+          paymentId: razorpay_payment_id,
+          signature: razorpay_signature
+        })
+        : { refunded: false, changedOrders: [] };
+      for (const existingOrder of changedOrders) {
+        await existingOrder.save();
+      }
+
+      if (refunded) {
+        return res.status(409).json({
+          success: false,
+          message: AMOUNT_MISMATCH_MESSAGE
+        });
+      }
+
       res.json({
         success: true
       });
@@ -2236,6 +2415,44 @@ const testDeliveryEmail = async (req, res) => {
   }
 };
 
+// Order owner, admin, or a guest who knows the order's email or phone
+const canAccessOrderDocuments = (req, order) => {
+  if (req.user) {
+    const isOwner = order.user && order.user._id && order.user._id.toString() === req.user._id.toString();
+    const isAdmin = req.user.role === 'admin';
+    if (isOwner || isAdmin) {
+      return true;
+    }
+  }
+
+  const { email, phone } = req.query;
+  const shippingEmail = order.shippingDetails?.email;
+  const shippingPhone = order.shippingDetails?.phone;
+
+  const emailMatches = email && shippingEmail && email.trim().toLowerCase() === shippingEmail.trim().toLowerCase();
+
+  let phoneMatches = false;
+  if (phone && shippingPhone) {
+    const cleanPhoneInput = phone.trim().replace(/[\s-+]/g, '');
+    const cleanPhoneShipping = shippingPhone.trim().replace(/[\s-+]/g, '');
+    const inputLast10 = cleanPhoneInput.slice(-10);
+    const shippingLast10 = cleanPhoneShipping.slice(-10);
+    if (inputLast10.length >= 10 && shippingLast10.length >= 10) {
+      phoneMatches = inputLast10 === shippingLast10;
+    } else {
+      phoneMatches = cleanPhoneInput === cleanPhoneShipping;
+    }
+  }
+
+  return Boolean(emailMatches || phoneMatches);
+};
+
+const buildDocumentCustomer = (order) => ({
+  name: order.user?.name || order.shippingDetails?.fullName || 'Customer',
+  email: order.user?.email || order.shippingDetails?.email || '',
+  phone: order.user?.phone || order.shippingDetails?.phone || ''
+});
+
 // @desc    Get invoice PDF for an order
 // @route   GET /api/orders/:id/invoice
 // @access  Private
@@ -2255,57 +2472,16 @@ const getOrderInvoice = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Order not found' });
     }
 
-    // Authorization: ensure order owner, admin, or verified guest can download
-    let authorized = false;
-
-    // Check if user is logged in
-    if (req.user) {
-      const isOwner = order.user && order.user._id && order.user._id.toString() === req.user._id.toString();
-      const isAdmin = req.user.role === 'admin';
-      if (isOwner || isAdmin) {
-        authorized = true;
-      }
-    }
-
-    // If not authorized by login, check guest query parameters
-    if (!authorized) {
-      const { email, phone } = req.query;
-      const shippingEmail = order.shippingDetails?.email;
-      const shippingPhone = order.shippingDetails?.phone;
-
-      const emailMatches = email && shippingEmail && email.trim().toLowerCase() === shippingEmail.trim().toLowerCase();
-      
-      let phoneMatches = false;
-      if (phone && shippingPhone) {
-        const cleanPhoneInput = phone.trim().replace(/[\s-+]/g, '');
-        const cleanPhoneShipping = shippingPhone.trim().replace(/[\s-+]/g, '');
-        const inputLast10 = cleanPhoneInput.slice(-10);
-        const shippingLast10 = cleanPhoneShipping.slice(-10);
-        if (inputLast10.length >= 10 && shippingLast10.length >= 10) {
-          phoneMatches = inputLast10 === shippingLast10;
-        } else {
-          phoneMatches = cleanPhoneInput === cleanPhoneShipping;
-        }
-      }
-
-      if (emailMatches || phoneMatches) {
-        authorized = true;
-      }
-    }
-
-    if (!authorized) {
+    if (!canAccessOrderDocuments(req, order)) {
       return res.status(403).json({ success: false, message: 'Not authorized to access this invoice' });
     }
 
-    // Build customer object from order data
-    const customer = {
-      name: order.user?.name || order.shippingDetails?.fullName || 'Customer',
-      email: order.user?.email || order.shippingDetails?.email || '',
-      phone: order.user?.phone || order.shippingDetails?.phone || ''
-    };
+    // Issues the GST invoice (and its number) on first download; orders that can't be
+    // invoiced yet (unpaid, cancelled) get an order receipt instead
+    await ensureInvoice(order);
 
     // Prepare data for invoice generation
-    const orderData = { order, customer };
+    const orderData = { order, customer: buildDocumentCustomer(order) };
 
     // Generate the HTML invoice using the shared template
     const { generateInvoiceHTML, generateInvoicePDF } = require('../services/emailNotificationService');
@@ -2325,17 +2501,90 @@ const getOrderInvoice = async (req, res) => {
 
     res.send(pdfBuffer);
   } catch (error) {
+    if (isInvoiceError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     console.error('❌ Error generating invoice:', error);
     res.status(500).json({ success: false, message: 'Failed to generate invoice', error: error.message });
   }
 };
 
+// @desc    Get a credit note PDF for an order
+// @route   GET /api/orders/:id/credit-notes/:creditNoteId
+// @access  Private
+const getOrderCreditNote = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).populate('user', 'name email phone');
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    if (!canAccessOrderDocuments(req, order)) {
+      return res.status(403).json({ success: false, message: 'Not authorized to access this credit note' });
+    }
+
+    const creditNote = order.creditNotes.id(req.params.creditNoteId);
+    if (!creditNote) {
+      return res.status(404).json({ success: false, message: 'Credit note not found' });
+    }
+
+    const { generateCreditNoteHTML, generateInvoicePDF } = require('../services/emailNotificationService');
+    const htmlContent = generateCreditNoteHTML({ order, customer: buildDocumentCustomer(order), creditNote });
+    const pdfBuffer = await generateInvoicePDF(htmlContent, order.orderNumber, { documentTitle: 'Credit Note' });
+    const filename = `Credit-Note-${creditNote.number.replace(/\//g, '-')}.pdf`;
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename=${filename}`,
+      'Content-Length': pdfBuffer.length
+    });
+
+    res.send(pdfBuffer);
+  } catch (error) {
+    console.error('❌ Error generating credit note:', error);
+    res.status(500).json({ success: false, message: 'Failed to generate credit note', error: error.message });
+  }
+};
+
+// @desc    Issue a credit note against an order's invoice
+// @route   POST /api/orders/:id/credit-notes
+// @access  Private/Admin
+const createOrderCreditNote = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select('invoice orderNumber');
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+    if (!order.invoice?.number) {
+      return res.status(409).json({ success: false, message: 'This order has not been invoiced yet' });
+    }
+
+    const { amount, reason } = req.body;
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ success: false, message: 'A reason is required for a credit note' });
+    }
+
+    const creditNote = await issueCreditNote(order._id, { amount, reason: String(reason).trim(), issuedBy: req.user._id });
+    if (!creditNote) {
+      return res.status(409).json({ success: false, message: `Invoice ${order.invoice.number} has already been fully credited` });
+    }
+
+    res.status(201).json({ success: true, creditNote });
+  } catch (error) {
+    if (isInvoiceError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('❌ Error issuing credit note:', error);
+    res.status(500).json({ success: false, message: 'Failed to issue credit note', error: error.message });
+  }
+};
+
 // @desc    Calculate delivery fee dynamically
 // @route   POST /api/orders/calculate-delivery
 // @access  Public (Optional auth)
 const calculateDelivery = async (req, res) => {
   try {
-    const { subtotal, timeSlot, email, phone } = req.body;
+    const { subtotal, timeSlot, deliveryDate, email, phone, latitude, longitude } = req.body;
     const userId = req.user?._id || null;
 
     if (subtotal === undefined) {
@@ -2345,12 +2594,16 @@ const calculateDelivery = async (req, res) => {
       });
     }
 
+    // Quotes before an address is chosen skip the zone check; createOrder always applies it
+    const hasLocation = latitude !== undefined || longitude !== undefined;
     const calculation = await calculateDeliveryFee({
       subtotal: Number(subtotal),
       timeSlot,
+      deliveryDate,
       userId,
       email,
-      phone
+      phone,
+      location: hasLocation ? { latitude, longitude } : undefined
     });
 
     res.json({
@@ -2358,6 +2611,14 @@ const calculateDelivery = async (req, res) => {
       ...calculation
     });
   } catch (error) {
+    if (isDeliveryZoneError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
     console.error('Error in calculateDelivery:', error);
     res.status(500).json({
       success: false,
@@ -2367,11 +2628,51 @@ const calculateDelivery = async (req, res) => {
   }
 };
 
+// @desc    Delivery slots with room left per day, for checkout to grey out full ones
+// @route   GET /api/orders/slot-availability?date=YYYY-MM-DD[&to=YYYY-MM-DD][&latitude=&longitude=]
+// @access  Public
+const getDeliverySlotAvailability = async (req, res) => {
+  try {
+    const { date, to, latitude, longitude } = req.query;
+
+    // Without an address only slot-wide caps apply; with one, the zone's slots and caps too
+    const hasLocation = latitude !== undefined || longitude !== undefined;
+    const zone = hasLocation ? await resolveDeliveryZone({ latitude, longitude }) : null;
+    const days = await getSlotAvailability({ from: date, to, zone });
+
+    res.json({
+      success: true,
+      zone: zone ? { _id: zone._id, name: zone.name } : null,
+      days
+    });
+  } catch (error) {
+    if (isDeliveryZoneError(error) || isSlotCapacityError(error)) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+    console.error('Error in getDeliverySlotAvailability:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching slot availability',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   createOrder,
+  createMultiRecipientOrder,
+  quoteMultiRecipientOrder,
+  getCheckoutGroup,
   getNextOrderNumber,
   getOrderById,
   getOrderInvoice,
+  getOrderCreditNote,
+  createOrderCreditNote,
   updateOrderToPaid,
   updateOrderToDelivered,
   getUserOrders,
@@ -2380,8 +2681,10 @@ module.exports = {
   updateOrderStatus,
   createRazorpayOrder: createRazorpayOrderHandler,
   verifyRazorpayPayment: verifyRazorpayPaymentHandler,
+  retryOrderPayment: retryOrderPaymentHandler,
   getUpcomingDeliveries,
   getDeliveryCalendar,
   testDeliveryEmail,
   calculateDelivery,
+  getDeliverySlotAvailability,
 };
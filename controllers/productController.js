@@ -348,6 +348,8 @@ const createProduct = asyncHandler(async (req, res) => {
     pricePerCharacter,
     baseIncludedCharacters,
     maxExtraPrice,
+    hsnCode,
+    gstRate,
   } = req.body;
 
   // Auto-map category strings to occasion IDs if they match
@@ -461,6 +463,8 @@ const createProduct = asyncHandler(async (req, res) => {
     seasonalCampaigns: seasonalCampaigns || [],
     campaignSettings: campaignSettings || {},
     occasionIds: resolvedOccasionIds,
+    hsnCode: hsnCode || '',
+    gstRate: gstRate === undefined || gstRate === '' ? null : gstRate,
   });
 
   console.log('📋 Product object before save:', {
@@ -546,6 +550,8 @@ const updateProduct = asyncHandler(async (req, res) => {
     pricePerCharacter,
     baseIncludedCharacters,
     maxExtraPrice,
+    hsnCode,
+    gstRate,
   } = req.body;
 
   const product = await Product.findById(req.params.id);
@@ -659,6 +665,10 @@ const updateProduct = asyncHandler(async (req, res) => {
       occasionIds: resolvedOccasionIds,
     };
 
+    // Leave the GST classification alone unless the form sends it
+    if (hsnCode !== undefined) updateData.hsnCode = hsnCode || '';
+    if (gstRate !== undefined) updateData.gstRate = gstRate === '' ? null : gstRate;
+
     // If vendor updates product, set to pending approval
     if (req.user.role === 'vendor') {
       updateData.approvalStatus = 'pending';
@@ -0,0 +1,154 @@
+const Order = require('../models/Order');
+const Store = require('../models/Store');
+const { logActivity } = require('../utils/activityLogger');
+const { todayKey } = require('../utils/businessDay');
+const productionService = require('../services/productionService');
+
+const handleProductionError = (res, error, fallbackMessage) => {
+  if (productionService.isProductionError(error)) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  if (error.name === 'CastError') {
+    return res.status(400).json({ success: false, message: `Invalid ${error.path}` });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: `Server Error: ${fallbackMessage}`,
+    error: error.message
+  });
+};
+
+// Store staff only see their own store; admins can pick any (or 'unassigned')
+const resolveStoreId = (req) => {
+  const isAdmin = ['platform_admin', 'admin'].includes(req.user.role);
+  if (!isAdmin && req.user.assigned_store) {
+    return String(req.user.assigned_store);
+  }
+  return req.query.store || req.body?.storeId || undefined;
+};
+
+// @desc    Upcoming orders grouped by delivery date and slot, with production totals
+// @route   GET /api/production/plan?from=YYYY-MM-DD&to=YYYY-MM-DD&timeSlot=&store=
+// @access  Private (orders:view)
+const getProductionPlan = async (req, res) => {
+  try {
+    const from = req.query.from || todayKey();
+    const plan = await productionService.getProductionPlan({
+      from,
+      to: req.query.to || from,
+      timeSlot: req.query.timeSlot,
+      storeId: resolveStoreId(req)
+    });
+
+    res.json({ success: true, data: plan });
+  } catch (error) {
+    handleProductionError(res, error, 'Failed to build production plan');
+  }
+};
+
+// @desc    Orders being made, grouped by store
+// @route   GET /api/production/queue?store=&status=being_made
+// @access  Private (orders:view)
+const getWorkQueue = async (req, res) => {
+  try {
+    const queue = await productionService.getWorkQueue({
+      storeId: resolveStoreId(req),
+      status: req.query.status || 'being_made'
+    });
+
+    res.json({ success: true, data: queue });
+  } catch (error) {
+    handleProductionError(res, error, 'Failed to fetch work queue');
+  }
+};
+
+// @desc    Release a delivery day's orders (optionally one slot) to production
+// @route   POST /api/production/release
+// @access  Private (orders:edit)
+const releaseToProduction = async (req, res) => {
+  try {
+    const { date, timeSlot } = req.body;
+    if (!date) {
+      return res.status(400).json({ success: false, message: 'date is required' });
+    }
+
+    const storeId = resolveStoreId(req);
+    if (storeId && !(await Store.exists({ _id: storeId }))) {
+      return res.status(404).json({ success: false, message: 'Store not found' });
+    }
+
+    const result = await productionService.releaseToProduction({ date, timeSlot, storeId });
+
+    await logActivity({
+      req,
+      actionType: 'Production Released',
+      method: req.method,
+      status: 'success',
+      metadata: { date, timeSlot, storeId, released: result.released.length, skipped: result.skipped.length }
+    });
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    handleProductionError(res, error, 'Failed to release orders to production');
+  }
+};
+
+// @desc    Assign the store that makes an order
+// @route   PUT /api/production/orders/:id/store
+// @access  Private (orders:edit)
+const assignOrderStore = async (req, res) => {
+  try {
+    const { storeId } = req.body;
+    const store = storeId ? await Store.findById(storeId) : null;
+    if (storeId && !store) {
+      return res.status(404).json({ success: false, message: 'Store not found' });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    order.store = store ? store._id : undefined;
+    await order.save();
+
+    res.json({ success: true, data: { orderNumber: order.orderNumber, store } });
+  } catch (error) {
+    handleProductionError(res, error, 'Failed to assign store');
+  }
+};
+
+// @desc    Printable pick list for a delivery day (or range) and optional slot
+// @route   GET /api/production/pick-list?from=YYYY-MM-DD&to=&timeSlot=&store=
+// @access  Private (orders:view)
+const getPickList = async (req, res) => {
+  try {
+    const from = req.query.from || todayKey();
+    const storeId = resolveStoreId(req);
+    const plan = await productionService.getProductionPlan({
+      from,
+      to: req.query.to || from,
+      timeSlot: req.query.timeSlot,
+      storeId
+    });
+
+    const store = storeId && storeId !== 'unassigned' ? await Store.findById(storeId).select('name') : null;
+    const buffer = await productionService.generatePickListPDF(plan, { storeName: store?.name });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=Pick-List-${from}${req.query.timeSlot ? `-${req.query.timeSlot}` : ''}.pdf`);
+    res.send(buffer);
+  } catch (error) {
+    handleProductionError(res, error, 'Failed to generate pick list');
+  }
+};
+
+module.exports = {
+  assignOrderStore,
+  getPickList,
+  getProductionPlan,
+  getWorkQueue,
+  releaseToProduction,
+};
@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const { verifyWebhookSignature } = require('../services/razorpayService');
+const { processWebhookEvent } = require('../services/razorpayWebhookService');
+
+// @desc    Receive Razorpay webhook events
+// @route   POST /api/webhooks/razorpay
+// @access  Public (signed with RAZORPAY_WEBHOOK_SECRET)
+const handleRazorpayWebhook = async (req, res) => {
+  const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.from('');
+
+  let isValid;
+  try {
+    isValid = verifyWebhookSignature(rawBody, req.get('X-Razorpay-Signature'));
+  } catch (error) {
+    console.error('Razorpay webhook rejected:', error.message);
+    return res.status(500).json({ success: false, message: 'Webhook verification is not configured' });
+  }
+
+  if (!isValid) {
+    console.warn('⚠️ Razorpay webhook with invalid signature rejected');
+    return res.status(400).json({ success: false, message: 'Invalid webhook signature' });
+  }
+
+  let body;
+  try {
+    body = JSON.parse(rawBody.toString('utf8'));
+  } catch (error) {
+    return res.status(400).json({ success: false, message: 'Invalid webhook payload' });
+  }
+
+  const eventId = req.get('X-Razorpay-Event-Id')
+    || crypto.createHash('sha256').update(rawBody).digest('hex');
+
+  try {
+    const { duplicate, record } = await processWebhookEvent({ eventId, body });
+
+    res.json({
+      success: true,
+      duplicate,
+      status: record.status
+    });
+  } catch (error) {
+    // A non-2xx response makes Razorpay retry the delivery
+    console.error(`Error processing Razorpay webhook ${body.event} (${eventId}):`, error);
+    res.status(500).json({ success: false, message: 'Failed to process webhook' });
+  }
+};
+
+module.exports = {
+  handleRazorpayWebhook,
+};
@@ -0,0 +1,132 @@
+const Order = require('../models/Order');
+const { logActivity } = require('../utils/activityLogger');
+const {
+  getRefundableAmount,
+  isRefundError,
+  issueRefund,
+  syncRefundStatus,
+} = require('../services/refundService');
+
+const buildRefundSummary = (order) => ({
+  orderId: order._id,
+  orderNumber: order.orderNumber,
+  currency: order.currency,
+  totalAmount: order.totalAmount,
+  refundedAmount: order.refundedAmount || 0,
+  refundableAmount: getRefundableAmount(order),
+  refundStatus: order.refundStatus || 'none',
+  refunds: order.refunds || []
+});
+
+const handleRefundError = (res, error, fallbackMessage) => {
+  if (isRefundError(error)) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      details: error.details
+    });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(502).json({
+    success: false,
+    message: `${fallbackMessage}: ${error.message}`
+  });
+};
+
+// @desc    Get refund ledger for an order
+// @route   GET /api/orders/:id/refunds
+// @access  Private/Admin (finance:refunds)
+const getOrderRefunds = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).populate('refunds.initiatedBy', 'name email');
+
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    res.json({ success: true, data: buildRefundSummary(order) });
+  } catch (error) {
+    console.error('Error fetching refunds:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error: Failed to fetch refunds',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Issue a full or partial refund
+// @route   POST /api/orders/:id/refunds
+// @access  Private/Admin (finance:refunds)
+const createOrderRefund = async (req, res) => {
+  try {
+    const { amount, reason, notes, speed } = req.body;
+
+    if (speed && !['normal', 'optimum'].includes(speed)) {
+      return res.status(400).json({ success: false, message: 'speed must be "normal" or "optimum"' });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    const refund = await issueRefund(order, { amount, reason, notes, speed, initiatedBy: req.user });
+
+    await logActivity({
+      req,
+      actionType: 'Refund Issued',
+      method: 'POST',
+      status: 'Success',
+      metadata: {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        amount: refund.amount,
+        currency: order.currency,
+        razorpayRefundId: refund.razorpayRefundId,
+      },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Refund of ${refund.amount} ${order.currency} ${refund.status === 'processed' ? 'processed' : 'initiated'}`,
+      data: {
+        refund,
+        ...buildRefundSummary(order)
+      }
+    });
+  } catch (error) {
+    handleRefundError(res, error, 'Failed to issue refund');
+  }
+};
+
+// @desc    Refresh a refund's status from Razorpay
+// @route   POST /api/orders/:id/refunds/:refundId/sync
+// @access  Private/Admin (finance:refunds)
+const syncOrderRefund = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    const refund = await syncRefundStatus(order, req.params.refundId);
+
+    res.json({
+      success: true,
+      data: {
+        refund,
+        ...buildRefundSummary(order)
+      }
+    });
+  } catch (error) {
+    handleRefundError(res, error, 'Failed to sync refund status');
+  }
+};
+
+module.exports = {
+  createOrderRefund,
+  getOrderRefunds,
+  syncOrderRefund,
+};
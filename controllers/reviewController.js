@@ -2,14 +2,11 @@ const Review = require("../models/Review");
 const ReviewImage = require("../models/ReviewImage");
 const ReviewLike = require("../models/ReviewLike");
 const ReviewReply = require("../models/ReviewReply");
-const ReviewEmailLog = require("../models/ReviewEmailLog");
 const Product = require("../models/Product");
-const Order = require("../models/Order");
 const User = require("../models/User");
 const { createAdminNotification } = require("./notificationController");
 const {
   MAX_REVIEW_IMAGES,
-  buildReviewPublicUrl,
   deleteReviewRelations,
   enrichReviews,
   enrichSingleReview,
@@ -21,10 +18,11 @@ const {
   syncReviewImages,
   updateProductReviewStats,
 } = require("../services/reviewDomainService");
+const { sendReviewReplyNotification } = require("../services/reviewEmailService");
 const {
-  sendReviewReplyNotification,
-  sendReviewRequestEmail,
-} = require("../services/reviewEmailService");
+  isReviewRequestError,
+  sendReviewRequestForOrder,
+} = require("../services/reviewRequestService");
 
 const REVIEW_SORTS = {
   latest: { pinned: -1, featured: -1, createdAt: -1 },
@@ -1057,115 +1055,33 @@ const getAdminReviewAnalytics = async (req, res) => {
 
 const sendReviewRequestEmailForOrder = async (req, res) => {
   try {
-    const order = await Order.findById(req.params.id)
-      .populate("user", "name email")
-      .populate({
-        path: "items.product",
-        select: "title images category",
-      });
-
-    if (!order) {
-      return res.status(404).json({ message: "Order not found." });
-    }
+    const result = await sendReviewRequestForOrder(req.params.id, {
+      requestedBy: req.user?._id || null,
+    });
 
-    const { checkIsPlaceholderCustomer } = require('../utils/testCustomerHelper');
-    const check = checkIsPlaceholderCustomer(order);
-    if (check.isPlaceholder) {
-      console.log(`Customer notifications skipped:\nReason: ${check.reason}\nOrder: ${order.orderNumber}\nEmail: ${order.shippingDetails?.email || 'N/A'}`);
+    if (result.skipped) {
       return res.status(200).json({
         success: true,
         message: "Skipped review email request for placeholder customer."
       });
     }
 
-    if (order.status !== "delivered") {
-      return res.status(400).json({
-        message: "Review request emails can only be sent after delivery.",
-      });
-    }
-
-    const customerEmail = order.user?.email || order.shippingDetails?.email;
-    const customerName = order.user?.name || order.shippingDetails?.fullName || "Customer";
-
-    if (!customerEmail) {
-      return res.status(400).json({
-        message: "Customer email is missing for this order.",
-      });
-    }
-
-    const products = order.items
-      .filter((item) => item.product && item.product._id)
-      .map((item) => ({
-        _id: item.product._id,
-        title: item.product.title || item.title || "Product",
-        image: item.product.images?.[0] || item.image || item.images?.[0] || "",
-      }))
-      .filter(
-        (product, index, array) =>
-          array.findIndex((candidate) => String(candidate._id) === String(product._id)) === index
-      );
-
-    if (!products.length) {
-      return res.status(400).json({
-        message: "No reviewable products were found for this order.",
-      });
-    }
-
-    const productsWithUrls = products.map((product) => ({
-      ...product,
-      reviewUrl: buildReviewPublicUrl(product, order._id),
-    }));
-
-    const emailResult = await sendReviewRequestEmail({
-      customer: {
-        name: customerName,
-        email: customerEmail,
-      },
-      order,
-      products: productsWithUrls,
-    });
-
-    const logs = await Promise.all(
-      productsWithUrls.map((product) =>
-        ReviewEmailLog.create({
-          order: order._id,
-          product: product._id,
-          customer: order.user?._id || null,
-          requestedBy: req.user?._id || null,
-          customerName,
-          customerEmail,
-          productName: product.title,
-          reviewUrl: product.reviewUrl,
-          status: emailResult.success ? "sent" : "failed",
-          messageId: emailResult.messageId || "",
-          errorMessage: emailResult.error || "",
-          sentAt: emailResult.success ? new Date() : null,
-          meta: {
-            orderNumber: order.orderNumber,
-          },
-        })
-      )
-    );
-
-    if (!emailResult.success) {
+    if (!result.emailResult.success) {
       return res.status(502).json({
         message: "The review request email could not be sent.",
-        error: emailResult.error,
-        logsCreated: logs.length,
+        error: result.emailResult.error,
+        logsCreated: result.logs.length,
       });
     }
 
     return res.json({
       message: "Review request email sent successfully.",
-      summary: {
-        orderId: order._id,
-        orderNumber: order.orderNumber,
-        customerEmail,
-        productCount: productsWithUrls.length,
-        messageId: emailResult.messageId,
-      },
+      summary: result.summary,
     });
   } catch (error) {
+    if (isReviewRequestError(error)) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error("Error sending review request email:", error);
     return res.status(500).json({
       message: "Unable to send the review request email right now.",
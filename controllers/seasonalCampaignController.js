@@ -2,6 +2,7 @@ const SeasonalCampaign = require('../models/SeasonalCampaign');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
 const PromoCode = require('../models/PromoCode');
+const { cancelCampaignJobs, scheduleCampaignJobs } = require('../services/campaignScheduleService');
 
 // ============================================================
 //  PUBLIC ENDPOINTS
@@ -188,6 +189,7 @@ const adminCreateCampaign = async (req, res) => {
     });
 
     await SeasonalCampaign.syncOffers(campaign, req.user._id);
+    await scheduleCampaignJobs(campaign);
 
     res.status(201).json({ success: true, message: 'Seasonal campaign created successfully', campaign });
   } catch (error) {
@@ -243,6 +245,7 @@ const adminUpdateCampaign = async (req, res) => {
     await campaign.save();
 
     await SeasonalCampaign.syncOffers(campaign, req.user._id);
+    await scheduleCampaignJobs(campaign);
 
     if (originalSlug !== campaign.slug) {
       const assignedProducts = await Product.find({
@@ -290,6 +293,8 @@ const adminDeleteCampaign = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Campaign not found' });
     }
 
+    await cancelCampaignJobs(campaign._id);
+
     // Delete all synced promo codes belonging to this campaign
     await PromoCode.deleteMany({ 'metadata.campaignName': campaign.name });
 
@@ -1,4 +1,13 @@
 const Settings = require('../models/settings');
+const {
+  calculateOrderTax,
+  getFinancialYear,
+  getTaxSettings,
+  isGstError,
+  updateTaxSettings
+} = require('../services/gstService');
+const { importRates, isCurrencyError, listRates, setRate } = require('../services/currencyService');
+const { formatDocumentNumber } = require('../services/invoiceService');
 
 const ensureOccasionsSection = async (settings) => {
   if (!settings) return;
@@ -722,6 +731,19 @@ exports.getSamplePdf = async (req, res) => {
         }
     };
 
+    // Render it as a tax invoice with the current GST settings; nothing is numbered or saved
+    const taxSettings = await getTaxSettings();
+    const financialYear = getFinancialYear(new Date());
+    sampleOrderData.order.invoice = {
+        number: formatDocumentNumber(taxSettings.invoicePrefix, financialYear, 1),
+        financialYear,
+        issuedAt: new Date(),
+        ...(await calculateOrderTax(
+            { ...sampleOrderData.order, deliveryCharge: 200, discount: 50 },
+            { settings: taxSettings, classes: new Map() }
+        ))
+    };
+
     const html = generateInvoiceHTML(sampleOrderData);
     const pdfBuffer = await generateInvoicePDF(html, 'SBF-SAMPLE-2026');
     
@@ -867,4 +889,66 @@ exports.updateWhatsAppWidgetSettings = async (req, res) => {
     console.error('Error updating WhatsApp settings:', error);
     res.status(500).json({ message: 'Error updating WhatsApp settings' });
   }
-}; 
\ No newline at end of file
+}; 
+
+// Get GST invoicing settings
+exports.getTaxSettings = async (req, res) => {
+  try {
+    res.json(await getTaxSettings());
+  } catch (error) {
+    console.error('Error fetching tax settings:', error);
+    res.status(500).json({ message: 'Error fetching tax settings' });
+  }
+};
+
+// Update GST invoicing settings
+exports.updateTaxSettings = async (req, res) => {
+  try {
+    res.json(await updateTaxSettings(req.body));
+  } catch (error) {
+    if (isGstError(error)) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error updating tax settings:', error);
+    res.status(500).json({ message: 'Error updating tax settings' });
+  }
+};
+
+// Get exchange rates of the checkout currencies
+exports.getCurrencyRates = async (req, res) => {
+  try {
+    res.json(await listRates());
+  } catch (error) {
+    console.error('Error fetching currency rates:', error);
+    res.status(500).json({ message: 'Error fetching currency rates' });
+  }
+};
+
+// Set one currency's exchange rate
+exports.updateCurrencyRate = async (req, res) => {
+  try {
+    const rate = await setRate({ currency: req.params.currency, rate: req.body.rate }, { userId: req.user._id });
+    res.json(rate);
+  } catch (error) {
+    if (isCurrencyError(error)) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error updating currency rate:', error);
+    res.status(500).json({ message: 'Error updating currency rate' });
+  }
+};
+
+// Import exchange rates from an uploaded JSON or CSV file (or its contents in the body)
+exports.importCurrencyRates = async (req, res) => {
+  try {
+    const content = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+    const rates = await importRates(content, { userId: req.user._id });
+    res.json({ imported: rates.length, rates });
+  } catch (error) {
+    if (isCurrencyError(error)) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error importing currency rates:', error);
+    res.status(500).json({ message: 'Error importing currency rates' });
+  }
+};
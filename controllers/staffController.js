@@ -153,6 +153,90 @@ exports.getStores = async (req, res) => {
   }
 };
 
+// Reads { latitude, longitude } from a request body into a GeoJSON point (null clears it)
+const readStoreLocation = (body) => {
+  if (body.latitude === undefined && body.longitude === undefined) {
+    return undefined;
+  }
+  if (body.latitude === null || body.longitude === null || body.latitude === '' || body.longitude === '') {
+    return null;
+  }
+
+  const latitude = Number(body.latitude);
+  const longitude = Number(body.longitude);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    throw Object.assign(new Error('latitude and longitude must be valid coordinates'), { statusCode: 400 });
+  }
+  return { type: 'Point', coordinates: [longitude, latitude] };
+};
+
+// POST /api/staff/stores
+exports.createStore = async (req, res) => {
+  try {
+    const { name, code, city, address, zone, isActive } = req.body;
+    if (!name || !code) {
+      return res.status(400).json({ message: 'Store name and code are required' });
+    }
+
+    const existing = await Store.findOne({ code: code.toUpperCase() });
+    if (existing) {
+      return res.status(400).json({ message: 'A store with this code already exists' });
+    }
+
+    const location = readStoreLocation(req.body);
+    const store = await Store.create({
+      name,
+      code,
+      city,
+      address,
+      zone: zone || undefined,
+      isActive,
+      ...(location && { location })
+    });
+
+    res.status(201).json(store);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Create Store Error:', error);
+    res.status(500).json({ message: 'Server error creating store' });
+  }
+};
+
+// PUT /api/staff/stores/:id
+exports.updateStore = async (req, res) => {
+  try {
+    const store = await Store.findById(req.params.id);
+    if (!store) {
+      return res.status(404).json({ message: 'Store not found' });
+    }
+
+    ['name', 'city', 'address', 'isActive'].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        store[field] = req.body[field];
+      }
+    });
+    if (req.body.zone !== undefined) {
+      store.zone = req.body.zone && req.body.zone !== 'none' ? req.body.zone : null;
+    }
+
+    const location = readStoreLocation(req.body);
+    if (location !== undefined) {
+      store.location = location || undefined;
+    }
+
+    await store.save();
+    res.json(store);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Update Store Error:', error);
+    res.status(500).json({ message: 'Server error updating store' });
+  }
+};
+
 // GET /api/staff
 exports.getStaff = async (req, res) => {
   try {
@@ -0,0 +1,311 @@
+const Order = require('../models/Order');
+const Subscription = require('../models/Subscription');
+const SubscriptionPlan = require('../models/SubscriptionPlan');
+const { logActivity } = require('../utils/activityLogger');
+const deliveryService = require('../services/deliveryService');
+const razorpayService = require('../services/razorpayService');
+const subscriptionService = require('../services/subscriptionService');
+const subscriptionBillingService = require('../services/subscriptionBillingService');
+
+const isStaff = (user) => ['platform_admin', 'admin'].includes(user.role) || user.permissions?.includes('orders:view');
+
+const toSlug = (value) => String(value).toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+const handleSubscriptionError = (res, error, fallbackMessage) => {
+  if (subscriptionService.isSubscriptionError(error) || deliveryService.isDeliveryZoneError(error)) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: `Server Error: ${fallbackMessage}`,
+    error: error.message
+  });
+};
+
+// Loads a subscription the current user may manage (their own, or any for staff)
+const loadSubscription = async (req, res) => {
+  const subscription = await Subscription.findById(req.params.id);
+  if (!subscription || (!isStaff(req.user) && String(subscription.user) !== String(req.user._id))) {
+    res.status(404).json({ success: false, message: 'Subscription not found' });
+    return null;
+  }
+  return subscription;
+};
+
+// @desc    List active subscription plans
+// @route   GET /api/subscriptions/plans
+// @access  Public
+const getSubscriptionPlans = async (req, res) => {
+  try {
+    const query = { isActive: true };
+    if (req.query.frequency) {
+      query.frequency = req.query.frequency;
+    }
+
+    const plans = await SubscriptionPlan.find(query)
+      .populate('items.product', 'title images price')
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, data: plans, count: plans.length });
+  } catch (error) {
+    handleSubscriptionError(res, error, 'Failed to fetch subscription plans');
+  }
+};
+
+// @desc    Create a subscription plan
+// @route   POST /api/subscriptions/plans
+// @access  Private/Admin
+const createSubscriptionPlan = async (req, res) => {
+  try {
+    const { name, description, frequency, items, image, isActive } = req.body;
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ success: false, message: 'A plan needs at least one item' });
+    }
+
+    const plan = await SubscriptionPlan.create({
+      name,
+      slug: toSlug(req.body.slug || name || ''),
+      description,
+      frequency,
+      items,
+      image,
+      isActive,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({ success: true, data: plan });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'A plan with this slug already exists' });
+    }
+    handleSubscriptionError(res, error, 'Failed to create subscription plan');
+  }
+};
+
+// @desc    Update a subscription plan (existing subscriptions keep the price they signed up at)
+// @route   PUT /api/subscriptions/plans/:id
+// @access  Private/Admin
+const updateSubscriptionPlan = async (req, res) => {
+  try {
+    const plan = await SubscriptionPlan.findById(req.params.id);
+    if (!plan) {
+      return res.status(404).json({ success: false, message: 'Subscription plan not found' });
+    }
+
+    ['name', 'description', 'frequency', 'items', 'image', 'isActive'].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        plan[field] = req.body[field];
+      }
+    });
+    if (req.body.slug) {
+      plan.slug = toSlug(req.body.slug);
+    }
+
+    await plan.save();
+    res.json({ success: true, data: plan });
+  } catch (error) {
+    handleSubscriptionError(res, error, 'Failed to update subscription plan');
+  }
+};
+
+// @desc    Subscribe to a plan
+// @route   POST /api/subscriptions
+// @access  Private
+const createSubscription = async (req, res) => {
+  try {
+    const { planId, shippingDetails, timeSlot, startDate, paymentMethod } = req.body;
+    const { subscription, razorpayOrder } = await subscriptionService.createSubscription({
+      user: req.user,
+      planId,
+      shippingDetails,
+      timeSlot,
+      startDate,
+      paymentMethod
+    });
+
+    res.status(201).json({ success: true, data: subscription, razorpayOrder });
+  } catch (error) {
+    handleSubscriptionError(res, error, 'Failed to create subscription');
+  }
+};
+
+// @desc    Verify the sign-up payment and activate the subscription
+// @route   POST /api/subscriptions/:id/verify-payment
+// @access  Private
+const verifySubscriptionPayment = async (req, res) => {
+  try {
+    const subscription = await loadSubscription(req, res);
+    if (!subscription) return;
+
+    const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
+    if (razorpay_order_id !== subscription.razorpay?.signupOrderId) {
+      return res.status(400).json({ success: false, message: 'Payment does not belong to this subscription' });
+    }
+    if (!razorpayService.verifyPayment(razorpay_order_id, razorpay_payment_id, razorpay_signature)) {
+      return res.status(400).json({ success: false, message: 'Invalid payment signature' });
+    }
+
+    await subscriptionService.activateSubscription(subscription, { razorpayPaymentId: razorpay_payment_id, user: req.user });
+    res.json({ success: true, data: subscription });
+  } catch (error) {
+    handleSubscriptionError(res, error, 'Failed to verify subscription payment');
+  }
+};
+
+// @desc    Get the current user's subscriptions
+// @route   GET /api/subscriptions/mine
+// @access  Private
+const getMySubscriptions = async (req, res) => {
+  try {
+    const subscriptions = await Subscription.find({ user: req.user._id })
+      .populate('plan', 'name frequency image')
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, data: subscriptions, count: subscriptions.length });
+  } catch (error) {
+    handleSubscriptionError(res, error, 'Failed to fetch subscriptions');
+  }
+};
+
+// @desc    Get a subscription with its delivery orders
+// @route   GET /api/subscriptions/:id
+// @access  Private (owner or staff)
+const getSubscriptionById = async (req, res) => {
+  try {
+    const subscription = await loadSubscription(req, res);
+    if (!subscription) return;
+
+    await subscription.populate('plan', 'name frequency image');
+    const orders = await Order.find({ 'subscription.id': subscription._id })
+      .select('orderNumber status totalAmount currency shippingDetails.deliveryDate paymentDetails.status paymentDetails.razorpayOrderId subscription')
+      .sort({ 'subscription.cycle': -1 });
+
+    res.json({ success: true, data: { subscription, orders } });
+  } catch (error) {
+    handleSubscriptionError(res, error, 'Failed to fetch subscription');
+  }
+};
+
+// @desc    List subscriptions
+// @route   GET /api/subscriptions
+// @access  Private/Admin
+const getAllSubscriptions = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const query = status ? { status } : {};
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const [subscriptions, total] = await Promise.all([
+      Subscription.find(query)
+        .populate('user', 'name email phone')
+        .populate('plan', 'name frequency')
+        .sort({ nextDeliveryDate: 1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      Subscription.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: subscriptions,
+      pagination: { page: pageNumber, limit: pageSize, total, pages: Math.ceil(total / pageSize) }
+    });
+  } catch (error) {
+    handleSubscriptionError(res, error, 'Failed to fetch subscriptions');
+  }
+};
+
+const lifecycleHandler = (actionType, action, fallbackMessage) => async (req, res) => {
+  try {
+    const subscription = await loadSubscription(req, res);
+    if (!subscription) return;
+
+    await action(subscription, req);
+
+    if (isStaff(req.user) && String(subscription.user) !== String(req.user._id)) {
+      await logActivity({
+        req,
+        actionType,
+        method: req.method,
+        status: 'success',
+        metadata: { subscriptionId: subscription._id, status: subscription.status }
+      });
+    }
+
+    res.json({ success: true, data: subscription });
+  } catch (error) {
+    handleSubscriptionError(res, error, fallbackMessage);
+  }
+};
+
+// @desc    Pause deliveries, optionally until a date
+// @route   POST /api/subscriptions/:id/pause
+// @access  Private (owner or staff)
+const pauseSubscription = lifecycleHandler(
+  'Subscription Paused',
+  (subscription, req) => subscriptionService.pauseSubscription(subscription, { until: req.body.until, user: req.user }),
+  'Failed to pause subscription'
+);
+
+// @desc    Skip one upcoming delivery
+// @route   POST /api/subscriptions/:id/skip
+// @access  Private (owner or staff)
+const skipSubscriptionDelivery = lifecycleHandler(
+  'Subscription Delivery Skipped',
+  (subscription, req) => subscriptionService.skipDelivery(subscription, { date: req.body.date, user: req.user }),
+  'Failed to skip delivery'
+);
+
+// @desc    Resume a paused or past-due subscription
+// @route   POST /api/subscriptions/:id/resume
+// @access  Private (owner or staff)
+const resumeSubscription = lifecycleHandler(
+  'Subscription Resumed',
+  (subscription, req) => subscriptionService.resumeSubscription(subscription, { user: req.user }),
+  'Failed to resume subscription'
+);
+
+// @desc    Cancel a subscription (orders already created are kept)
+// @route   POST /api/subscriptions/:id/cancel
+// @access  Private (owner or staff)
+const cancelSubscription = lifecycleHandler(
+  'Subscription Cancelled',
+  (subscription, req) => subscriptionService.cancelSubscription(subscription, { reason: req.body.reason, user: req.user }),
+  'Failed to cancel subscription'
+);
+
+// @desc    Create due subscription orders and retry renewals now
+// @route   POST /api/subscriptions/run
+// @access  Private/Admin
+const runSubscriptions = async (req, res) => {
+  try {
+    const orders = await subscriptionService.generateDueOrders();
+    const renewals = await subscriptionBillingService.retryDueRenewals();
+
+    res.json({ success: true, data: { orders, renewals } });
+  } catch (error) {
+    handleSubscriptionError(res, error, 'Failed to run subscriptions');
+  }
+};
+
+module.exports = {
+  cancelSubscription,
+  createSubscription,
+  createSubscriptionPlan,
+  getAllSubscriptions,
+  getMySubscriptions,
+  getSubscriptionById,
+  getSubscriptionPlans,
+  pauseSubscription,
+  resumeSubscription,
+  runSubscriptions,
+  skipSubscriptionDelivery,
+  updateSubscriptionPlan,
+  verifySubscriptionPayment,
+};
@@ -1,6 +1,9 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 
+// Staff roles allowed into the admin panel
+const ADMIN_ROLES = ['platform_admin', 'store_owner', 'store_manager', 'delivery_manager', 'support_staff', 'inventory_staff', 'finance_staff', 'admin'];
+
 // Protect routes - authentication
 const protect = async (req, res, next) => {
   let token;
@@ -58,8 +61,7 @@ const protect = async (req, res, next) => {
 
 // Admin-only middleware
 const admin = (req, res, next) => {
-  const allowedAdminRoles = ['platform_admin', 'store_owner', 'store_manager', 'delivery_manager', 'support_staff', 'inventory_staff', 'finance_staff', 'admin'];
-  if (req.user && allowedAdminRoles.includes(req.user.role)) {
+  if (req.user && ADMIN_ROLES.includes(req.user.role)) {
     next();
   } else {
     res.status(403).json({ message: 'Not authorized as an admin' });
@@ -68,8 +70,7 @@ const admin = (req, res, next) => {
 
 // Admin or Vendor middleware
 const adminOrVendor = (req, res, next) => {
-  const allowedAdminRoles = ['platform_admin', 'store_owner', 'store_manager', 'delivery_manager', 'support_staff', 'inventory_staff', 'finance_staff', 'admin'];
-  if (req.user && (allowedAdminRoles.includes(req.user.role) || req.user.role === 'vendor')) {
+  if (req.user && (ADMIN_ROLES.includes(req.user.role) || req.user.role === 'vendor')) {
     next();
   } else {
     res.status(403).json({ message: 'Not authorized. Admin or vendor access required.' });
@@ -99,4 +100,4 @@ const optionalProtect = async (req, res, next) => {
   next();
 };
 
-module.exports = { protect, admin, adminOrVendor, optionalProtect };
\ No newline at end of file
+module.exports = { ADMIN_ROLES, protect, admin, adminOrVendor, optionalProtect };
\ No newline at end of file
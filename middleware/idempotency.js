@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const DEFAULT_TTL_HOURS = 24;
+const MAX_KEY_LENGTH = 255;
+
+const getTtlHours = () => {
+  const parsed = Number.parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10);
+  return Number.isInteger(parsed) && parsed >= DEFAULT_TTL_HOURS ? parsed : DEFAULT_TTL_HOURS;
+};
+
+// JSON.stringify with sorted keys so logically equal bodies hash the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const hashRequestBody = (body) => crypto
+  .createHash('sha256')
+  .update(stableStringify(body || {}))
+  .digest('hex');
+
+// Guests are identified by the contact details they check out with
+const getCustomerKey = (req) => {
+  if (req.user?._id) {
+    return String(req.user._id);
+  }
+
+  const shippingDetails = req.body?.shippingDetails || req.body?.orderData?.shippingDetails || {};
+  const contact = (shippingDetails.email || shippingDetails.phone || '').trim().toLowerCase();
+  return `guest:${contact || 'anonymous'}`;
+};
+
+/**
+ * Makes a POST endpoint safe to retry. Clients send an `Idempotency-Key` header; the first
+ * response for a key (per customer and endpoint) is stored and replayed for retries. Reusing a
+ * key with a different body is rejected with 409. Requests without the header pass through.
+ *
+ * @param {Object} options
+ * @param {string} options.scope Name of the endpoint the keys belong to
+ */
+const idempotency = ({ scope }) => async (req, res, next) => {
+  const rawKey = req.get('Idempotency-Key');
+  if (!rawKey) {
+    return next();
+  }
+
+  const key = rawKey.trim();
+  if (!key || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  const customerKey = getCustomerKey(req);
+  const requestHash = hashRequestBody(req.body);
+
+  let record;
+  try {
+    record = await IdempotencyKey.create({
+      key,
+      scope,
+      customerKey,
+      requestHash,
+      expiresAt: new Date(Date.now() + getTtlHours() * 60 * 60 * 1000)
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      console.error('Idempotency key lookup failed:', error);
+      return next(error);
+    }
+
+    let existing;
+    try {
+      existing = await IdempotencyKey.findOne({ key, scope, customerKey }).lean();
+    } catch (lookupError) {
+      console.error('Idempotency key lookup failed:', lookupError);
+      return next(lookupError);
+    }
+
+    if (!existing) {
+      return res.status(409).json({
+        success: false,
+        code: 'IDEMPOTENCY_KEY_IN_USE',
+        message: 'A request with this Idempotency-Key is still being processed. Please retry shortly.'
+      });
+    }
+
+    if (existing.requestHash !== requestHash) {
+      return res.status(409).json({
+        success: false,
+        code: 'IDEMPOTENCY_KEY_REUSED',
+        message: 'This Idempotency-Key was already used with a different request body. Use a new key for a new request.'
+      });
+    }
+
+    if (existing.status !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        code: 'IDEMPOTENCY_KEY_IN_USE',
+        message: 'A request with this Idempotency-Key is still being processed. Please retry shortly.'
+      });
+    }
+
+    console.log(`Replaying stored response for Idempotency-Key ${key} (${scope})`);
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.responseStatus).json(existing.responseBody);
+  }
+
+  let settled = false;
+  let responseBody;
+  const settle = async () => {
+    if (settled) return;
+    settled = true;
+
+    try {
+      // Server errors and non-JSON responses are not stored so the client can try again
+      if (responseBody === undefined || res.statusCode >= 500) {
+        await IdempotencyKey.deleteOne({ _id: record._id });
+        return;
+      }
+
+      await IdempotencyKey.updateOne(
+        { _id: record._id },
+        {
+          status: 'completed',
+          responseStatus: res.statusCode,
+          responseBody: JSON.parse(JSON.stringify(responseBody))
+        }
+      );
+    } catch (error) {
+      console.error(`Failed to store response for Idempotency-Key ${key}:`, error);
+    }
+  };
+
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    const result = originalJson(body);
+    // A client that hung up never gets 'finish'; store the response anyway so its retry replays it
+    if (res.destroyed) settle();
+    return result;
+  };
+
+  // Settled on 'finish' only: a client disconnecting mid-request must not free the key while the
+  // handler is still working, or its retry would run the request twice. Keys whose handler never
+  // responds stay in progress until they expire.
+  res.on('finish', settle);
+
+  return next();
+};
+
+module.exports = {
+  hashRequestBody,
+  idempotency,
+};
@@ -60,6 +60,18 @@ const addonProductSchema = new mongoose.Schema({
     default: '',
     trim: true
   },
+  // GST classification; empty/null fall back to the defaults in taxSettings (see services/gstService.js)
+  hsnCode: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  gstRate: {
+    type: Number,
+    default: null,
+    min: 0,
+    max: 28
+  },
   status: {
     type: String,
     enum: ['active', 'inactive'],
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Named monotonic sequences (order numbers, etc.). Each key is incremented atomically.
+const counterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Atomically increment a sequence and return the new value (first call returns 1)
+counterSchema.statics.next = async function(key, step = 1) {
+  const update = { $inc: { seq: step } };
+  const options = { new: true, upsert: true };
+
+  try {
+    const counter = await this.findOneAndUpdate({ key }, update, options);
+    return counter.seq;
+  } catch (error) {
+    // Two first-time upserts can race on the unique index; the retry finds the existing doc
+    if (error.code === 11000) {
+      const counter = await this.findOneAndUpdate({ key }, update, options);
+      return counter.seq;
+    }
+    throw error;
+  }
+};
+
+// Current value without incrementing (0 if the sequence has never been used)
+counterSchema.statics.peek = async function(key) {
+  const counter = await this.findOne({ key }).lean();
+  return counter ? counter.seq : 0;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+module.exports = Counter;
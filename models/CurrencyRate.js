@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Exchange rate of a checkout currency against INR, the currency the catalogue is priced in
+// (see services/currencyService.js). Orders keep a snapshot of the rate they were placed at.
+const currencyRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    enum: ['USD', 'AED', 'EUR', 'GBP']
+  },
+  // Units of the currency one rupee buys, e.g. 0.012 for USD
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'import'],
+    default: 'manual'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Rates set so far, newest last (capped in the service)
+  history: [{
+    _id: false,
+    rate: Number,
+    source: String,
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    setAt: Date
+  }]
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('CurrencyRate', currencyRateSchema);
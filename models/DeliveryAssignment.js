@@ -12,6 +12,18 @@ const deliveryAssignmentSchema = new mongoose.Schema({
     ref: 'DeliveryPartner',
     index: true
   },
+  // Store the partner picks the order up from
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store'
+  },
+  // Multi-drop route this delivery is a stop on, paid per batch rather than per order
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryBatch',
+    index: true
+  },
+  stopSequence: Number,
   status: {
     type: String,
     enum: [
@@ -29,12 +41,25 @@ const deliveryAssignmentSchema = new mongoose.Schema({
     default: 'pending_assignment',
     index: true
   },
+  // Why an offer to a partner ended without them accepting it
+  cancellationReason: {
+    type: String,
+    enum: ['partner_rejected', 'partner_timeout']
+  },
   failReason: {
     type: String,
     enum: ['customer_unavailable', 'rescheduled', 'returned_to_store', 'other']
   },
+  // What the partner recorded when marking the delivery failed
+  failureEvidence: {
+    photoUrl: String,
+    notes: String,
+    latitude: Number,
+    longitude: Number,
+    recordedAt: Date
+  },
   distance: {
-    type: Number, // in km
+    type: Number, // partner to store, in km
     default: 0
   },
   eta: {
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// A multi-drop route: orders for one delivery slot grouped by proximity and ridden by one
+// partner from one store (see services/routeBatchingService.js)
+const deliveryBatchSchema = new mongoose.Schema({
+  deliveryDate: {
+    type: Date,
+    required: true
+  },
+  timeSlot: {
+    type: String,
+    required: true
+  },
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store'
+  },
+  partnerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryPartner',
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['proposed', 'assigned', 'completed', 'cancelled'],
+    default: 'proposed',
+    index: true
+  },
+  stops: [{
+    _id: false,
+    sequence: Number,
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true
+    },
+    orderNumber: String,
+    assignmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DeliveryAssignment'
+    },
+    latitude: Number,
+    longitude: Number,
+    legDistance: Number, // km from the previous stop (or the store)
+    etaMinutes: Number // minutes after leaving the store
+  }],
+  totalDistance: {
+    type: Number, // store to the last stop, in km
+    default: 0
+  },
+  estimatedDuration: {
+    type: Number, // minutes, including time spent at each stop
+    default: 0
+  },
+  pickupDistance: {
+    type: Number, // partner to store when assigned, in km
+    default: 0
+  },
+  earnings: {
+    type: Number,
+    default: 0
+  },
+  assignedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+deliveryBatchSchema.index({ deliveryDate: 1, timeSlot: 1, storeId: 1, status: 1 });
+
+const DeliveryBatch = mongoose.model('DeliveryBatch', deliveryBatchSchema);
+module.exports = DeliveryBatch;
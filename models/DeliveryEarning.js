@@ -7,16 +7,26 @@ const deliveryEarningSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Batched routes are paid with one record per batch instead of per assignment
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryBatch',
+    index: true
+  },
   assignmentId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'DeliveryAssignment',
-    required: true,
+    required: function() { return !this.batchId; },
     index: true
   },
   orderId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Order',
-    required: true
+    required: function() { return !this.batchId; }
+  },
+  stopsDelivered: {
+    type: Number,
+    default: 0
   },
   amount: {
     type: Number,
@@ -26,6 +36,14 @@ const deliveryEarningSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  distancePay: {
+    type: Number, // per-km pay, peak multiplier included
+    default: 0
+  },
+  peakMultiplier: {
+    type: Number,
+    default: 1
+  },
   deliveryChargeShare: {
     type: Number,
     default: 0
@@ -38,6 +56,11 @@ const deliveryEarningSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Surge rule whose partner multiplier paid part of the bonus
+  surgeRuleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SurgeRule'
+  },
   date: {
     type: Date,
     default: Date.now,
@@ -48,7 +71,15 @@ const deliveryEarningSchema = new mongoose.Schema({
     enum: ['pending', 'paid'],
     default: 'pending',
     index: true
-  }
+  },
+  // Set once the earning is included in a payout run, so it is only settled once
+  payoutId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryPayout',
+    index: true
+  },
+  paidAt: Date,
+  transactionReference: String
 }, {
   timestamps: true
 });
@@ -58,6 +58,10 @@ const deliveryPartnerSchema = new mongoose.Schema({
     type: Number,
     default: 5.0
   },
+  ratingCount: {
+    type: Number,
+    default: 0
+  },
   totalDeliveries: {
     type: Number,
     default: 0
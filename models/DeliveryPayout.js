@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const payoutAdjustmentSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['adjustment', 'deduction'],
+    required: true
+  },
+  amount: {
+    type: Number, // always positive; deductions are subtracted
+    required: true,
+    min: 0
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One settlement of a partner's earnings for a pay period (usually a week)
+const deliveryPayoutSchema = new mongoose.Schema({
+  partnerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryPartner',
+    required: true,
+    index: true
+  },
+  period: {
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, required: true } // exclusive
+  },
+  earnings: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryEarning'
+  }],
+  summary: {
+    deliveries: { type: Number, default: 0 },
+    basePay: { type: Number, default: 0 },
+    distancePay: { type: Number, default: 0 },
+    tips: { type: Number, default: 0 },
+    bonus: { type: Number, default: 0 },
+    grossEarnings: { type: Number, default: 0 },
+    adjustments: { type: Number, default: 0 },
+    deductions: { type: Number, default: 0 },
+    netAmount: { type: Number, default: 0 }
+  },
+  adjustments: [payoutAdjustmentSchema],
+  status: {
+    type: String,
+    enum: ['pending', 'paid'],
+    default: 'pending',
+    index: true
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['bank_transfer', 'upi', 'cash'],
+  },
+  transactionReference: String,
+  paidAt: Date,
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  notes: String
+}, {
+  timestamps: true
+});
+
+deliveryPayoutSchema.index({ partnerId: 1, 'period.startDate': -1 });
+
+const DeliveryPayout = mongoose.model('DeliveryPayout', deliveryPayoutSchema);
+module.exports = DeliveryPayout;
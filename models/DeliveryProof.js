@@ -21,7 +21,30 @@ const deliveryProofSchema = new mongoose.Schema({
     default: Date.now
   },
   latitude: Number,
-  longitude: Number
+  longitude: Number,
+  // When the partner's app says the photo was taken (EXIF / camera time)
+  capturedAt: Date,
+  // Metres between where the proof was captured and the customer's drop location
+  distanceFromDrop: Number,
+  // verified: passed the geotag and timestamp checks; flagged: needs an admin to look at it;
+  // approved / rejected: an admin has reviewed a flagged proof (see services/deliveryProofService.js)
+  status: {
+    type: String,
+    enum: ['verified', 'flagged', 'approved', 'rejected'],
+    default: 'verified',
+    index: true
+  },
+  flags: [{
+    _id: false,
+    code: String,
+    message: String
+  }],
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNotes: String
 }, {
   timestamps: true
 });
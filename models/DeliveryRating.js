@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// The customer's rating of one delivery
+const deliveryRatingSchema = new mongoose.Schema({
+  assignmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryAssignment',
+    required: true,
+    unique: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+  partnerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryPartner',
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  stars: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  tags: [{
+    type: String,
+    enum: ['on_time', 'friendly', 'careful_handling', 'late', 'damaged', 'rude', 'wrong_location', 'unreachable']
+  }],
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Comment cannot exceed 500 characters']
+  },
+  // Two stars or fewer, or any complaint tag
+  isComplaint: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+deliveryRatingSchema.index({ partnerId: 1, createdAt: -1 });
+
+const DeliveryRating = mongoose.model('DeliveryRating', deliveryRatingSchema);
+module.exports = DeliveryRating;
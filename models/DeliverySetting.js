@@ -28,6 +28,46 @@ const deliverySettingSchema = new mongoose.Schema({
   peakHourMultiplier: {
     type: Number,
     default: 1.0
+  },
+  batchRadius: {
+    type: Number, // in km; drops further apart than this aren't put on one route
+    default: 3
+  },
+  batchStopEarning: {
+    type: Number, // extra pay for each delivered stop after the first on a route
+    default: 30
+  },
+  stopDwellMinutes: {
+    type: Number, // time allowed at each drop when estimating route ETAs
+    default: 5
+  },
+  redeliveryFee: {
+    type: Number, // charged when a delivery fails through the customer (0 = free redelivery)
+    default: 0
+  },
+  rescheduleWindowDays: {
+    type: Number, // how many days ahead a failed delivery can be rescheduled to
+    default: 7
+  },
+  proofRadiusMeters: {
+    type: Number, // proofs captured further than this from the drop are flagged for review
+    default: 200
+  },
+  proofMaxAgeMinutes: {
+    type: Number, // proofs uploaded longer than this after they were captured are flagged
+    default: 30
+  },
+  shiftOrdersPerPartner: {
+    type: Number, // orders one partner on shift is expected to deliver in a time slot
+    default: 6
+  },
+  ratingWindow: {
+    type: Number, // a partner's rating is the average of their latest this-many customer ratings
+    default: 50
+  },
+  ratingWindowDays: {
+    type: Number, // customers can rate a delivery for this many days afterwards
+    default: 14
   }
 }, {
   timestamps: true
@@ -31,6 +31,22 @@ const deliveryZoneSchema = new mongoose.Schema({
   baseDeliveryCharge: {
     type: Number,
     default: 150
+  },
+  // Added on top of the delivery charge for hard-to-reach areas
+  surcharge: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  minimumOrderAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Time slot values (e.g. 'standard', 'midnight') offered here; empty means every enabled slot
+  allowedTimeSlots: {
+    type: [String],
+    default: []
   }
 }, {
   timestamps: true
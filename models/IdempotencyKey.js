@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 255
+  },
+  // Endpoint the key was used on, e.g. "orders:create"
+  scope: {
+    type: String,
+    required: true
+  },
+  // User id for signed-in customers, "guest:<email|phone>" otherwise
+  customerKey: {
+    type: String,
+    required: true
+  },
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed'],
+    default: 'in_progress'
+  },
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+idempotencyKeySchema.index({ key: 1, scope: 1, customerKey: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+module.exports = IdempotencyKey;
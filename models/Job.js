@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Durable background job, run by whichever server instance claims it first
+// (see services/jobQueueService.js)
+const jobSchema = new mongoose.Schema({
+  // Handler name, e.g. "delivery.assignmentTimeout"
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // At most one pending job per key; scheduling again moves the existing one
+  uniqueKey: {
+    type: String,
+    trim: true
+  },
+  runAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  lockedAt: Date,
+  lockedBy: String,
+  lastError: String,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ uniqueKey: 1 }, { unique: true, partialFilterExpression: { status: 'pending', uniqueKey: { $type: 'string' } } });
+// Finished jobs are kept for a week for troubleshooting
+jobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const Job = mongoose.model('Job', jobSchema);
+module.exports = Job;
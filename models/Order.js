@@ -116,7 +116,18 @@ const orderSchema = new mongoose.Schema({
     // Razorpay specific fields
     razorpayOrderId: String,
     razorpayPaymentId: String,
-    razorpaySignature: String
+    razorpaySignature: String,
+    // Online payment state; set for Razorpay orders (see services/orderPaymentService.js)
+    status: {
+      type: String,
+      enum: ['pending', 'paid', 'failed']
+    },
+    paidAt: Date,
+    failureReason: String,
+    // Set once the payment reconciler has closed an abandoned payment and emailed the customer
+    reconciledAt: Date,
+    // When the customer last reopened the payment from a payment link (services/paymentRetryService.js)
+    retryStartedAt: Date
   },
   giftDetails: {
     message: String,
@@ -167,6 +178,11 @@ const orderSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // GST added on top of tax-exclusive prices at checkout; 0 when prices include GST
+  taxAmount: {
+    type: Number,
+    default: 0
+  },
   promoCode: {
     code: {
       type: String,
@@ -196,6 +212,13 @@ const orderSchema = new mongoose.Schema({
     enum: ['INR', 'USD', 'AED', 'EUR', 'GBP'],
     default: 'INR'
   },
+  // Where the rate snapshot came from and when that rate was set (see services/currencyService.js);
+  // amounts are stored in `currency`, and amount / currencyRate gives rupees
+  currencyRateSource: {
+    type: String,
+    enum: ['base', 'manual', 'import']
+  },
+  currencyRateAt: Date,
   status: {
     type: String,
     enum: ['order_placed', 'received', 'being_made', 'out_for_delivery', 'delivered', 'cancelled'],
@@ -221,6 +244,238 @@ const orderSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Lifecycle of the stock reserved at checkout (see services/stockReservationService.js)
+  stockReservationStatus: {
+    type: String,
+    enum: ['none', 'held', 'committed', 'released', 'expired'],
+    default: 'none'
+  },
+  stockHoldExpiresAt: {
+    type: Date,
+    default: null
+  },
+  // Slot capacity counters this order is booked against (see services/slotCapacityService.js)
+  slotCapacityIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SlotCapacity'
+  }],
+  // GST tax invoice, numbered once per order when first issued (see services/invoiceService.js)
+  invoice: {
+    number: String,
+    sequence: Number,
+    financialYear: String,
+    issuedAt: Date,
+    // Set while a number is being taken so two requests can't both draw one
+    lockedAt: Date,
+    sellerName: String,
+    sellerAddress: String,
+    sellerGstin: String,
+    sellerStateCode: String,
+    placeOfSupply: {
+      stateCode: String,
+      stateName: String
+    },
+    supplyType: {
+      type: String,
+      enum: ['intra_state', 'inter_state']
+    },
+    pricesIncludeTax: Boolean,
+    currency: String,
+    lines: [{
+      _id: false,
+      description: String,
+      hsnCode: String,
+      quantity: Number,
+      gstRate: Number,
+      amount: Number, // before discount, as charged
+      discount: Number,
+      taxableValue: Number,
+      cgst: Number,
+      sgst: Number,
+      igst: Number,
+      total: Number
+    }],
+    taxableValue: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    totalTax: Number,
+    total: Number
+  },
+  // Credit notes against the invoice for cancellations and refunds
+  creditNotes: [{
+    number: {
+      type: String,
+      required: true
+    },
+    sequence: Number,
+    financialYear: String,
+    reason: String,
+    // Refund ledger entry the note was issued for, if any
+    refundId: mongoose.Schema.Types.ObjectId,
+    taxableValue: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    totalTax: Number,
+    total: Number,
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Refund ledger, amounts in the order currency (see services/refundService.js)
+  refunds: [{
+    razorpayRefundId: String,
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    currency: String,
+    status: {
+      type: String,
+      enum: ['pending', 'processed', 'failed'],
+      default: 'pending'
+    },
+    reason: String,
+    notes: String,
+    failureReason: String,
+    initiatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    processedAt: Date,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Sum of pending and processed refunds
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  refundStatus: {
+    type: String,
+    enum: ['none', 'partial', 'full'],
+    default: 'none'
+  },
+  // What the customer paid online, recorded when an amendment reprices a paid order
+  // (see services/orderPaymentService.js calculateOrderBalance)
+  amountPaid: {
+    type: Number,
+    default: null
+  },
+  // Admin amendments, each with a field-by-field diff (see services/orderAmendmentService.js)
+  amendments: [{
+    changes: [{
+      field: String,
+      from: mongoose.Schema.Types.Mixed,
+      to: mongoose.Schema.Types.Mixed
+    }],
+    reason: String,
+    previousTotal: Number,
+    newTotal: Number,
+    balanceDue: Number,
+    refundOwed: Number,
+    amendedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Orders placed together in one multi-recipient checkout, sharing a Razorpay order
+  // (see services/multiRecipientCheckoutService.js)
+  checkoutGroup: {
+    id: String,
+    position: Number,
+    size: Number
+  },
+  // Store making and dispatching the order (see services/productionService.js)
+  store: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store'
+  },
+  // Delivery zone the shipping address fell in when the order was priced
+  deliveryZone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryZone'
+  },
+  // Components of deliveryCharge as priced by deliveryService.calculateDeliveryFee
+  deliveryChargeBreakdown: [{
+    _id: false,
+    component: String,
+    label: String,
+    amount: Number
+  }],
+  deliveryDistanceKm: Number,
+  // Surge rule applied when the order was priced (see services/surgePricingService.js)
+  surge: {
+    ruleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SurgeRule',
+      index: true
+    },
+    ruleName: String,
+    customerMultiplier: Number,
+    customerFlatFee: Number,
+    partnerMultiplier: Number,
+    amount: Number // added to the delivery charge
+  },
+  // Unsuccessful delivery attempts and how each was rescheduled
+  // (see services/failedDeliveryService.js)
+  failedDeliveries: [{
+    assignmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DeliveryAssignment'
+    },
+    reason: String,
+    notes: String,
+    photoUrl: String,
+    failedAt: Date,
+    // Fee for the next attempt, settled when the customer reschedules
+    redeliveryFee: {
+      type: Number,
+      default: 0
+    },
+    // Redelivery fee plus any upgrade to a pricier time slot, set when the new date is chosen
+    feeCharged: {
+      type: Number,
+      default: 0
+    },
+    feeStatus: {
+      type: String,
+      enum: ['none', 'pending', 'paid', 'collect_on_delivery', 'waived'],
+      default: 'none'
+    },
+    razorpayOrderId: String,
+    razorpayPaymentId: String,
+    rescheduledFor: Date,
+    rescheduledTimeSlot: String,
+    rescheduledAt: Date,
+    rescheduledBy: {
+      type: String,
+      enum: ['customer', 'admin']
+    }
+  }],
+  // Delivery generated from a subscription (see services/subscriptionService.js)
+  subscription: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subscription'
+    },
+    cycle: Number,
+    paymentAttempts: Number,
+    nextPaymentRetryAt: Date
+  },
   isTestOrder: {
     type: Boolean,
     default: false
@@ -235,8 +490,33 @@ orderSchema.index({ 'shippingDetails.phone': 1 });
 orderSchema.index({ 'shippingDetails.fullName': 1 });
 orderSchema.index({ 'shippingDetails.email': 1 });
 orderSchema.index({ 'shippingDetails.deliveryDate': 1 });
+orderSchema.index({ 'paymentDetails.razorpayOrderId': 1 });
+orderSchema.index({ 'paymentDetails.method': 1, 'paymentDetails.status': 1, createdAt: 1 });
+orderSchema.index({ store: 1, status: 1 });
+orderSchema.index({ 'checkoutGroup.id': 1 }, { sparse: true });
+orderSchema.index({ 'invoice.number': 1 }, { unique: true, partialFilterExpression: { 'invoice.number': { $exists: true } } });
+orderSchema.index({ 'creditNotes.number': 1 }, { sparse: true });
+// One order per subscription delivery, even if two scheduler runs overlap
+orderSchema.index(
+  { 'subscription.id': 1, 'subscription.cycle': 1 },
+  { unique: true, partialFilterExpression: { 'subscription.id': { $exists: true } } }
+);
+
+// Assign an order number before validation so the required check passes
+orderSchema.pre('validate', async function(next) {
+  if (!this.orderNumber) {
+    try {
+      const { reserveOrderNumber } = require('../services/orderNumberService');
+      this.orderNumber = await reserveOrderNumber();
+    } catch (err) {
+      return next(err);
+    }
+  }
 
-// Add pre-save hook for order number generation
+  next();
+});
+
+// Flag test orders and record status changes
 orderSchema.pre('save', async function(next) {
   // Set isTestOrder flag automatically if placeholder/test customer details are found
   try {
@@ -249,15 +529,6 @@ orderSchema.pre('save', async function(next) {
     console.error('Error checking placeholder customer in pre-save hook:', err);
   }
 
-  if (!this.orderNumber) {
-    const count = await this.constructor.countDocuments();
-    const date = new Date();
-    const year = date.getFullYear().toString().slice(-2);
-    const month = (date.getMonth() + 1).toString().padStart(2, '0');
-    const day = date.getDate().toString().padStart(2, '0');
-    this.orderNumber = `${year}${month}${(count + 1).toString().padStart(3, '0')}${day}`;
-  }
-  
   // Track status changes
   if (this.isModified('status') || this.isNew) {
     const statusMessages = {
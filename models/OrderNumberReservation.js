@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// An order number handed out by POST /api/orders/next-number, kept for the checkout of whoever
+// asked for it. It can be used once, on the day it belongs to, before it expires.
+const orderNumberReservationSchema = new mongoose.Schema({
+  orderNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // "user:<id>" for signed-in customers, "ip:<address>" for guests
+  holderKey: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Counter key of the business day the number belongs to, e.g. "orderNumber:20261018"
+  dayKey: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['reserved', 'claimed'],
+    default: 'reserved'
+  },
+  claimedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+orderNumberReservationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OrderNumberReservation = mongoose.model('OrderNumberReservation', orderNumberReservationSchema);
+module.exports = OrderNumberReservation;
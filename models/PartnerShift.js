@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A delivery partner's sign-up to work one time slot on one delivery day
+const partnerShiftSchema = new mongoose.Schema({
+  partnerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryPartner',
+    required: true,
+    index: true
+  },
+  date: {
+    type: Date, // delivery day at UTC midnight, like orders' shippingDetails.deliveryDate
+    required: true
+  },
+  timeSlot: {
+    type: String,
+    required: true
+  },
+  zone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryZone'
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'cancelled'],
+    default: 'scheduled'
+  },
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+partnerShiftSchema.index({ partnerId: 1, date: 1, timeSlot: 1 }, { unique: true });
+partnerShiftSchema.index({ date: 1, timeSlot: 1, status: 1 });
+
+const PartnerShift = mongoose.model('PartnerShift', partnerShiftSchema);
+module.exports = PartnerShift;
@@ -571,6 +571,18 @@ const productSchema = mongoose.Schema(
       type: String,
       default: '',
     },
+    // GST classification; empty/null fall back to the defaults in taxSettings (see services/gstService.js)
+    hsnCode: {
+      type: String,
+      default: '',
+      trim: true,
+    },
+    gstRate: {
+      type: Number,
+      default: null,
+      min: 0,
+      max: 28,
+    },
     status: {
       type: String,
       enum: ['published', 'draft', 'hidden', 'archived', 'scheduled'],
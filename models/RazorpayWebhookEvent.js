@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// One document per Razorpay webhook delivery, keyed by the X-Razorpay-Event-Id header so
+// retried deliveries are only applied once.
+const razorpayWebhookEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  event: {
+    type: String,
+    required: true,
+    index: true
+  },
+  razorpayOrderId: {
+    type: String,
+    index: true
+  },
+  razorpayPaymentId: String,
+  razorpayRefundId: String,
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['received', 'processed', 'ignored', 'unmatched', 'failed'],
+    default: 'received'
+  },
+  // Human readable outcome, e.g. "Order 261000118 marked paid"
+  result: String,
+  error: String,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+const RazorpayWebhookEvent = mongoose.model('RazorpayWebhookEvent', razorpayWebhookEventSchema);
+module.exports = RazorpayWebhookEvent;
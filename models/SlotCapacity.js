@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Most orders a delivery slot takes on one day, optionally only for one zone, and how many
+// are booked so far (see services/slotCapacityService.js)
+const slotCapacitySchema = new mongoose.Schema({
+  date: {
+    type: Date, // delivery day at UTC midnight, like orders' shippingDetails.deliveryDate
+    required: true
+  },
+  timeSlot: {
+    type: String,
+    required: true
+  },
+  // null caps the slot across every zone
+  zone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryZone',
+    default: null
+  },
+  maxOrders: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Incremented atomically as orders are placed and decremented when they are cancelled or moved
+  booked: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+slotCapacitySchema.index({ date: 1, timeSlot: 1, zone: 1 }, { unique: true });
+
+const SlotCapacity = mongoose.model('SlotCapacity', slotCapacitySchema);
+module.exports = SlotCapacity;
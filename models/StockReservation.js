@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const stockReservationSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null,
+    index: true
+  },
+  razorpayOrderId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  // Who started the checkout a pre-payment hold belongs to ("user:<id>" or "ip:<address>")
+  holderKey: {
+    type: String,
+    default: null,
+    index: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'productModel',
+    required: true
+  },
+  productModel: {
+    type: String,
+    enum: ['Product', 'AddonProduct'],
+    default: 'Product'
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // dateWiseStock key (e.g. "14 Feb") decremented alongside the global stock
+  dateKey: {
+    type: String,
+    default: null
+  },
+  dateQuantity: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['held', 'committed', 'released', 'expired'],
+    default: 'held',
+    index: true
+  },
+  // Only unpaid holds expire; committed reservations keep this null
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  releasedAt: {
+    type: Date,
+    default: null
+  },
+  releaseReason: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+
+const StockReservation = mongoose.model('StockReservation', stockReservationSchema);
+module.exports = StockReservation;
@@ -24,6 +24,17 @@ const storeSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'DeliveryZone'
   },
+  // Pickup point for delivery partners, GeoJSON [lng, lat]
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -32,4 +43,6 @@ const storeSchema = new mongoose.Schema({
   timestamps: true
 });
 
+storeSchema.index({ location: '2dsphere' }, { sparse: true });
+
 module.exports = mongoose.model('Store', storeSchema);
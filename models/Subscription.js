@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+
+const subscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  plan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SubscriptionPlan',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending_payment', 'active', 'paused', 'past_due', 'cancelled'],
+    default: 'pending_payment',
+    index: true
+  },
+  frequency: {
+    type: String,
+    enum: ['weekly', 'fortnightly', 'monthly'],
+    required: true
+  },
+  // Deliveries fall on startDate + n periods (cycle n); dates are IST calendar days at UTC midnight
+  startDate: {
+    type: Date,
+    required: true
+  },
+  nextCycle: {
+    type: Number,
+    default: 0
+  },
+  nextDeliveryDate: {
+    type: Date,
+    index: true
+  },
+  // Scheduled delivery days (YYYY-MM-DD) the customer asked to skip
+  skippedDates: {
+    type: [String],
+    default: []
+  },
+  pausedAt: Date,
+  pausedUntil: Date,
+  cancelledAt: Date,
+  cancellationReason: String,
+  timeSlot: String,
+  shippingDetails: {
+    fullName: String,
+    email: String,
+    phone: String,
+    address: String,
+    apartment: String,
+    city: String,
+    state: String,
+    zipCode: String,
+    cardMessage: String,
+    deliveryInstructions: String,
+    latitude: Number,
+    longitude: Number,
+    formattedAddress: String,
+    pincode: String,
+    landmark: String
+  },
+  // Price agreed at sign-up, charged for every delivery
+  pricing: {
+    subtotal: { type: Number, required: true },
+    deliveryCharge: { type: Number, default: 0 },
+    totalAmount: { type: Number, required: true },
+    currency: { type: String, default: 'INR' }
+  },
+  items: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'items.productModel',
+      required: true
+    },
+    productModel: {
+      type: String,
+      enum: ['Product', 'AddonProduct'],
+      default: 'Product'
+    },
+    title: String,
+    image: String,
+    quantity: { type: Number, default: 1 },
+    selectedVariant: { type: mongoose.Schema.Types.Mixed, default: null },
+    price: { type: Number, required: true }
+  }],
+  paymentMethod: {
+    type: String,
+    enum: ['razorpay', 'cash'],
+    required: true
+  },
+  // Saved card/UPI mandate used to charge renewals (see services/subscriptionBillingService.js)
+  razorpay: {
+    customerId: String,
+    tokenId: String,
+    // Sign-up payment, which pays for the first delivery
+    signupOrderId: String,
+    signupPaymentId: String
+  },
+  deliveriesCreated: {
+    type: Number,
+    default: 0
+  },
+  history: [{
+    action: {
+      type: String,
+      enum: ['created', 'activated', 'paused', 'resumed', 'skipped', 'cancelled', 'order_created', 'payment_failed', 'past_due'],
+      required: true
+    },
+    note: String,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+subscriptionSchema.index({ status: 1, nextDeliveryDate: 1 });
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
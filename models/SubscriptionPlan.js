@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const subscriptionPlanSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Plan name is required'],
+    trim: true,
+    maxlength: [100, 'Plan name cannot exceed 100 characters']
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  frequency: {
+    type: String,
+    enum: ['weekly', 'fortnightly', 'monthly'],
+    required: true
+  },
+  // What goes out on every delivery, priced per delivery
+  items: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'items.productModel',
+      required: true
+    },
+    productModel: {
+      type: String,
+      enum: ['Product', 'AddonProduct'],
+      default: 'Product'
+    },
+    quantity: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    selectedVariant: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+  image: {
+    type: String,
+    default: ''
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+subscriptionPlanSchema.index({ isActive: 1, frequency: 1 });
+
+// Item total per delivery, before delivery charges
+subscriptionPlanSchema.virtual('pricePerDelivery').get(function() {
+  return (this.items || []).reduce((sum, item) => sum + item.price * item.quantity, 0);
+});
+
+subscriptionPlanSchema.set('toJSON', { virtuals: true });
+subscriptionPlanSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('SubscriptionPlan', subscriptionPlanSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// Raises the delivery charge and partner pay for a busy delivery window, e.g. the
+// Valentine's Day midnight slot (see services/surgePricingService.js)
+const surgeRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Delivery days covered, inclusive, stored like orders' shippingDetails.deliveryDate
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  // Time slot values (e.g. 'midnight'); empty means every slot
+  timeSlots: {
+    type: [String],
+    default: []
+  },
+  // Delivery zones covered; empty means everywhere
+  zones: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryZone'
+  }],
+  // Applied to the standard delivery fee; the extra is added as its own charge line
+  customerMultiplier: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  customerFlatFee: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Applied to the partner's base and distance pay; the extra is paid as a bonus
+  partnerMultiplier: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // When several rules match an order the highest priority wins
+  priority: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+surgeRuleSchema.index({ isActive: 1, startDate: 1, endDate: 1 });
+
+const SurgeRule = mongoose.model('SurgeRule', surgeRuleSchema);
+module.exports = SurgeRule;
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Live tracking updates shared between API instances. Each instance polls the newest events
+// and forwards those published elsewhere to its own sockets; the collection is capped, so
+// old events drop off on their own.
+const trackingEventSchema = new mongoose.Schema({
+  orderNumber: {
+    type: String,
+    required: true
+  },
+  // Message sent to the sockets, as built by publishLocation/publishStatus
+  message: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Instance that published the event and already sent it to its own sockets
+  origin: {
+    type: String,
+    required: true
+  }
+}, {
+  capped: { size: 5 * 1024 * 1024, max: 5000 },
+  versionKey: false
+});
+
+const TrackingEvent = mongoose.model('TrackingEvent', trackingEventSchema);
+module.exports = TrackingEvent;
@@ -291,6 +291,18 @@ const deliverySettingsSchema = new mongoose.Schema({
       { minOrderAmount: 999, charge: 0 }
     ]
   },
+  // Road distance bands from the fulfilling store, e.g. [{ upToKm: 5, charge: 0 }, { upToKm: 12, charge: 99 }, { charge: 199 }];
+  // a band without upToKm covers everything further out. Empty disables distance pricing.
+  distanceTiers: {
+    type: [
+      {
+        _id: false,
+        upToKm: Number,
+        charge: Number
+      }
+    ],
+    default: []
+  },
   zones: {
     type: [
       {
@@ -326,6 +338,21 @@ const deliverySettingsSchema = new mongoose.Schema({
   tickerMessage: { type: String, default: 'Same-day flower delivery in Hyderabad. Free delivery on orders above ₹999!' }
 });
 
+// Seller details and GST defaults for invoices (see services/gstService.js)
+const taxSettingsSchema = new mongoose.Schema({
+  legalName: { type: String, default: 'Spring Blossoms Florist' },
+  gstin: { type: String, default: '' },
+  address: { type: String, default: 'Door No. 12-2-786/A & B, Najam Centre, Pillar No. 32, Rethi Bowli, Mehdipatnam, Hyderabad, Telangana 500028' },
+  stateCode: { type: String, default: '36' }, // GST state code of the registered place of business
+  pricesIncludeTax: { type: Boolean, default: true }, // false adds GST on top of prices at checkout
+  defaultHsnCode: { type: String, default: '0603' }, // for products without their own code
+  defaultGstRate: { type: Number, default: 5 },
+  deliverySacCode: { type: String, default: '996812' },
+  deliveryGstRate: { type: Number, default: 5 },
+  invoicePrefix: { type: String, default: 'SBF' },
+  creditNotePrefix: { type: String, default: 'CN' }
+});
+
 const themeSettingsSchema = new mongoose.Schema({
   primaryColor: { type: String, default: '200 100% 75%' }, // HSL string format
   secondaryColor: { type: String, default: '320 60% 85%' },
@@ -399,6 +426,10 @@ const settingsSchema = new mongoose.Schema({
     type: deliverySettingsSchema,
     default: () => ({})
   },
+  taxSettings: {
+    type: taxSettingsSchema,
+    default: () => ({})
+  },
   themeSettings: {
     type: themeSettingsSchema,
     default: () => ({})
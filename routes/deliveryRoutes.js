@@ -48,6 +48,16 @@ router.put('/partner/orders/:assignmentId/state', protectDriver, deliveryControl
 router.post('/partner/orders/:assignmentId/verify-otp', protectDriver, deliveryController.verifyCustomerOtp);
 router.post('/partner/orders/:assignmentId/proof', protectDriver, deliveryController.uploadDeliveryProof);
 
+// Shift sign-up for delivery slots
+router.get('/partner/shifts', protectDriver, deliveryController.getPartnerShifts);
+router.post('/partner/shifts', protectDriver, deliveryController.signUpForShift);
+router.delete('/partner/shifts/:shiftId', protectDriver, deliveryController.cancelShift);
+
+// Earnings history and payout statements
+router.get('/partner/earnings/history', protectDriver, deliveryController.getPartnerEarningsHistory);
+router.get('/partner/payouts', protectDriver, deliveryController.getPartnerPayouts);
+router.get('/partner/payouts/:payoutId/statement', protectDriver, deliveryController.getPartnerPayoutStatement);
+
 // --- DRIVER FCM & ASSIGNMENTS ---
 router.post('/delivery/register-fcm-token', protectDriver, deliveryController.registerFcmToken);
 router.post('/delivery/update-fcm-token', protectDriver, deliveryController.updateFcmToken);
@@ -62,6 +72,7 @@ router.get('/auth/me', protectDriver, deliveryController.getMe);
 // --- ADMIN CONTROLS (PROTECTED + ADMIN ROLE) ---
 router.get('/admin/partners', protect, admin, deliveryController.getAdminDeliveryPartners);
 router.get('/admin/partners/:partnerId', protect, admin, deliveryController.getAdminDeliveryPartnerDetails);
+router.get('/admin/partners/:partnerId/scorecard', protect, admin, deliveryController.getPartnerScorecard);
 router.get('/admin/active', protect, admin, deliveryController.getAdminActiveDeliveries);
 router.get('/admin/analytics', protect, admin, deliveryController.getDeliveryAnalytics);
 
@@ -70,6 +81,41 @@ router.get('/admin/settings', protect, admin, deliveryController.getAdminDeliver
 router.put('/admin/settings', protect, admin, deliveryController.updateAdminDeliverySettings);
 router.post('/admin/assign', protect, admin, deliveryController.manuallyAssignOrder);
 router.post('/admin/orders/:assignmentId/force-complete', protect, admin, deliveryController.forceCompleteAssignment);
+router.post('/admin/orders/:orderNumber/reschedule', protect, admin, deliveryController.adminRescheduleDelivery);
+
+// Admin route batching (multi-drop routes per time slot)
+router.get('/admin/batches', protect, admin, deliveryController.getDeliveryBatches);
+router.post('/admin/batches/plan', protect, admin, deliveryController.planDeliveryBatches);
+router.post('/admin/batches/:batchId/assign', protect, admin, deliveryController.assignDeliveryBatch);
+
+// Admin delivery proof gallery and review of flagged proofs
+router.get('/admin/proofs', protect, admin, deliveryController.getDeliveryProofs);
+router.put('/admin/proofs/:proofId/review', protect, admin, deliveryController.reviewDeliveryProof);
+
+// Admin partner payouts (settlement runs, adjustments, marking paid)
+router.post('/admin/payouts/run', protect, admin, deliveryController.createPayoutRun);
+router.get('/admin/payouts', protect, admin, deliveryController.getAdminPayouts);
+router.get('/admin/payouts/:payoutId', protect, admin, deliveryController.getAdminPayoutDetails);
+router.get('/admin/payouts/:payoutId/statement', protect, admin, deliveryController.getAdminPayoutStatement);
+router.post('/admin/payouts/:payoutId/adjustments', protect, admin, deliveryController.addPayoutAdjustment);
+router.put('/admin/payouts/:payoutId/paid', protect, admin, deliveryController.markPayoutPaid);
+
+// Admin shift planning (capacity vs. booked orders per slot, who is on shift)
+router.get('/admin/shifts/capacity', protect, admin, deliveryController.getShiftCapacity);
+router.get('/admin/shifts', protect, admin, deliveryController.getShiftRoster);
+
+// Admin order caps per delivery day and slot (optionally per zone)
+router.get('/admin/slot-capacity', protect, admin, deliveryController.getSlotCapacities);
+router.put('/admin/slot-capacity', protect, admin, deliveryController.setSlotCapacity);
+router.delete('/admin/slot-capacity/:capacityId', protect, admin, deliveryController.removeSlotCapacity);
+
+// Admin surge pricing (peak rules, preview, which orders each rule priced)
+router.get('/admin/surge-rules', protect, admin, deliveryController.getSurgeRules);
+router.post('/admin/surge-rules', protect, admin, deliveryController.createSurgeRule);
+router.post('/admin/surge-rules/preview', protect, admin, deliveryController.previewSurge);
+router.put('/admin/surge-rules/:ruleId', protect, admin, deliveryController.updateSurgeRule);
+router.delete('/admin/surge-rules/:ruleId', protect, admin, deliveryController.deleteSurgeRule);
+router.get('/admin/surge-rules/:ruleId/orders', protect, admin, deliveryController.getSurgeRuleOrders);
 
 // Admin zone management
 router.get('/admin/zones', protect, admin, deliveryController.getAdminDeliveryZones);
@@ -80,4 +126,13 @@ router.delete('/admin/zones/:zoneId', protect, admin, deliveryController.deleteA
 // --- CUSTOMER TRACKING (PUBLIC) ---
 router.get('/track/:orderNumber', deliveryController.getCustomerTrackingDetails);
 
+// Self-service reschedule after a failed delivery (tracking-link token or the customer's login)
+router.get('/track/:orderNumber/reschedule', deliveryController.getRescheduleOptions);
+router.post('/track/:orderNumber/reschedule', deliveryController.rescheduleFailedDelivery);
+router.post('/track/:orderNumber/reschedule/verify-payment', deliveryController.confirmRedeliveryPayment);
+
+// Rating the delivery partner once the order is delivered (same access as reschedule)
+router.get('/track/:orderNumber/rating', deliveryController.getDeliveryRating);
+router.post('/track/:orderNumber/rating', deliveryController.rateDelivery);
+
 module.exports = router;
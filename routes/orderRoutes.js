@@ -7,30 +7,49 @@ const {
   getUserOrders,
   getOrderById,
   getOrderInvoice,
+  getOrderCreditNote,
+  createOrderCreditNote,
   updateOrderToPaid,
   updateOrderToDelivered,
   updateOrderStatus,
   getNextOrderNumber,
   createRazorpayOrder,
   verifyRazorpayPayment,
+  retryOrderPayment,
   getTodayOrders,
   getUpcomingDeliveries,
   getDeliveryCalendar,
   testDeliveryEmail,
   calculateDelivery,
+  getDeliverySlotAvailability,
+  createMultiRecipientOrder,
+  quoteMultiRecipientOrder,
+  getCheckoutGroup,
 } = require('../controllers/orderController');
 const { sendReviewRequestEmailForOrder } = require('../controllers/reviewController');
+const { createOrderRefund, getOrderRefunds, syncOrderRefund } = require('../controllers/refundController');
+const { createOrderAmendment, getOrderAmendments, previewOrderAmendment } = require('../controllers/orderAmendmentController');
+const { requirePermission } = require('../middleware/rbacMiddleware');
 const { createRateLimiter } = require('../middleware/rateLimiter');
+const { idempotency } = require('../middleware/idempotency');
 
-router.post('/', optionalProtect, createOrder);
+router.post('/', optionalProtect, idempotency({ scope: 'orders:create' }), createOrder);
 router.get('/', protect, admin, getOrders);
 router.get('/myorders', protect, getUserOrders);
 router.get('/today', protect, admin, getTodayOrders);
 
+// Multi-recipient checkout: one order per recipient, paid together
+router.post('/multi-recipient/quote', optionalProtect, quoteMultiRecipientOrder);
+router.post('/multi-recipient', optionalProtect, idempotency({ scope: 'orders:create-multi-recipient' }), createMultiRecipientOrder);
+router.get('/group/:groupId', protect, getCheckoutGroup);
+
 // New date and delivery focused routes
 router.get('/upcoming-deliveries', protect, admin, getUpcomingDeliveries);
 router.get('/delivery-calendar', protect, admin, getDeliveryCalendar);
 
+// Slots with room left per delivery day (checkout greys out full ones)
+router.get('/slot-availability', getDeliverySlotAvailability);
+
 // Test delivery email route
 router.post('/test-delivery-email', protect, admin, testDeliveryEmail);
 
@@ -48,6 +67,7 @@ router.post(
 
 // Invoice download route (must be before /:id catch-all)
 router.get('/:id/invoice', optionalProtect, getOrderInvoice);
+router.get('/:id/credit-notes/:creditNoteId', optionalProtect, getOrderCreditNote);
 
 router.route('/:id')
   .get(protect, getOrderById);
@@ -61,11 +81,54 @@ router.route('/:id/deliver')
 router.route('/:id/status')
   .put(protect, admin, updateOrderStatus);
 
-router.post('/next-number', getNextOrderNumber);
+// Refunds
+router.route('/:id/refunds')
+  .get(protect, requirePermission('finance:refunds'), getOrderRefunds)
+  .post(protect, requirePermission('finance:refunds'), createOrderRefund);
+router.post('/:id/refunds/:refundId/sync', protect, requirePermission('finance:refunds'), syncOrderRefund);
+
+// GST credit notes against the order's invoice
+router.post('/:id/credit-notes', protect, requirePermission('finance:refunds'), createOrderCreditNote);
+
+// Amendments
+router.route('/:id/amendments')
+  .get(protect, requirePermission('orders:edit'), getOrderAmendments)
+  .post(protect, requirePermission('orders:edit'), createOrderAmendment);
+router.post('/:id/amendments/preview', protect, requirePermission('orders:edit'), previewOrderAmendment);
+
+router.post(
+  '/next-number',
+  optionalProtect,
+  createRateLimiter({
+    windowMs: 10 * 60 * 1000,
+    max: 20,
+    message: 'Too many order number requests. Please wait a few minutes before trying again.',
+  }),
+  getNextOrderNumber
+);
 
 // Razorpay specific routes
-router.post('/create-razorpay-order', optionalProtect, createRazorpayOrder);
-router.post('/verify-payment', optionalProtect, verifyRazorpayPayment);
+router.post(
+  '/create-razorpay-order',
+  optionalProtect,
+  createRateLimiter({
+    windowMs: 10 * 60 * 1000,
+    max: 10,
+    message: 'Too many checkout attempts. Please wait a few minutes before trying again.',
+  }),
+  createRazorpayOrder
+);
+router.post('/verify-payment', optionalProtect, idempotency({ scope: 'orders:verify-payment' }), verifyRazorpayPayment);
+router.post(
+  '/retry-payment',
+  optionalProtect,
+  createRateLimiter({
+    windowMs: 10 * 60 * 1000,
+    max: 10,
+    message: 'Too many payment attempts. Please wait a few minutes before trying again.',
+  }),
+  retryOrderPayment
+);
 
 // Delivery fee calculation route
 router.post('/calculate-delivery', optionalProtect, calculateDelivery);
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const {
+  assignOrderStore,
+  getPickList,
+  getProductionPlan,
+  getWorkQueue,
+  releaseToProduction
+} = require('../controllers/productionController');
+const { protect } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/rbacMiddleware');
+
+router.get('/plan', protect, requirePermission('orders:view'), getProductionPlan);
+router.get('/queue', protect, requirePermission('orders:view'), getWorkQueue);
+router.get('/pick-list', protect, requirePermission('orders:view'), getPickList);
+router.post('/release', protect, requirePermission('orders:edit'), releaseToProduction);
+router.put('/orders/:id/store', protect, requirePermission('orders:edit'), assignOrderStore);
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const { handleRazorpayWebhook } = require('../controllers/razorpayWebhookController');
+
+// The signature covers the exact bytes Razorpay sent, so the body must stay raw here
+router.post('/', express.raw({ type: '*/*', limit: '1mb' }), handleRazorpayWebhook);
+
+module.exports = router;
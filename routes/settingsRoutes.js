@@ -1,8 +1,12 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const settingsController = require('../controllers/settingsController');
 const { protect, admin } = require('../middleware/authMiddleware');
 
+// Exchange rate files are small and only read once, so they stay in memory
+const ratesUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 100 * 1024 } });
+
 // Get all settings at once (public)
 router.get('/all', settingsController.getAllSettings);
 
@@ -43,6 +47,15 @@ router.put('/header', protect, admin, settingsController.updateHeaderSettings);
 router.get('/footer', settingsController.getFooterSettings);
 router.put('/footer', protect, admin, settingsController.updateFooterSettings);
 
+// GST invoicing settings routes (admin only)
+router.get('/tax', protect, admin, settingsController.getTaxSettings);
+router.put('/tax', protect, admin, settingsController.updateTaxSettings);
+
+// Currency exchange rates (public read, admin write)
+router.get('/currency-rates', settingsController.getCurrencyRates);
+router.post('/currency-rates/import', protect, admin, ratesUpload.single('file'), settingsController.importCurrencyRates);
+router.put('/currency-rates/:currency', protect, admin, settingsController.updateCurrencyRate);
+
 // WhatsApp settings routes
 router.get('/whatsapp-widget', settingsController.getWhatsAppWidgetSettings);
 router.put('/whatsapp-widget', protect, admin, settingsController.updateWhatsAppWidgetSettings);
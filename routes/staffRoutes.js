@@ -16,6 +16,8 @@ router.post('/roles', protect, requireRole(['platform_admin', 'store_owner']), s
 router.put('/roles/:id', protect, requireRole(['platform_admin', 'store_owner']), staffController.updateRole);
 router.get('/permissions', protect, staffController.getPermissions);
 router.get('/stores', protect, staffController.getStores);
+router.post('/stores', protect, requireRole(['platform_admin', 'store_owner']), staffController.createStore);
+router.put('/stores/:id', protect, requireRole(['platform_admin', 'store_owner']), staffController.updateStore);
 
 
 // Logs & Session tracking
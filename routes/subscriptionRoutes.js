@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const {
+  cancelSubscription,
+  createSubscription,
+  createSubscriptionPlan,
+  getAllSubscriptions,
+  getMySubscriptions,
+  getSubscriptionById,
+  getSubscriptionPlans,
+  pauseSubscription,
+  resumeSubscription,
+  runSubscriptions,
+  skipSubscriptionDelivery,
+  updateSubscriptionPlan,
+  verifySubscriptionPayment
+} = require('../controllers/subscriptionController');
+const { protect, admin } = require('../middleware/authMiddleware');
+
+// Plans
+router.get('/plans', getSubscriptionPlans);
+router.post('/plans', protect, admin, createSubscriptionPlan);
+router.put('/plans/:id', protect, admin, updateSubscriptionPlan);
+
+// Admin
+router.get('/', protect, admin, getAllSubscriptions);
+router.post('/run', protect, admin, runSubscriptions);
+
+// Customer (must be before /:id)
+router.post('/', protect, createSubscription);
+router.get('/mine', protect, getMySubscriptions);
+
+router.get('/:id', protect, getSubscriptionById);
+router.post('/:id/verify-payment', protect, verifySubscriptionPayment);
+router.post('/:id/pause', protect, pauseSubscription);
+router.post('/:id/skip', protect, skipSubscriptionDelivery);
+router.post('/:id/resume', protect, resumeSubscription);
+router.post('/:id/cancel', protect, cancelSubscription);
+
+module.exports = router;
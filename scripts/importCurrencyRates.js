@@ -0,0 +1,31 @@
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const connectDB = require('../config/db');
+const { importRates } = require('../services/currencyService');
+
+// Usage: node scripts/importCurrencyRates.js <rates.json|rates.csv>
+const run = async () => {
+  const file = process.argv[2];
+  if (!file) {
+    console.error('Usage: node scripts/importCurrencyRates.js <rates.json|rates.csv>');
+    process.exit(1);
+  }
+
+  try {
+    const content = fs.readFileSync(path.resolve(file), 'utf8');
+    await connectDB();
+
+    const rates = await importRates(content);
+
+    console.log(`Imported ${rates.length} exchange rate(s)`);
+    rates.forEach((rate) => console.log(`  ${rate.currency}: ${rate.rate}`));
+    process.exit(0);
+  } catch (error) {
+    console.error('Exchange rate import failed:', error.message);
+    process.exit(1);
+  }
+};
+
+run();
@@ -0,0 +1,35 @@
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+const connectDB = require('../config/db');
+const { reconcileStalePayments } = require('../services/paymentReconciliationService');
+
+// Usage: node scripts/reconcilePayments.js [--after-minutes=30] [--max-age-hours=72]
+const readArg = (name) => {
+  const arg = process.argv.find((value) => value.startsWith(`--${name}=`));
+  const parsed = arg ? Number.parseInt(arg.split('=')[1], 10) : NaN;
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : undefined;
+};
+
+const run = async () => {
+  try {
+    await connectDB();
+
+    const overrides = {};
+    const staleAfterMinutes = readArg('after-minutes');
+    const maxAgeHours = readArg('max-age-hours');
+    if (staleAfterMinutes) overrides.staleAfterMinutes = staleAfterMinutes;
+    if (maxAgeHours) overrides.maxAgeHours = maxAgeHours;
+
+    const summary = await reconcileStalePayments(overrides);
+
+    console.log('Payment reconciliation finished');
+    console.log(summary);
+    process.exit(summary.errors > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('Payment reconciliation failed:', error);
+    process.exit(1);
+  }
+};
+
+run();
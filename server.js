@@ -539,6 +539,34 @@ const startServer = async () => {
 
     initEmailService();
 
+    // Release unpaid checkout stock holds once their TTL lapses
+    const { startStockHoldSweeper } = require('./services/stockReservationService');
+    startStockHoldSweeper();
+
+    // Settle Razorpay orders whose payment was never verified by the browser
+    const { startPaymentReconciler } = require('./services/paymentReconciliationService');
+    startPaymentReconciler();
+
+    // Create upcoming subscription deliveries and retry unpaid renewals
+    const { startSubscriptionScheduler } = require('./services/subscriptionService');
+    startSubscriptionScheduler();
+
+    // Optionally release the day's orders to the kitchen on a timer
+    const { startProductionReleaser } = require('./services/productionService');
+    startProductionReleaser();
+
+    // Run queued background jobs (assignment timeouts, review requests, campaign start/end,
+    // weekly partner payouts). Requiring the services registers their job handlers with the queue.
+    require('./services/deliveryService');
+    require('./services/reviewRequestService');
+    require('./services/campaignScheduleService');
+    const { scheduleWeeklyPayoutRun } = require('./services/partnerPayoutService');
+    scheduleWeeklyPayoutRun().catch((error) => {
+      console.error('❌ Failed to schedule the weekly partner payout run:', error);
+    });
+    const { startJobWorker } = require('./services/jobQueueService');
+    startJobWorker();
+
     const app = express();
     app.set('trust proxy', 1);
 
@@ -556,8 +584,8 @@ const startServer = async () => {
       credentials: true,
       methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
       // Allow custom headers used by the frontend (e.g. x-session-id)
-      allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'X-Session-Id', 'x-session-id'],
-      exposedHeaders: ['Content-Range', 'X-Content-Range'],
+      allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'X-Session-Id', 'x-session-id', 'Idempotency-Key'],
+      exposedHeaders: ['Content-Range', 'X-Content-Range', 'Idempotent-Replayed'],
       preflightContinue: false,
       optionsSuccessStatus: 204,
       maxAge: 86400
@@ -620,6 +648,10 @@ const startServer = async () => {
       standardHeaders: true,
       legacyHeaders: false,
     });
+    // Razorpay webhooks need the raw body for signature checks and must not be rate limited,
+    // so they are mounted ahead of the limiter and the JSON parser
+    app.use('/api/webhooks/razorpay', require('./routes/razorpayWebhookRoutes'));
+
     app.use('/api/', globalLimiter);
 
     app.use(express.json({ limit: '50mb' }));
@@ -659,6 +691,8 @@ const startServer = async () => {
     app.use('/api/seasonal-campaigns', require('./routes/seasonalCampaignRoutes'));
     app.use('/api/admin', require('./routes/adminRoutes'));
     app.use('/api/delivery', require('./routes/deliveryRoutes'));
+    app.use('/api/subscriptions', require('./routes/subscriptionRoutes'));
+    app.use('/api/production', require('./routes/productionRoutes'));
     if (process.env.NODE_ENV !== 'production') {
       app.use('/api/testing', require('./routes/testingRoutes'));
       console.log('🧪 Testing utility routes mounted under /api/testing');
@@ -802,7 +836,7 @@ const startServer = async () => {
 
     const PORT = process.env.PORT || 5000;
 
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
       console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
       console.log(`Health check: http://localhost:${PORT}/health`);
@@ -843,6 +877,11 @@ const startServer = async () => {
       console.error('Server failed to start:', err);
       process.exit(1);
     });
+
+    // Live delivery tracking for customers and the admin map
+    const { attachLiveTracking, TRACKING_PATH } = require('./services/liveTrackingService');
+    attachLiveTracking(server);
+    console.log(`Live tracking WebSocket available at ${TRACKING_PATH}`);
   } catch (error) {
     console.error('Failed to start server:', error);
     process.exit(1);
@@ -0,0 +1,80 @@
+const SeasonalCampaign = require('../models/SeasonalCampaign');
+const jobQueueService = require('./jobQueueService');
+
+const CAMPAIGN_START_JOB = 'campaign.start';
+const CAMPAIGN_END_JOB = 'campaign.end';
+
+const toTime = (value) => {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * Switches a campaign on or off when its scheduled date arrives. Jobs whose date no longer
+ * matches the campaign (it was edited after scheduling) are ignored.
+ */
+const applyScheduledToggle = async ({ campaignId, scheduledFor }, field, enabled) => {
+  const campaign = await SeasonalCampaign.findById(campaignId);
+  if (!campaign) return null;
+
+  if (toTime(campaign.general?.[field]) !== toTime(scheduledFor)) {
+    return null;
+  }
+
+  if (campaign.enabled !== enabled) {
+    campaign.enabled = enabled;
+    await campaign.save();
+    console.log(`📅 Campaign ${campaign.name} ${enabled ? 'started' : 'ended'} on schedule`);
+  }
+
+  // Promo codes follow the campaign's enabled flag
+  await SeasonalCampaign.syncOffers(campaign);
+  return campaign;
+};
+
+const scheduleToggle = async (name, campaign, field, now) => {
+  const uniqueKey = `${name}:${campaign._id}`;
+  const when = toTime(campaign.general?.[field]);
+
+  if (when === null || when <= now.getTime()) {
+    await jobQueueService.cancelJobs({ uniqueKey });
+    return null;
+  }
+
+  return jobQueueService.scheduleJob(
+    name,
+    { campaignId: String(campaign._id), scheduledFor: new Date(when) },
+    { runAt: new Date(when), uniqueKey }
+  );
+};
+
+/**
+ * (Re)schedules the automatic start and end of a campaign from general.startDate/endDate.
+ * Dates that are cleared or already past drop their pending job.
+ *
+ * @returns {Promise<{ start: Object|null, end: Object|null }>} The scheduled jobs
+ */
+const scheduleCampaignJobs = async (campaign, { now = new Date() } = {}) => ({
+  start: await scheduleToggle(CAMPAIGN_START_JOB, campaign, 'startDate', now),
+  end: await scheduleToggle(CAMPAIGN_END_JOB, campaign, 'endDate', now),
+});
+
+/**
+ * Drops any pending start/end jobs for a campaign (e.g. when it is deleted).
+ *
+ * @returns {Promise<number>} Jobs cancelled
+ */
+const cancelCampaignJobs = (campaignId) =>
+  jobQueueService.cancelJobs({
+    name: { $in: [CAMPAIGN_START_JOB, CAMPAIGN_END_JOB] },
+    'data.campaignId': String(campaignId),
+  });
+
+jobQueueService.defineJob(CAMPAIGN_START_JOB, (data) => applyScheduledToggle(data, 'startDate', true));
+jobQueueService.defineJob(CAMPAIGN_END_JOB, (data) => applyScheduledToggle(data, 'endDate', false));
+
+module.exports = {
+  cancelCampaignJobs,
+  scheduleCampaignJobs,
+};
@@ -0,0 +1,380 @@
+const CurrencyRate = require('../models/CurrencyRate');
+const { ServiceError } = require('../utils/serviceError');
+
+// The catalogue, delivery fees and analytics are all in rupees
+const BASE_CURRENCY = 'INR';
+const MAX_HISTORY = 20;
+
+// Checkout currencies; mirrors the currency enum on models/Order.js
+const CURRENCIES = {
+  INR: { symbol: '₹', decimals: 2, locale: 'en-IN' },
+  USD: { symbol: '$', decimals: 2, locale: 'en-US' },
+  AED: { symbol: 'AED ', decimals: 2, locale: 'en-AE' },
+  EUR: { symbol: '€', decimals: 2, locale: 'en-IE' },
+  GBP: { symbol: '£', decimals: 2, locale: 'en-GB' },
+};
+
+class CurrencyError extends ServiceError {}
+
+const isCurrencyError = (error) => error instanceof CurrencyError;
+
+const isSupportedCurrency = (currency) => Object.prototype.hasOwnProperty.call(CURRENCIES, currency);
+
+/**
+ * Rounds an amount to the currency's minor unit (paise, cents, fils...).
+ */
+const roundAmount = (amount, currency = BASE_CURRENCY) => {
+  const factor = 10 ** (CURRENCIES[currency]?.decimals ?? 2);
+  return Math.round(amount * factor) / factor;
+};
+
+/**
+ * Amount with the currency's symbol, e.g. ₹1,299, $15.49 or AED 57.20. Whole amounts are
+ * shown without decimals.
+ */
+const formatCurrency = (amount, currency = BASE_CURRENCY) => {
+  const config = CURRENCIES[currency] || { symbol: `${currency} `, decimals: 2, locale: 'en-IN' };
+  const value = roundAmount(Number(amount) || 0, currency);
+  const digits = Number.isInteger(value) ? 0 : config.decimals;
+  const formatted = Math.abs(value).toLocaleString(config.locale, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+
+  return `${value < 0 ? '-' : ''}${config.symbol}${formatted}`;
+};
+
+/**
+ * Converts an amount stored in an order's currency back to rupees using the order's rate
+ * snapshot. Analytics always aggregate in rupees.
+ *
+ * @param {number} amount
+ * @param {{ currency: string, currencyRate: number }} order
+ */
+const toBaseAmount = (amount, order = {}) => {
+  if (!order.currency || order.currency === BASE_CURRENCY) {
+    return amount || 0;
+  }
+  return roundAmount((amount || 0) / (order.currencyRate || 1));
+};
+
+/**
+ * Aggregation counterpart of toBaseAmount: an order amount in rupees at the order's rate.
+ *
+ * @param {string|number|Object} amount Field path (e.g. "$subtotal"), number or expression in the order currency
+ * @returns {Object} Pipeline expression
+ */
+const toBaseAmountExpression = (amount) => ({
+  $cond: {
+    if: { $eq: ["$currency", BASE_CURRENCY] },
+    then: amount,
+    else: { $divide: [amount, { $ifNull: ["$currencyRate", 1] }] }
+  }
+});
+
+// Order value kept after refunds, in the order currency, as a pipeline expression. Refunds that
+// only hand back the difference of an amendment that lowered the total (amountPaid > totalAmount)
+// are already reflected in totalAmount.
+const netOrderAmount = {
+  $subtract: [
+    "$totalAmount",
+    {
+      $max: [0, {
+        $subtract: [
+          { $ifNull: ["$refundedAmount", 0] },
+          { $max: [0, { $subtract: [{ $ifNull: ["$amountPaid", "$totalAmount"] }, "$totalAmount"] }] }
+        ]
+      }]
+    }
+  ]
+};
+
+// Order value kept after refunds, in rupees, as a pipeline expression for revenue totals
+const netBaseAmountExpression = toBaseAmountExpression(netOrderAmount);
+
+/**
+ * Order value kept after refunds, in rupees (the same figure as netBaseAmountExpression).
+ *
+ * @param {{ totalAmount: number, refundedAmount?: number, amountPaid?: number, currency: string, currencyRate: number }} order
+ */
+const getNetBaseAmount = (order) => {
+  const total = order.totalAmount || 0;
+  const amendmentRefund = Math.max(0, (order.amountPaid ?? total) - total);
+  return toBaseAmount(total - Math.max(0, (order.refundedAmount || 0) - amendmentRefund), order);
+};
+
+/**
+ * The rate to place an order at. Rupee orders are at 1; other currencies need a rate set by
+ * an admin or imported, otherwise the currency can't be checked out in.
+ *
+ * @returns {Promise<{ currency: string, rate: number, source: string, setAt: Date|null }>}
+ */
+const getRateSnapshot = async (currency = BASE_CURRENCY) => {
+  const code = String(currency || BASE_CURRENCY).toUpperCase();
+  if (!isSupportedCurrency(code)) {
+    throw new CurrencyError(`Currency ${currency} is not supported; use one of ${Object.keys(CURRENCIES).join(', ')}`);
+  }
+  if (code === BASE_CURRENCY) {
+    return { currency: code, rate: 1, source: 'base', setAt: null };
+  }
+
+  const stored = await CurrencyRate.findOne({ currency: code });
+  if (!stored) {
+    throw new CurrencyError(`Checkout in ${code} is not available yet: no exchange rate has been set`, 409);
+  }
+
+  return { currency: code, rate: stored.rate, source: stored.source, setAt: stored.updatedAt };
+};
+
+/**
+ * Fields that record the rate snapshot on an order.
+ */
+const getOrderCurrencyFields = (snapshot) => ({
+  currency: snapshot.currency,
+  currencyRate: snapshot.rate,
+  originalCurrency: snapshot.currency,
+  currencyRateSource: snapshot.source,
+  currencyRateAt: snapshot.setAt || undefined,
+});
+
+/**
+ * The rate snapshot an existing order was placed at, for repricing it in its own currency.
+ */
+const getOrderRateSnapshot = (order) => ({
+  currency: order.currency || BASE_CURRENCY,
+  rate: order.currencyRate || 1,
+  source: order.currencyRateSource,
+  setAt: order.currencyRateAt || null,
+});
+
+/**
+ * Converts a rupee amount at a rate snapshot, rounded to the currency's minor unit.
+ */
+const convertFromBase = (amount, snapshot) => {
+  if (snapshot.currency === BASE_CURRENCY) {
+    return amount;
+  }
+  return roundAmount((amount || 0) * snapshot.rate, snapshot.currency);
+};
+
+const convertItemPrices = (item, convert) => ({
+  ...item,
+  price: convert(item.price),
+  finalPrice: convert(item.finalPrice || item.price),
+});
+
+/**
+ * Item prices in an order currency back in rupees, for repricing an order against the
+ * catalogue and delivery fees.
+ */
+const toBaseItems = (items, snapshot) => {
+  if (snapshot.currency === BASE_CURRENCY) {
+    return items;
+  }
+  return items.map((item) => convertItemPrices(item, (amount) => roundAmount((amount || 0) / snapshot.rate)));
+};
+
+/**
+ * Converts checkout amounts priced in rupees into the order currency. Unit prices, delivery,
+ * discount and tax are converted and rounded one by one; the subtotal and total are then
+ * added up from the rounded amounts so the order always adds up in its own currency.
+ *
+ * @param {Object} amounts { items, subtotal, deliveryCharge, deliveryChargeBreakdown, discount, taxAmount, finalTotal, promoCode } in rupees
+ * @param {Object} snapshot From getRateSnapshot
+ * @returns {Object} The same fields in the order currency
+ */
+const convertOrderAmounts = (amounts, snapshot) => {
+  if (snapshot.currency === BASE_CURRENCY) {
+    return amounts;
+  }
+
+  const { currency } = snapshot;
+  const convert = (amount) => convertFromBase(amount, snapshot);
+  const items = amounts.items.map((item) => convertItemPrices(item, convert));
+  const subtotal = roundAmount(items.reduce((sum, item) => sum + item.finalPrice * item.quantity, 0), currency);
+  const deliveryCharge = convert(amounts.deliveryCharge);
+
+  // The breakdown lines keep adding up to the delivery charge; the last takes the rounding
+  let deliveryChargeBreakdown = amounts.deliveryChargeBreakdown;
+  if (Array.isArray(deliveryChargeBreakdown) && deliveryChargeBreakdown.length > 0) {
+    let allocated = 0;
+    deliveryChargeBreakdown = deliveryChargeBreakdown.map((line, index) => {
+      const amount = index === deliveryChargeBreakdown.length - 1
+        ? roundAmount(deliveryCharge - allocated, currency)
+        : convert(line.amount);
+      allocated += amount;
+      return { ...line, amount };
+    });
+  }
+
+  const discount = Math.min(convert(amounts.discount), roundAmount(subtotal + deliveryCharge, currency));
+  const taxAmount = convert(amounts.taxAmount);
+  const promoCode = typeof amounts.promoCode?.discountAmount === 'number'
+    ? { ...amounts.promoCode, discountAmount: Math.min(convert(amounts.promoCode.discountAmount), discount) }
+    : amounts.promoCode;
+
+  return {
+    ...amounts,
+    promoCode,
+    items,
+    subtotal,
+    deliveryCharge,
+    deliveryChargeBreakdown,
+    discount,
+    taxAmount,
+    finalTotal: roundAmount(subtotal + deliveryCharge - discount + taxAmount, currency),
+  };
+};
+
+/**
+ * Checks a rate before it is stored. Every supported currency is worth more than a rupee, so
+ * a rate of 1 or more is a rate entered the wrong way round (rupees per unit).
+ */
+const validateRate = (currency, rate) => {
+  const code = String(currency || '').trim().toUpperCase();
+  if (!isSupportedCurrency(code)) {
+    throw new CurrencyError(`Currency ${currency} is not supported; use one of ${Object.keys(CURRENCIES).join(', ')}`);
+  }
+  if (code === BASE_CURRENCY) {
+    throw new CurrencyError(`${BASE_CURRENCY} is the base currency; its rate is always 1`);
+  }
+
+  const value = Number(rate);
+  if (rate === '' || rate === null || !Number.isFinite(value) || value <= 0) {
+    throw new CurrencyError(`Rate for ${code} must be a number greater than zero`);
+  }
+  if (value >= 1) {
+    throw new CurrencyError(`Rate for ${code} must be ${code} per rupee (e.g. 0.012), not rupees per ${code}`);
+  }
+
+  return { currency: code, rate: value };
+};
+
+/**
+ * Sets a currency's rate; orders placed from now on use it, existing orders keep theirs.
+ *
+ * @param {Object} params
+ * @param {string} params.currency
+ * @param {number} params.rate Units of the currency per rupee
+ * @param {Object} [options]
+ * @param {string} [options.userId]
+ * @param {string} [options.source] 'manual' or 'import'
+ */
+const setRate = async ({ currency, rate }, { userId, source = 'manual' } = {}) => {
+  const fields = validateRate(currency, rate);
+  const setAt = new Date();
+
+  return CurrencyRate.findOneAndUpdate(
+    { currency: fields.currency },
+    {
+      $set: { rate: fields.rate, source, updatedBy: userId },
+      $push: { history: { $each: [{ rate: fields.rate, source, updatedBy: userId, setAt }], $slice: -MAX_HISTORY } },
+    },
+    { new: true, upsert: true, runValidators: true }
+  );
+};
+
+/**
+ * Reads a rates file: either JSON ({ "USD": 0.012 } or { "rates": { ... } }) or CSV lines of
+ * `currency,rate`, with an optional header and # comments.
+ *
+ * @returns {Array<{ currency: string, rate: number }>}
+ */
+const parseRatesFile = (content) => {
+  const text = String(content || '').trim();
+  if (!text) {
+    throw new CurrencyError('The rates file is empty');
+  }
+
+  let entries;
+  if (text.startsWith('{')) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw new CurrencyError(`The rates file is not valid JSON: ${error.message}`);
+    }
+    entries = Object.entries(parsed.rates || parsed).map(([currency, rate]) => ({ currency, rate }));
+  } else {
+    entries = [];
+    text.split(/\r?\n/).forEach((line, index) => {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('#') || (index === 0 && /^currency\b/i.test(trimmed))) {
+        return;
+      }
+      const [currency, rate, ...rest] = trimmed.split(',').map((cell) => cell.trim());
+      if (rate === undefined || rest.length > 0) {
+        throw new CurrencyError(`Line ${index + 1} of the rates file should be "currency,rate"`);
+      }
+      entries.push({ currency, rate });
+    });
+  }
+
+  if (entries.length === 0) {
+    throw new CurrencyError('The rates file has no rates');
+  }
+
+  return entries.map(({ currency, rate }) => validateRate(currency, rate));
+};
+
+/**
+ * Imports a rates file. Every rate is checked before any is stored, so a bad line leaves the
+ * current rates untouched.
+ */
+const importRates = async (content, { userId } = {}) => {
+  const entries = parseRatesFile(content);
+  const seen = new Set();
+  entries.forEach(({ currency }) => {
+    if (seen.has(currency)) {
+      throw new CurrencyError(`${currency} appears more than once in the rates file`);
+    }
+    seen.add(currency);
+  });
+
+  const rates = [];
+  for (const entry of entries) {
+    rates.push(await setRate(entry, { userId, source: 'import' }));
+  }
+  return rates;
+};
+
+/**
+ * Every supported currency with its current rate (null when none is set yet).
+ */
+const listRates = async () => {
+  const stored = await CurrencyRate.find({}, 'currency rate source updatedAt').lean();
+  const byCurrency = new Map(stored.map((entry) => [entry.currency, entry]));
+
+  return Object.entries(CURRENCIES).map(([currency, config]) => {
+    const entry = currency === BASE_CURRENCY ? { rate: 1, source: 'base', updatedAt: null } : byCurrency.get(currency);
+    return {
+      currency,
+      symbol: config.symbol.trim(),
+      decimals: config.decimals,
+      rate: entry?.rate ?? null,
+      source: entry?.source ?? null,
+      updatedAt: entry?.updatedAt ?? null,
+    };
+  });
+};
+
+module.exports = {
+  BASE_CURRENCY,
+  CurrencyError,
+  convertFromBase,
+  convertOrderAmounts,
+  formatCurrency,
+  getNetBaseAmount,
+  getOrderCurrencyFields,
+  getOrderRateSnapshot,
+  getRateSnapshot,
+  importRates,
+  isCurrencyError,
+  isSupportedCurrency,
+  listRates,
+  netBaseAmountExpression,
+  parseRatesFile,
+  roundAmount,
+  setRate,
+  toBaseAmount,
+  toBaseAmountExpression,
+  toBaseItems,
+  validateRate,
+};
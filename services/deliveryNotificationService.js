@@ -1,7 +1,9 @@
 const twilio = require('twilio');
 const DeviceToken = require('../models/DeviceToken');
+const { formatCurrency } = require('./currencyService');
 const fcmService = require('./fcmService');
 const { sendEmail } = require('./emailService');
+const { createTrackingToken } = require('./liveTrackingService');
 
 // Initialize Twilio
 let twilioClient = null;
@@ -161,7 +163,8 @@ const sendDeliveryNotification = async (event, assignment, order, partner = null
     const customerPhone = order.shippingDetails?.phone || order.giftDetails?.recipientPhone;
     const customerEmail = order.shippingDetails?.email || order.giftDetails?.recipientEmail;
     const orderNumber = order.orderNumber;
-    const trackingUrl = `${getFrontendUrl()}/track/${orderNumber}`;
+    // The token lets the tracking page subscribe to live updates without signing in
+    const trackingUrl = `${getFrontendUrl()}/track/${orderNumber}?token=${createTrackingToken(orderNumber)}`;
     
     console.log(`Sending delivery notification: [${event}] for Order #${orderNumber}`);
 
@@ -293,7 +296,7 @@ const sendDeliveryNotification = async (event, assignment, order, partner = null
           const partnerName = partner ? partner.name : 'our partner';
           await sendWhatsApp(
             customerPhone,
-            `Hi ${customerName}! 💐 Great news! Your order #${orderNumber} has been successfully delivered by ${partnerName}. We hope it made the moment extra special! Rate your experience here: ${getFrontendUrl()}/profile?tab=orders`
+            `Hi ${customerName}! 💐 Great news! Your order #${orderNumber} has been successfully delivered by ${partnerName}. We hope it made the moment extra special! Rate your delivery here: ${trackingUrl}&rate=1`
           );
           await sendSMS(
             customerPhone,
@@ -311,8 +314,14 @@ const sendDeliveryNotification = async (event, assignment, order, partner = null
         }
         break;
 
-      case 'delivery_failed':
+      case 'failed_delivery':
+      case 'delivery_failed': {
         // MATRIX: Email: YES, WhatsApp: YES, Push: CUSTOMER
+        const rescheduleUrl = `${trackingUrl}&reschedule=1`;
+        const latestFailure = order.failedDeliveries?.[order.failedDeliveries.length - 1];
+        const feeText = latestFailure?.redeliveryFee > 0
+          ? ` A redelivery fee of ${formatCurrency(latestFailure.redeliveryFee, order.currency)} applies.`
+          : '';
         if (customerEmail) {
           const reasonText = assignment.failReason ? assignment.failReason.replace(/_/g, ' ') : 'recipient unavailable';
           await sendEmail({
@@ -328,13 +337,17 @@ const sendDeliveryNotification = async (event, assignment, order, partner = null
                 <p>Hello ${customerName},</p>
                 <p>Our partner tried to deliver your order <strong>#${orderNumber}</strong>, but was unsuccessful.</p>
                 <p><strong>Reason:</strong> ${reasonText.toUpperCase()}</p>
-                <p>We are holding the arrangement safely at the store. Please contact our support team at 9949683222 or email contact@sbflorist.in to reschedule your delivery.</p>
+                <p>We are holding the arrangement safely at the store. Choose a new delivery date and time that suits you:${feeText}</p>
+                <div style="text-align: center; margin: 25px 0;">
+                  <a href="${rescheduleUrl}" style="background-color: #0f8b69; color: white; padding: 12px 25px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">Reschedule Delivery</a>
+                </div>
+                <p>You can also call our support team at 9949683222 or email contact@sbflorist.in.</p>
                 <div style="text-align: center; border-top: 1px solid #eee; padding-top: 15px; margin-top: 20px; font-size: 12px; color: #888;">
                   <p>Spring Blossoms Florist</p>
                 </div>
               </div>
             `,
-            text: `Delivery attempt unsuccessful for order #${orderNumber}. Reason: ${reasonText}. Please contact support.`
+            text: `Delivery attempt unsuccessful for order #${orderNumber}. Reason: ${reasonText}. Choose a new delivery date: ${rescheduleUrl}${feeText}`
           });
         }
         
@@ -342,7 +355,7 @@ const sendDeliveryNotification = async (event, assignment, order, partner = null
           const reasonText = assignment.failReason ? assignment.failReason.replace(/_/g, ' ') : 'recipient unavailable';
           await sendWhatsApp(
             customerPhone,
-            `Hi ${customerName}. We tried to deliver your order #${orderNumber}, but were unsuccessful (Reason: ${reasonText}). We are keeping your flowers fresh. Please contact us at 9949683222 to coordinate a redelivery time.`
+            `Hi ${customerName}. We tried to deliver your order #${orderNumber}, but were unsuccessful (Reason: ${reasonText}). We are keeping your flowers fresh. Pick a new delivery date here: ${rescheduleUrl}${feeText}`
           );
         }
         
@@ -355,6 +368,7 @@ const sendDeliveryNotification = async (event, assignment, order, partner = null
           );
         }
         break;
+      }
 
       case 'rescheduled':
         // MATRIX: Email: NO, WhatsApp: NO, Push: CUSTOMER
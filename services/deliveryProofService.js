@@ -0,0 +1,203 @@
+const DeliveryAssignment = require('../models/DeliveryAssignment');
+const DeliveryProof = require('../models/DeliveryProof');
+const DeliverySetting = require('../models/DeliverySetting');
+const Order = require('../models/Order');
+const { calculateHaversineDistance } = require('./deliveryService');
+const { ServiceError } = require('../utils/serviceError');
+
+// Phone clocks drift; a proof "taken" this far in the future is still accepted
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+const PROOF_TYPES = ['photo', 'signature'];
+
+class DeliveryProofError extends ServiceError {}
+
+const isDeliveryProofError = (error) => error instanceof DeliveryProofError;
+
+const toNumber = (value) => (value === null || value === undefined || value === '' ? NaN : Number(value));
+
+/**
+ * Checks where and when a proof was captured against the drop location and the assignment.
+ * Nothing is rejected outright: anything that doesn't add up is flagged for an admin.
+ *
+ * @param {Object} params
+ * @param {Object} params.assignment
+ * @param {Object} params.order
+ * @param {number} [params.latitude]
+ * @param {number} [params.longitude]
+ * @param {Date|string} [params.capturedAt]
+ * @param {Object} config Delivery settings (proofRadiusMeters, proofMaxAgeMinutes)
+ * @param {Date} [now]
+ * @returns {{ status: 'verified'|'flagged', flags: Array<{ code: string, message: string }>, distanceFromDrop: number|null, capturedAt: Date|null }}
+ */
+const evaluateProof = ({ assignment, order, latitude, longitude, capturedAt }, config, now = new Date()) => {
+  const flags = [];
+  const radius = config.proofRadiusMeters ?? 200;
+  const maxAgeMinutes = config.proofMaxAgeMinutes ?? 30;
+
+  let distanceFromDrop = null;
+  const lat = toNumber(latitude);
+  const lng = toNumber(longitude);
+  const dropLat = toNumber(order?.shippingDetails?.latitude);
+  const dropLng = toNumber(order?.shippingDetails?.longitude);
+
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+    flags.push({ code: 'location_missing', message: 'The proof has no location' });
+  } else if (Number.isFinite(dropLat) && Number.isFinite(dropLng)) {
+    distanceFromDrop = Math.round(calculateHaversineDistance(lat, lng, dropLat, dropLng) * 1000);
+    if (distanceFromDrop > radius) {
+      flags.push({ code: 'too_far_from_drop', message: `Captured ${distanceFromDrop} m from the drop location (limit ${radius} m)` });
+    }
+  }
+
+  const captured = capturedAt ? new Date(capturedAt) : null;
+  if (!captured || Number.isNaN(captured.getTime())) {
+    flags.push({ code: 'timestamp_missing', message: 'The proof has no capture time' });
+  } else {
+    // The photo can't predate the partner having the order in hand
+    const earliest = assignment.pickupTime || assignment.createdAt;
+    if (earliest && captured < new Date(earliest)) {
+      flags.push({ code: 'captured_before_pickup', message: 'Captured before the order was picked up' });
+    }
+    if (captured.getTime() > now.getTime() + CLOCK_SKEW_MS) {
+      flags.push({ code: 'captured_in_future', message: 'Capture time is in the future' });
+    } else if (now.getTime() - captured.getTime() > maxAgeMinutes * 60 * 1000) {
+      flags.push({ code: 'stale_capture', message: `Uploaded more than ${maxAgeMinutes} minutes after it was captured` });
+    }
+  }
+
+  return {
+    status: flags.length ? 'flagged' : 'verified',
+    flags,
+    distanceFromDrop,
+    capturedAt: captured && !Number.isNaN(captured.getTime()) ? captured : null
+  };
+};
+
+/**
+ * Stores a delivery proof (photo or customer signature) with the outcome of its checks.
+ *
+ * @returns {Promise<Object>} The DeliveryProof
+ * @throws {DeliveryProofError}
+ */
+const recordDeliveryProof = async (assignment, { imageUrl, verificationType = 'photo', latitude, longitude, capturedAt } = {}, { now = new Date() } = {}) => {
+  if (!imageUrl) {
+    throw new DeliveryProofError('imageUrl is required');
+  }
+  if (!PROOF_TYPES.includes(verificationType)) {
+    throw new DeliveryProofError(`verificationType must be one of: ${PROOF_TYPES.join(', ')}`);
+  }
+
+  const [order, config] = await Promise.all([
+    Order.findById(assignment.orderId?._id || assignment.orderId).select('orderNumber shippingDetails'),
+    DeliverySetting.getSettings()
+  ]);
+  const result = evaluateProof({ assignment, order, latitude, longitude, capturedAt }, config, now);
+
+  return DeliveryProof.create({
+    assignmentId: assignment._id,
+    imageUrl,
+    verificationType,
+    latitude,
+    longitude,
+    capturedAt: result.capturedAt,
+    distanceFromDrop: result.distanceFromDrop,
+    status: result.status,
+    flags: result.flags
+  });
+};
+
+/**
+ * The photo and signature to show the customer in their delivery confirmation (latest of
+ * each that an admin hasn't rejected).
+ *
+ * @returns {Promise<{ proofImageUrl: string|null, signatureImageUrl: string|null }>}
+ */
+const getConfirmationProofs = async (assignmentId) => {
+  const proofs = await DeliveryProof.find({ assignmentId, status: { $ne: 'rejected' } }).sort({ createdAt: -1 });
+  const latest = (type) => proofs.find((proof) => proof.verificationType === type)?.imageUrl || null;
+  return { proofImageUrl: latest('photo'), signatureImageUrl: latest('signature') };
+};
+
+/**
+ * Proof gallery for admins, newest first, optionally only one status (e.g. flagged).
+ *
+ * @returns {Promise<{ proofs: Array, pagination: Object }>}
+ */
+const listProofs = async ({ status, page = 1, limit = 24 } = {}) => {
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 24));
+  const filter = status ? { status } : {};
+
+  const [proofs, total] = await Promise.all([
+    DeliveryProof.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .populate({
+        path: 'assignmentId',
+        select: 'orderId partnerId status deliveryTime',
+        populate: [
+          { path: 'orderId', select: 'orderNumber shippingDetails.fullName shippingDetails.address' },
+          { path: 'partnerId', select: 'name phone' }
+        ]
+      }),
+    DeliveryProof.countDocuments(filter)
+  ]);
+
+  return {
+    proofs,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      totalPages: Math.ceil(total / limitNum)
+    }
+  };
+};
+
+/**
+ * Records an admin's decision on a proof. Rejected proofs no longer count as delivery proof
+ * and are left out of the customer's confirmation email.
+ *
+ * @param {string} proofId
+ * @param {Object} review
+ * @param {'approve'|'reject'} review.decision
+ * @param {string} [review.notes]
+ * @param {Object} [review.reviewer] Admin user
+ * @returns {Promise<Object>} The DeliveryProof
+ * @throws {DeliveryProofError}
+ */
+const reviewProof = async (proofId, { decision, notes, reviewer } = {}) => {
+  if (!['approve', 'reject'].includes(decision)) {
+    throw new DeliveryProofError("decision must be 'approve' or 'reject'");
+  }
+
+  const proof = await DeliveryProof.findById(proofId);
+  if (!proof) {
+    throw new DeliveryProofError('Proof not found', 404);
+  }
+
+  proof.status = decision === 'approve' ? 'approved' : 'rejected';
+  proof.reviewedBy = reviewer?._id;
+  proof.reviewedAt = new Date();
+  proof.reviewNotes = notes;
+  await proof.save();
+
+  if (proof.status === 'rejected') {
+    await DeliveryAssignment.updateOne({ _id: proof.assignmentId }, {
+      $push: { history: { status: 'proof_rejected', updatedBy: 'admin', remarks: notes || 'Delivery proof rejected on review' } }
+    });
+  }
+
+  return proof;
+};
+
+module.exports = {
+  DeliveryProofError,
+  evaluateProof,
+  getConfirmationProofs,
+  isDeliveryProofError,
+  listProofs,
+  recordDeliveryProof,
+  reviewProof,
+};
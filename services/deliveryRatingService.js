@@ -0,0 +1,260 @@
+const moment = require('moment');
+const DeliveryAssignment = require('../models/DeliveryAssignment');
+const DeliveryPartner = require('../models/DeliveryPartner');
+const DeliveryRating = require('../models/DeliveryRating');
+const DeliverySetting = require('../models/DeliverySetting');
+const { parseBusinessDay } = require('../utils/businessDay');
+const { ServiceError } = require('../utils/serviceError');
+
+const RATING_TAGS = ['on_time', 'friendly', 'careful_handling', 'late', 'damaged', 'rude', 'wrong_location', 'unreachable'];
+// Tags that count as a complaint against the partner
+const COMPLAINT_TAGS = ['late', 'damaged', 'rude', 'wrong_location', 'unreachable'];
+const DEFAULT_SCORECARD_DAYS = 30;
+
+class DeliveryRatingError extends ServiceError {}
+
+const isDeliveryRatingError = (error) => error instanceof DeliveryRatingError;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+const percent = (part, whole) => (whole ? Math.round((part / whole) * 100) : null);
+
+const isComplaint = ({ stars, tags = [] }) => stars <= 2 || tags.some((tag) => COMPLAINT_TAGS.includes(tag));
+
+/**
+ * Validates a customer's rating input.
+ *
+ * @returns {{ stars: number, tags: string[], comment: string|undefined }}
+ * @throws {DeliveryRatingError}
+ */
+const validateRating = ({ stars, tags = [], comment } = {}) => {
+  const value = Number(stars);
+  if (!Number.isInteger(value) || value < 1 || value > 5) {
+    throw new DeliveryRatingError('stars must be a whole number from 1 to 5');
+  }
+  if (!Array.isArray(tags)) {
+    throw new DeliveryRatingError('tags must be a list');
+  }
+  const unknown = tags.filter((tag) => !RATING_TAGS.includes(tag));
+  if (unknown.length) {
+    throw new DeliveryRatingError(`Unknown tags: ${unknown.join(', ')}. Use: ${RATING_TAGS.join(', ')}`);
+  }
+  const text = comment === undefined || comment === null ? undefined : String(comment).trim();
+  if (text && text.length > 500) {
+    throw new DeliveryRatingError('Comment cannot exceed 500 characters');
+  }
+
+  return { stars: value, tags: [...new Set(tags)], comment: text || undefined };
+};
+
+// The delivery that completed the order (the last attempt, if earlier ones failed)
+const findDeliveredAssignment = (order) => DeliveryAssignment.findOne({
+  orderId: order._id,
+  status: 'delivered',
+  partnerId: { $exists: true, $ne: null },
+}).sort({ deliveryTime: -1, createdAt: -1 });
+
+/**
+ * Sets a partner's rating to the average of their latest ratings (DeliverySetting.ratingWindow),
+ * so old feedback stops counting. Partners nobody has rated keep the default.
+ *
+ * @returns {Promise<{ rating: number, ratingCount: number }|null>}
+ */
+const recalculatePartnerRating = async (partnerId, { config } = {}) => {
+  const settings = config || await DeliverySetting.getSettings();
+  const window = Math.max(1, settings.ratingWindow || 50);
+  const [recent, ratingCount] = await Promise.all([
+    DeliveryRating.find({ partnerId }).sort({ createdAt: -1 }).limit(window).select('stars'),
+    DeliveryRating.countDocuments({ partnerId }),
+  ]);
+  if (recent.length === 0) return null;
+
+  const rating = round1(recent.reduce((sum, entry) => sum + entry.stars, 0) / recent.length);
+  await DeliveryPartner.updateOne({ _id: partnerId }, { $set: { rating, ratingCount } });
+  return { rating, ratingCount };
+};
+
+/**
+ * Whether the customer can still rate an order's delivery, and their rating if they have.
+ *
+ * @returns {Promise<{ canRate: boolean, reason: string|null, rating: Object|null, tags: string[], partner: Object|null }>}
+ */
+const getOrderRating = async (order, { now = new Date() } = {}) => {
+  const assignment = order.status === 'delivered' ? await findDeliveredAssignment(order) : null;
+  const base = { tags: RATING_TAGS, rating: null, partner: null };
+  if (!assignment) {
+    return { ...base, canRate: false, reason: 'not_delivered' };
+  }
+
+  const [rating, partner, config] = await Promise.all([
+    DeliveryRating.findOne({ assignmentId: assignment._id }),
+    DeliveryPartner.findById(assignment.partnerId).select('name profilePhoto'),
+    DeliverySetting.getSettings(),
+  ]);
+  const partnerSummary = partner ? { name: partner.name, profilePhoto: partner.profilePhoto } : null;
+  if (rating) {
+    return { ...base, partner: partnerSummary, canRate: false, reason: 'already_rated', rating };
+  }
+
+  const deliveredAt = assignment.deliveryTime || assignment.updatedAt;
+  const windowDays = config.ratingWindowDays ?? 14;
+  if (deliveredAt && moment(now).diff(deliveredAt, 'days', true) > windowDays) {
+    return { ...base, partner: partnerSummary, canRate: false, reason: 'expired' };
+  }
+
+  return { ...base, partner: partnerSummary, canRate: true, reason: null };
+};
+
+/**
+ * Records the customer's rating of the partner who delivered their order and updates the
+ * partner's rolling rating. Each delivery can be rated once.
+ *
+ * @param {Object} order
+ * @param {Object} input { stars, tags, comment }
+ * @param {Object} [options]
+ * @param {string} [options.userId] Signed-in customer, when known
+ * @returns {Promise<Object>} The DeliveryRating
+ * @throws {DeliveryRatingError}
+ */
+const submitRating = async (order, input, { userId, now = new Date() } = {}) => {
+  const { stars, tags, comment } = validateRating(input);
+  const status = await getOrderRating(order, { now });
+  if (!status.canRate) {
+    const messages = {
+      not_delivered: ['Only delivered orders can be rated', 400],
+      already_rated: ['This delivery has already been rated', 409],
+      expired: ['The rating window for this delivery has closed', 400],
+    };
+    const [message, code] = messages[status.reason];
+    throw new DeliveryRatingError(message, code);
+  }
+
+  const assignment = await findDeliveredAssignment(order);
+  let rating;
+  try {
+    rating = await DeliveryRating.create({
+      assignmentId: assignment._id,
+      orderId: order._id,
+      partnerId: assignment.partnerId,
+      userId: userId || order.user || undefined,
+      stars,
+      tags,
+      comment,
+      isComplaint: isComplaint({ stars, tags }),
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new DeliveryRatingError('This delivery has already been rated', 409);
+    }
+    throw error;
+  }
+
+  await recalculatePartnerRating(assignment.partnerId);
+  return rating;
+};
+
+// Assignments rejected before the reason was stored only say so in their history
+const wasRejected = (assignment) => assignment.cancellationReason === 'partner_rejected'
+  || (!assignment.cancellationReason && (assignment.history || []).some((entry) => entry.status === 'cancelled' && /rejected the request/i.test(entry.remarks || '')));
+const wasTimedOut = (assignment) => assignment.cancellationReason === 'partner_timeout'
+  || (!assignment.cancellationReason && (assignment.history || []).some((entry) => entry.status === 'cancelled' && /timeout/i.test(entry.remarks || '')));
+
+const resolveRange = ({ from, to, now = new Date() }) => {
+  const end = to ? parseBusinessDay(to, 'to', DeliveryRatingError).add(1, 'day') : moment(now);
+  const start = from ? parseBusinessDay(from, 'from', DeliveryRatingError) : end.clone().subtract(DEFAULT_SCORECARD_DAYS, 'days');
+  if (!end.isAfter(start)) {
+    throw new DeliveryRatingError('to must not be before from');
+  }
+  return { startDate: start.toDate(), endDate: end.toDate() };
+};
+
+/**
+ * Performance of one partner over a period (default the last 30 days): on-time rate,
+ * rejection rate, average delivery time, customer ratings and complaints.
+ *
+ * @param {string} partnerId
+ * @param {Object} [range] from/to as YYYY-MM-DD (IST, inclusive)
+ * @returns {Promise<Object>}
+ * @throws {DeliveryRatingError}
+ */
+const getPartnerScorecard = async (partnerId, { from, to, now = new Date() } = {}) => {
+  const period = resolveRange({ from, to, now });
+  const partner = await DeliveryPartner.findById(partnerId).select('name phone vehicleType rating ratingCount acceptanceRate totalDeliveries isSuspended');
+  if (!partner) {
+    throw new DeliveryRatingError('Partner not found', 404);
+  }
+
+  const inPeriod = { $gte: period.startDate, $lt: period.endDate };
+  const [assignments, ratings] = await Promise.all([
+    DeliveryAssignment.find({ partnerId, createdAt: inPeriod })
+      .select('status cancellationReason history eta pickupTime deliveryTime'),
+    DeliveryRating.find({ partnerId, createdAt: inPeriod })
+      .sort({ createdAt: -1 })
+      .populate('orderId', 'orderNumber'),
+  ]);
+
+  const delivered = assignments.filter((assignment) => assignment.status === 'delivered');
+  const timed = delivered.filter((assignment) => assignment.pickupTime && assignment.deliveryTime);
+  const durations = timed.map((assignment) => ({
+    minutes: (new Date(assignment.deliveryTime) - new Date(assignment.pickupTime)) / (1000 * 60),
+    eta: assignment.eta || 30,
+  }));
+  const onTime = durations.filter((entry) => entry.minutes <= entry.eta).length;
+  const rejected = assignments.filter(wasRejected).length;
+  const timedOut = assignments.filter(wasTimedOut).length;
+
+  const tagCounts = {};
+  const starCounts = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  ratings.forEach((rating) => {
+    starCounts[rating.stars] += 1;
+    rating.tags.forEach((tag) => {
+      tagCounts[tag] = (tagCounts[tag] || 0) + 1;
+    });
+  });
+  const complaints = ratings.filter((rating) => rating.isComplaint);
+
+  return {
+    partner,
+    period,
+    deliveries: {
+      offered: assignments.length,
+      delivered: delivered.length,
+      failed: assignments.filter((assignment) => assignment.status === 'failed_delivery').length,
+      rejected,
+      timedOut,
+    },
+    onTimeRate: percent(onTime, timed.length),
+    rejectionRate: percent(rejected + timedOut, assignments.length),
+    averageDeliveryMinutes: durations.length
+      ? Math.round(durations.reduce((sum, entry) => sum + entry.minutes, 0) / durations.length)
+      : null,
+    ratings: {
+      count: ratings.length,
+      average: ratings.length ? round1(ratings.reduce((sum, rating) => sum + rating.stars, 0) / ratings.length) : null,
+      stars: starCounts,
+      tags: tagCounts,
+    },
+    complaints: {
+      count: complaints.length,
+      rate: percent(complaints.length, ratings.length),
+      recent: complaints.slice(0, 10).map((rating) => ({
+        orderNumber: rating.orderId?.orderNumber,
+        stars: rating.stars,
+        tags: rating.tags,
+        comment: rating.comment,
+        createdAt: rating.createdAt,
+      })),
+    },
+  };
+};
+
+module.exports = {
+  COMPLAINT_TAGS,
+  DeliveryRatingError,
+  RATING_TAGS,
+  getOrderRating,
+  getPartnerScorecard,
+  isDeliveryRatingError,
+  recalculatePartnerRating,
+  submitRating,
+  validateRating,
+};
@@ -4,7 +4,17 @@ const DeliveryPartner = require('../models/DeliveryPartner');
 const DeliveryAssignment = require('../models/DeliveryAssignment');
 const DeliverySetting = require('../models/DeliverySetting');
 const DeliveryZone = require('../models/DeliveryZone');
+const Store = require('../models/Store');
 const deliveryNotificationService = require('./deliveryNotificationService');
+const jobQueueService = require('./jobQueueService');
+const liveTrackingService = require('./liveTrackingService');
+const mapplsService = require('./mapplsService');
+const partnerShiftService = require('./partnerShiftService');
+const surgePricingService = require('./surgePricingService');
+const { ServiceError } = require('../utils/serviceError');
+
+// Job that reassigns an order when the partner doesn't respond within reassignmentTimeout
+const ASSIGNMENT_TIMEOUT_JOB = 'delivery.assignmentTimeout';
 
 /**
  * Checks if a customer is eligible for first-order free delivery.
@@ -15,9 +25,10 @@ const deliveryNotificationService = require('./deliveryNotificationService');
  * @param {string} [params.userId]
  * @param {string} [params.email]
  * @param {string} [params.phone]
+ * @param {string} [params.excludeOrderId] Ignore this order (when repricing an existing order)
  * @returns {Promise<boolean>} True if eligible for free delivery, false otherwise.
  */
-const checkFirstOrderEligibility = async ({ userId, email, phone }) => {
+const checkFirstOrderEligibility = async ({ userId, email, phone, excludeOrderId }) => {
   const queryConditions = [];
   
   if (userId) {
@@ -42,24 +53,163 @@ const checkFirstOrderEligibility = async ({ userId, email, phone }) => {
   
   const existingOrder = await Order.findOne({
     $or: queryConditions,
-    status: { $ne: 'cancelled' }
+    status: { $ne: 'cancelled' },
+    ...(excludeOrderId && { _id: { $ne: excludeOrderId } })
   });
   
   return !existingOrder;
 };
 
+class DeliveryZoneError extends ServiceError {
+  constructor(message, code, details) {
+    super(message, 400, { code, details });
+  }
+}
+
+const isDeliveryZoneError = (error) => error instanceof DeliveryZoneError;
+
+const toCoordinate = (value) => (value === null || value === undefined || value === '' ? NaN : Number(value));
+
+/**
+ * Finds the active delivery zone whose boundary contains the address. Shops that haven't drawn
+ * any zones deliver everywhere, so this resolves to null until at least one zone is active.
+ *
+ * @param {Object} location
+ * @param {number} location.latitude
+ * @param {number} location.longitude
+ * @returns {Promise<Object|null>} The matching DeliveryZone
+ * @throws {DeliveryZoneError} When the coordinates are missing or fall outside every active zone
+ */
+const resolveDeliveryZone = async ({ latitude, longitude } = {}) => {
+  if (!(await DeliveryZone.exists({ isActive: true }))) {
+    return null;
+  }
+
+  const lat = toCoordinate(latitude);
+  const lng = toCoordinate(longitude);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    throw new DeliveryZoneError(
+      'Please pin your delivery address on the map so we can check that we deliver there',
+      'location_required'
+    );
+  }
+
+  const point = { type: 'Point', coordinates: [lng, lat] };
+  const zone = await DeliveryZone.findOne({ isActive: true, boundary: { $geoIntersects: { $geometry: point } } });
+  if (!zone) {
+    const servedAreas = await DeliveryZone.distinct('name', { isActive: true });
+    throw new DeliveryZoneError(
+      `Sorry, we don't deliver to this address yet. We currently deliver to ${servedAreas.join(', ')}.`,
+      'outside_delivery_area',
+      { servedAreas }
+    );
+  }
+
+  return zone;
+};
+
+/**
+ * Applies a zone's minimum order amount and time slot restrictions.
+ * @throws {DeliveryZoneError}
+ */
+const checkZoneRules = (zone, { subtotal, timeSlot, timeSlots = [] }) => {
+  const minimum = zone.minimumOrderAmount || 0;
+  if (subtotal < minimum) {
+    throw new DeliveryZoneError(
+      `Orders delivered to ${zone.name} need a subtotal of at least ₹${minimum}. Add ₹${minimum - subtotal} more to continue.`,
+      'below_zone_minimum',
+      { zone: zone.name, minimumOrderAmount: minimum, shortfall: minimum - subtotal }
+    );
+  }
+
+  const allowedTimeSlots = zone.allowedTimeSlots || [];
+  if (timeSlot && allowedTimeSlots.length > 0 && !allowedTimeSlots.includes(timeSlot)) {
+    const labelFor = (time) => timeSlots.find((slot) => slot.time === time)?.label || time;
+    throw new DeliveryZoneError(
+      `${labelFor(timeSlot)} delivery isn't available in ${zone.name}. Please choose ${allowedTimeSlots.map(labelFor).join(' or ')}.`,
+      'time_slot_unavailable',
+      { zone: zone.name, allowedTimeSlots }
+    );
+  }
+};
+
+// Straight-line distance is multiplied by this when the road distance can't be looked up
+const getRoadDistanceFactor = () => {
+  const factor = Number(process.env.DELIVERY_ROAD_DISTANCE_FACTOR);
+  return Number.isFinite(factor) && factor >= 1 ? factor : 1.3;
+};
+
+const roundDistance = (km) => Math.round(km * 10) / 10;
+
+/**
+ * Road distance in km between a store and a delivery address, estimated from the straight-line
+ * distance when Mappls can't be reached.
+ * @returns {Promise<{ distanceKm: number, source: 'road'|'estimate' }>}
+ */
+const getDeliveryDistance = async (origin, destination) => {
+  try {
+    const km = await mapplsService.getRoadDistance(origin, destination);
+    if (Number.isFinite(km)) {
+      return { distanceKm: roundDistance(km), source: 'road' };
+    }
+  } catch (error) {
+    console.error('Road distance lookup failed, estimating instead:', error.message);
+  }
+
+  const straightLine = calculateHaversineDistance(origin.latitude, origin.longitude, destination.latitude, destination.longitude);
+  return { distanceKm: roundDistance(straightLine * getRoadDistanceFactor()), source: 'estimate' };
+};
+
+/**
+ * Picks the distance band for a delivery. Bands are { upToKm, charge }; a band without upToKm
+ * covers everything beyond the others.
+ * @throws {DeliveryZoneError} When the distance is past the last band and there is no open-ended one
+ */
+const findDistanceTier = (tiers, distanceKm) => {
+  const bounded = tiers.filter((tier) => Number.isFinite(tier.upToKm)).sort((a, b) => a.upToKm - b.upToKm);
+  const tier = bounded.find((band) => distanceKm <= band.upToKm) || tiers.find((band) => !Number.isFinite(band.upToKm));
+  if (!tier) {
+    const radius = bounded[bounded.length - 1].upToKm;
+    throw new DeliveryZoneError(
+      `This address is ${distanceKm} km from our store, beyond our ${radius} km delivery radius.`,
+      'beyond_delivery_radius',
+      { distanceKm, maxDistanceKm: radius }
+    );
+  }
+
+  const lowerBound = bounded.filter((band) => band.upToKm < distanceKm).pop()?.upToKm || 0;
+  return { ...tier, fromKm: lowerBound };
+};
+
+const describeDistanceTier = (tier) => (Number.isFinite(tier.upToKm)
+  ? `Distance ${tier.fromKm}–${tier.upToKm} km`
+  : `Distance beyond ${tier.fromKm} km`);
+
 /**
  * Calculates delivery fee based on subtotal, time slot, and customer details.
+ * When a location is given the address must fall inside an active delivery zone, whose charge,
+ * minimum order amount, surcharge and allowed time slots then apply, and distance bands
+ * (deliverySettings.distanceTiers) are charged on the road distance from the fulfilling store.
+ *
+ * The charge is the sum of the breakdown lines: the order-value charge, the distance band, the
+ * zone surcharge, the time slot extra and rush delivery, less the first-order waiver. When a
+ * surge rule covers the delivery day, slot and zone its extra is added as a 'surge' line; the
+ * first-order waiver does not cover it.
  * 
  * @param {Object} params
  * @param {number} params.subtotal
  * @param {string} [params.timeSlot]
+ * @param {string|Date} [params.deliveryDate] Delivery day, used to find surge rules
  * @param {string} [params.userId]
  * @param {string} [params.email]
  * @param {string} [params.phone]
- * @returns {Promise<Object>} The delivery fee details: { deliveryCharge, isFirstOrderFreeDelivery, standardFee }
+ * @param {string} [params.excludeOrderId] Order being repriced, left out of the first-order check
+ * @param {{ latitude: number, longitude: number }} [params.location] Shipping coordinates
+ * @param {string} [params.storeId] Fulfilling store, resolved from the location when omitted
+ * @returns {Promise<Object>} The delivery fee details: { deliveryCharge, isFirstOrderFreeDelivery, standardFee, zone, distanceKm, breakdown, surge }
+ * @throws {DeliveryZoneError} When the location is outside the delivery area or breaks a zone rule
  */
-const calculateDeliveryFee = async ({ subtotal, timeSlot, userId, email, phone }) => {
+const calculateDeliveryFee = async ({ subtotal, timeSlot, deliveryDate, userId, email, phone, excludeOrderId, location, storeId }) => {
   let settings = await Settings.findOne();
   if (!settings) {
     await Settings.initializeDefaultSettings();
@@ -82,26 +232,76 @@ const calculateDeliveryFee = async ({ subtotal, timeSlot, userId, email, phone }
   const matchingRule = sortedRules.find(r => subtotal >= r.minOrderAmount);
   let baseCharge = matchingRule ? matchingRule.charge : 150;
 
+  const zone = location ? await resolveDeliveryZone(location) : null;
+  if (zone) {
+    checkZoneRules(zone, { subtotal, timeSlot, timeSlots });
+    // The zone's charge replaces the standard one; free-delivery thresholds still apply
+    if (baseCharge > 0) {
+      baseCharge = zone.baseDeliveryCharge;
+    }
+  }
+
+  const breakdown = [{
+    component: 'base',
+    label: baseCharge > 0 ? 'Delivery charge' : 'Free delivery on this order value',
+    amount: baseCharge
+  }];
+
+  let distanceKm = null;
+  const distanceTiers = deliverySettings.distanceTiers || [];
+  if (location && distanceTiers.length > 0) {
+    const destination = { latitude: toCoordinate(location.latitude), longitude: toCoordinate(location.longitude) };
+    if (!Number.isFinite(destination.latitude) || !Number.isFinite(destination.longitude)) {
+      throw new DeliveryZoneError(
+        'Please pin your delivery address on the map so we can work out the delivery charge',
+        'location_required'
+      );
+    }
+
+    const origin = await resolveFulfillmentStore({ store: storeId, shippingDetails: destination });
+    ({ distanceKm } = await getDeliveryDistance(origin, destination));
+    const tier = findDistanceTier(distanceTiers, distanceKm);
+    breakdown.push({ component: 'distance', label: `${describeDistanceTier(tier)} (${distanceKm} km)`, amount: tier.charge || 0 });
+  }
+
+  if (zone?.surcharge > 0) {
+    breakdown.push({ component: 'zone_surcharge', label: `${zone.name} surcharge`, amount: zone.surcharge });
+  }
+  if (slotExtraCharge > 0) {
+    breakdown.push({ component: 'time_slot', label: activeSlot?.label || `${timeSlot} delivery`, amount: slotExtraCharge });
+  }
+
+  const standardFee = breakdown.reduce((sum, line) => sum + line.amount, 0);
+
   let isEligible = false;
   if (isFirstOrderFreeEnabled) {
-    isEligible = await checkFirstOrderEligibility({ userId, email, phone });
+    isEligible = await checkFirstOrderEligibility({ userId, email, phone, excludeOrderId });
+  }
+  if (isEligible && standardFee > 0) {
+    breakdown.push({ component: 'first_order_free', label: 'First order free delivery', amount: -standardFee });
   }
 
-  let deliveryCharge = 0;
-  if (isEligible) {
-    deliveryCharge = 0;
-  } else {
-    deliveryCharge = baseCharge + slotExtraCharge;
+  if (deliverySettings.rushDelivery?.enabled && deliverySettings.rushDelivery.charge > 0) {
+    breakdown.push({ component: 'rush', label: 'Rush delivery', amount: deliverySettings.rushDelivery.charge });
   }
 
-  if (deliverySettings.rushDelivery?.enabled) {
-    deliveryCharge += (deliverySettings.rushDelivery.charge || 0);
+  let surge = null;
+  const surgeRule = await surgePricingService.findApplicableRule({ deliveryDate, timeSlot, zoneId: zone?._id });
+  if (surgeRule) {
+    surge = surgePricingService.calculateSurge(surgeRule, standardFee);
+    if (surge.amount > 0) {
+      breakdown.push({ component: 'surge', label: `${surgeRule.name} (peak demand)`, amount: surge.amount });
+    }
   }
 
   return {
-    deliveryCharge,
+    deliveryCharge: breakdown.reduce((sum, line) => sum + line.amount, 0),
     isFirstOrderFreeDelivery: isEligible,
-    standardFee: baseCharge + slotExtraCharge
+    standardFee,
+    zone: zone ? { _id: zone._id, name: zone.name } : null,
+    distanceKm,
+    breakdown,
+    surge
   };
 };
 
@@ -120,31 +320,125 @@ const calculateHaversineDistance = (lat1, lon1, lat2, lon2) => {
   return R * c;
 };
 
+// Pickup point for stores that haven't been given a location (the original Rethi Bowli shop)
+const DEFAULT_STORE_LOCATION = { latitude: 17.3912, longitude: 78.4326 };
+
+/**
+ * Pickup coordinates of a store, falling back to the original shop when it has no location.
+ * @returns {{ latitude: number, longitude: number }}
+ */
+const getStoreCoordinates = (store) => {
+  const [longitude, latitude] = store?.location?.coordinates || [];
+  if (Number.isFinite(latitude) && Number.isFinite(longitude)) {
+    return { latitude, longitude };
+  }
+  return { ...DEFAULT_STORE_LOCATION };
+};
+
+/**
+ * Works out which store fulfils an order: the store it has been assigned to, otherwise the
+ * active store serving the delivery zone, otherwise the nearest store with a location.
+ *
+ * @returns {Promise<{ store: Object|null, latitude: number, longitude: number }>}
+ */
+const resolveFulfillmentStore = async (order) => {
+  let store = null;
+  const storeId = order.store?._id || order.store;
+  if (storeId) {
+    store = await Store.findById(storeId);
+  }
+
+  const { latitude, longitude } = order.shippingDetails || {};
+  if (!store && Number.isFinite(latitude) && Number.isFinite(longitude)) {
+    const point = { type: 'Point', coordinates: [longitude, latitude] };
+    const zone = await DeliveryZone.findOne({ isActive: true, boundary: { $geoIntersects: { $geometry: point } } }).select('_id');
+    if (zone) {
+      store = await Store.findOne({ zone: zone._id, isActive: true });
+    }
+    if (!store) {
+      store = await Store.findOne({ isActive: true, location: { $near: { $geometry: point } } });
+    }
+  }
+
+  return { store, ...getStoreCoordinates(store) };
+};
+
+/**
+ * Pickup coordinates for an assignment (assignments made before stores had locations use the
+ * original shop).
+ */
+const getAssignmentStoreCoordinates = async (assignment) => {
+  const store = assignment.storeId ? await Store.findById(assignment.storeId).select('location') : null;
+  return getStoreCoordinates(store);
+};
+
+// Statuses where the partner already has the order and is heading to the customer
+const EN_ROUTE_STATUSES = ['picked_up', 'out_for_delivery', 'reached_customer'];
+
+/**
+ * Minutes until the partner at `position` reaches the customer: straight to the drop once the
+ * order is picked up, otherwise via the store. Uses the same 3 min/km estimate as assignment.
+ *
+ * @param {Object} assignment
+ * @param {Object} order
+ * @param {{ latitude: number, longitude: number }} position Partner's latest coordinates
+ * @returns {Promise<number|null>} null when the order has no delivery coordinates
+ */
+const estimateDeliveryEta = async (assignment, order, position) => {
+  const drop = {
+    latitude: toCoordinate(order?.shippingDetails?.latitude),
+    longitude: toCoordinate(order?.shippingDetails?.longitude)
+  };
+  const from = { latitude: toCoordinate(position?.latitude), longitude: toCoordinate(position?.longitude) };
+  if (![drop.latitude, drop.longitude, from.latitude, from.longitude].every(Number.isFinite)) {
+    return null;
+  }
+
+  let distance;
+  if (EN_ROUTE_STATUSES.includes(assignment.status)) {
+    distance = calculateHaversineDistance(from.latitude, from.longitude, drop.latitude, drop.longitude);
+  } else {
+    const store = await getAssignmentStoreCoordinates(assignment);
+    distance = calculateHaversineDistance(from.latitude, from.longitude, store.latitude, store.longitude)
+      + calculateHaversineDistance(store.latitude, store.longitude, drop.latitude, drop.longitude);
+  }
+
+  return Math.max(2, Math.round(distance * 3));
+};
+
 /**
  * Finds the best delivery partner for a given order using the priority formula:
- * Nearest + Available + Highest Rating + Lowest Active Load
+ * Nearest to the fulfilling store + Available + Highest Rating + Lowest Active Load
  * 
  * Formula Score = (Distance * 1.0) + (Active Orders * 5.0) - (Rating * 3.0)
- * Low score is better.
+ * Low score is better. Partners on shift for the order's delivery slot are preferred over
+ * anyone who is merely online.
+ *
+ * @param {Object} order
+ * @param {Object} config Delivery settings
+ * @param {Object} [origin] Result of resolveFulfillmentStore, resolved from the order when omitted
+ * @param {Object} [options]
+ * @param {number} [options.capacity=1] Orders the partner must still have room for (stops on a batch)
+ * @returns {Promise<{ partner: Object, distance: number, score: number, onShift: boolean, store: Object|null }|null>}
  */
-const findBestPartnerForOrder = async (order, config) => {
-  // Store default location (Rethi Bowli, Mehdipatnam, Hyderabad)
-  const storeLat = 17.3912;
-  const storeLng = 78.4326;
+const findBestPartnerForOrder = async (order, config, origin, { capacity = 1 } = {}) => {
+  const { store, latitude: storeLat, longitude: storeLng } = origin || await resolveFulfillmentStore(order);
 
-  // 1. Get all online and available (activeOrders < maxOrdersPerPartner) partners
+  // 1. Get all online and available partners with room for the order(s)
   const partners = await DeliveryPartner.find({
     status: 'online',
     availability: 'available',
     isSuspended: false,
-    activeOrders: { $lt: config.maxOrdersPerPartner }
+    activeOrders: { $lte: config.maxOrdersPerPartner - capacity }
   });
 
   if (partners.length === 0) return null;
 
+  const onShiftIds = await partnerShiftService.getOnShiftPartnerIds(order.shippingDetails || {});
+
   // 2. Rank partners based on the formula
   const rankedPartners = partners.map(partner => {
-    // Calculate distance from store
+    // Calculate distance from the store the order is picked up from
     const distance = calculateHaversineDistance(
       partner.currentLatitude,
       partner.currentLongitude,
@@ -155,7 +449,7 @@ const findBestPartnerForOrder = async (order, config) => {
     // Apply score formula
     const score = (distance * 1.5) + (partner.activeOrders * 4.0) - (partner.rating * 3.0);
 
-    return { partner, distance, score };
+    return { partner, distance, score, onShift: onShiftIds.has(String(partner._id)), store };
   });
 
   // Filter partners within maximum assignment radius
@@ -163,15 +457,15 @@ const findBestPartnerForOrder = async (order, config) => {
 
   if (eligiblePartners.length === 0) return null;
 
-  // Sort by lowest score
-  eligiblePartners.sort((a, b) => a.score - b.score);
+  // On-shift partners first, then by lowest score
+  eligiblePartners.sort((a, b) => Number(b.onShift) - Number(a.onShift) || a.score - b.score);
 
   return eligiblePartners[0];
 };
 
 /**
  * Automatically assigns a delivery partner to an order.
- * If a partner is found, creates an assignment and sets a reassignment timer.
+ * If a partner is found, creates an assignment and schedules the reassignment timeout job.
  */
 const assignOrderAutomatically = async (orderId) => {
   try {
@@ -198,7 +492,20 @@ const assignOrderAutomatically = async (orderId) => {
       return false;
     }
 
-    const bestPartnerMatch = await findBestPartnerForOrder(order, config);
+    const origin = await resolveFulfillmentStore(order);
+    if (origin.store && !order.store) {
+      // Remember the store so production and later reassignments use the same pickup point
+      await Order.updateOne({ _id: order._id, store: null }, { $set: { store: origin.store._id } });
+      order.store = origin.store._id;
+    }
+
+    const bestPartnerMatch = await findBestPartnerForOrder(order, config, origin);
+
+    try {
+      await partnerShiftService.warnIfUnderstaffed(order);
+    } catch (staffingError) {
+      console.error('Error checking slot staffing:', staffingError);
+    }
 
     // Generate Verification OTP for Customer (4 digits)
     const customerOtp = Math.floor(1000 + Math.random() * 9000).toString();
@@ -209,13 +516,14 @@ const assignOrderAutomatically = async (orderId) => {
       const newAssignment = await DeliveryAssignment.create({
         orderId: order._id,
         partnerId: partner._id,
+        storeId: origin.store?._id,
         status: 'assigned',
         distance: parseFloat(distance.toFixed(2)),
         eta: Math.max(15, Math.round(distance * 3 + 10)), // Simple ETA logic: 3 mins per km + 10 mins store prep
         customerOtp,
         history: [{
           status: 'assigned',
-          remarks: `Order auto-assigned to partner: ${partner.name} (Score Rank Match)`
+          remarks: `Order auto-assigned to partner: ${partner.name} (${bestPartnerMatch.onShift ? 'On Shift, ' : ''}Score Rank Match)`
         }]
       });
 
@@ -232,19 +540,14 @@ const assignOrderAutomatically = async (orderId) => {
       
       // 2. Send assignment notification to Customer (MATRIX: Email - YES, Push - Customer)
       await deliveryNotificationService.sendDeliveryNotification('partner_assigned', newAssignment, order, partner);
+      liveTrackingService.publishStatus({ order, assignment: newAssignment });
 
-      // Set timeout for Reassignment (timeout in seconds converted to ms)
-      setTimeout(async () => {
-        try {
-          const checkAssign = await DeliveryAssignment.findById(newAssignment._id);
-          if (checkAssign && checkAssign.status === 'assigned') {
-            console.log(`⏱️ Assignment ${newAssignment._id} timed out. Reassigning...`);
-            await rejectOrTimeoutAssignment(newAssignment._id, 'timeout');
-          }
-        } catch (err) {
-          console.error('Error handling assignment timeout:', err);
-        }
-      }, config.reassignmentTimeout * 1000);
+      // Reassign if the partner hasn't responded in time (survives restarts; see jobQueueService)
+      await jobQueueService.scheduleJob(
+        ASSIGNMENT_TIMEOUT_JOB,
+        { assignmentId: String(newAssignment._id) },
+        { delay: config.reassignmentTimeout * 1000, uniqueKey: `assignment-timeout:${newAssignment._id}` }
+      );
 
       console.log(`✅ Order ${order.orderNumber} successfully auto-assigned to ${partner.name}`);
       return true;
@@ -254,6 +557,7 @@ const assignOrderAutomatically = async (orderId) => {
       // Create pending assignment record so admins can assign manually
       await DeliveryAssignment.create({
         orderId: order._id,
+        storeId: origin.store?._id,
         status: 'pending_assignment',
         customerOtp,
         history: [{
@@ -298,8 +602,13 @@ const rejectOrTimeoutAssignment = async (assignmentId, actionType = 'reject') =>
     }
   }
 
+  if (actionType === 'reject') {
+    await jobQueueService.cancelJobs({ uniqueKey: `assignment-timeout:${assignmentId}` });
+  }
+
   // 2. Mark this assignment as cancelled/failed and archive it
   assignment.status = 'cancelled';
+  assignment.cancellationReason = actionType === 'timeout' ? 'partner_timeout' : 'partner_rejected';
   assignment.history.push({
     status: 'cancelled',
     remarks: `Partner ${actionType === 'timeout' ? 'ignored (timeout)' : 'rejected'} the request.`
@@ -311,11 +620,27 @@ const rejectOrTimeoutAssignment = async (assignmentId, actionType = 'reject') =>
   return await assignOrderAutomatically(orderId);
 };
 
+jobQueueService.defineJob(ASSIGNMENT_TIMEOUT_JOB, async ({ assignmentId }) => {
+  const assignment = await DeliveryAssignment.findById(assignmentId).select('status');
+  if (assignment && assignment.status === 'assigned') {
+    console.log(`⏱️ Assignment ${assignmentId} timed out. Reassigning...`);
+    await rejectOrTimeoutAssignment(assignmentId, 'timeout');
+  }
+});
+
 module.exports = {
+  DeliveryZoneError,
   checkFirstOrderEligibility,
   calculateDeliveryFee,
   calculateHaversineDistance,
+  estimateDeliveryEta,
   findBestPartnerForOrder,
+  getAssignmentStoreCoordinates,
+  getDeliveryDistance,
+  getStoreCoordinates,
+  isDeliveryZoneError,
+  resolveDeliveryZone,
+  resolveFulfillmentStore,
   assignOrderAutomatically,
   rejectOrTimeoutAssignment
 };
@@ -4,6 +4,9 @@ const fs = require('fs');
 const path = require('path');
 const { getPdfOptions } = require('../utils/pdfHelper');
 const { sendEmail } = require('./emailService');
+const currencyService = require('./currencyService');
+const { ensureInvoice } = require('./invoiceService');
+const { roundAmount } = require('../utils/money');
 
 // Initialize email service
 let emailTransporter = null;
@@ -99,16 +102,7 @@ const initEmailService = () => {
 };
 
 // Format currency for display
-const formatCurrency = (amount, currency = 'INR') => {
-  const symbols = {
-    'INR': '₹',
-    'USD': '$',
-    'EUR': '€',
-    'GBP': '£'
-  };
-
-  return `${symbols[currency] || currency} ${Number(amount).toLocaleString()}`;
-};
+const formatCurrency = (amount, currency = 'INR') => currencyService.formatCurrency(amount, currency);
 
 // Format date for display (forcing Asia/Kolkata timezone to avoid UTC offset discrepancies on server)
 const formatDate = (date) => {
@@ -141,7 +135,7 @@ const formatTime = (timeSlot) => {
 };
 
 // Generate PDF from HTML
-const generateInvoicePDF = async (htmlContent, orderNumber) => {
+const generateInvoicePDF = async (htmlContent, orderNumber, { documentTitle = 'Tax Invoice' } = {}) => {
   // Ensure PhantomJS binary is present (self-healing runtime check)
   const { ensurePhantomJS } = require('../utils/pdfHelper');
   try {
@@ -151,7 +145,7 @@ const generateInvoicePDF = async (htmlContent, orderNumber) => {
   }
 
   return new Promise((resolve, reject) => {
-    const options = getPdfOptions({ documentTitle: 'Tax Invoice' });
+    const options = getPdfOptions({ documentTitle });
 
     pdf.create(htmlContent, options).toBuffer((err, buffer) => {
       if (err) {
@@ -618,6 +612,38 @@ const generateAdminOrderNotificationEmail = (orderData) => {
   `;
 };
 
+const SELLER_ADDRESS_HTML = 'Door No. 12-2-786/A & B, Najam Centre, Pillar No. 32,<br>Rethi Bowli, Mehdipatnam, Hyderabad, Telangana 500028';
+
+const formatGstRate = (rate) => `${Number(rate)}%`;
+
+// HSN/SAC-wise tax summary rows of a GST invoice, one per code and rate
+const buildGstSummaryRows = (invoice, currency) => {
+  const interState = invoice.supplyType === 'inter_state';
+  const groups = new Map();
+
+  (invoice.lines || []).forEach((line) => {
+    const key = `${line.hsnCode}|${line.gstRate}`;
+    const group = groups.get(key) || { hsnCode: line.hsnCode, gstRate: line.gstRate, taxableValue: 0, cgst: 0, sgst: 0, igst: 0 };
+    group.taxableValue += line.taxableValue;
+    group.cgst += line.cgst;
+    group.sgst += line.sgst;
+    group.igst += line.igst;
+    groups.set(key, group);
+  });
+
+  const cell = 'padding: 5px 8px; font-size: 10px; color: #475569;';
+  return Array.from(groups.values()).map((group) => `
+    <tr style="border-bottom: 1px solid #e2e8f0;">
+      <td style="${cell}">${group.hsnCode}</td>
+      <td style="${cell} text-align: right;">${formatCurrency(roundAmount(group.taxableValue), currency)}</td>
+      ${interState
+        ? `<td style="${cell} text-align: right;">${formatGstRate(group.gstRate)}: ${formatCurrency(roundAmount(group.igst), currency)}</td>`
+        : `<td style="${cell} text-align: right;">${formatGstRate(group.gstRate / 2)}: ${formatCurrency(roundAmount(group.cgst), currency)}</td>
+      <td style="${cell} text-align: right;">${formatGstRate(group.gstRate / 2)}: ${formatCurrency(roundAmount(group.sgst), currency)}</td>`}
+    </tr>
+  `).join('');
+};
+
 // ============================================================
 // Generate standalone invoice HTML (reusable for PDF + email)
 // This is the SINGLE SOURCE OF TRUTH for the invoice design.
@@ -633,13 +659,20 @@ const generateInvoiceHTML = (orderData) => {
     return sum + ((item.finalPrice || item.price) * item.quantity);
   }, 0);
 
-  const deliveryFee = order.deliveryFee || order.shippingFee || order.shippingCharges || 0;
+  const deliveryFee = order.deliveryFee || order.deliveryCharge || order.shippingFee || order.shippingCharges || 0;
   const promoDiscount = order.promoCode?.discount || order.discountAmount || order.promoDiscount || 0;
   const hasDeliveryFee = deliveryFee > 0;
+  // Itemise the delivery fee when it was made up of more than one charge
+  const deliveryBreakdown = (order.deliveryChargeBreakdown || []).filter((line) => line.amount !== 0);
+  const showDeliveryBreakdown = deliveryBreakdown.length > 1;
   const hasPromo = promoDiscount > 0;
   const grandTotal = order.totalAmount || order.total || (itemsSubtotal + deliveryFee - promoDiscount);
 
-  const invoiceNumber = `INV-${order.orderNumber}`;
+  // Only an issued GST invoice (see services/invoiceService.js) is a tax invoice; anything
+  // else renders as a receipt under the order number
+  const invoice = order.invoice?.number ? order.invoice : null;
+  const invoiceNumber = invoice ? invoice.number : order.orderNumber;
+  const interState = invoice?.supplyType === 'inter_state';
   const orderDate = formatDate(order.createdAt);
   const deliveryDate = formatDate(shipping.deliveryDate || order.deliveredAt || new Date());
 
@@ -812,12 +845,11 @@ const generateInvoiceHTML = (orderData) => {
                 <tr>
                   ${logoBase64 ? `<td style="vertical-align: middle; width: 55px; padding-right: 12px;"><img src="${logoBase64}" alt="Logo" style="height: 50px; object-fit: contain;" /></td>` : ''}
                   <td style="vertical-align: top;">
-                    <h1 style="font-size: 26px; font-weight: 800; color: #064e3b; line-height: 1.1; margin: 0 0 2px 0;">Spring Blossoms Florist</h1>
+                    <h1 style="font-size: 26px; font-weight: 800; color: #064e3b; line-height: 1.1; margin: 0 0 2px 0;">${invoice?.sellerName || 'Spring Blossoms Florist'}</h1>
                     <p style="font-size: 10px; color: #c5a880; font-weight: 700; text-transform: uppercase; letter-spacing: 1px; margin: 0 0 4px 0;">A Reason to Express</p>
                     <p style="font-size: 10px; color: #64748b; line-height: 1.3; margin: 0;">
-                      Door No. 12-2-786/A & B, Najam Centre, Pillar No. 32,<br>
-                      Rethi Bowli, Mehdipatnam, Hyderabad, Telangana 500028<br>
-                      <strong>GSTIN:</strong> 36AABFS1234Z1Z5 | <strong>Ph:</strong> +91 9949683222
+                      ${invoice?.sellerAddress || SELLER_ADDRESS_HTML}<br>
+                      ${invoice?.sellerGstin ? `<strong>GSTIN:</strong> ${invoice.sellerGstin} | ` : ''}<strong>Ph:</strong> +91 9949683222
                     </p>
                   </td>
                 </tr>
@@ -825,12 +857,22 @@ const generateInvoiceHTML = (orderData) => {
             </td>
             <td style="vertical-align: top; text-align: right; width: 40%;">
               <div style="background: #f0fdf4; border: 1px solid #bbf7d0; border-radius: 6px; padding: 10px 12px; display: inline-block; text-align: left; width: 65mm;">
-                <h2 style="font-size: 28px; font-weight: 850; color: #064e3b; text-transform: uppercase; letter-spacing: 1px; border-bottom: 2px solid #064e3b; padding-bottom: 4px; margin-bottom: 6px; text-align: right;">TAX INVOICE</h2>
+                <h2 style="font-size: 28px; font-weight: 850; color: #064e3b; text-transform: uppercase; letter-spacing: 1px; border-bottom: 2px solid #064e3b; padding-bottom: 4px; margin-bottom: 6px; text-align: right;">${invoice ? 'TAX INVOICE' : 'ORDER RECEIPT'}</h2>
                 <table style="font-size: 10px; line-height: 1.3;">
                   <tr>
-                    <td style="color: #64748b; font-weight: 600; padding: 1px 0;">Invoice No:</td>
+                    <td style="color: #64748b; font-weight: 600; padding: 1px 0;">${invoice ? 'Invoice No:' : 'Order No:'}</td>
                     <td style="font-weight: 700; color: #064e3b; text-align: right; padding: 1px 0;">${invoiceNumber}</td>
                   </tr>
+                  ${invoice ? `
+                  <tr>
+                    <td style="color: #64748b; font-weight: 600; padding: 1px 0;">Invoice Date:</td>
+                    <td style="color: #334155; font-weight: 600; text-align: right; padding: 1px 0;">${formatDate(invoice.issuedAt)}</td>
+                  </tr>
+                  <tr>
+                    <td style="color: #64748b; font-weight: 600; padding: 1px 0;">Place of Supply:</td>
+                    <td style="color: #334155; font-weight: 600; text-align: right; padding: 1px 0;">${invoice.placeOfSupply?.stateName || ''} (${invoice.placeOfSupply?.stateCode || ''})</td>
+                  </tr>
+                  ` : ''}
                   <tr>
                     <td style="color: #64748b; font-weight: 600; padding: 1px 0;">Order Date:</td>
                     <td style="color: #334155; font-weight: 600; text-align: right; padding: 1px 0;">${orderDate}</td>
@@ -896,6 +938,24 @@ const generateInvoiceHTML = (orderData) => {
           </tbody>
         </table>
 
+        ${invoice ? `
+        <!-- GST SUMMARY -->
+        <table style="margin-bottom: 12px; border: 1px solid #e2e8f0;">
+          <thead>
+            <tr style="background-color: #f8fafc;">
+              <th style="padding: 5px 8px; text-align: left; font-size: 10px; color: #064e3b;">HSN/SAC</th>
+              <th style="padding: 5px 8px; text-align: right; font-size: 10px; color: #064e3b;">Taxable Value</th>
+              ${interState
+                ? '<th style="padding: 5px 8px; text-align: right; font-size: 10px; color: #064e3b;">IGST</th>'
+                : '<th style="padding: 5px 8px; text-align: right; font-size: 10px; color: #064e3b;">CGST</th><th style="padding: 5px 8px; text-align: right; font-size: 10px; color: #064e3b;">SGST</th>'}
+            </tr>
+          </thead>
+          <tbody>
+            ${buildGstSummaryRows(invoice, order.currency)}
+          </tbody>
+        </table>
+        ` : ''}
+
         <!-- TOTALS & METADATA GRID ROW -->
         <table style="margin-bottom: 12px;">
           <tr>
@@ -946,16 +1006,32 @@ const generateInvoiceHTML = (orderData) => {
                   <td style="padding: 4px 0; color: #64748b; font-weight: 500;">Delivery Fee:</td>
                   <td style="padding: 4px 0; text-align: right; color: #1e293b; font-weight: 600;">
                     ${order.isFirstOrderFreeDelivery 
-                      ? `FREE (${formatCurrency((order.shippingDetails?.timeSlot === 'midnight' ? 300 : 150) * (order.currencyRate || 1), order.currency)} waived)` 
+                      ? `FREE (${formatCurrency(currencyService.convertFromBase(order.shippingDetails?.timeSlot === 'midnight' ? 300 : 150, currencyService.getOrderRateSnapshot(order)), order.currency)} waived)` 
                       : (hasDeliveryFee ? formatCurrency(deliveryFee, order.currency) : 'FREE')}
                   </td>
                 </tr>
+                ${showDeliveryBreakdown ? deliveryBreakdown.map((line) => `
+                <tr>
+                  <td style="padding: 0 0 2px 10px; color: #94a3b8; font-size: 10px;">${line.label}</td>
+                  <td style="padding: 0 0 2px 0; text-align: right; color: #94a3b8; font-size: 10px;">${line.amount < 0 ? '-' : ''}${formatCurrency(Math.abs(line.amount), order.currency)}</td>
+                </tr>
+                `).join('') : ''}
                 ${hasPromo ? `
                 <tr>
                   <td style="padding: 4px 0; color: #64748b; font-weight: 500;">Promo Discount${order.promoCode?.code ? ' (' + order.promoCode.code + ')' : ''}:</td>
                   <td style="padding: 4px 0; text-align: right; color: #dc2626; font-weight: 600;">-${formatCurrency(promoDiscount, order.currency)}</td>
                 </tr>
                 ` : ''}
+                ${invoice ? `
+                <tr>
+                  <td style="padding: 4px 0; color: #64748b; font-weight: 500;">Taxable Value:</td>
+                  <td style="padding: 4px 0; text-align: right; color: #1e293b; font-weight: 600;">${formatCurrency(invoice.taxableValue, order.currency)}</td>
+                </tr>
+                <tr>
+                  <td style="padding: 4px 0; color: #64748b; font-weight: 500;">${interState ? 'IGST' : 'CGST + SGST'}${invoice.pricesIncludeTax ? ' (included)' : ''}:</td>
+                  <td style="padding: 4px 0; text-align: right; color: #1e293b; font-weight: 600;">${formatCurrency(invoice.totalTax, order.currency)}</td>
+                </tr>
+                ` : ''}
                 <tr style="border-top: 2px solid #064e3b;">
                   <td style="padding: 8px 0; font-weight: 700; font-size: 13px; color: #064e3b;">Grand Total:</td>
                   <td style="padding: 8px 0; text-align: right; font-weight: 700; font-size: 13px; color: #064e3b;">${formatCurrency(grandTotal, order.currency)}</td>
@@ -982,9 +1058,83 @@ const generateInvoiceHTML = (orderData) => {
 };
 
 
+// Credit note PDF for a cancellation or refund, issued against the order's tax invoice
+const generateCreditNoteHTML = ({ order, customer, creditNote }) => {
+  const invoice = order.invoice || {};
+  const interState = invoice.supplyType === 'inter_state';
+  const row = (label, value, style = '') => `
+    <tr>
+      <td style="padding: 4px 0; color: #64748b; font-weight: 500; ${style}">${label}</td>
+      <td style="padding: 4px 0; text-align: right; color: #1e293b; font-weight: 600; ${style}">${value}</td>
+    </tr>
+  `;
+
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="utf-8">
+      <title>Credit Note ${creditNote.number}</title>
+      <style>
+        @page { size: A4; margin: 12mm; }
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body { font-family: 'Helvetica Neue', Helvetica, Arial, sans-serif; font-size: 11px; color: #334155; line-height: 1.4; }
+        table { width: 100%; border-collapse: collapse; }
+      </style>
+    </head>
+    <body>
+      <div style="width: 186mm; margin: 0 auto;">
+        <table style="margin-bottom: 15px;">
+          <tr>
+            <td style="vertical-align: top; width: 60%;">
+              <h1 style="font-size: 22px; font-weight: 800; color: #064e3b; margin-bottom: 4px;">${invoice.sellerName || 'Spring Blossoms Florist'}</h1>
+              <p style="font-size: 10px; color: #64748b;">
+                ${invoice.sellerAddress || SELLER_ADDRESS_HTML}<br>
+                ${invoice.sellerGstin ? `<strong>GSTIN:</strong> ${invoice.sellerGstin}` : ''}
+              </p>
+            </td>
+            <td style="vertical-align: top; text-align: right; width: 40%;">
+              <h2 style="font-size: 24px; font-weight: 800; color: #b91c1c; text-transform: uppercase; margin-bottom: 6px;">Credit Note</h2>
+              <table style="font-size: 10px;">
+                ${row('Credit Note No:', creditNote.number)}
+                ${row('Date:', formatDate(creditNote.issuedAt))}
+                ${row('Against Invoice:', `${invoice.number || ''}${invoice.issuedAt ? ` (${formatDate(invoice.issuedAt)})` : ''}`)}
+                ${row('Order No:', order.orderNumber)}
+                ${row('Place of Supply:', `${invoice.placeOfSupply?.stateName || ''} (${invoice.placeOfSupply?.stateCode || ''})`)}
+              </table>
+            </td>
+          </tr>
+        </table>
+
+        <div style="height: 3px; background: #064e3b; margin-bottom: 12px;"></div>
+
+        <div style="border: 1px solid #e2e8f0; border-radius: 6px; background: #f8fafc; padding: 10px 12px; margin-bottom: 12px;">
+          <div style="font-weight: 700; color: #0f172a;">${customer.name || 'Customer'}</div>
+          <div style="font-size: 10px; color: #475569;">${customer.email || ''}${customer.phone ? ` | ${customer.phone}` : ''}</div>
+          ${creditNote.reason ? `<div style="font-size: 10px; color: #475569; margin-top: 6px;"><strong>Reason:</strong> ${creditNote.reason}</div>` : ''}
+        </div>
+
+        <table style="width: 50%; margin-left: 50%; font-size: 11px;">
+          ${row('Taxable Value:', formatCurrency(creditNote.taxableValue, order.currency))}
+          ${interState
+            ? row('IGST:', formatCurrency(creditNote.igst, order.currency))
+            : row('CGST:', formatCurrency(creditNote.cgst, order.currency)) + row('SGST:', formatCurrency(creditNote.sgst, order.currency))}
+          ${row('Total Credited:', formatCurrency(creditNote.total, order.currency), 'border-top: 2px solid #064e3b; font-size: 13px; color: #064e3b; font-weight: 700;')}
+        </table>
+
+        <p style="margin-top: 30px; font-size: 8.5px; color: #94a3b8; text-align: center;">
+          This is a computer-generated credit note and requires no signature.
+        </p>
+      </div>
+    </body>
+    </html>
+  `;
+};
+
+
 // Generate delivery confirmation email template with invoice
 const generateDeliveryConfirmationWithInvoiceEmail = (orderData) => {
-  const { order, customer, partner, proofImageUrl } = orderData;
+  const { order, customer, partner, proofImageUrl, signatureImageUrl } = orderData;
   const items = order.items || [];
 
   // Calculate proper subtotal from items
@@ -992,15 +1142,16 @@ const generateDeliveryConfirmationWithInvoiceEmail = (orderData) => {
     return sum + ((item.finalPrice || item.price) * item.quantity);
   }, 0);
 
-  const shippingCharges = order.shippingFee || order.shippingCharges || 0;
-
-  // Only calculate GST if there are shipping charges
+  const shippingCharges = order.deliveryCharge || order.shippingFee || order.shippingCharges || 0;
   const hasShipping = shippingCharges > 0;
-  const cgst = hasShipping ? shippingCharges * 0.025 : 0; // 2.5% CGST only on shipping
-  const sgst = hasShipping ? shippingCharges * 0.025 : 0; // 2.5% SGST only on shipping
-  const grandTotal = itemsSubtotal + shippingCharges + cgst + sgst;
+  const discount = order.discount || 0;
 
-  const invoiceNumber = `INV-${order.orderNumber}`;
+  // GST comes from the issued invoice; it is only added to the total when prices excluded it
+  const invoice = order.invoice?.number ? order.invoice : null;
+  const taxLabel = invoice?.supplyType === 'inter_state' ? 'IGST' : 'CGST + SGST';
+  const grandTotal = order.totalAmount ?? (itemsSubtotal + shippingCharges - discount + (order.taxAmount || 0));
+
+  const invoiceNumber = invoice ? invoice.number : order.orderNumber;
   const orderDate = formatDate(order.createdAt);
   const deliveryDate = formatDate(order.shippingDetails?.deliveryDate || new Date());
   const deliveryTimeSlot = formatTime(order.shippingDetails?.timeSlot);
@@ -1336,12 +1487,24 @@ const generateDeliveryConfirmationWithInvoiceEmail = (orderData) => {
               <h4 style="margin: 0 0 6px; font-size: 15px; color: #0b5e47;">Delivery Partner Information</h4>
               <p style="margin: 3px 0; color: #1e3d35;"><strong>Name:</strong> ${partner.name}</p>
               ${partner.vehicleType ? `<p style="margin: 3px 0; color: #1e3d35;"><strong>Vehicle:</strong> ${partner.vehicleType.toUpperCase()}</p>` : ''}
+            </div>
+            ` : ''}
+
+            ${proofImageUrl || signatureImageUrl ? `
+            <div style="margin: 16px 30px 0; border: 1px solid #ccece6; border-radius: 12px; background-color: #f2fbf9; padding: 14px 16px; font-size: 13px;">
+              <h4 style="margin: 0 0 6px; font-size: 15px; color: #0b5e47;">Proof of Delivery</h4>
               ${proofImageUrl ? `
-                <div style="margin-top: 10px; border-top: 1px dashed #ccece6; padding-top: 10px;">
+                <div style="margin-top: 10px;">
                   <strong style="font-size: 13px; color: #0b5e47; display: block; margin-bottom: 8px;">Delivery Proof Photo:</strong>
                   <img src="${proofImageUrl}" alt="Delivery Proof" style="max-width: 100%; max-height: 250px; border-radius: 8px; border: 1px solid #ccece6;" />
                 </div>
               ` : ''}
+              ${signatureImageUrl ? `
+                <div style="margin-top: 10px;${proofImageUrl ? ' border-top: 1px dashed #ccece6; padding-top: 10px;' : ''}">
+                  <strong style="font-size: 13px; color: #0b5e47; display: block; margin-bottom: 8px;">Received By (Signature):</strong>
+                  <img src="${signatureImageUrl}" alt="Customer Signature" style="max-width: 100%; max-height: 120px; border-radius: 8px; border: 1px solid #ccece6; background-color: #ffffff;" />
+                </div>
+              ` : ''}
             </div>
             ` : ''}
 
@@ -1429,9 +1592,17 @@ const generateDeliveryConfirmationWithInvoiceEmail = (orderData) => {
                     <td class="sum-label">Delivery Charges</td>
                     <td class="sum-value">${formatCurrency(shippingCharges, order.currency)}</td>
                   </tr>
+                ` : ''}
+                ${discount > 0 ? `
+                  <tr>
+                    <td class="sum-label">Discount</td>
+                    <td class="sum-value">-${formatCurrency(discount, order.currency)}</td>
+                  </tr>
+                ` : ''}
+                ${invoice ? `
                   <tr>
-                    <td class="sum-label">Tax (CGST + SGST)</td>
-                    <td class="sum-value">${formatCurrency(cgst + sgst, order.currency)}</td>
+                    <td class="sum-label">Tax (${taxLabel})${invoice.pricesIncludeTax ? ' included' : ''}</td>
+                    <td class="sum-value">${formatCurrency(invoice.totalTax, order.currency)}</td>
                   </tr>
                 ` : ''}
                 <tr class="grand">
@@ -1493,6 +1664,14 @@ const sendDeliveryConfirmationWithInvoice = async (orderData) => {
       return { success: false, error: 'No customer email address provided' };
     }
 
+    // Issue the GST invoice now if it hasn't been; the email still goes out as a receipt if that fails
+    try {
+      await ensureInvoice(order);
+    } catch (invoiceErr) {
+      console.error(`[Delivery Confirmation Email Trigger] ⚠️ Could not issue the invoice for order #${order.orderNumber}:`, invoiceErr.message);
+    }
+    const invoiceNumber = order.invoice?.number || order.orderNumber;
+
     console.log('📄 Generating PDF invoice...');
     
     // Generate HTML for email body (delivery confirmation wrapper + invoice)
@@ -1521,7 +1700,7 @@ const sendDeliveryConfirmationWithInvoice = async (orderData) => {
     const emailOptions = {
       to: customer.email,
       cc: '2006sbf@gmail.com', // Send copy to business email
-      subject: `🎉 Order Delivered & Invoice #INV-${order.orderNumber} - Spring Blossoms Florist`,
+      subject: `🎉 Order Delivered & Invoice #${invoiceNumber} - Spring Blossoms Florist`,
       html: htmlContent,
       type: 'delivered',
       text: `Delivery Confirmation & Invoice - Spring Blossoms Florist
@@ -1532,7 +1711,7 @@ const sendDeliveryConfirmationWithInvoice = async (orderData) => {
 
         Order Details:
         - Order Number: ${order.orderNumber}
-        - Invoice Number: INV-${order.orderNumber}
+        - Invoice Number: ${invoiceNumber}
         - Total Amount: ${formatCurrency(order.totalAmount, order.currency)}
         - Delivered On: ${formatDate(new Date())}
 
@@ -1560,7 +1739,7 @@ const sendDeliveryConfirmationWithInvoice = async (orderData) => {
         }
       ];
     } else {
-      emailOptions.subject = `🎉 Order Delivered #INV-${order.orderNumber} - Spring Blossoms Florist`;
+      emailOptions.subject = `🎉 Order Delivered #${order.orderNumber} - Spring Blossoms Florist`;
     }
 
     const result = await sendEmail(emailOptions);
@@ -1585,6 +1764,238 @@ const sendDeliveryConfirmationWithInvoice = async (orderData) => {
   }
 };
 
+// Customer email for a refund issued against an order
+const generateRefundEmail = ({ customer, order, refund }) => {
+  const isProcessed = refund.status === 'processed';
+  const remaining = Math.max(0, (order.totalAmount || 0) - (order.refundedAmount || 0));
+
+  return `
+    <div style="font-family: 'Helvetica Neue', Helvetica, Arial, sans-serif; max-width: 600px; margin: 0 auto; color: #1f2937;">
+      <div style="background: linear-gradient(135deg, #10b981 0%, #059669 100%); padding: 24px; border-radius: 12px 12px 0 0; text-align: center;">
+        <h1 style="color: #ffffff; margin: 0; font-size: 22px;">${isProcessed ? 'Your refund has been processed' : 'Your refund is on its way'}</h1>
+      </div>
+      <div style="background: #ffffff; padding: 24px; border: 1px solid #e5e7eb; border-top: none; border-radius: 0 0 12px 12px;">
+        <p>Dear ${customer.name || 'Customer'},</p>
+        <p>
+          We have ${isProcessed ? 'refunded' : 'initiated a refund of'} <strong>${formatCurrency(refund.amount, order.currency)}</strong>
+          for your order <strong>#${order.orderNumber}</strong> to your original payment method.
+        </p>
+        <table style="width: 100%; border-collapse: collapse; margin: 16px 0; font-size: 14px;">
+          <tr><td style="padding: 6px 0; color: #6b7280;">Refund Reference</td><td style="padding: 6px 0; text-align: right;">${refund.razorpayRefundId || 'Pending'}</td></tr>
+          <tr><td style="padding: 6px 0; color: #6b7280;">Refund Amount</td><td style="padding: 6px 0; text-align: right;">${formatCurrency(refund.amount, order.currency)}</td></tr>
+          ${refund.reason ? `<tr><td style="padding: 6px 0; color: #6b7280;">Reason</td><td style="padding: 6px 0; text-align: right;">${refund.reason}</td></tr>` : ''}
+          <tr><td style="padding: 6px 0; color: #6b7280;">Order Total</td><td style="padding: 6px 0; text-align: right;">${formatCurrency(order.totalAmount, order.currency)}</td></tr>
+          <tr><td style="padding: 6px 0; color: #6b7280;">Total Refunded</td><td style="padding: 6px 0; text-align: right;">${formatCurrency(order.refundedAmount || 0, order.currency)}</td></tr>
+          ${remaining > 0 ? `<tr><td style="padding: 6px 0; color: #6b7280;">Amount Retained</td><td style="padding: 6px 0; text-align: right;">${formatCurrency(remaining, order.currency)}</td></tr>` : ''}
+        </table>
+        <p style="font-size: 14px; color: #4b5563;">
+          Refunds usually reflect in your account within 5-7 business days, depending on your bank.
+        </p>
+        <p style="font-size: 14px; color: #4b5563;">
+          For any questions, please contact us at contact@sbflorist.in or call 9949683222.
+        </p>
+        <p>Best regards,<br>Spring Blossoms Florist Team</p>
+      </div>
+    </div>
+  `;
+};
+
+// Send refund notification to the customer
+const sendRefundNotification = async (orderData) => {
+  try {
+    const { customer, order, refund } = orderData;
+
+    const { checkIsPlaceholderCustomer } = require('../utils/testCustomerHelper');
+    const check = checkIsPlaceholderCustomer(orderData);
+    if (check.isPlaceholder) {
+      console.log(`Customer notifications skipped:\nReason: ${check.reason}\nOrder: ${order?.orderNumber || 'Unknown'}\nEmail: ${customer?.email || 'N/A'}`);
+      return { success: true, message: 'Skipped refund email for placeholder customer.' };
+    }
+
+    if (!customer?.email) {
+      console.warn('⚠️ Skipping refund email: No customer email address provided');
+      return { success: false, error: 'No customer email address provided' };
+    }
+
+    const result = await sendEmail({
+      to: customer.email,
+      subject: `💸 Refund ${refund.status === 'processed' ? 'Processed' : 'Initiated'} for Order #${order.orderNumber} - Spring Blossoms Florist`,
+      html: generateRefundEmail(orderData),
+      type: 'refund_notification',
+      text: `Refund Update - Spring Blossoms Florist
+
+        Dear ${customer.name || 'Customer'},
+
+        A refund of ${formatCurrency(refund.amount, order.currency)} for your order #${order.orderNumber} has been ${refund.status === 'processed' ? 'processed' : 'initiated'}.
+        Refund Reference: ${refund.razorpayRefundId || 'Pending'}
+
+        Refunds usually reflect in your account within 5-7 business days, depending on your bank.
+
+        Best regards,
+        Spring Blossoms Florist Team`
+    });
+
+    if (result.success) {
+      console.log('✅ Refund email sent successfully to:', customer.email);
+    } else {
+      console.error('❌ Failed to send refund email:', result.error);
+    }
+
+    return result;
+  } catch (error) {
+    console.error('❌ Failed to send refund email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Link that lets a customer finish an abandoned payment through POST /api/orders/retry-payment.
+// PAYMENT_RETRY_URL may contain {orderNumber} and {token}.
+const getPaymentRetryUrl = (order) => {
+  const { createPaymentRetryToken } = require('./paymentRetryService');
+  const template = process.env.PAYMENT_RETRY_URL || `${getFrontendUrl()}/checkout?retryOrder={orderNumber}&token={token}`;
+  return template
+    .replace(/\{orderNumber\}/g, encodeURIComponent(order.orderNumber))
+    .replace(/\{token\}/g, encodeURIComponent(createPaymentRetryToken(order.orderNumber)));
+};
+
+// Remind the customer to complete a payment that never went through
+const sendPaymentReminder = async (orderData) => {
+  try {
+    const { customer, order } = orderData;
+
+    const { checkIsPlaceholderCustomer } = require('../utils/testCustomerHelper');
+    const check = checkIsPlaceholderCustomer(orderData);
+    if (check.isPlaceholder) {
+      console.log(`Customer notifications skipped:\nReason: ${check.reason}\nOrder: ${order?.orderNumber || 'Unknown'}\nEmail: ${customer?.email || 'N/A'}`);
+      return { success: true, message: 'Skipped payment reminder for placeholder customer.' };
+    }
+
+    if (!customer?.email) {
+      console.warn('⚠️ Skipping payment reminder: No customer email address provided');
+      return { success: false, error: 'No customer email address provided' };
+    }
+
+    const paymentUrl = getPaymentRetryUrl(order);
+    const html = `
+      <div style="font-family: 'Helvetica Neue', Helvetica, Arial, sans-serif; max-width: 600px; margin: 0 auto; color: #1f2937;">
+        <div style="background: linear-gradient(135deg, #f59e0b 0%, #d97706 100%); padding: 24px; border-radius: 12px 12px 0 0; text-align: center;">
+          <h1 style="color: #ffffff; margin: 0; font-size: 22px;">Your payment didn't go through</h1>
+        </div>
+        <div style="background: #ffffff; padding: 24px; border: 1px solid #e5e7eb; border-top: none; border-radius: 0 0 12px 12px;">
+          <p>Dear ${customer.name || 'Customer'},</p>
+          <p>
+            We couldn't confirm the payment of <strong>${formatCurrency(order.totalAmount, order.currency)}</strong>
+            for your order <strong>#${order.orderNumber}</strong>, so it has not been placed and no money has been taken.
+          </p>
+          <p>Your flowers are still waiting for you. You can complete your purchase here:</p>
+          <p style="text-align: center; margin: 24px 0;">
+            <a href="${paymentUrl}" style="display: inline-block; background-color: #0f8b69; color: #ffffff; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold; font-size: 14px;">Complete Your Payment</a>
+          </p>
+          <p style="font-size: 14px; color: #4b5563;">
+            If money was debited from your account, it will be refunded automatically by your bank within 5-7 business days.
+            For any questions, please contact us at contact@sbflorist.in or call 9949683222.
+          </p>
+          <p>Best regards,<br>Spring Blossoms Florist Team</p>
+        </div>
+      </div>
+    `;
+
+    const result = await sendEmail({
+      to: customer.email,
+      subject: `⏳ Complete your payment for Order #${order.orderNumber} - Spring Blossoms Florist`,
+      html,
+      type: 'payment_failure',
+      text: `Complete Your Payment - Spring Blossoms Florist
+
+        Dear ${customer.name || 'Customer'},
+
+        We couldn't confirm the payment of ${formatCurrency(order.totalAmount, order.currency)} for your order #${order.orderNumber}.
+        You can complete your purchase here: ${paymentUrl}
+
+        If money was debited from your account, it will be refunded automatically by your bank within 5-7 business days.
+
+        Best regards,
+        Spring Blossoms Florist Team`
+    });
+
+    if (result.success) {
+      console.log('✅ Payment reminder sent successfully to:', customer.email);
+    } else {
+      console.error('❌ Failed to send payment reminder:', result.error);
+    }
+
+    return result;
+  } catch (error) {
+    console.error('❌ Failed to send payment reminder:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Ask a subscriber to pay for an upcoming delivery that couldn't be charged automatically
+const sendSubscriptionPaymentReminder = async ({ customer, order, finalNotice = false }) => {
+  try {
+    if (!customer?.email) {
+      console.warn('⚠️ Skipping subscription payment reminder: No customer email address provided');
+      return { success: false, error: 'No customer email address provided' };
+    }
+
+    const paymentUrl = getPaymentRetryUrl(order);
+    const deliveryDate = order.shippingDetails?.deliveryDate
+      ? new Date(order.shippingDetails.deliveryDate).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' })
+      : 'your next delivery';
+    const intro = finalNotice
+      ? `We couldn't collect the payment for your subscription delivery on <strong>${deliveryDate}</strong>, so that delivery has been cancelled and your subscription is on hold.`
+      : `Your subscription delivery on <strong>${deliveryDate}</strong> (order <strong>#${order.orderNumber}</strong>) is waiting for a payment of <strong>${formatCurrency(order.totalAmount, order.currency)}</strong>.`;
+    const action = finalNotice
+      ? 'You can resume your subscription at any time from your account.'
+      : `<a href="${paymentUrl}" style="display: inline-block; background-color: #0f8b69; color: #ffffff; padding: 12px 24px; text-decoration: none; border-radius: 6px; font-weight: bold; font-size: 14px;">Pay for this delivery</a>`;
+
+    const html = `
+      <div style="font-family: 'Helvetica Neue', Helvetica, Arial, sans-serif; max-width: 600px; margin: 0 auto; color: #1f2937;">
+        <div style="background: linear-gradient(135deg, #f59e0b 0%, #d97706 100%); padding: 24px; border-radius: 12px 12px 0 0; text-align: center;">
+          <h1 style="color: #ffffff; margin: 0; font-size: 22px;">${finalNotice ? 'Your subscription is on hold' : 'Payment needed for your next delivery'}</h1>
+        </div>
+        <div style="background: #ffffff; padding: 24px; border: 1px solid #e5e7eb; border-top: none; border-radius: 0 0 12px 12px;">
+          <p>Dear ${customer.name || 'Customer'},</p>
+          <p>${intro}</p>
+          <p style="text-align: center; margin: 24px 0;">${action}</p>
+          <p style="font-size: 14px; color: #4b5563;">
+            For any questions, please contact us at contact@sbflorist.in or call 9949683222.
+          </p>
+          <p>Best regards,<br>Spring Blossoms Florist Team</p>
+        </div>
+      </div>
+    `;
+
+    const result = await sendEmail({
+      to: customer.email,
+      subject: finalNotice
+        ? '⏸️ Your flower subscription is on hold - Spring Blossoms Florist'
+        : `⏳ Payment needed for your delivery on ${deliveryDate} - Spring Blossoms Florist`,
+      html,
+      type: 'payment_failure',
+      text: `Spring Blossoms Florist
+
+        Dear ${customer.name || 'Customer'},
+
+        ${intro.replace(/<[^>]+>/g, '')}
+        ${finalNotice ? 'You can resume your subscription at any time from your account.' : `Pay for this delivery here: ${paymentUrl}`}
+
+        Best regards,
+        Spring Blossoms Florist Team`
+    });
+
+    if (!result.success) {
+      console.error('❌ Failed to send subscription payment reminder:', result.error);
+    }
+
+    return result;
+  } catch (error) {
+    console.error('❌ Failed to send subscription payment reminder:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 // Send email notification to both customer and admin
 const sendEmailNotification = async (orderData) => {
   const results = [];
@@ -1904,6 +2315,10 @@ module.exports = {
   formatDate,
   formatTime,
   sendDeliveryConfirmationWithInvoice,
+  sendRefundNotification,
+  sendPaymentReminder,
+  sendSubscriptionPaymentReminder,
+  generateCreditNoteHTML,
   generateInvoiceHTML,
   generateInvoicePDF
 };
@@ -0,0 +1,412 @@
+const moment = require('moment');
+const DeliveryAssignment = require('../models/DeliveryAssignment');
+const DeliverySetting = require('../models/DeliverySetting');
+const DeliveryZone = require('../models/DeliveryZone');
+const Settings = require('../models/settings');
+const currencyService = require('./currencyService');
+const deliveryNotificationService = require('./deliveryNotificationService');
+const deliveryService = require('./deliveryService');
+const orderPaymentService = require('./orderPaymentService');
+const orderPricingService = require('./orderPricingService');
+const razorpayService = require('./razorpayService');
+const slotCapacityService = require('./slotCapacityService');
+const { todayKey, toDayKey } = require('../utils/businessDay');
+const { roundAmount } = require('../utils/money');
+const { ServiceError } = require('../utils/serviceError');
+
+const FAIL_REASONS = ['customer_unavailable', 'rescheduled', 'returned_to_store', 'other'];
+// Failures the customer caused pay the redelivery fee; the rest are on us
+const CHARGEABLE_REASONS = ['customer_unavailable', 'rescheduled'];
+// The customer asked for another day over the phone, so there is nothing to photograph
+const REASONS_WITHOUT_PHOTO = ['rescheduled'];
+
+class FailedDeliveryError extends ServiceError {
+  constructor(message, statusCode = 400, code) {
+    super(message, statusCode, { code });
+  }
+}
+
+const isFailedDeliveryError = (error) => error instanceof FailedDeliveryError;
+
+/**
+ * Checks the partner's failure report before anything is saved.
+ *
+ * @param {Object} report
+ * @param {string} report.failReason One of DeliveryAssignment.failReason
+ * @param {string} [report.photoUrl] Photo of the door / parcel (required unless the customer rescheduled)
+ * @param {string} [report.notes] Required for 'other'
+ * @returns {{ reason: string, photoUrl: string|undefined, notes: string|undefined, latitude: number|undefined, longitude: number|undefined }}
+ * @throws {FailedDeliveryError}
+ */
+const validateFailureReport = ({ failReason, photoUrl, notes, latitude, longitude } = {}) => {
+  if (!FAIL_REASONS.includes(failReason)) {
+    throw new FailedDeliveryError(`failReason must be one of: ${FAIL_REASONS.join(', ')}`, 400, 'invalid_reason');
+  }
+
+  const trimmedNotes = typeof notes === 'string' ? notes.trim() : '';
+  if (!photoUrl && !REASONS_WITHOUT_PHOTO.includes(failReason)) {
+    throw new FailedDeliveryError('A photo is required to mark a delivery as failed', 400, 'evidence_required');
+  }
+  if (failReason === 'other' && !trimmedNotes) {
+    throw new FailedDeliveryError('Please describe what went wrong', 400, 'evidence_required');
+  }
+
+  return {
+    reason: failReason,
+    photoUrl: photoUrl || undefined,
+    notes: trimmedNotes || undefined,
+    latitude: Number.isFinite(Number(latitude)) && latitude !== null && latitude !== '' ? Number(latitude) : undefined,
+    longitude: Number.isFinite(Number(longitude)) && longitude !== null && longitude !== '' ? Number(longitude) : undefined
+  };
+};
+
+/**
+ * Records a failed attempt: stores the evidence on the assignment, returns the order to the
+ * pool awaiting a new date and works out the redelivery fee. The caller saves both documents.
+ *
+ * @param {Object} assignment
+ * @param {Object} order
+ * @param {Object} report Result of validateFailureReport
+ * @returns {Promise<Object>} The order's new failedDeliveries entry
+ */
+const recordFailedAttempt = async (assignment, order, report, { now = new Date() } = {}) => {
+  const config = await DeliverySetting.getSettings();
+  const baseFee = CHARGEABLE_REASONS.includes(report.reason) ? Math.max(0, config.redeliveryFee || 0) : 0;
+  // Fees are set in rupees but charged in the order's currency, at the rate it was placed at
+  const redeliveryFee = currencyService.convertFromBase(baseFee, currencyService.getOrderRateSnapshot(order));
+
+  assignment.failReason = report.reason;
+  assignment.failureEvidence = {
+    photoUrl: report.photoUrl,
+    notes: report.notes,
+    latitude: report.latitude,
+    longitude: report.longitude,
+    recordedAt: now
+  };
+
+  order.failedDeliveries.push({
+    assignmentId: assignment._id,
+    reason: report.reason,
+    notes: report.notes,
+    photoUrl: report.photoUrl,
+    failedAt: now,
+    redeliveryFee
+  });
+
+  order.status = 'received';
+  order.trackingHistory.push({
+    status: 'received',
+    message: `Delivery attempt failed (${report.reason.replace(/_/g, ' ')}). Waiting for the customer to choose a new delivery date.`,
+    timestamp: now
+  });
+
+  return order.failedDeliveries[order.failedDeliveries.length - 1];
+};
+
+/**
+ * The latest failed attempt if the customer still has to choose a new date for it.
+ */
+const getPendingFailure = (order) => {
+  const latest = order.failedDeliveries?.[order.failedDeliveries.length - 1];
+  if (!latest || latest.rescheduledAt || order.status !== 'received') {
+    return null;
+  }
+  return latest;
+};
+
+const requirePendingFailure = (order) => {
+  const failure = getPendingFailure(order);
+  if (!failure) {
+    throw new FailedDeliveryError('This order has no failed delivery waiting to be rescheduled', 409, 'nothing_to_reschedule');
+  }
+  return failure;
+};
+
+// Enabled time slots, limited to the ones the order's delivery zone allows
+const getAvailableTimeSlots = async (order) => {
+  const settings = await Settings.findOne();
+  const timeSlots = (settings?.deliverySettings?.timeSlots || []).filter((slot) => slot.enabled);
+  const zone = order.deliveryZone ? await DeliveryZone.findById(order.deliveryZone).select('allowedTimeSlots') : null;
+  const allowed = zone?.allowedTimeSlots || [];
+
+  return timeSlots
+    .filter((slot) => allowed.length === 0 || allowed.includes(slot.time))
+    .map((slot) => ({ time: slot.time, label: slot.label, extraCharge: slot.extraCharge || 0 }));
+};
+
+// A pricier slot than the one originally paid for costs the difference, in the order's currency
+const getSlotUpgradeCharge = (order, slot, timeSlots) => {
+  const original = timeSlots.find((candidate) => candidate.time === order.shippingDetails?.timeSlot);
+  const charge = Math.max(0, (slot.extraCharge || 0) - (original?.extraCharge || 0));
+  return currencyService.convertFromBase(charge, currencyService.getOrderRateSnapshot(order));
+};
+
+/**
+ * Dates (with their time slots) the customer can move a failed delivery to: from today up to
+ * rescheduleWindowDays ahead, skipping holidays and today once the same-day cutoff has passed.
+ * Slots that are fully booked come back with `available: false`.
+ *
+ * @returns {Promise<{ orderNumber: string, failReason: string, redeliveryFee: number, dates: Array<{ date: string, label: string, timeSlots: Array }> }>}
+ * @throws {FailedDeliveryError} When the order isn't waiting to be rescheduled
+ */
+const getRescheduleOptions = async (order, { now = new Date() } = {}) => {
+  const failure = requirePendingFailure(order);
+  const config = await DeliverySetting.getSettings();
+  const timeSlots = await getAvailableTimeSlots(order);
+  const windowDays = Math.max(1, config.rescheduleWindowDays || 7);
+
+  const first = moment.utc(todayKey(now), 'YYYY-MM-DD');
+  const availability = await slotCapacityService.getSlotAvailability({
+    from: first.format('YYYY-MM-DD'),
+    to: first.clone().add(windowDays, 'day').format('YYYY-MM-DD'),
+    zone: order.deliveryZone ? { _id: order.deliveryZone } : null,
+  });
+  const isSlotOpen = (date, time) => availability
+    .find((day) => day.date === date)?.slots
+    .find((slot) => slot.time === time)?.available !== false;
+
+  const dates = [];
+  for (let offset = 0; offset <= windowDays; offset += 1) {
+    const day = first.clone().add(offset, 'day');
+    try {
+      await orderPricingService.validateDeliveryDate(day.toDate(), { now });
+    } catch (error) {
+      if (orderPricingService.isOrderPricingError(error)) continue;
+      throw error;
+    }
+    dates.push({
+      date: day.format('YYYY-MM-DD'),
+      label: day.format('ddd, D MMM'),
+      timeSlots: timeSlots.map((slot) => ({
+        ...slot,
+        fee: roundAmount(failure.redeliveryFee + getSlotUpgradeCharge(order, slot, timeSlots)),
+        available: isSlotOpen(day.format('YYYY-MM-DD'), slot.time)
+      }))
+    });
+  }
+
+  return {
+    orderNumber: order.orderNumber,
+    failReason: failure.reason,
+    redeliveryFee: failure.redeliveryFee,
+    dates
+  };
+};
+
+// Puts the order back into assignment for its new date, with any fee added to the bill
+const applyReschedule = async (order, failure, { by, now }) => {
+  const deliveryDate = failure.rescheduledFor;
+  const fee = failure.feeStatus === 'waived' ? 0 : failure.feeCharged;
+
+  // Availability was checked before any fee was paid, so the booking moves even if the slot filled since
+  await slotCapacityService.moveOrderSlot(order, {
+    deliveryDate,
+    timeSlot: failure.rescheduledTimeSlot,
+    zoneId: order.deliveryZone,
+  }, { overbook: true });
+  order.set('shippingDetails.deliveryDate', deliveryDate);
+  order.set('shippingDetails.timeSlot', failure.rescheduledTimeSlot);
+  failure.rescheduledAt = now;
+  failure.rescheduledBy = by;
+
+  if (fee > 0) {
+    order.deliveryCharge = roundAmount((order.deliveryCharge || 0) + fee);
+    order.deliveryChargeBreakdown.push({ component: 'redelivery', label: 'Redelivery', amount: fee });
+    const previousTotal = order.totalAmount || 0;
+    order.totalAmount = roundAmount(previousTotal + fee);
+    order.finalTotal = roundAmount((order.finalTotal ?? previousTotal) + fee);
+  }
+
+  const feeNote = {
+    paid: ` Redelivery fee ${currencyService.formatCurrency(fee, order.currency)} paid.`,
+    collect_on_delivery: ` Redelivery fee ${currencyService.formatCurrency(fee, order.currency)} to be collected on delivery.`,
+    waived: ' Redelivery fee waived.'
+  }[failure.feeStatus] || '';
+  order.trackingHistory.push({
+    status: order.status,
+    message: `Delivery rescheduled by the ${by} to ${toDayKey(deliveryDate)} (${failure.rescheduledTimeSlot}).${feeNote}`,
+    timestamp: now
+  });
+
+  await order.save();
+
+  await deliveryNotificationService.sendDeliveryNotification('rescheduled', null, order);
+
+  // Same-day redeliveries go straight back to the partners; later dates are assigned on the day
+  if (toDayKey(deliveryDate) === todayKey(now)) {
+    await deliveryService.assignOrderAutomatically(order._id);
+  }
+
+  return order;
+};
+
+/**
+ * Moves a failed delivery to a new date and slot. When there is a fee on an order paid online
+ * a Razorpay order is returned and the reschedule completes once confirmRedeliveryPayment is
+ * called; cash orders add the fee to what is collected on delivery.
+ *
+ * @param {Object} order
+ * @param {Object} choice
+ * @param {string} choice.deliveryDate YYYY-MM-DD
+ * @param {string} choice.timeSlot
+ * @param {Object} [options]
+ * @param {'customer'|'admin'} [options.by='customer']
+ * @param {boolean} [options.waiveFee] Admins only
+ * @returns {Promise<{ status: 'rescheduled', order: Object }|{ status: 'payment_required', order: Object, razorpayOrder: Object, amount: number }>}
+ * @throws {FailedDeliveryError}
+ */
+const rescheduleFailedDelivery = async (order, { deliveryDate, timeSlot } = {}, { by = 'customer', waiveFee = false, now = new Date() } = {}) => {
+  const failure = requirePendingFailure(order);
+
+  if (typeof deliveryDate !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(deliveryDate) || !moment.utc(deliveryDate, 'YYYY-MM-DD', true).isValid()) {
+    throw new FailedDeliveryError('deliveryDate must be a date in YYYY-MM-DD format', 400, 'invalid_date');
+  }
+
+  const config = await DeliverySetting.getSettings();
+  const windowDays = Math.max(1, config.rescheduleWindowDays || 7);
+  const lastDay = moment.utc(todayKey(now), 'YYYY-MM-DD').add(windowDays, 'day').format('YYYY-MM-DD');
+  if (deliveryDate > lastDay) {
+    throw new FailedDeliveryError(`Deliveries can be rescheduled up to ${windowDays} days ahead`, 400, 'invalid_date');
+  }
+
+  const day = moment.utc(deliveryDate, 'YYYY-MM-DD').toDate();
+  try {
+    await orderPricingService.validateDeliveryDate(day, { now });
+  } catch (error) {
+    if (orderPricingService.isOrderPricingError(error)) {
+      throw new FailedDeliveryError(error.message, 400, 'invalid_date');
+    }
+    throw error;
+  }
+
+  const timeSlots = await getAvailableTimeSlots(order);
+  const slot = timeSlots.find((candidate) => candidate.time === timeSlot);
+  if (!slot) {
+    throw new FailedDeliveryError(`Choose one of: ${timeSlots.map((candidate) => candidate.label || candidate.time).join(', ')}`, 400, 'time_slot_unavailable');
+  }
+
+  // Admins may knowingly put a redelivery into a full slot
+  if (by === 'customer') {
+    try {
+      await slotCapacityService.assertSlotAvailable(
+        { deliveryDate: day, timeSlot: slot.time, zoneId: order.deliveryZone },
+        { currentCapIds: order.slotCapacityIds || [] }
+      );
+    } catch (error) {
+      if (slotCapacityService.isSlotCapacityError(error)) {
+        throw new FailedDeliveryError(error.message, 409, error.code);
+      }
+      throw error;
+    }
+  }
+
+  const fee = roundAmount(failure.redeliveryFee + getSlotUpgradeCharge(order, slot, timeSlots));
+  failure.feeCharged = fee;
+  failure.rescheduledFor = day;
+  failure.rescheduledTimeSlot = slot.time;
+
+  if (waiveFee || fee === 0) {
+    failure.feeStatus = waiveFee && fee > 0 ? 'waived' : 'none';
+    return { status: 'rescheduled', order: await applyReschedule(order, failure, { by, now }) };
+  }
+
+  if (!orderPaymentService.isOrderPaidOnline(order)) {
+    failure.feeStatus = 'collect_on_delivery';
+    return { status: 'rescheduled', order: await applyReschedule(order, failure, { by, now }) };
+  }
+
+  const razorpayOrder = await razorpayService.createOrder(Math.round(fee * 100), order.currency || 'INR');
+  failure.feeStatus = 'pending';
+  failure.razorpayOrderId = razorpayOrder.id;
+  await order.save();
+
+  return { status: 'payment_required', order, razorpayOrder, amount: fee };
+};
+
+/**
+ * Completes a reschedule once the customer has paid the redelivery fee.
+ *
+ * @throws {FailedDeliveryError} When the payment doesn't match the pending fee
+ */
+const confirmRedeliveryPayment = async (order, { razorpayOrderId, razorpayPaymentId, razorpaySignature } = {}, { now = new Date() } = {}) => {
+  const failure = requirePendingFailure(order);
+  if (failure.feeStatus !== 'pending' || failure.razorpayOrderId !== razorpayOrderId) {
+    throw new FailedDeliveryError('No redelivery payment is pending for this order', 409, 'no_pending_payment');
+  }
+  if (!razorpayService.verifyPayment(razorpayOrderId, razorpayPaymentId, razorpaySignature)) {
+    throw new FailedDeliveryError('Payment verification failed', 400, 'payment_verification_failed');
+  }
+
+  failure.feeStatus = 'paid';
+  failure.razorpayPaymentId = razorpayPaymentId;
+  order.amountPaid = roundAmount((order.amountPaid ?? order.totalAmount ?? 0) + failure.feeCharged);
+
+  return applyReschedule(order, failure, { by: 'customer', now });
+};
+
+/**
+ * First-attempt success across orders that had a delivery attempt in the period: delivered
+ * on the first try, delivered after one or more failures, or not delivered yet, plus the
+ * reasons partners gave for failures.
+ *
+ * @param {Object} [range]
+ * @param {Date} [range.from]
+ * @param {Date} [range.to]
+ */
+const getAttemptAnalytics = async ({ from, to } = {}) => {
+  const match = { status: { $in: ['delivered', 'failed_delivery'] } };
+  if (from || to) {
+    match.updatedAt = {};
+    if (from) match.updatedAt.$gte = from;
+    if (to) match.updatedAt.$lte = to;
+  }
+
+  const [perOrder] = await DeliveryAssignment.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$orderId',
+        delivered: { $max: { $cond: [{ $eq: ['$status', 'delivered'] }, 1, 0] } },
+        failures: { $sum: { $cond: [{ $eq: ['$status', 'failed_delivery'] }, 1, 0] } }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        attemptedOrders: { $sum: 1 },
+        firstAttempt: { $sum: { $cond: [{ $and: [{ $eq: ['$delivered', 1] }, { $eq: ['$failures', 0] }] }, 1, 0] } },
+        redelivered: { $sum: { $cond: [{ $and: [{ $eq: ['$delivered', 1] }, { $gt: ['$failures', 0] }] }, 1, 0] } },
+        failedAttempts: { $sum: '$failures' }
+      }
+    }
+  ]);
+
+  const reasons = await DeliveryAssignment.aggregate([
+    { $match: { ...match, status: 'failed_delivery' } },
+    { $group: { _id: { $ifNull: ['$failReason', 'other'] }, count: { $sum: 1 } } },
+    { $sort: { count: -1 } }
+  ]);
+
+  const attemptedOrders = perOrder?.attemptedOrders || 0;
+  return {
+    attemptedOrders,
+    firstAttemptDeliveries: perOrder?.firstAttempt || 0,
+    redeliveredOrders: perOrder?.redelivered || 0,
+    failedAttempts: perOrder?.failedAttempts || 0,
+    firstAttemptSuccessRate: attemptedOrders ? Math.round(((perOrder.firstAttempt || 0) / attemptedOrders) * 100) : 100,
+    failureReasons: reasons.map((entry) => ({ reason: entry._id, count: entry.count }))
+  };
+};
+
+module.exports = {
+  FAIL_REASONS,
+  FailedDeliveryError,
+  confirmRedeliveryPayment,
+  getAttemptAnalytics,
+  getPendingFailure,
+  getRescheduleOptions,
+  isFailedDeliveryError,
+  recordFailedAttempt,
+  rescheduleFailedDelivery,
+  validateFailureReport,
+};
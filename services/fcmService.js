@@ -1,4 +1,5 @@
 const admin = require('firebase-admin');
+const { formatCurrency } = require('./currencyService');
 
 // Initialize Firebase Admin SDK
 let firebaseInitialized = false;
@@ -322,7 +323,7 @@ const sendOrderNotificationToAdmins = async (orderData) => {
     // Prepare notification payload
     const notification = {
       title: '🎉 New Order Received!',
-      body: `Order #${orderData.orderNumber} - ₹${orderData.totalAmount || 0}`
+      body: `Order #${orderData.orderNumber} - ${formatCurrency(orderData.totalAmount, orderData.currency)}`
     };
 
     // Prepare data payload for deep linking (matches app's expected format)
@@ -0,0 +1,417 @@
+const moment = require('moment');
+const AddonProduct = require('../models/AddonProduct');
+const Product = require('../models/Product');
+const Settings = require('../models/settings');
+const { BUSINESS_UTC_OFFSET } = require('../utils/businessDay');
+const { roundAmount } = require('../utils/money');
+const { ServiceError } = require('../utils/serviceError');
+
+const GST_RATES = [0, 0.25, 3, 5, 12, 18, 28];
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+// Short enough that PREFIX/26-27/00001 stays within the 16 characters GST allows a document number
+const PREFIX_PATTERN = /^[A-Z0-9-]{1,5}$/;
+
+// Mirrors the taxSettings defaults in models/settings.js for installs without a settings document
+const DEFAULT_TAX_SETTINGS = {
+  legalName: 'Spring Blossoms Florist',
+  gstin: '',
+  address: 'Door No. 12-2-786/A & B, Najam Centre, Pillar No. 32, Rethi Bowli, Mehdipatnam, Hyderabad, Telangana 500028',
+  stateCode: '36',
+  pricesIncludeTax: true,
+  defaultHsnCode: '0603',
+  defaultGstRate: 5,
+  deliverySacCode: '996812',
+  deliveryGstRate: 5,
+  invoicePrefix: 'SBF',
+  creditNotePrefix: 'CN',
+};
+
+const STATE_CODES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh',
+};
+
+// Older names and spellings customers still type
+const STATE_ALIASES = {
+  orissa: '21',
+  pondicherry: '34',
+  newdelhi: '07',
+  nctofdelhi: '07',
+  uttaranchal: '05',
+  damananddiu: '26',
+  dadraandnagarhaveli: '26',
+  andamanandnicobar: '35',
+  jk: '01',
+};
+
+class GstError extends ServiceError {}
+
+const isGstError = (error) => error instanceof GstError;
+
+const normalizeStateName = (value) => String(value || '').toLowerCase().replace(/&/g, 'and').replace(/[^a-z]/g, '');
+
+const STATE_LOOKUP = Object.entries(STATE_CODES).reduce((lookup, [code, name]) => {
+  lookup[normalizeStateName(name)] = code;
+  return lookup;
+}, { ...STATE_ALIASES });
+
+/**
+ * Resolves a state name ("Telangana", "Orissa") or GST state code ("36") to
+ * { stateCode, stateName }, or null when it isn't an Indian state or union territory.
+ */
+const resolveState = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const trimmed = String(value).trim();
+  const code = /^\d{1,2}$/.test(trimmed) ? trimmed.padStart(2, '0') : STATE_LOOKUP[normalizeStateName(trimmed)];
+  return code && STATE_CODES[code] ? { stateCode: code, stateName: STATE_CODES[code] } : null;
+};
+
+/**
+ * Place of supply for an order: the state it is delivered to (the gift recipient's, when
+ * there is one). Falls back to the seller's state when the address has no recognisable state.
+ */
+const getPlaceOfSupply = (order, sellerStateCode) => resolveState(order.giftDetails?.recipientState)
+  || resolveState(order.shippingDetails?.state)
+  || resolveState(sellerStateCode)
+  || { stateCode: sellerStateCode, stateName: '' };
+
+/**
+ * Indian financial year (April to March, IST) a date falls in, e.g. '2026-27'.
+ */
+const getFinancialYear = (date = new Date()) => {
+  const day = moment(date).utcOffset(BUSINESS_UTC_OFFSET);
+  const startYear = day.month() >= 3 ? day.year() : day.year() - 1;
+  return `${startYear}-${String(startYear + 1).slice(-2)}`;
+};
+
+const toPlainObject = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+
+/**
+ * Seller details and GST defaults, with the schema defaults filled in.
+ */
+const getTaxSettings = async () => {
+  const settings = await Settings.findOne();
+  const stored = toPlainObject(settings?.taxSettings) || {};
+  const merged = { ...DEFAULT_TAX_SETTINGS };
+
+  Object.keys(DEFAULT_TAX_SETTINGS).forEach((key) => {
+    if (stored[key] !== undefined && stored[key] !== null) {
+      merged[key] = stored[key];
+    }
+  });
+
+  return merged;
+};
+
+const validateRate = (value, field) => {
+  const rate = Number(value);
+  if (value === '' || !GST_RATES.includes(rate)) {
+    throw new GstError(`${field} must be one of ${GST_RATES.join(', ')}`);
+  }
+  return rate;
+};
+
+/**
+ * Checks tax setting changes and returns them normalised. The GSTIN has to belong to the
+ * state the business is registered in, since that decides CGST/SGST versus IGST.
+ */
+const validateTaxSettings = (updates = {}, current = DEFAULT_TAX_SETTINGS) => {
+  const fields = {};
+
+  ['legalName', 'address'].forEach((field) => {
+    if (updates[field] !== undefined) {
+      fields[field] = String(updates[field]).trim();
+      if (field === 'legalName' && !fields[field]) {
+        throw new GstError('legalName is required');
+      }
+    }
+  });
+
+  if (updates.stateCode !== undefined) {
+    const state = resolveState(updates.stateCode);
+    if (!state) {
+      throw new GstError('stateCode must be a GST state code or state name');
+    }
+    fields.stateCode = state.stateCode;
+  }
+
+  if (updates.gstin !== undefined) {
+    fields.gstin = String(updates.gstin || '').trim().toUpperCase();
+    if (fields.gstin && !GSTIN_PATTERN.test(fields.gstin)) {
+      throw new GstError('gstin is not a valid GSTIN');
+    }
+  }
+
+  const gstin = fields.gstin ?? current.gstin;
+  const stateCode = fields.stateCode ?? current.stateCode;
+  if (gstin && gstin.slice(0, 2) !== stateCode) {
+    throw new GstError(`GSTIN ${gstin} is registered in state ${gstin.slice(0, 2)}, not ${stateCode}`);
+  }
+
+  if (updates.pricesIncludeTax !== undefined) {
+    if (typeof updates.pricesIncludeTax !== 'boolean') {
+      throw new GstError('pricesIncludeTax must be true or false');
+    }
+    fields.pricesIncludeTax = updates.pricesIncludeTax;
+  }
+
+  ['defaultGstRate', 'deliveryGstRate'].forEach((field) => {
+    if (updates[field] !== undefined) {
+      fields[field] = validateRate(updates[field], field);
+    }
+  });
+
+  ['defaultHsnCode', 'deliverySacCode'].forEach((field) => {
+    if (updates[field] !== undefined) {
+      fields[field] = String(updates[field]).trim();
+      if (!/^\d{4,8}$/.test(fields[field])) {
+        throw new GstError(`${field} must be a 4 to 8 digit HSN/SAC code`);
+      }
+    }
+  });
+
+  ['invoicePrefix', 'creditNotePrefix'].forEach((field) => {
+    if (updates[field] !== undefined) {
+      fields[field] = String(updates[field]).trim().toUpperCase();
+      if (!PREFIX_PATTERN.test(fields[field])) {
+        throw new GstError(`${field} must be 1 to 5 letters, digits or hyphens`);
+      }
+    }
+  });
+
+  const invoicePrefix = fields.invoicePrefix ?? current.invoicePrefix;
+  const creditNotePrefix = fields.creditNotePrefix ?? current.creditNotePrefix;
+  if (invoicePrefix === creditNotePrefix) {
+    throw new GstError('Invoices and credit notes need different prefixes');
+  }
+
+  return fields;
+};
+
+const updateTaxSettings = async (updates) => {
+  let settings = await Settings.findOne();
+  if (!settings) {
+    settings = new Settings();
+  }
+
+  const current = await getTaxSettings();
+  const fields = validateTaxSettings(updates, current);
+  settings.taxSettings = { ...current, ...fields };
+  await settings.save();
+
+  return { ...current, ...fields };
+};
+
+/**
+ * GST on one amount, worked in paise so CGST + SGST always add up to the tax. Tax-inclusive
+ * amounts already contain the GST; exclusive amounts are the taxable value and GST is added.
+ */
+const calculateLineTax = ({ amount, gstRate, pricesIncludeTax, interState }) => {
+  const gross = Math.round(amount * 100);
+  const taxable = pricesIncludeTax ? Math.round((gross * 100) / (100 + gstRate)) : gross;
+  const tax = pricesIncludeTax ? gross - taxable : Math.round((taxable * gstRate) / 100);
+  const cgst = interState ? 0 : Math.round(tax / 2);
+
+  return {
+    taxableValue: taxable / 100,
+    cgst: cgst / 100,
+    sgst: interState ? 0 : (tax - cgst) / 100,
+    igst: interState ? tax / 100 : 0,
+    total: (taxable + tax) / 100,
+  };
+};
+
+/**
+ * Splits an order-level discount across lines in proportion to their amounts; the last line
+ * takes the rounding remainder.
+ */
+const allocateDiscount = (amounts, discount) => {
+  const gross = amounts.reduce((sum, amount) => sum + Math.round(amount * 100), 0);
+  const total = Math.min(Math.round((discount || 0) * 100), gross);
+  if (total <= 0 || gross <= 0) {
+    return amounts.map(() => 0);
+  }
+
+  let allocated = 0;
+  return amounts.map((amount, index) => {
+    if (index === amounts.length - 1) {
+      return (total - allocated) / 100;
+    }
+    const share = Math.floor((Math.round(amount * 100) * total) / gross);
+    allocated += share;
+    return share / 100;
+  });
+};
+
+const getProductId = (item) => String(item.product?._id || item.product || item.productId || '');
+
+/**
+ * HSN code and GST rate of each ordered product, keyed by product id.
+ */
+const loadTaxClasses = async (items = []) => {
+  const idsByModel = { Product: [], AddonProduct: [] };
+  items.forEach((item) => {
+    const id = getProductId(item);
+    if (id) {
+      idsByModel[item.productModel === 'AddonProduct' ? 'AddonProduct' : 'Product'].push(id);
+    }
+  });
+
+  const [products, addons] = await Promise.all([
+    idsByModel.Product.length ? Product.find({ _id: { $in: idsByModel.Product } }, 'hsnCode gstRate') : [],
+    idsByModel.AddonProduct.length ? AddonProduct.find({ _id: { $in: idsByModel.AddonProduct } }, 'hsnCode gstRate') : [],
+  ]);
+
+  return new Map([...products, ...addons].map((product) => [String(product._id), product]));
+};
+
+const sumLines = (lines, field) => roundAmount(lines.reduce((sum, line) => sum + line[field], 0));
+
+/**
+ * Works out the GST for an order: one line per item plus one for delivery, with the
+ * discount spread across them before tax. Product rates and HSN codes come from the
+ * catalogue; products without their own use the defaults in the tax settings.
+ *
+ * @param {Object} order Needs items, deliveryCharge, discount and the shipping/gift state
+ * @param {Object} [options]
+ * @param {Object} [options.settings] Tax settings, loaded when omitted
+ * @param {boolean} [options.pricesIncludeTax] Defaults to the tax settings
+ * @param {Map} [options.classes] Product tax classes by id, loaded when omitted
+ * @returns {Promise<Object>} Seller, place of supply, lines and totals in the invoice's shape
+ */
+const calculateOrderTax = async (order, { settings, pricesIncludeTax, classes } = {}) => {
+  const taxSettings = settings || await getTaxSettings();
+  const includeTax = pricesIncludeTax ?? taxSettings.pricesIncludeTax;
+  const placeOfSupply = getPlaceOfSupply(order, taxSettings.stateCode);
+  const interState = placeOfSupply.stateCode !== taxSettings.stateCode;
+  const taxClasses = classes || await loadTaxClasses(order.items);
+
+  const lines = (order.items || []).map((item) => {
+    const taxClass = taxClasses.get(getProductId(item)) || {};
+    return {
+      description: item.title || item.product?.title || item.product?.name || 'Item',
+      hsnCode: taxClass.hsnCode || taxSettings.defaultHsnCode,
+      quantity: item.quantity,
+      gstRate: taxClass.gstRate ?? taxSettings.defaultGstRate,
+      amount: roundAmount((item.finalPrice || item.price) * item.quantity),
+    };
+  });
+
+  if (order.deliveryCharge > 0) {
+    lines.push({
+      description: 'Delivery charges',
+      hsnCode: taxSettings.deliverySacCode,
+      quantity: 1,
+      gstRate: taxSettings.deliveryGstRate,
+      amount: roundAmount(order.deliveryCharge),
+    });
+  }
+
+  const discounts = allocateDiscount(lines.map((line) => line.amount), order.discount);
+  const taxedLines = lines.map((line, index) => ({
+    ...line,
+    discount: discounts[index],
+    ...calculateLineTax({
+      amount: line.amount - discounts[index],
+      gstRate: line.gstRate,
+      pricesIncludeTax: includeTax,
+      interState,
+    }),
+  }));
+
+  const cgst = sumLines(taxedLines, 'cgst');
+  const sgst = sumLines(taxedLines, 'sgst');
+  const igst = sumLines(taxedLines, 'igst');
+
+  return {
+    sellerName: taxSettings.legalName,
+    sellerAddress: taxSettings.address,
+    sellerGstin: taxSettings.gstin,
+    sellerStateCode: taxSettings.stateCode,
+    placeOfSupply,
+    supplyType: interState ? 'inter_state' : 'intra_state',
+    pricesIncludeTax: includeTax,
+    currency: order.currency || 'INR',
+    lines: taxedLines,
+    taxableValue: sumLines(taxedLines, 'taxableValue'),
+    cgst,
+    sgst,
+    igst,
+    totalTax: roundAmount(cgst + sgst + igst),
+    total: sumLines(taxedLines, 'total'),
+  };
+};
+
+/**
+ * GST to add to a checkout total. Zero while prices include GST, which is the default.
+ *
+ * @param {Object} params
+ * @param {Array} params.items
+ * @param {number} params.deliveryCharge
+ * @param {number} [params.discount]
+ * @param {Object} [params.shippingDetails]
+ * @param {Object} [params.giftDetails]
+ * @returns {Promise<number>}
+ */
+const calculateCheckoutTax = async ({ items, deliveryCharge, discount = 0, shippingDetails, giftDetails }) => {
+  const settings = await getTaxSettings();
+  if (settings.pricesIncludeTax) {
+    return 0;
+  }
+
+  const tax = await calculateOrderTax({ items, deliveryCharge, discount, shippingDetails, giftDetails }, { settings });
+  return tax.totalTax;
+};
+
+module.exports = {
+  GST_RATES,
+  GstError,
+  allocateDiscount,
+  calculateCheckoutTax,
+  calculateLineTax,
+  calculateOrderTax,
+  getFinancialYear,
+  getPlaceOfSupply,
+  getTaxSettings,
+  isGstError,
+  resolveState,
+  updateTaxSettings,
+  validateTaxSettings,
+};
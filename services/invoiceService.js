@@ -0,0 +1,249 @@
+const Counter = require('../models/Counter');
+const Order = require('../models/Order');
+const gstService = require('./gstService');
+const { roundAmount } = require('../utils/money');
+const { ServiceError } = require('../utils/serviceError');
+
+// A lock older than this belongs to a request that died; the next request may take over
+const LOCK_TIMEOUT_MS = 2 * 60 * 1000;
+const SEQUENCE_PADDING = 5;
+
+class InvoiceError extends ServiceError {}
+
+const isInvoiceError = (error) => error instanceof InvoiceError;
+
+/**
+ * Invoice and credit note numbers, e.g. SBF/26-27/00042. GST requires each series to run
+ * without gaps within a financial year, so every document type and year has its own counter.
+ */
+const formatDocumentNumber = (prefix, financialYear, sequence) => `${prefix}/${financialYear.slice(2)}/${String(sequence).padStart(SEQUENCE_PADDING, '0')}`;
+
+const getCounterKey = (type, financialYear) => `${type}:${financialYear}`;
+
+/**
+ * Takes the order's document lock. Numbers are only drawn while holding it, so two requests
+ * can't both draw a number for the same document and leave a gap when one of them loses.
+ */
+const acquireLock = async (orderId) => {
+  const now = new Date();
+  const result = await Order.updateOne(
+    {
+      _id: orderId,
+      $or: [{ 'invoice.lockedAt': null }, { 'invoice.lockedAt': { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }],
+    },
+    { $set: { 'invoice.lockedAt': now } }
+  );
+  return result.modifiedCount > 0;
+};
+
+const releaseLock = (orderId) => Order.updateOne({ _id: orderId }, { $unset: { 'invoice.lockedAt': 1 } });
+
+const withLock = async (orderId, work) => {
+  if (!(await acquireLock(orderId))) {
+    throw new InvoiceError('Another invoice document is being issued for this order, please try again in a moment', 409);
+  }
+
+  try {
+    return await work();
+  } catch (error) {
+    await releaseLock(orderId);
+    throw error;
+  }
+};
+
+// Why an order can't be invoiced yet, or null when it can
+const getUninvoiceableReason = (order) => {
+  if (order.isTestOrder) {
+    return 'Test orders are not invoiced';
+  }
+  if (order.status === 'cancelled') {
+    return 'Cancelled orders are not invoiced';
+  }
+  if (order.paymentDetails?.method === 'razorpay' && order.paymentDetails.status && order.paymentDetails.status !== 'paid') {
+    return 'The invoice is issued once the payment has been received';
+  }
+  return null;
+};
+
+/**
+ * Issues the GST invoice for an order, or returns the one already issued. Tax is worked out
+ * from the catalogue rates at the time of issue, in the pricing mode the order was charged
+ * in (GST added on top when it has a taxAmount, otherwise included in the prices).
+ *
+ * The number is drawn after the lock is taken and saved straight away; a crash between the
+ * two is the only way to skip a number.
+ *
+ * @param {string} orderId
+ * @returns {Promise<Object>} The invoice
+ */
+const issueInvoice = async (orderId) => {
+  const order = await Order.findById(orderId);
+  if (!order) {
+    throw new InvoiceError('Order not found', 404);
+  }
+  if (order.invoice?.number) {
+    return order.invoice;
+  }
+  const reason = getUninvoiceableReason(order);
+  if (reason) {
+    throw new InvoiceError(reason, 409);
+  }
+
+  return withLock(order._id, async () => {
+    // Another request may have issued it between the read and the lock
+    const current = await Order.findById(order._id);
+    if (current.invoice?.number) {
+      await releaseLock(order._id);
+      return current.invoice;
+    }
+
+    const settings = await gstService.getTaxSettings();
+    const tax = await gstService.calculateOrderTax(current, { settings, pricesIncludeTax: !(current.taxAmount > 0) });
+
+    const issuedAt = new Date();
+    const financialYear = gstService.getFinancialYear(issuedAt);
+    const sequence = await Counter.next(getCounterKey('invoice', financialYear));
+    const invoice = {
+      number: formatDocumentNumber(settings.invoicePrefix, financialYear, sequence),
+      sequence,
+      financialYear,
+      issuedAt,
+      ...tax,
+    };
+
+    // Replacing the whole sub-document also clears the lock
+    await Order.updateOne({ _id: order._id }, { $set: { invoice } });
+    console.log(`🧾 Invoice ${invoice.number} issued for order ${current.orderNumber}`);
+
+    return invoice;
+  });
+};
+
+/**
+ * Makes sure an order document has its invoice, issuing it if needed, and attaches it to
+ * the document so templates can render it. Returns null for orders that can't be invoiced
+ * (test, cancelled or unpaid), which templates render as a receipt instead.
+ */
+const ensureInvoice = async (order) => {
+  if (order.invoice?.number) {
+    return order.invoice;
+  }
+  if (getUninvoiceableReason(order)) {
+    return null;
+  }
+
+  order.invoice = await issueInvoice(order._id);
+  return order.invoice;
+};
+
+const sumNotes = (notes, field) => roundAmount(notes.reduce((sum, note) => sum + (note[field] || 0), 0));
+
+/**
+ * Invoice value (tax inclusive) not yet covered by credit notes.
+ */
+const getCreditableAmount = (order) => {
+  if (!order.invoice?.number) {
+    return 0;
+  }
+  return roundAmount(Math.max(0, order.invoice.total - sumNotes(order.creditNotes || [], 'total')));
+};
+
+/**
+ * Splits a credit amount into taxable value and tax in the invoice's proportions. The note
+ * that credits the rest of the invoice takes exactly what is left, so the notes on a fully
+ * credited invoice add up to it to the paisa.
+ */
+const splitCreditAmount = (invoice, creditNotes, total, isFinal) => {
+  const interState = invoice.supplyType === 'inter_state';
+  const taxableValue = isFinal
+    ? roundAmount(invoice.taxableValue - sumNotes(creditNotes, 'taxableValue'))
+    : roundAmount((invoice.taxableValue * total) / invoice.total);
+  const totalTax = roundAmount(total - taxableValue);
+
+  let cgst = 0;
+  if (!interState) {
+    cgst = isFinal ? roundAmount(invoice.cgst - sumNotes(creditNotes, 'cgst')) : roundAmount(totalTax / 2);
+  }
+
+  return {
+    taxableValue,
+    cgst,
+    sgst: interState ? 0 : roundAmount(totalTax - cgst),
+    igst: interState ? totalTax : 0,
+    totalTax,
+    total,
+  };
+};
+
+/**
+ * Issues a credit note against the order's invoice for a cancellation or refund.
+ *
+ * @param {string} orderId
+ * @param {Object} [options]
+ * @param {number} [options.amount] Tax-inclusive amount; defaults to everything not yet credited
+ * @param {string} [options.reason]
+ * @param {string} [options.refundId] Refund ledger entry being credited; each is credited once
+ * @param {string} [options.issuedBy] User id
+ * @returns {Promise<Object|null>} The note, or null when there is nothing to credit: no invoice
+ *   was issued, the invoice is fully credited, or the refund already has a note
+ */
+const issueCreditNote = async (orderId, { amount, reason, refundId, issuedBy } = {}) => {
+  const hasAmount = amount !== undefined && amount !== null && amount !== '';
+  if (hasAmount && !(Number(amount) > 0)) {
+    throw new InvoiceError('Credit note amount must be greater than zero');
+  }
+
+  const order = await Order.findById(orderId);
+  if (!order) {
+    throw new InvoiceError('Order not found', 404);
+  }
+  if (!order.invoice?.number) {
+    return null;
+  }
+
+  return withLock(order._id, async () => {
+    const current = await Order.findById(order._id);
+    const creditNotes = current.creditNotes || [];
+    const alreadyCredited = refundId && creditNotes.some((note) => String(note.refundId) === String(refundId));
+    const creditable = getCreditableAmount(current);
+
+    if (alreadyCredited || creditable <= 0) {
+      await releaseLock(order._id);
+      return null;
+    }
+
+    const total = hasAmount ? roundAmount(Math.min(Number(amount), creditable)) : creditable;
+    const issuedAt = new Date();
+    const financialYear = gstService.getFinancialYear(issuedAt);
+    const settings = await gstService.getTaxSettings();
+    const sequence = await Counter.next(getCounterKey('creditNote', financialYear));
+    const note = {
+      number: formatDocumentNumber(settings.creditNotePrefix, financialYear, sequence),
+      sequence,
+      financialYear,
+      reason,
+      refundId,
+      ...splitCreditAmount(current.invoice, creditNotes, total, total === creditable),
+      issuedBy,
+      issuedAt,
+    };
+
+    await Order.updateOne(
+      { _id: order._id },
+      { $push: { creditNotes: note }, $unset: { 'invoice.lockedAt': 1 } }
+    );
+    console.log(`🧾 Credit note ${note.number} (${total}) issued against invoice ${current.invoice.number}`);
+
+    return note;
+  });
+};
+
+module.exports = {
+  InvoiceError,
+  ensureInvoice,
+  formatDocumentNumber,
+  getCreditableAmount,
+  isInvoiceError,
+  issueCreditNote,
+  issueInvoice,
+};
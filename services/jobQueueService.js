@@ -0,0 +1,191 @@
+const os = require('os');
+const Job = require('../models/Job');
+const { readNonNegativeInt } = require('../utils/env');
+
+const DEFAULT_POLL_SECONDS = 5;
+// A running job whose instance hasn't finished it within this long is assumed dead and retried
+const DEFAULT_LOCK_TIMEOUT_MINUTES = 10;
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const handlers = new Map();
+
+const getLockTimeoutMs = () => readNonNegativeInt(process.env.JOB_LOCK_TIMEOUT_MINUTES, DEFAULT_LOCK_TIMEOUT_MINUTES) * 60 * 1000;
+
+/**
+ * Registers the handler for a job name. Only instances that have registered a handler claim
+ * jobs of that name.
+ *
+ * @param {string} name
+ * @param {(data: Object, job: Object) => Promise<void>} handler
+ */
+const defineJob = (name, handler) => {
+  handlers.set(name, handler);
+};
+
+/**
+ * Schedules a job. With a uniqueKey, an existing pending job for the key is moved to the new
+ * time and data instead of adding a second one.
+ *
+ * @param {string} name
+ * @param {Object} [data]
+ * @param {Object} [options]
+ * @param {Date} [options.runAt] Defaults to now (plus delay)
+ * @param {number} [options.delay] Milliseconds from now
+ * @param {string} [options.uniqueKey]
+ * @param {number} [options.maxAttempts=3]
+ * @returns {Promise<Object>} The job
+ */
+const scheduleJob = async (name, data = {}, { runAt, delay = 0, uniqueKey, maxAttempts = 3 } = {}) => {
+  const when = runAt ? new Date(runAt) : new Date(Date.now() + delay);
+  if (Number.isNaN(when.getTime())) {
+    throw new Error(`Invalid run time for job ${name}`);
+  }
+
+  if (!uniqueKey) {
+    return Job.create({ name, data, runAt: when, maxAttempts });
+  }
+
+  const upsert = () => Job.findOneAndUpdate(
+    { uniqueKey, status: 'pending' },
+    { $set: { name, data, runAt: when, maxAttempts, attempts: 0 }, $unset: { lastError: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  try {
+    return await upsert();
+  } catch (error) {
+    // Two instances scheduling the same key at once race on the unique index; retry updates
+    if (error.code === 11000) {
+      return upsert();
+    }
+    throw error;
+  }
+};
+
+/**
+ * Cancels pending jobs, e.g. when the thing they were scheduled for no longer applies.
+ *
+ * @param {Object} filter Matched against pending jobs (name, uniqueKey, data.* ...)
+ * @returns {Promise<number>} Jobs cancelled
+ */
+const cancelJobs = async (filter) => {
+  const result = await Job.updateMany({ ...filter, status: 'pending' }, { $set: { status: 'cancelled' } });
+  return result.modifiedCount || 0;
+};
+
+/**
+ * Atomically takes the next due job this instance can run. Jobs left running by an instance
+ * that died are taken over once their lock times out.
+ *
+ * @returns {Promise<Object|null>}
+ */
+const claimNextJob = async ({ now = new Date(), workerId = WORKER_ID } = {}) => {
+  const names = [...handlers.keys()];
+  if (names.length === 0) return null;
+
+  return Job.findOneAndUpdate(
+    {
+      name: { $in: names },
+      $or: [
+        { status: 'pending', runAt: { $lte: now } },
+        { status: 'running', lockedAt: { $lte: new Date(now.getTime() - getLockTimeoutMs()) } }
+      ]
+    },
+    { $set: { status: 'running', lockedAt: now, lockedBy: workerId }, $inc: { attempts: 1 } },
+    { new: true, sort: { runAt: 1 } }
+  );
+};
+
+/**
+ * Runs a claimed job and records the outcome. Failed jobs are retried with a growing delay
+ * (1, 4, 9... minutes) until maxAttempts is reached.
+ *
+ * @returns {Promise<'completed'|'retrying'|'failed'>}
+ */
+const runJob = async (job, { workerId = WORKER_ID } = {}) => {
+  const handler = handlers.get(job.name);
+  const owned = { _id: job._id, status: 'running', lockedBy: workerId };
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job ${job.name}`);
+    }
+    await handler(job.data || {}, job);
+    await Job.updateOne(owned, { $set: { status: 'completed', completedAt: new Date() }, $unset: { lockedAt: 1, lockedBy: 1 } });
+    return 'completed';
+  } catch (error) {
+    console.error(`❌ Job ${job.name} (${job._id}) failed on attempt ${job.attempts}:`, error.message);
+
+    if (job.attempts < job.maxAttempts) {
+      await Job.updateOne(owned, {
+        $set: { status: 'pending', runAt: new Date(Date.now() + job.attempts * job.attempts * RETRY_BASE_DELAY_MS), lastError: error.message },
+        $unset: { lockedAt: 1, lockedBy: 1 }
+      });
+      return 'retrying';
+    }
+
+    await Job.updateOne(owned, {
+      $set: { status: 'failed', lastError: error.message, completedAt: new Date() },
+      $unset: { lockedAt: 1, lockedBy: 1 }
+    });
+    return 'failed';
+  }
+};
+
+/**
+ * Claims and runs due jobs one at a time until none are left (or the limit is hit).
+ *
+ * @returns {Promise<{ completed: number, retrying: number, failed: number }>}
+ */
+const processDueJobs = async ({ limit = 50, now, workerId = WORKER_ID } = {}) => {
+  const summary = { completed: 0, retrying: 0, failed: 0 };
+
+  for (let processed = 0; processed < limit; processed += 1) {
+    const job = await claimNextJob({ now: now || new Date(), workerId });
+    if (!job) break;
+    summary[await runJob(job, { workerId })] += 1;
+  }
+
+  return summary;
+};
+
+/**
+ * Starts polling for due jobs. JOB_QUEUE_POLL_SECONDS=0 disables the worker on this instance.
+ */
+const startJobWorker = () => {
+  const pollSeconds = readNonNegativeInt(process.env.JOB_QUEUE_POLL_SECONDS, DEFAULT_POLL_SECONDS);
+  if (pollSeconds === 0) {
+    return null;
+  }
+
+  let running = false;
+  const timer = setInterval(() => {
+    if (running) return;
+    running = true;
+    processDueJobs()
+      .catch((error) => {
+        console.error('❌ Job queue run failed:', error);
+      })
+      .finally(() => {
+        running = false;
+      });
+  }, pollSeconds * 1000);
+
+  if (typeof timer.unref === 'function') {
+    timer.unref();
+  }
+
+  return timer;
+};
+
+module.exports = {
+  cancelJobs,
+  claimNextJob,
+  defineJob,
+  processDueJobs,
+  runJob,
+  scheduleJob,
+  startJobWorker,
+};
@@ -0,0 +1,345 @@
+const os = require('os');
+const jwt = require('jsonwebtoken');
+const { WebSocketServer, WebSocket } = require('ws');
+const DeliveryAssignment = require('../models/DeliveryAssignment');
+const Order = require('../models/Order');
+const TrackingEvent = require('../models/TrackingEvent');
+const User = require('../models/User');
+const { ADMIN_ROLES } = require('../middleware/authMiddleware');
+
+const TRACKING_PATH = '/ws/tracking';
+const TRACKING_TOKEN_PURPOSE = 'order_tracking';
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const RELAY_INTERVAL_MS = 1000;
+// Newest events read per relay poll; more published between two polls than this are skipped
+const RELAY_BATCH_SIZE = 500;
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+const ACTIVE_DELIVERY_STATUSES = ['assigned', 'accepted', 'reached_store', 'picked_up', 'out_for_delivery', 'reached_customer'];
+
+// Sockets connected to this instance; updates published on other instances reach them through
+// the TrackingEvent relay (see attachLiveTracking).
+// orderNumber -> sockets following that order
+const orderSubscribers = new Map();
+// Sockets on the admin live map (every active delivery)
+const adminSubscribers = new Set();
+
+const getTrackingTokenExpiry = () => process.env.TRACKING_TOKEN_EXPIRE || '14d';
+
+/**
+ * Signed token that lets whoever holds the tracking link follow one order live without
+ * signing in (sent in the customer's tracking link).
+ */
+const createTrackingToken = (orderNumber) =>
+  jwt.sign({ orderNumber: String(orderNumber), purpose: TRACKING_TOKEN_PURPOSE }, process.env.JWT_SECRET, {
+    expiresIn: getTrackingTokenExpiry()
+  });
+
+const verifyToken = (token) => {
+  try {
+    return jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Same checks as protect: the user must exist and the session must not have been revoked
+const loadSignedInUser = async (decoded, token) => {
+  if (!decoded?.id) return null;
+  const user = await User.findById(decoded.id).select('role login_history');
+  if (!user) return null;
+  const session = (user.login_history || []).find((entry) => entry.token === token);
+  if (session && session.status === 'revoked') return null;
+  return user;
+};
+
+/**
+ * Whether a token lets its holder follow (and manage the delivery of) an order: the signed
+ * tracking-link token for that order, the login token of the customer who placed it, or an
+ * admin's login token.
+ *
+ * @returns {Promise<boolean>}
+ */
+const isAuthorizedForOrder = async (order, token) => {
+  const decoded = token ? verifyToken(token) : null;
+  if (!decoded) return false;
+
+  if (decoded.purpose === TRACKING_TOKEN_PURPOSE) {
+    return decoded.orderNumber === String(order.orderNumber);
+  }
+
+  const user = await loadSignedInUser(decoded, token);
+  return Boolean(user) && (String(order.user) === String(user._id) || ADMIN_ROLES.includes(user.role));
+};
+
+const send = (socket, message) => {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+};
+
+const sendError = (socket, code, message) => send(socket, { type: 'error', code, message });
+
+const describePartner = (partner) => (partner && partner.name ? {
+  name: partner.name,
+  profilePhoto: partner.profilePhoto,
+  vehicleType: partner.vehicleType,
+  latitude: partner.currentLatitude,
+  longitude: partner.currentLongitude
+} : null);
+
+/**
+ * Current state of one order for a new subscriber (same fields as the tracking endpoint).
+ */
+const buildOrderSnapshot = (order, assignment) => ({
+  orderNumber: order.orderNumber,
+  orderStatus: order.status,
+  deliveryStatus: assignment?.status || null,
+  eta: assignment?.eta ?? null,
+  distance: assignment?.distance ?? null,
+  partner: describePartner(assignment?.partnerId)
+});
+
+const subscribeToOrder = async (socket, { orderNumber, token }) => {
+  if (!orderNumber || !token) {
+    return sendError(socket, 'invalid_request', 'orderNumber and token are required');
+  }
+  orderNumber = String(orderNumber);
+
+  const decoded = verifyToken(token);
+  if (!decoded) {
+    return sendError(socket, 'unauthorized', 'Tracking link is invalid or has expired');
+  }
+
+  const order = await Order.findOne({ orderNumber });
+  if (!order) {
+    return sendError(socket, 'not_found', 'Order not found');
+  }
+
+  if (!(await isAuthorizedForOrder(order, token))) {
+    return sendError(socket, 'forbidden', 'You cannot track this order');
+  }
+
+  const assignment = await DeliveryAssignment.findOne({ orderId: order._id, status: { $ne: 'cancelled' } })
+    .populate('partnerId', 'name profilePhoto vehicleType currentLatitude currentLongitude');
+
+  if (!orderSubscribers.has(orderNumber)) {
+    orderSubscribers.set(orderNumber, new Set());
+  }
+  orderSubscribers.get(orderNumber).add(socket);
+  socket.trackedOrders.add(orderNumber);
+
+  return send(socket, { type: 'subscribed', orderNumber, snapshot: buildOrderSnapshot(order, assignment) });
+};
+
+const subscribeToAllDeliveries = async (socket, { token }) => {
+  const decoded = verifyToken(token);
+  const user = decoded ? await loadSignedInUser(decoded, token) : null;
+  if (!user || !ADMIN_ROLES.includes(user.role)) {
+    return sendError(socket, 'forbidden', 'Admin access required');
+  }
+
+  const assignments = await DeliveryAssignment.find({ status: { $in: ACTIVE_DELIVERY_STATUSES } })
+    .populate('orderId', 'orderNumber status shippingDetails.fullName shippingDetails.latitude shippingDetails.longitude')
+    .populate('partnerId', 'name profilePhoto vehicleType currentLatitude currentLongitude');
+
+  adminSubscribers.add(socket);
+
+  return send(socket, {
+    type: 'active_deliveries',
+    deliveries: assignments
+      .filter((assignment) => assignment.orderId)
+      .map((assignment) => ({
+        assignmentId: assignment._id,
+        ...buildOrderSnapshot(assignment.orderId, assignment),
+        customerName: assignment.orderId.shippingDetails?.fullName,
+        destination: {
+          latitude: assignment.orderId.shippingDetails?.latitude,
+          longitude: assignment.orderId.shippingDetails?.longitude
+        }
+      }))
+  });
+};
+
+const unsubscribe = (socket, orderNumber) => {
+  const subscribers = orderSubscribers.get(orderNumber);
+  if (subscribers) {
+    subscribers.delete(socket);
+    if (subscribers.size === 0) orderSubscribers.delete(orderNumber);
+  }
+  socket.trackedOrders.delete(orderNumber);
+};
+
+const handleMessage = async (socket, raw) => {
+  let message;
+  try {
+    message = JSON.parse(raw.toString());
+  } catch (error) {
+    return sendError(socket, 'invalid_request', 'Messages must be JSON');
+  }
+
+  switch (message?.type) {
+    case 'subscribe':
+      return subscribeToOrder(socket, message);
+    case 'subscribe_all':
+      return subscribeToAllDeliveries(socket, message);
+    case 'unsubscribe':
+      unsubscribe(socket, String(message.orderNumber));
+      return send(socket, { type: 'unsubscribed', orderNumber: String(message.orderNumber) });
+    default:
+      return sendError(socket, 'invalid_request', `Unknown message type: ${message?.type}`);
+  }
+};
+
+const deliverLocally = (orderNumber, message) => {
+  const recipients = new Set([...(orderSubscribers.get(String(orderNumber)) || []), ...adminSubscribers]);
+  recipients.forEach((socket) => send(socket, message));
+  return recipients.size;
+};
+
+// Sends to this instance's sockets straight away and records the event for the other instances
+const broadcast = (orderNumber, message) => {
+  TrackingEvent.create({ orderNumber: String(orderNumber), message, origin: INSTANCE_ID }).catch((error) => {
+    console.error('❌ Live tracking event could not be shared:', error);
+  });
+  return deliverLocally(orderNumber, message);
+};
+
+// Ids seen by the last relay poll; null until the first poll, which only notes what is there
+let relayedEventIds = null;
+
+/**
+ * Forwards tracking events published by other instances since the last call to the sockets on
+ * this one. Capped collections keep insertion order, so the newest events are read in natural
+ * order and compared with the previous poll rather than by timestamp, which would depend on
+ * every instance's clock agreeing.
+ *
+ * @returns {Promise<number>} Events forwarded
+ */
+const relayTrackingEvents = async () => {
+  const events = await TrackingEvent.find({}).sort({ $natural: -1 }).limit(RELAY_BATCH_SIZE).lean();
+  const previous = relayedEventIds;
+  relayedEventIds = new Set(events.map((event) => String(event._id)));
+  if (!previous) return 0;
+
+  const fresh = events
+    .filter((event) => !previous.has(String(event._id)) && event.origin !== INSTANCE_ID)
+    .reverse();
+  fresh.forEach((event) => deliverLocally(event.orderNumber, event.message));
+  return fresh.length;
+};
+
+/**
+ * Pushes a partner's new position (and recomputed ETA) to everyone following the order.
+ *
+ * @returns {number} Sockets notified
+ */
+const publishLocation = ({ order, assignment, latitude, longitude }) => broadcast(order.orderNumber, {
+  type: 'location',
+  orderNumber: order.orderNumber,
+  assignmentId: assignment?._id,
+  latitude,
+  longitude,
+  eta: assignment?.eta ?? null,
+  at: new Date().toISOString()
+});
+
+/**
+ * Pushes an order/delivery status change to everyone following the order.
+ *
+ * @returns {number} Sockets notified
+ */
+const publishStatus = ({ order, assignment }) => broadcast(order.orderNumber, {
+  type: 'status',
+  orderNumber: order.orderNumber,
+  assignmentId: assignment?._id,
+  orderStatus: order.status,
+  deliveryStatus: assignment?.status || null,
+  eta: assignment?.eta ?? null,
+  at: new Date().toISOString()
+});
+
+/**
+ * Serves live tracking on `${TRACKING_PATH}` of the HTTP server.
+ *
+ * Clients send JSON messages:
+ * - { type: 'subscribe', orderNumber, token } with the tracking-link token or the customer's login token
+ * - { type: 'subscribe_all', token } with an admin login token, for the live map
+ * - { type: 'unsubscribe', orderNumber }
+ * and receive 'subscribed' / 'active_deliveries' snapshots followed by 'location' and 'status' updates.
+ *
+ * Updates reach sockets on the publishing instance at once and every other instance through the
+ * capped TrackingEvent collection, which each instance polls every second, so the API can run
+ * as several processes or hosts behind a load balancer.
+ *
+ * @param {import('http').Server} server
+ * @returns {WebSocketServer}
+ */
+const attachLiveTracking = (server) => {
+  const wss = new WebSocketServer({ server, path: TRACKING_PATH });
+
+  wss.on('connection', (socket) => {
+    socket.isAlive = true;
+    socket.trackedOrders = new Set();
+
+    socket.on('pong', () => {
+      socket.isAlive = true;
+    });
+    socket.on('message', (raw) => {
+      handleMessage(socket, raw).catch((error) => {
+        console.error('❌ Live tracking message failed:', error);
+        sendError(socket, 'server_error', 'Something went wrong');
+      });
+    });
+    socket.on('close', () => {
+      [...socket.trackedOrders].forEach((orderNumber) => unsubscribe(socket, orderNumber));
+      adminSubscribers.delete(socket);
+    });
+  });
+
+  // Drop connections that stopped answering pings (phones going out of coverage)
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((socket) => {
+      if (!socket.isAlive) {
+        socket.terminate();
+        return;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+
+  let relaying = false;
+  const relay = setInterval(() => {
+    if (relaying) return;
+    relaying = true;
+    relayTrackingEvents()
+      .catch((error) => {
+        console.error('❌ Live tracking relay failed:', error);
+      })
+      .finally(() => {
+        relaying = false;
+      });
+  }, RELAY_INTERVAL_MS);
+
+  [heartbeat, relay].forEach((timer) => {
+    if (typeof timer.unref === 'function') {
+      timer.unref();
+    }
+  });
+  wss.on('close', () => {
+    clearInterval(heartbeat);
+    clearInterval(relay);
+  });
+
+  return wss;
+};
+
+module.exports = {
+  TRACKING_PATH,
+  attachLiveTracking,
+  createTrackingToken,
+  isAuthorizedForOrder,
+  publishLocation,
+  publishStatus,
+  relayTrackingEvents,
+};
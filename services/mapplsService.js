@@ -211,8 +211,36 @@ async function reverseGeocode(lat, lng) {
   }
 }
 
+/**
+ * Mappls Distance Matrix API: driving distance in km between two points
+ */
+async function getRoadDistance(origin, destination) {
+  const apiKey = process.env.MAPPLS_API_KEY || process.env.VITE_MAPPLS_API_KEY || 'ec2ae7ed0bbcca3fcb6b405be70ac679';
+  const points = `${origin.longitude},${origin.latitude};${destination.longitude},${destination.latitude}`;
+
+  const response = await fetch(`https://apis.mapmyindia.com/advancedmaps/v1/${apiKey}/distance_matrix/driving/${points}?sources=0&destinations=1`, {
+    headers: {
+      'Origin': 'https://sbflorist.in',
+      'Referer': 'https://sbflorist.in/'
+    },
+    signal: AbortSignal.timeout(5000)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Distance matrix request failed: ${response.statusText}`);
+  }
+
+  const data = await response.json();
+  const meters = data.results?.distances?.[0]?.[0];
+  if (!Number.isFinite(meters)) {
+    throw new Error('No distance returned by Mappls');
+  }
+  return meters / 1000;
+}
+
 module.exports = {
   autosuggest,
   getPlaceDetails,
+  getRoadDistance,
   reverseGeocode
 };
@@ -0,0 +1,291 @@
+const Order = require('../models/Order');
+const currencyService = require('./currencyService');
+const deliveryService = require('./deliveryService');
+const gstService = require('./gstService');
+const orderPricingService = require('./orderPricingService');
+const razorpayService = require('./razorpayService');
+const slotCapacityService = require('./slotCapacityService');
+const stockReservationService = require('./stockReservationService');
+const orderNumberService = require('./orderNumberService');
+const { roundAmount } = require('../utils/money');
+
+const MAX_RECIPIENTS = 10;
+
+const buildShippingDetails = (shipping = {}, customer = {}) => ({
+  fullName: shipping.fullName || customer.fullName,
+  email: shipping.email || customer.email,
+  phone: shipping.phone || customer.phone,
+  address: shipping.address,
+  apartment: shipping.apartment || '',
+  city: shipping.city,
+  state: shipping.state,
+  zipCode: shipping.zipCode,
+  notes: shipping.notes || '',
+  cardMessage: shipping.cardMessage || '',
+  deliverySpecialInstructions: shipping.deliverySpecialInstructions || '',
+  deliveryDate: shipping.deliveryDate,
+  timeSlot: shipping.timeSlot,
+  latitude: shipping.latitude,
+  longitude: shipping.longitude,
+  formattedAddress: shipping.formattedAddress,
+  country: shipping.country,
+  pincode: shipping.pincode,
+  landmark: shipping.landmark,
+  houseNo: shipping.houseNo,
+  floor: shipping.floor,
+  deliveryInstructions: shipping.deliveryInstructions,
+});
+
+const buildItems = (items) => items.map((item) => ({
+  product: item.product || item.productId,
+  productModel: item.productModel || 'Product',
+  title: item.title || '',
+  image: item.image || item.images?.[0] || '',
+  images: Array.isArray(item.images) ? item.images : [],
+  selectedVariant: item.selectedVariant || null,
+  quantity: item.quantity,
+  price: item.price,
+  finalPrice: item.finalPrice || item.price,
+  customizations: item.customizations || null,
+  characterCount: item.characterCount || item.customizations?.personalization?.characterCount || 0
+}));
+
+// Splits a checkout-wide discount across shipments by subtotal; the last takes the rounding remainder
+const splitDiscount = (discount, subtotals) => {
+  const total = subtotals.reduce((sum, value) => sum + value, 0);
+  let remaining = discount;
+
+  return subtotals.map((subtotal, index) => {
+    if (index === subtotals.length - 1) {
+      return roundAmount(remaining);
+    }
+    const share = total > 0 ? roundAmount((discount * subtotal) / total) : 0;
+    remaining -= share;
+    return share;
+  });
+};
+
+/**
+ * Validates and prices every shipment of a multi-recipient checkout the way createOrder
+ * prices a single order. Each shipment pays its own delivery charge; first-order free
+ * delivery only covers the first one. A promo code applies to the whole cart and its
+ * discount is split across shipments by subtotal.
+ *
+ * Everything is priced in rupees and then converted into the checkout currency, shipment by
+ * shipment, at one rate snapshot.
+ *
+ * @param {Object} params
+ * @param {Array} params.recipients [{ shippingDetails, giftDetails, items }]
+ * @param {Object} params.customer The buyer ({ fullName, email, phone }), used for contact details
+ * @param {string} [params.userId]
+ * @param {string} [params.promoCode]
+ * @param {string} [params.currency] Checkout currency, INR by default
+ * @returns {Promise<{ shipments: Array, subtotal: number, deliveryCharge: number, discount: number, taxAmount: number, totalAmount: number, promoCode: Object|null, currencySnapshot: Object }>}
+ */
+const priceMultiRecipientCheckout = async ({ recipients, customer = {}, userId = null, promoCode, currency = 'INR' }) => {
+  if (!Array.isArray(recipients) || recipients.length < 2) {
+    throw new orderPricingService.OrderPricingError('A multi-recipient checkout needs at least two recipients');
+  }
+  if (recipients.length > MAX_RECIPIENTS) {
+    throw new orderPricingService.OrderPricingError(`A checkout can be split across at most ${MAX_RECIPIENTS} recipients`);
+  }
+  const currencySnapshot = await currencyService.getRateSnapshot(currency);
+
+  const shipments = [];
+  let freeDeliveryUsed = false;
+
+  for (const [index, recipient] of recipients.entries()) {
+    const label = `Recipient ${index + 1}`;
+    if (!Array.isArray(recipient.items) || recipient.items.length === 0) {
+      throw new orderPricingService.OrderPricingError(`${label} has no items`);
+    }
+
+    const shippingDetails = buildShippingDetails(recipient.shippingDetails, customer);
+    if (!shippingDetails.address || !shippingDetails.deliveryDate) {
+      throw new orderPricingService.OrderPricingError(`${label} needs a delivery address and date`);
+    }
+    if (!userId && (!shippingDetails.email || !shippingDetails.phone)) {
+      throw new orderPricingService.OrderPricingError('Email and phone number are required for guest checkout');
+    }
+
+    let items;
+    let pricing;
+    try {
+      await orderPricingService.validateDeliveryDate(shippingDetails.deliveryDate);
+      items = await orderPricingService.priceCatalogueItems(buildItems(recipient.items), { deliveryDate: shippingDetails.deliveryDate });
+      await orderPricingService.validateOrderValentineRules(items, shippingDetails);
+      pricing = await orderPricingService.priceOrder({ items, shippingDetails, userId });
+    } catch (error) {
+      if (orderPricingService.isOrderPricingError(error) || deliveryService.isDeliveryZoneError(error)) {
+        error.message = `${label}: ${error.message}`;
+      }
+      throw error;
+    }
+
+    if (pricing.isFirstOrderFreeDelivery && freeDeliveryUsed) {
+      // Free delivery only covers the first shipment of a first order
+      pricing.deliveryCharge = roundAmount(pricing.deliveryCharge + pricing.standardFee);
+      pricing.isFirstOrderFreeDelivery = false;
+      pricing.deliveryChargeBreakdown = pricing.deliveryChargeBreakdown?.filter((line) => line.component !== 'first_order_free');
+    }
+    freeDeliveryUsed = freeDeliveryUsed || pricing.isFirstOrderFreeDelivery;
+
+    shipments.push({ shippingDetails, giftDetails: recipient.giftDetails || null, items, pricing });
+  }
+
+  const subtotal = roundAmount(shipments.reduce((sum, shipment) => sum + shipment.pricing.subtotal, 0));
+  const promo = await orderPricingService.resolvePromoDiscount({
+    code: promoCode,
+    subtotal,
+    items: shipments.flatMap((shipment) => shipment.items),
+    userId,
+  });
+  if (promoCode && !promo.promoCode) {
+    throw new orderPricingService.OrderPricingError(`Promo code ${promoCode} cannot be applied: ${promo.reason}`);
+  }
+
+  const discounts = splitDiscount(promo.discountAmount, shipments.map((shipment) => shipment.pricing.subtotal));
+  for (const [index, shipment] of shipments.entries()) {
+    const { pricing } = shipment;
+    pricing.discount = Math.min(discounts[index], roundAmount(pricing.subtotal + pricing.deliveryCharge));
+    // The delivery charge and discount may have changed since priceOrder, so the GST with them
+    pricing.taxAmount = await gstService.calculateCheckoutTax({
+      items: shipment.items,
+      deliveryCharge: pricing.deliveryCharge,
+      discount: pricing.discount,
+      shippingDetails: shipment.shippingDetails,
+      giftDetails: shipment.giftDetails,
+    });
+    pricing.finalTotal = roundAmount(pricing.subtotal + pricing.deliveryCharge - pricing.discount + pricing.taxAmount);
+
+    const { items: convertedItems, ...convertedPricing } = currencyService.convertOrderAmounts({ items: shipment.items, ...pricing }, currencySnapshot);
+    shipment.items = convertedItems;
+    shipment.pricing = convertedPricing;
+  }
+
+  return {
+    shipments,
+    subtotal: roundAmount(shipments.reduce((sum, shipment) => sum + shipment.pricing.subtotal, 0)),
+    deliveryCharge: roundAmount(shipments.reduce((sum, shipment) => sum + shipment.pricing.deliveryCharge, 0)),
+    discount: roundAmount(shipments.reduce((sum, shipment) => sum + shipment.pricing.discount, 0)),
+    taxAmount: roundAmount(shipments.reduce((sum, shipment) => sum + shipment.pricing.taxAmount, 0)),
+    totalAmount: roundAmount(shipments.reduce((sum, shipment) => sum + shipment.pricing.finalTotal, 0)),
+    promoCode: promo.promoCode,
+    currencySnapshot,
+  };
+};
+
+/**
+ * Places a multi-recipient checkout: one order per recipient, linked by `checkoutGroup` and,
+ * for online payment, sharing a single Razorpay order for the combined total. Stock is held
+ * (or committed for cash) per order; if any order can't be placed none of them are.
+ *
+ * @returns {Promise<{ groupId: string, orders: Array, totals: Object, razorpayOrder: Object|null }>}
+ */
+const placeMultiRecipientOrder = async ({
+  recipients,
+  customer,
+  userId = null,
+  paymentMethod,
+  promoCode,
+  currency = 'INR',
+}) => {
+  if (!['razorpay', 'cash'].includes(paymentMethod)) {
+    throw new orderPricingService.OrderPricingError('Multi-recipient checkout supports Razorpay or cash payment');
+  }
+
+  const totals = await priceMultiRecipientCheckout({ recipients, customer, userId, promoCode, currency });
+  const { currencySnapshot } = totals;
+  const isOnline = paymentMethod === 'razorpay';
+
+  const razorpayOrder = isOnline
+    ? await razorpayService.createOrder(Math.round(totals.totalAmount * 100), currencySnapshot.currency)
+    : null;
+
+  const orderNumbers = [];
+  for (let index = 0; index < totals.shipments.length; index += 1) {
+    orderNumbers.push(await orderNumberService.reserveOrderNumber());
+  }
+  const groupId = `G${orderNumbers[0]}`;
+
+  const orders = totals.shipments.map((shipment, index) => {
+    const giftDetails = shipment.giftDetails
+      ? {
+        ...shipment.giftDetails,
+        message: shipment.giftDetails.message || shipment.shippingDetails.cardMessage,
+        greetingCard: shipment.giftDetails.greetingCard || 'none',
+        surpriseDelivery: !!shipment.giftDetails.surpriseDelivery,
+        anonymousGift: !!shipment.giftDetails.anonymousGift,
+      }
+      : undefined;
+
+    return new Order({
+      orderNumber: orderNumbers[index],
+      user: userId,
+      shippingDetails: shipment.shippingDetails,
+      giftDetails,
+      items: shipment.items,
+      paymentDetails: {
+        method: paymentMethod,
+        ...(isOnline && { razorpayOrderId: razorpayOrder.id, status: 'pending' })
+      },
+      subtotal: shipment.pricing.subtotal,
+      deliveryCharge: shipment.pricing.deliveryCharge,
+      discount: shipment.pricing.discount,
+      taxAmount: shipment.pricing.taxAmount,
+      finalTotal: shipment.pricing.finalTotal,
+      totalAmount: shipment.pricing.finalTotal,
+      isFirstOrderFreeDelivery: shipment.pricing.isFirstOrderFreeDelivery,
+      deliveryZone: shipment.pricing.deliveryZone,
+      deliveryChargeBreakdown: shipment.pricing.deliveryChargeBreakdown,
+      deliveryDistanceKm: shipment.pricing.deliveryDistanceKm,
+      surge: shipment.pricing.surge,
+      promoCode: totals.promoCode
+        ? { ...totals.promoCode, discountAmount: shipment.pricing.discount }
+        : undefined,
+      ...currencyService.getOrderCurrencyFields(currencySnapshot),
+      checkoutGroup: { id: groupId, position: index + 1, size: totals.shipments.length },
+      status: 'order_placed',
+    });
+  });
+
+  const booked = [];
+  const reserved = [];
+  const saved = [];
+  try {
+    for (const order of orders) {
+      await slotCapacityService.bookOrderSlot(order);
+      booked.push(order);
+      await stockReservationService.reserveStockForOrder(order, { hold: isOnline });
+      reserved.push(order);
+    }
+    for (const order of orders) {
+      saved.push(await order.save());
+    }
+  } catch (error) {
+    for (const order of reserved) {
+      await stockReservationService.releaseOrderStock(order, 'order_save_failed').catch((releaseError) => {
+        console.error(`❌ Failed to release stock for order ${order.orderNumber}:`, releaseError);
+      });
+    }
+    for (const order of booked) {
+      await slotCapacityService.releaseOrderSlot(order).catch((releaseError) => {
+        console.error(`❌ Failed to release the delivery slot for order ${order.orderNumber}:`, releaseError);
+      });
+    }
+    if (saved.length > 0) {
+      await Order.deleteMany({ _id: { $in: saved.map((order) => order._id) } });
+    }
+    throw error;
+  }
+
+  console.log(`🎁 Multi-recipient checkout ${groupId}: ${saved.map((order) => order.orderNumber).join(', ')} (${currencyService.formatCurrency(totals.totalAmount, currencySnapshot.currency)})`);
+
+  return { groupId, orders: saved, totals, razorpayOrder };
+};
+
+module.exports = {
+  MAX_RECIPIENTS,
+  placeMultiRecipientOrder,
+  priceMultiRecipientCheckout,
+};
@@ -1,5 +1,6 @@
 const nodemailer = require('nodemailer');
 const twilio = require('twilio');
+const currencyService = require('./currencyService');
 
 // Initialize services
 let emailTransporter = null;
@@ -58,16 +59,7 @@ const initTwilioService = () => {
 };
 
 // Format currency for display
-const formatCurrency = (amount, currency = 'INR') => {
-  const symbols = {
-    'INR': '₹',
-    'USD': '$',
-    'EUR': '€',
-    'GBP': '£'
-  };
-  
-  return `${symbols[currency] || currency} ${amount.toLocaleString()}`;
-};
+const formatCurrency = (amount, currency = 'INR') => currencyService.formatCurrency(amount, currency);
 
 // Format date for display (forcing Asia/Kolkata timezone to avoid UTC offset discrepancies on server)
 const formatDate = (date) => {
@@ -0,0 +1,394 @@
+const Product = require('../models/Product');
+const AddonProduct = require('../models/AddonProduct');
+const currencyService = require('./currencyService');
+const orderPricingService = require('./orderPricingService');
+const slotCapacityService = require('./slotCapacityService');
+const stockReservationService = require('./stockReservationService');
+const { calculateOrderBalance, isOrderPaidOnline } = require('./orderPaymentService');
+const { ServiceError } = require('../utils/serviceError');
+
+// Once the order has left the shop it can no longer be changed
+const AMENDABLE_STATUSES = ['order_placed', 'received', 'being_made'];
+
+const SHIPPING_FIELDS = [
+  'fullName', 'email', 'phone', 'address', 'apartment', 'city', 'state', 'zipCode', 'notes',
+  'cardMessage', 'deliverySpecialInstructions', 'deliveryDate', 'timeSlot', 'latitude', 'longitude',
+  'deliveryRequired', 'formattedAddress', 'country', 'pincode', 'landmark', 'houseNo', 'floor',
+  'deliveryInstructions',
+];
+
+const PRICING_FIELDS = ['subtotal', 'deliveryCharge', 'discount', 'totalAmount'];
+
+class OrderAmendmentError extends ServiceError {
+  constructor(message, statusCode = 400, details) {
+    super(message, statusCode, { details });
+  }
+}
+
+const isOrderAmendmentError = (error) => error instanceof OrderAmendmentError;
+
+const toPlain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+
+const normalizeForDiff = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (value === undefined || value === '') return null;
+  return value;
+};
+
+const isSameValue = (a, b) => JSON.stringify(normalizeForDiff(a)) === JSON.stringify(normalizeForDiff(b));
+
+const getVariantLabel = (variant) => variant?.label || variant?.name || null;
+
+const describeItems = (items) => items
+  .map((item) => {
+    const variant = getVariantLabel(item.selectedVariant);
+    return `${item.quantity} x ${item.title || item.product}${variant ? ` (${variant})` : ''} @ ${item.finalPrice || item.price}`;
+  })
+  .join(', ');
+
+/**
+ * Builds the amended item list. Lines that carry the `_id` of an existing line keep their
+ * details and price unless the product or variant changes; other lines are new and priced
+ * from the catalogue, converted into the order currency at the order's rate. An explicit
+ * price/finalPrice (in the order currency) always wins.
+ */
+const buildAmendedItems = async (order, requestedItems, rateSnapshot) => {
+  if (!Array.isArray(requestedItems) || requestedItems.length === 0) {
+    throw new OrderAmendmentError('An order must contain at least one item');
+  }
+
+  const amended = [];
+  for (const requested of requestedItems) {
+    const existing = requested._id
+      ? order.items.find((item) => String(item._id) === String(requested._id))
+      : null;
+    if (requested._id && !existing) {
+      throw new OrderAmendmentError(`Item ${requested._id} is not on this order`);
+    }
+
+    const base = existing ? toPlain(existing) : {};
+    const productModel = requested.productModel || base.productModel || 'Product';
+    const productId = requested.product || requested.productId || base.product?._id || base.product;
+    const quantity = Number(requested.quantity ?? base.quantity);
+
+    if (!productId) {
+      throw new OrderAmendmentError('Each item needs a product');
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new OrderAmendmentError('Item quantity must be a whole number of at least 1');
+    }
+
+    const Model = productModel === 'AddonProduct' ? AddonProduct : Product;
+    const product = await Model.findById(productId);
+    if (!product) {
+      throw new OrderAmendmentError(`Product ${productId} not found`, 404);
+    }
+
+    const selectedVariant = requested.selectedVariant !== undefined ? requested.selectedVariant : (base.selectedVariant ?? null);
+    const isRepriced = !existing
+      || String(productId) !== String(base.product?._id || base.product)
+      || getVariantLabel(selectedVariant) !== getVariantLabel(base.selectedVariant);
+    let catalogue = base;
+    if (isRepriced) {
+      const cataloguePrice = orderPricingService.getCataloguePrice(product, productModel, selectedVariant);
+      catalogue = {
+        price: currencyService.convertFromBase(cataloguePrice.price, rateSnapshot),
+        finalPrice: currencyService.convertFromBase(cataloguePrice.finalPrice, rateSnapshot),
+      };
+    }
+
+    const price = requested.price ?? catalogue.price;
+    let finalPrice = requested.finalPrice ?? catalogue.finalPrice ?? price;
+    if (requested.price !== undefined && requested.finalPrice === undefined) {
+      finalPrice = requested.price;
+    }
+    const customizations = requested.customizations !== undefined ? requested.customizations : (base.customizations ?? null);
+
+    amended.push({
+      ...(existing && { _id: existing._id }),
+      product: product._id,
+      productModel,
+      title: isRepriced ? (product.title || product.name || '') : base.title,
+      image: isRepriced ? (product.images?.[0] || product.image || '') : base.image,
+      images: isRepriced ? (product.images || []) : (base.images || []),
+      selectedVariant,
+      quantity,
+      price,
+      finalPrice,
+      customizations,
+      customization: base.customization ?? null,
+      characterCount: requested.characterCount
+        ?? customizations?.personalization?.characterCount
+        ?? base.characterCount
+        ?? 0,
+    });
+  }
+
+  return amended;
+};
+
+const hasItemChanges = (currentItems, amendedItems) => {
+  const summarize = (items) => items.map((item) => ({
+    product: String(item.product?._id || item.product),
+    productModel: item.productModel,
+    quantity: item.quantity,
+    variant: getVariantLabel(item.selectedVariant),
+    price: item.price,
+    finalPrice: item.finalPrice,
+    customizations: item.customizations ?? null,
+  }));
+  return !isSameValue(summarize(currentItems.map(toPlain)), summarize(amendedItems));
+};
+
+/**
+ * Reprices and applies an admin amendment to an order, or previews it with `dryRun`.
+ *
+ * Delivery date, slot and items go through the same checks and pricing as checkout: IST
+ * cutoff, holidays, Valentine rules, delivery fee and the order's promo code. Stock is
+ * swapped over when the items or date change, and the slot capacity booking when the day,
+ * slot or zone does. The diff is kept on `amendments` and summarised in the tracking history.
+ *
+ * @param {Object} order Order document
+ * @param {Object} changes
+ * @param {Object} [changes.shippingDetails] Shipping fields to change
+ * @param {string} [changes.giftMessage] New gift message
+ * @param {Array} [changes.items] The complete amended item list
+ * @param {string|null} [changes.promoCode] Apply a different promo code, or null to remove it
+ * @param {Object} [options]
+ * @param {string} [options.reason]
+ * @param {Object} [options.amendedBy] User making the change
+ * @param {boolean} [options.dryRun] Work out the result without changing anything
+ * @returns {Promise<{ order: Object, changes: Array, pricing: Object, balance: Object, warnings: Array }>}
+ */
+const amendOrder = async (order, changes = {}, { reason, amendedBy, dryRun = false, now = new Date() } = {}) => {
+  if (!AMENDABLE_STATUSES.includes(order.status)) {
+    throw new OrderAmendmentError(`Orders that are ${order.status.replace(/_/g, ' ')} can no longer be amended`, 409);
+  }
+
+  const currentShipping = toPlain(order.shippingDetails) || {};
+  const shippingDetails = { ...currentShipping };
+  for (const field of SHIPPING_FIELDS) {
+    if (changes.shippingDetails && changes.shippingDetails[field] !== undefined) {
+      shippingDetails[field] = changes.shippingDetails[field];
+    }
+  }
+  if (shippingDetails.deliveryDate) {
+    shippingDetails.deliveryDate = new Date(shippingDetails.deliveryDate);
+    if (Number.isNaN(shippingDetails.deliveryDate.getTime())) {
+      throw new OrderAmendmentError('Invalid delivery date');
+    }
+  }
+
+  // The order is repriced in rupees and converted back at the rate it was placed at
+  const rateSnapshot = currencyService.getOrderRateSnapshot(order);
+  const items = changes.items !== undefined
+    ? await buildAmendedItems(order, changes.items, rateSnapshot)
+    : order.items.map(toPlain);
+  const itemsChanged = changes.items !== undefined && hasItemChanges(order.items, items);
+  const dateChanged = !isSameValue(shippingDetails.deliveryDate, currentShipping.deliveryDate);
+
+  if (dateChanged) {
+    await orderPricingService.validateDeliveryDate(shippingDetails.deliveryDate, { now });
+  }
+  if (dateChanged || itemsChanged) {
+    await orderPricingService.validateOrderValentineRules(items, shippingDetails);
+  }
+
+  // Re-run the promo code: a replacement must pass every rule, the existing one only its minimum
+  const warnings = [];
+  const baseItems = currencyService.toBaseItems(items, rateSnapshot);
+  const subtotal = orderPricingService.calculateSubtotal(baseItems);
+  const isNewPromo = changes.promoCode !== undefined;
+  const promoCodeToApply = isNewPromo ? changes.promoCode : order.promoCode?.code;
+  const promo = await orderPricingService.resolvePromoDiscount({
+    code: promoCodeToApply,
+    subtotal,
+    items: baseItems,
+    userId: order.user,
+    keepExisting: !isNewPromo,
+  });
+  if (promoCodeToApply && !promo.promoCode) {
+    if (isNewPromo) {
+      throw new OrderAmendmentError(`Promo code ${promoCodeToApply} cannot be applied: ${promo.reason}`);
+    }
+    warnings.push(`Promo code ${promoCodeToApply} no longer applies: ${promo.reason}`);
+  }
+
+  // Discounts that didn't come from a promo code (offers, manual) carry over unchanged
+  const otherDiscount = Math.max(0, (order.discount || 0) - (order.promoCode?.discountAmount || 0));
+  const basePricing = await orderPricingService.priceOrder({
+    items: baseItems,
+    shippingDetails,
+    userId: order.user,
+    excludeOrderId: order._id,
+    discount: currencyService.toBaseAmount(otherDiscount, order) + promo.discountAmount,
+  });
+  const pricing = currencyService.convertOrderAmounts({ items: baseItems, ...basePricing }, rateSnapshot);
+  delete pricing.items;
+  if (promo.promoCode) {
+    promo.promoCode = { ...promo.promoCode, discountAmount: currencyService.convertFromBase(promo.promoCode.discountAmount, rateSnapshot) };
+  }
+
+  const diff = [];
+  for (const field of SHIPPING_FIELDS) {
+    if (!isSameValue(shippingDetails[field], currentShipping[field])) {
+      diff.push({ field: `shippingDetails.${field}`, from: normalizeForDiff(currentShipping[field]), to: normalizeForDiff(shippingDetails[field]) });
+    }
+  }
+  if (changes.giftMessage !== undefined && !isSameValue(changes.giftMessage, order.giftDetails?.message)) {
+    diff.push({ field: 'giftDetails.message', from: normalizeForDiff(order.giftDetails?.message), to: normalizeForDiff(changes.giftMessage) });
+  }
+  if (itemsChanged) {
+    diff.push({ field: 'items', from: describeItems(order.items), to: describeItems(items) });
+  }
+  if (!isSameValue(promo.promoCode?.code, order.promoCode?.code)) {
+    diff.push({ field: 'promoCode', from: normalizeForDiff(order.promoCode?.code), to: normalizeForDiff(promo.promoCode?.code) });
+  }
+  const newTotals = { ...pricing, totalAmount: pricing.finalTotal };
+  for (const field of PRICING_FIELDS) {
+    if (!isSameValue(newTotals[field], order[field])) {
+      diff.push({ field, from: order[field], to: newTotals[field] });
+    }
+  }
+
+  if (diff.length === 0) {
+    throw new OrderAmendmentError('The amendment does not change anything on this order');
+  }
+  // The invoice is final once issued; a price change has to go through a credit note
+  if (order.invoice?.number && diff.some((entry) => PRICING_FIELDS.includes(entry.field))) {
+    throw new OrderAmendmentError(`Order is already invoiced (${order.invoice.number}); issue a credit note instead of repricing it`, 409);
+  }
+
+  const previousTotal = order.totalAmount;
+  const projected = {
+    paymentDetails: order.paymentDetails,
+    amountPaid: isOrderPaidOnline(order) ? (order.amountPaid ?? previousTotal) : order.amountPaid,
+    refundedAmount: order.refundedAmount,
+    totalAmount: pricing.finalTotal,
+  };
+  const balance = calculateOrderBalance(projected);
+  const result = { order, changes: diff, pricing, balance, warnings, previousTotal };
+
+  // A new day, slot or zone needs a place in that slot's capacity
+  const slotChanged = dateChanged
+    || !isSameValue(shippingDetails.timeSlot, currentShipping.timeSlot)
+    || !isSameValue(String(pricing.deliveryZone || ''), String(order.deliveryZone || ''));
+  const slotTarget = { deliveryDate: shippingDetails.deliveryDate, timeSlot: shippingDetails.timeSlot, zoneId: pricing.deliveryZone };
+
+  if (dryRun) {
+    if (slotChanged) {
+      await slotCapacityService.assertSlotAvailable(slotTarget, { currentCapIds: order.slotCapacityIds || [] });
+    }
+    return result;
+  }
+
+  const previousSlot = {
+    deliveryDate: currentShipping.deliveryDate,
+    timeSlot: currentShipping.timeSlot,
+    zoneId: order.deliveryZone,
+  };
+  if (slotChanged) {
+    await slotCapacityService.moveOrderSlot(order, slotTarget);
+  }
+
+  const previousItems = toPlain(order.items);
+  const stockChanged = itemsChanged || dateChanged;
+  if (stockChanged) {
+    try {
+      await stockReservationService.replaceOrderStock(order, {
+        items,
+        deliveryDate: shippingDetails.deliveryDate,
+      });
+    } catch (error) {
+      if (slotChanged) {
+        await slotCapacityService.moveOrderSlot(order, previousSlot, { overbook: true });
+      }
+      throw error;
+    }
+  }
+
+  order.shippingDetails = shippingDetails;
+  if (changes.giftMessage !== undefined) {
+    order.set('giftDetails.message', changes.giftMessage);
+  }
+  if (itemsChanged) {
+    order.items = items;
+  }
+  order.promoCode = promo.promoCode || undefined;
+  order.subtotal = pricing.subtotal;
+  order.deliveryCharge = pricing.deliveryCharge;
+  order.isFirstOrderFreeDelivery = pricing.isFirstOrderFreeDelivery;
+  order.deliveryZone = pricing.deliveryZone;
+  order.deliveryChargeBreakdown = pricing.deliveryChargeBreakdown;
+  order.deliveryDistanceKm = pricing.deliveryDistanceKm;
+  order.surge = pricing.surge;
+  order.discount = pricing.discount;
+  order.taxAmount = pricing.taxAmount;
+  order.finalTotal = pricing.finalTotal;
+  order.totalAmount = pricing.finalTotal;
+  order.amountPaid = projected.amountPaid;
+
+  order.amendments.push({
+    changes: diff,
+    reason,
+    previousTotal,
+    newTotal: pricing.finalTotal,
+    balanceDue: balance.balanceDue,
+    refundOwed: balance.refundOwed,
+    amendedBy: amendedBy?._id,
+    createdAt: now,
+  });
+
+  const changedFields = diff
+    .filter((entry) => !PRICING_FIELDS.includes(entry.field))
+    .map((entry) => entry.field.replace(/^(shippingDetails|giftDetails)\./, ''));
+  let message = `Order amended${changedFields.length ? ` (${changedFields.join(', ')})` : ''}`;
+  if (!isSameValue(previousTotal, pricing.finalTotal)) {
+    message += `: total ${previousTotal} → ${pricing.finalTotal} ${order.currency || 'INR'}`;
+  }
+  if (balance.balanceDue > 0 && isOrderPaidOnline(order)) {
+    message += `, balance due ${balance.balanceDue}`;
+  }
+  if (balance.refundOwed > 0) {
+    message += `, refund owed ${balance.refundOwed}`;
+  }
+  if (reason) {
+    message += ` — ${reason}`;
+  }
+  order.trackingHistory.push({
+    status: order.status,
+    message,
+    timestamp: now,
+    updatedBy: amendedBy?._id,
+  });
+
+  try {
+    await order.save();
+  } catch (error) {
+    // The order still has its old items, day and slot, so they get their stock and place back
+    if (stockChanged) {
+      await stockReservationService.replaceOrderStock(order, {
+        items: previousItems,
+        deliveryDate: currentShipping.deliveryDate,
+      }).catch((undoError) => {
+        console.error(`❌ Failed to restore the stock of order ${order.orderNumber}:`, undoError);
+      });
+    }
+    if (slotChanged) {
+      await slotCapacityService.moveOrderSlot(order, previousSlot, { overbook: true }).catch((undoError) => {
+        console.error(`❌ Failed to restore the delivery slot of order ${order.orderNumber}:`, undoError);
+      });
+    }
+    throw error;
+  }
+
+  console.log(`📝 Order ${order.orderNumber} amended: ${diff.map((entry) => entry.field).join(', ')}`);
+  return result;
+};
+
+module.exports = {
+  AMENDABLE_STATUSES,
+  OrderAmendmentError,
+  amendOrder,
+  isOrderAmendmentError,
+};
@@ -0,0 +1,199 @@
+const moment = require('moment');
+const Counter = require('../models/Counter');
+const Order = require('../models/Order');
+const OrderNumberReservation = require('../models/OrderNumberReservation');
+const { BUSINESS_UTC_OFFSET } = require('../utils/businessDay');
+
+// Matches the historical YYMM + sequence + DD layout, e.g. 2610 004 18
+const DEFAULT_FORMAT = '{YY}{MM}{SEQ}{DD}';
+const DEFAULT_SEQUENCE_PADDING = 3;
+const MAX_ATTEMPTS = 50;
+// How long a number from POST /api/orders/next-number stays reserved for the checkout
+const RESERVATION_TTL_MINUTES = 60;
+
+const TOKEN_PATTERNS = {
+  YYYY: '(\\d{4})',
+  YY: '(\\d{2})',
+  MM: '(\\d{2})',
+  DD: '(\\d{2})',
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Order number layout from ORDER_NUMBER_FORMAT. Supported tokens: {YYYY}, {YY}, {MM}, {DD}, {SEQ}.
+ * A format must contain a year, month, day and {SEQ} so every number is unique per day;
+ * anything else falls back to the default.
+ */
+const getFormat = () => {
+  const format = process.env.ORDER_NUMBER_FORMAT;
+  if (!format) {
+    return DEFAULT_FORMAT;
+  }
+
+  const hasYear = format.includes('{YYYY}') || format.includes('{YY}');
+  if (hasYear && ['{MM}', '{DD}', '{SEQ}'].every((token) => format.includes(token))) {
+    return format;
+  }
+
+  console.warn(`⚠️ Invalid ORDER_NUMBER_FORMAT "${format}", using ${DEFAULT_FORMAT}`);
+  return DEFAULT_FORMAT;
+};
+
+const getSequencePadding = () => {
+  const parsed = Number.parseInt(process.env.ORDER_NUMBER_SEQUENCE_PADDING, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : DEFAULT_SEQUENCE_PADDING;
+};
+
+/**
+ * The business day order numbers belong to. Defaults to IST so the day rolls over at
+ * local midnight regardless of the server's timezone.
+ */
+const getBusinessDay = (date = new Date()) => moment(date).utcOffset(process.env.ORDER_NUMBER_UTC_OFFSET || BUSINESS_UTC_OFFSET);
+
+const getCounterKey = (day) => `orderNumber:${day.format('YYYYMMDD')}`;
+
+/**
+ * Renders an order number for a business day and sequence value.
+ */
+const formatOrderNumber = (day, sequence, format = getFormat()) => format
+  .replace(/\{YYYY\}/g, day.format('YYYY'))
+  .replace(/\{YY\}/g, day.format('YY'))
+  .replace(/\{MM\}/g, day.format('MM'))
+  .replace(/\{DD\}/g, day.format('DD'))
+  .replace(/\{SEQ\}/g, String(sequence).padStart(getSequencePadding(), '0'));
+
+/**
+ * Reverses formatOrderNumber. Returns { dayKey, sequence } or null when the value does not
+ * match the configured format.
+ */
+const parseOrderNumber = (orderNumber, format = getFormat()) => {
+  if (typeof orderNumber !== 'string') {
+    return null;
+  }
+
+  const tokens = [];
+  const pattern = escapeRegExp(format).replace(/\\\{(YYYY|YY|MM|DD|SEQ)\\\}/g, (match, token) => {
+    tokens.push(token);
+    return token === 'SEQ' ? `(\\d{${getSequencePadding()},})` : TOKEN_PATTERNS[token];
+  });
+
+  const match = new RegExp(`^${pattern}$`).exec(orderNumber.trim());
+  if (!match) {
+    return null;
+  }
+
+  const parts = {};
+  tokens.forEach((token, index) => {
+    parts[token] = match[index + 1];
+  });
+
+  const year = parts.YYYY || `20${parts.YY}`;
+  const day = moment(`${year}-${parts.MM}-${parts.DD}`, 'YYYY-MM-DD', true);
+  if (!day.isValid()) {
+    return null;
+  }
+
+  return {
+    dayKey: `orderNumber:${year}${parts.MM}${parts.DD}`,
+    sequence: Number.parseInt(parts.SEQ, 10)
+  };
+};
+
+/**
+ * Takes the next number from today's sequence. Numbers are never handed out twice, even
+ * after orders are deleted; values already used by legacy orders are skipped.
+ */
+const reserveOrderNumber = async (date = new Date()) => {
+  const day = getBusinessDay(date);
+  const key = getCounterKey(day);
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt += 1) {
+    const sequence = await Counter.next(key);
+    const orderNumber = formatOrderNumber(day, sequence);
+
+    if (!(await Order.exists({ orderNumber }))) {
+      return orderNumber;
+    }
+  }
+
+  throw new Error(`Unable to allocate an unused order number for ${day.format('YYYY-MM-DD')}`);
+};
+
+/**
+ * Reserves a number for a customer's checkout (POST /api/orders/next-number). Asking again
+ * while the reservation is open returns the same number, so repeated calls don't use up the
+ * sequence.
+ *
+ * @param {string} holderKey "user:<id>" or "ip:<address>"
+ */
+const reserveOrderNumberFor = async (holderKey, now = new Date()) => {
+  const dayKey = getCounterKey(getBusinessDay(now));
+  const open = await OrderNumberReservation.findOne({
+    holderKey,
+    dayKey,
+    status: 'reserved',
+    expiresAt: { $gt: now }
+  }).lean();
+  if (open) {
+    return open.orderNumber;
+  }
+
+  const orderNumber = await reserveOrderNumber(now);
+  await OrderNumberReservation.create({
+    orderNumber,
+    holderKey,
+    dayKey,
+    expiresAt: new Date(now.getTime() + RESERVATION_TTL_MINUTES * 60 * 1000)
+  });
+  return orderNumber;
+};
+
+/**
+ * Accepts a number reserved with reserveOrderNumberFor. The claim is a single atomic update,
+ * so a number can only be used once, by the customer it was reserved for, on its own day.
+ * Returns null when it can't be used.
+ */
+const claimReservedOrderNumber = async (orderNumber, holderKey, now = new Date()) => {
+  const parsed = parseOrderNumber(orderNumber);
+  if (!parsed || !holderKey || parsed.dayKey !== getCounterKey(getBusinessDay(now))) {
+    return null;
+  }
+
+  const claimed = await OrderNumberReservation.findOneAndUpdate(
+    {
+      orderNumber: orderNumber.trim(),
+      holderKey,
+      dayKey: parsed.dayKey,
+      status: 'reserved',
+      expiresAt: { $gt: now }
+    },
+    { status: 'claimed', claimedAt: now },
+    { new: true }
+  );
+  return claimed ? claimed.orderNumber : null;
+};
+
+/**
+ * Uses the customer's reserved number when it is still theirs to use, otherwise takes a new one.
+ */
+const resolveOrderNumber = async (reservedOrderNumber, holderKey) => {
+  if (reservedOrderNumber) {
+    const claimed = await claimReservedOrderNumber(reservedOrderNumber, holderKey);
+    if (claimed) {
+      return claimed;
+    }
+  }
+
+  return reserveOrderNumber();
+};
+
+module.exports = {
+  claimReservedOrderNumber,
+  formatOrderNumber,
+  getBusinessDay,
+  parseOrderNumber,
+  reserveOrderNumber,
+  reserveOrderNumberFor,
+  resolveOrderNumber,
+};
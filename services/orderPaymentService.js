@@ -0,0 +1,182 @@
+const Order = require('../models/Order');
+const razorpayService = require('./razorpayService');
+const {
+  ensureOrderStockCommitted,
+  isStockUnavailableError,
+  releaseRazorpayHolds,
+} = require('./stockReservationService');
+const { roundAmount } = require('../utils/money');
+
+/**
+ * Records a captured Razorpay payment on an order and converts its stock hold into a sale.
+ * Safe to call repeatedly (browser verification, webhooks and the reconciler can all race).
+ * The caller is responsible for saving the order.
+ *
+ * @param {Object} order Order document
+ * @param {Object} payment
+ * @param {string} payment.paymentId Razorpay payment id
+ * @param {string} [payment.signature] Checkout signature, when confirmed by the browser
+ * @param {string} [payment.source] Where the confirmation came from, for the tracking history
+ * @returns {Promise<boolean>} true when the order changed
+ */
+const markOrderPaid = async (order, { paymentId, signature, source = 'checkout' } = {}) => {
+  const details = order.paymentDetails;
+  const alreadyPaid = details.status === 'paid' && details.razorpayPaymentId === paymentId;
+  if (alreadyPaid && order.stockReservationStatus !== 'held') {
+    return false;
+  }
+
+  details.razorpayPaymentId = paymentId || details.razorpayPaymentId;
+  if (signature) {
+    details.razorpaySignature = signature;
+  }
+  details.status = 'paid';
+  details.paidAt = details.paidAt || new Date();
+  details.failureReason = undefined;
+
+  try {
+    await ensureOrderStockCommitted(order);
+  } catch (stockError) {
+    if (!isStockUnavailableError(stockError)) {
+      throw stockError;
+    }
+    // The customer has paid; flag it for the team rather than rejecting the payment
+    console.error(`❌ Paid order ${order.orderNumber} lost its stock hold: ${stockError.message}`);
+  }
+
+  if (!alreadyPaid && source !== 'checkout') {
+    order.trackingHistory.push({
+      status: order.status,
+      message: `Payment ${details.razorpayPaymentId} confirmed via ${source}`,
+      timestamp: new Date()
+    });
+  }
+
+  return true;
+};
+
+/**
+ * Records a failed payment attempt. Paid orders are left untouched (a later attempt may have
+ * succeeded). The stock hold is kept so the customer can retry until it expires.
+ * The caller is responsible for saving the order.
+ *
+ * @returns {boolean} true when the order changed
+ */
+const markOrderPaymentFailed = (order, { reason } = {}) => {
+  const details = order.paymentDetails;
+  if (details.status === 'paid') {
+    return false;
+  }
+
+  const failureReason = reason || 'Payment failed';
+  if (details.status === 'failed' && details.failureReason === failureReason) {
+    return false;
+  }
+
+  details.status = 'failed';
+  details.failureReason = failureReason;
+
+  return true;
+};
+
+/**
+ * Refunds a captured checkout payment that no order will be placed for (stock ran out, the
+ * amount didn't match) and lets go of the stock held for it. A refund Razorpay turns down is
+ * logged for the team rather than thrown, since the caller is already answering with an error.
+ *
+ * @returns {Promise<Object|null>} The Razorpay refund, or null when it could not be issued
+ */
+const refundCheckoutPayment = async ({ razorpayOrderId, razorpayPaymentId, reason }) => {
+  let refund = null;
+  try {
+    const razorpayOrder = await razorpayService.fetchOrder(razorpayOrderId);
+    refund = await razorpayService.refundPayment(razorpayPaymentId, razorpayOrder.amount, { notes: { reason } });
+  } catch (error) {
+    console.error(`❌ Could not refund Razorpay payment ${razorpayPaymentId} (${reason}):`, error.message);
+  }
+  await releaseRazorpayHolds(razorpayOrderId, reason);
+  return refund;
+};
+
+// What the orders paid through one Razorpay order (several for a multi-recipient checkout)
+// come to, in minor units of their currency
+const getExpectedRazorpayAmount = (orders) => ({
+  amount: Math.round(roundAmount(orders.reduce((sum, order) => sum + (order.finalTotal ?? order.totalAmount ?? 0), 0)) * 100),
+  currency: orders[0]?.currency || 'INR'
+});
+
+/**
+ * Records a captured payment on the orders it paid for (browser verification, webhook,
+ * reconciler). Razorpay only captures the full amount of its order, so that order is checked
+ * against what the orders cost first: a payment for a different amount or currency is
+ * refunded and the orders marked payment failed instead of paid. The caller saves the
+ * changed orders.
+ *
+ * @param {Object[]} orders Orders to settle, all paid through `razorpayOrderId`
+ * @returns {Promise<{ refunded: boolean, changedOrders: Object[] }>}
+ */
+const settleCapturedPayment = async (orders, { razorpayOrderId, paymentId, signature, source } = {}) => {
+  const unpaid = orders.filter((order) => !(order.paymentDetails.status === 'paid' && order.paymentDetails.razorpayPaymentId === paymentId));
+
+  if (unpaid.length > 0) {
+    const [razorpayOrder, group] = await Promise.all([
+      razorpayService.fetchOrder(razorpayOrderId),
+      Order.find({ 'paymentDetails.razorpayOrderId': razorpayOrderId })
+    ]);
+    const expected = getExpectedRazorpayAmount(group.length > 0 ? group : orders);
+    if (razorpayOrder.amount !== expected.amount || razorpayOrder.currency !== expected.currency) {
+      console.error(`❌ Razorpay payment ${paymentId} was for ${razorpayOrder.amount} ${razorpayOrder.currency}, expected ${expected.amount} ${expected.currency}`);
+      await refundCheckoutPayment({ razorpayOrderId, razorpayPaymentId: paymentId, reason: 'amount_mismatch' });
+      const reason = 'The amount paid did not match the order total and was refunded';
+      return { refunded: true, changedOrders: unpaid.filter((order) => markOrderPaymentFailed(order, { reason })) };
+    }
+  }
+
+  const changedOrders = [];
+  for (const order of orders) {
+    if (await markOrderPaid(order, { paymentId, signature, source })) {
+      changedOrders.push(order);
+    }
+  }
+  return { refunded: false, changedOrders };
+};
+
+/**
+ * True when the customer has paid for the order online. Orders placed before payment
+ * status was tracked count as paid once they carry a Razorpay payment id.
+ */
+const isOrderPaidOnline = (order) => {
+  const details = order.paymentDetails || {};
+  if (details.method !== 'razorpay') {
+    return false;
+  }
+  return details.status ? details.status === 'paid' : Boolean(details.razorpayPaymentId);
+};
+
+/**
+ * Settles what the customer has paid (less refunds) against the current order total.
+ * Cash orders have paid nothing yet, so their whole total is due on delivery.
+ *
+ * @returns {{ amountPaid: number, refundedAmount: number, balanceDue: number, refundOwed: number }}
+ */
+const calculateOrderBalance = (order) => {
+  const amountPaid = isOrderPaidOnline(order) ? (order.amountPaid ?? order.totalAmount ?? 0) : 0;
+  const refundedAmount = order.refundedAmount || 0;
+  const difference = roundAmount((order.totalAmount || 0) - (amountPaid - refundedAmount));
+
+  return {
+    amountPaid: roundAmount(amountPaid),
+    refundedAmount: roundAmount(refundedAmount),
+    balanceDue: Math.max(0, difference),
+    refundOwed: Math.max(0, -difference)
+  };
+};
+
+module.exports = {
+  calculateOrderBalance,
+  isOrderPaidOnline,
+  markOrderPaid,
+  markOrderPaymentFailed,
+  refundCheckoutPayment,
+  settleCapturedPayment,
+};
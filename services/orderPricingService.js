@@ -0,0 +1,359 @@
+const moment = require('moment');
+const AddonProduct = require('../models/AddonProduct');
+const Holiday = require('../models/Holiday');
+const Product = require('../models/Product');
+const PromoCode = require('../models/PromoCode');
+const ValentineSettings = require('../models/ValentineSettings');
+const deliveryService = require('./deliveryService');
+const gstService = require('./gstService');
+const { BUSINESS_UTC_OFFSET } = require('../utils/businessDay');
+const { roundAmount } = require('../utils/money');
+const { ServiceError } = require('../utils/serviceError');
+
+const SAME_DAY_CUTOFF_HOUR = 18;
+// Built on the storefront from the flowers the customer picks, so it has no catalogue price
+const GIFT_BOX_TITLE = 'Custom Valentine Gift Box';
+
+class OrderPricingError extends ServiceError {
+  constructor(message, details) {
+    super(message, 400, { details });
+  }
+}
+
+const isOrderPricingError = (error) => error instanceof OrderPricingError;
+
+const calculateSubtotal = (items = []) => roundAmount(
+  items.reduce((sum, item) => sum + (item.finalPrice || item.price) * item.quantity, 0)
+);
+
+const getVariantLabel = (variant) => variant?.label || variant?.name || null;
+
+/**
+ * Catalogue price for a product and optional size variant, with the product discount applied
+ * the same way the storefront does.
+ */
+const getCataloguePrice = (product, productModel, selectedVariant) => {
+  if (productModel === 'AddonProduct') {
+    const hasDiscount = product.discountedPrice > 0 && product.discountedPrice < product.price;
+    return { price: product.price, finalPrice: hasDiscount ? product.discountedPrice : product.price };
+  }
+
+  const label = getVariantLabel(selectedVariant);
+  let price = product.price;
+  if (label) {
+    const variant = (product.priceVariants || []).find((entry) => entry.label === label);
+    if (!variant) {
+      throw new OrderPricingError(`Variant "${label}" is not available for ${product.title}`);
+    }
+    price = variant.price;
+  }
+
+  const finalPrice = product.discount > 0 ? Math.round(price * (1 - product.discount / 100)) : price;
+  return { price, finalPrice };
+};
+
+// Valentine's Week products can have their own price per delivery day ("14 Feb")
+const getDateWisePrice = (product, deliveryDate) => {
+  if (!deliveryDate || typeof product.dateWisePricing?.get !== 'function') {
+    return undefined;
+  }
+  const day = new Date(deliveryDate).getDate();
+  return product.dateWisePricing.get(`${day} Feb`) ?? product.dateWisePricing.get(`${day} February`);
+};
+
+// Personalised text costs extra past the characters included in the price, up to the
+// product's maxExtraPrice when it has one
+const getPersonalizationCharge = (product, characterCount) => {
+  if (!product.personalizationEnabled || !(product.pricePerCharacter > 0)) {
+    return 0;
+  }
+  const charge = Math.max(0, (characterCount || 0) - (product.baseIncludedCharacters || 0)) * product.pricePerCharacter;
+  return product.maxExtraPrice > 0 ? Math.min(charge, product.maxExtraPrice) : charge;
+};
+
+/**
+ * Prices checkout items from the catalogue in rupees, ignoring the prices the client sent:
+ * the product or variant price less its discount (or the Valentine's Week price for the
+ * delivery day), plus any personalisation charge. Custom gift boxes keep their storefront
+ * price, since they are priced from the flowers chosen for them.
+ *
+ * @returns {Promise<Array>} Copies of the items with `price` and `finalPrice` set
+ * @throws {OrderPricingError} when a product no longer exists
+ */
+const priceCatalogueItems = async (items = [], { deliveryDate } = {}) => {
+  const priced = [];
+  for (const item of items) {
+    const productModel = item.productModel === 'AddonProduct' ? 'AddonProduct' : 'Product';
+    const productId = item.product?._id || item.product || item.productId;
+    const Model = productModel === 'AddonProduct' ? AddonProduct : Product;
+    const product = productId ? await Model.findById(productId) : null;
+    if (!product) {
+      throw new OrderPricingError(`${item.title || 'A product in your cart'} is no longer available`, { product: productId || null });
+    }
+
+    if (productModel === 'Product' && product.title === GIFT_BOX_TITLE) {
+      priced.push({ ...item });
+      continue;
+    }
+
+    const catalogue = getCataloguePrice(product, productModel, item.selectedVariant);
+    const datePrice = productModel === 'Product' ? getDateWisePrice(product, deliveryDate) : undefined;
+    const characterCount = item.characterCount || item.customizations?.personalization?.characterCount || 0;
+    const extra = productModel === 'Product' ? getPersonalizationCharge(product, characterCount) : 0;
+    const unitPrice = datePrice ?? catalogue.finalPrice;
+
+    priced.push({
+      ...item,
+      price: roundAmount((datePrice ?? catalogue.price) + extra),
+      finalPrice: roundAmount(unitPrice + extra)
+    });
+  }
+  return priced;
+};
+
+/**
+ * Checks a delivery date against the IST calendar: not in the past, same-day only before
+ * 6:00 PM, and not on a shop holiday.
+ */
+const validateDeliveryDate = async (deliveryDate, { now = new Date() } = {}) => {
+  if (!deliveryDate) {
+    return;
+  }
+
+  const deliveryDay = moment(deliveryDate).utcOffset(BUSINESS_UTC_OFFSET).startOf('day');
+  const currentIST = moment(now).utcOffset(BUSINESS_UTC_OFFSET);
+
+  if (deliveryDay.isBefore(currentIST, 'day')) {
+    throw new OrderPricingError('Delivery date cannot be in the past.');
+  }
+
+  if (deliveryDay.isSame(currentIST, 'day') && currentIST.hour() >= SAME_DAY_CUTOFF_HOUR) {
+    throw new OrderPricingError('Same-day delivery is available only for orders placed before 6:00 PM. Please select the next available delivery date.');
+  }
+
+  // Holidays are stored as calendar days, so look them up by the IST date
+  const holiday = await Holiday.isHoliday(new Date(deliveryDay.year(), deliveryDay.month(), deliveryDay.date()));
+  if (holiday) {
+    throw new OrderPricingError(`We are not delivering on ${deliveryDay.format('D MMM YYYY')} (${holiday.name}). Please choose another date.`, {
+      holiday: holiday.name
+    });
+  }
+};
+
+/**
+ * Valentine's Week rules: Valentine products need an allowed date inside 8–15 Feb with stock
+ * and the date-wise price, regular products can't use those dates, and the two can't be mixed.
+ */
+const validateOrderValentineRules = async (items, shippingDetails) => {
+  const settings = await ValentineSettings.findOne();
+  const isValentineEnabled = settings ? settings.enabled : false;
+
+  let hasValentine = false;
+  let hasRegular = false;
+
+  const deliveryDate = shippingDetails && shippingDetails.deliveryDate ? new Date(shippingDetails.deliveryDate) : null;
+
+  for (const item of items) {
+    const productId = item.product?._id || item.product || item.productId;
+    if (!productId) continue;
+    const prod = await Product.findById(productId);
+    if (!prod) continue;
+
+    const isVal = prod.productType === 'valentine' || prod.isValentineProduct;
+    if (isVal) {
+      hasValentine = true;
+    } else {
+      hasRegular = true;
+    }
+
+    if (isVal) {
+      // Valentine product checks
+      if (!isValentineEnabled) {
+        throw new OrderPricingError("Valentine Special products are not available currently.");
+      }
+
+      if (!deliveryDate) {
+        throw new OrderPricingError("Delivery date is required for Valentine Special products.");
+      }
+
+      // Check if delivery date is within Valentine Week (8 Feb - 15 Feb)
+      const dMonth = deliveryDate.getMonth(); // 1 = Feb
+      const dDate = deliveryDate.getDate();
+      const isValentineWeek = (dMonth === 1 && dDate >= 8 && dDate <= 15);
+
+      if (!isValentineWeek) {
+        throw new OrderPricingError("Valentine Special products can only be delivered during Valentine's Week (8 Feb - 15 Feb).");
+      }
+
+      // Check if selected date is allowed for this product
+      const dayStr = `${dDate} Feb`;
+      const fullDayStr = `${dDate} February`;
+
+      const isDateAllowed = prod.availableDates.some(availDate => {
+        const cleanAvail = availDate.trim().toLowerCase();
+        return cleanAvail === dayStr.toLowerCase() ||
+               cleanAvail === fullDayStr.toLowerCase() ||
+               cleanAvail.includes(String(dDate));
+      });
+
+      if (!isDateAllowed && prod.availableDates && prod.availableDates.length > 0) {
+        throw new OrderPricingError(`Product "${prod.title || prod.name}" is not available for delivery on ${dayStr}.`);
+      }
+
+      // Check date-wise inventory
+      if (prod.dateWiseStock && typeof prod.dateWiseStock.get === 'function') {
+        const stockForDate = prod.dateWiseStock.get(dayStr) ?? prod.dateWiseStock.get(fullDayStr);
+        if (stockForDate !== undefined && stockForDate <= 0) {
+          throw new OrderPricingError(`Sold Out For Selected Date`);
+        }
+      }
+
+      // Check date-wise pricing
+      if (prod.dateWisePricing && typeof prod.dateWisePricing.get === 'function') {
+        const priceForDate = prod.dateWisePricing.get(dayStr) ?? prod.dateWisePricing.get(fullDayStr);
+        if (priceForDate !== undefined) {
+          const expectedPrice = priceForDate;
+          const itemPrice = item.finalPrice || item.price;
+          if (Math.abs(itemPrice - expectedPrice) > 5) {
+            throw new OrderPricingError(`Pricing mismatch for "${prod.title || prod.name}" on ${dayStr}. Expected ₹${expectedPrice}, got ₹${itemPrice}.`);
+          }
+        }
+      }
+    } else {
+      // Regular product checks
+      if (deliveryDate) {
+        const dMonth = deliveryDate.getMonth(); // 1 = Feb
+        const dDate = deliveryDate.getDate();
+        const isValentineWeek = (dMonth === 1 && dDate >= 8 && dDate <= 15);
+        if (isValentineWeek) {
+          throw new OrderPricingError("Valentine Week delivery dates are reserved exclusively for Valentine's Special products.");
+        }
+      }
+    }
+  }
+
+  // Prevent mixed carts
+  if (hasValentine && hasRegular) {
+    throw new OrderPricingError("Valentine Special products and Regular products cannot be checked out together because they follow different delivery schedules.");
+  }
+};
+
+/**
+ * Works out the promo code discount for a subtotal.
+ *
+ * A code already redeemed on the order (`keepExisting`) is only re-checked against its
+ * minimum order amount: its validity window and usage limit were settled at checkout.
+ * A newly applied code must pass every rule.
+ *
+ * @returns {Promise<{ promoCode: Object|null, discountAmount: number, reason?: string }>}
+ */
+const resolvePromoDiscount = async ({ code, subtotal, items = [], userId, keepExisting = false }) => {
+  if (!code) {
+    return { promoCode: null, discountAmount: 0 };
+  }
+
+  const promo = await PromoCode.findOne({ code: String(code).trim().toUpperCase() });
+  if (!promo) {
+    return { promoCode: null, discountAmount: 0, reason: 'Promo code not found' };
+  }
+
+  let check;
+  if (!keepExisting) {
+    check = promo.isApplicableToOrder({ totalAmount: subtotal, items, userId });
+  } else if (subtotal < promo.minimumOrderAmount) {
+    check = { valid: false, reason: `Minimum order amount of ₹${promo.minimumOrderAmount} required` };
+  } else {
+    check = { valid: true };
+  }
+
+  if (!check.valid) {
+    return { promoCode: null, discountAmount: 0, reason: check.reason };
+  }
+
+  const discountAmount = promo.calculateDiscount(subtotal);
+  return {
+    promoCode: { code: promo.code, discountAmount, promoCodeId: promo._id },
+    discountAmount
+  };
+};
+
+/**
+ * Prices items and a delivery slot the way checkout does.
+ *
+ * @param {Object} params
+ * @param {Array} params.items Order items ({ price, finalPrice, quantity })
+ * @param {Object} params.shippingDetails Needs timeSlot, email and phone
+ * @param {string} [params.userId]
+ * @param {string} [params.excludeOrderId] Order being repriced, so it doesn't cost itself first-order free delivery
+ * @param {number} [params.discount]
+ * @param {Object} [params.giftDetails] For the GST on gift wrapping
+ * @returns {Promise<{ subtotal: number, deliveryCharge: number, isFirstOrderFreeDelivery: boolean, standardFee: number, deliveryChargeBreakdown: Array, surge: Object|undefined, discount: number, taxAmount: number, finalTotal: number }>}
+ */
+const priceOrder = async ({ items, shippingDetails = {}, userId, excludeOrderId, discount = 0, giftDetails }) => {
+  const subtotal = calculateSubtotal(items);
+  const fee = await deliveryService.calculateDeliveryFee({
+    subtotal,
+    timeSlot: shippingDetails.timeSlot,
+    deliveryDate: shippingDetails.deliveryDate,
+    userId,
+    email: shippingDetails.email,
+    phone: shippingDetails.phone,
+    excludeOrderId,
+    location: { latitude: shippingDetails.latitude, longitude: shippingDetails.longitude }
+  });
+
+  const appliedDiscount = roundAmount(Math.min(Math.max(0, discount), subtotal + fee.deliveryCharge));
+  const taxAmount = await gstService.calculateCheckoutTax({
+    items,
+    deliveryCharge: fee.deliveryCharge,
+    discount: appliedDiscount,
+    shippingDetails,
+    giftDetails,
+  });
+
+  return {
+    subtotal,
+    deliveryCharge: fee.deliveryCharge,
+    isFirstOrderFreeDelivery: fee.isFirstOrderFreeDelivery,
+    standardFee: fee.standardFee,
+    deliveryZone: fee.zone?._id,
+    deliveryChargeBreakdown: fee.breakdown,
+    deliveryDistanceKm: fee.distanceKm ?? undefined,
+    surge: fee.surge || undefined,
+    discount: appliedDiscount,
+    taxAmount,
+    finalTotal: roundAmount(subtotal + fee.deliveryCharge - appliedDiscount + taxAmount)
+  };
+};
+
+/**
+ * Prices a checkout for one recipient entirely on the server: items from the catalogue, the
+ * discount from the promo code, then delivery and GST. An unusable promo code just gives no
+ * discount. Amounts are in rupees; convert them for the order currency afterwards.
+ *
+ * @returns {Promise<Object>} The priced items, the applied promo code and the priceOrder totals
+ */
+const priceCheckout = async ({ items, shippingDetails = {}, giftDetails, promoCode, userId }) => {
+  const pricedItems = await priceCatalogueItems(items, { deliveryDate: shippingDetails.deliveryDate });
+  const promo = await resolvePromoDiscount({
+    code: promoCode?.code || promoCode,
+    subtotal: calculateSubtotal(pricedItems),
+    items: pricedItems,
+    userId,
+  });
+  const pricing = await priceOrder({ items: pricedItems, shippingDetails, userId, discount: promo.discountAmount, giftDetails });
+  return { items: pricedItems, promoCode: promo.promoCode, ...pricing };
+};
+
+module.exports = {
+  OrderPricingError,
+  calculateSubtotal,
+  getCataloguePrice,
+  isOrderPricingError,
+  priceCatalogueItems,
+  priceCheckout,
+  priceOrder,
+  resolvePromoDiscount,
+  validateDeliveryDate,
+  validateOrderValentineRules,
+};
@@ -0,0 +1,543 @@
+const moment = require('moment');
+const mongoose = require('mongoose');
+const pdf = require('html-pdf');
+const DeliveryEarning = require('../models/DeliveryEarning');
+const DeliveryPayout = require('../models/DeliveryPayout');
+const jobQueueService = require('./jobQueueService');
+const { ensurePhantomJS, getPdfFooter, getPdfHeader, getPdfOptions } = require('../utils/pdfHelper');
+const { BUSINESS_UTC_OFFSET, parseBusinessDay } = require('../utils/businessDay');
+const { escapeHtml } = require('../utils/html');
+const { roundAmount } = require('../utils/money');
+const { ServiceError } = require('../utils/serviceError');
+
+const WEEKLY_RUN_JOB = 'delivery.weeklyPayoutRun';
+const WEEKLY_RUN_KEY = 'partner-payout-run';
+const WEEKLY_RUN_HOUR = 6;
+const PAYMENT_METHODS = ['bank_transfer', 'upi', 'cash'];
+const MAX_RUN_DAYS = 31;
+
+class PartnerPayoutError extends ServiceError {}
+
+const isPartnerPayoutError = (error) => error instanceof PartnerPayoutError;
+
+/**
+ * The last full pay week before `now`: Monday 00:00 to the following Monday 00:00 (IST),
+ * end exclusive.
+ *
+ * @returns {{ startDate: Date, endDate: Date }}
+ */
+const getSettlementPeriod = (now = new Date()) => {
+  const thisMonday = moment(now).utcOffset(BUSINESS_UTC_OFFSET).startOf('isoWeek');
+  return {
+    startDate: thisMonday.clone().subtract(1, 'week').toDate(),
+    endDate: thisMonday.toDate(),
+  };
+};
+
+/**
+ * Pay period from inclusive YYYY-MM-DD days; without both, the last full week.
+ */
+const resolvePeriod = ({ from, to, now = new Date() } = {}) => {
+  if (!from && !to) {
+    return getSettlementPeriod(now);
+  }
+  if (!from || !to) {
+    throw new PartnerPayoutError('Provide both from and to, or neither for last week');
+  }
+
+  const start = parseBusinessDay(from, 'from', PartnerPayoutError);
+  const end = parseBusinessDay(to, 'to', PartnerPayoutError).add(1, 'day');
+  if (!end.isAfter(start)) {
+    throw new PartnerPayoutError('to must not be before from');
+  }
+  if (end.diff(start, 'days') > MAX_RUN_DAYS) {
+    throw new PartnerPayoutError(`A payout run can cover at most ${MAX_RUN_DAYS} days`);
+  }
+
+  return { startDate: start.toDate(), endDate: end.toDate() };
+};
+
+// Rows written before the breakdown was stored only have amount, basePay and bonus
+const getDistancePay = (earning) => (
+  earning.distancePay ? earning.distancePay : Math.max(0, (earning.amount || 0) - (earning.basePay || 0) - (earning.bonus || 0))
+);
+
+/**
+ * Totals a partner's earnings for a statement. `amount` already includes base pay, per-km
+ * pay (with the peak multiplier) and route bonuses; tips are paid on top of it.
+ *
+ * @returns {{ deliveries: number, basePay: number, distancePay: number, tips: number, bonus: number, grossEarnings: number }}
+ */
+const summarizeEarnings = (earnings) => {
+  const totals = earnings.reduce((sum, earning) => ({
+    deliveries: sum.deliveries + (earning.batchId ? earning.stopsDelivered || 0 : 1),
+    basePay: sum.basePay + (earning.basePay || 0),
+    distancePay: sum.distancePay + getDistancePay(earning),
+    tips: sum.tips + (earning.tips || 0),
+    bonus: sum.bonus + (earning.bonus || 0),
+    grossEarnings: sum.grossEarnings + (earning.amount || 0) + (earning.tips || 0),
+  }), { deliveries: 0, basePay: 0, distancePay: 0, tips: 0, bonus: 0, grossEarnings: 0 });
+
+  return {
+    deliveries: totals.deliveries,
+    basePay: roundAmount(totals.basePay),
+    distancePay: roundAmount(totals.distancePay),
+    tips: roundAmount(totals.tips),
+    bonus: roundAmount(totals.bonus),
+    grossEarnings: roundAmount(totals.grossEarnings),
+  };
+};
+
+/**
+ * Recomputes a payout's summary from its earnings and adjustments.
+ */
+const applySummary = (payout, earnings) => {
+  const adjustments = payout.adjustments || [];
+  const sumOf = (type) => roundAmount(adjustments.filter((entry) => entry.type === type).reduce((sum, entry) => sum + entry.amount, 0));
+  const summary = summarizeEarnings(earnings);
+  const added = sumOf('adjustment');
+  const deducted = sumOf('deduction');
+
+  payout.summary = {
+    ...summary,
+    adjustments: added,
+    deductions: deducted,
+    netAmount: roundAmount(summary.grossEarnings + added - deducted),
+  };
+  return payout;
+};
+
+/**
+ * Settles every unsettled pending earning in a period: one payout per partner. Earnings are
+ * claimed by setting their payoutId, so overlapping runs never pay the same row twice.
+ *
+ * @param {Object} [params]
+ * @param {string} [params.from] First day (YYYY-MM-DD, IST); defaults to last week
+ * @param {string} [params.to] Last day, inclusive
+ * @param {string} [params.partnerId] Only settle this partner
+ * @param {Object} [params.createdBy] Admin user starting the run
+ * @returns {Promise<{ period: Object, payouts: Array }>}
+ * @throws {PartnerPayoutError}
+ */
+const createPayoutRun = async ({ from, to, partnerId, createdBy, now = new Date() } = {}) => {
+  const period = resolvePeriod({ from, to, now });
+  const filter = {
+    status: 'pending',
+    payoutId: null,
+    date: { $gte: period.startDate, $lt: period.endDate },
+  };
+  if (partnerId) filter.partnerId = partnerId;
+
+  const earnings = await DeliveryEarning.find(filter).sort({ date: 1 });
+  const byPartner = new Map();
+  earnings.forEach((earning) => {
+    const key = String(earning.partnerId);
+    if (!byPartner.has(key)) byPartner.set(key, []);
+    byPartner.get(key).push(earning);
+  });
+
+  const payouts = [];
+  for (const [partnerKey, partnerEarnings] of byPartner) {
+    const payout = new DeliveryPayout({
+      partnerId: partnerKey,
+      period,
+      earnings: partnerEarnings.map((earning) => earning._id),
+      createdBy: createdBy?._id,
+    });
+    applySummary(payout, partnerEarnings);
+    await payout.save();
+
+    const claim = await DeliveryEarning.updateMany(
+      { _id: { $in: payout.earnings }, payoutId: null },
+      { $set: { payoutId: payout._id } }
+    );
+
+    if (claim.modifiedCount !== partnerEarnings.length) {
+      // Another run took some of these rows first; keep only what this payout claimed
+      const claimed = await DeliveryEarning.find({ payoutId: payout._id });
+      if (claimed.length === 0) {
+        await DeliveryPayout.deleteOne({ _id: payout._id });
+        continue;
+      }
+      payout.earnings = claimed.map((earning) => earning._id);
+      applySummary(payout, claimed);
+      await payout.save();
+    }
+
+    payouts.push(payout);
+  }
+
+  return { period, payouts };
+};
+
+const findPayout = async (payoutId) => {
+  const payout = await DeliveryPayout.findById(payoutId);
+  if (!payout) {
+    throw new PartnerPayoutError('Payout not found', 404);
+  }
+  return payout;
+};
+
+/**
+ * Adds a manual adjustment (extra pay) or deduction (e.g. damaged stock, cash shortfall) to a
+ * payout that hasn't been paid yet.
+ *
+ * @param {string} payoutId
+ * @param {Object} entry
+ * @param {'adjustment'|'deduction'} entry.type
+ * @param {number} entry.amount Positive amount
+ * @param {string} entry.reason Shown on the partner's statement
+ * @param {Object} [entry.user] Admin user
+ * @returns {Promise<Object>} The payout
+ * @throws {PartnerPayoutError}
+ */
+const addAdjustment = async (payoutId, { type, amount, reason, user } = {}) => {
+  if (!['adjustment', 'deduction'].includes(type)) {
+    throw new PartnerPayoutError("type must be 'adjustment' or 'deduction'");
+  }
+  const value = Number(amount);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new PartnerPayoutError('amount must be a positive number');
+  }
+  if (!reason || !String(reason).trim()) {
+    throw new PartnerPayoutError('reason is required');
+  }
+
+  const payout = await findPayout(payoutId);
+  if (payout.status !== 'pending') {
+    throw new PartnerPayoutError('Only unpaid payouts can be adjusted', 409);
+  }
+
+  const earnings = await DeliveryEarning.find({ _id: { $in: payout.earnings } });
+  const entry = { type, amount: roundAmount(value), reason: String(reason).trim(), addedBy: user?._id };
+  const projected = applySummary({ adjustments: [...payout.adjustments, entry] }, earnings);
+  if (projected.summary.netAmount < 0) {
+    throw new PartnerPayoutError('Deductions cannot exceed what the partner earned in the period');
+  }
+
+  payout.adjustments.push(entry);
+  applySummary(payout, earnings);
+  await payout.save();
+  return payout;
+};
+
+/**
+ * Records that a payout was transferred and marks its earnings paid.
+ *
+ * @param {string} payoutId
+ * @param {Object} payment
+ * @param {string} payment.transactionReference Bank/UPI reference
+ * @param {'bank_transfer'|'upi'|'cash'} [payment.paymentMethod='bank_transfer']
+ * @param {Date|string} [payment.paidAt]
+ * @param {string} [payment.notes]
+ * @param {Object} [payment.user] Admin user
+ * @returns {Promise<Object>} The payout
+ * @throws {PartnerPayoutError}
+ */
+const markPayoutPaid = async (payoutId, { transactionReference, paymentMethod = 'bank_transfer', paidAt, notes, user } = {}) => {
+  if (!transactionReference || !String(transactionReference).trim()) {
+    throw new PartnerPayoutError('transactionReference is required');
+  }
+  if (!PAYMENT_METHODS.includes(paymentMethod)) {
+    throw new PartnerPayoutError(`paymentMethod must be one of: ${PAYMENT_METHODS.join(', ')}`);
+  }
+  const paidDate = paidAt ? new Date(paidAt) : new Date();
+  if (Number.isNaN(paidDate.getTime())) {
+    throw new PartnerPayoutError('paidAt must be a valid date');
+  }
+
+  const reference = String(transactionReference).trim();
+  const payout = await DeliveryPayout.findOneAndUpdate(
+    { _id: payoutId, status: 'pending' },
+    {
+      $set: {
+        status: 'paid',
+        paymentMethod,
+        transactionReference: reference,
+        paidAt: paidDate,
+        paidBy: user?._id,
+        ...(notes ? { notes } : {}),
+      },
+    },
+    { new: true }
+  );
+
+  if (!payout) {
+    await findPayout(payoutId);
+    throw new PartnerPayoutError('Payout has already been paid', 409);
+  }
+
+  await DeliveryEarning.updateMany(
+    { payoutId: payout._id },
+    { $set: { status: 'paid', paidAt: paidDate, transactionReference: reference } }
+  );
+
+  return payout;
+};
+
+const paginate = (page, limit, fallbackLimit) => {
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || fallbackLimit));
+  return { pageNum, limitNum, skip: (pageNum - 1) * limitNum };
+};
+
+/**
+ * Payouts, newest period first, optionally for one partner or status.
+ *
+ * @returns {Promise<{ payouts: Array, pagination: Object }>}
+ */
+const listPayouts = async ({ partnerId, status, page, limit } = {}) => {
+  const { pageNum, limitNum, skip } = paginate(page, limit, 20);
+  const filter = {};
+  if (partnerId) filter.partnerId = partnerId;
+  if (status) filter.status = status;
+
+  const [payouts, total] = await Promise.all([
+    DeliveryPayout.find(filter)
+      .sort({ 'period.startDate': -1, createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .select('-earnings')
+      .populate('partnerId', 'name phone email'),
+    DeliveryPayout.countDocuments(filter),
+  ]);
+
+  return {
+    payouts,
+    pagination: { page: pageNum, limit: limitNum, total, totalPages: Math.ceil(total / limitNum) },
+  };
+};
+
+/**
+ * A partner's earnings, newest first, with totals of what is unsettled, awaiting payment in
+ * a payout, and already paid.
+ *
+ * @param {string} partnerId
+ * @param {Object} [query] from/to (YYYY-MM-DD, inclusive), status ('pending'|'paid'), page, limit
+ * @returns {Promise<{ earnings: Array, totals: Object, pagination: Object }>}
+ * @throws {PartnerPayoutError}
+ */
+const getEarningsHistory = async (partnerId, { from, to, status, page, limit } = {}) => {
+  const { pageNum, limitNum, skip } = paginate(page, limit, 20);
+  const filter = { partnerId };
+  if (from) filter.date = { ...filter.date, $gte: parseBusinessDay(from, 'from', PartnerPayoutError).toDate() };
+  if (to) filter.date = { ...filter.date, $lt: parseBusinessDay(to, 'to', PartnerPayoutError).add(1, 'day').toDate() };
+  if (status) {
+    if (!['pending', 'paid'].includes(status)) {
+      throw new PartnerPayoutError("status must be 'pending' or 'paid'");
+    }
+    filter.status = status;
+  }
+
+  const [earnings, total, totalsByState] = await Promise.all([
+    DeliveryEarning.find(filter)
+      .sort({ date: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .populate('orderId', 'orderNumber'),
+    DeliveryEarning.countDocuments(filter),
+    DeliveryEarning.aggregate([
+      { $match: { ...filter, partnerId: new mongoose.Types.ObjectId(String(partnerId)) } },
+      {
+        $group: {
+          _id: {
+            $cond: [
+              { $eq: ['$status', 'paid'] },
+              'paid',
+              { $cond: [{ $ifNull: ['$payoutId', false] }, 'inPayout', 'unsettled'] },
+            ],
+          },
+          amount: { $sum: { $add: ['$amount', { $ifNull: ['$tips', 0] }] } },
+        },
+      },
+    ]),
+  ]);
+
+  const totals = { unsettled: 0, inPayout: 0, paid: 0 };
+  totalsByState.forEach((row) => {
+    totals[row._id] = roundAmount(row.amount);
+  });
+
+  return {
+    earnings,
+    totals,
+    pagination: { page: pageNum, limit: limitNum, total, totalPages: Math.ceil(total / limitNum) },
+  };
+};
+
+/**
+ * A payout with its earnings and partner, for the statement. Pass partnerId to only return
+ * the partner's own payout.
+ *
+ * @throws {PartnerPayoutError}
+ */
+const getPayoutDetails = async (payoutId, { partnerId } = {}) => {
+  const payout = await DeliveryPayout.findById(payoutId)
+    .populate('partnerId', 'name phone email vehicleType city')
+    .populate({
+      path: 'earnings',
+      options: { sort: { date: 1 } },
+      populate: { path: 'orderId', select: 'orderNumber' },
+    });
+
+  if (!payout || (partnerId && String(payout.partnerId?._id) !== String(partnerId))) {
+    throw new PartnerPayoutError('Payout not found', 404);
+  }
+  return payout;
+};
+
+const formatMoney = (value) => `&#8377;${roundAmount(value || 0).toFixed(2)}`;
+const formatDay = (value) => moment(value).utcOffset(BUSINESS_UTC_OFFSET).format('D MMM YYYY');
+
+/**
+ * Printable statement for a payout: the period, one line per earning, adjustments and the
+ * amount paid.
+ */
+const buildPayoutStatementHTML = (payout) => {
+  const partner = payout.partnerId || {};
+  const lastDay = moment(payout.period.endDate).subtract(1, 'ms');
+  const cell = 'padding: 6px; border-bottom: 1px solid #e5e7eb;';
+  const num = `${cell} text-align: right;`;
+
+  const earningRows = (payout.earnings || []).map((earning) => `
+        <tr>
+          <td style="${cell}">${escapeHtml(formatDay(earning.date))}</td>
+          <td style="${cell}">${earning.batchId ? `Route (${earning.stopsDelivered || 0} stops)` : `#${escapeHtml(earning.orderId?.orderNumber || '')}`}</td>
+          <td style="${num}">${formatMoney(earning.basePay)}</td>
+          <td style="${num}">${formatMoney(getDistancePay(earning))}${earning.peakMultiplier && earning.peakMultiplier !== 1 ? ` <span style="color: #6b7280;">(&times;${earning.peakMultiplier})</span>` : ''}</td>
+          <td style="${num}">${formatMoney(earning.bonus)}</td>
+          <td style="${num}">${formatMoney(earning.tips)}</td>
+          <td style="${num} font-weight: bold;">${formatMoney((earning.amount || 0) + (earning.tips || 0))}</td>
+        </tr>`).join('');
+
+  const adjustmentRows = (payout.adjustments || []).map((entry) => `
+        <tr>
+          <td style="${cell}">${escapeHtml(formatDay(entry.addedAt))}</td>
+          <td style="${cell}">${entry.type === 'deduction' ? 'Deduction' : 'Adjustment'}: ${escapeHtml(entry.reason)}</td>
+          <td style="${num}">${entry.type === 'deduction' ? '-' : ''}${formatMoney(entry.amount)}</td>
+        </tr>`).join('');
+
+  const { summary } = payout;
+  const summaryRow = (label, value, bold = false) => `
+        <tr>
+          <td style="padding: 4px 6px;${bold ? ' font-weight: bold; font-size: 13px;' : ''}">${label}</td>
+          <td style="padding: 4px 6px; text-align: right;${bold ? ' font-weight: bold; font-size: 13px;' : ''}">${value}</td>
+        </tr>`;
+
+  return `
+    <div style="font-family: 'Helvetica Neue', Helvetica, Arial, sans-serif; color: #1f2937;">
+      ${getPdfHeader('Payout Statement')}
+      <table style="width: 100%; font-size: 12px; margin-bottom: 12px;">
+        <tr>
+          <td>
+            <strong>${escapeHtml(partner.name)}</strong><br />
+            ${escapeHtml(partner.phone)}${partner.email ? ` &middot; ${escapeHtml(partner.email)}` : ''}
+          </td>
+          <td style="text-align: right;">
+            <strong>Period:</strong> ${escapeHtml(formatDay(payout.period.startDate))} to ${escapeHtml(formatDay(lastDay))}<br />
+            <strong>Status:</strong> ${payout.status === 'paid' ? `Paid ${escapeHtml(formatDay(payout.paidAt))} (Ref ${escapeHtml(payout.transactionReference)})` : 'Pending'}
+          </td>
+        </tr>
+      </table>
+
+      <table style="width: 100%; border-collapse: collapse; font-size: 11px;">
+        <tr style="background: #f3f4f6;">
+          <th style="padding: 6px; text-align: left;">Date</th>
+          <th style="padding: 6px; text-align: left;">Delivery</th>
+          <th style="padding: 6px; text-align: right;">Base</th>
+          <th style="padding: 6px; text-align: right;">Distance</th>
+          <th style="padding: 6px; text-align: right;">Bonus</th>
+          <th style="padding: 6px; text-align: right;">Tips</th>
+          <th style="padding: 6px; text-align: right;">Total</th>
+        </tr>${earningRows}
+      </table>
+
+      ${adjustmentRows ? `
+      <h3 style="font-size: 13px; margin: 16px 0 6px;">Adjustments &amp; deductions</h3>
+      <table style="width: 100%; border-collapse: collapse; font-size: 11px;">${adjustmentRows}
+      </table>` : ''}
+
+      <table style="width: 50%; margin: 16px 0 0 auto; font-size: 12px; border-collapse: collapse;">
+        ${summaryRow('Deliveries', summary.deliveries)}
+        ${summaryRow('Base pay', formatMoney(summary.basePay))}
+        ${summaryRow('Distance pay', formatMoney(summary.distancePay))}
+        ${summaryRow('Bonuses', formatMoney(summary.bonus))}
+        ${summaryRow('Tips', formatMoney(summary.tips))}
+        ${summaryRow('Gross earnings', formatMoney(summary.grossEarnings))}
+        ${summary.adjustments ? summaryRow('Adjustments', formatMoney(summary.adjustments)) : ''}
+        ${summary.deductions ? summaryRow('Deductions', `-${formatMoney(summary.deductions)}`) : ''}
+        ${summaryRow('Net payout', formatMoney(summary.netAmount), true)}
+      </table>
+    </div>`;
+};
+
+const generatePayoutStatementPDF = async (payout) => {
+  try {
+    await ensurePhantomJS();
+  } catch (err) {
+    console.error('❌ Failed to ensure PhantomJS binary for payout statement:', err.message);
+  }
+
+  return new Promise((resolve, reject) => {
+    const pdfOptions = getPdfOptions({
+      footer: { height: '12mm', contents: { default: getPdfFooter() } },
+    });
+
+    pdf.create(buildPayoutStatementHTML(payout), pdfOptions).toBuffer((err, buffer) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(buffer);
+      }
+    });
+  });
+};
+
+const isWeeklyRunEnabled = () => process.env.PARTNER_PAYOUT_WEEKLY_RUN === 'true';
+
+// Monday morning (IST) after the week being settled
+const getNextWeeklyRunAt = (now = new Date()) => {
+  const runAt = moment(now).utcOffset(BUSINESS_UTC_OFFSET).startOf('isoWeek').hour(WEEKLY_RUN_HOUR);
+  if (!runAt.isAfter(now)) {
+    runAt.add(1, 'week');
+  }
+  return runAt.toDate();
+};
+
+/**
+ * Queues the next weekly payout run when PARTNER_PAYOUT_WEEKLY_RUN=true (off by default, so
+ * runs are started by an admin). Safe to call on every start-up.
+ *
+ * @returns {Promise<Object|null>} The scheduled job
+ */
+const scheduleWeeklyPayoutRun = async ({ now = new Date() } = {}) => {
+  if (!isWeeklyRunEnabled()) {
+    await jobQueueService.cancelJobs({ uniqueKey: WEEKLY_RUN_KEY });
+    return null;
+  }
+
+  const runAt = getNextWeeklyRunAt(now);
+  return jobQueueService.scheduleJob(WEEKLY_RUN_JOB, {}, { runAt, uniqueKey: WEEKLY_RUN_KEY });
+};
+
+jobQueueService.defineJob(WEEKLY_RUN_JOB, async () => {
+  const { period, payouts } = await createPayoutRun();
+  console.log(`💸 Weekly partner payout run for ${formatDay(period.startDate)} created ${payouts.length} payout(s)`);
+  await scheduleWeeklyPayoutRun();
+});
+
+module.exports = {
+  PartnerPayoutError,
+  addAdjustment,
+  buildPayoutStatementHTML,
+  createPayoutRun,
+  generatePayoutStatementPDF,
+  getEarningsHistory,
+  getPayoutDetails,
+  getSettlementPeriod,
+  isPartnerPayoutError,
+  listPayouts,
+  markPayoutPaid,
+  scheduleWeeklyPayoutRun,
+  summarizeEarnings,
+};
@@ -0,0 +1,250 @@
+const moment = require('moment');
+const DeliverySetting = require('../models/DeliverySetting');
+const Notification = require('../models/Notification');
+const Order = require('../models/Order');
+const PartnerShift = require('../models/PartnerShift');
+const Settings = require('../models/settings');
+const { parseDayKey, todayKey, toDayKey } = require('../utils/businessDay');
+const { ServiceError } = require('../utils/serviceError');
+
+const MAX_PLAN_DAYS = 31;
+const MAX_SIGNUP_DAYS_AHEAD = 60;
+const UNDERSTAFFED_NOTICE_KIND = 'slot_understaffed';
+
+class PartnerShiftError extends ServiceError {}
+
+const isPartnerShiftError = (error) => error instanceof PartnerShiftError;
+
+const getDayRange = (from, to = from) => {
+  const start = parseDayKey(from, 'from', PartnerShiftError);
+  const end = parseDayKey(to, 'to', PartnerShiftError);
+  if (end.isBefore(start)) {
+    throw new PartnerShiftError('to must not be before from');
+  }
+  if (end.diff(start, 'days') >= MAX_PLAN_DAYS) {
+    throw new PartnerShiftError(`At most ${MAX_PLAN_DAYS} days can be shown at once`);
+  }
+  return { start, end, filter: { $gte: start.toDate(), $lte: end.clone().endOf('day').toDate() } };
+};
+
+const getEnabledTimeSlots = async () => {
+  const settings = await Settings.findOne();
+  return (settings?.deliverySettings?.timeSlots || []).filter((slot) => slot.enabled);
+};
+
+/**
+ * Signs a partner up to work a time slot on a delivery day. Signing up again for a shift
+ * that was cancelled reinstates it.
+ *
+ * @param {Object} partner DeliveryPartner
+ * @param {Object} params
+ * @param {string} params.date Delivery day (YYYY-MM-DD)
+ * @param {string} params.timeSlot One of the enabled delivery time slots
+ * @returns {Promise<Object>} The PartnerShift
+ * @throws {PartnerShiftError}
+ */
+const signUpForShift = async (partner, { date, timeSlot } = {}, { now = new Date() } = {}) => {
+  if (partner.isSuspended) {
+    throw new PartnerShiftError('Suspended partners cannot sign up for shifts', 403);
+  }
+
+  const day = parseDayKey(date, 'date', PartnerShiftError);
+  const today = moment.utc(todayKey(now));
+  if (day.isBefore(today)) {
+    throw new PartnerShiftError('Shifts cannot be added for past days');
+  }
+  if (day.diff(today, 'days') > MAX_SIGNUP_DAYS_AHEAD) {
+    throw new PartnerShiftError(`Shifts can be added at most ${MAX_SIGNUP_DAYS_AHEAD} days ahead`);
+  }
+
+  const timeSlots = await getEnabledTimeSlots();
+  if (!timeSlots.some((slot) => slot.time === timeSlot)) {
+    throw new PartnerShiftError(`timeSlot must be one of: ${timeSlots.map((slot) => slot.time).join(', ')}`);
+  }
+
+  return PartnerShift.findOneAndUpdate(
+    { partnerId: partner._id, date: day.toDate(), timeSlot },
+    { $set: { status: 'scheduled', zone: partner.zone || undefined }, $unset: { cancelledAt: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Cancels one of a partner's upcoming shifts.
+ *
+ * @returns {Promise<Object>} The PartnerShift
+ * @throws {PartnerShiftError}
+ */
+const cancelShift = async (partnerId, shiftId, { now = new Date() } = {}) => {
+  const shift = await PartnerShift.findOne({ _id: shiftId, partnerId });
+  if (!shift) {
+    throw new PartnerShiftError('Shift not found', 404);
+  }
+  if (toDayKey(shift.date) < todayKey(now)) {
+    throw new PartnerShiftError('Past shifts cannot be cancelled');
+  }
+
+  if (shift.status !== 'cancelled') {
+    shift.status = 'cancelled';
+    shift.cancelledAt = now;
+    await shift.save();
+  }
+  return shift;
+};
+
+/**
+ * A partner's shifts from today onwards (or in the given range), earliest first.
+ */
+const listPartnerShifts = async (partnerId, { from, to, now = new Date() } = {}) => {
+  const filter = { partnerId };
+  if (from || to) {
+    filter.date = getDayRange(from || todayKey(now), to || from).filter;
+  } else {
+    filter.date = { $gte: moment.utc(todayKey(now)).toDate() };
+  }
+  return PartnerShift.find(filter).sort({ date: 1, timeSlot: 1 });
+};
+
+/**
+ * Partners signed up for a delivery day and slot (admin roster).
+ */
+const listShiftRoster = async ({ date, timeSlot }) => {
+  const day = parseDayKey(date, 'date', PartnerShiftError);
+  return PartnerShift.find({ date: day.toDate(), status: 'scheduled', ...(timeSlot && { timeSlot }) })
+    .populate('partnerId', 'name phone vehicleType status availability activeOrders isSuspended')
+    .populate('zone', 'name')
+    .sort({ timeSlot: 1, createdAt: 1 });
+};
+
+/**
+ * Ids of partners on shift for an order's delivery day and slot. Orders without a delivery
+ * date have no shift, so nobody is preferred.
+ *
+ * @returns {Promise<Set<string>>}
+ */
+const getOnShiftPartnerIds = async ({ deliveryDate, timeSlot } = {}) => {
+  if (!deliveryDate || !timeSlot) return new Set();
+  const shifts = await PartnerShift.find({
+    date: moment.utc(toDayKey(deliveryDate)).toDate(),
+    timeSlot,
+    status: 'scheduled',
+  }).select('partnerId');
+  return new Set(shifts.map((shift) => String(shift.partnerId)));
+};
+
+const slotKey = (date, timeSlot) => `${toDayKey(date)}|${timeSlot}`;
+
+/**
+ * Staffing per delivery day and time slot: partners on shift, the orders they can handle
+ * (DeliverySetting.shiftOrdersPerPartner each) and the orders booked for the slot.
+ *
+ * @param {Object} [params]
+ * @param {string} [params.from] First delivery day (YYYY-MM-DD), defaults to today
+ * @param {string} [params.to] Last delivery day, defaults to `from`
+ * @returns {Promise<{ ordersPerPartner: number, days: Array<{ date: string, slots: Array }> }>}
+ * @throws {PartnerShiftError}
+ */
+const getCapacityPlan = async ({ from, to, now = new Date() } = {}) => {
+  const firstDay = from || todayKey(now);
+  const { start, end, filter } = getDayRange(firstDay, to || firstDay);
+  const [config, timeSlots, shiftCounts, orderCounts] = await Promise.all([
+    DeliverySetting.getSettings(),
+    getEnabledTimeSlots(),
+    PartnerShift.aggregate([
+      { $match: { date: filter, status: 'scheduled' } },
+      { $group: { _id: { date: '$date', timeSlot: '$timeSlot' }, partners: { $sum: 1 } } },
+    ]),
+    Order.aggregate([
+      { $match: { 'shippingDetails.deliveryDate': filter, status: { $ne: 'cancelled' } } },
+      { $group: { _id: { date: '$shippingDetails.deliveryDate', timeSlot: '$shippingDetails.timeSlot' }, orders: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const ordersPerPartner = config.shiftOrdersPerPartner || 1;
+  const partnersBySlot = new Map(shiftCounts.map((row) => [slotKey(row._id.date, row._id.timeSlot), row.partners]));
+  const ordersBySlot = new Map();
+  orderCounts.forEach((row) => {
+    const key = slotKey(row._id.date, row._id.timeSlot || 'standard');
+    ordersBySlot.set(key, (ordersBySlot.get(key) || 0) + row.orders);
+  });
+
+  // Enabled slots always show; others only on days they have shifts or orders
+  const enabledSlots = new Set(timeSlots.map((slot) => slot.time));
+  const slotNames = new Set(enabledSlots);
+  [...partnersBySlot.keys(), ...ordersBySlot.keys()].forEach((key) => slotNames.add(key.split('|')[1]));
+
+  const days = [];
+  for (let day = start.clone(); !day.isAfter(end); day.add(1, 'day')) {
+    const date = day.format('YYYY-MM-DD');
+    const slots = [...slotNames]
+      .map((timeSlot) => {
+        const key = `${date}|${timeSlot}`;
+        const partners = partnersBySlot.get(key) || 0;
+        const expectedOrders = ordersBySlot.get(key) || 0;
+        const capacity = partners * ordersPerPartner;
+        return {
+          timeSlot,
+          label: timeSlots.find((slot) => slot.time === timeSlot)?.label || timeSlot,
+          partners,
+          capacity,
+          expectedOrders,
+          partnersNeeded: Math.ceil(expectedOrders / ordersPerPartner),
+          shortfall: Math.max(0, expectedOrders - capacity),
+          understaffed: expectedOrders > capacity,
+        };
+      })
+      .filter((slot) => enabledSlots.has(slot.timeSlot) || slot.partners || slot.expectedOrders);
+    days.push({ date, slots });
+  }
+
+  return { ordersPerPartner, days };
+};
+
+/**
+ * Staffing of the slot an order is booked into, or null when it has no delivery day.
+ */
+const getSlotStaffing = async ({ deliveryDate, timeSlot } = {}) => {
+  if (!deliveryDate) return null;
+  const date = toDayKey(deliveryDate);
+  const plan = await getCapacityPlan({ from: date, to: date });
+  return plan.days[0].slots.find((slot) => slot.timeSlot === (timeSlot || 'standard')) || null;
+};
+
+/**
+ * Tells admins (once per slot) when the slot an order was booked into has more orders than
+ * the partners on shift can deliver.
+ *
+ * @returns {Promise<Object|null>} The slot's staffing when it is under-staffed
+ */
+const warnIfUnderstaffed = async (order) => {
+  const { deliveryDate, timeSlot } = order.shippingDetails || {};
+  const staffing = await getSlotStaffing({ deliveryDate, timeSlot });
+  if (!staffing || !staffing.understaffed) return null;
+
+  const key = slotKey(deliveryDate, staffing.timeSlot);
+  const alreadyWarned = await Notification.exists({ 'metadata.kind': UNDERSTAFFED_NOTICE_KIND, 'metadata.slot': key });
+  if (!alreadyWarned) {
+    const { createAdminNotification } = require('../controllers/notificationController');
+    await createAdminNotification({
+      type: 'admin',
+      title: '🛵 Delivery slot under-staffed',
+      message: `${toDayKey(deliveryDate)} ${staffing.label}: ${staffing.expectedOrders} orders for ${staffing.partners} partner(s) on shift (${staffing.partnersNeeded} needed)`,
+      metadata: { kind: UNDERSTAFFED_NOTICE_KIND, slot: key, ...staffing },
+    });
+  }
+
+  return staffing;
+};
+
+module.exports = {
+  PartnerShiftError,
+  cancelShift,
+  getCapacityPlan,
+  getOnShiftPartnerIds,
+  getSlotStaffing,
+  isPartnerShiftError,
+  listPartnerShifts,
+  listShiftRoster,
+  signUpForShift,
+  warnIfUnderstaffed,
+};
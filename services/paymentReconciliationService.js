@@ -0,0 +1,177 @@
+const Order = require('../models/Order');
+const razorpayService = require('./razorpayService');
+const emailNotificationService = require('./emailNotificationService');
+const { markOrderPaymentFailed, settleCapturedPayment } = require('./orderPaymentService');
+const { releaseOrderStock } = require('./stockReservationService');
+const { releaseOrderSlot } = require('./slotCapacityService');
+const { readPositiveInt } = require('../utils/env');
+const { resolveOrderCustomer } = require('../utils/orderCustomer');
+
+const DEFAULT_STALE_AFTER_MINUTES = 30;
+const DEFAULT_MAX_AGE_HOURS = 72;
+const DEFAULT_INTERVAL_MINUTES = 15;
+const BATCH_SIZE = 100;
+
+/**
+ * Reconciler settings. Orders become eligible PAYMENT_RECONCILE_AFTER_MINUTES after checkout
+ * and are ignored once older than PAYMENT_RECONCILE_MAX_AGE_HOURS, so historical orders are
+ * never swept up.
+ */
+const getReconcileConfig = () => ({
+  staleAfterMinutes: readPositiveInt(process.env.PAYMENT_RECONCILE_AFTER_MINUTES, DEFAULT_STALE_AFTER_MINUTES),
+  maxAgeHours: readPositiveInt(process.env.PAYMENT_RECONCILE_MAX_AGE_HOURS, DEFAULT_MAX_AGE_HOURS)
+});
+
+const findStalePendingOrders = ({ now, staleAfterMinutes, maxAgeHours }) => {
+  const window = {
+    $gte: new Date(now.getTime() - maxAgeHours * 60 * 60 * 1000),
+    $lte: new Date(now.getTime() - staleAfterMinutes * 60 * 1000)
+  };
+
+  return Order.find({
+    'paymentDetails.method': 'razorpay',
+    'paymentDetails.status': { $in: ['pending', 'failed'] },
+    'paymentDetails.reconciledAt': null,
+    // Subscription renewals have their own retry schedule (see subscriptionBillingService)
+    'subscription.id': { $exists: false },
+    status: { $ne: 'cancelled' },
+    // A payment reopened from a payment link gets a fresh wait from when it was reopened
+    $or: [
+      { 'paymentDetails.retryStartedAt': null, createdAt: window },
+      { 'paymentDetails.retryStartedAt': window }
+    ]
+  })
+    .sort({ createdAt: 1 })
+    .limit(BATCH_SIZE);
+};
+
+const closeAbandonedOrder = async (order, payments, now) => {
+  // Claim the order so a concurrent run (or a late webhook) can't close it twice
+  const claim = await Order.updateOne(
+    {
+      _id: order._id,
+      'paymentDetails.status': { $in: ['pending', 'failed'] },
+      'paymentDetails.reconciledAt': null
+    },
+    { $set: { 'paymentDetails.reconciledAt': now } }
+  );
+  if (claim.modifiedCount === 0) {
+    return 'skipped';
+  }
+
+  const lastFailure = [...payments].reverse().find((payment) => payment.status === 'failed');
+  markOrderPaymentFailed(order, { reason: lastFailure?.error_description || 'Payment was not completed' });
+  order.paymentDetails.reconciledAt = now;
+
+  await releaseOrderStock(order, 'payment_abandoned');
+  await releaseOrderSlot(order);
+  order.status = 'cancelled';
+  await order.save();
+
+  try {
+    const customer = await resolveOrderCustomer(order);
+    await emailNotificationService.sendPaymentReminder({ customer, order });
+  } catch (error) {
+    console.error(`Failed to send payment reminder for order ${order.orderNumber}:`, error);
+  }
+
+  return 'failed';
+};
+
+/**
+ * Settles one unpaid Razorpay order against Razorpay's record of it:
+ * captured → paid, authorized → left pending, anything else → closed as abandoned.
+ *
+ * @returns {Promise<'paid'|'pending'|'failed'|'skipped'>}
+ */
+const reconcileOrderPayment = async (order, { now = new Date() } = {}) => {
+  const razorpayOrderId = order.paymentDetails?.razorpayOrderId;
+  const payments = razorpayOrderId ? await razorpayService.fetchOrderPayments(razorpayOrderId) : [];
+
+  const captured = payments.find((payment) => payment.status === 'captured');
+  if (captured) {
+    const { refunded, changedOrders } = await settleCapturedPayment([order], {
+      razorpayOrderId,
+      paymentId: captured.id,
+      source: 'payment reconciliation'
+    });
+    if (changedOrders.length > 0) {
+      await order.save();
+    }
+    return refunded ? 'failed' : 'paid';
+  }
+
+  // Authorized payments are captured (or auto-refunded) by Razorpay shortly; check again next run
+  if (payments.some((payment) => payment.status === 'authorized')) {
+    return 'pending';
+  }
+
+  return closeAbandonedOrder(order, payments, now);
+};
+
+let isRunning = false;
+
+/**
+ * Finds Razorpay orders whose payment was never verified and settles each of them.
+ * @returns {Promise<{ checked: number, paid: number, failed: number, pending: number, skipped: number, errors: number }>}
+ */
+const reconcileStalePayments = async ({ now = new Date(), ...overrides } = {}) => {
+  const summary = { checked: 0, paid: 0, failed: 0, pending: 0, skipped: 0, errors: 0 };
+  if (isRunning) {
+    return summary;
+  }
+
+  isRunning = true;
+  try {
+    const config = { ...getReconcileConfig(), ...overrides };
+    const orders = await findStalePendingOrders({ now, ...config });
+
+    for (const order of orders) {
+      summary.checked += 1;
+      try {
+        const outcome = await reconcileOrderPayment(order, { now });
+        summary[outcome] += 1;
+      } catch (error) {
+        summary.errors += 1;
+        console.error(`❌ Payment reconciliation failed for order ${order.orderNumber}:`, error.message);
+      }
+    }
+
+    if (summary.checked > 0) {
+      console.log(`💳 Payment reconciliation: ${summary.paid} paid, ${summary.failed} abandoned, ${summary.pending} still pending, ${summary.errors} errors`);
+    }
+
+    return summary;
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Starts the in-process reconciler. PAYMENT_RECONCILE_INTERVAL_MINUTES=0 disables it.
+ */
+const startPaymentReconciler = () => {
+  if (process.env.PAYMENT_RECONCILE_INTERVAL_MINUTES === '0') {
+    return null;
+  }
+
+  const intervalMinutes = readPositiveInt(process.env.PAYMENT_RECONCILE_INTERVAL_MINUTES, DEFAULT_INTERVAL_MINUTES);
+  const timer = setInterval(() => {
+    reconcileStalePayments().catch((error) => {
+      console.error('❌ Payment reconciliation run failed:', error);
+    });
+  }, intervalMinutes * 60 * 1000);
+
+  if (typeof timer.unref === 'function') {
+    timer.unref();
+  }
+
+  return timer;
+};
+
+module.exports = {
+  getReconcileConfig,
+  reconcileOrderPayment,
+  reconcileStalePayments,
+  startPaymentReconciler,
+};
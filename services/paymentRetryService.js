@@ -0,0 +1,122 @@
+const jwt = require('jsonwebtoken');
+const orderPricingService = require('./orderPricingService');
+const razorpayService = require('./razorpayService');
+const slotCapacityService = require('./slotCapacityService');
+const stockReservationService = require('./stockReservationService');
+const { ServiceError } = require('../utils/serviceError');
+
+const RETRY_TOKEN_PURPOSE = 'payment_retry';
+const ACTIVE_STOCK_STATES = ['held', 'committed'];
+
+class PaymentRetryError extends ServiceError {}
+
+const isPaymentRetryError = (error) => error instanceof PaymentRetryError;
+
+const getRetryTokenExpiry = () => process.env.PAYMENT_RETRY_TOKEN_EXPIRE || '7d';
+
+/**
+ * Signed token in payment reminder links, so a guest can pay for their order without
+ * signing in.
+ */
+const createPaymentRetryToken = (orderNumber) =>
+  jwt.sign({ orderNumber: String(orderNumber), purpose: RETRY_TOKEN_PURPOSE }, process.env.JWT_SECRET, {
+    expiresIn: getRetryTokenExpiry()
+  });
+
+const verifyPaymentRetryToken = (token, orderNumber) => {
+  if (!token) return false;
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    return payload.purpose === RETRY_TOKEN_PURPOSE && payload.orderNumber === String(orderNumber);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Reopens an unpaid Razorpay order so the customer can pay for it again (payment reminder and
+ * subscription renewal links). An order the payment reconciler cancelled gets its delivery
+ * slot and stock back first; either way the stock is held again if its hold has lapsed.
+ * The order keeps its Razorpay order, so verify-payment, the webhook and the reconciler all
+ * still find it, unless its total has changed since (an amendment or a redelivery fee):
+ * Razorpay only takes the amount of its order, so the order then gets a new one for its
+ * current total. The delivery date must still be open.
+ *
+ * @param {Object} order Order document
+ * @returns {Promise<{ razorpayOrderId: string, amount: number, currency: string }>} amount in the smallest currency unit
+ * @throws {PaymentRetryError} 409 when the order can't be paid for any more
+ */
+const startPaymentRetry = async (order, { now = new Date() } = {}) => {
+  const details = order.paymentDetails || {};
+  if (details.method !== 'razorpay' || details.status === 'paid') {
+    throw new PaymentRetryError('This order has no payment outstanding', 409);
+  }
+
+  const lapsed = order.status === 'cancelled';
+  if (lapsed && !details.reconciledAt) {
+    throw new PaymentRetryError('This order has been cancelled', 409);
+  }
+
+  try {
+    await orderPricingService.validateDeliveryDate(order.shippingDetails?.deliveryDate, { now });
+  } catch (error) {
+    if (!orderPricingService.isOrderPricingError(error)) throw error;
+    throw new PaymentRetryError(`${error.message} Please place a new order.`, 409);
+  }
+
+  const amount = Math.round(order.totalAmount * 100);
+  const currency = order.currency || 'INR';
+  const existing = details.razorpayOrderId ? await razorpayService.fetchOrder(details.razorpayOrderId) : null;
+  if (!existing || existing.amount !== amount || existing.currency !== currency) {
+    const razorpayOrder = await razorpayService.createOrder(amount, currency);
+    details.razorpayOrderId = razorpayOrder.id;
+  }
+
+  // The reconciler gave the slot back when it cancelled the order
+  if (lapsed) {
+    try {
+      await slotCapacityService.bookOrderSlot(order);
+    } catch (error) {
+      if (!slotCapacityService.isSlotCapacityError(error)) throw error;
+      throw new PaymentRetryError(`${error.message} Please place a new order for another slot.`, 409);
+    }
+  }
+
+  if (!ACTIVE_STOCK_STATES.includes(order.stockReservationStatus)) {
+    try {
+      await stockReservationService.reserveStockForOrder(order, { hold: true });
+    } catch (error) {
+      if (lapsed) await slotCapacityService.releaseOrderSlot(order);
+      if (!stockReservationService.isStockUnavailableError(error)) throw error;
+      throw new PaymentRetryError(error.message, 409);
+    }
+  }
+
+  details.status = 'pending';
+  details.failureReason = undefined;
+  details.reconciledAt = undefined;
+  details.retryStartedAt = now;
+  if (lapsed) {
+    order.status = 'order_placed';
+  }
+  order.trackingHistory.push({
+    status: order.status,
+    message: lapsed ? 'Order reopened: the customer is completing the payment' : 'The customer is completing the payment',
+    timestamp: now
+  });
+  await order.save();
+
+  return {
+    razorpayOrderId: details.razorpayOrderId,
+    amount,
+    currency
+  };
+};
+
+module.exports = {
+  PaymentRetryError,
+  createPaymentRetryToken,
+  isPaymentRetryError,
+  startPaymentRetry,
+  verifyPaymentRetryToken,
+};
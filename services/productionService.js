@@ -0,0 +1,410 @@
+const moment = require('moment');
+const pdf = require('html-pdf');
+const Order = require('../models/Order');
+const orderPaymentService = require('./orderPaymentService');
+const stockReservationService = require('./stockReservationService');
+const { ensurePhantomJS, getPdfFooter, getPdfHeader, getPdfOptions } = require('../utils/pdfHelper');
+const { parseDayKey, todayKey } = require('../utils/businessDay');
+const { readNonNegativeInt } = require('../utils/env');
+const { escapeHtml } = require('../utils/html');
+const { ServiceError } = require('../utils/serviceError');
+
+const PLANNABLE_STATUSES = ['order_placed', 'received', 'being_made'];
+const RELEASABLE_STATUSES = ['order_placed', 'received'];
+const MAX_PLAN_DAYS = 31;
+const DEFAULT_RELEASE_DAYS_AHEAD = 0;
+
+// Midnight deliveries go out last, so they are made after the day's standard orders
+const SLOT_ORDER = ['morning', 'standard', 'afternoon', 'evening', 'midnight'];
+
+class ProductionError extends ServiceError {}
+
+const isProductionError = (error) => error instanceof ProductionError;
+
+// Delivery dates are stored as the calendar day at UTC midnight (see createOrder)
+const getDeliveryDateRange = (from, to = from) => {
+  const start = parseDayKey(from, 'from', ProductionError);
+  const end = parseDayKey(to, 'to', ProductionError);
+  if (end.isBefore(start)) {
+    throw new ProductionError('to must not be before from');
+  }
+  if (end.diff(start, 'days') >= MAX_PLAN_DAYS) {
+    throw new ProductionError(`A production plan can cover at most ${MAX_PLAN_DAYS} days`);
+  }
+  return { $gte: start.toDate(), $lte: end.clone().endOf('day').toDate() };
+};
+
+const compareSlots = (a, b) => {
+  const rank = (slot) => {
+    const index = SLOT_ORDER.indexOf(String(slot || 'standard').toLowerCase());
+    return index === -1 ? SLOT_ORDER.length - 1 : index;
+  };
+  return rank(a) - rank(b) || String(a || '').localeCompare(String(b || ''));
+};
+
+const getVariantLabel = (variant) => {
+  if (!variant) return '';
+  if (typeof variant === 'string') return variant;
+  return variant.label || variant.name || variant.size || '';
+};
+
+/**
+ * Whether an order can go to the kitchen: cash orders always, online orders once paid.
+ */
+const isReadyForProduction = (order) => (
+  order.paymentDetails?.method !== 'razorpay' || orderPaymentService.isOrderPaidOnline(order)
+);
+
+const addLine = (lines, key, line, quantity, orderNumber) => {
+  const existing = lines.get(key);
+  if (existing) {
+    existing.quantity += quantity;
+    if (!existing.orders.includes(orderNumber)) existing.orders.push(orderNumber);
+    return;
+  }
+  lines.set(key, { ...line, quantity, orders: [orderNumber] });
+};
+
+const sortLines = (lines) => [...lines.values()].sort((a, b) => b.quantity - a.quantity || a.name.localeCompare(b.name));
+
+/**
+ * Totals what has to be made for a set of orders:
+ * - products: arrangements by product and variant
+ * - components: what goes into them (combo items and gift bundle components), per unit ordered
+ * - addons: add-on products (chocolates, cakes, cards...) to pick from stock
+ * Orders must have `items.product` populated for combo contents to be included.
+ */
+const aggregateProduction = (orders) => {
+  const products = new Map();
+  const components = new Map();
+  const addons = new Map();
+
+  for (const order of orders) {
+    for (const item of order.items || []) {
+      const product = item.product && typeof item.product === 'object' && item.product._id ? item.product : null;
+      const productId = String(product?._id || item.product);
+      const name = item.title || product?.title || product?.name || 'Unnamed item';
+      const quantity = item.quantity || 1;
+
+      if (item.productModel === 'AddonProduct') {
+        addLine(addons, productId, { productId, name }, quantity, order.orderNumber);
+        continue;
+      }
+
+      const variant = getVariantLabel(item.selectedVariant);
+      addLine(products, `${productId}|${variant}`, { productId, name, variant }, quantity, order.orderNumber);
+
+      for (const combo of product?.comboItems || []) {
+        addLine(components, `combo|${combo.name}`, { name: combo.name, source: name }, (combo.quantity || 1) * quantity, order.orderNumber);
+      }
+      const giftComponents = item.customizations?.isGiftBundle ? item.customizations.giftComponents || [] : [];
+      for (const component of giftComponents) {
+        const category = String(component.category || '').replace(/_/g, ' ');
+        addLine(components, `gift|${category}|${component.name}`, { name: component.name, category, source: name }, quantity, order.orderNumber);
+      }
+    }
+  }
+
+  return {
+    products: sortLines(products),
+    components: sortLines(components),
+    addons: sortLines(addons),
+  };
+};
+
+const summarizeOrder = (order) => ({
+  _id: order._id,
+  orderNumber: order.orderNumber,
+  status: order.status,
+  deliveryDate: order.shippingDetails?.deliveryDate,
+  timeSlot: order.shippingDetails?.timeSlot || 'standard',
+  store: order.store || null,
+  recipient: order.shippingDetails?.fullName,
+  cardMessage: order.giftDetails?.message || order.shippingDetails?.cardMessage || '',
+  readyForProduction: isReadyForProduction(order),
+  items: (order.items || []).map((item) => ({
+    title: item.title || item.product?.title || item.product?.name || '',
+    variant: getVariantLabel(item.selectedVariant),
+    quantity: item.quantity,
+    isAddon: item.productModel === 'AddonProduct',
+  })),
+});
+
+const findProductionOrders = (query) => Order.find(query)
+  .populate('items.product', 'title name comboItems comboName')
+  .populate('store', 'name code')
+  .sort({ 'shippingDetails.deliveryDate': 1, createdAt: 1 });
+
+const buildStoreFilter = (storeId) => {
+  if (storeId === undefined || storeId === null || storeId === '') return {};
+  // 'unassigned' lists orders no store has been given yet
+  return storeId === 'unassigned' ? { store: null } : { store: storeId };
+};
+
+/**
+ * Upcoming orders grouped by delivery day and time slot, with what each slot needs made.
+ * Online orders that aren't paid yet are listed (flagged readyForProduction: false) but left
+ * out of the totals.
+ *
+ * @param {Object} params
+ * @param {string} params.from First delivery day (YYYY-MM-DD)
+ * @param {string} [params.to] Last delivery day, defaults to `from`
+ * @param {string} [params.timeSlot] Only this slot
+ * @param {string} [params.storeId] Store id, or 'unassigned'
+ */
+const getProductionPlan = async ({ from, to, timeSlot, storeId }) => {
+  const orders = await findProductionOrders({
+    'shippingDetails.deliveryDate': getDeliveryDateRange(from, to),
+    status: { $in: PLANNABLE_STATUSES },
+    ...(timeSlot && { 'shippingDetails.timeSlot': timeSlot }),
+    ...buildStoreFilter(storeId),
+  });
+
+  const days = new Map();
+  for (const order of orders) {
+    const date = moment.utc(order.shippingDetails.deliveryDate).format('YYYY-MM-DD');
+    const timeSlot = order.shippingDetails.timeSlot || 'standard';
+    if (!days.has(date)) days.set(date, new Map());
+    const slots = days.get(date);
+    if (!slots.has(timeSlot)) slots.set(timeSlot, []);
+    slots.get(timeSlot).push(order);
+  }
+
+  const ready = orders.filter(isReadyForProduction);
+  return {
+    from,
+    to: to || from,
+    timeSlot: timeSlot || null,
+    orderCount: orders.length,
+    awaitingPayment: orders.length - ready.length,
+    totals: aggregateProduction(ready),
+    days: [...days.entries()].map(([date, slots]) => ({
+      date,
+      orderCount: [...slots.values()].reduce((sum, slotOrders) => sum + slotOrders.length, 0),
+      slots: [...slots.entries()]
+        .sort(([a], [b]) => compareSlots(a, b))
+        .map(([timeSlot, slotOrders]) => ({
+          timeSlot,
+          orderCount: slotOrders.length,
+          statusCounts: slotOrders.reduce((counts, order) => ({ ...counts, [order.status]: (counts[order.status] || 0) + 1 }), {}),
+          ...aggregateProduction(slotOrders.filter(isReadyForProduction)),
+          orders: slotOrders.map(summarizeOrder),
+        })),
+    })),
+  };
+};
+
+/**
+ * The kitchen's work queue: orders in `being_made`, earliest delivery first, grouped by the
+ * store making them.
+ */
+const getWorkQueue = async ({ storeId, status = 'being_made' } = {}) => {
+  if (!PLANNABLE_STATUSES.includes(status)) {
+    throw new ProductionError(`status must be one of ${PLANNABLE_STATUSES.join(', ')}`);
+  }
+
+  const orders = await findProductionOrders({ status, ...buildStoreFilter(storeId) });
+  orders.sort((a, b) => (
+    (a.shippingDetails?.deliveryDate || 0) - (b.shippingDetails?.deliveryDate || 0)
+    || compareSlots(a.shippingDetails?.timeSlot, b.shippingDetails?.timeSlot)
+  ));
+
+  const stores = new Map();
+  for (const order of orders) {
+    const key = order.store ? String(order.store._id || order.store) : 'unassigned';
+    if (!stores.has(key)) {
+      stores.set(key, { store: order.store || null, orders: [] });
+    }
+    stores.get(key).orders.push(summarizeOrder(order));
+  }
+
+  return [...stores.values()].map((group) => ({ ...group, orderCount: group.orders.length }));
+};
+
+/**
+ * Sends the orders for a delivery day (optionally one slot) to the kitchen: paid and cash
+ * orders move to `being_made` and, when a store is given, are assigned to it. Their stock is
+ * committed first. Unpaid online orders and orders whose stock has run out are skipped.
+ *
+ * @returns {Promise<{ released: string[], skipped: Array<{ orderNumber: string, reason: string }> }>}
+ */
+const releaseToProduction = async ({ date, timeSlot, storeId } = {}) => {
+  const query = {
+    'shippingDetails.deliveryDate': getDeliveryDateRange(date),
+    status: { $in: RELEASABLE_STATUSES },
+  };
+  if (timeSlot) {
+    query['shippingDetails.timeSlot'] = timeSlot;
+  }
+
+  const orders = await Order.find(query).sort({ createdAt: 1 });
+  const released = [];
+  const skipped = [];
+
+  for (const order of orders) {
+    if (!isReadyForProduction(order)) {
+      skipped.push({ orderNumber: order.orderNumber, reason: 'Awaiting online payment' });
+      continue;
+    }
+    if (storeId && order.store && String(order.store) !== String(storeId)) {
+      skipped.push({ orderNumber: order.orderNumber, reason: 'Assigned to another store' });
+      continue;
+    }
+
+    try {
+      await stockReservationService.ensureOrderStockCommitted(order);
+    } catch (error) {
+      if (!stockReservationService.isStockUnavailableError(error)) throw error;
+      skipped.push({ orderNumber: order.orderNumber, reason: error.message });
+      continue;
+    }
+
+    if (storeId) {
+      order.store = storeId;
+    }
+    order.status = 'being_made';
+    await order.save();
+    released.push(order.orderNumber);
+  }
+
+  if (released.length > 0) {
+    console.log(`🌷 Released ${released.length} order(s) for ${date}${timeSlot ? ` (${timeSlot})` : ''} to production`);
+  }
+
+  return { released, skipped };
+};
+
+/**
+ * Scheduled release settings. PRODUCTION_RELEASE_INTERVAL_MINUTES turns on automatic release
+ * (off by default, so the shop keeps releasing by hand); each run releases orders due within
+ * PRODUCTION_RELEASE_DAYS_AHEAD days (default 0: today only).
+ */
+const getReleaseConfig = () => ({
+  intervalMinutes: readNonNegativeInt(process.env.PRODUCTION_RELEASE_INTERVAL_MINUTES, 0),
+  daysAhead: readNonNegativeInt(process.env.PRODUCTION_RELEASE_DAYS_AHEAD, DEFAULT_RELEASE_DAYS_AHEAD),
+});
+
+const releaseDueOrders = async ({ now = new Date(), ...overrides } = {}) => {
+  const { daysAhead } = { ...getReleaseConfig(), ...overrides };
+  const summary = { released: 0, skipped: 0 };
+
+  for (let offset = 0; offset <= daysAhead; offset += 1) {
+    const date = moment.utc(todayKey(now)).add(offset, 'days').format('YYYY-MM-DD');
+    const result = await releaseToProduction({ date });
+    summary.released += result.released.length;
+    summary.skipped += result.skipped.length;
+  }
+
+  return summary;
+};
+
+const startProductionReleaser = () => {
+  const { intervalMinutes } = getReleaseConfig();
+  if (intervalMinutes === 0) {
+    return null;
+  }
+
+  const timer = setInterval(() => {
+    releaseDueOrders().catch((error) => {
+      console.error('❌ Scheduled production release failed:', error);
+    });
+  }, intervalMinutes * 60 * 1000);
+
+  if (typeof timer.unref === 'function') {
+    timer.unref();
+  }
+
+  return timer;
+};
+
+const renderLines = (title, lines, { showVariant = false } = {}) => {
+  if (lines.length === 0) return '';
+  const rows = lines.map((line) => `
+        <tr>
+          <td style="padding: 6px; border-bottom: 1px solid #e5e7eb;">${escapeHtml(line.name)}${showVariant && line.variant ? ` <span style="color: #6b7280;">(${escapeHtml(line.variant)})</span>` : ''}${line.category ? ` <span style="color: #6b7280;">${escapeHtml(line.category)}</span>` : ''}</td>
+          <td style="padding: 6px; border-bottom: 1px solid #e5e7eb; text-align: right; font-weight: bold;">${line.quantity}</td>
+          <td style="padding: 6px; border-bottom: 1px solid #e5e7eb; color: #6b7280; font-size: 10px;">${line.orders.map(escapeHtml).join(', ')}</td>
+          <td style="padding: 6px; border-bottom: 1px solid #e5e7eb; width: 20px;">&#9744;</td>
+        </tr>`).join('');
+
+  return `
+    <h3 style="font-size: 13px; margin: 16px 0 6px; color: #111827;">${title}</h3>
+    <table style="width: 100%; border-collapse: collapse; font-size: 11px;">
+      <tr style="background: #f3f4f6;">
+        <th style="padding: 6px; text-align: left;">Item</th>
+        <th style="padding: 6px; text-align: right;">Qty</th>
+        <th style="padding: 6px; text-align: left;">Orders</th>
+        <th style="padding: 6px;"></th>
+      </tr>${rows}
+    </table>`;
+};
+
+/**
+ * Printable pick list for a production plan: totals for the whole range, then each slot's
+ * orders with their card messages.
+ */
+const buildPickListHTML = (plan, { storeName } = {}) => {
+  const days = plan.from === plan.to ? plan.from : `${plan.from} to ${plan.to}`;
+  const range = plan.timeSlot ? `${days} (${plan.timeSlot})` : days;
+  const slotSections = plan.days.map((day) => day.slots.map((slot) => `
+    <div style="page-break-inside: avoid; margin-top: 20px;">
+      <h2 style="font-size: 15px; margin: 0 0 6px; border-bottom: 1px solid #d1d5db; padding-bottom: 4px;">
+        ${escapeHtml(moment.utc(day.date).format('ddd, D MMM YYYY'))} &middot; ${escapeHtml(slot.timeSlot)} &middot; ${slot.orderCount} order(s)
+      </h2>
+      ${slot.orders.map((order) => `
+        <div style="font-size: 11px; margin: 4px 0;">
+          <strong>#${escapeHtml(order.orderNumber)}</strong>${order.readyForProduction ? '' : ' <span style="color: #b45309;">(awaiting payment)</span>'}
+          &mdash; ${order.items.map((item) => `${item.quantity} &times; ${escapeHtml(item.title)}${item.variant ? ` (${escapeHtml(item.variant)})` : ''}`).join(', ')}
+          ${order.cardMessage ? `<div style="color: #4b5563; font-style: italic; margin-left: 12px;">Card: &ldquo;${escapeHtml(order.cardMessage)}&rdquo;</div>` : ''}
+        </div>`).join('')}
+    </div>`).join('')).join('');
+
+  return `
+    <div style="font-family: 'Helvetica Neue', Helvetica, Arial, sans-serif; color: #1f2937;">
+      ${getPdfHeader('Pick List')}
+      <div style="font-size: 12px; margin-bottom: 10px;">
+        <strong>Delivery:</strong> ${escapeHtml(range)}${storeName ? ` &middot; <strong>Store:</strong> ${escapeHtml(storeName)}` : ''}
+        &middot; <strong>Orders:</strong> ${plan.orderCount}${plan.awaitingPayment ? ` (${plan.awaitingPayment} awaiting payment, not counted)` : ''}
+      </div>
+      ${renderLines('Arrangements', plan.totals.products, { showVariant: true })}
+      ${renderLines('Stems &amp; components', plan.totals.components)}
+      ${renderLines('Add-ons', plan.totals.addons)}
+      ${slotSections}
+    </div>`;
+};
+
+const generatePickListPDF = async (plan, options = {}) => {
+  try {
+    await ensurePhantomJS();
+  } catch (err) {
+    console.error('❌ Failed to ensure PhantomJS binary for pick list:', err.message);
+  }
+
+  return new Promise((resolve, reject) => {
+    const pdfOptions = getPdfOptions({
+      footer: { height: '12mm', contents: { default: getPdfFooter() } },
+    });
+
+    pdf.create(buildPickListHTML(plan, options), pdfOptions).toBuffer((err, buffer) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(buffer);
+      }
+    });
+  });
+};
+
+module.exports = {
+  ProductionError,
+  aggregateProduction,
+  buildPickListHTML,
+  generatePickListPDF,
+  getProductionPlan,
+  getWorkQueue,
+  isProductionError,
+  isReadyForProduction,
+  releaseDueOrders,
+  releaseToProduction,
+  startProductionReleaser,
+};
@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+
+/**
+ * In-memory stand-in for the Razorpay SDK, enabled with RAZORPAY_MOCK=true.
+ * Implements the subset of the API this backend uses so checkout and refunds can be
+ * exercised offline. Payments are created implicitly the first time they are referenced.
+ */
+const createMockRazorpayClient = () => {
+  const orders = new Map();
+  const payments = new Map();
+  const refunds = new Map();
+  const customers = new Map();
+
+  const randomId = (prefix) => `${prefix}_mock${crypto.randomBytes(7).toString('hex')}`;
+  const now = () => Math.floor(Date.now() / 1000);
+
+  const badRequest = (description) => {
+    const error = new Error(description);
+    error.statusCode = 400;
+    error.error = { code: 'BAD_REQUEST_ERROR', description };
+    return error;
+  };
+
+  const getPayment = (paymentId) => {
+    if (!payments.has(paymentId)) {
+      payments.set(paymentId, {
+        id: paymentId,
+        entity: 'payment',
+        // Unknown payments are treated as captured for a generous amount
+        amount: Number.MAX_SAFE_INTEGER,
+        currency: 'INR',
+        status: 'captured',
+        order_id: null,
+        amount_refunded: 0,
+        created_at: now()
+      });
+    }
+    return payments.get(paymentId);
+  };
+
+  return {
+    isMock: true,
+
+    orders: {
+      create: async (options) => {
+        const order = {
+          id: randomId('order'),
+          entity: 'order',
+          amount: options.amount,
+          amount_paid: 0,
+          amount_due: options.amount,
+          currency: options.currency || 'INR',
+          receipt: options.receipt,
+          status: 'created',
+          notes: options.notes || {},
+          created_at: now()
+        };
+        orders.set(order.id, order);
+        return order;
+      },
+      fetch: async (orderId) => {
+        if (!orders.has(orderId)) {
+          throw badRequest('The id provided does not exist');
+        }
+        return orders.get(orderId);
+      },
+      fetchPayments: async (orderId) => {
+        const items = [...payments.values()].filter((payment) => payment.order_id === orderId);
+        return { entity: 'collection', count: items.length, items };
+      }
+    },
+
+    payments: {
+      fetch: async (paymentId) => getPayment(paymentId),
+      refund: async (paymentId, options = {}) => {
+        const payment = getPayment(paymentId);
+        const amount = options.amount ?? (payment.amount - payment.amount_refunded);
+
+        if (!Number.isInteger(amount) || amount <= 0) {
+          throw badRequest('The amount must be a positive integer');
+        }
+        if (payment.amount_refunded + amount > payment.amount) {
+          throw badRequest('The total refund amount is greater than the refund payment amount');
+        }
+
+        payment.amount_refunded += amount;
+        payment.refund_status = payment.amount_refunded === payment.amount ? 'full' : 'partial';
+
+        const refund = {
+          id: randomId('rfnd'),
+          entity: 'refund',
+          amount,
+          currency: payment.currency,
+          payment_id: paymentId,
+          notes: options.notes || {},
+          receipt: options.receipt || null,
+          speed_requested: options.speed || 'normal',
+          status: 'processed',
+          created_at: now()
+        };
+        refunds.set(refund.id, refund);
+        return refund;
+      },
+      createRecurringPayment: async (options) => {
+        const order = orders.get(options.order_id);
+        if (!order) {
+          throw badRequest('The id provided does not exist');
+        }
+        if (!customers.has(options.customer_id)) {
+          throw badRequest('The customer id provided does not exist');
+        }
+
+        const payment = {
+          id: randomId('pay'),
+          entity: 'payment',
+          amount: options.amount,
+          currency: options.currency || 'INR',
+          status: 'captured',
+          order_id: order.id,
+          customer_id: options.customer_id,
+          token_id: options.token,
+          recurring: true,
+          amount_refunded: 0,
+          created_at: now()
+        };
+        payments.set(payment.id, payment);
+        order.status = 'paid';
+        order.amount_paid = order.amount;
+        order.amount_due = 0;
+
+        return {
+          razorpay_payment_id: payment.id,
+          razorpay_order_id: order.id,
+          razorpay_signature: crypto.randomBytes(32).toString('hex')
+        };
+      },
+      fetchRefund: async (paymentId, refundId) => {
+        const refund = refunds.get(refundId);
+        if (!refund || refund.payment_id !== paymentId) {
+          throw badRequest('The id provided does not exist');
+        }
+        return refund;
+      }
+    },
+
+    customers: {
+      create: async (options) => {
+        const existing = [...customers.values()].find((customer) => customer.email === options.email && customer.contact === options.contact);
+        if (existing) {
+          return existing;
+        }
+        const customer = {
+          id: randomId('cust'),
+          entity: 'customer',
+          name: options.name,
+          email: options.email,
+          contact: options.contact,
+          notes: options.notes || {},
+          created_at: now()
+        };
+        customers.set(customer.id, customer);
+        return customer;
+      }
+    },
+
+    // Test helper: register a captured payment with a known amount (in paise)
+    __registerPayment: (payment) => {
+      const record = {
+        entity: 'payment',
+        currency: 'INR',
+        status: 'captured',
+        amount_refunded: 0,
+        created_at: now(),
+        ...payment
+      };
+      payments.set(record.id, record);
+      return record;
+    }
+  };
+};
+
+module.exports = {
+  createMockRazorpayClient,
+};
@@ -1,8 +1,13 @@
 const Razorpay = require('razorpay');
 const crypto = require('crypto');
+const { createMockRazorpayClient } = require('./razorpayMockClient');
+
+// RAZORPAY_MOCK=true swaps the SDK for an in-memory client (offline development and tests)
+const isMockMode = () => process.env.RAZORPAY_MOCK === 'true';
+const MOCK_KEY_SECRET = 'razorpaymocksecret0000000000';
 
 // Validate environment variables
-if (!process.env.RAZORPAY_KEY_ID || !process.env.RAZORPAY_KEY_SECRET) {
+if (!isMockMode() && (!process.env.RAZORPAY_KEY_ID || !process.env.RAZORPAY_KEY_SECRET)) {
   console.error('❌ Razorpay credentials not found in environment variables! Please set RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET in .env.');
 }
 
@@ -20,7 +25,7 @@ console.log('Using Key Secret (first 4 chars):', RAZORPAY_KEY_SECRET ? RAZORPAY_
 
 // Check if using live mode
 const isLiveMode = () => {
-  return RAZORPAY_KEY_ID.startsWith('rzp_live_');
+  return Boolean(RAZORPAY_KEY_ID && RAZORPAY_KEY_ID.startsWith('rzp_live_')) && !isMockMode();
 };
 
 // Validate key formats - separate validation for ID and Secret
@@ -48,7 +53,7 @@ console.log('🔧 Razorpay Configuration:', {
   keyIdValid: isValidRazorpayKeyId(RAZORPAY_KEY_ID),
   keySecretValid: isValidRazorpayKeySecret(RAZORPAY_KEY_SECRET),
   isLive,
-  mode: isLive ? 'LIVE' : 'TEST',
+  mode: isMockMode() ? 'MOCK' : (isLive ? 'LIVE' : 'TEST'),
   environment: process.env.NODE_ENV || 'development'
 });
 
@@ -66,15 +71,34 @@ if (isValidRazorpayKeyId(RAZORPAY_KEY_ID) && isValidRazorpayKeySecret(RAZORPAY_K
   console.log('❌ Razorpay configuration has errors - payment processing may fail');
 }
 
-const razorpay = new Razorpay({
-  key_id: RAZORPAY_KEY_ID,
-  key_secret: RAZORPAY_KEY_SECRET
-});
+const razorpay = isMockMode()
+  ? createMockRazorpayClient()
+  : new Razorpay({
+    key_id: RAZORPAY_KEY_ID,
+    key_secret: RAZORPAY_KEY_SECRET
+  });
+
+const hasValidCredentials = () => isMockMode()
+  || (isValidRazorpayKeyId(RAZORPAY_KEY_ID) && isValidRazorpayKeySecret(RAZORPAY_KEY_SECRET));
+
+const getKeySecret = () => (isMockMode() ? RAZORPAY_KEY_SECRET || MOCK_KEY_SECRET : RAZORPAY_KEY_SECRET);
+
+// Converts SDK errors ({ error: { code, description } }) into plain Errors with a readable message
+const toRazorpayError = (error) => {
+  if (!error.error) {
+    return error;
+  }
+
+  const wrapped = new Error(`Razorpay API Error (${error.error.code}): ${error.error.description || error.error.message}`);
+  wrapped.statusCode = error.statusCode;
+  wrapped.razorpayError = error.error;
+  return wrapped;
+};
 
 const createOrder = async (amount, currency = 'INR') => {
   try {
     // Validate Razorpay instance
-    if (!isValidRazorpayKeyId(RAZORPAY_KEY_ID) || !isValidRazorpayKeySecret(RAZORPAY_KEY_SECRET)) {
+    if (!hasValidCredentials()) {
       throw new Error('Invalid Razorpay credentials. Please check your API keys.');
     }
 
@@ -99,7 +123,7 @@ const createOrder = async (amount, currency = 'INR') => {
       amount: amountInPaise,
       originalAmount: amount,
       currency,
-      keyId: RAZORPAY_KEY_ID.substring(0, 10) + '...',
+      keyId: RAZORPAY_KEY_ID ? RAZORPAY_KEY_ID.substring(0, 10) + '...' : 'NOT SET',
       isLive: isLiveMode()
     });
     
@@ -164,11 +188,11 @@ const verifyPayment = (razorpay_order_id, razorpay_payment_id, razorpay_signatur
       throw new Error('Missing required payment verification parameters');
     }
 
-    if (!isValidRazorpayKeySecret(RAZORPAY_KEY_SECRET)) {
+    if (!isMockMode() && !isValidRazorpayKeySecret(RAZORPAY_KEY_SECRET)) {
       throw new Error('Invalid Razorpay Key Secret for payment verification');
     }
 
-    const secret = RAZORPAY_KEY_SECRET;
+    const secret = getKeySecret();
     const sign = razorpay_order_id + '|' + razorpay_payment_id;
     const expectedSign = crypto
       .createHmac('sha256', secret)
@@ -185,9 +209,161 @@ const verifyPayment = (razorpay_order_id, razorpay_payment_id, razorpay_signatur
   }
 };
 
+/**
+ * Issues a (partial) refund against a captured payment.
+ * @param {string} paymentId Razorpay payment id (pay_...)
+ * @param {number} amountInPaise Amount in the smallest currency unit
+ * @param {Object} [options] { notes, receipt, speed } passed through to Razorpay
+ */
+const refundPayment = async (paymentId, amountInPaise, options = {}) => {
+  if (!hasValidCredentials()) {
+    throw new Error('Invalid Razorpay credentials. Please check your API keys.');
+  }
+
+  if (!paymentId) {
+    throw new Error('Payment id is required for a refund');
+  }
+
+  if (!Number.isInteger(amountInPaise) || amountInPaise <= 0) {
+    throw new Error('Refund amount must be a positive integer amount in paise');
+  }
+
+  try {
+    const refund = await razorpay.payments.refund(paymentId, {
+      amount: amountInPaise,
+      speed: options.speed || 'normal',
+      receipt: options.receipt,
+      notes: options.notes || {}
+    });
+    console.log('Razorpay refund created:', { id: refund.id, paymentId, amount: refund.amount, status: refund.status });
+    return refund;
+  } catch (error) {
+    console.error('Detailed error in refundPayment:', error);
+    throw toRazorpayError(error);
+  }
+};
+
+const fetchRefund = async (paymentId, refundId) => {
+  try {
+    return await razorpay.payments.fetchRefund(paymentId, refundId);
+  } catch (error) {
+    throw toRazorpayError(error);
+  }
+};
+
+const fetchOrder = async (razorpayOrderId) => {
+  try {
+    return await razorpay.orders.fetch(razorpayOrderId);
+  } catch (error) {
+    throw toRazorpayError(error);
+  }
+};
+
+const fetchPayment = async (paymentId) => {
+  try {
+    return await razorpay.payments.fetch(paymentId);
+  } catch (error) {
+    throw toRazorpayError(error);
+  }
+};
+
+/**
+ * Checks the X-Razorpay-Signature of a webhook delivery: HMAC-SHA256 of the raw request body
+ * keyed with RAZORPAY_WEBHOOK_SECRET (the secret configured on the Razorpay dashboard).
+ * @param {Buffer|string} rawBody Request body exactly as received
+ * @param {string} signature Value of the X-Razorpay-Signature header
+ */
+const verifyWebhookSignature = (rawBody, signature) => {
+  const secret = process.env.RAZORPAY_WEBHOOK_SECRET || (isMockMode() ? MOCK_KEY_SECRET : null);
+  if (!secret) {
+    throw new Error('RAZORPAY_WEBHOOK_SECRET is not configured');
+  }
+
+  if (!signature || !rawBody) {
+    return false;
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  const expectedBuffer = Buffer.from(expected);
+  const signatureBuffer = Buffer.from(String(signature));
+
+  return expectedBuffer.length === signatureBuffer.length
+    && crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+};
+
+/**
+ * Lists the payment attempts made against a Razorpay order.
+ * @returns {Promise<Object[]>} Payment entities (status created/authorized/captured/refunded/failed)
+ */
+const fetchOrderPayments = async (razorpayOrderId) => {
+  try {
+    const result = await razorpay.orders.fetchPayments(razorpayOrderId);
+    return result.items || [];
+  } catch (error) {
+    throw toRazorpayError(error);
+  }
+};
+
+/**
+ * Creates (or, with fail_existing=0, returns the existing) Razorpay customer for saved-card and
+ * UPI mandate payments.
+ */
+const createCustomer = async ({ name, email, contact, notes = {} }) => {
+  try {
+    return await razorpay.customers.create({ name, email, contact, fail_existing: '0', notes });
+  } catch (error) {
+    throw toRazorpayError(error);
+  }
+};
+
+/**
+ * Charges a saved token (card or UPI mandate) against a Razorpay order without the customer
+ * present. Razorpay captures recurring payments asynchronously, so the outcome arrives through
+ * the payment.captured / payment.failed webhooks.
+ *
+ * @param {Object} params
+ * @param {string} params.razorpayOrderId Order created for this charge
+ * @param {number} params.amountInPaise Amount in the smallest currency unit
+ * @returns {Promise<{ razorpay_payment_id: string, razorpay_order_id: string, razorpay_signature: string }>}
+ */
+const createRecurringPayment = async ({ razorpayOrderId, amountInPaise, currency = 'INR', customerId, tokenId, email, contact, description, notes = {} }) => {
+  if (!customerId || !tokenId) {
+    throw new Error('A Razorpay customer and saved token are required for a recurring payment');
+  }
+
+  try {
+    return await razorpay.payments.createRecurringPayment({
+      email,
+      contact,
+      amount: amountInPaise,
+      currency,
+      order_id: razorpayOrderId,
+      customer_id: customerId,
+      token: tokenId,
+      recurring: '1',
+      description,
+      notes
+    });
+  } catch (error) {
+    throw toRazorpayError(error);
+  }
+};
+
+const getRazorpayClient = () => razorpay;
+
 module.exports = {
   createOrder,
+  createCustomer,
+  createRecurringPayment,
   verifyPayment,
+  verifyWebhookSignature,
+  refundPayment,
+  fetchRefund,
+  fetchOrder,
+  fetchPayment,
+  fetchOrderPayments,
+  getRazorpayClient,
+  isMockMode,
   isValidRazorpayKeyId,
   isValidRazorpayKeySecret,
   isLiveMode,
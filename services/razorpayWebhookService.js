@@ -0,0 +1,165 @@
+const Order = require('../models/Order');
+const RazorpayWebhookEvent = require('../models/RazorpayWebhookEvent');
+const { markOrderPaymentFailed, settleCapturedPayment } = require('./orderPaymentService');
+const { applyRazorpayRefund, creditRefund, notifyCustomer } = require('./refundService');
+
+// Deliveries in these states are not applied again when Razorpay retries them
+const FINAL_STATUSES = ['processed', 'ignored'];
+
+const getEntities = (body) => ({
+  payment: body.payload?.payment?.entity || null,
+  refund: body.payload?.refund?.entity || null,
+  razorpayOrder: body.payload?.order?.entity || null
+});
+
+// A multi-recipient checkout pays for several orders with one Razorpay order
+const findOrdersByRazorpayOrderId = async (razorpayOrderId) => (razorpayOrderId
+  ? Order.find({ 'paymentDetails.razorpayOrderId': razorpayOrderId })
+  : []);
+
+const describeOrders = (orders) => (orders.length === 1
+  ? `Order ${orders[0].orderNumber}`
+  : `Orders ${orders.map((order) => order.orderNumber).join(', ')}`);
+
+const handlePaymentCaptured = async ({ payment, razorpayOrder }) => {
+  const razorpayOrderId = payment?.order_id || razorpayOrder?.id;
+  const orders = await findOrdersByRazorpayOrderId(razorpayOrderId);
+  if (orders.length === 0) {
+    return { status: 'unmatched', message: 'No order found for this Razorpay order' };
+  }
+
+  const { refunded, changedOrders } = await settleCapturedPayment(orders, {
+    razorpayOrderId,
+    paymentId: payment?.id,
+    source: 'Razorpay webhook'
+  });
+  for (const order of changedOrders) {
+    await order.save();
+  }
+
+  if (refunded) {
+    return { status: 'processed', message: `Payment ${payment?.id} did not match the total of ${describeOrders(orders)} and was refunded`, order: orders[0] };
+  }
+  if (changedOrders.length === 0) {
+    return { status: 'ignored', message: `${describeOrders(orders)} already marked paid`, order: orders[0] };
+  }
+  return { status: 'processed', message: `${describeOrders(changedOrders)} marked paid`, order: changedOrders[0] };
+};
+
+const handlePaymentFailed = async ({ payment }) => {
+  const orders = await findOrdersByRazorpayOrderId(payment?.order_id);
+  if (orders.length === 0) {
+    return { status: 'unmatched', message: 'No order found for this Razorpay order' };
+  }
+
+  const changedOrders = [];
+  for (const order of orders) {
+    if (markOrderPaymentFailed(order, { reason: payment.error_description || payment.error_reason })) {
+      await order.save();
+      changedOrders.push(order);
+    }
+  }
+
+  if (changedOrders.length === 0) {
+    return { status: 'ignored', message: `${describeOrders(orders)} payment state unchanged`, order: orders[0] };
+  }
+  return { status: 'processed', message: `${describeOrders(changedOrders)} marked payment failed`, order: changedOrders[0] };
+};
+
+const handleRefundProcessed = async ({ payment, refund }) => {
+  // Refunds issued from here are already on the ledger of the order they were issued for, which
+  // matters when one payment covers several orders
+  let order = refund?.id ? await Order.findOne({ 'refunds.razorpayRefundId': refund.id }) : null;
+  if (!order) {
+    [order] = await findOrdersByRazorpayOrderId(payment?.order_id);
+  }
+  if (!order && refund?.payment_id) {
+    order = await Order.findOne({ 'paymentDetails.razorpayPaymentId': refund.payment_id });
+  }
+  if (!order) {
+    return { status: 'unmatched', message: 'No order found for this refund' };
+  }
+
+  const result = applyRazorpayRefund(order, refund);
+  if (!result.changed) {
+    return { status: 'ignored', message: `Refund ${refund.id} already recorded on order ${order.orderNumber}`, order };
+  }
+
+  await order.save();
+  if (result.becameProcessed) {
+    await creditRefund(order, result.refund);
+    await notifyCustomer(order, result.refund);
+  }
+
+  return { status: 'processed', message: `Refund ${refund.id} recorded on order ${order.orderNumber}`, order };
+};
+
+const EVENT_HANDLERS = {
+  'payment.captured': handlePaymentCaptured,
+  'order.paid': handlePaymentCaptured,
+  'payment.failed': handlePaymentFailed,
+  'refund.processed': handleRefundProcessed
+};
+
+/**
+ * Applies a verified Razorpay webhook delivery to the matching order.
+ * Each event id is applied at most once; failed or unmatched deliveries are retried when
+ * Razorpay redelivers them.
+ *
+ * @param {Object} params
+ * @param {string} params.eventId X-Razorpay-Event-Id header (or a hash of the body)
+ * @param {Object} params.body Parsed webhook payload
+ * @returns {Promise<{ duplicate: boolean, record: Object }>}
+ */
+const processWebhookEvent = async ({ eventId, body }) => {
+  const entities = getEntities(body);
+
+  let record;
+  try {
+    record = await RazorpayWebhookEvent.create({
+      eventId,
+      event: body.event,
+      razorpayOrderId: entities.payment?.order_id || entities.razorpayOrder?.id,
+      razorpayPaymentId: entities.payment?.id || entities.refund?.payment_id,
+      razorpayRefundId: entities.refund?.id,
+      payload: body
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+
+    record = await RazorpayWebhookEvent.findOne({ eventId });
+    if (FINAL_STATUSES.includes(record.status)) {
+      return { duplicate: true, record };
+    }
+  }
+
+  const handler = EVENT_HANDLERS[body.event];
+  record.attempts += 1;
+
+  try {
+    const outcome = handler
+      ? await handler(entities)
+      : { status: 'ignored', message: `Unhandled event ${body.event}` };
+
+    record.status = outcome.status;
+    record.result = outcome.message;
+    record.order = outcome.order?._id || record.order;
+    record.error = undefined;
+    record.processedAt = new Date();
+    await record.save();
+
+    console.log(`🔔 Razorpay webhook ${body.event} (${eventId}): ${outcome.message}`);
+    return { duplicate: false, record };
+  } catch (error) {
+    record.status = 'failed';
+    record.error = error.message;
+    await record.save();
+    throw error;
+  }
+};
+
+module.exports = {
+  processWebhookEvent,
+};
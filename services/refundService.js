@@ -0,0 +1,241 @@
+const razorpayService = require('./razorpayService');
+const emailNotificationService = require('./emailNotificationService');
+const invoiceService = require('./invoiceService');
+const { resolveOrderCustomer } = require('../utils/orderCustomer');
+const { roundAmount } = require('../utils/money');
+const { ServiceError } = require('../utils/serviceError');
+
+const ACTIVE_REFUND_STATUSES = ['pending', 'processed'];
+
+class RefundError extends ServiceError {
+  constructor(message, statusCode = 400, details) {
+    super(message, statusCode, { details });
+  }
+}
+
+const isRefundError = (error) => error instanceof RefundError;
+
+// Order amounts are stored in major units; Razorpay works in the smallest unit (paise, cents)
+const toMinorUnits = (amount) => Math.round(amount * 100);
+const fromMinorUnits = (amount) => roundAmount(amount / 100);
+
+const mapRazorpayRefundStatus = (status) => {
+  if (status === 'processed') return 'processed';
+  if (status === 'failed') return 'failed';
+  return 'pending';
+};
+
+// What was charged: the amount paid when an amendment repriced the order, otherwise its total
+const getChargedAmount = (order) => order.amountPaid ?? order.totalAmount ?? 0;
+
+/**
+ * Amount (order currency) that can still be refunded. Failed refunds do not count.
+ */
+const getRefundableAmount = (order) => roundAmount(Math.max(0, getChargedAmount(order) - (order.refundedAmount || 0)));
+
+/**
+ * Recomputes refundedAmount and refundStatus from the refund ledger.
+ */
+const recalculateRefundTotals = (order) => {
+  const refunded = (order.refunds || [])
+    .filter((refund) => ACTIVE_REFUND_STATUSES.includes(refund.status))
+    .reduce((sum, refund) => sum + refund.amount, 0);
+
+  order.refundedAmount = roundAmount(refunded);
+
+  if (order.refundedAmount <= 0) {
+    order.refundStatus = 'none';
+  } else if (order.refundedAmount >= roundAmount(getChargedAmount(order))) {
+    order.refundStatus = 'full';
+  } else {
+    order.refundStatus = 'partial';
+  }
+
+  return order;
+};
+
+const notifyCustomer = async (order, refund) => {
+  try {
+    const customer = await resolveOrderCustomer(order);
+    await emailNotificationService.sendRefundNotification({ customer, order, refund });
+  } catch (error) {
+    console.error(`Failed to send refund email for order ${order.orderNumber}:`, error);
+  }
+};
+
+/**
+ * Issues a credit note against the order's GST invoice for a processed refund. Orders that
+ * were never invoiced have nothing to credit.
+ */
+const creditRefund = async (order, refund) => {
+  if (!order.invoice?.number) {
+    return null;
+  }
+
+  try {
+    return await invoiceService.issueCreditNote(order._id, {
+      amount: refund.amount,
+      reason: refund.reason || 'Refund',
+      refundId: refund._id,
+      issuedBy: refund.initiatedBy
+    });
+  } catch (error) {
+    console.error(`Failed to issue a credit note for refund ${refund.razorpayRefundId} on order ${order.orderNumber}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Issues a full or partial refund for a Razorpay-paid order and records it on the ledger.
+ *
+ * @param {Object} order Order document
+ * @param {Object} options
+ * @param {number} [options.amount] Amount in the order currency; defaults to everything still refundable
+ * @param {string} [options.reason]
+ * @param {string} [options.notes]
+ * @param {string} [options.speed] 'normal' (default) or 'optimum'
+ * @param {Object} [options.initiatedBy] User issuing the refund
+ * @returns {Promise<Object>} The ledger entry that was added
+ */
+const issueRefund = async (order, { amount, reason, notes, speed, initiatedBy } = {}) => {
+  if (order.paymentDetails?.method !== 'razorpay' || !order.paymentDetails?.razorpayPaymentId) {
+    throw new RefundError('Only orders paid online through Razorpay can be refunded from here');
+  }
+
+  const refundable = getRefundableAmount(order);
+  if (refundable <= 0) {
+    throw new RefundError('This order has already been fully refunded', 409);
+  }
+
+  const refundAmount = amount === undefined || amount === null || amount === '' ? refundable : roundAmount(Number(amount));
+  if (!Number.isFinite(refundAmount) || refundAmount <= 0) {
+    throw new RefundError('Refund amount must be greater than zero');
+  }
+
+  if (refundAmount > refundable) {
+    throw new RefundError(`Refund amount exceeds the refundable balance of ${refundable}`, 400, { refundable });
+  }
+
+  const razorpayRefund = await razorpayService.refundPayment(
+    order.paymentDetails.razorpayPaymentId,
+    toMinorUnits(refundAmount),
+    {
+      speed,
+      receipt: `${order.orderNumber}-R${(order.refunds?.length || 0) + 1}`,
+      notes: {
+        orderNumber: order.orderNumber,
+        reason: reason || ''
+      }
+    }
+  );
+
+  const status = mapRazorpayRefundStatus(razorpayRefund.status);
+  order.refunds.push({
+    razorpayRefundId: razorpayRefund.id,
+    amount: refundAmount,
+    currency: order.currency,
+    status,
+    reason,
+    notes,
+    initiatedBy: initiatedBy?._id,
+    processedAt: status === 'processed' ? new Date() : undefined
+  });
+  recalculateRefundTotals(order);
+
+  order.trackingHistory.push({
+    status: order.status,
+    message: `Refund of ${refundAmount} ${order.currency} initiated${reason ? `: ${reason}` : ''}`,
+    timestamp: new Date(),
+    updatedBy: initiatedBy?._id
+  });
+
+  await order.save();
+
+  const entry = order.refunds[order.refunds.length - 1];
+  console.log(`💸 Refund ${entry.razorpayRefundId} (${refundAmount} ${order.currency}) recorded for order ${order.orderNumber}`);
+  if (entry.status === 'processed') {
+    await creditRefund(order, entry);
+  }
+  await notifyCustomer(order, entry);
+
+  return entry;
+};
+
+/**
+ * Applies a Razorpay refund entity (from the API or a webhook) to the order's ledger.
+ * Refunds created outside this backend (e.g. the Razorpay dashboard) are added to the ledger.
+ * Does not save the order.
+ *
+ * @returns {{ changed: boolean, refund: Object, becameProcessed: boolean }}
+ */
+const applyRazorpayRefund = (order, razorpayRefund) => {
+  const status = mapRazorpayRefundStatus(razorpayRefund.status);
+  let refund = order.refunds.find((entry) => entry.razorpayRefundId === razorpayRefund.id);
+
+  if (!refund) {
+    order.refunds.push({
+      razorpayRefundId: razorpayRefund.id,
+      amount: fromMinorUnits(razorpayRefund.amount),
+      currency: razorpayRefund.currency || order.currency,
+      status,
+      reason: razorpayRefund.notes?.reason || 'Refunded via Razorpay',
+      processedAt: status === 'processed' ? new Date() : undefined
+    });
+    refund = order.refunds[order.refunds.length - 1];
+    recalculateRefundTotals(order);
+    return { changed: true, refund, becameProcessed: status === 'processed' };
+  }
+
+  if (refund.status === status) {
+    return { changed: false, refund, becameProcessed: false };
+  }
+
+  const becameProcessed = status === 'processed';
+  refund.status = status;
+  if (becameProcessed) {
+    refund.processedAt = new Date();
+  }
+  if (status === 'failed') {
+    refund.failureReason = razorpayRefund.error_description || razorpayRefund.notes?.failure_reason || 'Refund failed at Razorpay';
+  }
+  recalculateRefundTotals(order);
+
+  return { changed: true, refund, becameProcessed };
+};
+
+/**
+ * Refreshes one ledger entry from Razorpay; once it is processed, credits the invoice and
+ * emails the customer.
+ */
+const syncRefundStatus = async (order, refundId) => {
+  const refund = order.refunds.find((entry) => String(entry._id) === String(refundId) || entry.razorpayRefundId === refundId);
+  if (!refund || !refund.razorpayRefundId) {
+    throw new RefundError('Refund not found on this order', 404);
+  }
+
+  const razorpayRefund = await razorpayService.fetchRefund(order.paymentDetails.razorpayPaymentId, refund.razorpayRefundId);
+  const result = applyRazorpayRefund(order, razorpayRefund);
+
+  if (result.changed) {
+    await order.save();
+    if (result.becameProcessed) {
+      await creditRefund(order, result.refund);
+      await notifyCustomer(order, result.refund);
+    }
+  }
+
+  return result.refund;
+};
+
+module.exports = {
+  RefundError,
+  applyRazorpayRefund,
+  creditRefund,
+  getRefundableAmount,
+  isRefundError,
+  issueRefund,
+  notifyCustomer,
+  recalculateRefundTotals,
+  syncRefundStatus,
+  toMinorUnits,
+};
@@ -0,0 +1,173 @@
+const Order = require("../models/Order");
+const ReviewEmailLog = require("../models/ReviewEmailLog");
+const jobQueueService = require("./jobQueueService");
+const reviewEmailService = require("./reviewEmailService");
+const { buildReviewPublicUrl } = require("./reviewDomainService");
+const { checkIsPlaceholderCustomer } = require("../utils/testCustomerHelper");
+const { ServiceError } = require("../utils/serviceError");
+
+const REVIEW_REQUEST_JOB = "review.requestEmail";
+
+class ReviewRequestError extends ServiceError {}
+
+const isReviewRequestError = (error) => error instanceof ReviewRequestError;
+
+/**
+ * Hours after delivery that the review request goes out on its own.
+ * REVIEW_REQUEST_DELAY_HOURS=0 (the default) leaves it to admins to send from the order.
+ */
+const getReviewRequestDelayHours = () => {
+  const hours = Number(process.env.REVIEW_REQUEST_DELAY_HOURS);
+  return Number.isFinite(hours) && hours > 0 ? hours : 0;
+};
+
+/**
+ * Emails the customer a review link for each product on a delivered order and logs one
+ * ReviewEmailLog per product.
+ *
+ * @param {string} orderId
+ * @param {Object} [options]
+ * @param {string} [options.requestedBy] Admin who sent it (null when automatic)
+ * @returns {Promise<{ skipped: true, reason: string }|{ emailResult: Object, logs: Array, summary: Object }>}
+ * @throws {ReviewRequestError} When the order can't be reviewed yet or has nobody to email
+ */
+const sendReviewRequestForOrder = async (orderId, { requestedBy = null } = {}) => {
+  const order = await Order.findById(orderId)
+    .populate("user", "name email")
+    .populate({
+      path: "items.product",
+      select: "title images category",
+    });
+
+  if (!order) {
+    throw new ReviewRequestError("Order not found.", 404);
+  }
+
+  const check = checkIsPlaceholderCustomer(order);
+  if (check.isPlaceholder) {
+    console.log(`Customer notifications skipped:\nReason: ${check.reason}\nOrder: ${order.orderNumber}\nEmail: ${order.shippingDetails?.email || 'N/A'}`);
+    return { skipped: true, reason: check.reason };
+  }
+
+  if (order.status !== "delivered") {
+    throw new ReviewRequestError("Review request emails can only be sent after delivery.");
+  }
+
+  const customerEmail = order.user?.email || order.shippingDetails?.email;
+  const customerName = order.user?.name || order.shippingDetails?.fullName || "Customer";
+
+  if (!customerEmail) {
+    throw new ReviewRequestError("Customer email is missing for this order.");
+  }
+
+  const products = order.items
+    .filter((item) => item.product && item.product._id)
+    .map((item) => ({
+      _id: item.product._id,
+      title: item.product.title || item.title || "Product",
+      image: item.product.images?.[0] || item.image || item.images?.[0] || "",
+    }))
+    .filter(
+      (product, index, array) =>
+        array.findIndex((candidate) => String(candidate._id) === String(product._id)) === index
+    );
+
+  if (!products.length) {
+    throw new ReviewRequestError("No reviewable products were found for this order.");
+  }
+
+  const productsWithUrls = products.map((product) => ({
+    ...product,
+    reviewUrl: buildReviewPublicUrl(product, order._id),
+  }));
+
+  const emailResult = await reviewEmailService.sendReviewRequestEmail({
+    customer: {
+      name: customerName,
+      email: customerEmail,
+    },
+    order,
+    products: productsWithUrls,
+  });
+
+  const logs = await Promise.all(
+    productsWithUrls.map((product) =>
+      ReviewEmailLog.create({
+        order: order._id,
+        product: product._id,
+        customer: order.user?._id || null,
+        requestedBy,
+        customerName,
+        customerEmail,
+        productName: product.title,
+        reviewUrl: product.reviewUrl,
+        status: emailResult.success ? "sent" : "failed",
+        messageId: emailResult.messageId || "",
+        errorMessage: emailResult.error || "",
+        sentAt: emailResult.success ? new Date() : null,
+        meta: {
+          orderNumber: order.orderNumber,
+        },
+      })
+    )
+  );
+
+  return {
+    emailResult,
+    logs,
+    summary: {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      customerEmail,
+      productCount: productsWithUrls.length,
+      messageId: emailResult.messageId,
+    },
+  };
+};
+
+/**
+ * Queues the automatic review request for a newly delivered order (no-op while
+ * REVIEW_REQUEST_DELAY_HOURS is 0). Scheduling twice for the same order keeps one job.
+ *
+ * @returns {Promise<Object|null>} The job
+ */
+const scheduleReviewRequest = async (order) => {
+  const delayHours = getReviewRequestDelayHours();
+  if (!delayHours) return null;
+
+  try {
+    return await jobQueueService.scheduleJob(
+      REVIEW_REQUEST_JOB,
+      { orderId: String(order._id) },
+      { delay: delayHours * 60 * 60 * 1000, uniqueKey: `review-request:${order._id}` }
+    );
+  } catch (error) {
+    console.error(`Failed to schedule review request for order ${order.orderNumber}:`, error);
+    return null;
+  }
+};
+
+jobQueueService.defineJob(REVIEW_REQUEST_JOB, async ({ orderId }) => {
+  try {
+    const result = await sendReviewRequestForOrder(orderId);
+    if (result.emailResult && !result.emailResult.success) {
+      // Thrown so the queue retries the send
+      throw new Error(result.emailResult.error || "Review request email could not be sent");
+    }
+  } catch (error) {
+    if (isReviewRequestError(error)) {
+      // Nothing to retry: the order was cancelled, returned or has no email
+      console.log(`Review request for order ${orderId} not sent: ${error.message}`);
+      return;
+    }
+    throw error;
+  }
+});
+
+module.exports = {
+  ReviewRequestError,
+  getReviewRequestDelayHours,
+  isReviewRequestError,
+  scheduleReviewRequest,
+  sendReviewRequestForOrder,
+};
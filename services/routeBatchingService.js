@@ -0,0 +1,416 @@
+const moment = require('moment');
+const Order = require('../models/Order');
+const DeliveryAssignment = require('../models/DeliveryAssignment');
+const DeliveryBatch = require('../models/DeliveryBatch');
+const DeliveryEarning = require('../models/DeliveryEarning');
+const DeliveryPartner = require('../models/DeliveryPartner');
+const DeliverySetting = require('../models/DeliverySetting');
+const deliveryService = require('./deliveryService');
+const deliveryNotificationService = require('./deliveryNotificationService');
+const { isReadyForProduction } = require('./productionService');
+const surgePricingService = require('./surgePricingService');
+const { ServiceError } = require('../utils/serviceError');
+
+const BATCHABLE_STATUSES = ['received', 'being_made'];
+const FINISHED_ASSIGNMENT_STATUSES = ['delivered', 'failed_delivery', 'cancelled'];
+// Same riding speed the single-order ETAs use (3 minutes per km)
+const MINUTES_PER_KM = 3;
+
+class RouteBatchingError extends ServiceError {}
+
+const isRouteBatchingError = (error) => error instanceof RouteBatchingError;
+
+const roundKm = (km) => Math.round(km * 100) / 100;
+
+const distanceBetween = (a, b) => deliveryService.calculateHaversineDistance(a.latitude, a.longitude, b.latitude, b.longitude);
+
+// Delivery dates are stored as the calendar day at UTC midnight (see createOrder)
+const parseDeliveryDay = (date) => {
+  const day = moment.utc(date, 'YYYY-MM-DD', true);
+  if (!day.isValid()) {
+    throw new RouteBatchingError('date must be in YYYY-MM-DD format');
+  }
+  return day;
+};
+
+const getDropLocation = (order) => {
+  const { latitude, longitude } = order.shippingDetails || {};
+  return Number.isFinite(latitude) && Number.isFinite(longitude) ? { latitude, longitude } : null;
+};
+
+/**
+ * Orders the drops by always riding to the nearest remaining one, and works out the leg
+ * distances and the ETA at each stop (minutes after leaving the store).
+ *
+ * @param {{ latitude: number, longitude: number }} origin Store coordinates
+ * @param {Array<{ order: Object, location: Object }>} drops
+ * @param {Object} [options]
+ * @param {number} [options.dwellMinutes=5] Time spent at each stop before riding on
+ * @returns {{ stops: Array, totalDistance: number, estimatedDuration: number }}
+ */
+const sequenceStops = (origin, drops, { dwellMinutes = 5 } = {}) => {
+  const remaining = [...drops];
+  const stops = [];
+  let position = origin;
+  let totalDistance = 0;
+  let elapsed = 0;
+
+  while (remaining.length > 0) {
+    let nearestIndex = 0;
+    remaining.forEach((drop, index) => {
+      if (distanceBetween(position, drop.location) < distanceBetween(position, remaining[nearestIndex].location)) {
+        nearestIndex = index;
+      }
+    });
+
+    const [drop] = remaining.splice(nearestIndex, 1);
+    const legDistance = distanceBetween(position, drop.location);
+    totalDistance += legDistance;
+    elapsed += (stops.length > 0 ? dwellMinutes : 0) + legDistance * MINUTES_PER_KM;
+
+    stops.push({
+      sequence: stops.length + 1,
+      orderId: drop.order._id,
+      orderNumber: drop.order.orderNumber,
+      latitude: drop.location.latitude,
+      longitude: drop.location.longitude,
+      legDistance: roundKm(legDistance),
+      etaMinutes: Math.round(elapsed)
+    });
+    position = drop.location;
+  }
+
+  return {
+    stops,
+    totalDistance: roundKm(totalDistance),
+    estimatedDuration: Math.round(elapsed + (stops.length > 0 ? dwellMinutes : 0))
+  };
+};
+
+/**
+ * Groups drops into routes: the furthest drop from the store seeds a route, which takes the
+ * nearest other drops within the batch radius until it reaches the stop limit.
+ *
+ * @param {{ latitude: number, longitude: number }} origin Store coordinates
+ * @param {Array<{ order: Object, location: Object }>} drops
+ * @param {Object} options
+ * @param {number} options.radius Maximum km between the seed drop and any other stop
+ * @param {number} options.maxStops
+ * @returns {Array<Array<{ order: Object, location: Object }>>}
+ */
+const clusterDrops = (origin, drops, { radius, maxStops }) => {
+  const remaining = [...drops].sort((a, b) => distanceBetween(origin, b.location) - distanceBetween(origin, a.location));
+  const clusters = [];
+
+  while (remaining.length > 0) {
+    const seed = remaining.shift();
+    const neighbours = remaining
+      .map((drop) => ({ drop, distance: distanceBetween(seed.location, drop.location) }))
+      .filter(({ distance }) => distance <= radius)
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, Math.max(0, maxStops - 1))
+      .map(({ drop }) => drop);
+
+    for (const drop of neighbours) {
+      remaining.splice(remaining.indexOf(drop), 1);
+    }
+    clusters.push([seed, ...neighbours]);
+  }
+
+  return clusters;
+};
+
+/**
+ * Orders for a delivery day and slot that are ready to go out and don't have a partner yet.
+ */
+const findBatchableOrders = async ({ deliveryDate, timeSlot }) => {
+  const orders = await Order.find({
+    status: { $in: BATCHABLE_STATUSES },
+    'shippingDetails.deliveryDate': { $gte: deliveryDate, $lte: moment.utc(deliveryDate).endOf('day').toDate() },
+    'shippingDetails.timeSlot': timeSlot,
+    'shippingDetails.deliveryRequired': { $ne: false }
+  });
+
+  const busy = await DeliveryAssignment.distinct('orderId', {
+    orderId: { $in: orders.map((order) => order._id) },
+    status: { $nin: [...FINISHED_ASSIGNMENT_STATUSES, 'pending_assignment'] }
+  });
+  const busyIds = new Set(busy.map(String));
+
+  return orders.filter((order) => isReadyForProduction(order) && !busyIds.has(String(order._id)));
+};
+
+/**
+ * Proposes multi-drop routes for a delivery slot. Ready orders are grouped by fulfilling store,
+ * clustered by proximity and sequenced, and saved as proposed batches (replacing earlier
+ * proposals for the same slot) for an admin to review and assign.
+ *
+ * @param {Object} params
+ * @param {string} params.date Delivery day, YYYY-MM-DD
+ * @param {string} params.timeSlot
+ * @param {string} [params.storeId] Only plan orders made by this store
+ * @returns {Promise<{ batches: Array, unroutable: Array<{ orderNumber: string, reason: string }> }>}
+ */
+const planBatches = async ({ date, timeSlot, storeId }) => {
+  if (!timeSlot) {
+    throw new RouteBatchingError('timeSlot is required');
+  }
+  const deliveryDate = parseDeliveryDay(date).toDate();
+  const config = await DeliverySetting.getSettings();
+
+  const orders = await findBatchableOrders({ deliveryDate, timeSlot });
+  const unroutable = [];
+  const byStore = new Map();
+
+  for (const order of orders) {
+    const location = getDropLocation(order);
+    if (!location) {
+      unroutable.push({ orderNumber: order.orderNumber, reason: 'No delivery coordinates' });
+      continue;
+    }
+
+    const origin = await deliveryService.resolveFulfillmentStore(order);
+    const key = origin.store ? String(origin.store._id) : 'default';
+    if (storeId && key !== String(storeId)) continue;
+
+    if (!byStore.has(key)) byStore.set(key, { origin, drops: [] });
+    byStore.get(key).drops.push({ order, location });
+  }
+
+  await DeliveryBatch.deleteMany({
+    deliveryDate,
+    timeSlot,
+    status: 'proposed',
+    ...(storeId && { storeId })
+  });
+
+  const batches = [];
+  for (const { origin, drops } of byStore.values()) {
+    const clusters = clusterDrops(origin, drops, {
+      radius: config.batchRadius,
+      maxStops: Math.max(1, config.maxOrdersPerPartner)
+    });
+
+    for (const cluster of clusters) {
+      const route = sequenceStops(origin, cluster, { dwellMinutes: config.stopDwellMinutes });
+      batches.push(await DeliveryBatch.create({
+        deliveryDate,
+        timeSlot,
+        storeId: origin.store?._id,
+        status: 'proposed',
+        ...route
+      }));
+    }
+  }
+
+  return { batches, unroutable };
+};
+
+const generateCustomerOtp = () => Math.floor(1000 + Math.random() * 9000).toString();
+
+/**
+ * Hands a proposed batch to one partner: every stop gets an assignment carrying the batch and
+ * its place in the route. Without a partnerId the best available partner near the store with
+ * room for all the stops is chosen.
+ *
+ * @param {string} batchId
+ * @param {Object} [options]
+ * @param {string} [options.partnerId]
+ * @param {string} [options.assignedBy='admin']
+ * @returns {Promise<{ batch: Object, partner: Object, assignments: Array }>}
+ */
+const assignBatch = async (batchId, { partnerId, assignedBy = 'admin' } = {}) => {
+  const batch = await DeliveryBatch.findById(batchId);
+  if (!batch) {
+    throw new RouteBatchingError('Batch not found', 404);
+  }
+  if (batch.status !== 'proposed') {
+    throw new RouteBatchingError(`Batch is already ${batch.status}`, 409);
+  }
+
+  const config = await DeliverySetting.getSettings();
+  const origin = await deliveryService.resolveFulfillmentStore({ store: batch.storeId });
+
+  let partner;
+  if (partnerId) {
+    partner = await DeliveryPartner.findById(partnerId);
+    if (!partner) {
+      throw new RouteBatchingError('Delivery partner not found', 404);
+    }
+  } else {
+    const match = await deliveryService.findBestPartnerForOrder({ store: batch.storeId }, config, origin, { capacity: batch.stops.length });
+    if (!match) {
+      throw new RouteBatchingError(`No available partner near the store has room for ${batch.stops.length} stops`, 409);
+    }
+    partner = match.partner;
+  }
+
+  const orders = await Order.find({ _id: { $in: batch.stops.map((stop) => stop.orderId) } });
+  const ordersById = new Map(orders.map((order) => [String(order._id), order]));
+  const taken = await DeliveryAssignment.distinct('orderId', {
+    orderId: { $in: batch.stops.map((stop) => stop.orderId) },
+    status: { $nin: [...FINISHED_ASSIGNMENT_STATUSES, 'pending_assignment'] }
+  });
+  if (taken.length > 0) {
+    const numbers = batch.stops.filter((stop) => taken.some((id) => String(id) === String(stop.orderId))).map((stop) => stop.orderNumber);
+    throw new RouteBatchingError(`Orders ${numbers.join(', ')} were assigned since this batch was planned; plan the slot again`, 409);
+  }
+
+  // Orders waiting for a partner are picked up by the batch instead
+  await DeliveryAssignment.updateMany(
+    { orderId: { $in: batch.stops.map((stop) => stop.orderId) }, status: 'pending_assignment' },
+    { status: 'cancelled', $push: { history: { status: 'cancelled', remarks: 'Replaced by a batched route' } } }
+  );
+
+  const pickupDistance = deliveryService.calculateHaversineDistance(
+    partner.currentLatitude,
+    partner.currentLongitude,
+    origin.latitude,
+    origin.longitude
+  );
+  const pickupMinutes = Number.isFinite(pickupDistance) ? pickupDistance * MINUTES_PER_KM : 0;
+
+  const assignments = [];
+  for (const stop of batch.stops) {
+    const assignment = await DeliveryAssignment.create({
+      orderId: stop.orderId,
+      partnerId: partner._id,
+      storeId: batch.storeId,
+      batchId: batch._id,
+      stopSequence: stop.sequence,
+      status: 'assigned',
+      distance: Number.isFinite(pickupDistance) ? roundKm(pickupDistance) : 0,
+      eta: Math.round(pickupMinutes + stop.etaMinutes),
+      customerOtp: generateCustomerOtp(),
+      history: [{
+        status: 'assigned',
+        updatedBy: assignedBy,
+        remarks: `Stop ${stop.sequence} of ${batch.stops.length} on a batched route for ${partner.name}`
+      }]
+    });
+    stop.assignmentId = assignment._id;
+    assignments.push(assignment);
+  }
+
+  batch.partnerId = partner._id;
+  batch.status = 'assigned';
+  batch.assignedAt = new Date();
+  batch.pickupDistance = Number.isFinite(pickupDistance) ? roundKm(pickupDistance) : 0;
+  await batch.save();
+
+  partner.activeOrders += batch.stops.length;
+  if (partner.activeOrders >= config.maxOrdersPerPartner) {
+    partner.availability = 'busy';
+  }
+  await partner.save();
+
+  for (const assignment of assignments) {
+    const order = ordersById.get(String(assignment.orderId));
+    if (!order) continue;
+    await deliveryNotificationService.sendDeliveryNotification('order_assigned', assignment, order, partner);
+    await deliveryNotificationService.sendDeliveryNotification('partner_assigned', assignment, order, partner);
+  }
+
+  return { batch, partner, assignments };
+};
+
+// Per-km pay (with the peak multiplier) for the ride to the store and along the route
+const getBatchDistancePay = (batch, config) =>
+  (batch.pickupDistance + batch.totalDistance) * config.earningPerKm * config.peakHourMultiplier;
+
+/**
+ * Pay for a batched route: the base pay once, the per-km rate on the ride to the store and
+ * along the route, and a bonus for every delivered stop after the first.
+ */
+const calculateBatchEarnings = (batch, deliveredStops, config) => {
+  const stopBonus = Math.max(0, deliveredStops - 1) * config.batchStopEarning;
+  return parseFloat((config.baseDeliveryEarning + getBatchDistancePay(batch, config) + stopBonus).toFixed(2));
+};
+
+/**
+ * Settles a batch once every stop is finished (delivered, failed or cancelled): records one
+ * DeliveryEarning for the route (plus any surge bonus) and credits the partner. Safe to call
+ * after each stop.
+ *
+ * @returns {Promise<Object|null>} The earning, or null while stops are still open
+ */
+const settleBatch = async (batchId) => {
+  const batch = await DeliveryBatch.findById(batchId);
+  if (!batch || batch.status !== 'assigned') return null;
+
+  const assignments = await DeliveryAssignment.find({ batchId: batch._id });
+  if (assignments.some((assignment) => !FINISHED_ASSIGNMENT_STATUSES.includes(assignment.status))) {
+    return null;
+  }
+
+  // Claim the batch so concurrent stop updates don't pay it twice
+  const claimed = await DeliveryBatch.findOneAndUpdate(
+    { _id: batch._id, status: 'assigned' },
+    { $set: { status: 'completed', completedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  const delivered = assignments.filter((assignment) => assignment.status === 'delivered' && String(assignment.partnerId) === String(batch.partnerId));
+  const config = await DeliverySetting.getSettings();
+  const amount = calculateBatchEarnings(batch, delivered.length, config);
+
+  const orders = await Order.find({ _id: { $in: delivered.map((assignment) => assignment.orderId) } }).select('deliveryCharge surge');
+  // A route shares one slot, so the strongest surge among its delivered stops sets the pay
+  const surge = orders
+    .map((order) => order.surge)
+    .filter((entry) => entry?.ruleId)
+    .sort((a, b) => b.partnerMultiplier - a.partnerMultiplier)[0];
+  const routePay = config.baseDeliveryEarning + getBatchDistancePay(batch, config);
+  const surgeBonus = surgePricingService.calculatePartnerBonus(surge, routePay);
+  const total = parseFloat((amount + surgeBonus).toFixed(2));
+
+  const earning = await DeliveryEarning.create({
+    partnerId: batch.partnerId,
+    batchId: batch._id,
+    amount: total,
+    basePay: config.baseDeliveryEarning,
+    distancePay: parseFloat(getBatchDistancePay(batch, config).toFixed(2)),
+    peakMultiplier: config.peakHourMultiplier,
+    deliveryChargeShare: orders.reduce((sum, order) => sum + (order.deliveryCharge || 0), 0),
+    bonus: parseFloat((Math.max(0, delivered.length - 1) * config.batchStopEarning + surgeBonus).toFixed(2)),
+    surgeRuleId: surgeBonus > 0 ? surge.ruleId : undefined,
+    stopsDelivered: delivered.length
+  });
+
+  await DeliveryBatch.updateOne({ _id: batch._id }, { $set: { earnings: total } });
+  await DeliveryPartner.updateOne({ _id: batch.partnerId }, { $inc: { todayEarnings: total, totalEarnings: total } });
+
+  return earning;
+};
+
+/**
+ * Batches for a delivery day, optionally narrowed to a slot, store or status.
+ */
+const listBatches = async ({ date, timeSlot, storeId, status } = {}) => {
+  const filter = {};
+  if (date) {
+    const day = parseDeliveryDay(date);
+    filter.deliveryDate = { $gte: day.toDate(), $lte: day.clone().endOf('day').toDate() };
+  }
+  if (timeSlot) filter.timeSlot = timeSlot;
+  if (storeId) filter.storeId = storeId;
+  if (status) filter.status = status;
+
+  return DeliveryBatch.find(filter)
+    .populate('partnerId', 'name phone')
+    .populate('storeId', 'name')
+    .sort({ deliveryDate: 1, timeSlot: 1, createdAt: 1 });
+};
+
+module.exports = {
+  RouteBatchingError,
+  assignBatch,
+  calculateBatchEarnings,
+  clusterDrops,
+  isRouteBatchingError,
+  listBatches,
+  planBatches,
+  sequenceStops,
+  settleBatch,
+};
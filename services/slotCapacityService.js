@@ -0,0 +1,322 @@
+const moment = require('moment');
+const DeliveryZone = require('../models/DeliveryZone');
+const Order = require('../models/Order');
+const Settings = require('../models/settings');
+const SlotCapacity = require('../models/SlotCapacity');
+const { parseDayKey, todayKey, toDayKey } = require('../utils/businessDay');
+const { ServiceError } = require('../utils/serviceError');
+
+const MAX_AVAILABILITY_DAYS = 31;
+
+class SlotCapacityError extends ServiceError {
+  constructor(message, statusCode = 400, code, details) {
+    super(message, statusCode, { code, details });
+  }
+}
+
+const isSlotCapacityError = (error) => error instanceof SlotCapacityError;
+
+const toDay = (date) => moment.utc(toDayKey(date)).toDate();
+
+const getEnabledTimeSlots = async () => {
+  const settings = await Settings.findOne();
+  return (settings?.deliverySettings?.timeSlots || []).filter((slot) => slot.enabled);
+};
+
+// The slot-wide cap and, when the delivery has a zone, that zone's own cap
+const findCaps = ({ deliveryDate, timeSlot, zoneId }) => SlotCapacity.find({
+  date: toDay(deliveryDate),
+  timeSlot: timeSlot || 'standard',
+  zone: { $in: zoneId ? [null, zoneId] : [null] },
+});
+
+const buildFullError = async (cap) => {
+  const timeSlots = await getEnabledTimeSlots();
+  const label = timeSlots.find((slot) => slot.time === cap.timeSlot)?.label || `${cap.timeSlot} delivery`;
+  return new SlotCapacityError(
+    `${label} on ${moment.utc(cap.date).format('D MMM')} is fully booked. Please choose another slot or date.`,
+    409,
+    'slot_full',
+    { date: toDayKey(cap.date), timeSlot: cap.timeSlot, zone: cap.zone || null }
+  );
+};
+
+const releaseCaps = async (capIds) => {
+  if (capIds.length === 0) return;
+  await SlotCapacity.updateMany({ _id: { $in: capIds }, booked: { $gt: 0 } }, { $inc: { booked: -1 } });
+};
+
+/**
+ * Takes one place on each cap. Each increment only succeeds while the cap has room, so two
+ * checkouts can never both get the last place; if any cap is full the places already taken
+ * are given back.
+ */
+const bookCaps = async (caps, { overbook = false } = {}) => {
+  const booked = [];
+  try {
+    for (const cap of caps) {
+      const filter = { _id: cap._id };
+      if (!overbook) {
+        filter.$expr = { $lt: ['$booked', '$maxOrders'] };
+      }
+      const result = await SlotCapacity.updateOne(filter, { $inc: { booked: 1 } });
+      if (!result.modifiedCount) {
+        throw await buildFullError(cap);
+      }
+      booked.push(cap._id);
+    }
+  } catch (error) {
+    await releaseCaps(booked).catch((releaseError) => {
+      console.error('❌ Failed to give back slot capacity:', releaseError);
+    });
+    throw error;
+  }
+  return booked;
+};
+
+/**
+ * Books an (unsaved or saved) order into its delivery slot's capacity and records the caps
+ * on `order.slotCapacityIds`. Slots without a cap for the day take any number of orders.
+ * The caller is responsible for saving the order.
+ *
+ * @param {Object} order
+ * @param {Object} [options]
+ * @param {boolean} [options.overbook] Count the order even when the slot is full
+ * @returns {Promise<Array>} Ids of the caps booked
+ * @throws {SlotCapacityError} 409 `slot_full` when a cap has no room left
+ */
+const bookOrderSlot = async (order, { overbook = false } = {}) => {
+  const { deliveryDate, timeSlot } = order.shippingDetails || {};
+  if (!deliveryDate) return [];
+
+  const caps = await findCaps({ deliveryDate, timeSlot, zoneId: order.deliveryZone?._id || order.deliveryZone });
+  const booked = await bookCaps(caps, { overbook });
+  order.slotCapacityIds = booked;
+  return booked;
+};
+
+/**
+ * Checks that a slot still has room without booking it, so customers aren't sent to pay for a
+ * full slot. Booking the order can still fail if the last place goes in the meantime. Caps in
+ * `currentCapIds` (an order already booked there) don't count as full.
+ *
+ * @throws {SlotCapacityError} 409 `slot_full`
+ */
+const assertSlotAvailable = async ({ deliveryDate, timeSlot, zoneId } = {}, { currentCapIds = [] } = {}) => {
+  if (!deliveryDate || Number.isNaN(new Date(deliveryDate).getTime())) return;
+  const current = currentCapIds.map(String);
+  const caps = await findCaps({ deliveryDate, timeSlot, zoneId });
+  const full = caps.find((cap) => !current.includes(String(cap._id)) && cap.booked >= cap.maxOrders);
+  if (full) {
+    throw await buildFullError(full);
+  }
+};
+
+/**
+ * Gives back the places an order holds (cancellation, failed payment, save failure). Saved
+ * orders are claimed first so the places are only given back once. The caller is responsible
+ * for saving the order.
+ *
+ * @returns {Promise<number>} Caps released
+ */
+const releaseOrderSlot = async (order) => {
+  const capIds = [...(order.slotCapacityIds || [])];
+  if (capIds.length === 0) return 0;
+
+  if (!order.isNew) {
+    const claim = await Order.updateOne(
+      { _id: order._id, slotCapacityIds: { $ne: [] } },
+      { $set: { slotCapacityIds: [] } }
+    );
+    if (!claim.modifiedCount) {
+      order.slotCapacityIds = [];
+      return 0;
+    }
+  }
+
+  await releaseCaps(capIds);
+  order.slotCapacityIds = [];
+  return capIds.length;
+};
+
+/**
+ * Moves an order's booking to a new day, slot or zone. The new places are taken first, so a
+ * full slot leaves the current booking untouched; caps shared by both (e.g. a slot-wide cap
+ * when only the zone changes) are kept. The caller is responsible for saving the order.
+ *
+ * @param {Object} order
+ * @param {Object} target { deliveryDate, timeSlot, zoneId }
+ * @param {Object} [options]
+ * @param {boolean} [options.overbook]
+ * @returns {Promise<Array>} Ids of the caps the order is now booked against
+ * @throws {SlotCapacityError}
+ */
+const moveOrderSlot = async (order, { deliveryDate, timeSlot, zoneId }, { overbook = false } = {}) => {
+  const current = (order.slotCapacityIds || []).map(String);
+  const caps = deliveryDate ? await findCaps({ deliveryDate, timeSlot, zoneId }) : [];
+  const kept = caps.filter((cap) => current.includes(String(cap._id))).map((cap) => cap._id);
+  const added = await bookCaps(caps.filter((cap) => !current.includes(String(cap._id))), { overbook });
+  const keptIds = kept.map(String);
+  await releaseCaps(current.filter((id) => !keptIds.includes(id)));
+
+  order.slotCapacityIds = [...kept, ...added];
+  return order.slotCapacityIds;
+};
+
+/**
+ * Which delivery slots still take orders, per day, for the checkout to grey out full ones.
+ * `remaining` is null for slots without a cap.
+ *
+ * @param {Object} params
+ * @param {string} params.from First delivery day (YYYY-MM-DD)
+ * @param {string} [params.to] Last delivery day, defaults to `from`
+ * @param {Object} [params.zone] DeliveryZone of the address; its allowed slots and caps apply
+ * @returns {Promise<Array<{ date: string, slots: Array<{ time, label, extraCharge, limited, remaining, available }> }>>}
+ * @throws {SlotCapacityError}
+ */
+const getSlotAvailability = async ({ from, to, zone = null } = {}) => {
+  const start = parseDayKey(from, 'date', SlotCapacityError);
+  const end = to ? parseDayKey(to, 'to', SlotCapacityError) : start.clone();
+  if (end.isBefore(start)) {
+    throw new SlotCapacityError('to must not be before the first date');
+  }
+  if (end.diff(start, 'days') >= MAX_AVAILABILITY_DAYS) {
+    throw new SlotCapacityError(`At most ${MAX_AVAILABILITY_DAYS} days can be checked at once`);
+  }
+
+  const allowed = zone?.allowedTimeSlots || [];
+  const [timeSlots, caps] = await Promise.all([
+    getEnabledTimeSlots(),
+    SlotCapacity.find({
+      date: { $gte: start.toDate(), $lte: end.toDate() },
+      zone: { $in: zone ? [null, zone._id] : [null] },
+    }),
+  ]);
+
+  const days = [];
+  for (let day = start.clone(); !day.isAfter(end); day.add(1, 'day')) {
+    const date = day.format('YYYY-MM-DD');
+    const slots = timeSlots
+      .filter((slot) => allowed.length === 0 || allowed.includes(slot.time))
+      .map((slot) => {
+        const slotCaps = caps.filter((cap) => toDayKey(cap.date) === date && cap.timeSlot === slot.time);
+        const remaining = slotCaps.length
+          ? Math.max(0, Math.min(...slotCaps.map((cap) => cap.maxOrders - cap.booked)))
+          : null;
+        return {
+          time: slot.time,
+          label: slot.label,
+          extraCharge: slot.extraCharge || 0,
+          limited: slotCaps.length > 0,
+          remaining,
+          available: remaining === null || remaining > 0,
+        };
+      });
+    days.push({ date, slots });
+  }
+  return days;
+};
+
+// Orders already placed for a slot (and zone) when its cap is first set
+const buildSlotOrderFilter = ({ date, timeSlot, zoneId }) => ({
+  'shippingDetails.deliveryDate': { $gte: date.toDate(), $lte: date.clone().endOf('day').toDate() },
+  'shippingDetails.timeSlot': timeSlot === 'standard' ? { $in: ['standard', null] } : timeSlot,
+  status: { $ne: 'cancelled' },
+  ...(zoneId && { deliveryZone: zoneId }),
+});
+
+/**
+ * Sets the most orders a slot takes on a day, across all zones or for one zone. A new cap
+ * starts out counting the orders already booked for the slot, so it can be set mid-sale;
+ * changing an existing cap keeps its count.
+ *
+ * @param {Object} params
+ * @param {string} params.date YYYY-MM-DD
+ * @param {string} params.timeSlot
+ * @param {string} [params.zoneId]
+ * @param {number} params.maxOrders
+ * @returns {Promise<Object>} The SlotCapacity
+ * @throws {SlotCapacityError}
+ */
+const setSlotCapacity = async ({ date, timeSlot, zoneId, maxOrders } = {}, { userId } = {}) => {
+  const day = parseDayKey(date, 'date', SlotCapacityError);
+  const limit = Number(maxOrders);
+  if (!Number.isInteger(limit) || limit < 0) {
+    throw new SlotCapacityError('maxOrders must be a whole number of zero or more');
+  }
+  const timeSlots = await getEnabledTimeSlots();
+  if (!timeSlots.some((slot) => slot.time === timeSlot)) {
+    throw new SlotCapacityError(`timeSlot must be one of: ${timeSlots.map((slot) => slot.time).join(', ')}`);
+  }
+  if (zoneId && !(await DeliveryZone.exists({ _id: zoneId }))) {
+    throw new SlotCapacityError('Delivery zone not found', 404);
+  }
+
+  const key = { date: day.toDate(), timeSlot, zone: zoneId || null };
+  const existing = await SlotCapacity.findOne(key);
+  if (existing) {
+    existing.maxOrders = limit;
+    existing.updatedBy = userId;
+    await existing.save();
+    return existing;
+  }
+
+  const orderFilter = buildSlotOrderFilter({ date: day, timeSlot, zoneId });
+  const booked = await Order.countDocuments(orderFilter);
+  let cap;
+  try {
+    cap = await SlotCapacity.create({ ...key, maxOrders: limit, booked, updatedBy: userId });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new SlotCapacityError('A capacity for this slot was just set; please reload and try again', 409);
+    }
+    throw error;
+  }
+  // Those orders give their place back when cancelled, like ones booked from now on
+  await Order.updateMany(orderFilter, { $addToSet: { slotCapacityIds: cap._id } });
+  return cap;
+};
+
+/**
+ * Removes a cap; the slot then takes any number of orders again.
+ *
+ * @throws {SlotCapacityError}
+ */
+const removeSlotCapacity = async (capacityId) => {
+  const cap = await SlotCapacity.findByIdAndDelete(capacityId);
+  if (!cap) {
+    throw new SlotCapacityError('Slot capacity not found', 404);
+  }
+  await Order.updateMany({ slotCapacityIds: cap._id }, { $pull: { slotCapacityIds: cap._id } });
+  return cap;
+};
+
+/**
+ * Caps set for a range of delivery days (default: today onwards), earliest first.
+ */
+const listSlotCapacities = async ({ from, to } = {}) => {
+  const filter = {};
+  if (from || to) {
+    filter.date = {};
+    if (from) filter.date.$gte = parseDayKey(from, 'from', SlotCapacityError).toDate();
+    if (to) filter.date.$lte = parseDayKey(to, 'to', SlotCapacityError).toDate();
+  } else {
+    filter.date = { $gte: moment.utc(todayKey()).toDate() };
+  }
+  return SlotCapacity.find(filter)
+    .populate('zone', 'name')
+    .sort({ date: 1, timeSlot: 1 });
+};
+
+module.exports = {
+  SlotCapacityError,
+  assertSlotAvailable,
+  bookOrderSlot,
+  getSlotAvailability,
+  isSlotCapacityError,
+  listSlotCapacities,
+  moveOrderSlot,
+  releaseOrderSlot,
+  removeSlotCapacity,
+  setSlotCapacity,
+};
@@ -0,0 +1,482 @@
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const AddonProduct = require('../models/AddonProduct');
+const StockReservation = require('../models/StockReservation');
+const { ServiceError } = require('../utils/serviceError');
+
+const DEFAULT_HOLD_TTL_MINUTES = 15;
+const DEFAULT_SWEEP_INTERVAL_MS = 60 * 1000;
+// Unpaid checkouts one customer can hold stock for at once; older ones are let go
+const MAX_PENDING_CHECKOUTS_PER_HOLDER = 2;
+const ACTIVE_STATUSES = ['held', 'committed'];
+
+class StockUnavailableError extends ServiceError {
+  constructor(message, details) {
+    super(message, 409, { details });
+  }
+}
+
+const isStockUnavailableError = (error) => error instanceof StockUnavailableError;
+
+/**
+ * Minutes an unpaid (Razorpay) hold keeps stock before it is released.
+ * Configurable through STOCK_HOLD_TTL_MINUTES.
+ */
+const getHoldTtlMinutes = () => {
+  const parsed = Number.parseInt(process.env.STOCK_HOLD_TTL_MINUTES, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : DEFAULT_HOLD_TTL_MINUTES;
+};
+
+/**
+ * Personalised products consume one unit per character, everything else one per quantity.
+ */
+const getRequiredQuantity = (product, item) => {
+  const characterCount = item.characterCount || item.customization?.personalization?.characterCount;
+  return product.personalizationEnabled && characterCount
+    ? characterCount * item.quantity
+    : item.quantity;
+};
+
+/**
+ * Resolves the dateWiseStock key ("14 Feb" / "14 February") for Valentine products.
+ * Returns null when the product does not track stock for that date.
+ */
+const getDateStockKey = (product, deliveryDate) => {
+  if (!deliveryDate || !(product.productType === 'valentine' || product.isValentineProduct)) {
+    return null;
+  }
+
+  if (!product.dateWiseStock || typeof product.dateWiseStock.has !== 'function') {
+    return null;
+  }
+
+  const d = new Date(deliveryDate);
+  if (Number.isNaN(d.getTime())) {
+    return null;
+  }
+
+  const dayStr = `${d.getDate()} Feb`;
+  const fullDayStr = `${d.getDate()} February`;
+
+  if (product.dateWiseStock.has(dayStr)) return dayStr;
+  if (product.dateWiseStock.has(fullDayStr)) return fullDayStr;
+  return null;
+};
+
+const getModelFor = (productModel) => (productModel === 'AddonProduct' ? AddonProduct : Product);
+
+const getStockField = (productModel) => (productModel === 'AddonProduct' ? 'stock' : 'countInStock');
+
+const buildStockIncrement = ({ productModel, quantity, dateKey, dateQuantity }, direction) => {
+  const inc = { [getStockField(productModel)]: direction * quantity };
+  if (dateKey) {
+    inc[`dateWiseStock.${dateKey}`] = direction * dateQuantity;
+  }
+  return inc;
+};
+
+const restoreStock = async (entry) => {
+  const Model = getModelFor(entry.productModel);
+  await Model.updateOne({ _id: entry.product }, { $inc: buildStockIncrement(entry, 1) });
+};
+
+const buildUnavailableError = async (Model, entry, title) => {
+  const fresh = await Model.findById(entry.product).lean();
+  const available = fresh ? (fresh[getStockField(entry.productModel)] || 0) : 0;
+
+  if (entry.dateKey && available >= entry.quantity) {
+    return new StockUnavailableError('Sold Out For Selected Date', {
+      productId: String(entry.product),
+      title,
+      date: entry.dateKey,
+      required: entry.dateQuantity,
+    });
+  }
+
+  return new StockUnavailableError(
+    `Insufficient stock for product ${title}. Available: ${available}, Required: ${entry.quantity}`,
+    {
+      productId: String(entry.product),
+      title,
+      available,
+      required: entry.quantity,
+    }
+  );
+};
+
+/**
+ * Atomically decrements global (and, for Valentine products, per-date) stock for every
+ * item and records a StockReservation per line. Each decrement is a conditional update, so
+ * concurrent checkouts can never take stock below zero. If any line cannot be satisfied the
+ * lines already taken are put back and a StockUnavailableError is thrown.
+ *
+ * @param {Object} params
+ * @param {Array} params.items Order items ({ product, productModel, quantity, characterCount, ... })
+ * @param {Date|string} [params.deliveryDate]
+ * @param {string} [params.orderId]
+ * @param {string} [params.razorpayOrderId]
+ * @param {string} [params.holderKey] Customer the hold is for
+ * @param {boolean} [params.hold] Create an expiring hold instead of a committed reservation
+ * @returns {Promise<Array>} The created reservations
+ */
+const reserveStock = async ({ items, deliveryDate, orderId = null, razorpayOrderId = null, holderKey = null, hold = false }) => {
+  const applied = [];
+
+  try {
+    for (const item of items || []) {
+      const productModel = item.productModel === 'AddonProduct' ? 'AddonProduct' : 'Product';
+      const productId = item.product?._id || item.product || item.productId;
+      if (!productId) continue;
+
+      const Model = getModelFor(productModel);
+      const product = await Model.findById(productId);
+      if (!product) continue;
+
+      const title = product.title || product.name || String(product._id);
+      const dateKey = productModel === 'Product' ? getDateStockKey(product, deliveryDate) : null;
+      const entry = {
+        product: product._id,
+        productModel,
+        quantity: productModel === 'Product' ? getRequiredQuantity(product, item) : item.quantity,
+        dateKey,
+        dateQuantity: dateKey ? item.quantity : 0,
+      };
+
+      const filter = { _id: product._id, [getStockField(productModel)]: { $gte: entry.quantity } };
+      if (dateKey) {
+        filter[`dateWiseStock.${dateKey}`] = { $gte: entry.dateQuantity };
+      }
+
+      const result = await Model.updateOne(filter, { $inc: buildStockIncrement(entry, -1) });
+      if (!result.modifiedCount) {
+        throw await buildUnavailableError(Model, entry, title);
+      }
+
+      applied.push(entry);
+    }
+  } catch (error) {
+    await Promise.all(applied.map((entry) => restoreStock(entry).catch((restoreError) => {
+      console.error(`❌ Failed to roll back stock for product ${entry.product}:`, restoreError);
+    })));
+    throw error;
+  }
+
+  if (applied.length === 0) {
+    return [];
+  }
+
+  const expiresAt = hold ? new Date(Date.now() + getHoldTtlMinutes() * 60 * 1000) : null;
+
+  return StockReservation.insertMany(applied.map((entry) => ({
+    ...entry,
+    order: orderId,
+    razorpayOrderId,
+    holderKey,
+    status: hold ? 'held' : 'committed',
+    expiresAt,
+  })));
+};
+
+/**
+ * Releases a single reservation and returns its stock. Safe to call repeatedly: only the
+ * caller that flips the reservation out of an active status puts the stock back.
+ */
+const releaseReservation = async (reservationId, { status = 'released', reason = '' } = {}) => {
+  const claimed = await StockReservation.findOneAndUpdate(
+    { _id: reservationId, status: { $in: ACTIVE_STATUSES } },
+    { status, releasedAt: new Date(), releaseReason: reason },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return false;
+  }
+
+  await restoreStock(claimed);
+  return true;
+};
+
+const applyOrderReservationState = (order, state, expiresAt = null) => {
+  order.stockReservationStatus = state;
+  order.stockHoldExpiresAt = state === 'held' ? expiresAt : null;
+  order.stockUpdated = ACTIVE_STATUSES.includes(state);
+};
+
+/**
+ * Reserves stock for an (unsaved or saved) order document and updates its reservation
+ * fields. The caller is responsible for saving the order.
+ */
+const reserveStockForOrder = async (order, { hold = false } = {}) => {
+  const reservations = await reserveStock({
+    items: order.items,
+    deliveryDate: order.shippingDetails?.deliveryDate,
+    orderId: order._id,
+    razorpayOrderId: order.paymentDetails?.razorpayOrderId || null,
+    hold,
+  });
+
+  applyOrderReservationState(order, hold ? 'held' : 'committed', reservations[0]?.expiresAt || null);
+  return reservations;
+};
+
+/**
+ * Holds stock against a Razorpay order before the customer pays. A customer keeps holds for
+ * at most MAX_PENDING_CHECKOUTS_PER_HOLDER unpaid checkouts: starting another releases the
+ * oldest, so nobody can hold stock for more carts than they could be paying for.
+ */
+const holdStockForRazorpayOrder = async ({ razorpayOrderId, items, deliveryDate, holderKey = null }) => {
+  if (holderKey) {
+    const pending = await StockReservation.find({ holderKey, status: 'held', order: null })
+      .select('razorpayOrderId createdAt')
+      .sort({ createdAt: -1 })
+      .lean();
+    const checkouts = [...new Set(pending.map((reservation) => reservation.razorpayOrderId))];
+    for (const staleRazorpayOrderId of checkouts.slice(MAX_PENDING_CHECKOUTS_PER_HOLDER - 1)) {
+      await releaseRazorpayHolds(staleRazorpayOrderId, 'superseded_checkout');
+    }
+  }
+
+  return reserveStock({
+    items,
+    deliveryDate,
+    razorpayOrderId,
+    holderKey,
+    hold: true,
+  });
+};
+
+/**
+ * Moves holds taken at Razorpay order creation onto the order that was placed for it.
+ * Returns the number of reservations claimed.
+ */
+const claimRazorpayHolds = async (razorpayOrderId, order, { commit = false } = {}) => {
+  if (!razorpayOrderId) {
+    return 0;
+  }
+
+  const update = { order: order._id };
+  if (commit) {
+    update.status = 'committed';
+    update.expiresAt = null;
+  }
+
+  const result = await StockReservation.updateMany(
+    { razorpayOrderId, status: 'held', order: null },
+    update
+  );
+
+  if (result.modifiedCount > 0) {
+    const held = commit ? null : await StockReservation.findOne({ order: order._id, status: 'held' }).select('expiresAt').lean();
+    applyOrderReservationState(order, commit ? 'committed' : 'held', held?.expiresAt || null);
+  }
+
+  return result.modifiedCount;
+};
+
+/**
+ * Turns an order's expiring holds into committed reservations (payment confirmed).
+ */
+const commitOrderStock = async (order) => {
+  const result = await StockReservation.updateMany(
+    { order: order._id, status: 'held' },
+    { status: 'committed', expiresAt: null }
+  );
+
+  if (result.modifiedCount > 0) {
+    applyOrderReservationState(order, 'committed');
+  }
+
+  return result.modifiedCount;
+};
+
+/**
+ * Ensures the order's stock is taken before it goes into production or is delivered.
+ * Commits open holds, or reserves afresh for orders whose hold lapsed or that were placed
+ * before reservations existed. Throws StockUnavailableError when stock has run out.
+ */
+const ensureOrderStockCommitted = async (order) => {
+  if (order.stockReservationStatus === 'held') {
+    const committed = await commitOrderStock(order);
+    if (committed > 0) {
+      return;
+    }
+  }
+
+  if (order.stockReservationStatus === 'committed' || (order.stockUpdated && order.stockReservationStatus !== 'held')) {
+    return;
+  }
+
+  await reserveStockForOrder(order, { hold: false });
+};
+
+/**
+ * Returns all stock held or committed for an order (cancellation, failed payment).
+ * Orders that deducted stock before reservations existed are restored from their items.
+ * The caller is responsible for saving the order.
+ */
+const releaseOrderStock = async (order, reason = 'cancelled') => {
+  const reservations = await StockReservation.find({
+    order: order._id,
+    status: { $in: ACTIVE_STATUSES },
+  }).select('_id');
+
+  let released = 0;
+  for (const reservation of reservations) {
+    if (await releaseReservation(reservation._id, { reason })) {
+      released += 1;
+    }
+  }
+
+  if (released === 0 && order.stockUpdated && order.stockReservationStatus === 'none') {
+    const hasReservations = await StockReservation.exists({ order: order._id });
+    if (!hasReservations) {
+      for (const item of order.items) {
+        const productModel = item.productModel === 'AddonProduct' ? 'AddonProduct' : 'Product';
+        const product = await getModelFor(productModel).findById(item.product?._id || item.product);
+        if (!product) continue;
+
+        await restoreStock({
+          product: product._id,
+          productModel,
+          quantity: productModel === 'Product' ? getRequiredQuantity(product, item) : item.quantity,
+          dateKey: null,
+          dateQuantity: 0,
+        });
+        released += 1;
+      }
+    }
+  }
+
+  applyOrderReservationState(order, 'released');
+  return released;
+};
+
+/**
+ * Swaps an order's stock over to amended items or a new delivery date. The new stock is taken
+ * first, so a StockUnavailableError leaves the original reservations untouched. Orders with
+ * nothing reserved (lapsed holds, released stock) are left alone. The caller assigns the new
+ * items and saves the order.
+ *
+ * @returns {Promise<Array>} The reservations now held for the order
+ */
+const replaceOrderStock = async (order, { items, deliveryDate }) => {
+  const isHeld = order.stockReservationStatus === 'held';
+  const isCommitted = order.stockReservationStatus === 'committed'
+    || (order.stockUpdated && order.stockReservationStatus === 'none');
+  if (!isHeld && !isCommitted) {
+    return [];
+  }
+
+  const expiresAt = order.stockHoldExpiresAt;
+  const reservations = await reserveStock({
+    items,
+    deliveryDate,
+    razorpayOrderId: order.paymentDetails?.razorpayOrderId || null,
+    hold: isHeld,
+  });
+
+  await releaseOrderStock(order, 'order_amended');
+
+  if (reservations.length > 0) {
+    const update = { order: order._id };
+    if (isHeld && expiresAt) {
+      // Keep the original payment deadline rather than granting a fresh hold
+      update.expiresAt = expiresAt;
+    }
+    await StockReservation.updateMany({ _id: { $in: reservations.map((reservation) => reservation._id) } }, update);
+  }
+
+  applyOrderReservationState(order, isHeld ? 'held' : 'committed', expiresAt);
+  return reservations;
+};
+
+/**
+ * Releases a Razorpay order's holds that were never claimed by an order.
+ */
+const releaseRazorpayHolds = async (razorpayOrderId, reason = 'payment_failed') => {
+  const reservations = await StockReservation.find({
+    razorpayOrderId,
+    order: null,
+    status: 'held',
+  }).select('_id');
+
+  let released = 0;
+  for (const reservation of reservations) {
+    if (await releaseReservation(reservation._id, { reason })) {
+      released += 1;
+    }
+  }
+  return released;
+};
+
+/**
+ * Expires unpaid holds whose TTL has passed and returns their stock.
+ */
+const expireStaleHolds = async (now = new Date()) => {
+  const stale = await StockReservation.find({
+    status: 'held',
+    expiresAt: { $ne: null, $lte: now },
+  }).select('_id order');
+
+  const affectedOrderIds = new Set();
+  let expired = 0;
+
+  for (const reservation of stale) {
+    if (await releaseReservation(reservation._id, { status: 'expired', reason: 'hold_expired' })) {
+      expired += 1;
+      if (reservation.order) {
+        affectedOrderIds.add(String(reservation.order));
+      }
+    }
+  }
+
+  for (const orderId of affectedOrderIds) {
+    await Order.updateOne(
+      { _id: orderId, stockReservationStatus: 'held' },
+      { stockReservationStatus: 'expired', stockHoldExpiresAt: null, stockUpdated: false }
+    );
+  }
+
+  if (expired > 0) {
+    console.log(`⏱️ Released ${expired} expired stock hold(s) across ${affectedOrderIds.size} order(s)`);
+  }
+
+  return expired;
+};
+
+/**
+ * Starts the in-process sweeper that expires unpaid holds.
+ */
+const startStockHoldSweeper = (intervalMs = DEFAULT_SWEEP_INTERVAL_MS) => {
+  const timer = setInterval(() => {
+    expireStaleHolds().catch((error) => {
+      console.error('❌ Stock hold sweep failed:', error);
+    });
+  }, intervalMs);
+
+  if (typeof timer.unref === 'function') {
+    timer.unref();
+  }
+
+  return timer;
+};
+
+module.exports = {
+  StockUnavailableError,
+  claimRazorpayHolds,
+  commitOrderStock,
+  ensureOrderStockCommitted,
+  expireStaleHolds,
+  getDateStockKey,
+  getHoldTtlMinutes,
+  getRequiredQuantity,
+  holdStockForRazorpayOrder,
+  isStockUnavailableError,
+  releaseOrderStock,
+  releaseRazorpayHolds,
+  releaseReservation,
+  replaceOrderStock,
+  reserveStock,
+  reserveStockForOrder,
+  startStockHoldSweeper,
+};
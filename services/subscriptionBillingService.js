@@ -0,0 +1,175 @@
+const Order = require('../models/Order');
+const Subscription = require('../models/Subscription');
+const emailNotificationService = require('./emailNotificationService');
+const orderPaymentService = require('./orderPaymentService');
+const razorpayService = require('./razorpayService');
+const stockReservationService = require('./stockReservationService');
+const { resolveOrderCustomer } = require('../utils/orderCustomer');
+
+const DEFAULT_RETRY_HOURS = [6, 24, 48];
+const BATCH_SIZE = 100;
+
+/**
+ * Hours to wait after each failed renewal attempt before trying again
+ * (SUBSCRIPTION_PAYMENT_RETRY_HOURS, comma separated). Once they run out the delivery is
+ * cancelled and the subscription goes past_due.
+ */
+const getRetrySchedule = () => {
+  const hours = (process.env.SUBSCRIPTION_PAYMENT_RETRY_HOURS || '')
+    .split(',')
+    .map((value) => Number.parseFloat(value))
+    .filter((value) => Number.isFinite(value) && value > 0);
+  return hours.length > 0 ? hours : DEFAULT_RETRY_HOURS;
+};
+
+const notifyCustomer = async (order, options = {}) => {
+  try {
+    const customer = await resolveOrderCustomer(order);
+    await emailNotificationService.sendSubscriptionPaymentReminder({ customer, order, ...options });
+  } catch (error) {
+    console.error(`Failed to send subscription payment reminder for order ${order.orderNumber}:`, error);
+  }
+};
+
+/**
+ * Attempts to collect payment for a subscription delivery. With a saved token the card/UPI
+ * mandate is charged (the payment is confirmed by the webhook or the next retry run);
+ * without one the customer is emailed a payment link. Either way the next retry is scheduled.
+ *
+ * @returns {Promise<'charged'|'link_sent'|'failed'>}
+ */
+const chargeRenewal = async (order, subscription, { now = new Date() } = {}) => {
+  const schedule = getRetrySchedule();
+  const attempts = (order.subscription.paymentAttempts || 0) + 1;
+  order.subscription.paymentAttempts = attempts;
+  // The last attempt still gets the final wait so a slow payment can settle before giving up
+  const waitHours = schedule[Math.min(attempts, schedule.length) - 1];
+  order.subscription.nextPaymentRetryAt = new Date(now.getTime() + waitHours * 60 * 60 * 1000);
+
+  let outcome;
+  try {
+    if (!order.paymentDetails.razorpayOrderId) {
+      const razorpayOrder = await razorpayService.createOrder(Math.round(order.totalAmount * 100), order.currency);
+      order.paymentDetails.razorpayOrderId = razorpayOrder.id;
+    }
+
+    if (subscription.razorpay?.tokenId) {
+      await razorpayService.createRecurringPayment({
+        razorpayOrderId: order.paymentDetails.razorpayOrderId,
+        amountInPaise: Math.round(order.totalAmount * 100),
+        currency: order.currency,
+        customerId: subscription.razorpay.customerId,
+        tokenId: subscription.razorpay.tokenId,
+        email: order.shippingDetails.email,
+        contact: order.shippingDetails.phone,
+        description: `Subscription delivery ${order.orderNumber}`,
+        notes: { orderNumber: order.orderNumber, subscriptionId: String(subscription._id) },
+      });
+      outcome = 'charged';
+    } else {
+      await notifyCustomer(order);
+      outcome = 'link_sent';
+    }
+  } catch (error) {
+    console.error(`❌ Renewal attempt ${attempts} failed for order ${order.orderNumber}:`, error.message);
+    orderPaymentService.markOrderPaymentFailed(order, { reason: error.message });
+    subscription.history.push({ action: 'payment_failed', note: `Order ${order.orderNumber}, attempt ${attempts}: ${error.message}` });
+    await subscription.save();
+    outcome = 'failed';
+  }
+
+  await order.save();
+  return outcome;
+};
+
+// Out of retries: cancel the delivery and hold the subscription until the customer resumes it
+const giveUpRenewal = async (order, subscription) => {
+  orderPaymentService.markOrderPaymentFailed(order, { reason: 'Subscription renewal was not paid' });
+  await stockReservationService.releaseOrderStock(order, 'payment_failed');
+  order.status = 'cancelled';
+  order.subscription.nextPaymentRetryAt = null;
+  await order.save();
+
+  if (subscription && subscription.status === 'active') {
+    subscription.status = 'past_due';
+    subscription.history.push({ action: 'past_due', note: `Order ${order.orderNumber} was not paid` });
+    await subscription.save();
+  }
+
+  await notifyCustomer(order, { finalNotice: true });
+  return 'failed';
+};
+
+/**
+ * Settles one unpaid subscription order whose retry is due: a captured payment marks it paid,
+ * an authorized one is left for the next run, otherwise the renewal is attempted again or,
+ * once the retries are used up, given up.
+ *
+ * @returns {Promise<'paid'|'pending'|'charged'|'link_sent'|'failed'>}
+ */
+const retryRenewal = async (order, { now = new Date() } = {}) => {
+  const payments = order.paymentDetails.razorpayOrderId
+    ? await razorpayService.fetchOrderPayments(order.paymentDetails.razorpayOrderId)
+    : [];
+
+  const captured = payments.find((payment) => payment.status === 'captured');
+  if (captured) {
+    await orderPaymentService.markOrderPaid(order, { paymentId: captured.id, source: 'subscription renewal' });
+    order.subscription.nextPaymentRetryAt = null;
+    await order.save();
+    return 'paid';
+  }
+
+  if (payments.some((payment) => payment.status === 'authorized')) {
+    return 'pending';
+  }
+
+  const subscription = await Subscription.findById(order.subscription.id);
+  if (!subscription || subscription.status === 'cancelled' || (order.subscription.paymentAttempts || 0) > getRetrySchedule().length) {
+    return giveUpRenewal(order, subscription);
+  }
+
+  return chargeRenewal(order, subscription, { now });
+};
+
+/**
+ * Retries every unpaid subscription order whose next attempt is due.
+ * @returns {Promise<{ checked: number, paid: number, retried: number, failed: number, errors: number }>}
+ */
+const retryDueRenewals = async ({ now = new Date() } = {}) => {
+  const summary = { checked: 0, paid: 0, retried: 0, failed: 0, errors: 0 };
+  const orders = await Order.find({
+    'subscription.id': { $exists: true },
+    'paymentDetails.method': 'razorpay',
+    'paymentDetails.status': { $in: ['pending', 'failed'] },
+    'subscription.nextPaymentRetryAt': { $ne: null, $lte: now },
+    status: { $ne: 'cancelled' }
+  })
+    .sort({ 'subscription.nextPaymentRetryAt': 1 })
+    .limit(BATCH_SIZE);
+
+  for (const order of orders) {
+    summary.checked += 1;
+    try {
+      const outcome = await retryRenewal(order, { now });
+      if (outcome === 'paid') summary.paid += 1;
+      else if (outcome === 'failed' && order.status === 'cancelled') summary.failed += 1;
+      else if (outcome !== 'pending') summary.retried += 1;
+    } catch (error) {
+      summary.errors += 1;
+      console.error(`❌ Failed to retry renewal for order ${order.orderNumber}:`, error);
+    }
+  }
+
+  if (summary.checked > 0) {
+    console.log(`💳 Subscription renewals: ${summary.checked} checked, ${summary.paid} paid, ${summary.retried} retried, ${summary.failed} given up, ${summary.errors} errors`);
+  }
+  return summary;
+};
+
+module.exports = {
+  chargeRenewal,
+  getRetrySchedule,
+  retryDueRenewals,
+  retryRenewal,
+};
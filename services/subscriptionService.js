@@ -0,0 +1,514 @@
+const moment = require('moment');
+const Holiday = require('../models/Holiday');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const AddonProduct = require('../models/AddonProduct');
+const Subscription = require('../models/Subscription');
+const SubscriptionPlan = require('../models/SubscriptionPlan');
+const deliveryService = require('./deliveryService');
+const razorpayService = require('./razorpayService');
+const stockReservationService = require('./stockReservationService');
+const subscriptionBillingService = require('./subscriptionBillingService');
+const { BUSINESS_UTC_OFFSET, toDayKey } = require('../utils/businessDay');
+const { readNonNegativeInt } = require('../utils/env');
+const { ServiceError } = require('../utils/serviceError');
+
+const DEFAULT_LEAD_DAYS = 2;
+const DEFAULT_INTERVAL_MINUTES = 60;
+const MAX_HOLIDAY_SHIFT_DAYS = 7;
+const BATCH_SIZE = 100;
+
+const PERIODS = {
+  weekly: { amount: 7, unit: 'days' },
+  fortnightly: { amount: 14, unit: 'days' },
+  monthly: { amount: 1, unit: 'months' },
+};
+
+class SubscriptionError extends ServiceError {}
+
+const isSubscriptionError = (error) => error instanceof SubscriptionError;
+
+/**
+ * Normalises a date to its IST calendar day, stored at UTC midnight like checkout delivery dates.
+ * Plain YYYY-MM-DD strings are taken as that day.
+ */
+const toBusinessDay = (value) => {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return moment.utc(value, 'YYYY-MM-DD').toDate();
+  }
+  return moment.utc(moment(value).utcOffset(BUSINESS_UTC_OFFSET).format('YYYY-MM-DD'), 'YYYY-MM-DD').toDate();
+};
+
+/**
+ * Scheduled day of delivery `cycle` (0 = the start date). Counting from the start date keeps
+ * monthly plans on the same day of the month instead of drifting after short months.
+ */
+const getCycleDate = (startDate, frequency, cycle) => {
+  const period = PERIODS[frequency];
+  return moment.utc(startDate).add(period.amount * cycle, period.unit).toDate();
+};
+
+/**
+ * Moves a scheduled delivery off shop holidays onto the next working day.
+ */
+const resolveDeliveryDate = async (scheduledDate) => {
+  let day = moment.utc(scheduledDate);
+  for (let shift = 0; shift <= MAX_HOLIDAY_SHIFT_DAYS; shift += 1) {
+    // Holidays are stored as calendar days, so look them up by the local date
+    const holiday = await Holiday.isHoliday(new Date(day.year(), day.month(), day.date()));
+    if (!holiday) {
+      return day.toDate();
+    }
+    day = day.add(1, 'day');
+  }
+  throw new SubscriptionError(`No working day within ${MAX_HOLIDAY_SHIFT_DAYS} days of ${toDayKey(scheduledDate)}`, 409);
+};
+
+// First cycle at or after `cycle` that the customer hasn't skipped
+const findNextDeliveryCycle = (subscription, fromCycle = subscription.nextCycle) => {
+  let cycle = fromCycle;
+  while (subscription.skippedDates.includes(toDayKey(getCycleDate(subscription.startDate, subscription.frequency, cycle)))) {
+    cycle += 1;
+  }
+  return cycle;
+};
+
+const refreshNextDeliveryDate = (subscription) => {
+  const cycle = findNextDeliveryCycle(subscription);
+  subscription.nextDeliveryDate = getCycleDate(subscription.startDate, subscription.frequency, cycle);
+};
+
+const recordHistory = (subscription, action, note, updatedBy) => {
+  subscription.history.push({ action, note, updatedBy: updatedBy?._id, timestamp: new Date() });
+};
+
+const getPlanItems = async (plan) => {
+  const items = [];
+  for (const item of plan.items) {
+    const Model = item.productModel === 'AddonProduct' ? AddonProduct : Product;
+    const product = await Model.findById(item.product);
+    if (!product) {
+      throw new SubscriptionError('A product on this plan is no longer available', 409);
+    }
+    items.push({
+      product: product._id,
+      productModel: item.productModel || 'Product',
+      title: product.title || product.name || '',
+      image: product.images?.[0] || product.image || '',
+      quantity: item.quantity,
+      selectedVariant: item.selectedVariant || null,
+      price: item.price,
+    });
+  }
+  return items;
+};
+
+/**
+ * Signs a customer up to a plan. The price per delivery (items plus the standard delivery
+ * charge for the slot) is fixed at sign-up. Online subscriptions start as pending_payment with
+ * a Razorpay order for the first delivery; paying it saves the card/UPI mandate for renewals.
+ *
+ * @returns {Promise<{ subscription: Object, razorpayOrder: Object|null }>}
+ */
+const createSubscription = async ({ user, planId, shippingDetails = {}, timeSlot, startDate, paymentMethod, now = new Date() }) => {
+  const plan = await SubscriptionPlan.findById(planId);
+  if (!plan || !plan.isActive) {
+    throw new SubscriptionError('Subscription plan not found', 404);
+  }
+  if (!['razorpay', 'cash'].includes(paymentMethod)) {
+    throw new SubscriptionError('Subscriptions can be paid online (Razorpay) or in cash');
+  }
+  if (!shippingDetails.address || !shippingDetails.phone) {
+    throw new SubscriptionError('A delivery address and phone number are required');
+  }
+  if (!startDate) {
+    throw new SubscriptionError('A start date is required');
+  }
+
+  const firstDay = toBusinessDay(startDate);
+  if (toDayKey(firstDay) <= toDayKey(toBusinessDay(now))) {
+    throw new SubscriptionError('Subscriptions can start from tomorrow at the earliest');
+  }
+
+  const items = await getPlanItems(plan);
+  const subtotal = plan.pricePerDelivery;
+  // Recurring deliveries pay the standard charge for the slot; first-order offers and surge don't apply
+  const fee = await deliveryService.calculateDeliveryFee({
+    subtotal,
+    timeSlot,
+    location: { latitude: shippingDetails.latitude, longitude: shippingDetails.longitude },
+  });
+  const pricing = {
+    subtotal,
+    deliveryCharge: fee.standardFee,
+    totalAmount: subtotal + fee.standardFee,
+    currency: 'INR',
+  };
+
+  const subscription = new Subscription({
+    user: user._id,
+    plan: plan._id,
+    status: paymentMethod === 'cash' ? 'active' : 'pending_payment',
+    frequency: plan.frequency,
+    startDate: firstDay,
+    nextCycle: 0,
+    nextDeliveryDate: firstDay,
+    timeSlot,
+    shippingDetails: {
+      ...shippingDetails,
+      fullName: shippingDetails.fullName || user.name,
+      email: shippingDetails.email || user.email,
+    },
+    pricing,
+    items,
+    paymentMethod,
+  });
+  recordHistory(subscription, 'created', `${plan.name} (${plan.frequency}) from ${toDayKey(firstDay)}`, user);
+
+  let razorpayOrder = null;
+  if (paymentMethod === 'razorpay') {
+    const customer = await razorpayService.createCustomer({
+      name: subscription.shippingDetails.fullName,
+      email: subscription.shippingDetails.email,
+      contact: subscription.shippingDetails.phone,
+      notes: { subscriptionId: String(subscription._id) },
+    });
+    razorpayOrder = await razorpayService.createOrder(Math.round(pricing.totalAmount * 100), pricing.currency);
+    subscription.razorpay = { customerId: customer.id, signupOrderId: razorpayOrder.id };
+  } else {
+    recordHistory(subscription, 'activated', 'Cash on delivery', user);
+  }
+
+  await subscription.save();
+  return { subscription, razorpayOrder };
+};
+
+/**
+ * Activates an online subscription once its sign-up payment is verified, keeping the saved
+ * token (when the customer agreed to one) for renewals.
+ */
+const activateSubscription = async (subscription, { razorpayPaymentId, user }) => {
+  if (subscription.status !== 'pending_payment') {
+    throw new SubscriptionError('This subscription is not awaiting payment', 409);
+  }
+
+  subscription.razorpay.signupPaymentId = razorpayPaymentId;
+  try {
+    const payment = await razorpayService.fetchPayment(razorpayPaymentId);
+    if (payment.token_id) {
+      subscription.razorpay.tokenId = payment.token_id;
+    }
+  } catch (error) {
+    console.error(`Could not read the saved token for subscription ${subscription._id}:`, error.message);
+  }
+
+  subscription.status = 'active';
+  recordHistory(
+    subscription,
+    'activated',
+    subscription.razorpay.tokenId ? 'Renewals will be charged automatically' : 'Renewals will be paid by payment link',
+    user
+  );
+  await subscription.save();
+  return subscription;
+};
+
+const pauseSubscription = async (subscription, { until, user, now = new Date() } = {}) => {
+  if (subscription.status !== 'active') {
+    throw new SubscriptionError(`Only active subscriptions can be paused (this one is ${subscription.status.replace(/_/g, ' ')})`, 409);
+  }
+
+  let pausedUntil = null;
+  if (until) {
+    pausedUntil = toBusinessDay(until);
+    if (toDayKey(pausedUntil) <= toDayKey(toBusinessDay(now))) {
+      throw new SubscriptionError('The pause must end after today');
+    }
+  }
+
+  subscription.status = 'paused';
+  subscription.pausedAt = now;
+  subscription.pausedUntil = pausedUntil;
+  recordHistory(subscription, 'paused', pausedUntil ? `Until ${toDayKey(pausedUntil)}` : 'Until resumed', user);
+  await subscription.save();
+  return subscription;
+};
+
+/**
+ * Restarts deliveries from the first scheduled day after today. Deliveries that fell inside
+ * the pause are not made up.
+ */
+const resumeSubscription = async (subscription, { user, now = new Date() } = {}) => {
+  if (!['paused', 'past_due'].includes(subscription.status)) {
+    throw new SubscriptionError('Only paused or past-due subscriptions can be resumed', 409);
+  }
+
+  const todayKey = toDayKey(toBusinessDay(now));
+  let cycle = subscription.nextCycle;
+  while (toDayKey(getCycleDate(subscription.startDate, subscription.frequency, cycle)) <= todayKey) {
+    cycle += 1;
+  }
+
+  subscription.nextCycle = cycle;
+  subscription.status = 'active';
+  subscription.pausedAt = null;
+  subscription.pausedUntil = null;
+  refreshNextDeliveryDate(subscription);
+  recordHistory(subscription, 'resumed', `Next delivery ${toDayKey(subscription.nextDeliveryDate)}`, user);
+  await subscription.save();
+  return subscription;
+};
+
+/**
+ * Skips one upcoming delivery. Deliveries whose order has already been created (see
+ * SUBSCRIPTION_ORDER_LEAD_DAYS) can't be skipped from here.
+ */
+const skipDelivery = async (subscription, { date, user } = {}) => {
+  if (!['active', 'paused'].includes(subscription.status)) {
+    throw new SubscriptionError('Deliveries can only be skipped on active or paused subscriptions', 409);
+  }
+  if (!date) {
+    throw new SubscriptionError('The delivery date to skip is required');
+  }
+
+  const key = toDayKey(toBusinessDay(date));
+  if (key < toDayKey(getCycleDate(subscription.startDate, subscription.frequency, subscription.nextCycle))) {
+    throw new SubscriptionError('The order for that delivery has already been created; please contact us to change it', 409);
+  }
+
+  // Look up to a year ahead for the matching scheduled day
+  let isScheduled = false;
+  for (let cycle = subscription.nextCycle; cycle < subscription.nextCycle + 53; cycle += 1) {
+    const cycleKey = toDayKey(getCycleDate(subscription.startDate, subscription.frequency, cycle));
+    if (cycleKey === key) {
+      isScheduled = true;
+      break;
+    }
+    if (cycleKey > key) break;
+  }
+  if (!isScheduled) {
+    throw new SubscriptionError(`${key} is not a scheduled delivery day for this subscription`);
+  }
+
+  if (!subscription.skippedDates.includes(key)) {
+    subscription.skippedDates.push(key);
+    recordHistory(subscription, 'skipped', key, user);
+  }
+  refreshNextDeliveryDate(subscription);
+  await subscription.save();
+  return subscription;
+};
+
+const cancelSubscription = async (subscription, { reason, user, now = new Date() } = {}) => {
+  if (subscription.status === 'cancelled') {
+    throw new SubscriptionError('This subscription is already cancelled', 409);
+  }
+
+  subscription.status = 'cancelled';
+  subscription.cancelledAt = now;
+  subscription.cancellationReason = reason;
+  recordHistory(subscription, 'cancelled', reason, user);
+  await subscription.save();
+  return subscription;
+};
+
+const buildChildOrder = (subscription, { cycle, deliveryDate }) => {
+  const { pricing } = subscription;
+  const isSignupDelivery = cycle === 0 && subscription.razorpay?.signupPaymentId;
+
+  let paymentDetails = { method: subscription.paymentMethod };
+  if (isSignupDelivery) {
+    paymentDetails = {
+      method: 'razorpay',
+      razorpayOrderId: subscription.razorpay.signupOrderId,
+      razorpayPaymentId: subscription.razorpay.signupPaymentId,
+      status: 'paid',
+      paidAt: new Date(),
+    };
+  } else if (subscription.paymentMethod === 'razorpay') {
+    paymentDetails.status = 'pending';
+  }
+
+  return new Order({
+    user: subscription.user,
+    shippingDetails: {
+      ...subscription.shippingDetails.toObject?.() ?? subscription.shippingDetails,
+      deliveryDate,
+      timeSlot: subscription.timeSlot,
+    },
+    items: subscription.items.map((item) => ({
+      product: item.product,
+      productModel: item.productModel,
+      title: item.title,
+      image: item.image,
+      selectedVariant: item.selectedVariant,
+      quantity: item.quantity,
+      price: item.price,
+      finalPrice: item.price,
+    })),
+    paymentDetails,
+    subtotal: pricing.subtotal,
+    deliveryCharge: pricing.deliveryCharge,
+    discount: 0,
+    finalTotal: pricing.totalAmount,
+    totalAmount: pricing.totalAmount,
+    currency: pricing.currency,
+    subscription: { id: subscription._id, cycle },
+    status: 'order_placed',
+  });
+};
+
+/**
+ * Creates the order for a subscription's next delivery: skips days the customer skipped,
+ * moves holidays to the next working day, commits stock and advances the schedule.
+ * Renewals paid online are charged straight away.
+ *
+ * @returns {Promise<Object|null>} The order, or null when no delivery was due
+ */
+const createNextOrder = async (subscription, { now = new Date() } = {}) => {
+  const todayKey = toDayKey(toBusinessDay(now));
+  let cycle = findNextDeliveryCycle(subscription);
+
+  // Deliveries that should already have gone out (e.g. the scheduler was down) are dropped
+  while (toDayKey(getCycleDate(subscription.startDate, subscription.frequency, cycle)) < todayKey) {
+    cycle = findNextDeliveryCycle(subscription, cycle + 1);
+  }
+
+  const scheduledDate = getCycleDate(subscription.startDate, subscription.frequency, cycle);
+  const deliveryDate = await resolveDeliveryDate(scheduledDate);
+  const order = buildChildOrder(subscription, { cycle, deliveryDate });
+
+  await stockReservationService.reserveStockForOrder(order, { hold: false });
+  try {
+    await order.save();
+  } catch (error) {
+    await stockReservationService.releaseOrderStock(order, 'order_save_failed');
+    if (error.code !== 11000) {
+      throw error;
+    }
+    // Another run already created this delivery
+    console.log(`Subscription ${subscription._id} delivery ${cycle} already has an order`);
+    subscription.nextCycle = cycle + 1;
+    refreshNextDeliveryDate(subscription);
+    await subscription.save();
+    return null;
+  }
+
+  subscription.nextCycle = cycle + 1;
+  subscription.deliveriesCreated += 1;
+  refreshNextDeliveryDate(subscription);
+  const shifted = toDayKey(deliveryDate) !== toDayKey(scheduledDate) ? ` (moved from ${toDayKey(scheduledDate)} for a holiday)` : '';
+  recordHistory(subscription, 'order_created', `Order ${order.orderNumber} for ${toDayKey(deliveryDate)}${shifted}`);
+  await subscription.save();
+
+  if (order.paymentDetails.method === 'razorpay' && order.paymentDetails.status !== 'paid') {
+    await subscriptionBillingService.chargeRenewal(order, subscription, { now });
+  }
+
+  return order;
+};
+
+/**
+ * Subscription settings. Orders are created SUBSCRIPTION_ORDER_LEAD_DAYS ahead of each
+ * delivery so the shop can plan production and renewals have time to be paid.
+ */
+const getSubscriptionConfig = () => ({
+  leadDays: readNonNegativeInt(process.env.SUBSCRIPTION_ORDER_LEAD_DAYS, DEFAULT_LEAD_DAYS),
+});
+
+let isRunning = false;
+
+/**
+ * Resumes pauses that have run their course and creates the orders for deliveries inside
+ * the lead window.
+ * @returns {Promise<{ resumed: number, created: number, errors: number }>}
+ */
+const generateDueOrders = async ({ now = new Date(), ...overrides } = {}) => {
+  const summary = { resumed: 0, created: 0, errors: 0 };
+  if (isRunning) {
+    return summary;
+  }
+
+  isRunning = true;
+  try {
+    const { leadDays } = { ...getSubscriptionConfig(), ...overrides };
+    const today = toBusinessDay(now);
+
+    const finishedPauses = await Subscription.find({ status: 'paused', pausedUntil: { $ne: null, $lte: today } }).limit(BATCH_SIZE);
+    for (const subscription of finishedPauses) {
+      try {
+        await resumeSubscription(subscription, { now });
+        summary.resumed += 1;
+      } catch (error) {
+        summary.errors += 1;
+        console.error(`❌ Could not resume subscription ${subscription._id}:`, error.message);
+      }
+    }
+
+    const horizon = moment.utc(today).add(leadDays, 'days').toDate();
+    const due = await Subscription.find({ status: 'active', nextDeliveryDate: { $lte: horizon } })
+      .sort({ nextDeliveryDate: 1 })
+      .limit(BATCH_SIZE);
+
+    for (const subscription of due) {
+      try {
+        if (await createNextOrder(subscription, { now })) {
+          summary.created += 1;
+        }
+      } catch (error) {
+        summary.errors += 1;
+        console.error(`❌ Could not create the next order for subscription ${subscription._id}:`, error.message);
+      }
+    }
+
+    if (summary.created > 0 || summary.resumed > 0) {
+      console.log(`🌸 Subscriptions: ${summary.created} order(s) created, ${summary.resumed} resumed, ${summary.errors} errors`);
+    }
+    return summary;
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Starts the in-process subscription scheduler (order generation, then renewal retries).
+ * SUBSCRIPTION_SCHEDULER_INTERVAL_MINUTES=0 disables it.
+ */
+const startSubscriptionScheduler = () => {
+  if (process.env.SUBSCRIPTION_SCHEDULER_INTERVAL_MINUTES === '0') {
+    return null;
+  }
+
+  const intervalMinutes = readNonNegativeInt(process.env.SUBSCRIPTION_SCHEDULER_INTERVAL_MINUTES, DEFAULT_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+  const timer = setInterval(() => {
+    generateDueOrders()
+      .then(() => subscriptionBillingService.retryDueRenewals())
+      .catch((error) => {
+        console.error('❌ Subscription run failed:', error);
+      });
+  }, intervalMinutes * 60 * 1000);
+
+  if (typeof timer.unref === 'function') {
+    timer.unref();
+  }
+
+  return timer;
+};
+
+module.exports = {
+  SubscriptionError,
+  activateSubscription,
+  cancelSubscription,
+  createNextOrder,
+  createSubscription,
+  generateDueOrders,
+  getCycleDate,
+  getSubscriptionConfig,
+  isSubscriptionError,
+  pauseSubscription,
+  resolveDeliveryDate,
+  resumeSubscription,
+  skipDelivery,
+  startSubscriptionScheduler,
+  toBusinessDay,
+};
@@ -0,0 +1,339 @@
+const moment = require('moment');
+const DeliveryEarning = require('../models/DeliveryEarning');
+const DeliverySetting = require('../models/DeliverySetting');
+const DeliveryZone = require('../models/DeliveryZone');
+const Order = require('../models/Order');
+const Settings = require('../models/settings');
+const SurgeRule = require('../models/SurgeRule');
+const { parseDayKey, todayKey, toDayKey } = require('../utils/businessDay');
+const { roundAmount } = require('../utils/money');
+const { ServiceError } = require('../utils/serviceError');
+
+const MAX_MULTIPLIER = 5;
+const MAX_RULE_DAYS = 31;
+const RULE_FIELDS = ['name', 'isActive', 'startDate', 'endDate', 'timeSlots', 'zones', 'customerMultiplier', 'customerFlatFee', 'partnerMultiplier', 'priority'];
+
+class SurgePricingError extends ServiceError {}
+
+const isSurgePricingError = (error) => error instanceof SurgePricingError;
+
+const parseMultiplier = (value, label) => {
+  const multiplier = Number(value);
+  if (!Number.isFinite(multiplier) || multiplier < 1 || multiplier > MAX_MULTIPLIER) {
+    throw new SurgePricingError(`${label} must be between 1 and ${MAX_MULTIPLIER}`);
+  }
+  return multiplier;
+};
+
+/**
+ * Validates the fields of a new rule or of an update (`existing` is the rule being updated).
+ *
+ * @returns {Object} The fields to set
+ * @throws {SurgePricingError}
+ */
+const validateRule = (input = {}, existing = null) => {
+  const fields = {};
+  RULE_FIELDS.forEach((field) => {
+    if (input[field] !== undefined) fields[field] = input[field];
+  });
+
+  if (fields.name !== undefined || !existing) {
+    fields.name = String(fields.name || '').trim();
+    if (!fields.name) {
+      throw new SurgePricingError('name is required');
+    }
+  }
+  if (fields.startDate !== undefined || !existing) {
+    fields.startDate = parseDayKey(fields.startDate, 'startDate', SurgePricingError).toDate();
+  }
+  if (fields.endDate !== undefined || !existing) {
+    fields.endDate = parseDayKey(fields.endDate ?? toDayKey(fields.startDate), 'endDate', SurgePricingError).toDate();
+  }
+  const start = moment.utc(fields.startDate || existing.startDate);
+  const end = moment.utc(fields.endDate || existing.endDate);
+  if (end.isBefore(start)) {
+    throw new SurgePricingError('endDate must not be before startDate');
+  }
+  if (end.diff(start, 'days') >= MAX_RULE_DAYS) {
+    throw new SurgePricingError(`A surge rule can cover at most ${MAX_RULE_DAYS} days`);
+  }
+
+  ['timeSlots', 'zones'].forEach((field) => {
+    if (fields[field] !== undefined && !Array.isArray(fields[field])) {
+      throw new SurgePricingError(`${field} must be a list`);
+    }
+  });
+  if (fields.customerMultiplier !== undefined) {
+    fields.customerMultiplier = parseMultiplier(fields.customerMultiplier, 'customerMultiplier');
+  }
+  if (fields.partnerMultiplier !== undefined) {
+    fields.partnerMultiplier = parseMultiplier(fields.partnerMultiplier, 'partnerMultiplier');
+  }
+  if (fields.customerFlatFee !== undefined) {
+    fields.customerFlatFee = Number(fields.customerFlatFee);
+    if (!Number.isFinite(fields.customerFlatFee) || fields.customerFlatFee < 0) {
+      throw new SurgePricingError('customerFlatFee must be zero or more');
+    }
+  }
+  if (fields.priority !== undefined) {
+    fields.priority = Number(fields.priority);
+    if (!Number.isInteger(fields.priority)) {
+      throw new SurgePricingError('priority must be a whole number');
+    }
+  }
+
+  const customerMultiplier = fields.customerMultiplier ?? existing?.customerMultiplier ?? 1;
+  const customerFlatFee = fields.customerFlatFee ?? existing?.customerFlatFee ?? 0;
+  const partnerMultiplier = fields.partnerMultiplier ?? existing?.partnerMultiplier ?? 1;
+  if (customerMultiplier === 1 && customerFlatFee === 0 && partnerMultiplier === 1) {
+    throw new SurgePricingError('A surge rule must raise the delivery charge or partner pay');
+  }
+
+  return fields;
+};
+
+const matchesRule = (rule, { timeSlot, zoneId }) => {
+  const slotMatches = !rule.timeSlots?.length || rule.timeSlots.includes(timeSlot || 'standard');
+  const zoneMatches = !rule.zones?.length || (zoneId && rule.zones.some((zone) => String(zone._id || zone) === String(zoneId)));
+  return slotMatches && Boolean(zoneMatches);
+};
+
+/**
+ * Active rules covering a delivery day, slot and zone, the one that applies first: highest
+ * priority, then the biggest customer and partner multipliers.
+ *
+ * @returns {Promise<Object[]>}
+ */
+const findMatchingRules = async ({ deliveryDate, timeSlot, zoneId } = {}) => {
+  if (!deliveryDate) return [];
+  const day = moment.utc(toDayKey(deliveryDate)).toDate();
+  const rules = await SurgeRule.find({ isActive: true, startDate: { $lte: day }, endDate: { $gte: day } });
+  return rules
+    .filter((rule) => matchesRule(rule, { timeSlot, zoneId }))
+    .sort((a, b) => (b.priority || 0) - (a.priority || 0)
+      || b.customerMultiplier - a.customerMultiplier
+      || b.partnerMultiplier - a.partnerMultiplier);
+};
+
+/**
+ * The surge rule that applies to a delivery, or null. Orders without a delivery date never surge.
+ */
+const findApplicableRule = async (params = {}) => {
+  const [rule] = await findMatchingRules(params);
+  return rule || null;
+};
+
+/**
+ * What a rule adds to a delivery: the customer pays the standard fee times the multiplier plus
+ * the flat fee, and the partner's pay is multiplied the same way.
+ *
+ * @param {Object} rule SurgeRule
+ * @param {number} standardFee Delivery charge before waivers and rush delivery
+ * @returns {{ ruleId, ruleName, customerMultiplier, customerFlatFee, partnerMultiplier, amount }}
+ */
+const calculateSurge = (rule, standardFee) => ({
+  ruleId: rule._id,
+  ruleName: rule.name,
+  customerMultiplier: rule.customerMultiplier,
+  customerFlatFee: rule.customerFlatFee || 0,
+  partnerMultiplier: rule.partnerMultiplier,
+  amount: roundAmount(Math.max(0, standardFee) * (rule.customerMultiplier - 1) + (rule.customerFlatFee || 0)),
+});
+
+/**
+ * Extra partner pay from an order's surge, on top of the base and distance pay.
+ */
+const calculatePartnerBonus = (surge, pay) => {
+  const multiplier = surge?.partnerMultiplier || 1;
+  return multiplier > 1 ? roundAmount(pay * (multiplier - 1)) : 0;
+};
+
+// Delivery charge for a slot in a zone before surge, as calculateDeliveryFee prices a paid order
+const estimateStandardFee = async ({ timeSlot, zone }) => {
+  const settings = await Settings.findOne();
+  const deliverySettings = settings?.deliverySettings || {};
+  // The charge for the smallest orders, before any free-delivery threshold
+  const [lowestRule] = [...(deliverySettings.deliveryChargeRules || [])].sort((a, b) => a.minOrderAmount - b.minOrderAmount);
+  const paidCharge = lowestRule ? lowestRule.charge : 150;
+  const slot = (deliverySettings.timeSlots || []).find((entry) => entry.time === timeSlot && entry.enabled);
+  const slotCharge = slot ? (slot.extraCharge || 0) : (timeSlot === 'midnight' ? 150 : 0);
+  return (zone ? zone.baseDeliveryCharge : paidCharge) + (zone?.surcharge || 0) + slotCharge;
+};
+
+/**
+ * Shows what customers and partners would pay for a delivery day, slot and zone: the rule that
+ * applies, any other matching rules it overrides, and the effect on a standard delivery.
+ *
+ * @param {Object} params
+ * @param {string} params.deliveryDate YYYY-MM-DD
+ * @param {string} [params.timeSlot]
+ * @param {string} [params.zoneId]
+ * @param {number} [params.standardFee] Delivery charge to apply the surge to, estimated from the zone and slot when omitted
+ * @returns {Promise<Object>}
+ * @throws {SurgePricingError}
+ */
+const previewSurge = async ({ deliveryDate, timeSlot, zoneId, standardFee } = {}) => {
+  const day = parseDayKey(deliveryDate, 'deliveryDate', SurgePricingError);
+  let zone = null;
+  if (zoneId) {
+    zone = await DeliveryZone.findById(zoneId).select('name baseDeliveryCharge surcharge');
+    if (!zone) {
+      throw new SurgePricingError('Delivery zone not found', 404);
+    }
+  }
+
+  const fee = standardFee !== undefined && standardFee !== '' ? Number(standardFee) : await estimateStandardFee({ timeSlot, zone });
+  if (!Number.isFinite(fee) || fee < 0) {
+    throw new SurgePricingError('standardFee must be zero or more');
+  }
+
+  const [rules, config] = await Promise.all([
+    findMatchingRules({ deliveryDate: day.toDate(), timeSlot, zoneId }),
+    DeliverySetting.getSettings(),
+  ]);
+  const [rule, ...overridden] = rules;
+  const surge = rule ? calculateSurge(rule, fee) : null;
+  const basePay = config.baseDeliveryEarning || 0;
+
+  return {
+    deliveryDate: day.format('YYYY-MM-DD'),
+    timeSlot: timeSlot || 'standard',
+    zone: zone ? { _id: zone._id, name: zone.name } : null,
+    rule,
+    overriddenRules: overridden.map((entry) => ({ _id: entry._id, name: entry.name, priority: entry.priority })),
+    customer: {
+      standardFee: fee,
+      surgeAmount: surge?.amount || 0,
+      deliveryCharge: roundAmount(fee + (surge?.amount || 0)),
+    },
+    partner: {
+      basePay,
+      surgeBonus: calculatePartnerBonus(surge, basePay),
+      multiplier: surge?.partnerMultiplier || 1,
+    },
+  };
+};
+
+/**
+ * Surge rules, upcoming and current first. Past rules are left out unless `includePast` is set.
+ */
+const listSurgeRules = async ({ includePast = false, now = new Date() } = {}) => {
+  const today = todayKey(now);
+  const filter = includePast ? {} : { endDate: { $gte: moment.utc(today).toDate() } };
+  return SurgeRule.find(filter)
+    .populate('zones', 'name')
+    .sort({ startDate: 1, priority: -1 });
+};
+
+const createSurgeRule = async (input, { userId } = {}) => {
+  const fields = validateRule(input);
+  return SurgeRule.create({ ...fields, createdBy: userId, updatedBy: userId });
+};
+
+/**
+ * Changes a rule. Orders already priced keep the surge they were charged.
+ *
+ * @throws {SurgePricingError}
+ */
+const updateSurgeRule = async (ruleId, input, { userId } = {}) => {
+  const rule = await SurgeRule.findById(ruleId);
+  if (!rule) {
+    throw new SurgePricingError('Surge rule not found', 404);
+  }
+  rule.set({ ...validateRule(input, rule), updatedBy: userId });
+  await rule.save();
+  return rule;
+};
+
+/**
+ * Deletes a rule nobody has been charged under; rules that priced orders are switched off
+ * instead, so the audit trail still resolves.
+ *
+ * @returns {Promise<{ rule: Object, deleted: boolean }>}
+ * @throws {SurgePricingError}
+ */
+const deleteSurgeRule = async (ruleId, { userId } = {}) => {
+  const rule = await SurgeRule.findById(ruleId);
+  if (!rule) {
+    throw new SurgePricingError('Surge rule not found', 404);
+  }
+
+  const used = await Order.exists({ 'surge.ruleId': rule._id });
+  if (used) {
+    rule.isActive = false;
+    rule.updatedBy = userId;
+    await rule.save();
+    return { rule, deleted: false };
+  }
+
+  await SurgeRule.deleteOne({ _id: rule._id });
+  return { rule, deleted: true };
+};
+
+/**
+ * Audit of a rule: the orders it was applied to, what customers were charged for it and the
+ * surge bonus partners were paid.
+ *
+ * @returns {Promise<{ rule, totals, orders, pagination }>}
+ * @throws {SurgePricingError}
+ */
+const getRuleAudit = async (ruleId, { page = 1, limit = 20 } = {}) => {
+  const rule = await SurgeRule.findById(ruleId).populate('zones', 'name');
+  if (!rule) {
+    throw new SurgePricingError('Surge rule not found', 404);
+  }
+
+  const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+  const filter = { 'surge.ruleId': rule._id };
+  const [orders, total, charged, paid] = await Promise.all([
+    Order.find(filter)
+      .select('orderNumber status shippingDetails.deliveryDate shippingDetails.timeSlot deliveryZone deliveryCharge surge createdAt')
+      .populate('deliveryZone', 'name')
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize),
+    Order.countDocuments(filter),
+    Order.aggregate([
+      { $match: { ...filter, status: { $ne: 'cancelled' } } },
+      { $group: { _id: null, orders: { $sum: 1 }, amount: { $sum: '$surge.amount' } } },
+    ]),
+    DeliveryEarning.aggregate([
+      { $match: { surgeRuleId: rule._id } },
+      { $group: { _id: null, deliveries: { $sum: 1 }, bonus: { $sum: '$bonus' } } },
+    ]),
+  ]);
+
+  return {
+    rule,
+    totals: {
+      orders: charged[0]?.orders || 0,
+      customerSurge: roundAmount(charged[0]?.amount || 0),
+      partnerDeliveries: paid[0]?.deliveries || 0,
+      partnerBonus: roundAmount(paid[0]?.bonus || 0),
+    },
+    orders,
+    pagination: {
+      page: pageNumber,
+      limit: pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize),
+    },
+  };
+};
+
+module.exports = {
+  SurgePricingError,
+  calculatePartnerBonus,
+  calculateSurge,
+  createSurgeRule,
+  deleteSurgeRule,
+  findApplicableRule,
+  findMatchingRules,
+  getRuleAudit,
+  isSurgePricingError,
+  listSurgeRules,
+  previewSurge,
+  updateSurgeRule,
+  validateRule,
+};
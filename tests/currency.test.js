@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const CurrencyRate = require('../models/CurrencyRate');
+const {
+  convertOrderAmounts,
+  formatCurrency,
+  getNetBaseAmount,
+  getOrderCurrencyFields,
+  getRateSnapshot,
+  importRates,
+  isCurrencyError,
+  setRate,
+  toBaseAmount,
+} = require('../services/currencyService');
+
+const originals = {
+  findOne: CurrencyRate.findOne,
+  findOneAndUpdate: CurrencyRate.findOneAndUpdate,
+};
+
+const restore = () => {
+  CurrencyRate.findOne = originals.findOne;
+  CurrencyRate.findOneAndUpdate = originals.findOneAndUpdate;
+};
+
+let writes;
+
+test.beforeEach(() => {
+  restore();
+  writes = [];
+  CurrencyRate.findOneAndUpdate = async (filter, update) => {
+    writes.push({ filter, update });
+    return { currency: filter.currency, rate: update.$set.rate, source: update.$set.source };
+  };
+});
+
+test.after(() => {
+  restore();
+});
+
+test('rupee checkout amounts convert per line and the order adds up in its own currency', () => {
+  const usd = { currency: 'USD', rate: 0.012, source: 'manual', setAt: new Date('2026-10-18T00:00:00.000Z') };
+  const converted = convertOrderAmounts({
+    items: [{ product: 'rose', quantity: 2, price: 1299, finalPrice: 1299 }],
+    subtotal: 2598,
+    deliveryCharge: 150,
+    deliveryChargeBreakdown: [{ component: 'base', amount: 99.5 }, { component: 'slot', amount: 50.5 }],
+    discount: 100,
+    taxAmount: 0,
+    promoCode: { code: 'BLOOM', discountAmount: 100 },
+    finalTotal: 2648,
+  }, usd);
+
+  // 1299 x 0.012 = 15.588 is charged as 15.59 a unit, so the subtotal is 31.18 rather than 31.176
+  assert.equal(converted.items[0].finalPrice, 15.59);
+  assert.equal(converted.subtotal, 31.18);
+  assert.equal(converted.deliveryCharge, 1.8);
+  assert.deepEqual(converted.deliveryChargeBreakdown.map((line) => line.amount), [1.19, 0.61]);
+  assert.equal(converted.discount, 1.2);
+  assert.equal(converted.promoCode.discountAmount, 1.2);
+  assert.equal(converted.finalTotal, 31.78);
+
+  // The snapshot is stored on the order and analytics get rupees back from it
+  const order = { ...getOrderCurrencyFields(usd), totalAmount: converted.finalTotal };
+  assert.deepEqual(
+    [order.currency, order.currencyRate, order.originalCurrency, order.currencyRateSource],
+    ['USD', 0.012, 'USD', 'manual']
+  );
+  assert.equal(toBaseAmount(order.totalAmount, order), 2648.33);
+
+  // Rupee orders are left exactly as priced
+  const inr = { items: [], subtotal: 999.99, finalTotal: 999.99 };
+  assert.equal(convertOrderAmounts(inr, { currency: 'INR', rate: 1 }), inr);
+});
+
+test('checkout currencies need a stored rate and unknown currencies are refused', async () => {
+  CurrencyRate.findOne = async ({ currency }) => (currency === 'AED'
+    ? { currency, rate: 0.044, source: 'import', updatedAt: new Date('2026-10-17T00:00:00.000Z') }
+    : null);
+
+  assert.deepEqual(await getRateSnapshot('aed'), {
+    currency: 'AED', rate: 0.044, source: 'import', setAt: new Date('2026-10-17T00:00:00.000Z'),
+  });
+  assert.deepEqual(await getRateSnapshot(), { currency: 'INR', rate: 1, source: 'base', setAt: null });
+
+  await assert.rejects(getRateSnapshot('GBP'), (error) => {
+    assert.equal(isCurrencyError(error), true);
+    assert.equal(error.statusCode, 409);
+    return true;
+  });
+  await assert.rejects(getRateSnapshot('JPY'), (error) => {
+    assert.equal(error.statusCode, 400);
+    assert.match(error.message, /not supported/);
+    return true;
+  });
+});
+
+test('rate imports are all or nothing and reject rates entered the wrong way round', async () => {
+  const imported = await importRates('currency,rate\n# refreshed 2026-10-18\nUSD, 0.012\neur,0.0109\n', { userId: 'admin-1' });
+  assert.deepEqual(imported.map((rate) => [rate.currency, rate.rate, rate.source]), [
+    ['USD', 0.012, 'import'],
+    ['EUR', 0.0109, 'import'],
+  ]);
+  assert.equal(writes[0].update.$push.history.$each[0].updatedBy, 'admin-1');
+  assert.equal(writes[0].update.$push.history.$slice, -20);
+
+  writes = [];
+  await assert.rejects(importRates('{ "rates": { "USD": 0.012, "GBP": 106.4 } }'), /GBP per rupee/);
+  await assert.rejects(importRates('USD,0.012\nUSD,0.0121'), /more than once/);
+  await assert.rejects(importRates('USD;0.012'), /Line 1 of the rates file/);
+  await assert.rejects(setRate({ currency: 'INR', rate: 1 }), /base currency/);
+  assert.deepEqual(writes, []);
+});
+
+test('amounts are formatted with the symbol and minor units of their currency', () => {
+  assert.equal(formatCurrency(129900), '₹1,29,900');
+  assert.equal(formatCurrency(1299.5, 'INR'), '₹1,299.50');
+  assert.equal(formatCurrency(15.49, 'USD'), '$15.49');
+  assert.equal(formatCurrency(57.2, 'AED'), 'AED 57.20');
+  assert.equal(formatCurrency(12, 'EUR'), '€12');
+  assert.equal(formatCurrency(-1.5, 'GBP'), '-£1.50');
+});
+
+test('net order value leaves out refunds but not the difference of an amendment that lowered the total', () => {
+  assert.equal(getNetBaseAmount({ totalAmount: 1500, refundedAmount: 500, currency: 'INR' }), 1000);
+  // Paid 2000, amended down to 1500 and refunded the 500 difference: nothing more to take off
+  assert.equal(getNetBaseAmount({ totalAmount: 1500, amountPaid: 2000, refundedAmount: 500, currency: 'INR' }), 1500);
+  assert.equal(getNetBaseAmount({ totalAmount: 1500, amountPaid: 2000, refundedAmount: 800, currency: 'INR' }), 1200);
+  assert.equal(getNetBaseAmount({ totalAmount: 24, refundedAmount: 6, currency: 'USD', currencyRate: 0.012 }), 1500);
+});
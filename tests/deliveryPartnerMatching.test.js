@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.RAZORPAY_MOCK = 'true';
+
+const DeliveryPartner = require('../models/DeliveryPartner');
+const DeliveryZone = require('../models/DeliveryZone');
+const Store = require('../models/Store');
+const {
+  findBestPartnerForOrder,
+  getStoreCoordinates,
+  resolveFulfillmentStore,
+} = require('../services/deliveryService');
+
+const originals = {
+  partnerFind: DeliveryPartner.find,
+  zoneFindOne: DeliveryZone.findOne,
+  storeFindById: Store.findById,
+  storeFindOne: Store.findOne,
+};
+
+const restore = () => {
+  DeliveryPartner.find = originals.partnerFind;
+  DeliveryZone.findOne = originals.zoneFindOne;
+  Store.findById = originals.storeFindById;
+  Store.findOne = originals.storeFindOne;
+};
+
+const mainStore = { _id: 'store-hyd', name: 'Hyderabad Main Hub', location: { type: 'Point', coordinates: [78.4326, 17.3912] } };
+const gachibowli = { _id: 'store-gac', name: 'Gachibowli Boutique', location: { type: 'Point', coordinates: [78.3489, 17.4401] } };
+
+const config = { maxOrdersPerPartner: 3, assignmentRadius: 5 };
+
+const partners = [
+  { _id: 'near-main', name: 'Ravi', currentLatitude: 17.392, currentLongitude: 78.433, activeOrders: 0, rating: 4.5 },
+  { _id: 'near-gachibowli', name: 'Kiran', currentLatitude: 17.441, currentLongitude: 78.349, activeOrders: 0, rating: 4.5 },
+];
+
+test.beforeEach(() => {
+  restore();
+  DeliveryPartner.find = async () => partners;
+  DeliveryZone.findOne = () => ({ select: async () => null });
+  Store.findById = async (id) => [mainStore, gachibowli].find((store) => store._id === id) || null;
+  Store.findOne = async () => null;
+});
+
+test.after(() => {
+  restore();
+});
+
+test('stores without a location fall back to the original shop', () => {
+  assert.deepEqual(getStoreCoordinates(null), { latitude: 17.3912, longitude: 78.4326 });
+  assert.deepEqual(getStoreCoordinates(gachibowli), { latitude: 17.4401, longitude: 78.3489 });
+});
+
+test('an order assigned to a branch is matched to partners near that branch', async () => {
+  const match = await findBestPartnerForOrder({ store: 'store-gac', shippingDetails: {} }, config);
+
+  assert.equal(match.partner._id, 'near-gachibowli');
+  assert.equal(match.store, gachibowli);
+  assert.ok(match.distance < 0.5);
+});
+
+test('unassigned orders use the store serving their delivery zone', async () => {
+  const queries = [];
+  DeliveryZone.findOne = (query) => ({
+    select: async () => {
+      queries.push(query);
+      return { _id: 'zone-west' };
+    },
+  });
+  Store.findOne = async (query) => (String(query.zone) === 'zone-west' ? gachibowli : null);
+
+  const origin = await resolveFulfillmentStore({ shippingDetails: { latitude: 17.45, longitude: 78.36 } });
+
+  assert.equal(origin.store, gachibowli);
+  assert.equal(origin.latitude, 17.4401);
+  assert.deepEqual(queries[0].boundary.$geoIntersects.$geometry.coordinates, [78.36, 17.45]);
+});
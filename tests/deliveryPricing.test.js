@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.RAZORPAY_MOCK = 'true';
+
+const DeliveryZone = require('../models/DeliveryZone');
+const Order = require('../models/Order');
+const Settings = require('../models/settings');
+const Store = require('../models/Store');
+const mapplsService = require('../services/mapplsService');
+const { calculateDeliveryFee } = require('../services/deliveryService');
+
+const originals = {
+  zoneExists: DeliveryZone.exists,
+  zoneFindOne: DeliveryZone.findOne,
+  orderFindOne: Order.findOne,
+  settingsFindOne: Settings.findOne,
+  storeFindById: Store.findById,
+  getRoadDistance: mapplsService.getRoadDistance,
+};
+
+const restore = () => {
+  DeliveryZone.exists = originals.zoneExists;
+  DeliveryZone.findOne = originals.zoneFindOne;
+  Order.findOne = originals.orderFindOne;
+  Settings.findOne = originals.settingsFindOne;
+  Store.findById = originals.storeFindById;
+  mapplsService.getRoadDistance = originals.getRoadDistance;
+};
+
+const mainStore = { _id: 'store-hyd', name: 'Hyderabad Main Hub', location: { type: 'Point', coordinates: [78.4326, 17.3912] } };
+const banjaraHills = { _id: 'zone-bh', name: 'Banjara Hills', baseDeliveryCharge: 150, surcharge: 50 };
+const address = { latitude: 17.4156, longitude: 78.4347 };
+
+let deliverySettings;
+
+test.beforeEach(() => {
+  restore();
+  deliverySettings = {
+    firstOrderFree: true,
+    timeSlots: [
+      { time: 'standard', label: 'Standard Delivery', enabled: true, extraCharge: 0 },
+      { time: 'midnight', label: 'Midnight Delivery', enabled: true, extraCharge: 150 },
+    ],
+    deliveryChargeRules: [{ minOrderAmount: 0, charge: 0 }],
+    distanceTiers: [{ upToKm: 5, charge: 0 }, { upToKm: 12, charge: 99 }, { charge: 199 }],
+  };
+  Settings.findOne = async () => ({ deliverySettings });
+  DeliveryZone.exists = async () => ({ _id: banjaraHills._id });
+  DeliveryZone.findOne = async () => banjaraHills;
+  Order.findOne = async () => ({ _id: 'earlier-order' });
+  Store.findById = async () => mainStore;
+  mapplsService.getRoadDistance = async () => 7.43;
+});
+
+test.after(() => {
+  restore();
+});
+
+test('the charge is itemised into distance band, zone surcharge and slot extra', async () => {
+  const fee = await calculateDeliveryFee({ subtotal: 1200, timeSlot: 'midnight', userId: 'u1', location: address, storeId: 'store-hyd' });
+
+  assert.equal(fee.distanceKm, 7.4);
+  assert.deepEqual(fee.breakdown.map((line) => [line.component, line.amount]), [
+    ['base', 0],
+    ['distance', 99],
+    ['zone_surcharge', 50],
+    ['time_slot', 150],
+  ]);
+  assert.equal(fee.breakdown[1].label, 'Distance 5–12 km (7.4 km)');
+  assert.equal(fee.deliveryCharge, 299);
+  assert.equal(fee.standardFee, 299);
+});
+
+test('distance is estimated when the road lookup fails and bands end at the delivery radius', async () => {
+  mapplsService.getRoadDistance = async () => {
+    throw new Error('Distance matrix request failed');
+  };
+  const farAway = { latitude: 17.5, longitude: 78.6 };
+
+  const fee = await calculateDeliveryFee({ subtotal: 1200, timeSlot: 'standard', userId: 'u1', location: farAway, storeId: 'store-hyd' });
+  assert.ok(fee.distanceKm > 25);
+  assert.equal(fee.breakdown[1].label, `Distance beyond 12 km (${fee.distanceKm} km)`);
+  assert.equal(fee.deliveryCharge, 199 + 50);
+
+  deliverySettings.distanceTiers = [{ upToKm: 5, charge: 0 }, { upToKm: 12, charge: 99 }];
+  await assert.rejects(
+    calculateDeliveryFee({ subtotal: 1200, timeSlot: 'standard', userId: 'u1', location: farAway, storeId: 'store-hyd' }),
+    (error) => error.code === 'beyond_delivery_radius' && /beyond our 12 km delivery radius/.test(error.message)
+  );
+});
+
+test('first-order free delivery waives every component except rush delivery', async () => {
+  Order.findOne = async () => null;
+  deliverySettings.rushDelivery = { enabled: true, charge: 100 };
+
+  const fee = await calculateDeliveryFee({ subtotal: 1200, timeSlot: 'midnight', userId: 'u1', location: address, storeId: 'store-hyd' });
+
+  assert.equal(fee.isFirstOrderFreeDelivery, true);
+  assert.deepEqual(fee.breakdown.slice(-2).map((line) => [line.component, line.amount]), [['first_order_free', -299], ['rush', 100]]);
+  assert.equal(fee.deliveryCharge, 100);
+  assert.equal(fee.standardFee, 299);
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.RAZORPAY_MOCK = 'true';
+
+const Order = require('../models/Order');
+const DeliveryProof = require('../models/DeliveryProof');
+const DeliverySetting = require('../models/DeliverySetting');
+const DeliveryAssignment = require('../models/DeliveryAssignment');
+const {
+  evaluateProof,
+  getConfirmationProofs,
+  recordDeliveryProof,
+  reviewProof,
+} = require('../services/deliveryProofService');
+
+const originals = {
+  orderFindById: Order.findById,
+  proofCreate: DeliveryProof.create,
+  proofFind: DeliveryProof.find,
+  proofFindById: DeliveryProof.findById,
+  getSettings: DeliverySetting.getSettings,
+  assignmentUpdateOne: DeliveryAssignment.updateOne,
+};
+
+const restore = () => {
+  Order.findById = originals.orderFindById;
+  DeliveryProof.create = originals.proofCreate;
+  DeliveryProof.find = originals.proofFind;
+  DeliveryProof.findById = originals.proofFindById;
+  DeliverySetting.getSettings = originals.getSettings;
+  DeliveryAssignment.updateOne = originals.assignmentUpdateOne;
+};
+
+const now = new Date('2099-03-15T10:00:00Z');
+const config = { proofRadiusMeters: 200, proofMaxAgeMinutes: 30 };
+const order = { orderNumber: '990315200', shippingDetails: { latitude: 12.9716, longitude: 77.5946 } };
+const assignment = { _id: 'assignment-1', orderId: 'order-1', pickupTime: new Date('2099-03-15T09:30:00Z') };
+
+test.beforeEach(restore);
+test.after(restore);
+
+test('a proof taken at the door just after pickup is verified', () => {
+  const result = evaluateProof({
+    assignment,
+    order,
+    latitude: 12.9717,
+    longitude: 77.5947,
+    capturedAt: '2099-03-15T09:58:00Z'
+  }, config, now);
+
+  assert.equal(result.status, 'verified');
+  assert.deepEqual(result.flags, []);
+  assert.ok(result.distanceFromDrop < 20);
+});
+
+test('proofs far from the drop, before pickup or without metadata are flagged', () => {
+  const far = evaluateProof({ assignment, order, latitude: 12.99, longitude: 77.5946, capturedAt: '2099-03-15T09:20:00Z' }, config, now);
+  assert.equal(far.status, 'flagged');
+  assert.deepEqual(far.flags.map((flag) => flag.code), ['too_far_from_drop', 'captured_before_pickup', 'stale_capture']);
+  assert.ok(far.distanceFromDrop > 2000);
+
+  const stale = evaluateProof({ assignment, order, latitude: 12.9716, longitude: 77.5946, capturedAt: '2099-03-15T09:00:00Z' }, config, now);
+  assert.ok(stale.flags.some((flag) => flag.code === 'stale_capture'));
+
+  const future = evaluateProof({ assignment, order, latitude: 12.9716, longitude: 77.5946, capturedAt: '2099-03-15T10:30:00Z' }, config, now);
+  assert.deepEqual(future.flags.map((flag) => flag.code), ['captured_in_future']);
+
+  const bare = evaluateProof({ assignment, order }, config, now);
+  assert.deepEqual(bare.flags.map((flag) => flag.code), ['location_missing', 'timestamp_missing']);
+  assert.equal(bare.capturedAt, null);
+});
+
+test('recordDeliveryProof stores the outcome using the configured radius', async () => {
+  Order.findById = () => ({ select: async () => order });
+  DeliverySetting.getSettings = async () => ({ proofRadiusMeters: 50, proofMaxAgeMinutes: 30 });
+  let created;
+  DeliveryProof.create = async (doc) => { created = doc; return doc; };
+
+  // ~110 m from the drop: fine by default, too far for a 50 m radius
+  const proof = await recordDeliveryProof(assignment, {
+    imageUrl: 'https://cdn.example.com/sig.png',
+    verificationType: 'signature',
+    latitude: 12.9726,
+    longitude: 77.5946,
+    capturedAt: '2099-03-15T09:59:00Z'
+  }, { now });
+
+  assert.equal(created.verificationType, 'signature');
+  assert.equal(proof.status, 'flagged');
+  assert.deepEqual(proof.flags.map((flag) => flag.code), ['too_far_from_drop']);
+
+  await assert.rejects(
+    recordDeliveryProof(assignment, { imageUrl: 'https://cdn.example.com/x.png', verificationType: 'video' }, { now }),
+    { name: 'DeliveryProofError', statusCode: 400 }
+  );
+});
+
+test('rejected proofs are left out of the confirmation email and logged on the assignment', async () => {
+  let findFilter;
+  DeliveryProof.find = (filter) => {
+    findFilter = filter;
+    return {
+      sort: async () => [
+        { verificationType: 'signature', imageUrl: 'https://cdn.example.com/sig-2.png' },
+        { verificationType: 'photo', imageUrl: 'https://cdn.example.com/door-2.jpg' },
+        { verificationType: 'photo', imageUrl: 'https://cdn.example.com/door-1.jpg' },
+      ]
+    };
+  };
+
+  const proofs = await getConfirmationProofs('assignment-1');
+  assert.deepEqual(findFilter.status, { $ne: 'rejected' });
+  assert.deepEqual(proofs, {
+    proofImageUrl: 'https://cdn.example.com/door-2.jpg',
+    signatureImageUrl: 'https://cdn.example.com/sig-2.png'
+  });
+
+  const proof = { _id: 'proof-1', assignmentId: 'assignment-1', status: 'flagged', save: async () => {} };
+  DeliveryProof.findById = async () => proof;
+  let historyUpdate;
+  DeliveryAssignment.updateOne = async (filter, update) => { historyUpdate = update; };
+
+  await assert.rejects(reviewProof('proof-1', { decision: 'maybe' }), { statusCode: 400 });
+  await reviewProof('proof-1', { decision: 'reject', notes: 'Photo of a different door', reviewer: { _id: 'admin-1' } });
+
+  assert.equal(proof.status, 'rejected');
+  assert.equal(proof.reviewedBy, 'admin-1');
+  assert.equal(historyUpdate.$push.history.status, 'proof_rejected');
+});
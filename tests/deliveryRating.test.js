@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.RAZORPAY_MOCK = 'true';
+
+const DeliveryAssignment = require('../models/DeliveryAssignment');
+const DeliveryPartner = require('../models/DeliveryPartner');
+const DeliveryRating = require('../models/DeliveryRating');
+const DeliverySetting = require('../models/DeliverySetting');
+const {
+  getPartnerScorecard,
+  recalculatePartnerRating,
+  submitRating,
+  validateRating,
+} = require('../services/deliveryRatingService');
+
+const originals = {
+  assignmentFind: DeliveryAssignment.find,
+  assignmentFindOne: DeliveryAssignment.findOne,
+  partnerFindById: DeliveryPartner.findById,
+  partnerUpdateOne: DeliveryPartner.updateOne,
+  ratingCreate: DeliveryRating.create,
+  ratingFind: DeliveryRating.find,
+  ratingFindOne: DeliveryRating.findOne,
+  ratingCount: DeliveryRating.countDocuments,
+  getSettings: DeliverySetting.getSettings,
+};
+
+const restore = () => {
+  DeliveryAssignment.find = originals.assignmentFind;
+  DeliveryAssignment.findOne = originals.assignmentFindOne;
+  DeliveryPartner.findById = originals.partnerFindById;
+  DeliveryPartner.updateOne = originals.partnerUpdateOne;
+  DeliveryRating.create = originals.ratingCreate;
+  DeliveryRating.find = originals.ratingFind;
+  DeliveryRating.findOne = originals.ratingFindOne;
+  DeliveryRating.countDocuments = originals.ratingCount;
+  DeliverySetting.getSettings = originals.getSettings;
+};
+
+const now = new Date('2099-03-20T10:00:00Z');
+const order = { _id: 'order-1', orderNumber: '990320101', status: 'delivered', user: 'user-1' };
+const assignment = { _id: 'assignment-1', partnerId: 'partner-1', status: 'delivered', deliveryTime: new Date('2099-03-18T12:00:00Z') };
+
+// Chainable stand-in for find().sort().limit().select() / findOne().sort()
+const query = (result) => {
+  const chain = { sort: () => chain, limit: () => chain, select: () => chain, populate: () => chain, then: (resolve, reject) => Promise.resolve(result).then(resolve, reject) };
+  return chain;
+};
+
+test.beforeEach(() => {
+  restore();
+  DeliverySetting.getSettings = async () => ({ ratingWindow: 3, ratingWindowDays: 14 });
+  DeliveryAssignment.findOne = () => query(assignment);
+  DeliveryPartner.findById = () => query({ name: 'Ravi', profilePhoto: 'ravi.jpg' });
+  DeliveryRating.findOne = async () => null;
+});
+test.after(restore);
+
+test('ratings need 1-5 whole stars and known tags', () => {
+  assert.deepEqual(validateRating({ stars: '4', tags: ['on_time', 'on_time'], comment: '  Lovely ' }), {
+    stars: 4,
+    tags: ['on_time'],
+    comment: 'Lovely',
+  });
+  assert.throws(() => validateRating({ stars: 0 }), /1 to 5/);
+  assert.throws(() => validateRating({ stars: 4.5 }), /whole number/);
+  assert.throws(() => validateRating({ stars: 3, tags: ['smelly'] }), /Unknown tags: smelly/);
+});
+
+test('a customer rating is stored against the delivery and flags complaints', async () => {
+  let created;
+  DeliveryRating.create = async (doc) => { created = doc; return { _id: 'rating-1', ...doc }; };
+  DeliveryRating.find = () => query([{ stars: 2 }]);
+  DeliveryRating.countDocuments = async () => 1;
+  DeliveryPartner.updateOne = async () => {};
+
+  const rating = await submitRating(order, { stars: 2, tags: ['late', 'damaged'] }, { now });
+
+  assert.equal(created.assignmentId, 'assignment-1');
+  assert.equal(created.partnerId, 'partner-1');
+  assert.equal(created.userId, 'user-1');
+  assert.equal(rating.isComplaint, true);
+
+  DeliveryRating.findOne = async () => ({ stars: 2 });
+  await assert.rejects(submitRating(order, { stars: 5 }, { now }), { statusCode: 409 });
+
+  DeliveryRating.findOne = async () => null;
+  await assert.rejects(submitRating(order, { stars: 5 }, { now: new Date('2099-04-10T00:00:00Z') }), /rating window/);
+  await assert.rejects(submitRating({ ...order, status: 'out_for_delivery' }, { stars: 5 }, { now }), /Only delivered orders/);
+});
+
+test('the partner rating is the average of their latest ratings', async () => {
+  let limit;
+  DeliveryRating.find = () => {
+    const chain = query([{ stars: 5 }, { stars: 4 }, { stars: 2 }]);
+    chain.limit = (value) => { limit = value; return chain; };
+    return chain;
+  };
+  DeliveryRating.countDocuments = async () => 12;
+  let update;
+  DeliveryPartner.updateOne = async (filter, change) => { update = change; };
+
+  const result = await recalculatePartnerRating('partner-1');
+
+  assert.equal(limit, 3);
+  assert.deepEqual(result, { rating: 3.7, ratingCount: 12 });
+  assert.deepEqual(update.$set, { rating: 3.7, ratingCount: 12 });
+});
+
+test('the scorecard covers on-time, rejection, delivery time and complaints', async () => {
+  DeliveryPartner.findById = () => query({ _id: 'partner-1', name: 'Ravi', rating: 4.2 });
+  const minutes = (n) => new Date(Date.parse('2099-03-10T10:00:00Z') + n * 60000);
+  DeliveryAssignment.find = () => query([
+    { status: 'delivered', eta: 30, pickupTime: minutes(0), deliveryTime: minutes(20) },
+    { status: 'delivered', eta: 30, pickupTime: minutes(0), deliveryTime: minutes(40) },
+    { status: 'cancelled', cancellationReason: 'partner_rejected', history: [] },
+    { status: 'cancelled', history: [{ status: 'cancelled', remarks: 'Partner ignored (timeout) the request.' }] },
+  ]);
+  DeliveryRating.find = () => query([
+    { stars: 5, tags: ['on_time'], isComplaint: false, orderId: { orderNumber: '1' } },
+    { stars: 2, tags: ['late'], comment: 'Very late', isComplaint: true, orderId: { orderNumber: '2' } },
+  ]);
+
+  const scorecard = await getPartnerScorecard('partner-1', { from: '2099-03-01', to: '2099-03-19' });
+
+  assert.equal(scorecard.period.startDate.toISOString(), '2099-02-28T18:30:00.000Z');
+  assert.deepEqual(scorecard.deliveries, { offered: 4, delivered: 2, failed: 0, rejected: 1, timedOut: 1 });
+  assert.equal(scorecard.onTimeRate, 50);
+  assert.equal(scorecard.rejectionRate, 50);
+  assert.equal(scorecard.averageDeliveryMinutes, 30);
+  assert.equal(scorecard.ratings.average, 3.5);
+  assert.deepEqual(scorecard.ratings.tags, { on_time: 1, late: 1 });
+  assert.equal(scorecard.complaints.count, 1);
+  assert.equal(scorecard.complaints.recent[0].comment, 'Very late');
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.RAZORPAY_MOCK = 'true';
+
+const DeliveryZone = require('../models/DeliveryZone');
+const Settings = require('../models/settings');
+const { calculateDeliveryFee, isDeliveryZoneError } = require('../services/deliveryService');
+
+const originals = {
+  zoneExists: DeliveryZone.exists,
+  zoneFindOne: DeliveryZone.findOne,
+  zoneDistinct: DeliveryZone.distinct,
+  settingsFindOne: Settings.findOne,
+};
+
+const restore = () => {
+  DeliveryZone.exists = originals.zoneExists;
+  DeliveryZone.findOne = originals.zoneFindOne;
+  DeliveryZone.distinct = originals.zoneDistinct;
+  Settings.findOne = originals.settingsFindOne;
+};
+
+const jubileeHills = {
+  _id: 'zone-jh',
+  name: 'Jubilee Hills',
+  baseDeliveryCharge: 250,
+  minimumOrderAmount: 500,
+  allowedTimeSlots: ['standard'],
+};
+
+const inJubileeHills = { latitude: 17.4326, longitude: 78.4071 };
+
+let zoneQueries;
+
+test.beforeEach(() => {
+  restore();
+  zoneQueries = [];
+  Settings.findOne = async () => ({
+    deliverySettings: {
+      firstOrderFree: false,
+      timeSlots: [
+        { time: 'standard', label: 'Standard', enabled: true, extraCharge: 0 },
+        { time: 'midnight', label: 'Midnight', enabled: true, extraCharge: 200 },
+      ],
+      deliveryChargeRules: [{ minOrderAmount: 0, charge: 150 }, { minOrderAmount: 999, charge: 0 }],
+    },
+  });
+  DeliveryZone.exists = async () => ({ _id: 'zone-jh' });
+  DeliveryZone.findOne = async (query) => {
+    zoneQueries.push(query);
+    return jubileeHills;
+  };
+  DeliveryZone.distinct = async () => ['Jubilee Hills', 'Banjara Hills'];
+});
+
+test.after(() => {
+  restore();
+});
+
+test('addresses inside a zone pay its charge until the free-delivery threshold', async () => {
+  const fee = await calculateDeliveryFee({ subtotal: 600, timeSlot: 'standard', location: inJubileeHills });
+
+  assert.equal(fee.deliveryCharge, 250);
+  assert.deepEqual(fee.zone, { _id: 'zone-jh', name: 'Jubilee Hills' });
+  assert.deepEqual(zoneQueries[0].boundary.$geoIntersects.$geometry.coordinates, [78.4071, 17.4326]);
+
+  const free = await calculateDeliveryFee({ subtotal: 1200, timeSlot: 'standard', location: inJubileeHills });
+  assert.equal(free.deliveryCharge, 0);
+});
+
+test('addresses outside every active zone are rejected with the areas served', async () => {
+  DeliveryZone.findOne = async () => null;
+
+  await assert.rejects(
+    calculateDeliveryFee({ subtotal: 600, timeSlot: 'standard', location: { latitude: 17.2, longitude: 78.9 } }),
+    (error) => isDeliveryZoneError(error)
+      && error.code === 'outside_delivery_area'
+      && /deliver to Jubilee Hills, Banjara Hills/.test(error.message)
+  );
+  await assert.rejects(
+    calculateDeliveryFee({ subtotal: 600, timeSlot: 'standard', location: { latitude: '', longitude: null } }),
+    (error) => error.code === 'location_required'
+  );
+});
+
+test('zone minimums and time slots are enforced', async () => {
+  await assert.rejects(
+    calculateDeliveryFee({ subtotal: 400, timeSlot: 'standard', location: inJubileeHills }),
+    /at least ₹500\. Add ₹100 more/
+  );
+  await assert.rejects(
+    calculateDeliveryFee({ subtotal: 600, timeSlot: 'midnight', location: inJubileeHills }),
+    /Midnight delivery isn't available in Jubilee Hills\. Please choose Standard\./
+  );
+});
+
+test('shops without active zones keep delivering everywhere', async () => {
+  DeliveryZone.exists = async () => null;
+
+  const fee = await calculateDeliveryFee({ subtotal: 600, timeSlot: 'midnight', location: {} });
+
+  assert.equal(fee.deliveryCharge, 350);
+  assert.equal(fee.zone, null);
+  assert.equal(zoneQueries.length, 0);
+});
@@ -0,0 +1,169 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.RAZORPAY_MOCK = 'true';
+
+const Order = require('../models/Order');
+const Holiday = require('../models/Holiday');
+const Settings = require('../models/settings');
+const DeliveryZone = require('../models/DeliveryZone');
+const DeliverySetting = require('../models/DeliverySetting');
+const DeliveryAssignment = require('../models/DeliveryAssignment');
+const SlotCapacity = require('../models/SlotCapacity');
+const deliveryNotificationService = require('../services/deliveryNotificationService');
+const deliveryService = require('../services/deliveryService');
+const razorpayService = require('../services/razorpayService');
+const {
+  confirmRedeliveryPayment,
+  getRescheduleOptions,
+  recordFailedAttempt,
+  rescheduleFailedDelivery,
+  validateFailureReport,
+} = require('../services/failedDeliveryService');
+
+const originals = {
+  orderSave: Order.prototype.save,
+  isHoliday: Holiday.isHoliday,
+  settingsFindOne: Settings.findOne,
+  zoneFindById: DeliveryZone.findById,
+  getSettings: DeliverySetting.getSettings,
+  sendDeliveryNotification: deliveryNotificationService.sendDeliveryNotification,
+  assignOrderAutomatically: deliveryService.assignOrderAutomatically,
+  createOrder: razorpayService.createOrder,
+  verifyPayment: razorpayService.verifyPayment,
+  slotCapacityFind: SlotCapacity.find,
+};
+
+const restore = () => {
+  Order.prototype.save = originals.orderSave;
+  Holiday.isHoliday = originals.isHoliday;
+  Settings.findOne = originals.settingsFindOne;
+  DeliveryZone.findById = originals.zoneFindById;
+  DeliverySetting.getSettings = originals.getSettings;
+  deliveryNotificationService.sendDeliveryNotification = originals.sendDeliveryNotification;
+  deliveryService.assignOrderAutomatically = originals.assignOrderAutomatically;
+  razorpayService.createOrder = originals.createOrder;
+  razorpayService.verifyPayment = originals.verifyPayment;
+  SlotCapacity.find = originals.slotCapacityFind;
+};
+
+// 15 Mar 2099, 10:00 IST
+const now = new Date('2099-03-15T04:30:00Z');
+let notifications;
+let autoAssigned;
+
+const buildOrder = (paymentDetails = { method: 'cash' }) => new Order({
+  orderNumber: '990315110',
+  status: 'out_for_delivery',
+  items: [],
+  totalAmount: 1200,
+  finalTotal: 1200,
+  deliveryCharge: 0,
+  shippingDetails: { fullName: 'Asha', deliveryDate: new Date('2099-03-15T00:00:00Z'), timeSlot: 'standard' },
+  paymentDetails,
+});
+
+const failedOrder = async (paymentDetails, reason = 'customer_unavailable') => {
+  const order = buildOrder(paymentDetails);
+  const assignment = new DeliveryAssignment({ orderId: order._id, customerOtp: '1234', status: 'failed_delivery' });
+  await recordFailedAttempt(assignment, order, validateFailureReport({ failReason: reason, photoUrl: 'https://cdn/door.jpg' }), { now });
+  return { order, assignment };
+};
+
+test.beforeEach(() => {
+  restore();
+  SlotCapacity.find = async () => [];
+  notifications = [];
+  autoAssigned = [];
+  Order.prototype.save = async function () {
+    return this;
+  };
+  // 17 Mar is a shop holiday
+  Holiday.isHoliday = async (date) => (date.getDate() === 17 ? { name: 'Holi' } : null);
+  Settings.findOne = async () => ({
+    deliverySettings: {
+      timeSlots: [
+        { time: 'standard', enabled: true, label: 'Standard', extraCharge: 0 },
+        { time: 'midnight', enabled: true, label: 'Midnight', extraCharge: 150 },
+      ],
+    },
+  });
+  DeliveryZone.findById = () => ({ select: async () => null });
+  DeliverySetting.getSettings = async () => ({ redeliveryFee: 99, rescheduleWindowDays: 3 });
+  deliveryNotificationService.sendDeliveryNotification = async (event) => notifications.push(event);
+  deliveryService.assignOrderAutomatically = async (orderId) => autoAssigned.push(orderId);
+});
+
+test.after(() => {
+  restore();
+});
+
+test('a failure needs evidence and charges redelivery only when the customer caused it', async () => {
+  assert.throws(() => validateFailureReport({ failReason: 'customer_unavailable' }), /photo is required/);
+  assert.throws(() => validateFailureReport({ failReason: 'other', photoUrl: 'https://cdn/x.jpg' }), /describe what went wrong/);
+  assert.throws(() => validateFailureReport({ failReason: 'lost' }), /failReason must be one of/);
+  assert.equal(validateFailureReport({ failReason: 'rescheduled', notes: 'Asked for Sunday' }).photoUrl, undefined);
+
+  const { order, assignment } = await failedOrder();
+  assert.equal(order.status, 'received');
+  assert.equal(order.failedDeliveries[0].redeliveryFee, 99);
+  assert.equal(assignment.failReason, 'customer_unavailable');
+  assert.equal(assignment.failureEvidence.photoUrl, 'https://cdn/door.jpg');
+
+  const storeFault = await failedOrder(undefined, 'returned_to_store');
+  assert.equal(storeFault.order.failedDeliveries[0].redeliveryFee, 0);
+});
+
+test('reschedule options skip holidays and price a pricier slot into the fee', async () => {
+  const { order } = await failedOrder();
+
+  const options = await getRescheduleOptions(order, { now });
+
+  assert.deepEqual(options.dates.map((day) => day.date), ['2099-03-15', '2099-03-16', '2099-03-18']);
+  assert.deepEqual(options.dates[0].timeSlots.map((slot) => [slot.time, slot.fee]), [['standard', 99], ['midnight', 249]]);
+
+  // Past the 6 PM cutoff today is no longer offered
+  const evening = await getRescheduleOptions(order, { now: new Date('2099-03-15T13:00:00Z') });
+  assert.equal(evening.dates[0].date, '2099-03-16');
+
+  await assert.rejects(rescheduleFailedDelivery(order, { deliveryDate: '2099-03-17', timeSlot: 'standard' }, { now }), /Holi/);
+  await assert.rejects(rescheduleFailedDelivery(order, { deliveryDate: '2099-03-25', timeSlot: 'standard' }, { now }), /up to 3 days ahead/);
+});
+
+test('cash orders collect the fee on delivery and go straight back into assignment for today', async () => {
+  const { order } = await failedOrder();
+
+  const result = await rescheduleFailedDelivery(order, { deliveryDate: '2099-03-15', timeSlot: 'standard' }, { now });
+
+  assert.equal(result.status, 'rescheduled');
+  assert.equal(order.failedDeliveries[0].feeStatus, 'collect_on_delivery');
+  assert.equal(order.shippingDetails.deliveryDate.toISOString(), '2099-03-15T00:00:00.000Z');
+  assert.equal(order.totalAmount, 1299);
+  assert.equal(order.deliveryCharge, 99);
+  assert.deepEqual(order.deliveryChargeBreakdown.map((line) => [line.component, line.amount]), [['redelivery', 99]]);
+  assert.deepEqual(notifications, ['rescheduled']);
+  assert.deepEqual(autoAssigned, [order._id]);
+
+  await assert.rejects(rescheduleFailedDelivery(order, { deliveryDate: '2099-03-16', timeSlot: 'standard' }, { now }), /no failed delivery waiting/);
+});
+
+test('prepaid orders pay the fee online before the new date is confirmed', async () => {
+  const { order } = await failedOrder({ method: 'razorpay', status: 'paid', razorpayPaymentId: 'pay_1' });
+  razorpayService.createOrder = async (amountInPaise) => ({ id: 'order_fee_1', amount: amountInPaise });
+  razorpayService.verifyPayment = (orderId, paymentId, signature) => signature === 'valid';
+
+  const pending = await rescheduleFailedDelivery(order, { deliveryDate: '2099-03-16', timeSlot: 'midnight' }, { now });
+  assert.equal(pending.status, 'payment_required');
+  assert.equal(pending.razorpayOrder.amount, 24900);
+  assert.equal(order.shippingDetails.timeSlot, 'standard');
+
+  await assert.rejects(confirmRedeliveryPayment(order, { razorpayOrderId: 'order_fee_1', razorpayPaymentId: 'pay_2', razorpaySignature: 'forged' }, { now }), /verification failed/);
+
+  await confirmRedeliveryPayment(order, { razorpayOrderId: 'order_fee_1', razorpayPaymentId: 'pay_2', razorpaySignature: 'valid' }, { now });
+  assert.equal(order.failedDeliveries[0].feeStatus, 'paid');
+  assert.equal(order.shippingDetails.timeSlot, 'midnight');
+  assert.equal(order.totalAmount, 1449);
+  assert.equal(order.amountPaid, 1449);
+  // Tomorrow's delivery is assigned on the day, not now
+  assert.deepEqual(autoAssigned, []);
+});
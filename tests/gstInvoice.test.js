@@ -0,0 +1,229 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.RAZORPAY_MOCK = 'true';
+
+const AddonProduct = require('../models/AddonProduct');
+const Counter = require('../models/Counter');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Settings = require('../models/settings');
+const {
+  calculateCheckoutTax,
+  calculateOrderTax,
+  getFinancialYear,
+  getTaxSettings,
+  validateTaxSettings,
+} = require('../services/gstService');
+const { ensureInvoice, isInvoiceError, issueCreditNote, issueInvoice } = require('../services/invoiceService');
+const { creditRefund } = require('../services/refundService');
+
+const originals = {
+  addonFind: AddonProduct.find,
+  counterNext: Counter.next,
+  orderFindById: Order.findById,
+  orderUpdateOne: Order.updateOne,
+  productFind: Product.find,
+  settingsFindOne: Settings.findOne,
+};
+
+const restore = () => {
+  AddonProduct.find = originals.addonFind;
+  Counter.next = originals.counterNext;
+  Order.findById = originals.orderFindById;
+  Order.updateOne = originals.orderUpdateOne;
+  Product.find = originals.productFind;
+  Settings.findOne = originals.settingsFindOne;
+};
+
+const TAX_CLASSES = new Map([
+  ['rose-box', { hsnCode: '0603', gstRate: 5 }],
+  ['truffles', { hsnCode: '1806', gstRate: 18 }],
+]);
+
+let orders;
+let counters;
+
+// Applies the lock, invoice and credit note writes the way MongoDB would
+const stubOrderStore = () => {
+  Order.findById = async (id) => orders[id] || null;
+  Order.updateOne = async (filter, update) => {
+    const order = orders[filter._id];
+    if (filter.$or) {
+      const lockedAt = order.invoice?.lockedAt;
+      if (lockedAt && lockedAt >= filter.$or[1]['invoice.lockedAt'].$lt) return { modifiedCount: 0 };
+      order.invoice = { ...order.invoice, lockedAt: update.$set['invoice.lockedAt'] };
+      return { modifiedCount: 1 };
+    }
+    if (update.$set?.invoice) order.invoice = update.$set.invoice;
+    if (update.$push?.creditNotes) order.creditNotes.push(update.$push.creditNotes);
+    if (update.$unset && order.invoice) delete order.invoice.lockedAt;
+    return { modifiedCount: 1 };
+  };
+  Counter.next = async (key) => {
+    counters[key] = (counters[key] || 0) + 1;
+    return counters[key];
+  };
+};
+
+const paidOrder = (id, overrides = {}) => ({
+  _id: id,
+  orderNumber: `SBF-${id}`,
+  status: 'processing',
+  items: [{ product: 'rose-box', quantity: 1, price: 1050, finalPrice: 1050 }],
+  deliveryCharge: 105,
+  discount: 0,
+  shippingDetails: { state: 'Telangana' },
+  paymentDetails: { method: 'razorpay', status: 'paid' },
+  creditNotes: [],
+  ...overrides,
+});
+
+test.beforeEach(() => {
+  restore();
+  orders = {};
+  counters = {};
+  Settings.findOne = async () => null;
+  Product.find = async () => [{ _id: 'rose-box', hsnCode: '0603', gstRate: 5 }];
+  AddonProduct.find = async () => [];
+  stubOrderStore();
+});
+
+test.after(() => {
+  restore();
+});
+
+test('GST splits into CGST and SGST within Telangana and IGST for deliveries to other states', async () => {
+  const settings = await getTaxSettings();
+  const items = [
+    { product: 'rose-box', quantity: 1, finalPrice: 1050 },
+    { product: 'truffles', productModel: 'AddonProduct', quantity: 1, finalPrice: 118 },
+  ];
+
+  // Prices include GST: the tax is carved out of each line
+  const local = await calculateOrderTax(
+    { items, deliveryCharge: 105, shippingDetails: { state: 'Telangana' } },
+    { settings, classes: TAX_CLASSES }
+  );
+  assert.equal(local.supplyType, 'intra_state');
+  assert.deepEqual(local.lines.map((line) => [line.hsnCode, line.gstRate, line.taxableValue, line.cgst, line.sgst]), [
+    ['0603', 5, 1000, 25, 25],
+    ['1806', 18, 100, 9, 9],
+    ['996812', 5, 100, 2.5, 2.5],
+  ]);
+  assert.deepEqual([local.taxableValue, local.cgst, local.sgst, local.igst, local.total], [1200, 36.5, 36.5, 0, 1273]);
+
+  // Prices exclude GST: the discount comes off first and the gift recipient's state decides
+  const gift = await calculateOrderTax(
+    {
+      items: [{ product: 'rose-box', quantity: 1, price: 1000 }, { product: 'truffles', quantity: 1, price: 100 }],
+      deliveryCharge: 100,
+      discount: 120,
+      shippingDetails: { state: 'Telangana' },
+      giftDetails: { recipientState: 'Karnataka' },
+    },
+    { settings, pricesIncludeTax: false, classes: TAX_CLASSES }
+  );
+  assert.deepEqual(gift.placeOfSupply, { stateCode: '29', stateName: 'Karnataka' });
+  assert.equal(gift.supplyType, 'inter_state');
+  assert.deepEqual(gift.lines.map((line) => [line.discount, line.taxableValue, line.igst]), [[100, 900, 45], [10, 90, 16.2], [10, 90, 4.5]]);
+  assert.deepEqual([gift.cgst, gift.sgst, gift.igst, gift.total], [0, 0, 65.7, 1145.7]);
+
+  // Checkout only adds GST when prices exclude it
+  const checkout = { items: [{ product: 'rose-box', quantity: 2, price: 500 }], deliveryCharge: 0, shippingDetails: { state: 'Telangana' } };
+  assert.equal(await calculateCheckoutTax(checkout), 0);
+  Settings.findOne = async () => ({ taxSettings: { pricesIncludeTax: false } });
+  assert.equal(await calculateCheckoutTax(checkout), 50);
+});
+
+test('invoice numbers run per financial year and are only drawn by the request holding the lock', async () => {
+  const financialYear = getFinancialYear(new Date());
+  orders.first = paidOrder('first');
+  orders.second = paidOrder('second', { shippingDetails: { state: 'Maharashtra' } });
+
+  const first = await issueInvoice('first');
+  assert.equal(first.number, `SBF/${financialYear.slice(2)}/00001`);
+  assert.equal(first.total, 1155);
+  assert.equal(orders.first.invoice.lockedAt, undefined);
+  assert.equal(await issueInvoice('first'), orders.first.invoice);
+
+  const second = await ensureInvoice(orders.second);
+  assert.equal(second.number, `SBF/${financialYear.slice(2)}/00002`);
+  assert.equal(second.supplyType, 'inter_state');
+  assert.deepEqual(counters, { [`invoice:${financialYear}`]: 2 });
+
+  // A request holding the lock keeps others from drawing a number; a dead one is taken over
+  orders.busy = paidOrder('busy', { invoice: { lockedAt: new Date() } });
+  await assert.rejects(issueInvoice('busy'), (error) => {
+    assert.equal(isInvoiceError(error), true);
+    assert.equal(error.statusCode, 409);
+    return true;
+  });
+  assert.deepEqual(counters, { [`invoice:${financialYear}`]: 2 });
+  orders.busy.invoice.lockedAt = new Date(Date.now() - 3 * 60 * 1000);
+  assert.equal((await issueInvoice('busy')).sequence, 3);
+
+  // Unpaid and test orders get a receipt, not a number
+  orders.unpaid = paidOrder('unpaid', { paymentDetails: { method: 'razorpay', status: 'pending' } });
+  await assert.rejects(issueInvoice('unpaid'), /once the payment has been received/);
+  assert.equal(await ensureInvoice(orders.unpaid), null);
+  assert.equal(await ensureInvoice(paidOrder('test', { isTestOrder: true })), null);
+
+  // The series starts again in April
+  assert.equal(getFinancialYear(new Date('2027-03-31T18:00:00.000Z')), '2026-27');
+  assert.equal(getFinancialYear(new Date('2027-03-31T18:30:00.000Z')), '2027-28');
+});
+
+test('credit notes split refunds in the invoice\'s proportions and never credit more than was invoiced', async () => {
+  const financialYear = getFinancialYear(new Date());
+  orders.order = paidOrder('order', {
+    items: [
+      { product: 'rose-box', quantity: 1, finalPrice: 1050 },
+      { product: 'truffles', productModel: 'AddonProduct', quantity: 1, finalPrice: 118 },
+    ],
+  });
+  AddonProduct.find = async () => [{ _id: 'truffles', hsnCode: '1806', gstRate: 18 }];
+  const invoice = await issueInvoice('order');
+  assert.equal(invoice.total, 1273);
+
+  const refund = { _id: 'refund-1', amount: 500, reason: 'Wilted roses', initiatedBy: 'admin-1' };
+  const partial = await creditRefund(orders.order, refund);
+  assert.equal(partial.number, `CN/${financialYear.slice(2)}/00001`);
+  assert.equal(partial.total, 500);
+  assert.equal(partial.taxableValue, 471.33);
+  assert.equal(Math.round((partial.cgst + partial.sgst) * 100) / 100, partial.totalTax);
+  assert.equal(partial.refundId, 'refund-1');
+
+  // The same refund is only credited once, however many times it is reported
+  assert.equal(await creditRefund(orders.order, refund), null);
+
+  // Cancelling credits the rest, and the notes add up to the invoice exactly
+  const rest = await issueCreditNote('order', { amount: 5000, reason: 'Order cancelled' });
+  assert.equal(rest.total, 773);
+  const sum = (field) => Math.round(orders.order.creditNotes.reduce((total, note) => total + note[field], 0) * 100) / 100;
+  assert.deepEqual([sum('taxableValue'), sum('cgst'), sum('sgst'), sum('total')], [1200, 36.5, 36.5, 1273]);
+
+  assert.equal(await issueCreditNote('order', { reason: 'Again' }), null);
+  await assert.rejects(issueCreditNote('order', { amount: -5 }), /greater than zero/);
+  assert.deepEqual(counters[`creditNote:${financialYear}`], 2);
+
+  // Orders that were never invoiced have nothing to credit
+  assert.equal(await creditRefund(paidOrder('uninvoiced'), refund), null);
+});
+
+test('tax settings keep the GSTIN in the registered state and the document series apart', () => {
+  assert.throws(
+    () => validateTaxSettings({ gstin: '29abcde1234f1z5' }),
+    /GSTIN 29ABCDE1234F1Z5 is registered in state 29, not 36/
+  );
+  assert.deepEqual(
+    validateTaxSettings({ gstin: '29abcde1234f1z5', stateCode: 'Karnataka' }),
+    { stateCode: '29', gstin: '29ABCDE1234F1Z5' }
+  );
+
+  assert.throws(() => validateTaxSettings({ gstin: '36ABCDE1234' }), /not a valid GSTIN/);
+  assert.throws(() => validateTaxSettings({ defaultGstRate: 7 }), /defaultGstRate must be one of 0, 0.25, 3, 5, 12, 18, 28/);
+  assert.throws(() => validateTaxSettings({ deliverySacCode: '99' }), /4 to 8 digit/);
+  assert.throws(() => validateTaxSettings({ creditNotePrefix: 'sbf' }), /different prefixes/);
+  assert.throws(() => validateTaxSettings({ invoicePrefix: 'SPRING' }), /1 to 5 letters/);
+});
@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { hashRequestBody, idempotency } = require('../middleware/idempotency');
+
+const originalCreate = IdempotencyKey.create;
+const originalFindOne = IdempotencyKey.findOne;
+const originalUpdateOne = IdempotencyKey.updateOne;
+const originalDeleteOne = IdempotencyKey.deleteOne;
+
+const restoreModel = () => {
+  IdempotencyKey.create = originalCreate;
+  IdempotencyKey.findOne = originalFindOne;
+  IdempotencyKey.updateOne = originalUpdateOne;
+  IdempotencyKey.deleteOne = originalDeleteOne;
+};
+
+// Minimal in-memory stand-in for the unique {key, scope, customerKey} index
+const useKeyStore = () => {
+  const records = new Map();
+  const idFor = ({ key, scope, customerKey }) => `${key}|${scope}|${customerKey}`;
+
+  IdempotencyKey.create = async (doc) => {
+    const id = idFor(doc);
+    if (records.has(id)) {
+      const error = new Error('duplicate key');
+      error.code = 11000;
+      throw error;
+    }
+    const record = { _id: id, status: 'in_progress', ...doc };
+    records.set(id, record);
+    return record;
+  };
+  IdempotencyKey.findOne = (filter) => ({ lean: async () => records.get(idFor(filter)) || null });
+  IdempotencyKey.updateOne = async ({ _id }, update) => {
+    Object.assign(records.get(_id), update);
+  };
+  IdempotencyKey.deleteOne = async ({ _id }) => {
+    records.delete(_id);
+  };
+
+  return records;
+};
+
+const createRequest = (body, key = 'key-1') => ({
+  body,
+  user: { _id: 'user-1' },
+  get: (name) => (name === 'Idempotency-Key' ? key : undefined),
+});
+
+const createResponse = () => {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.headers = {};
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.set = (name, value) => {
+    res.headers[name] = value;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+const run = async (middleware, req, handler) => {
+  const res = createResponse();
+  let handled = false;
+  await middleware(req, res, () => {
+    handled = true;
+    handler(req, res);
+  });
+  res.emit('finish');
+  await new Promise((resolve) => setImmediate(resolve));
+  return { res, handled };
+};
+
+test.beforeEach(() => {
+  restoreModel();
+});
+
+test.after(() => {
+  restoreModel();
+});
+
+test('hashRequestBody ignores key order', () => {
+  assert.equal(hashRequestBody({ a: 1, b: { c: 2, d: 3 } }), hashRequestBody({ b: { d: 3, c: 2 }, a: 1 }));
+  assert.notEqual(hashRequestBody({ a: 1 }), hashRequestBody({ a: 2 }));
+});
+
+test('replays the stored response for a retried request', async () => {
+  useKeyStore();
+  const middleware = idempotency({ scope: 'orders:create' });
+  let calls = 0;
+  const handler = (req, res) => {
+    calls += 1;
+    res.status(201).json({ success: true, orderNumber: '2610001' });
+  };
+
+  const first = await run(middleware, createRequest({ total: 500 }), handler);
+  const second = await run(middleware, createRequest({ total: 500 }), handler);
+
+  assert.equal(calls, 1);
+  assert.equal(first.res.statusCode, 201);
+  assert.equal(second.handled, false);
+  assert.equal(second.res.statusCode, 201);
+  assert.deepEqual(second.res.body, { success: true, orderNumber: '2610001' });
+  assert.equal(second.res.headers['Idempotent-Replayed'], 'true');
+});
+
+test('rejects reuse of a key with a different body', async () => {
+  useKeyStore();
+  const middleware = idempotency({ scope: 'orders:create' });
+  const handler = (req, res) => res.status(201).json({ success: true });
+
+  await run(middleware, createRequest({ total: 500 }), handler);
+  const { res, handled } = await run(middleware, createRequest({ total: 900 }), handler);
+
+  assert.equal(handled, false);
+  assert.equal(res.statusCode, 409);
+  assert.equal(res.body.code, 'IDEMPOTENCY_KEY_REUSED');
+});
+
+test('forgets keys whose request failed with a server error', async () => {
+  const records = useKeyStore();
+  const middleware = idempotency({ scope: 'orders:create' });
+
+  await run(middleware, createRequest({ total: 500 }), (req, res) => res.status(500).json({ success: false }));
+
+  assert.equal(records.size, 0);
+});
+
+test('keeps the key while the handler is still running after the client disconnects', async () => {
+  const records = useKeyStore();
+  const middleware = idempotency({ scope: 'orders:create' });
+  const res = createResponse();
+  let respond;
+
+  await middleware(createRequest({ total: 500 }), res, () => {
+    respond = () => res.status(201).json({ success: true, orderNumber: '2610002' });
+  });
+  res.destroyed = true;
+  res.emit('close');
+  await new Promise((resolve) => setImmediate(resolve));
+
+  // The retry must not run the request a second time
+  const retry = await run(middleware, createRequest({ total: 500 }), () => assert.fail('handler ran twice'));
+  assert.equal(retry.res.statusCode, 409);
+  assert.equal(retry.res.body.code, 'IDEMPOTENCY_KEY_IN_USE');
+  assert.equal(records.size, 1);
+
+  // Once the order is created its response is stored for the next retry
+  respond();
+  await new Promise((resolve) => setImmediate(resolve));
+  const replay = await run(middleware, createRequest({ total: 500 }), () => assert.fail('handler ran twice'));
+  assert.equal(replay.res.statusCode, 201);
+  assert.deepEqual(replay.res.body, { success: true, orderNumber: '2610002' });
+});
+
+test('passes lookup failures to the error handler', async () => {
+  useKeyStore();
+  const middleware = idempotency({ scope: 'orders:create' });
+  await run(middleware, createRequest({ total: 500 }), (req, res) => res.status(201).json({ success: true }));
+  IdempotencyKey.findOne = () => ({ lean: async () => { throw new Error('connection lost'); } });
+
+  let forwarded;
+  await middleware(createRequest({ total: 500 }), createResponse(), (error) => {
+    forwarded = error;
+  });
+
+  assert.equal(forwarded.message, 'connection lost');
+});
@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.RAZORPAY_MOCK = 'true';
+
+const Job = require('../models/Job');
+const SeasonalCampaign = require('../models/SeasonalCampaign');
+const jobQueueService = require('../services/jobQueueService');
+const { scheduleCampaignJobs } = require('../services/campaignScheduleService');
+const { scheduleReviewRequest } = require('../services/reviewRequestService');
+
+const originals = {
+  jobCreate: Job.create,
+  jobFindOneAndUpdate: Job.findOneAndUpdate,
+  jobUpdateOne: Job.updateOne,
+  jobUpdateMany: Job.updateMany,
+  campaignFindById: SeasonalCampaign.findById,
+  syncOffers: SeasonalCampaign.syncOffers,
+  reviewDelay: process.env.REVIEW_REQUEST_DELAY_HOURS,
+};
+
+const restore = () => {
+  Job.create = originals.jobCreate;
+  Job.findOneAndUpdate = originals.jobFindOneAndUpdate;
+  Job.updateOne = originals.jobUpdateOne;
+  Job.updateMany = originals.jobUpdateMany;
+  SeasonalCampaign.findById = originals.campaignFindById;
+  SeasonalCampaign.syncOffers = originals.syncOffers;
+  if (originals.reviewDelay === undefined) {
+    delete process.env.REVIEW_REQUEST_DELAY_HOURS;
+  } else {
+    process.env.REVIEW_REQUEST_DELAY_HOURS = originals.reviewDelay;
+  }
+};
+
+test.beforeEach(() => {
+  restore();
+});
+
+test.after(() => {
+  restore();
+});
+
+test('claiming takes due jobs and jobs whose lock went stale, for registered handlers only', async () => {
+  jobQueueService.defineJob('test.noop', async () => {});
+  let claim;
+  Job.findOneAndUpdate = async (filter, update, options) => {
+    claim = { filter, update, options };
+    return null;
+  };
+
+  const now = new Date('2099-03-10T10:00:00Z');
+  await jobQueueService.claimNextJob({ now, workerId: 'web-1:42' });
+
+  assert.ok(claim.filter.name.$in.includes('test.noop'));
+  assert.ok(claim.filter.name.$in.includes('review.requestEmail'));
+  assert.deepEqual(claim.filter.$or[0], { status: 'pending', runAt: { $lte: now } });
+  assert.equal(claim.filter.$or[1].status, 'running');
+  assert.equal(claim.filter.$or[1].lockedAt.$lte.toISOString(), '2099-03-10T09:50:00.000Z');
+  assert.deepEqual(claim.update.$set, { status: 'running', lockedAt: now, lockedBy: 'web-1:42' });
+  assert.deepEqual(claim.update.$inc, { attempts: 1 });
+});
+
+test('a failing job is retried with backoff and marked failed after its last attempt', async () => {
+  jobQueueService.defineJob('test.flaky', async () => {
+    throw new Error('SMTP unavailable');
+  });
+  const updates = [];
+  Job.updateOne = async (filter, update) => {
+    updates.push({ filter, update });
+    return { modifiedCount: 1 };
+  };
+
+  const job = { _id: 'job-1', name: 'test.flaky', data: {}, attempts: 2, maxAttempts: 3 };
+  const before = Date.now();
+  assert.equal(await jobQueueService.runJob(job, { workerId: 'web-1:42' }), 'retrying');
+  assert.deepEqual(updates[0].filter, { _id: 'job-1', status: 'running', lockedBy: 'web-1:42' });
+  assert.equal(updates[0].update.$set.status, 'pending');
+  assert.equal(updates[0].update.$set.lastError, 'SMTP unavailable');
+  // Second attempt waits 2² minutes
+  assert.ok(updates[0].update.$set.runAt.getTime() >= before + 4 * 60 * 1000);
+
+  assert.equal(await jobQueueService.runJob({ ...job, attempts: 3 }, { workerId: 'web-1:42' }), 'failed');
+  assert.equal(updates[1].update.$set.status, 'failed');
+});
+
+test('campaign dates schedule start/end jobs, and a job for an edited date does nothing', async () => {
+  const scheduled = [];
+  const cancelled = [];
+  Job.findOneAndUpdate = async (filter, update) => {
+    scheduled.push({ uniqueKey: filter.uniqueKey, ...update.$set });
+    return update.$set;
+  };
+  Job.updateMany = async (filter) => {
+    cancelled.push(filter.uniqueKey);
+    return { modifiedCount: 1 };
+  };
+
+  const campaign = {
+    _id: 'campaign-1',
+    name: 'Mothers Day',
+    enabled: false,
+    general: { startDate: new Date('2099-05-01T00:00:00Z'), endDate: null },
+    save: async () => {},
+  };
+  await scheduleCampaignJobs(campaign, { now: new Date('2099-04-01T00:00:00Z') });
+
+  assert.deepEqual(scheduled.map((job) => [job.uniqueKey, job.name, job.runAt.toISOString()]), [
+    ['campaign.start:campaign-1', 'campaign.start', '2099-05-01T00:00:00.000Z'],
+  ]);
+  assert.deepEqual(cancelled, ['campaign.end:campaign-1']);
+
+  let synced = 0;
+  SeasonalCampaign.findById = async () => campaign;
+  SeasonalCampaign.syncOffers = async () => {
+    synced += 1;
+  };
+  const updates = [];
+  Job.updateOne = async (filter, update) => updates.push(update.$set.status);
+
+  const staleJob = { _id: 'job-2', name: 'campaign.start', attempts: 1, maxAttempts: 3, data: { campaignId: 'campaign-1', scheduledFor: '2099-04-20T00:00:00.000Z' } };
+  await jobQueueService.runJob(staleJob);
+  assert.equal(campaign.enabled, false);
+
+  await jobQueueService.runJob({ ...staleJob, data: scheduled[0].data });
+  assert.equal(campaign.enabled, true);
+  assert.equal(synced, 1);
+  assert.deepEqual(updates, ['completed', 'completed']);
+});
+
+test('review requests are queued once per order only when a delay is configured', async () => {
+  const scheduled = [];
+  Job.findOneAndUpdate = async (filter, update) => {
+    scheduled.push({ uniqueKey: filter.uniqueKey, ...update.$set });
+    return update.$set;
+  };
+  const order = { _id: 'order-1', orderNumber: '990300110' };
+
+  delete process.env.REVIEW_REQUEST_DELAY_HOURS;
+  assert.equal(await scheduleReviewRequest(order), null);
+  assert.equal(scheduled.length, 0);
+
+  process.env.REVIEW_REQUEST_DELAY_HOURS = '48';
+  const before = Date.now();
+  await scheduleReviewRequest(order);
+
+  assert.equal(scheduled[0].uniqueKey, 'review-request:order-1');
+  assert.equal(scheduled[0].name, 'review.requestEmail');
+  assert.deepEqual(scheduled[0].data, { orderId: 'order-1' });
+  assert.ok(scheduled[0].runAt.getTime() >= before + 48 * 60 * 60 * 1000);
+});
@@ -0,0 +1,264 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const { WebSocket } = require('ws');
+
+process.env.RAZORPAY_MOCK = 'true';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const Order = require('../models/Order');
+const User = require('../models/User');
+const DeliveryAssignment = require('../models/DeliveryAssignment');
+const DeliveryLocation = require('../models/DeliveryLocation');
+const DeliveryPartner = require('../models/DeliveryPartner');
+const Store = require('../models/Store');
+const TrackingEvent = require('../models/TrackingEvent');
+const { estimateDeliveryEta } = require('../services/deliveryService');
+const {
+  TRACKING_PATH,
+  attachLiveTracking,
+  createTrackingToken,
+  publishLocation,
+  publishStatus,
+  relayTrackingEvents,
+} = require('../services/liveTrackingService');
+const { updatePartnerLocation } = require('../controllers/deliveryController');
+
+const originals = {
+  orderFindOne: Order.findOne,
+  userFindById: User.findById,
+  assignmentFind: DeliveryAssignment.find,
+  assignmentFindOne: DeliveryAssignment.findOne,
+  assignmentFindById: DeliveryAssignment.findById,
+  locationCreate: DeliveryLocation.create,
+  partnerFindById: DeliveryPartner.findById,
+  storeFindById: Store.findById,
+  trackingEventCreate: TrackingEvent.create,
+  trackingEventFind: TrackingEvent.find,
+};
+
+const restore = () => {
+  Order.findOne = originals.orderFindOne;
+  User.findById = originals.userFindById;
+  DeliveryAssignment.find = originals.assignmentFind;
+  DeliveryAssignment.findOne = originals.assignmentFindOne;
+  DeliveryAssignment.findById = originals.assignmentFindById;
+  DeliveryLocation.create = originals.locationCreate;
+  DeliveryPartner.findById = originals.partnerFindById;
+  Store.findById = originals.storeFindById;
+  TrackingEvent.create = originals.trackingEventCreate;
+  TrackingEvent.find = originals.trackingEventFind;
+};
+
+const order = {
+  _id: 'order-1',
+  orderNumber: '990300110',
+  status: 'out_for_delivery',
+  user: 'user-1',
+  shippingDetails: { fullName: 'Asha', latitude: 17.4156, longitude: 78.4347 },
+};
+const partner = { name: 'Ravi', vehicleType: 'bike', currentLatitude: 17.40, currentLongitude: 78.43 };
+const assignment = { _id: 'assignment-1', orderId: order, status: 'out_for_delivery', eta: 6, distance: 4.2, partnerId: partner };
+
+let server;
+let wss;
+let url;
+// The capped TrackingEvent collection shared by all instances, oldest first
+let trackingEvents;
+
+// Every test needs the relay stubbed, including the poll started by attachLiveTracking
+const stubTrackingEvents = () => {
+  TrackingEvent.create = async (event) => {
+    trackingEvents.push({ _id: `event-${trackingEvents.length + 1}`, ...event });
+  };
+  TrackingEvent.find = () => ({
+    sort: () => ({ limit: (limit) => ({ lean: async () => trackingEvents.slice(-limit).reverse() }) }),
+  });
+};
+
+test.before(async () => {
+  trackingEvents = [];
+  stubTrackingEvents();
+  server = http.createServer();
+  wss = attachLiveTracking(server);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  url = `ws://127.0.0.1:${server.address().port}${TRACKING_PATH}`;
+});
+
+test.beforeEach(() => {
+  restore();
+  stubTrackingEvents();
+  Order.findOne = async ({ orderNumber }) => (orderNumber === order.orderNumber ? order : null);
+  DeliveryAssignment.findOne = () => ({ populate: async () => assignment });
+  DeliveryAssignment.find = () => ({ populate: () => ({ populate: async () => [assignment] }) });
+  User.findById = (id) => ({
+    select: async () => ({
+      'user-1': { _id: 'user-1', role: 'customer', login_history: [] },
+      'user-2': { _id: 'user-2', role: 'customer', login_history: [] },
+      'admin-1': { _id: 'admin-1', role: 'delivery_manager', login_history: [] },
+    })[id] || null,
+  });
+});
+
+test.after(async () => {
+  restore();
+  wss.clients.forEach((socket) => socket.terminate());
+  await new Promise((resolve) => wss.close(resolve));
+  await new Promise((resolve) => server.close(resolve));
+});
+
+// Opens a socket that queues incoming messages so none are missed between awaits
+const connect = async () => {
+  const socket = new WebSocket(url);
+  const inbox = [];
+  const waiting = [];
+  socket.on('message', (raw) => {
+    const message = JSON.parse(raw.toString());
+    const next = waiting.shift();
+    if (next) next(message);
+    else inbox.push(message);
+  });
+  await new Promise((resolve, reject) => {
+    socket.once('open', resolve);
+    socket.once('error', reject);
+  });
+  return {
+    socket,
+    request: (message) => {
+      socket.send(JSON.stringify(message));
+      return inbox.length ? Promise.resolve(inbox.shift()) : new Promise((resolve) => waiting.push(resolve));
+    },
+    next: () => (inbox.length ? Promise.resolve(inbox.shift()) : new Promise((resolve) => waiting.push(resolve))),
+    close: () => new Promise((resolve) => {
+      socket.once('close', resolve);
+      socket.close();
+    }),
+  };
+};
+
+const loginToken = (id) => jwt.sign({ id }, process.env.JWT_SECRET);
+
+test('a customer with the tracking link gets a snapshot then live position and status', async () => {
+  const client = await connect();
+
+  const subscribed = await client.request({ type: 'subscribe', orderNumber: '990300110', token: createTrackingToken('990300110') });
+  assert.equal(subscribed.type, 'subscribed');
+  assert.deepEqual(subscribed.snapshot, {
+    orderNumber: '990300110',
+    orderStatus: 'out_for_delivery',
+    deliveryStatus: 'out_for_delivery',
+    eta: 6,
+    distance: 4.2,
+    partner: { name: 'Ravi', vehicleType: 'bike', latitude: 17.40, longitude: 78.43 },
+  });
+
+  assert.equal(publishLocation({ order, assignment: { ...assignment, eta: 4 }, latitude: 17.41, longitude: 78.434 }), 1);
+  const location = await client.next();
+  assert.equal(location.type, 'location');
+  assert.equal(location.latitude, 17.41);
+  assert.equal(location.eta, 4);
+
+  // Other orders' updates are not sent to this customer
+  assert.equal(publishStatus({ order: { ...order, orderNumber: '990300210' }, assignment }), 0);
+
+  publishStatus({ order: { ...order, status: 'delivered' }, assignment: { ...assignment, status: 'delivered' } });
+  const status = await client.next();
+  assert.deepEqual([status.type, status.orderStatus, status.deliveryStatus], ['status', 'delivered', 'delivered']);
+
+  await client.close();
+});
+
+test('tracking needs a token for that order, the order owner or an admin', async () => {
+  const client = await connect();
+
+  const otherLink = await client.request({ type: 'subscribe', orderNumber: '990300110', token: createTrackingToken('990300210') });
+  assert.deepEqual([otherLink.type, otherLink.code], ['error', 'forbidden']);
+
+  const stranger = await client.request({ type: 'subscribe', orderNumber: '990300110', token: loginToken('user-2') });
+  assert.equal(stranger.code, 'forbidden');
+
+  const forged = await client.request({ type: 'subscribe', orderNumber: '990300110', token: jwt.sign({ orderNumber: '990300110', purpose: 'order_tracking' }, 'wrong-secret') });
+  assert.equal(forged.code, 'unauthorized');
+
+  const owner = await client.request({ type: 'subscribe', orderNumber: '990300110', token: loginToken('user-1') });
+  assert.equal(owner.type, 'subscribed');
+
+  const notAdmin = await client.request({ type: 'subscribe_all', token: loginToken('user-1') });
+  assert.equal(notAdmin.code, 'forbidden');
+
+  await client.close();
+});
+
+test('admins get every active delivery and each update on the live map', async () => {
+  const admin = await connect();
+
+  const map = await admin.request({ type: 'subscribe_all', token: loginToken('admin-1') });
+  assert.equal(map.type, 'active_deliveries');
+  assert.equal(map.deliveries.length, 1);
+  assert.equal(map.deliveries[0].orderNumber, '990300110');
+  assert.deepEqual(map.deliveries[0].destination, { latitude: 17.4156, longitude: 78.4347 });
+
+  assert.equal(publishLocation({ order: { ...order, orderNumber: '990300510' }, assignment, latitude: 17.44, longitude: 78.49 }), 1);
+  const location = await admin.next();
+  assert.equal(location.orderNumber, '990300510');
+
+  await admin.close();
+});
+
+test('updates published on another instance reach the sockets on this one', async () => {
+  const client = await connect();
+  await client.request({ type: 'subscribe', orderNumber: '990300110', token: createTrackingToken('990300110') });
+  await relayTrackingEvents();
+
+  // Published here: sent straight away and shared, but not relayed back to this instance
+  publishLocation({ order, assignment, latitude: 17.42, longitude: 78.435 });
+  assert.equal((await client.next()).latitude, 17.42);
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(trackingEvents.at(-1).orderNumber, '990300110');
+
+  trackingEvents.push({
+    _id: 'event-remote',
+    orderNumber: '990300110',
+    origin: 'other-host:4242',
+    message: { type: 'location', orderNumber: '990300110', latitude: 17.43, longitude: 78.436 },
+  });
+  // The relay timer may get to it first; either way it arrives once
+  await relayTrackingEvents();
+  assert.equal((await client.next()).latitude, 17.43);
+  assert.equal(await relayTrackingEvents(), 0);
+
+  await client.close();
+});
+
+test('ETA runs via the store before pickup and straight to the customer after', async () => {
+  Store.findById = () => ({ select: async () => ({ location: { coordinates: [78.4326, 17.3912] } }) });
+  const atStore = { latitude: 17.3912, longitude: 78.4326 };
+
+  const beforePickup = await estimateDeliveryEta({ status: 'accepted', storeId: 'store-hyd' }, order, { latitude: 17.3812, longitude: 78.4326 });
+  const enRoute = await estimateDeliveryEta({ status: 'out_for_delivery', storeId: 'store-hyd' }, order, atStore);
+
+  // ~1.1 km to the store, then the ~2.7 km the en-route partner still has to ride
+  assert.equal(enRoute, 8);
+  assert.equal(beforePickup, 12);
+  assert.equal(await estimateDeliveryEta({ status: 'accepted' }, { shippingDetails: {} }, atStore), null);
+});
+
+test('a partner cannot post locations to a delivery assigned to someone else', async () => {
+  const saved = [];
+  DeliveryPartner.findById = async (id) => ({ _id: id, save: async () => saved.push('partner') });
+  DeliveryLocation.create = async () => saved.push('location');
+  DeliveryAssignment.findById = async () => ({ ...assignment, partnerId: 'partner-2', routeHistory: [] });
+
+  let statusCode = 200;
+  let body;
+  const res = {
+    status(code) { statusCode = code; return this; },
+    json(payload) { body = payload; return this; },
+  };
+  await updatePartnerLocation({ partner: { _id: 'partner-1' }, body: { latitude: 17.41, longitude: 78.43, assignmentId: 'assignment-1' } }, res);
+
+  assert.equal(statusCode, 403);
+  assert.equal(body.message, 'Not assigned to you');
+  assert.deepEqual(saved, []);
+});
@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.RAZORPAY_MOCK = 'true';
+
+const Order = require('../models/Order');
+const Holiday = require('../models/Holiday');
+const Product = require('../models/Product');
+const PromoCode = require('../models/PromoCode');
+const ValentineSettings = require('../models/ValentineSettings');
+const SlotCapacity = require('../models/SlotCapacity');
+const Settings = require('../models/settings');
+const deliveryService = require('../services/deliveryService');
+const orderNumberService = require('../services/orderNumberService');
+const razorpayService = require('../services/razorpayService');
+const stockReservationService = require('../services/stockReservationService');
+const { StockUnavailableError } = require('../services/stockReservationService');
+const { placeMultiRecipientOrder, priceMultiRecipientCheckout } = require('../services/multiRecipientCheckoutService');
+
+const originals = {
+  isHoliday: Holiday.isHoliday,
+  productFindById: Product.findById,
+  promoFindOne: PromoCode.findOne,
+  valentineFindOne: ValentineSettings.findOne,
+  calculateDeliveryFee: deliveryService.calculateDeliveryFee,
+  reserveOrderNumber: orderNumberService.reserveOrderNumber,
+  createRazorpayOrder: razorpayService.createOrder,
+  reserveStockForOrder: stockReservationService.reserveStockForOrder,
+  releaseOrderStock: stockReservationService.releaseOrderStock,
+  save: Order.prototype.save,
+  slotCapacityFind: SlotCapacity.find,
+  settingsFindOne: Settings.findOne,
+};
+
+const restore = () => {
+  Holiday.isHoliday = originals.isHoliday;
+  Product.findById = originals.productFindById;
+  PromoCode.findOne = originals.promoFindOne;
+  ValentineSettings.findOne = originals.valentineFindOne;
+  deliveryService.calculateDeliveryFee = originals.calculateDeliveryFee;
+  orderNumberService.reserveOrderNumber = originals.reserveOrderNumber;
+  razorpayService.createOrder = originals.createRazorpayOrder;
+  stockReservationService.reserveStockForOrder = originals.reserveStockForOrder;
+  stockReservationService.releaseOrderStock = originals.releaseOrderStock;
+  Order.prototype.save = originals.save;
+  SlotCapacity.find = originals.slotCapacityFind;
+  Settings.findOne = originals.settingsFindOne;
+};
+
+const recipient = (name, price, deliveryDate = '2099-03-10') => ({
+  shippingDetails: { fullName: name, address: `${name}'s house`, city: 'Hyderabad', deliveryDate, timeSlot: 'morning', cardMessage: `Love to ${name}` },
+  giftDetails: { recipientName: name, recipientPhone: '9000000000' },
+  items: [{ product: `bouquet-${price}`, title: 'Red Roses', quantity: 1, price, finalPrice: price }],
+});
+
+const customer = { fullName: 'Asha', email: 'asha@example.com', phone: '9876543210' };
+
+let nextSequence;
+let released;
+
+test.beforeEach(() => {
+  restore();
+  SlotCapacity.find = async () => [];
+  // Default tax settings: prices include GST, so checkout adds none
+  Settings.findOne = async () => null;
+  nextSequence = 1;
+  released = [];
+  Holiday.isHoliday = async () => null;
+  // Each test bouquet's catalogue price is in its id
+  Product.findById = async (id) => ({ productType: 'regular', title: 'Red Roses', price: Number(String(id).split('-')[1]) });
+  ValentineSettings.findOne = async () => null;
+  PromoCode.findOne = async () => null;
+  // First-order customers get free delivery, otherwise 150
+  deliveryService.calculateDeliveryFee = async () => ({ deliveryCharge: 0, isFirstOrderFreeDelivery: true, standardFee: 150 });
+  orderNumberService.reserveOrderNumber = async () => `9903${String(nextSequence++).padStart(3, '0')}10`;
+  razorpayService.createOrder = async (amount, currency) => ({ id: 'order_rzp_multi', amount, currency });
+  stockReservationService.reserveStockForOrder = async (order, { hold }) => {
+    order.stockReservationStatus = hold ? 'held' : 'committed';
+    return [];
+  };
+  stockReservationService.releaseOrderStock = async (order) => {
+    released.push(order.orderNumber);
+    return 1;
+  };
+  Order.prototype.save = async function save() {
+    return this;
+  };
+});
+
+test.after(() => {
+  restore();
+});
+
+test('each recipient pays its own delivery but first-order free delivery covers only one', async () => {
+  const totals = await priceMultiRecipientCheckout({
+    recipients: [recipient('Amma', 1000), recipient('Nani', 600), recipient('Pinni', 600)],
+    customer,
+  });
+
+  assert.deepEqual(totals.shipments.map((shipment) => shipment.pricing.deliveryCharge), [0, 150, 150]);
+  assert.deepEqual(totals.shipments.map((shipment) => shipment.pricing.isFirstOrderFreeDelivery), [true, false, false]);
+  assert.equal(totals.totalAmount, 2500);
+  assert.equal(totals.shipments[1].shippingDetails.email, 'asha@example.com');
+});
+
+test('items are charged at their catalogue price, not the price the client sent', async () => {
+  const cheap = recipient('Nani', 600);
+  cheap.items[0].price = 1;
+  cheap.items[0].finalPrice = 1;
+
+  const totals = await priceMultiRecipientCheckout({ recipients: [recipient('Amma', 1000), cheap], customer });
+
+  assert.equal(totals.shipments[1].items[0].finalPrice, 600);
+  assert.equal(totals.subtotal, 1600);
+});
+
+test('a promo code discount is split across shipments by subtotal', async () => {
+  PromoCode.findOne = async () => ({
+    code: 'FAMILY10',
+    _id: 'promo-1',
+    isApplicableToOrder: () => ({ valid: true }),
+    calculateDiscount: (amount) => amount * 0.1,
+  });
+
+  const totals = await priceMultiRecipientCheckout({
+    recipients: [recipient('Amma', 1000), recipient('Nani', 500)],
+    customer,
+    promoCode: 'family10',
+  });
+
+  assert.deepEqual(totals.shipments.map((shipment) => shipment.pricing.discount), [100, 50]);
+  assert.equal(totals.discount, 150);
+  assert.equal(totals.promoCode.code, 'FAMILY10');
+});
+
+test('online checkouts share one Razorpay order for the combined total', async () => {
+  const { groupId, orders, totals, razorpayOrder } = await placeMultiRecipientOrder({
+    recipients: [recipient('Amma', 1000), recipient('Nani', 600, '2099-03-11')],
+    customer,
+    paymentMethod: 'razorpay',
+  });
+
+  assert.equal(razorpayOrder.amount, Math.round(totals.totalAmount * 100));
+  assert.equal(orders.length, 2);
+  assert.equal(groupId, 'G990300110');
+  for (const [index, order] of orders.entries()) {
+    assert.equal(order.paymentDetails.razorpayOrderId, 'order_rzp_multi');
+    assert.equal(order.paymentDetails.status, 'pending');
+    assert.equal(order.stockReservationStatus, 'held');
+    assert.equal(order.checkoutGroup.id, groupId);
+    assert.equal(order.checkoutGroup.position, index + 1);
+    assert.equal(order.checkoutGroup.size, 2);
+  }
+  assert.equal(orders[1].shippingDetails.deliveryDate.toISOString().slice(0, 10), '2099-03-11');
+  assert.equal(orders[1].giftDetails.message, 'Love to Nani');
+});
+
+test('no order is placed when one recipient is out of stock', async () => {
+  let calls = 0;
+  stockReservationService.reserveStockForOrder = async () => {
+    calls += 1;
+    if (calls === 2) {
+      throw new StockUnavailableError('Insufficient stock for product Red Roses', {});
+    }
+    return [];
+  };
+
+  await assert.rejects(
+    placeMultiRecipientOrder({
+      recipients: [recipient('Amma', 1000), recipient('Nani', 600)],
+      customer,
+      paymentMethod: 'cash',
+    }),
+    StockUnavailableError
+  );
+  assert.deepEqual(released, ['990300110']);
+});
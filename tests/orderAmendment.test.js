@@ -0,0 +1,241 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.RAZORPAY_MOCK = 'true';
+
+const Holiday = require('../models/Holiday');
+const Product = require('../models/Product');
+const PromoCode = require('../models/PromoCode');
+const ValentineSettings = require('../models/ValentineSettings');
+const SlotCapacity = require('../models/SlotCapacity');
+const Settings = require('../models/settings');
+const deliveryService = require('../services/deliveryService');
+const slotCapacityService = require('../services/slotCapacityService');
+const stockReservationService = require('../services/stockReservationService');
+const { amendOrder, isOrderAmendmentError } = require('../services/orderAmendmentService');
+const { isOrderPricingError } = require('../services/orderPricingService');
+const { getRefundableAmount } = require('../services/refundService');
+
+const originals = {
+  isHoliday: Holiday.isHoliday,
+  productFindById: Product.findById,
+  promoFindOne: PromoCode.findOne,
+  valentineFindOne: ValentineSettings.findOne,
+  calculateDeliveryFee: deliveryService.calculateDeliveryFee,
+  replaceOrderStock: stockReservationService.replaceOrderStock,
+  moveOrderSlot: slotCapacityService.moveOrderSlot,
+  slotCapacityFind: SlotCapacity.find,
+  settingsFindOne: Settings.findOne,
+};
+
+const restore = () => {
+  Holiday.isHoliday = originals.isHoliday;
+  Product.findById = originals.productFindById;
+  PromoCode.findOne = originals.promoFindOne;
+  ValentineSettings.findOne = originals.valentineFindOne;
+  deliveryService.calculateDeliveryFee = originals.calculateDeliveryFee;
+  stockReservationService.replaceOrderStock = originals.replaceOrderStock;
+  slotCapacityService.moveOrderSlot = originals.moveOrderSlot;
+  SlotCapacity.find = originals.slotCapacityFind;
+  Settings.findOne = originals.settingsFindOne;
+};
+
+const products = {
+  rose: { _id: 'rose', title: 'Red Roses', price: 800, discount: 0, priceVariants: [{ label: 'Large', price: 1200 }], images: ['rose.jpg'] },
+  lily: { _id: 'lily', title: 'White Lilies', price: 500, discount: 10, priceVariants: [], images: [] },
+};
+
+let stockSwaps = [];
+
+// Delivery is free from 999, otherwise 150
+const stubPricing = () => {
+  deliveryService.calculateDeliveryFee = async ({ subtotal }) => ({
+    deliveryCharge: subtotal >= 999 ? 0 : 150,
+    isFirstOrderFreeDelivery: false,
+    standardFee: subtotal >= 999 ? 0 : 150,
+  });
+};
+
+const createPaidOrder = () => ({
+  _id: 'order-1',
+  orderNumber: '261000118',
+  user: 'user-1',
+  status: 'received',
+  currency: 'INR',
+  shippingDetails: { fullName: 'Asha', email: 'asha@example.com', phone: '9876543210', timeSlot: 'morning', deliveryDate: new Date('2026-10-25T00:00:00.000Z') },
+  giftDetails: { message: 'Happy birthday' },
+  items: [{ _id: 'line-1', product: 'rose', productModel: 'Product', title: 'Red Roses', quantity: 1, price: 800, finalPrice: 800, selectedVariant: null }],
+  subtotal: 800,
+  deliveryCharge: 150,
+  discount: 0,
+  finalTotal: 950,
+  totalAmount: 950,
+  paymentDetails: { method: 'razorpay', razorpayPaymentId: 'pay_1', status: 'paid' },
+  refundedAmount: 0,
+  amountPaid: null,
+  trackingHistory: [],
+  amendments: [],
+  saveCount: 0,
+  set(path, value) {
+    const [root, key] = path.split('.');
+    this[root] = { ...this[root], [key]: value };
+  },
+  async save() {
+    this.saveCount += 1;
+    return this;
+  }
+});
+
+const NOW = new Date('2026-10-20T06:00:00.000Z');
+
+test.beforeEach(() => {
+  restore();
+  SlotCapacity.find = async () => [];
+  // Default tax settings: prices include GST, so checkout adds none
+  Settings.findOne = async () => null;
+  stockSwaps = [];
+  stubPricing();
+  Holiday.isHoliday = async () => null;
+  ValentineSettings.findOne = async () => null;
+  Product.findById = async (id) => products[id] || null;
+  PromoCode.findOne = async () => null;
+  stockReservationService.replaceOrderStock = async (order, params) => {
+    stockSwaps.push(params);
+    return [];
+  };
+});
+
+test.after(() => {
+  restore();
+});
+
+test('adding items reprices the order and leaves a balance due on a paid order', async () => {
+  const order = createPaidOrder();
+
+  const result = await amendOrder(order, {
+    items: [
+      { _id: 'line-1', selectedVariant: { label: 'Large' } },
+      { product: 'lily', quantity: 2 },
+    ],
+    giftMessage: 'Happy 30th birthday',
+  }, { reason: 'Customer called', amendedBy: { _id: 'admin-1' }, now: NOW });
+
+  // 1200 (Large roses) + 2 x 450 (lilies at 10% off), free delivery over 999
+  assert.equal(order.subtotal, 2100);
+  assert.equal(order.deliveryCharge, 0);
+  assert.equal(order.totalAmount, 2100);
+  assert.equal(order.amountPaid, 950);
+  assert.equal(order.giftDetails.message, 'Happy 30th birthday');
+  assert.equal(order.items[1].finalPrice, 450);
+  assert.equal(result.balance.balanceDue, 1150);
+  assert.equal(result.balance.refundOwed, 0);
+  assert.equal(stockSwaps.length, 1);
+  assert.equal(order.saveCount, 1);
+
+  assert.equal(order.amendments.length, 1);
+  assert.deepEqual(order.amendments[0].changes.map((change) => change.field), [
+    'giftDetails.message', 'items', 'subtotal', 'deliveryCharge', 'totalAmount'
+  ]);
+  const entry = order.trackingHistory[0];
+  assert.equal(entry.status, 'received');
+  assert.match(entry.message, /total 950 → 2100 INR, balance due 1150 — Customer called/);
+});
+
+test('lowering the total of a paid order leaves a refund owed and drops a promo that no longer applies', async () => {
+  PromoCode.findOne = async () => ({ code: 'BLOOM10', minimumOrderAmount: 1000, calculateDiscount: (amount) => amount * 0.1 });
+  const order = createPaidOrder();
+  order.items[0].quantity = 2;
+  Object.assign(order, {
+    subtotal: 1600, deliveryCharge: 0, discount: 160, finalTotal: 1440, totalAmount: 1440,
+    promoCode: { code: 'BLOOM10', discountAmount: 160 },
+  });
+
+  const result = await amendOrder(order, { items: [{ _id: 'line-1', quantity: 1 }] }, { now: NOW });
+
+  assert.deepEqual(result.warnings, ['Promo code BLOOM10 no longer applies: Minimum order amount of ₹1000 required']);
+  assert.equal(order.discount, 0);
+  assert.equal(order.promoCode, undefined);
+  assert.equal(order.totalAmount, 950);
+  assert.equal(result.balance.refundOwed, 490);
+
+  // The refund owed stays refundable even though the order total is now lower
+  assert.equal(getRefundableAmount(order), 1440);
+});
+
+test('holiday delivery dates are rejected and previews save nothing', async () => {
+  Holiday.isHoliday = async (date) => (date.getDate() === 2 ? { name: 'Diwali' } : null);
+  const order = createPaidOrder();
+
+  await assert.rejects(
+    amendOrder(order, { shippingDetails: { deliveryDate: '2026-11-02' } }, { now: NOW }),
+    (error) => isOrderPricingError(error) && /Diwali/.test(error.message)
+  );
+
+  const preview = await amendOrder(order, { shippingDetails: { deliveryDate: '2026-11-03', timeSlot: 'evening' } }, { dryRun: true, now: NOW });
+  assert.deepEqual(preview.changes.map((change) => change.field), ['shippingDetails.deliveryDate', 'shippingDetails.timeSlot']);
+  assert.equal(preview.balance.balanceDue, 0);
+  assert.equal(order.shippingDetails.timeSlot, 'morning');
+  assert.equal(order.saveCount, 0);
+  assert.equal(stockSwaps.length, 0);
+});
+
+test('an amendment that fails to save gives back the new stock and slot', async () => {
+  const slotMoves = [];
+  slotCapacityService.moveOrderSlot = async (order, target, options = {}) => {
+    slotMoves.push({ timeSlot: target.timeSlot, deliveryDate: new Date(target.deliveryDate).toISOString(), ...options });
+    return [];
+  };
+  const order = createPaidOrder();
+  order.save = async () => {
+    throw new Error('write conflict');
+  };
+
+  await assert.rejects(
+    amendOrder(order, {
+      items: [{ _id: 'line-1', quantity: 2 }],
+      shippingDetails: { deliveryDate: '2026-10-26', timeSlot: 'evening' },
+    }, { now: NOW }),
+    /write conflict/
+  );
+
+  assert.deepEqual(slotMoves, [
+    { timeSlot: 'evening', deliveryDate: '2026-10-26T00:00:00.000Z' },
+    { timeSlot: 'morning', deliveryDate: '2026-10-25T00:00:00.000Z', overbook: true },
+  ]);
+  assert.equal(stockSwaps.length, 2);
+  assert.equal(stockSwaps[0].items[0].quantity, 2);
+  assert.equal(stockSwaps[1].items[0].quantity, 1);
+  assert.equal(new Date(stockSwaps[1].deliveryDate).toISOString(), '2026-10-25T00:00:00.000Z');
+});
+
+test('orders that have left the shop cannot be amended', async () => {
+  const order = createPaidOrder();
+  order.status = 'out_for_delivery';
+
+  await assert.rejects(
+    amendOrder(order, { giftMessage: 'Too late' }, { now: NOW }),
+    (error) => isOrderAmendmentError(error) && error.statusCode === 409
+  );
+});
+
+test('amending an order placed in another currency reprices it at the rate it was placed at', async () => {
+  // Placed in USD at 0.012: roses 800 → 9.60, delivery 150 → 1.80
+  const order = createPaidOrder();
+  Object.assign(order, {
+    currency: 'USD', currencyRate: 0.012, originalCurrency: 'USD', currencyRateSource: 'manual',
+    subtotal: 9.6, deliveryCharge: 1.8, finalTotal: 11.4, totalAmount: 11.4,
+  });
+  order.items[0] = { ...order.items[0], price: 9.6, finalPrice: 9.6 };
+
+  const result = await amendOrder(order, {
+    items: [{ _id: 'line-1' }, { product: 'lily', quantity: 2 }],
+  }, { now: NOW });
+
+  // 800 + 2 x 450 = 1700 rupees clears free delivery; the lilies come in at 5.40 each
+  assert.equal(order.items[1].finalPrice, 5.4);
+  assert.equal(order.subtotal, 20.4);
+  assert.equal(order.deliveryCharge, 0);
+  assert.equal(order.totalAmount, 20.4);
+  assert.equal(order.currencyRate, 0.012);
+  assert.equal(result.balance.balanceDue, 9);
+});
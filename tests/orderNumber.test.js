@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Counter = require('../models/Counter');
+const Order = require('../models/Order');
+const OrderNumberReservation = require('../models/OrderNumberReservation');
+const {
+  claimReservedOrderNumber,
+  formatOrderNumber,
+  getBusinessDay,
+  parseOrderNumber,
+  reserveOrderNumber,
+  reserveOrderNumberFor,
+} = require('../services/orderNumberService');
+
+const originalNext = Counter.next;
+const originalPeek = Counter.peek;
+const originalExists = Order.exists;
+const originalReservationFindOne = OrderNumberReservation.findOne;
+const originalReservationCreate = OrderNumberReservation.create;
+const originalReservationFindOneAndUpdate = OrderNumberReservation.findOneAndUpdate;
+const originalFormat = process.env.ORDER_NUMBER_FORMAT;
+
+const restore = () => {
+  Counter.next = originalNext;
+  Counter.peek = originalPeek;
+  Order.exists = originalExists;
+  OrderNumberReservation.findOne = originalReservationFindOne;
+  OrderNumberReservation.create = originalReservationCreate;
+  OrderNumberReservation.findOneAndUpdate = originalReservationFindOneAndUpdate;
+  if (originalFormat === undefined) {
+    delete process.env.ORDER_NUMBER_FORMAT;
+  } else {
+    process.env.ORDER_NUMBER_FORMAT = originalFormat;
+  }
+};
+
+const useCounters = () => {
+  const counters = new Map();
+  Counter.next = async (key) => {
+    counters.set(key, (counters.get(key) || 0) + 1);
+    return counters.get(key);
+  };
+  Counter.peek = async (key) => counters.get(key) || 0;
+  return counters;
+};
+
+test.beforeEach(() => {
+  restore();
+});
+
+test.after(() => {
+  restore();
+});
+
+test('formats and parses the default YYMM + sequence + DD layout', () => {
+  const day = getBusinessDay(new Date('2026-10-18T06:00:00.000Z'));
+
+  assert.equal(formatOrderNumber(day, 7), '261000718');
+  assert.deepEqual(parseOrderNumber('261000718'), { dayKey: 'orderNumber:20261018', sequence: 7 });
+  assert.deepEqual(parseOrderNumber('2610123418'), { dayKey: 'orderNumber:20261018', sequence: 1234 });
+  assert.equal(parseOrderNumber('SBF-1'), null);
+});
+
+test('supports a configured format', () => {
+  process.env.ORDER_NUMBER_FORMAT = 'SBF-{YYYY}{MM}{DD}-{SEQ}';
+  const day = getBusinessDay(new Date('2026-10-18T06:00:00.000Z'));
+
+  assert.equal(formatOrderNumber(day, 42), 'SBF-20261018-042');
+  assert.deepEqual(parseOrderNumber('SBF-20261018-042'), { dayKey: 'orderNumber:20261018', sequence: 42 });
+});
+
+test('reserveOrderNumber is monotonic and skips numbers already used by orders', async () => {
+  useCounters();
+  Order.exists = async ({ orderNumber }) => orderNumber === '261000218';
+  const date = new Date('2026-10-18T06:00:00.000Z');
+
+  assert.equal(await reserveOrderNumber(date), '261000118');
+  assert.equal(await reserveOrderNumber(date), '261000318');
+  assert.equal(await reserveOrderNumber(date), '261000418');
+});
+
+// Applies the reservation queries the way MongoDB would
+const useReservations = () => {
+  const reservations = [];
+  const matches = (reservation, filter) => Object.entries(filter).every(([field, value]) => (
+    value && value.$gt ? reservation[field] > value.$gt : reservation[field] === value
+  ));
+  OrderNumberReservation.findOne = (filter) => ({ lean: async () => reservations.find((entry) => matches(entry, filter)) || null });
+  OrderNumberReservation.create = async (doc) => {
+    reservations.push({ status: 'reserved', ...doc });
+  };
+  OrderNumberReservation.findOneAndUpdate = async (filter, update) => {
+    const reservation = reservations.find((entry) => matches(entry, filter));
+    return reservation ? Object.assign(reservation, update) : null;
+  };
+  return reservations;
+};
+
+test('reserved numbers can only be claimed once, by whoever reserved them, on their own day', async () => {
+  const counters = useCounters();
+  useReservations();
+  Order.exists = async () => null;
+  const now = new Date('2026-10-18T06:00:00.000Z');
+
+  // Asking again before checking out doesn't use up the sequence
+  assert.equal(await reserveOrderNumberFor('ip:203.0.113.9', now), '261000118');
+  assert.equal(await reserveOrderNumberFor('ip:203.0.113.9', now), '261000118');
+  assert.equal(await reserveOrderNumberFor('user:u-1', now), '261000218');
+  assert.equal(counters.get('orderNumber:20261018'), 2);
+
+  assert.equal(await claimReservedOrderNumber('261000118', 'user:u-1', now), null);
+  assert.equal(await claimReservedOrderNumber('261000118', 'ip:203.0.113.9', now), '261000118');
+  assert.equal(await claimReservedOrderNumber('261000118', 'ip:203.0.113.9', now), null);
+
+  // Numbers that were never reserved, or belong to another day, are refused
+  assert.equal(await claimReservedOrderNumber('261000318', 'user:u-1', now), null);
+  assert.equal(await claimReservedOrderNumber('261000218', 'user:u-1', new Date('2026-10-19T06:00:00.000Z')), null);
+  assert.equal(await claimReservedOrderNumber('not-a-number', 'user:u-1', now), null);
+
+  // Once claimed, the customer's next checkout gets a new number
+  assert.equal(await claimReservedOrderNumber('261000218', 'user:u-1', now), '261000218');
+  assert.equal(await reserveOrderNumberFor('user:u-1', now), '261000318');
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const AddonProduct = require('../models/AddonProduct');
+const Product = require('../models/Product');
+const PromoCode = require('../models/PromoCode');
+const Settings = require('../models/settings');
+const deliveryService = require('../services/deliveryService');
+const { isOrderPricingError, priceCatalogueItems, priceCheckout } = require('../services/orderPricingService');
+
+const originals = {
+  addonFindById: AddonProduct.findById,
+  productFindById: Product.findById,
+  promoFindOne: PromoCode.findOne,
+  settingsFindOne: Settings.findOne,
+  calculateDeliveryFee: deliveryService.calculateDeliveryFee,
+};
+
+const restore = () => {
+  AddonProduct.findById = originals.addonFindById;
+  Product.findById = originals.productFindById;
+  PromoCode.findOne = originals.promoFindOne;
+  Settings.findOne = originals.settingsFindOne;
+  deliveryService.calculateDeliveryFee = originals.calculateDeliveryFee;
+};
+
+const products = {
+  rose: {
+    title: 'Red Roses',
+    price: 800,
+    discount: 10,
+    priceVariants: [{ label: 'Large', price: 1200 }],
+  },
+  mug: {
+    title: 'Photo Mug',
+    price: 500,
+    personalizationEnabled: true,
+    pricePerCharacter: 5,
+    baseIncludedCharacters: 10,
+    maxExtraPrice: 60,
+  },
+  valentine: {
+    title: 'Valentine Bouquet',
+    price: 1500,
+    dateWisePricing: new Map([['14 Feb', 2500]]),
+  },
+  giftBox: { title: 'Custom Valentine Gift Box', price: 0 },
+};
+
+const addons = {
+  chocolates: { title: 'Chocolates', price: 400, discountedPrice: 350 },
+};
+
+test.beforeEach(() => {
+  restore();
+  Product.findById = async (id) => products[id] || null;
+  AddonProduct.findById = async (id) => addons[id] || null;
+  PromoCode.findOne = async () => null;
+  // Default tax settings: prices include GST, so checkout adds none
+  Settings.findOne = async () => null;
+  deliveryService.calculateDeliveryFee = async () => ({ deliveryCharge: 100, isFirstOrderFreeDelivery: false, standardFee: 100 });
+});
+
+test.after(() => {
+  restore();
+});
+
+test('items are priced from the catalogue whatever price the client sent', async () => {
+  const items = await priceCatalogueItems([
+    { product: 'rose', quantity: 1, price: 1, finalPrice: 1 },
+    { product: 'rose', quantity: 1, selectedVariant: { label: 'Large' }, price: 1, finalPrice: 1 },
+    { product: 'chocolates', productModel: 'AddonProduct', quantity: 2, price: 1 },
+  ]);
+
+  assert.deepEqual(items.map(({ price, finalPrice }) => ({ price, finalPrice })), [
+    { price: 800, finalPrice: 720 },
+    { price: 1200, finalPrice: 1080 },
+    { price: 400, finalPrice: 350 },
+  ]);
+});
+
+test('personalised text is charged per extra character up to the product cap', async () => {
+  const [short, long] = await priceCatalogueItems([
+    { product: 'mug', quantity: 1, characterCount: 14 },
+    { product: 'mug', quantity: 1, customizations: { personalization: { characterCount: 40 } } },
+  ]);
+
+  assert.equal(short.finalPrice, 520);
+  assert.equal(long.finalPrice, 560);
+});
+
+test('Valentine products take their price for the delivery day and gift boxes keep theirs', async () => {
+  const [valentine, giftBox] = await priceCatalogueItems([
+    { product: 'valentine', quantity: 1, price: 1500 },
+    { product: 'giftBox', quantity: 1, price: 1999, finalPrice: 1999 },
+  ], { deliveryDate: new Date(2099, 1, 14) });
+
+  assert.equal(valentine.finalPrice, 2500);
+  assert.equal(giftBox.finalPrice, 1999);
+});
+
+test('a product that no longer exists cannot be priced', async () => {
+  await assert.rejects(
+    priceCatalogueItems([{ product: 'tulip', title: 'Tulips', quantity: 1, price: 100 }]),
+    (error) => isOrderPricingError(error) && /Tulips is no longer available/.test(error.message)
+  );
+});
+
+test('the checkout discount comes from the promo code, not from the client', async () => {
+  PromoCode.findOne = async () => ({
+    code: 'ROSES10',
+    _id: 'promo-1',
+    isApplicableToOrder: () => ({ valid: true }),
+    calculateDiscount: (amount) => amount * 0.1,
+  });
+
+  const pricing = await priceCheckout({
+    items: [{ product: 'rose', quantity: 2, price: 1, finalPrice: 1 }],
+    shippingDetails: { deliveryDate: '2099-03-10', timeSlot: 'morning' },
+    promoCode: { code: 'roses10', discountAmount: 5000 },
+  });
+
+  assert.equal(pricing.subtotal, 1440);
+  assert.equal(pricing.discount, 144);
+  assert.equal(pricing.finalTotal, 1396);
+  assert.deepEqual(pricing.promoCode, { code: 'ROSES10', discountAmount: 144, promoCodeId: 'promo-1' });
+});
@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.RAZORPAY_MOCK = 'true';
+
+const DeliveryEarning = require('../models/DeliveryEarning');
+const DeliveryPayout = require('../models/DeliveryPayout');
+const {
+  addAdjustment,
+  buildPayoutStatementHTML,
+  createPayoutRun,
+  getSettlementPeriod,
+  markPayoutPaid,
+  summarizeEarnings,
+} = require('../services/partnerPayoutService');
+
+const originals = {
+  earningFind: DeliveryEarning.find,
+  earningUpdateMany: DeliveryEarning.updateMany,
+  payoutSave: DeliveryPayout.prototype.save,
+  payoutFindById: DeliveryPayout.findById,
+  payoutFindOneAndUpdate: DeliveryPayout.findOneAndUpdate,
+};
+
+const restore = () => {
+  DeliveryEarning.find = originals.earningFind;
+  DeliveryEarning.updateMany = originals.earningUpdateMany;
+  DeliveryPayout.prototype.save = originals.payoutSave;
+  DeliveryPayout.findById = originals.payoutFindById;
+  DeliveryPayout.findOneAndUpdate = originals.payoutFindOneAndUpdate;
+};
+
+const partnerA = '64b000000000000000000001';
+const partnerB = '64b000000000000000000002';
+
+const buildEarning = (fields) => new DeliveryEarning({
+  partnerId: partnerA,
+  assignmentId: '64c000000000000000000001',
+  orderId: '64d000000000000000000001',
+  date: new Date('2099-03-10T08:00:00Z'),
+  ...fields,
+});
+
+test.beforeEach(restore);
+test.after(restore);
+
+test('the settlement period is the last full Monday-to-Monday week in IST', () => {
+  // Monday 16 Mar 2099, 02:00 IST: the week of 9-15 Mar is complete
+  const period = getSettlementPeriod(new Date('2099-03-15T20:30:00Z'));
+  assert.equal(period.startDate.toISOString(), '2099-03-08T18:30:00.000Z');
+  assert.equal(period.endDate.toISOString(), '2099-03-15T18:30:00.000Z');
+});
+
+test('summarizeEarnings splits pay into base, distance, bonus and tips', () => {
+  const summary = summarizeEarnings([
+    buildEarning({ amount: 140, basePay: 80, distancePay: 60, peakMultiplier: 1.5, tips: 20 }),
+    // Older row without a stored breakdown
+    buildEarning({ amount: 110, basePay: 80 }),
+    buildEarning({ batchId: '64e000000000000000000001', assignmentId: undefined, orderId: undefined, amount: 215, basePay: 80, distancePay: 75, bonus: 60, stopsDelivered: 3 }),
+  ]);
+
+  assert.deepEqual(summary, {
+    deliveries: 5,
+    basePay: 240,
+    distancePay: 165,
+    tips: 20,
+    bonus: 60,
+    grossEarnings: 485,
+  });
+});
+
+test('a payout run creates one payout per partner and claims the earnings', async () => {
+  let findFilter;
+  DeliveryEarning.find = (filter) => {
+    findFilter = filter;
+    return {
+      sort: async () => [
+        buildEarning({ amount: 100, basePay: 80, distancePay: 20 }),
+        buildEarning({ partnerId: partnerB, amount: 120, basePay: 80, distancePay: 40 }),
+        buildEarning({ amount: 95, basePay: 80, distancePay: 15, tips: 10 }),
+      ],
+    };
+  };
+  const claims = [];
+  DeliveryEarning.updateMany = async (filter, update) => {
+    claims.push({ filter, update });
+    return { modifiedCount: filter._id.$in.length };
+  };
+  DeliveryPayout.prototype.save = async function save() { return this; };
+
+  const { period, payouts } = await createPayoutRun({ from: '2099-03-09', to: '2099-03-15' });
+
+  assert.equal(period.startDate.toISOString(), '2099-03-08T18:30:00.000Z');
+  assert.equal(period.endDate.toISOString(), '2099-03-15T18:30:00.000Z');
+  assert.equal(findFilter.payoutId, null);
+  assert.equal(findFilter.status, 'pending');
+  assert.equal(payouts.length, 2);
+
+  const [first, second] = payouts;
+  assert.equal(String(first.partnerId), partnerA);
+  assert.equal(first.earnings.length, 2);
+  assert.equal(first.summary.netAmount, 205);
+  assert.equal(second.summary.netAmount, 120);
+  assert.equal(claims[0].filter.payoutId, null);
+  assert.equal(String(claims[0].update.$set.payoutId), String(first._id));
+
+  await assert.rejects(createPayoutRun({ from: '2099-03-15', to: '2099-03-09' }), { name: 'PartnerPayoutError' });
+});
+
+test('adjustments change the net amount until the payout is marked paid', async () => {
+  const earning = buildEarning({ amount: 100, basePay: 80, distancePay: 20 });
+  const payout = new DeliveryPayout({
+    partnerId: partnerA,
+    period: { startDate: new Date('2099-03-08T18:30:00Z'), endDate: new Date('2099-03-15T18:30:00Z') },
+    earnings: [earning._id],
+  });
+  DeliveryPayout.findById = async () => payout;
+  DeliveryPayout.prototype.save = async function save() { return this; };
+  DeliveryEarning.find = async () => [earning];
+
+  await addAdjustment(payout._id, { type: 'adjustment', amount: 50, reason: 'Festival bonus' });
+  await addAdjustment(payout._id, { type: 'deduction', amount: 30, reason: 'Damaged vase' });
+  assert.equal(payout.summary.netAmount, 120);
+  await assert.rejects(addAdjustment(payout._id, { type: 'deduction', amount: 500, reason: 'Too much' }), /cannot exceed/);
+  await assert.rejects(addAdjustment(payout._id, { type: 'deduction', amount: 10 }), /reason is required/);
+
+  await assert.rejects(markPayoutPaid(payout._id, {}), /transactionReference is required/);
+
+  let earningsUpdate;
+  DeliveryPayout.findOneAndUpdate = async (filter, update) => {
+    assert.equal(filter.status, 'pending');
+    Object.assign(payout, update.$set);
+    return payout;
+  };
+  DeliveryEarning.updateMany = async (filter, update) => { earningsUpdate = { filter, update }; };
+
+  await markPayoutPaid(payout._id, { transactionReference: 'UTR123456', paymentMethod: 'upi' });
+  assert.equal(payout.status, 'paid');
+  assert.equal(earningsUpdate.update.$set.status, 'paid');
+  assert.equal(earningsUpdate.update.$set.transactionReference, 'UTR123456');
+
+  payout.partnerId = { name: 'Ravi', phone: '9000000000' };
+  payout.earnings = [earning];
+  const html = buildPayoutStatementHTML(payout);
+  assert.ok(html.includes('Festival bonus'));
+  assert.ok(html.includes('Ref UTR123456'));
+  assert.ok(html.includes('&#8377;120.00'));
+
+  DeliveryPayout.findOneAndUpdate = async () => null;
+  await assert.rejects(markPayoutPaid(payout._id, { transactionReference: 'UTR999' }), { statusCode: 409 });
+});
@@ -0,0 +1,160 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.RAZORPAY_MOCK = 'true';
+
+const DeliveryPartner = require('../models/DeliveryPartner');
+const DeliverySetting = require('../models/DeliverySetting');
+const Notification = require('../models/Notification');
+const Order = require('../models/Order');
+const PartnerShift = require('../models/PartnerShift');
+const Settings = require('../models/settings');
+const { findBestPartnerForOrder } = require('../services/deliveryService');
+const {
+  getCapacityPlan,
+  signUpForShift,
+  warnIfUnderstaffed,
+} = require('../services/partnerShiftService');
+
+const originals = {
+  partnerFind: DeliveryPartner.find,
+  getSettings: DeliverySetting.getSettings,
+  notificationExists: Notification.exists,
+  notificationSave: Notification.prototype.save,
+  orderAggregate: Order.aggregate,
+  shiftAggregate: PartnerShift.aggregate,
+  shiftFind: PartnerShift.find,
+  shiftFindOneAndUpdate: PartnerShift.findOneAndUpdate,
+  settingsFindOne: Settings.findOne,
+};
+
+const restore = () => {
+  DeliveryPartner.find = originals.partnerFind;
+  DeliverySetting.getSettings = originals.getSettings;
+  Notification.exists = originals.notificationExists;
+  Notification.prototype.save = originals.notificationSave;
+  Order.aggregate = originals.orderAggregate;
+  PartnerShift.aggregate = originals.shiftAggregate;
+  PartnerShift.find = originals.shiftFind;
+  PartnerShift.findOneAndUpdate = originals.shiftFindOneAndUpdate;
+  Settings.findOne = originals.settingsFindOne;
+};
+
+// 10 Feb 2099, 10:00 IST
+const now = new Date('2099-02-10T04:30:00Z');
+const valentines = new Date('2099-02-14T00:00:00Z');
+
+const stubSlots = () => {
+  Settings.findOne = async () => ({
+    deliverySettings: {
+      timeSlots: [
+        { time: 'standard', enabled: true, label: 'Standard Delivery' },
+        { time: 'midnight', enabled: true, label: 'Midnight Delivery' },
+        { time: 'morning', enabled: false, label: 'Morning' },
+      ],
+    },
+  });
+};
+
+const stubStaffing = ({ partners, orders }) => {
+  DeliverySetting.getSettings = async () => ({ shiftOrdersPerPartner: 5 });
+  PartnerShift.aggregate = async () => [{ _id: { date: valentines, timeSlot: 'midnight' }, partners }];
+  Order.aggregate = async () => [
+    { _id: { date: valentines, timeSlot: 'midnight' }, orders },
+    { _id: { date: valentines, timeSlot: 'standard' }, orders: 3 },
+  ];
+};
+
+test.beforeEach(() => {
+  restore();
+  stubSlots();
+});
+test.after(restore);
+
+test('partners can sign up for an enabled slot on an upcoming day', async () => {
+  let upsert;
+  PartnerShift.findOneAndUpdate = async (filter, update, options) => {
+    upsert = { filter, update, options };
+    return { ...filter, ...update.$set };
+  };
+
+  const partner = { _id: 'partner-1', zone: 'zone-west' };
+  const shift = await signUpForShift(partner, { date: '2099-02-14', timeSlot: 'midnight' }, { now });
+
+  assert.equal(upsert.filter.date.toISOString(), '2099-02-14T00:00:00.000Z');
+  assert.equal(upsert.options.upsert, true);
+  assert.equal(shift.status, 'scheduled');
+
+  await assert.rejects(signUpForShift(partner, { date: '2099-02-09', timeSlot: 'midnight' }, { now }), /past days/);
+  await assert.rejects(signUpForShift(partner, { date: '2099-02-14', timeSlot: 'morning' }, { now }), /timeSlot must be one of: standard, midnight/);
+  await assert.rejects(signUpForShift({ ...partner, isSuspended: true }, { date: '2099-02-14', timeSlot: 'midnight' }, { now }), { statusCode: 403 });
+});
+
+test('the capacity plan compares partners on shift with orders booked per slot', async () => {
+  stubStaffing({ partners: 2, orders: 14 });
+
+  const plan = await getCapacityPlan({ from: '2099-02-14', to: '2099-02-15' });
+
+  assert.equal(plan.ordersPerPartner, 5);
+  assert.equal(plan.days.length, 2);
+  const [standard, midnight] = plan.days[0].slots;
+  assert.deepEqual(midnight, {
+    timeSlot: 'midnight',
+    label: 'Midnight Delivery',
+    partners: 2,
+    capacity: 10,
+    expectedOrders: 14,
+    partnersNeeded: 3,
+    shortfall: 4,
+    understaffed: true,
+  });
+  assert.equal(standard.understaffed, true);
+  assert.equal(standard.partners, 0);
+  assert.deepEqual(plan.days[1].slots.map((slot) => slot.expectedOrders), [0, 0]);
+});
+
+test('auto-assignment prefers partners on shift for the order slot', async () => {
+  DeliveryPartner.find = async () => [
+    { _id: 'closest', name: 'Ravi', currentLatitude: 17.3913, currentLongitude: 78.4327, activeOrders: 0, rating: 5 },
+    { _id: 'on-shift', name: 'Kiran', currentLatitude: 17.40, currentLongitude: 78.44, activeOrders: 1, rating: 4 },
+  ];
+  let shiftQuery;
+  PartnerShift.find = (query) => {
+    shiftQuery = query;
+    return { select: async () => [{ partnerId: 'on-shift' }] };
+  };
+
+  const config = { maxOrdersPerPartner: 3, assignmentRadius: 5 };
+  const origin = { store: null, latitude: 17.3912, longitude: 78.4326 };
+  const order = { shippingDetails: { deliveryDate: valentines, timeSlot: 'midnight' } };
+
+  const match = await findBestPartnerForOrder(order, config, origin);
+  assert.equal(match.partner._id, 'on-shift');
+  assert.equal(match.onShift, true);
+  assert.equal(shiftQuery.timeSlot, 'midnight');
+  assert.equal(shiftQuery.date.toISOString(), '2099-02-14T00:00:00.000Z');
+
+  PartnerShift.find = () => ({ select: async () => [] });
+  const fallback = await findBestPartnerForOrder(order, config, origin);
+  assert.equal(fallback.partner._id, 'closest');
+  assert.equal(fallback.onShift, false);
+});
+
+test('admins are warned once when an order lands in an under-staffed slot', async () => {
+  stubStaffing({ partners: 1, orders: 9 });
+  const saved = [];
+  Notification.prototype.save = async function save() { saved.push(this); return this; };
+  Notification.exists = async () => saved.length > 0;
+
+  const order = { shippingDetails: { deliveryDate: valentines, timeSlot: 'midnight' } };
+  const staffing = await warnIfUnderstaffed(order);
+  await warnIfUnderstaffed(order);
+
+  assert.equal(staffing.shortfall, 4);
+  assert.equal(saved.length, 1);
+  assert.match(saved[0].message, /9 orders for 1 partner\(s\) on shift \(2 needed\)/);
+  assert.equal(saved[0].metadata.slot, '2099-02-14|midnight');
+
+  stubStaffing({ partners: 2, orders: 9 });
+  assert.equal(await warnIfUnderstaffed(order), null);
+});
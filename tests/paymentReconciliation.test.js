@@ -0,0 +1,210 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.RAZORPAY_MOCK = 'true';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const Holiday = require('../models/Holiday');
+const Order = require('../models/Order');
+const SlotCapacity = require('../models/SlotCapacity');
+const StockReservation = require('../models/StockReservation');
+const razorpayService = require('../services/razorpayService');
+const emailNotificationService = require('../services/emailNotificationService');
+const { refundCheckoutPayment } = require('../services/orderPaymentService');
+const { reconcileOrderPayment } = require('../services/paymentReconciliationService');
+const {
+  createPaymentRetryToken,
+  isPaymentRetryError,
+  startPaymentRetry,
+  verifyPaymentRetryToken,
+} = require('../services/paymentRetryService');
+
+const originalFetchOrderPayments = razorpayService.fetchOrderPayments;
+const originalFetchOrder = razorpayService.fetchOrder;
+const originalOrderFind = Order.find;
+const originalSendPaymentReminder = emailNotificationService.sendPaymentReminder;
+const originalOrderUpdateOne = Order.updateOne;
+const originalReservationFind = StockReservation.find;
+const originalIsHoliday = Holiday.isHoliday;
+const originalSlotCapacityFind = SlotCapacity.find;
+
+let reminders = [];
+
+const restore = () => {
+  razorpayService.fetchOrderPayments = originalFetchOrderPayments;
+  razorpayService.fetchOrder = originalFetchOrder;
+  Order.find = originalOrderFind;
+  emailNotificationService.sendPaymentReminder = originalSendPaymentReminder;
+  Order.updateOne = originalOrderUpdateOne;
+  StockReservation.find = originalReservationFind;
+  Holiday.isHoliday = originalIsHoliday;
+  SlotCapacity.find = originalSlotCapacityFind;
+};
+
+const createPendingOrder = () => ({
+  _id: 'order-1',
+  orderNumber: '261000118',
+  status: 'order_placed',
+  stockReservationStatus: 'committed',
+  stockUpdated: true,
+  items: [],
+  trackingHistory: [],
+  shippingDetails: { fullName: 'Asha', email: 'asha@example.com' },
+  paymentDetails: { method: 'razorpay', razorpayOrderId: 'order_rzp_1', status: 'pending' },
+  saveCount: 0,
+  async save() {
+    this.saveCount += 1;
+    return this;
+  }
+});
+
+test.beforeEach(() => {
+  restore();
+  reminders = [];
+  emailNotificationService.sendPaymentReminder = async (data) => {
+    reminders.push(data);
+    return { success: true };
+  };
+  StockReservation.find = () => ({ select: async () => [] });
+});
+
+test.after(() => {
+  restore();
+});
+
+test('marks orders paid when Razorpay has a captured payment', async () => {
+  razorpayService.fetchOrderPayments = async () => [
+    { id: 'pay_failed', status: 'failed' },
+    { id: 'pay_ok', status: 'captured' }
+  ];
+  razorpayService.fetchOrder = async (id) => ({ id, amount: 129950, currency: 'INR' });
+  const order = createPendingOrder();
+  order.finalTotal = 1299.5;
+  Order.find = async () => [order];
+
+  assert.equal(await reconcileOrderPayment(order), 'paid');
+  assert.equal(order.paymentDetails.status, 'paid');
+  assert.equal(order.paymentDetails.razorpayPaymentId, 'pay_ok');
+  assert.equal(order.saveCount, 1);
+  assert.equal(reminders.length, 0);
+});
+
+test('leaves authorized payments for the next run', async () => {
+  razorpayService.fetchOrderPayments = async () => [{ id: 'pay_auth', status: 'authorized' }];
+  const order = createPendingOrder();
+
+  assert.equal(await reconcileOrderPayment(order), 'pending');
+  assert.equal(order.saveCount, 0);
+});
+
+test('cancels abandoned orders and emails a payment link', async () => {
+  razorpayService.fetchOrderPayments = async () => [{ id: 'pay_failed', status: 'failed', error_description: 'Bank declined' }];
+  Order.updateOne = async () => ({ modifiedCount: 1 });
+  const order = createPendingOrder();
+
+  assert.equal(await reconcileOrderPayment(order), 'failed');
+  assert.equal(order.status, 'cancelled');
+  assert.equal(order.paymentDetails.status, 'failed');
+  assert.equal(order.paymentDetails.failureReason, 'Bank declined');
+  assert.ok(order.paymentDetails.reconciledAt instanceof Date);
+  assert.equal(reminders.length, 1);
+  assert.equal(reminders[0].customer.email, 'asha@example.com');
+});
+
+test('skips orders another run has already closed', async () => {
+  razorpayService.fetchOrderPayments = async () => [];
+  Order.updateOne = async () => ({ modifiedCount: 0 });
+  const order = createPendingOrder();
+
+  assert.equal(await reconcileOrderPayment(order), 'skipped');
+  assert.equal(order.status, 'order_placed');
+  assert.equal(reminders.length, 0);
+});
+
+test('a cancelled abandoned order can be reopened from its payment link and paid for again', async () => {
+  razorpayService.fetchOrderPayments = async () => [{ id: 'pay_failed', status: 'failed' }];
+  Order.updateOne = async () => ({ modifiedCount: 1 });
+  Holiday.isHoliday = async () => null;
+  SlotCapacity.find = async () => [];
+  const order = createPendingOrder();
+  Object.assign(order, { totalAmount: 1299.5, currency: 'INR' });
+  order.shippingDetails.deliveryDate = new Date('2026-10-25T00:00:00.000Z');
+  await reconcileOrderPayment(order);
+
+  const token = createPaymentRetryToken(order.orderNumber);
+  assert.equal(verifyPaymentRetryToken(token, order.orderNumber), true);
+  assert.equal(verifyPaymentRetryToken(token, '261000218'), false);
+
+  razorpayService.fetchOrder = async (id) => ({ id, amount: 129950, currency: 'INR' });
+  const now = new Date('2026-10-20T06:00:00.000Z');
+  const retry = await startPaymentRetry(order, { now });
+
+  // Same Razorpay order, so verify-payment and the webhook still find it
+  assert.deepEqual(retry, { razorpayOrderId: 'order_rzp_1', amount: 129950, currency: 'INR' });
+  assert.equal(order.status, 'order_placed');
+  assert.equal(order.paymentDetails.status, 'pending');
+  assert.equal(order.paymentDetails.reconciledAt, undefined);
+  assert.equal(order.paymentDetails.retryStartedAt, now);
+  assert.equal(order.stockReservationStatus, 'held');
+  assert.match(order.trackingHistory.at(-1).message, /reopened/);
+});
+
+test('an order whose total changed since checkout gets a new Razorpay order for the new total', async () => {
+  Holiday.isHoliday = async () => null;
+  // Created for the original 1299.50 before a redelivery fee was added
+  razorpayService.fetchOrder = async (id) => ({ id, amount: 129950, currency: 'INR' });
+  const order = createPendingOrder();
+  Object.assign(order, { totalAmount: 1448.5, currency: 'INR' });
+  order.shippingDetails.deliveryDate = new Date('2026-10-25T00:00:00.000Z');
+
+  const retry = await startPaymentRetry(order, { now: new Date('2026-10-20T06:00:00.000Z') });
+
+  assert.notEqual(retry.razorpayOrderId, 'order_rzp_1');
+  assert.equal(order.paymentDetails.razorpayOrderId, retry.razorpayOrderId);
+  assert.equal(retry.amount, 144850);
+  razorpayService.fetchOrder = originalFetchOrder;
+  assert.equal((await razorpayService.fetchOrder(retry.razorpayOrderId)).amount, 144850);
+  assert.equal(order.saveCount, 1);
+});
+
+test('orders that were paid, cancelled by the team or are past their delivery date cannot be reopened', async () => {
+  Holiday.isHoliday = async () => null;
+  const now = new Date('2026-10-20T06:00:00.000Z');
+
+  const paid = createPendingOrder();
+  paid.paymentDetails.status = 'paid';
+  const cancelled = createPendingOrder();
+  cancelled.status = 'cancelled';
+  const late = createPendingOrder();
+  late.shippingDetails.deliveryDate = new Date('2026-10-19T00:00:00.000Z');
+
+  for (const [order, message] of [[paid, /no payment outstanding/], [cancelled, /has been cancelled/], [late, /in the past/]]) {
+    await assert.rejects(startPaymentRetry(order, { now }), (error) => {
+      assert.equal(isPaymentRetryError(error), true);
+      assert.equal(error.statusCode, 409);
+      assert.match(error.message, message);
+      return true;
+    });
+    assert.equal(order.saveCount, 0);
+  }
+});
+
+test('a captured checkout payment with no order to show for it is refunded in full and its hold let go', async () => {
+  const razorpayOrder = await razorpayService.createOrder(249900, 'INR');
+  razorpayService.getRazorpayClient().__registerPayment({ id: 'pay_sold_out', order_id: razorpayOrder.id, amount: 249900 });
+  const holdQueries = [];
+  StockReservation.find = (filter) => {
+    holdQueries.push(filter);
+    return { select: async () => [] };
+  };
+
+  const refund = await refundCheckoutPayment({ razorpayOrderId: razorpayOrder.id, razorpayPaymentId: 'pay_sold_out', reason: 'out_of_stock' });
+
+  assert.equal(refund.amount, 249900);
+  assert.equal(refund.notes.reason, 'out_of_stock');
+  assert.deepEqual(holdQueries, [{ razorpayOrderId: razorpayOrder.id, order: null, status: 'held' }]);
+
+  // A refund Razorpay turns down is logged, not thrown, and the hold is still let go
+  assert.equal(await refundCheckoutPayment({ razorpayOrderId: 'order_missing', razorpayPaymentId: 'pay_x', reason: 'out_of_stock' }), null);
+  assert.equal(holdQueries.length, 2);
+});
@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.RAZORPAY_MOCK = 'true';
+
+const Order = require('../models/Order');
+const stockReservationService = require('../services/stockReservationService');
+const {
+  aggregateProduction,
+  buildPickListHTML,
+  getProductionPlan,
+  releaseToProduction,
+} = require('../services/productionService');
+
+const originals = {
+  find: Order.find,
+  save: Order.prototype.save,
+  ensureOrderStockCommitted: stockReservationService.ensureOrderStockCommitted,
+};
+
+const restore = () => {
+  Order.find = originals.find;
+  Order.prototype.save = originals.save;
+  stockReservationService.ensureOrderStockCommitted = originals.ensureOrderStockCommitted;
+};
+
+const comboProduct = {
+  _id: '64b000000000000000000001',
+  title: 'Rose & Lily Combo',
+  comboItems: [{ name: 'Red Rose', quantity: 12 }, { name: 'White Lily', quantity: 3 }],
+};
+
+const buildOrder = (orderNumber, overrides = {}) => new Order({
+  orderNumber,
+  shippingDetails: { fullName: 'Asha', deliveryDate: new Date('2099-03-10T00:00:00Z'), timeSlot: 'standard', cardMessage: 'Happy birthday!' },
+  items: [
+    { product: comboProduct._id, title: 'Rose & Lily Combo', quantity: 2, price: 1500, finalPrice: 1500, selectedVariant: { label: 'Large' } },
+    { product: '64b000000000000000000002', productModel: 'AddonProduct', title: 'Chocolate Box', quantity: 1, price: 300, finalPrice: 300 },
+  ],
+  paymentDetails: { method: 'cash' },
+  totalAmount: 3300,
+  status: 'received',
+  ...overrides,
+});
+
+// Mimics populate('items.product') for the combo arrangement
+const populateCombo = (order) => {
+  const populated = order.toObject();
+  populated.items[0].product = comboProduct;
+  return populated;
+};
+
+const stubFind = (orders) => {
+  Order.find = () => {
+    const query = {
+      populate: () => query,
+      sort: () => query,
+      then: (resolve, reject) => Promise.resolve(orders).then(resolve, reject),
+    };
+    return query;
+  };
+};
+
+test.beforeEach(() => {
+  restore();
+  Order.prototype.save = async function save() {
+    return this;
+  };
+  stockReservationService.ensureOrderStockCommitted = async (order) => {
+    order.stockReservationStatus = 'committed';
+  };
+});
+
+test.after(() => {
+  restore();
+});
+
+test('production totals include combo contents per unit ordered and add-ons separately', () => {
+  const totals = aggregateProduction([
+    populateCombo(buildOrder('990300110')),
+    populateCombo(buildOrder('990300210', { items: [{ product: comboProduct._id, title: 'Rose & Lily Combo', quantity: 1, price: 1500, finalPrice: 1500, selectedVariant: { label: 'Large' } }] })),
+  ]);
+
+  assert.deepEqual(totals.products.map((line) => [line.name, line.variant, line.quantity]), [['Rose & Lily Combo', 'Large', 3]]);
+  assert.deepEqual(totals.components.map((line) => [line.name, line.quantity]), [['Red Rose', 36], ['White Lily', 9]]);
+  assert.deepEqual(totals.addons.map((line) => [line.name, line.quantity, line.orders]), [['Chocolate Box', 1, ['990300110']]]);
+});
+
+test('the plan groups orders by day and slot and leaves unpaid online orders out of the totals', async () => {
+  stubFind([
+    populateCombo(buildOrder('990300110', { shippingDetails: { deliveryDate: new Date('2099-03-10T00:00:00Z'), timeSlot: 'midnight' } })),
+    populateCombo(buildOrder('990300210')),
+    populateCombo(buildOrder('990300310', { paymentDetails: { method: 'razorpay', status: 'pending' } })),
+  ]);
+
+  const plan = await getProductionPlan({ from: '2099-03-10' });
+
+  assert.equal(plan.orderCount, 3);
+  assert.equal(plan.awaitingPayment, 1);
+  assert.deepEqual(plan.days[0].slots.map((slot) => [slot.timeSlot, slot.orderCount]), [['standard', 2], ['midnight', 1]]);
+  assert.equal(plan.totals.products[0].quantity, 4);
+  assert.equal(plan.days[0].slots[0].orders[1].readyForProduction, false);
+
+  const html = buildPickListHTML(plan, { storeName: 'Hyderabad Main Hub' });
+  assert.match(html, /Pick List/);
+  assert.match(html, /Red Rose/);
+  assert.match(html, /Happy birthday!/);
+  assert.match(html, /1 awaiting payment/);
+});
+
+test('releasing a day moves ready orders to being_made and skips unpaid ones', async () => {
+  const cashOrder = buildOrder('990300110');
+  const unpaidOrder = buildOrder('990300210', { paymentDetails: { method: 'razorpay', status: 'pending' } });
+  const paidOrder = buildOrder('990300310', { paymentDetails: { method: 'razorpay', status: 'paid', razorpayPaymentId: 'pay_1' } });
+  let query;
+  Order.find = (filter) => {
+    query = filter;
+    return { sort: async () => [cashOrder, unpaidOrder, paidOrder] };
+  };
+
+  const result = await releaseToProduction({ date: '2099-03-10', timeSlot: 'standard', storeId: '64b0000000000000000000aa' });
+
+  assert.deepEqual(result.released, ['990300110', '990300310']);
+  assert.deepEqual(result.skipped, [{ orderNumber: '990300210', reason: 'Awaiting online payment' }]);
+  assert.equal(cashOrder.status, 'being_made');
+  assert.equal(String(cashOrder.store), '64b0000000000000000000aa');
+  assert.equal(unpaidOrder.status, 'received');
+  assert.equal(query['shippingDetails.timeSlot'], 'standard');
+  assert.equal(query['shippingDetails.deliveryDate'].$gte.toISOString(), '2099-03-10T00:00:00.000Z');
+
+  await assert.rejects(releaseToProduction({ date: '10/03/2099' }), /YYYY-MM-DD/);
+});
+
+test('orders whose stock has run out stay out of production', async () => {
+  const heldOrder = buildOrder('990300110', { stockReservationStatus: 'held' });
+  const lapsedOrder = buildOrder('990300210', { stockReservationStatus: 'expired' });
+  Order.find = () => ({ sort: async () => [heldOrder, lapsedOrder] });
+  const saved = [];
+  Order.prototype.save = async function save() {
+    saved.push(this.orderNumber);
+    return this;
+  };
+  stockReservationService.ensureOrderStockCommitted = async (order) => {
+    if (order.stockReservationStatus === 'expired') {
+      throw new stockReservationService.StockUnavailableError('Only 0 of Rose & Lily Combo left in stock');
+    }
+    order.stockReservationStatus = 'committed';
+  };
+
+  const result = await releaseToProduction({ date: '2099-03-10' });
+
+  assert.deepEqual(result.released, ['990300110']);
+  assert.deepEqual(result.skipped, [{ orderNumber: '990300210', reason: 'Only 0 of Rose & Lily Combo left in stock' }]);
+  assert.equal(heldOrder.stockReservationStatus, 'committed');
+  assert.equal(lapsedOrder.status, 'received');
+  assert.deepEqual(saved, ['990300110']);
+});
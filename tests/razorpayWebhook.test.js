@@ -0,0 +1,182 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+
+process.env.RAZORPAY_MOCK = 'true';
+process.env.RAZORPAY_WEBHOOK_SECRET = 'webhook_test_secret';
+
+const Order = require('../models/Order');
+const RazorpayWebhookEvent = require('../models/RazorpayWebhookEvent');
+const StockReservation = require('../models/StockReservation');
+const razorpayService = require('../services/razorpayService');
+const { verifyWebhookSignature } = require('../services/razorpayService');
+const { processWebhookEvent } = require('../services/razorpayWebhookService');
+
+const originalOrderFind = Order.find;
+const originalEventCreate = RazorpayWebhookEvent.create;
+const originalEventFindOne = RazorpayWebhookEvent.findOne;
+const originalReservationFind = StockReservation.find;
+const originalFetchOrder = razorpayService.fetchOrder;
+const originalRefundPayment = razorpayService.refundPayment;
+
+let refunds = [];
+
+const restore = () => {
+  Order.find = originalOrderFind;
+  RazorpayWebhookEvent.create = originalEventCreate;
+  RazorpayWebhookEvent.findOne = originalEventFindOne;
+  StockReservation.find = originalReservationFind;
+  razorpayService.fetchOrder = originalFetchOrder;
+  razorpayService.refundPayment = originalRefundPayment;
+};
+
+// In-memory event log honouring the unique eventId index
+const useEventStore = () => {
+  const events = new Map();
+  RazorpayWebhookEvent.create = async (doc) => {
+    if (events.has(doc.eventId)) {
+      const error = new Error('duplicate key');
+      error.code = 11000;
+      throw error;
+    }
+    const record = { attempts: 0, status: 'received', ...doc, save: async () => record };
+    events.set(doc.eventId, record);
+    return record;
+  };
+  RazorpayWebhookEvent.findOne = async ({ eventId }) => events.get(eventId) || null;
+  return events;
+};
+
+const createPendingOrder = () => ({
+  _id: 'order-1',
+  orderNumber: '261000118',
+  status: 'order_placed',
+  stockReservationStatus: 'committed',
+  finalTotal: 1500,
+  currency: 'INR',
+  trackingHistory: [],
+  paymentDetails: { method: 'razorpay', razorpayOrderId: 'order_rzp_1', status: 'pending' },
+  saveCount: 0,
+  async save() {
+    this.saveCount += 1;
+    return this;
+  }
+});
+
+const capturedEvent = {
+  event: 'payment.captured',
+  payload: {
+    payment: { entity: { id: 'pay_1', order_id: 'order_rzp_1', status: 'captured', amount: 150000 } }
+  }
+};
+
+test.beforeEach(() => {
+  restore();
+  refunds = [];
+  razorpayService.fetchOrder = async (id) => ({ id, amount: 150000, currency: 'INR' });
+  razorpayService.refundPayment = async (paymentId, amount, options) => {
+    refunds.push({ paymentId, amount, reason: options.notes.reason });
+    return { id: 'rfnd_1', amount };
+  };
+  StockReservation.find = () => ({ select: async () => [] });
+});
+
+test.after(() => {
+  restore();
+});
+
+test('verifyWebhookSignature accepts only the HMAC of the raw body', () => {
+  const rawBody = Buffer.from(JSON.stringify(capturedEvent));
+  const signature = crypto.createHmac('sha256', 'webhook_test_secret').update(rawBody).digest('hex');
+
+  assert.equal(verifyWebhookSignature(rawBody, signature), true);
+  assert.equal(verifyWebhookSignature(Buffer.from(`${rawBody} `), signature), false);
+  assert.equal(verifyWebhookSignature(rawBody, 'not-a-signature'), false);
+  assert.equal(verifyWebhookSignature(rawBody, undefined), false);
+});
+
+test('payment.captured marks the matching order paid once per event id', async () => {
+  useEventStore();
+  const order = createPendingOrder();
+  Order.find = async (filter) => (filter['paymentDetails.razorpayOrderId'] === 'order_rzp_1' ? [order] : []);
+
+  const first = await processWebhookEvent({ eventId: 'evt_1', body: capturedEvent });
+  const replay = await processWebhookEvent({ eventId: 'evt_1', body: capturedEvent });
+
+  assert.equal(first.record.status, 'processed');
+  assert.equal(replay.duplicate, true);
+  assert.equal(order.paymentDetails.status, 'paid');
+  assert.equal(order.paymentDetails.razorpayPaymentId, 'pay_1');
+  assert.equal(order.saveCount, 1);
+
+  // A separate delivery of an equivalent event (e.g. order.paid) is a no-op
+  const orderPaid = await processWebhookEvent({ eventId: 'evt_2', body: { ...capturedEvent, event: 'order.paid' } });
+  assert.equal(orderPaid.record.status, 'ignored');
+  assert.equal(order.saveCount, 1);
+});
+
+test('payment.captured marks every order of a multi-recipient checkout paid', async () => {
+  useEventStore();
+  const first = createPendingOrder();
+  first.finalTotal = 1000;
+  const second = { ...createPendingOrder(), _id: 'order-2', orderNumber: '261000218', finalTotal: 500, paymentDetails: { ...first.paymentDetails } };
+  Order.find = async () => [first, second];
+
+  const { record } = await processWebhookEvent({ eventId: 'evt_5', body: capturedEvent });
+
+  assert.equal(record.status, 'processed');
+  assert.equal(record.result, 'Orders 261000118, 261000218 marked paid');
+  assert.equal(first.paymentDetails.status, 'paid');
+  assert.equal(second.paymentDetails.status, 'paid');
+  assert.equal(second.saveCount, 1);
+});
+
+test('a captured payment for less than the order total is refunded instead of marking it paid', async () => {
+  useEventStore();
+  const order = createPendingOrder();
+  order.finalTotal = 4999;
+  Order.find = async () => [order];
+
+  const { record } = await processWebhookEvent({ eventId: 'evt_6', body: capturedEvent });
+
+  assert.equal(record.status, 'processed');
+  assert.match(record.result, /did not match the total of Order 261000118 and was refunded/);
+  assert.deepEqual(refunds, [{ paymentId: 'pay_1', amount: 150000, reason: 'amount_mismatch' }]);
+  assert.equal(order.paymentDetails.status, 'failed');
+  assert.match(order.paymentDetails.failureReason, /did not match the order total/);
+  assert.equal(order.saveCount, 1);
+});
+
+test('payment.failed does not override a paid order', async () => {
+  useEventStore();
+  const order = createPendingOrder();
+  order.paymentDetails.status = 'paid';
+  Order.find = async () => [order];
+
+  const { record } = await processWebhookEvent({
+    eventId: 'evt_3',
+    body: {
+      event: 'payment.failed',
+      payload: { payment: { entity: { id: 'pay_2', order_id: 'order_rzp_1', error_description: 'Card declined' } } }
+    }
+  });
+
+  assert.equal(record.status, 'ignored');
+  assert.equal(order.paymentDetails.status, 'paid');
+});
+
+test('unmatched events are retried on redelivery', async () => {
+  const events = useEventStore();
+  Order.find = async () => [];
+
+  await processWebhookEvent({ eventId: 'evt_4', body: capturedEvent });
+  assert.equal(events.get('evt_4').status, 'unmatched');
+
+  const order = createPendingOrder();
+  Order.find = async () => [order];
+  const retry = await processWebhookEvent({ eventId: 'evt_4', body: capturedEvent });
+
+  assert.equal(retry.duplicate, false);
+  assert.equal(retry.record.status, 'processed');
+  assert.equal(retry.record.attempts, 2);
+});
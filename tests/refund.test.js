@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.RAZORPAY_MOCK = 'true';
+
+const User = require('../models/User');
+const emailNotificationService = require('../services/emailNotificationService');
+const { getRazorpayClient } = require('../services/razorpayService');
+const {
+  RefundError,
+  applyRazorpayRefund,
+  issueRefund,
+} = require('../services/refundService');
+
+const originalUserFindById = User.findById;
+const originalSendRefundNotification = emailNotificationService.sendRefundNotification;
+
+let sentEmails = [];
+
+const restore = () => {
+  User.findById = originalUserFindById;
+  emailNotificationService.sendRefundNotification = originalSendRefundNotification;
+};
+
+const createOrder = (overrides = {}) => {
+  const paymentId = `pay_test${Math.random().toString(36).slice(2, 10)}`;
+  getRazorpayClient().__registerPayment({ id: paymentId, amount: 150000 });
+
+  return {
+    orderNumber: '261000118',
+    status: 'delivered',
+    currency: 'INR',
+    totalAmount: 1500,
+    refundedAmount: 0,
+    refundStatus: 'none',
+    refunds: [],
+    trackingHistory: [],
+    shippingDetails: { fullName: 'Asha', email: 'asha@example.com' },
+    paymentDetails: { method: 'razorpay', razorpayPaymentId: paymentId },
+    saveCount: 0,
+    async save() {
+      this.saveCount += 1;
+      return this;
+    },
+    ...overrides
+  };
+};
+
+test.beforeEach(() => {
+  restore();
+  sentEmails = [];
+  User.findById = () => ({ select: () => ({ lean: async () => null }) });
+  emailNotificationService.sendRefundNotification = async (data) => {
+    sentEmails.push(data);
+    return { success: true };
+  };
+});
+
+test.after(() => {
+  restore();
+});
+
+test('issueRefund records a partial refund and emails the customer', async () => {
+  const order = createOrder();
+
+  const refund = await issueRefund(order, { amount: 500, reason: 'Damaged stems' });
+
+  assert.equal(refund.amount, 500);
+  assert.equal(refund.status, 'processed');
+  assert.match(refund.razorpayRefundId, /^rfnd_/);
+  assert.equal(order.refundedAmount, 500);
+  assert.equal(order.refundStatus, 'partial');
+  assert.equal(order.saveCount, 1);
+  assert.equal(order.trackingHistory.length, 1);
+  assert.equal(sentEmails.length, 1);
+  assert.equal(sentEmails[0].customer.email, 'asha@example.com');
+});
+
+test('issueRefund defaults to the remaining balance and blocks over-refunds', async () => {
+  const order = createOrder();
+  await issueRefund(order, { amount: 500 });
+
+  await assert.rejects(
+    () => issueRefund(order, { amount: 1200 }),
+    (error) => error instanceof RefundError && error.details.refundable === 1000
+  );
+
+  const refund = await issueRefund(order, {});
+  assert.equal(refund.amount, 1000);
+  assert.equal(order.refundStatus, 'full');
+
+  await assert.rejects(() => issueRefund(order, {}), (error) => error instanceof RefundError && error.statusCode === 409);
+});
+
+test('issueRefund rejects orders not paid through Razorpay', async () => {
+  const order = createOrder({ paymentDetails: { method: 'cash' } });
+
+  await assert.rejects(() => issueRefund(order, { amount: 100 }), RefundError);
+});
+
+test('applyRazorpayRefund adds unknown refunds and excludes failed ones from totals', () => {
+  const order = createOrder();
+
+  const added = applyRazorpayRefund(order, { id: 'rfnd_dash1', amount: 30000, status: 'pending' });
+  assert.equal(added.changed, true);
+  assert.equal(order.refundedAmount, 300);
+
+  const failed = applyRazorpayRefund(order, { id: 'rfnd_dash1', amount: 30000, status: 'failed' });
+  assert.equal(failed.changed, true);
+  assert.equal(order.refundedAmount, 0);
+  assert.equal(order.refundStatus, 'none');
+
+  assert.equal(applyRazorpayRefund(order, { id: 'rfnd_dash1', amount: 30000, status: 'failed' }).changed, false);
+});
@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.RAZORPAY_MOCK = 'true';
+
+const Order = require('../models/Order');
+const Store = require('../models/Store');
+const DeliveryAssignment = require('../models/DeliveryAssignment');
+const DeliveryBatch = require('../models/DeliveryBatch');
+const DeliveryEarning = require('../models/DeliveryEarning');
+const DeliveryPartner = require('../models/DeliveryPartner');
+const DeliverySetting = require('../models/DeliverySetting');
+const { clusterDrops, planBatches, sequenceStops, settleBatch } = require('../services/routeBatchingService');
+
+const originals = {
+  orderFind: Order.find,
+  storeFindById: Store.findById,
+  assignmentDistinct: DeliveryAssignment.distinct,
+  assignmentFind: DeliveryAssignment.find,
+  batchCreate: DeliveryBatch.create,
+  batchDeleteMany: DeliveryBatch.deleteMany,
+  batchFindById: DeliveryBatch.findById,
+  batchFindOneAndUpdate: DeliveryBatch.findOneAndUpdate,
+  batchUpdateOne: DeliveryBatch.updateOne,
+  earningCreate: DeliveryEarning.create,
+  partnerUpdateOne: DeliveryPartner.updateOne,
+  getSettings: DeliverySetting.getSettings,
+};
+
+const restore = () => {
+  Order.find = originals.orderFind;
+  Store.findById = originals.storeFindById;
+  DeliveryAssignment.distinct = originals.assignmentDistinct;
+  DeliveryAssignment.find = originals.assignmentFind;
+  DeliveryBatch.create = originals.batchCreate;
+  DeliveryBatch.deleteMany = originals.batchDeleteMany;
+  DeliveryBatch.findById = originals.batchFindById;
+  DeliveryBatch.findOneAndUpdate = originals.batchFindOneAndUpdate;
+  DeliveryBatch.updateOne = originals.batchUpdateOne;
+  DeliveryEarning.create = originals.earningCreate;
+  DeliveryPartner.updateOne = originals.partnerUpdateOne;
+  DeliverySetting.getSettings = originals.getSettings;
+};
+
+const store = { _id: 'store-hyd', name: 'Hyderabad Main Hub', location: { type: 'Point', coordinates: [78.4326, 17.3912] } };
+const origin = { latitude: 17.3912, longitude: 78.4326 };
+
+const config = {
+  maxOrdersPerPartner: 3,
+  batchRadius: 3,
+  stopDwellMinutes: 5,
+  baseDeliveryEarning: 80,
+  earningPerKm: 15,
+  peakHourMultiplier: 1,
+  batchStopEarning: 30,
+};
+
+const buildOrder = (orderNumber, latitude, longitude, overrides = {}) => ({
+  _id: `order-${orderNumber}`,
+  orderNumber,
+  store: 'store-hyd',
+  status: 'being_made',
+  paymentDetails: { method: 'cash' },
+  shippingDetails: { latitude, longitude, timeSlot: 'standard' },
+  ...overrides,
+});
+
+// Two drops in Banjara Hills, one in Secunderabad
+const banjara1 = buildOrder('990300110', 17.4156, 78.4347);
+const banjara2 = buildOrder('990300210', 17.4180, 78.4400);
+const secunderabad = buildOrder('990300310', 17.4399, 78.4983);
+
+test.beforeEach(() => {
+  restore();
+  DeliverySetting.getSettings = async () => config;
+  Store.findById = async () => store;
+});
+
+test.after(() => {
+  restore();
+});
+
+test('nearby drops share a route sequenced nearest-first with cumulative ETAs', () => {
+  const drops = [banjara2, secunderabad, banjara1].map((order) => ({
+    order,
+    location: { latitude: order.shippingDetails.latitude, longitude: order.shippingDetails.longitude },
+  }));
+
+  const clusters = clusterDrops(origin, drops, { radius: 3, maxStops: 3 });
+  assert.deepEqual(clusters.map((cluster) => cluster.map((drop) => drop.order.orderNumber)), [['990300310'], ['990300210', '990300110']]);
+
+  const route = sequenceStops(origin, clusters[1], { dwellMinutes: 5 });
+  assert.deepEqual(route.stops.map((stop) => [stop.sequence, stop.orderNumber]), [[1, '990300110'], [2, '990300210']]);
+  assert.equal(route.stops[0].etaMinutes, Math.round(route.stops[0].legDistance * 3));
+  assert.equal(route.stops[1].etaMinutes, Math.round((route.stops[0].legDistance + route.stops[1].legDistance) * 3 + 5));
+  assert.equal(route.totalDistance, Math.round((route.stops[0].legDistance + route.stops[1].legDistance) * 100) / 100);
+});
+
+test('planning a slot proposes batches per store and leaves out unpaid or unlocated orders', async () => {
+  const unpaid = buildOrder('990300410', 17.4160, 78.4350, { paymentDetails: { method: 'razorpay', status: 'pending' } });
+  const noLocation = buildOrder('990300510', undefined, undefined);
+  const assigned = buildOrder('990300610', 17.4170, 78.4360);
+  let query;
+  Order.find = async (filter) => {
+    query = filter;
+    return [banjara1, banjara2, secunderabad, unpaid, noLocation, assigned];
+  };
+  DeliveryAssignment.distinct = async () => ['order-990300610'];
+  DeliveryBatch.deleteMany = async () => ({ deletedCount: 0 });
+  DeliveryBatch.create = async (doc) => doc;
+
+  const { batches, unroutable } = await planBatches({ date: '2099-03-10', timeSlot: 'standard' });
+
+  assert.equal(query['shippingDetails.deliveryDate'].$gte.toISOString(), '2099-03-10T00:00:00.000Z');
+  assert.equal(batches.length, 2);
+  assert.deepEqual(batches[1].stops.map((stop) => stop.orderNumber), ['990300110', '990300210']);
+  assert.equal(batches[1].storeId, 'store-hyd');
+  assert.equal(batches[1].status, 'proposed');
+  assert.deepEqual(unroutable, [{ orderNumber: '990300510', reason: 'No delivery coordinates' }]);
+
+  await assert.rejects(planBatches({ date: '10/03/2099', timeSlot: 'standard' }), /YYYY-MM-DD/);
+});
+
+test('a batch is paid once, when its last stop is finished', async () => {
+  const batch = { _id: 'batch-1', partnerId: 'partner-1', status: 'assigned', pickupDistance: 2, totalDistance: 4 };
+  let assignments = [
+    { orderId: 'order-1', partnerId: 'partner-1', status: 'delivered' },
+    { orderId: 'order-2', partnerId: 'partner-1', status: 'out_for_delivery' },
+    { orderId: 'order-3', partnerId: 'partner-1', status: 'delivered' },
+  ];
+  const earnings = [];
+  const credited = [];
+  DeliveryBatch.findById = async () => batch;
+  DeliveryAssignment.find = async () => assignments;
+  DeliveryBatch.findOneAndUpdate = async () => ({ ...batch, status: 'completed' });
+  DeliveryBatch.updateOne = async () => ({});
+  Order.find = () => ({ select: async () => [{ deliveryCharge: 150 }, { deliveryCharge: 99 }] });
+  DeliveryEarning.create = async (doc) => {
+    earnings.push(doc);
+    return doc;
+  };
+  DeliveryPartner.updateOne = async (filter, update) => credited.push(update.$inc);
+
+  assert.equal(await settleBatch('batch-1'), null);
+  assert.equal(earnings.length, 0);
+
+  assignments = assignments.map((assignment) => ({ ...assignment, status: assignment.status === 'out_for_delivery' ? 'failed_delivery' : assignment.status }));
+  const earning = await settleBatch('batch-1');
+
+  // 80 base + (2 + 4) km x 15 + one extra delivered stop x 30
+  assert.equal(earning.amount, 200);
+  assert.equal(earning.batchId, 'batch-1');
+  assert.equal(earning.stopsDelivered, 2);
+  assert.equal(earning.deliveryChargeShare, 249);
+  assert.deepEqual(credited, [{ todayEarnings: 200, totalEarnings: 200 }]);
+});
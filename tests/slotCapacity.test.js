@@ -0,0 +1,183 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.RAZORPAY_MOCK = 'true';
+
+const DeliveryZone = require('../models/DeliveryZone');
+const Order = require('../models/Order');
+const Settings = require('../models/settings');
+const SlotCapacity = require('../models/SlotCapacity');
+const {
+  bookOrderSlot,
+  getSlotAvailability,
+  isSlotCapacityError,
+  releaseOrderSlot,
+  setSlotCapacity,
+} = require('../services/slotCapacityService');
+
+const originals = {
+  zoneExists: DeliveryZone.exists,
+  orderCountDocuments: Order.countDocuments,
+  orderUpdateMany: Order.updateMany,
+  orderUpdateOne: Order.updateOne,
+  settingsFindOne: Settings.findOne,
+  capCreate: SlotCapacity.create,
+  capFind: SlotCapacity.find,
+  capFindOne: SlotCapacity.findOne,
+  capUpdateMany: SlotCapacity.updateMany,
+  capUpdateOne: SlotCapacity.updateOne,
+};
+
+const restore = () => {
+  DeliveryZone.exists = originals.zoneExists;
+  Order.countDocuments = originals.orderCountDocuments;
+  Order.updateMany = originals.orderUpdateMany;
+  Order.updateOne = originals.orderUpdateOne;
+  Settings.findOne = originals.settingsFindOne;
+  SlotCapacity.create = originals.capCreate;
+  SlotCapacity.find = originals.capFind;
+  SlotCapacity.findOne = originals.capFindOne;
+  SlotCapacity.updateMany = originals.capUpdateMany;
+  SlotCapacity.updateOne = originals.capUpdateOne;
+};
+
+const VALENTINES = new Date('2027-02-14T00:00:00.000Z');
+
+let caps;
+
+// Applies $inc the way MongoDB would, honouring the "still has room" $expr guard
+const stubCapStore = () => {
+  SlotCapacity.find = async (filter) => caps.filter((cap) => {
+    if (filter.timeSlot && cap.timeSlot !== filter.timeSlot) return false;
+    const zones = filter.zone.$in.map((zone) => (zone === null ? null : String(zone)));
+    return zones.includes(cap.zone === null ? null : String(cap.zone));
+  });
+  SlotCapacity.updateOne = async (filter, update) => {
+    const cap = caps.find((entry) => entry._id === filter._id);
+    if (!cap || (filter.$expr && !(cap.booked < cap.maxOrders))) return { modifiedCount: 0 };
+    cap.booked += update.$inc.booked;
+    return { modifiedCount: 1 };
+  };
+  SlotCapacity.updateMany = async (filter, update) => {
+    caps.filter((cap) => filter._id.$in.includes(cap._id) && cap.booked > 0).forEach((cap) => {
+      cap.booked += update.$inc.booked;
+    });
+    return {};
+  };
+};
+
+const newOrder = (zone = 'zone-bh') => ({
+  isNew: true,
+  shippingDetails: { deliveryDate: VALENTINES, timeSlot: 'midnight' },
+  deliveryZone: zone,
+});
+
+test.beforeEach(() => {
+  restore();
+  caps = [
+    { _id: 'cap-all', date: VALENTINES, timeSlot: 'midnight', zone: null, maxOrders: 2, booked: 0 },
+    { _id: 'cap-bh', date: VALENTINES, timeSlot: 'midnight', zone: 'zone-bh', maxOrders: 1, booked: 0 },
+  ];
+  Settings.findOne = async () => ({
+    deliverySettings: {
+      timeSlots: [
+        { time: 'standard', label: 'Standard Delivery', enabled: true, extraCharge: 0 },
+        { time: 'midnight', label: 'Midnight Delivery', enabled: true, extraCharge: 150 },
+      ],
+    },
+  });
+  stubCapStore();
+});
+
+test.after(() => {
+  restore();
+});
+
+test('the last place in a slot goes to one order and a full zone gives back the slot-wide place', async () => {
+  const first = newOrder();
+  assert.deepEqual(await bookOrderSlot(first), ['cap-all', 'cap-bh']);
+  assert.deepEqual(first.slotCapacityIds, ['cap-all', 'cap-bh']);
+
+  // Banjara Hills is full; the slot-wide place taken on the way must not leak
+  const second = newOrder();
+  await assert.rejects(bookOrderSlot(second), (error) => {
+    assert.equal(isSlotCapacityError(error), true);
+    assert.equal(error.statusCode, 409);
+    assert.equal(error.code, 'slot_full');
+    assert.match(error.message, /Midnight Delivery on 14 Feb is fully booked/);
+    return true;
+  });
+  assert.equal(caps[0].booked, 1);
+
+  // Another zone still gets the slot-wide place that is left
+  assert.deepEqual(await bookOrderSlot(newOrder('zone-jh')), ['cap-all']);
+  assert.equal(caps[0].booked, 2);
+  await assert.rejects(bookOrderSlot(newOrder('zone-jh')), /fully booked/);
+
+  // Orders without a delivery day or with an uncapped slot are never limited
+  assert.deepEqual(await bookOrderSlot({ shippingDetails: {} }), []);
+  assert.deepEqual(await bookOrderSlot({ shippingDetails: { deliveryDate: VALENTINES, timeSlot: 'standard' } }), []);
+});
+
+test('a cancelled order gives its places back only once', async () => {
+  caps[0].booked = 2;
+  caps[1].booked = 1;
+  let claimed = false;
+  Order.updateOne = async () => {
+    if (claimed) return { modifiedCount: 0 };
+    claimed = true;
+    return { modifiedCount: 1 };
+  };
+
+  const order = { _id: 'order-1', slotCapacityIds: ['cap-all', 'cap-bh'] };
+  const stale = { _id: 'order-1', slotCapacityIds: ['cap-all', 'cap-bh'] };
+
+  assert.equal(await releaseOrderSlot(order), 2);
+  assert.equal(await releaseOrderSlot(stale), 0);
+  assert.deepEqual(caps.map((cap) => cap.booked), [1, 0]);
+  assert.deepEqual(order.slotCapacityIds, []);
+  assert.deepEqual(stale.slotCapacityIds, []);
+});
+
+test('availability greys out full slots and keeps to the zone\'s slots', async () => {
+  caps[1].booked = 1;
+
+  const [everywhere] = await getSlotAvailability({ from: '2027-02-14' });
+  assert.deepEqual(everywhere.slots.map((slot) => [slot.time, slot.remaining, slot.available]), [
+    ['standard', null, true],
+    ['midnight', 2, true],
+  ]);
+
+  const days = await getSlotAvailability({
+    from: '2027-02-14',
+    to: '2027-02-15',
+    zone: { _id: 'zone-bh', allowedTimeSlots: ['midnight'] },
+  });
+  assert.deepEqual(days.map((day) => day.date), ['2027-02-14', '2027-02-15']);
+  assert.deepEqual(days[0].slots, [{ time: 'midnight', label: 'Midnight Delivery', extraCharge: 150, limited: true, remaining: 0, available: false }]);
+  assert.equal(days[1].slots[0].available, true);
+
+  await assert.rejects(getSlotAvailability({ from: '14-02-2027' }), /YYYY-MM-DD/);
+  await assert.rejects(getSlotAvailability({ from: '2027-02-01', to: '2027-03-15' }), /At most 31 days/);
+});
+
+test('a new cap starts from the orders already booked into the slot', async () => {
+  const tagged = [];
+  SlotCapacity.findOne = async () => null;
+  SlotCapacity.create = async (doc) => ({ _id: 'cap-new', ...doc });
+  Order.countDocuments = async (filter) => {
+    assert.equal(filter['shippingDetails.timeSlot'], 'midnight');
+    assert.deepEqual(filter.status, { $ne: 'cancelled' });
+    return 37;
+  };
+  Order.updateMany = async (filter, update) => tagged.push(update);
+  DeliveryZone.exists = async () => true;
+
+  const cap = await setSlotCapacity({ date: '2027-02-14', timeSlot: 'midnight', maxOrders: 40 }, { userId: 'admin-1' });
+  assert.equal(cap.booked, 37);
+  assert.equal(cap.zone, null);
+  assert.deepEqual(tagged, [{ $addToSet: { slotCapacityIds: 'cap-new' } }]);
+
+  await assert.rejects(setSlotCapacity({ date: '2027-02-14', timeSlot: 'midnight', maxOrders: -1 }), /whole number/);
+  await assert.rejects(setSlotCapacity({ date: '2027-02-14', timeSlot: 'brunch', maxOrders: 5 }), /timeSlot must be one of/);
+});
@@ -0,0 +1,176 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Product = require('../models/Product');
+const StockReservation = require('../models/StockReservation');
+const {
+  StockUnavailableError,
+  getDateStockKey,
+  holdStockForRazorpayOrder,
+  releaseReservation,
+  reserveStock,
+} = require('../services/stockReservationService');
+
+const originalProductFindById = Product.findById;
+const originalProductUpdateOne = Product.updateOne;
+const originalInsertMany = StockReservation.insertMany;
+const originalFindOneAndUpdate = StockReservation.findOneAndUpdate;
+const originalFind = StockReservation.find;
+
+const restoreModels = () => {
+  Product.findById = originalProductFindById;
+  Product.updateOne = originalProductUpdateOne;
+  StockReservation.insertMany = originalInsertMany;
+  StockReservation.findOneAndUpdate = originalFindOneAndUpdate;
+  StockReservation.find = originalFind;
+};
+
+const createProductStore = (stockById) => {
+  const store = new Map(Object.entries(stockById));
+
+  Product.findById = (id) => {
+    const record = store.get(String(id));
+    const document = record ? { _id: String(id), title: `Product ${id}`, ...record } : null;
+    const query = Promise.resolve(document);
+    query.lean = async () => document;
+    return query;
+  };
+
+  Product.updateOne = async (filter, update) => {
+    const record = store.get(String(filter._id));
+    if (!record) {
+      return { modifiedCount: 0 };
+    }
+
+    if (filter.countInStock && record.countInStock < filter.countInStock.$gte) {
+      return { modifiedCount: 0 };
+    }
+
+    record.countInStock += update.$inc.countInStock;
+    return { modifiedCount: 1 };
+  };
+
+  return store;
+};
+
+test.beforeEach(() => {
+  restoreModels();
+});
+
+test.after(() => {
+  restoreModels();
+});
+
+test('reserveStock decrements stock and records committed reservations', async () => {
+  const store = createProductStore({ a: { countInStock: 3 }, b: { countInStock: 1 } });
+  let inserted = null;
+  StockReservation.insertMany = async (docs) => {
+    inserted = docs;
+    return docs;
+  };
+
+  const reservations = await reserveStock({
+    items: [{ product: 'a', quantity: 2 }, { product: 'b', quantity: 1 }],
+    orderId: 'order-1',
+  });
+
+  assert.equal(store.get('a').countInStock, 1);
+  assert.equal(store.get('b').countInStock, 0);
+  assert.equal(reservations.length, 2);
+  assert.equal(inserted[0].status, 'committed');
+  assert.equal(inserted[0].expiresAt, null);
+  assert.equal(inserted[0].order, 'order-1');
+});
+
+test('reserveStock rolls back earlier lines when a later line is out of stock', async () => {
+  const store = createProductStore({ a: { countInStock: 3 }, b: { countInStock: 0 } });
+  StockReservation.insertMany = async () => {
+    throw new Error('should not insert reservations');
+  };
+
+  await assert.rejects(
+    () => reserveStock({ items: [{ product: 'a', quantity: 2 }, { product: 'b', quantity: 1 }] }),
+    (error) => error instanceof StockUnavailableError && error.statusCode === 409 && error.details.available === 0
+  );
+
+  assert.equal(store.get('a').countInStock, 3);
+  assert.equal(store.get('b').countInStock, 0);
+});
+
+test('reserveStock creates expiring holds for unpaid checkouts', async () => {
+  createProductStore({ a: { countInStock: 5 } });
+  let inserted = null;
+  StockReservation.insertMany = async (docs) => {
+    inserted = docs;
+    return docs;
+  };
+
+  await reserveStock({ items: [{ product: 'a', quantity: 1 }], razorpayOrderId: 'order_rzp_1', hold: true });
+
+  assert.equal(inserted[0].status, 'held');
+  assert.equal(inserted[0].razorpayOrderId, 'order_rzp_1');
+  assert.ok(inserted[0].expiresAt > new Date());
+});
+
+test('a customer only holds stock for their two most recent unpaid checkouts', async () => {
+  const store = createProductStore({ a: { countInStock: 10 } });
+  const reservations = [];
+  let nextId = 1;
+  const query = (results) => {
+    const chain = Promise.resolve(results);
+    chain.select = () => chain;
+    chain.sort = () => chain;
+    chain.lean = async () => results;
+    return chain;
+  };
+  StockReservation.insertMany = async (docs) => {
+    const created = docs.map((doc) => ({ _id: `res-${nextId}`, createdAt: nextId++, ...doc }));
+    reservations.push(...created);
+    return created;
+  };
+  StockReservation.find = (filter) => query(reservations
+    .filter((reservation) => Object.entries(filter).every(([field, value]) => reservation[field] === value))
+    .sort((a, b) => b.createdAt - a.createdAt));
+  StockReservation.findOneAndUpdate = async ({ _id }, update) => {
+    const reservation = reservations.find((candidate) => candidate._id === _id && candidate.status === 'held');
+    return reservation ? Object.assign(reservation, update) : null;
+  };
+
+  for (const razorpayOrderId of ['order_rzp_1', 'order_rzp_2', 'order_rzp_3']) {
+    await holdStockForRazorpayOrder({ razorpayOrderId, items: [{ product: 'a', quantity: 3 }], holderKey: 'ip:203.0.113.9' });
+  }
+  await holdStockForRazorpayOrder({ razorpayOrderId: 'order_rzp_other', items: [{ product: 'a', quantity: 1 }], holderKey: 'user:u-2' });
+
+  assert.deepEqual(
+    reservations.filter((reservation) => reservation.status === 'held').map((reservation) => reservation.razorpayOrderId),
+    ['order_rzp_2', 'order_rzp_3', 'order_rzp_other']
+  );
+  assert.equal(reservations[0].releaseReason, 'superseded_checkout');
+  assert.equal(store.get('a').countInStock, 3);
+});
+
+test('releaseReservation returns stock only once', async () => {
+  const store = createProductStore({ a: { countInStock: 0 } });
+  const reservation = { _id: 'res-1', product: 'a', productModel: 'Product', quantity: 2, dateKey: null, dateQuantity: 0 };
+  let claimed = false;
+
+  StockReservation.findOneAndUpdate = async () => {
+    if (claimed) {
+      return null;
+    }
+    claimed = true;
+    return reservation;
+  };
+
+  assert.equal(await releaseReservation('res-1'), true);
+  assert.equal(await releaseReservation('res-1'), false);
+  assert.equal(store.get('a').countInStock, 2);
+});
+
+test('getDateStockKey only applies to Valentine products with date-wise stock', () => {
+  const dateWiseStock = new Map([['14 Feb', 4]]);
+
+  assert.equal(getDateStockKey({ isValentineProduct: true, dateWiseStock }, '2027-02-14T06:00:00.000Z'), '14 Feb');
+  assert.equal(getDateStockKey({ isValentineProduct: false, dateWiseStock }, '2027-02-14T06:00:00.000Z'), null);
+  assert.equal(getDateStockKey({ isValentineProduct: true, dateWiseStock }, '2027-02-13T06:00:00.000Z'), null);
+});
@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.RAZORPAY_MOCK = 'true';
+
+const Order = require('../models/Order');
+const Holiday = require('../models/Holiday');
+const Subscription = require('../models/Subscription');
+const emailNotificationService = require('../services/emailNotificationService');
+const razorpayService = require('../services/razorpayService');
+const stockReservationService = require('../services/stockReservationService');
+const subscriptionBillingService = require('../services/subscriptionBillingService');
+const {
+  createNextOrder,
+  getCycleDate,
+  resumeSubscription,
+  skipDelivery,
+} = require('../services/subscriptionService');
+
+const originals = {
+  isHoliday: Holiday.isHoliday,
+  subscriptionFindById: Subscription.findById,
+  orderSave: Order.prototype.save,
+  subscriptionSave: Subscription.prototype.save,
+  reserveStockForOrder: stockReservationService.reserveStockForOrder,
+  releaseOrderStock: stockReservationService.releaseOrderStock,
+  createRazorpayOrder: razorpayService.createOrder,
+  createRecurringPayment: razorpayService.createRecurringPayment,
+  fetchOrderPayments: razorpayService.fetchOrderPayments,
+  sendReminder: emailNotificationService.sendSubscriptionPaymentReminder,
+};
+
+const restore = () => {
+  Holiday.isHoliday = originals.isHoliday;
+  Subscription.findById = originals.subscriptionFindById;
+  Order.prototype.save = originals.orderSave;
+  Subscription.prototype.save = originals.subscriptionSave;
+  stockReservationService.reserveStockForOrder = originals.reserveStockForOrder;
+  stockReservationService.releaseOrderStock = originals.releaseOrderStock;
+  razorpayService.createOrder = originals.createRazorpayOrder;
+  razorpayService.createRecurringPayment = originals.createRecurringPayment;
+  razorpayService.fetchOrderPayments = originals.fetchOrderPayments;
+  emailNotificationService.sendSubscriptionPaymentReminder = originals.sendReminder;
+};
+
+const buildSubscription = (overrides = {}) => new Subscription({
+  user: '64b000000000000000000009',
+  plan: '64b000000000000000000008',
+  status: 'active',
+  frequency: 'weekly',
+  startDate: new Date('2099-03-02T00:00:00Z'),
+  nextCycle: 0,
+  nextDeliveryDate: new Date('2099-03-02T00:00:00Z'),
+  timeSlot: 'morning',
+  shippingDetails: { fullName: 'Asha', email: 'asha@example.com', phone: '9876543210', address: '1 Lake View' },
+  pricing: { subtotal: 900, deliveryCharge: 100, totalAmount: 1000 },
+  items: [{ product: '64b000000000000000000001', title: 'Weekly Roses', quantity: 1, price: 900 }],
+  paymentMethod: 'razorpay',
+  razorpay: { customerId: 'cust_1', tokenId: 'token_1' },
+  ...overrides,
+});
+
+let reminders;
+let recurringCharges;
+
+test.beforeEach(() => {
+  restore();
+  reminders = [];
+  recurringCharges = [];
+  Holiday.isHoliday = async () => null;
+  Order.prototype.save = async function save() {
+    return this;
+  };
+  Subscription.prototype.save = async function save() {
+    return this;
+  };
+  stockReservationService.reserveStockForOrder = async (order) => {
+    order.stockReservationStatus = 'committed';
+    return [];
+  };
+  stockReservationService.releaseOrderStock = async (order) => {
+    order.stockReservationStatus = 'released';
+    return 1;
+  };
+  razorpayService.createOrder = async (amount, currency) => ({ id: 'order_rzp_renewal', amount, currency });
+  razorpayService.createRecurringPayment = async (params) => {
+    recurringCharges.push(params);
+    return { razorpay_payment_id: 'pay_renewal' };
+  };
+  emailNotificationService.sendSubscriptionPaymentReminder = async (params) => {
+    reminders.push(params);
+    return { success: true };
+  };
+});
+
+test.after(() => {
+  restore();
+});
+
+test('monthly deliveries stay on the start day without drifting after short months', () => {
+  const start = new Date('2099-01-31T00:00:00Z');
+  const dates = [0, 1, 2].map((cycle) => getCycleDate(start, 'monthly', cycle).toISOString().slice(0, 10));
+
+  assert.deepEqual(dates, ['2099-01-31', '2099-02-28', '2099-03-31']);
+});
+
+test('the next order skips skipped days, moves off holidays and charges the saved token', async () => {
+  // 2099-03-09 is a holiday, so the second weekly delivery moves to the 10th
+  Holiday.isHoliday = async (date) => (date.getDate() === 9 ? { name: 'Holi' } : null);
+  const subscription = buildSubscription();
+  const now = new Date('2099-03-01T06:00:00Z');
+
+  await skipDelivery(subscription, { date: '2099-03-02' });
+  assert.equal(subscription.nextDeliveryDate.toISOString().slice(0, 10), '2099-03-09');
+
+  const order = await createNextOrder(subscription, { now });
+
+  assert.equal(order.shippingDetails.deliveryDate.toISOString().slice(0, 10), '2099-03-10');
+  assert.equal(order.subscription.cycle, 1);
+  assert.equal(order.totalAmount, 1000);
+  assert.equal(order.stockReservationStatus, 'committed');
+  assert.equal(subscription.nextCycle, 2);
+  assert.equal(subscription.nextDeliveryDate.toISOString().slice(0, 10), '2099-03-16');
+  assert.match(subscription.history.at(-1).note, /moved from 2099-03-09 for a holiday/);
+
+  assert.equal(recurringCharges.length, 1);
+  assert.equal(recurringCharges[0].amountInPaise, 100000);
+  assert.equal(recurringCharges[0].tokenId, 'token_1');
+  assert.equal(order.subscription.paymentAttempts, 1);
+  assert.equal(order.subscription.nextPaymentRetryAt.toISOString(), '2099-03-01T12:00:00.000Z');
+});
+
+test('resuming skips the deliveries that fell inside the pause', async () => {
+  const subscription = buildSubscription({ status: 'paused', nextCycle: 1 });
+
+  await resumeSubscription(subscription, { now: new Date('2099-03-20T06:00:00Z') });
+
+  assert.equal(subscription.status, 'active');
+  assert.equal(subscription.nextCycle, 3);
+  assert.equal(subscription.nextDeliveryDate.toISOString().slice(0, 10), '2099-03-23');
+  await assert.rejects(skipDelivery(subscription, { date: '2099-03-16' }), /already been created/);
+});
+
+test('a renewal that stays unpaid after every retry cancels the delivery and holds the subscription', async () => {
+  const subscription = buildSubscription({ razorpay: { customerId: 'cust_1' } });
+  Subscription.findById = async () => subscription;
+  razorpayService.fetchOrderPayments = async () => [{ id: 'pay_1', status: 'failed' }];
+
+  const order = new Order({
+    orderNumber: '990300110',
+    shippingDetails: { fullName: 'Asha', email: 'asha@example.com', deliveryDate: new Date('2099-03-09T00:00:00Z') },
+    items: [{ product: '64b000000000000000000001', quantity: 1, price: 900, finalPrice: 900 }],
+    paymentDetails: { method: 'razorpay', razorpayOrderId: 'order_rzp_renewal', status: 'pending' },
+    totalAmount: 1000,
+    subscription: { id: subscription._id, cycle: 1, paymentAttempts: 3 },
+    status: 'order_placed',
+  });
+
+  // Fourth attempt: no token, so the customer is sent a payment link
+  assert.equal(await subscriptionBillingService.retryRenewal(order), 'link_sent');
+  assert.equal(order.subscription.paymentAttempts, 4);
+  assert.equal(reminders.length, 1);
+  assert.equal(order.status, 'order_placed');
+
+  assert.equal(await subscriptionBillingService.retryRenewal(order), 'failed');
+  assert.equal(order.status, 'cancelled');
+  assert.equal(order.paymentDetails.status, 'failed');
+  assert.equal(order.stockReservationStatus, 'released');
+  assert.equal(subscription.status, 'past_due');
+  assert.equal(reminders.at(-1).finalNotice, true);
+
+  // A payment captured in the meantime wins over the retry
+  const paidOrder = new Order({ ...order.toObject(), _id: undefined, status: 'order_placed', stockReservationStatus: 'committed', paymentDetails: { method: 'razorpay', razorpayOrderId: 'order_rzp_2', status: 'pending' } });
+  razorpayService.fetchOrderPayments = async () => [{ id: 'pay_2', status: 'captured' }];
+  assert.equal(await subscriptionBillingService.retryRenewal(paidOrder), 'paid');
+  assert.equal(paidOrder.paymentDetails.status, 'paid');
+});
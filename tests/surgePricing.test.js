@@ -0,0 +1,196 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.RAZORPAY_MOCK = 'true';
+
+const DeliveryAssignment = require('../models/DeliveryAssignment');
+const DeliveryBatch = require('../models/DeliveryBatch');
+const DeliveryEarning = require('../models/DeliveryEarning');
+const DeliveryPartner = require('../models/DeliveryPartner');
+const DeliverySetting = require('../models/DeliverySetting');
+const DeliveryZone = require('../models/DeliveryZone');
+const Order = require('../models/Order');
+const Settings = require('../models/settings');
+const SurgeRule = require('../models/SurgeRule');
+const { calculateDeliveryFee } = require('../services/deliveryService');
+const { settleBatch } = require('../services/routeBatchingService');
+const { deleteSurgeRule, previewSurge, validateRule } = require('../services/surgePricingService');
+
+const originals = {
+  assignmentFind: DeliveryAssignment.find,
+  batchFindById: DeliveryBatch.findById,
+  batchFindOneAndUpdate: DeliveryBatch.findOneAndUpdate,
+  batchUpdateOne: DeliveryBatch.updateOne,
+  earningCreate: DeliveryEarning.create,
+  partnerUpdateOne: DeliveryPartner.updateOne,
+  getSettings: DeliverySetting.getSettings,
+  zoneExists: DeliveryZone.exists,
+  zoneFindById: DeliveryZone.findById,
+  zoneFindOne: DeliveryZone.findOne,
+  orderExists: Order.exists,
+  orderFind: Order.find,
+  orderFindOne: Order.findOne,
+  settingsFindOne: Settings.findOne,
+  ruleDeleteOne: SurgeRule.deleteOne,
+  ruleFind: SurgeRule.find,
+  ruleFindById: SurgeRule.findById,
+};
+
+const restore = () => {
+  DeliveryAssignment.find = originals.assignmentFind;
+  DeliveryBatch.findById = originals.batchFindById;
+  DeliveryBatch.findOneAndUpdate = originals.batchFindOneAndUpdate;
+  DeliveryBatch.updateOne = originals.batchUpdateOne;
+  DeliveryEarning.create = originals.earningCreate;
+  DeliveryPartner.updateOne = originals.partnerUpdateOne;
+  DeliverySetting.getSettings = originals.getSettings;
+  DeliveryZone.exists = originals.zoneExists;
+  DeliveryZone.findById = originals.zoneFindById;
+  DeliveryZone.findOne = originals.zoneFindOne;
+  Order.exists = originals.orderExists;
+  Order.find = originals.orderFind;
+  Order.findOne = originals.orderFindOne;
+  Settings.findOne = originals.settingsFindOne;
+  SurgeRule.deleteOne = originals.ruleDeleteOne;
+  SurgeRule.find = originals.ruleFind;
+  SurgeRule.findById = originals.ruleFindById;
+};
+
+const banjaraHills = { _id: 'zone-bh', name: 'Banjara Hills', baseDeliveryCharge: 150, surcharge: 50 };
+const address = { latitude: 17.4156, longitude: 78.4347 };
+
+const valentinesMidnight = {
+  _id: 'rule-valentines',
+  name: "Valentine's midnight",
+  timeSlots: ['midnight'],
+  zones: [],
+  customerMultiplier: 2,
+  customerFlatFee: 0,
+  partnerMultiplier: 1.5,
+  priority: 0,
+};
+const jubileeHillsOnly = {
+  _id: 'rule-jh',
+  name: 'Jubilee Hills rush',
+  timeSlots: [],
+  zones: ['zone-jh'],
+  customerMultiplier: 3,
+  customerFlatFee: 0,
+  partnerMultiplier: 2,
+  priority: 10,
+};
+
+const config = { baseDeliveryEarning: 80, earningPerKm: 15, peakHourMultiplier: 1, batchStopEarning: 30 };
+
+let rules;
+
+test.beforeEach(() => {
+  restore();
+  rules = [valentinesMidnight, jubileeHillsOnly];
+  DeliverySetting.getSettings = async () => config;
+  Settings.findOne = async () => ({
+    deliverySettings: {
+      firstOrderFree: true,
+      timeSlots: [
+        { time: 'standard', label: 'Standard Delivery', enabled: true, extraCharge: 0 },
+        { time: 'midnight', label: 'Midnight Delivery', enabled: true, extraCharge: 150 },
+      ],
+      deliveryChargeRules: [{ minOrderAmount: 0, charge: 150 }, { minOrderAmount: 999, charge: 0 }],
+    },
+  });
+  DeliveryZone.exists = async () => ({ _id: banjaraHills._id });
+  DeliveryZone.findOne = async () => banjaraHills;
+  DeliveryZone.findById = () => ({ select: async () => banjaraHills });
+  Order.findOne = async () => ({ _id: 'earlier-order' });
+  SurgeRule.find = async () => rules;
+});
+
+test.after(() => {
+  restore();
+});
+
+test('a surge rule for the day, slot and zone adds its own line to the delivery charge', async () => {
+  const fee = await calculateDeliveryFee({ subtotal: 600, timeSlot: 'midnight', deliveryDate: '2027-02-14', userId: 'u1', location: address });
+
+  // 150 zone charge + 50 surcharge + 150 midnight = 350, doubled; the Jubilee Hills rule is for another zone
+  assert.equal(fee.standardFee, 350);
+  assert.deepEqual(fee.breakdown.at(-1), { component: 'surge', label: "Valentine's midnight (peak demand)", amount: 350 });
+  assert.equal(fee.deliveryCharge, 700);
+  assert.equal(fee.surge.ruleId, 'rule-valentines');
+  assert.equal(fee.surge.partnerMultiplier, 1.5);
+
+  const standard = await calculateDeliveryFee({ subtotal: 600, timeSlot: 'standard', deliveryDate: '2027-02-14', userId: 'u1', location: address });
+  assert.equal(standard.surge, null);
+  assert.equal(standard.breakdown.some((line) => line.component === 'surge'), false);
+
+  const undated = await calculateDeliveryFee({ subtotal: 600, timeSlot: 'midnight', userId: 'u1', location: address });
+  assert.equal(undated.deliveryCharge, 350);
+});
+
+test('batched routes pay the strongest surge among their delivered stops as a bonus', async () => {
+  const batch = { _id: 'batch-1', partnerId: 'partner-1', status: 'assigned', pickupDistance: 2, totalDistance: 4 };
+  const earnings = [];
+  DeliveryBatch.findById = async () => batch;
+  DeliveryBatch.findOneAndUpdate = async () => ({ ...batch, status: 'completed' });
+  DeliveryBatch.updateOne = async () => ({});
+  DeliveryAssignment.find = async () => [
+    { orderId: 'order-1', partnerId: 'partner-1', status: 'delivered' },
+    { orderId: 'order-2', partnerId: 'partner-1', status: 'delivered' },
+  ];
+  Order.find = () => ({
+    select: async () => [
+      { deliveryCharge: 700, surge: { ruleId: 'rule-valentines', partnerMultiplier: 1.5 } },
+      { deliveryCharge: 150 },
+    ],
+  });
+  DeliveryEarning.create = async (doc) => {
+    earnings.push(doc);
+    return doc;
+  };
+  DeliveryPartner.updateOne = async () => ({});
+
+  const earning = await settleBatch('batch-1');
+
+  // 80 base + 6 km x 15 = 170, half again for the surge, plus 30 for the second stop
+  assert.equal(earning.amount, 285);
+  assert.equal(earning.bonus, 115);
+  assert.equal(earning.surgeRuleId, 'rule-valentines');
+});
+
+test('the preview shows the winning rule, the rules it overrides and what each side pays', async () => {
+  rules = [
+    valentinesMidnight,
+    { ...valentinesMidnight, _id: 'rule-flat', name: 'Midnight flat fee', customerMultiplier: 1, customerFlatFee: 99, partnerMultiplier: 1.2, priority: 5 },
+  ];
+
+  const preview = await previewSurge({ deliveryDate: '2027-02-14', timeSlot: 'midnight', zoneId: 'zone-bh' });
+
+  assert.equal(preview.rule._id, 'rule-flat');
+  assert.deepEqual(preview.overriddenRules.map((rule) => rule._id), ['rule-valentines']);
+  assert.deepEqual(preview.customer, { standardFee: 350, surgeAmount: 99, deliveryCharge: 449 });
+  assert.deepEqual(preview.partner, { basePay: 80, surgeBonus: 16, multiplier: 1.2 });
+
+  await assert.rejects(previewSurge({ deliveryDate: '14/02/2027' }), /YYYY-MM-DD/);
+});
+
+test('rules must raise something, and rules that priced orders are deactivated instead of deleted', async () => {
+  assert.throws(() => validateRule({ name: 'No-op', startDate: '2027-02-14' }), /must raise/);
+  assert.throws(() => validateRule({ name: 'Backwards', startDate: '2027-02-14', endDate: '2027-02-13', customerMultiplier: 2 }), /not be before/);
+  const fields = validateRule({ name: ' Diwali ', startDate: '2027-10-29', customerMultiplier: '1.5' });
+  assert.equal(fields.name, 'Diwali');
+  assert.equal(fields.endDate.toISOString(), '2027-10-29T00:00:00.000Z');
+  assert.equal(fields.customerMultiplier, 1.5);
+
+  let saved = false;
+  let deletedRule = false;
+  const rule = { _id: 'rule-valentines', isActive: true, save: async () => { saved = true; } };
+  SurgeRule.findById = async () => rule;
+  SurgeRule.deleteOne = async () => { deletedRule = true; };
+  Order.exists = async () => ({ _id: 'order-1' });
+
+  const result = await deleteSurgeRule('rule-valentines', { userId: 'admin-1' });
+  assert.equal(result.deleted, false);
+  assert.equal(rule.isActive, false);
+  assert.equal(saved, true);
+  assert.equal(deletedRule, false);
+});
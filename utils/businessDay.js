@@ -0,0 +1,48 @@
+const moment = require('moment');
+
+// The business runs on Indian Standard Time
+const BUSINESS_UTC_OFFSET = '+05:30';
+const DAY_KEY_FORMAT = 'YYYY-MM-DD';
+
+// Today's date in IST as YYYY-MM-DD
+const todayKey = (now = new Date()) => moment(now).utcOffset(BUSINESS_UTC_OFFSET).format(DAY_KEY_FORMAT);
+
+// Delivery dates (and the capacity, surge and shift days matched against them) are stored as
+// the calendar day at UTC midnight
+const toDayKey = (date) => moment.utc(date).format(DAY_KEY_FORMAT);
+
+/**
+ * Parses a YYYY-MM-DD request value as a stored day (UTC midnight).
+ *
+ * @param {Function} ErrorClass Service error thrown, with a 400, when the value isn't a date
+ * @returns {moment.Moment}
+ */
+const parseDayKey = (value, label, ErrorClass) => {
+  const day = moment.utc(value, DAY_KEY_FORMAT, true);
+  if (!day.isValid()) {
+    throw new ErrorClass(`${label} must be a date in YYYY-MM-DD format`);
+  }
+  return day;
+};
+
+/**
+ * Parses a YYYY-MM-DD request value as the start of that day in IST, for ranges over
+ * timestamps rather than stored days.
+ *
+ * @param {Function} ErrorClass Service error thrown, with a 400, when the value isn't a date
+ * @returns {moment.Moment}
+ */
+const parseBusinessDay = (value, label, ErrorClass) => {
+  if (!moment(value, DAY_KEY_FORMAT, true).isValid()) {
+    throw new ErrorClass(`${label} must be a date in YYYY-MM-DD format`);
+  }
+  return moment.parseZone(`${value}T00:00:00${BUSINESS_UTC_OFFSET}`);
+};
+
+module.exports = {
+  BUSINESS_UTC_OFFSET,
+  parseBusinessDay,
+  parseDayKey,
+  toDayKey,
+  todayKey,
+};
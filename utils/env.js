@@ -0,0 +1,15 @@
+// Whole-number settings from environment variables, falling back when unset or invalid
+const readNonNegativeInt = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+const readPositiveInt = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+module.exports = {
+  readNonNegativeInt,
+  readPositiveInt,
+};
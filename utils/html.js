@@ -0,0 +1,10 @@
+// Escapes text for HTML emails and PDFs built from template strings
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+module.exports = {
+  escapeHtml,
+};
@@ -0,0 +1,6 @@
+// Amounts are kept to two decimals (paise, cents)
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+module.exports = {
+  roundAmount,
+};
@@ -0,0 +1,22 @@
+const User = require('../models/User');
+
+/**
+ * Contact details for an order's customer: the linked account first, then the shipping details
+ * (guest checkout).
+ */
+const resolveOrderCustomer = async (order) => {
+  let customer = null;
+  if (order.user) {
+    customer = await User.findById(order.user).select('name email phone').lean();
+  }
+
+  return {
+    name: customer?.name || order.shippingDetails?.fullName,
+    email: customer?.email || order.shippingDetails?.email,
+    phone: customer?.phone || order.shippingDetails?.phone
+  };
+};
+
+module.exports = {
+  resolveOrderCustomer,
+};
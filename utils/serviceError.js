@@ -0,0 +1,30 @@
+/**
+ * Base class for the errors services throw for controllers to turn into a response: the HTTP
+ * status to answer with and, where the client needs more than the message, a machine-readable
+ * code and details. Each service declares its own subclass, e.g.
+ *
+ *   class ProductionError extends ServiceError {}
+ *   const isProductionError = (error) => error instanceof ProductionError;
+ */
+class ServiceError extends Error {
+  constructor(message, statusCode = 400, { code, details } = {}) {
+    super(message);
+    this.name = new.target.name;
+    this.statusCode = statusCode;
+
+    if (code !== undefined) {
+      this.code = code;
+    }
+    if (details !== undefined) {
+      this.details = details;
+    }
+
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, new.target);
+    }
+  }
+}
+
+module.exports = {
+  ServiceError,
+};